@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+
+/**
+ * Evaluation script
+ * Runs a golden question set through the NLQ pipeline and reports accuracy,
+ * latency and failure categories, optionally compared with an earlier run
+ *
+ * Usage: npm run eval -- --set <name|file.json> [--label <text>] [--compare <run id|previous>]
+ *          [--no-examples] [--no-save] [--output <file.json>] [--min-accuracy <0-1>]
+ */
+
+require('dotenv').config();
+const fs = require('fs/promises');
+const path = require('path');
+const logger = require('../src/utils/logger');
+const db = require('../src/config/database');
+const NLQFactory = require('../src/factories/NLQFactory');
+const EvaluationRunRepository = require('../src/repositories/EvaluationRunRepository');
+const EvaluationService = require('../src/services/EvaluationService');
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Options
+ */
+const parseArgs = (argv) => {
+  const options = { examples: true, save: true };
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    const value = () => {
+      if (index + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++index];
+    };
+
+    switch (arg) {
+      case '--set': options.set = value(); break;
+      case '--label': options.label = value(); break;
+      case '--compare': options.compare = value(); break;
+      case '--output': options.output = value(); break;
+      case '--min-accuracy': options.minAccuracy = parseFloat(value()); break;
+      case '--no-examples': options.examples = false; break;
+      case '--no-save': options.save = false; break;
+      default: throw new Error(`Unknown argument ${arg}`);
+    }
+  }
+  return options;
+};
+
+const formatMs = (ms) => (ms === null || ms === undefined ? '-' : ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`);
+const formatPercent = (ratio) => (ratio === null ? '-' : `${(ratio * 100).toFixed(1)}%`);
+const formatChange = (change, format) => (change === null ? '-' : `${change > 0 ? '+' : ''}${format(change)}`);
+
+class Evaluator {
+  constructor(options) {
+    this.options = options;
+    this.evaluationService = new EvaluationService(new EvaluationRunRepository(db.getVectorDB()), NLQFactory.getNLQService());
+  }
+
+  /**
+   * Run the golden set, print the report and return the process exit code
+   * @returns {Promise<number>} 0, or 1 when accuracy is below --min-accuracy
+   */
+  async evaluate() {
+    try {
+      if (!this.options.set) {
+        const goldenSets = await this.evaluationService.listGoldenSets();
+        console.log('Usage: npm run eval -- --set <name|file.json> [options]\n\nGolden sets:');
+        goldenSets.forEach(goldenSet => console.log(`  ${goldenSet.name} (${goldenSet.cases} cases) ${goldenSet.description || ''}`));
+        return 1;
+      }
+
+      const goldenSet = this.options.set.endsWith('.json')
+        ? await this.evaluationService.readGoldenSet(path.resolve(this.options.set))
+        : await this.evaluationService.loadGoldenSet(this.options.set);
+      const baseline = await this.getBaseline(goldenSet);
+
+      const run = await this.evaluationService.createRun(goldenSet, this.options);
+      console.log(`Evaluating ${goldenSet.name}: ${goldenSet.cases.length} cases with ${run.settings.provider} (${run.settings.chatModel})${run.settings.examples ? '' : ', without examples'}\n`);
+
+      const finished = await this.evaluationService.executeRun(run, goldenSet, {
+        examples: this.options.examples,
+        onCase: (result, index) => this.printCase(result, index, goldenSet.cases.length)
+      });
+      if (finished.status === 'failed') {
+        throw new Error(finished.error);
+      }
+
+      this.printSummary(finished);
+      const diff = baseline ? this.evaluationService.compareRuns(baseline, finished) : null;
+      if (diff) {
+        this.printDiff(diff);
+      }
+
+      if (this.options.output) {
+        await fs.writeFile(this.options.output, JSON.stringify({ run: finished, diff }, null, 2));
+        console.log(`\nWrote ${this.options.output}`);
+      }
+
+      if (this.options.minAccuracy !== undefined && finished.summary.accuracy < this.options.minAccuracy) {
+        console.log(`\nAccuracy ${formatPercent(finished.summary.accuracy)} is below ${formatPercent(this.options.minAccuracy)}`);
+        return 1;
+      }
+      return 0;
+    } finally {
+      await NLQFactory.getDatasourceService().closeAll();
+      await db.closeConnections();
+    }
+  }
+
+  /**
+   * Load the run to compare with (--compare <id> or --compare previous)
+   * @param {Object} goldenSet - Golden set being run
+   * @returns {Promise<Object|null>} Completed run, or null without --compare
+   */
+  async getBaseline(goldenSet) {
+    if (!this.options.compare) {
+      return null;
+    }
+
+    const repository = this.evaluationService.evaluationRunRepository;
+    const baseline = this.options.compare === 'previous'
+      ? await repository.findPreviousCompleted(goldenSet.name, Number.MAX_SAFE_INTEGER)
+      : await repository.findById(parseInt(this.options.compare));
+    if (!baseline || baseline.status !== 'completed') {
+      throw new Error(`No completed evaluation run ${this.options.compare} to compare with`);
+    }
+    return baseline;
+  }
+
+  /**
+   * Print a case result as soon as it is known
+   */
+  printCase(result, index, total) {
+    const status = result.passed ? 'PASS' : 'FAIL';
+    const failure = result.passed ? '' : `  ${result.category}${result.reason ? ` (${result.reason})` : ''}`;
+    console.log(`[${index + 1}/${total}] ${status} ${result.id}  ${formatMs(result.latencyMs)}${failure}`);
+    if (!result.passed && result.error) {
+      console.log(`        ${result.error}`);
+    }
+  }
+
+  /**
+   * Print accuracy, latency, failure categories and accuracy per tag
+   */
+  printSummary(run) {
+    const { summary } = run;
+    console.log(`\nRun ${run.id || '(not saved)'}${run.label ? ` "${run.label}"` : ''}`);
+    console.log(`Accuracy: ${formatPercent(summary.accuracy)} (${summary.passed}/${summary.scored}, ${summary.repaired} after repair)`);
+    if (summary.total > summary.scored) {
+      console.log(`Not scored: ${summary.total - summary.scored} cases whose golden SQL failed`);
+    }
+    console.log(`Latency: mean ${formatMs(summary.latency.mean)}, p50 ${formatMs(summary.latency.p50)}, p95 ${formatMs(summary.latency.p95)}, max ${formatMs(summary.latency.max)}`);
+    console.log(`Stages: ${Object.entries(summary.stageLatency).map(([stage, ms]) => `${stage} ${formatMs(ms)}`).join(', ')}`);
+
+    if (Object.keys(summary.failures).length > 0) {
+      console.log('Failures:');
+      Object.entries(summary.failures).forEach(([category, count]) => console.log(`  ${category}: ${count}`));
+    }
+    if (Object.keys(summary.byTag).length > 0) {
+      console.log('By tag:');
+      Object.entries(summary.byTag).forEach(([tag, counts]) => console.log(`  ${tag}: ${formatPercent(counts.accuracy)} (${counts.passed}/${counts.total})`));
+    }
+  }
+
+  /**
+   * Print the changes since the baseline run
+   */
+  printDiff(diff) {
+    console.log(`\nCompared with run ${diff.baseline.id}${diff.baseline.label ? ` "${diff.baseline.label}"` : ''}`);
+    console.log(`Accuracy: ${formatPercent(diff.baseline.accuracy)} -> ${formatPercent(diff.run.accuracy)} (${formatChange(diff.accuracyChange, formatPercent)})`);
+    console.log(`Latency: mean ${formatChange(diff.latencyChange.mean, formatMs)}, p95 ${formatChange(diff.latencyChange.p95, formatMs)}`);
+    diff.fixed.forEach(result => console.log(`  fixed      ${result.id} (was ${result.previousCategory})`));
+    diff.regressed.forEach(result => console.log(`  regressed  ${result.id}: ${result.category}`));
+    diff.stillFailing.forEach(result => console.log(`  failing    ${result.id}: ${result.category}`));
+  }
+}
+
+// Run evaluation if this file is executed directly
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  new Evaluator(options).evaluate()
+    .then((exitCode) => process.exit(exitCode))
+    .catch((error) => {
+      logger.error('Evaluation failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = Evaluator;
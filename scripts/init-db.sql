@@ -135,12 +135,33 @@ INSERT INTO repayments (loan_id, amount, payment_date, payment_method) VALUES
 (5, 1400, '2024-04-15', 'Bank Transfer')
 ON CONFLICT DO NOTHING;
 
+-- Low-privilege role used by the query sandbox (SANDBOX_ROLE)
+DO
+$do$
+BEGIN
+   IF NOT EXISTS (
+      SELECT FROM pg_catalog.pg_roles
+      WHERE  rolname = 'nlq_readonly') THEN
+
+      CREATE ROLE nlq_readonly NOLOGIN;
+   END IF;
+END
+$do$;
+
+GRANT USAGE ON SCHEMA public TO nlq_readonly;
+GRANT SELECT ON ALL TABLES IN SCHEMA public TO nlq_readonly;
+ALTER DEFAULT PRIVILEGES IN SCHEMA public GRANT SELECT ON TABLES TO nlq_readonly;
+GRANT nlq_readonly TO nlq_user;
+
 -- Connect to nlq_vectors and enable pgvector
 \c nlq_vectors;
 
 -- Enable pgvector extension
 CREATE EXTENSION IF NOT EXISTS vector;
 
+-- Trigram matching for schema retrieval
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
 -- Create schema metadata table
 CREATE TABLE IF NOT EXISTS schema_metadata (
     id SERIAL PRIMARY KEY,
@@ -177,9 +198,305 @@ CREATE TABLE IF NOT EXISTS query_logs (
     success BOOLEAN DEFAULT false,
     error_message TEXT,
     user_ip INET,
+    request_id VARCHAR(64),
+    request_type VARCHAR(20) DEFAULT 'nlq',
+    session_id UUID,
+    language VARCHAR(10),
+    row_count INTEGER,
+    attempt_count INTEGER,
+    stage_timings JSONB,
+    user_agent TEXT,
+    datasource VARCHAR(63),
+    principal_id VARCHAR(255),
+    tenant_id VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create conversation session tables
+CREATE TABLE IF NOT EXISTS nlq_sessions (
+    id UUID PRIMARY KEY,
+    title VARCHAR(255),
+    metadata JSONB DEFAULT '{}'::jsonb,
+    principal_id VARCHAR(255),
+    tenant_id VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS nlq_session_turns (
+    id SERIAL PRIMARY KEY,
+    session_id UUID NOT NULL REFERENCES nlq_sessions(id) ON DELETE CASCADE,
+    turn_index INTEGER NOT NULL,
+    question TEXT NOT NULL,
+    language VARCHAR(10) DEFAULT 'en',
+    generated_sql TEXT,
+    result_shape JSONB,
+    success BOOLEAN DEFAULT false,
+    error_message TEXT,
+    processing_time INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (session_id, turn_index)
+);
+
+-- Create business glossary table
+CREATE TABLE IF NOT EXISTS glossary_entries (
+    id SERIAL PRIMARY KEY,
+    entry_type VARCHAR(20) NOT NULL,
+    term VARCHAR(255),
+    table_name VARCHAR(255) NOT NULL,
+    column_name VARCHAR(255),
+    definition TEXT,
+    value TEXT,
+    tenant_id VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create stored query result tables (result paging)
+CREATE TABLE IF NOT EXISTS query_results (
+    id UUID PRIMARY KEY,
+    request_type VARCHAR(20) NOT NULL,
+    query_text TEXT,
+    sql TEXT NOT NULL,
+    datasource VARCHAR(63) NOT NULL DEFAULT 'default',
+    columns JSONB NOT NULL DEFAULT '[]'::jsonb,
+    row_count INTEGER NOT NULL DEFAULT 0,
+    total_rows INTEGER NOT NULL DEFAULT 0,
+    max_results INTEGER,
+    rows_expire_at TIMESTAMP,
+    principal_id VARCHAR(255),
+    tenant_id VARCHAR(255),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+CREATE TABLE IF NOT EXISTS query_result_rows (
+    result_id UUID NOT NULL REFERENCES query_results(id) ON DELETE CASCADE,
+    row_number INTEGER NOT NULL,
+    data JSONB NOT NULL,
+    PRIMARY KEY (result_id, row_number)
+);
+
+-- Create saved query and user dashboard tables
+CREATE TABLE IF NOT EXISTS saved_queries (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    question TEXT,
+    sql TEXT NOT NULL,
+    parameters JSONB NOT NULL DEFAULT '[]'::jsonb,
+    chart JSONB,
+    principal_id VARCHAR(255),
+    tenant_id VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS user_dashboards (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    principal_id VARCHAR(255),
+    tenant_id VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS dashboard_widgets (
+    id SERIAL PRIMARY KEY,
+    dashboard_id INTEGER NOT NULL REFERENCES user_dashboards(id) ON DELETE CASCADE,
+    saved_query_id INTEGER NOT NULL,
+    title VARCHAR(255),
+    position INTEGER NOT NULL DEFAULT 0,
+    parameters JSONB NOT NULL DEFAULT '{}'::jsonb,
+    layout JSONB
+);
+
+CREATE TABLE IF NOT EXISTS query_schedules (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    saved_query_id INTEGER,
+    question TEXT,
+    sql TEXT,
+    parameters JSONB NOT NULL DEFAULT '{}'::jsonb,
+    cron VARCHAR(100) NOT NULL,
+    timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+    condition JSONB NOT NULL,
+    notify VARCHAR(10) NOT NULL DEFAULT 'change',
+    webhook_target_ids INTEGER[] NOT NULL DEFAULT '{}',
+    run_as JSONB,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    next_run_at TIMESTAMPTZ,
+    last_run_at TIMESTAMPTZ,
+    last_value DOUBLE PRECISION,
+    last_triggered BOOLEAN NOT NULL DEFAULT FALSE,
+    principal_id VARCHAR(255),
+    tenant_id VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS schedule_runs (
+    id SERIAL PRIMARY KEY,
+    schedule_id INTEGER NOT NULL REFERENCES query_schedules(id) ON DELETE CASCADE,
+    trigger VARCHAR(10) NOT NULL,
+    status VARCHAR(10) NOT NULL,
+    value DOUBLE PRECISION,
+    previous_value DOUBLE PRECISION,
+    triggered BOOLEAN NOT NULL DEFAULT FALSE,
+    alerted BOOLEAN NOT NULL DEFAULT FALSE,
+    row_count INTEGER,
+    error TEXT,
+    deliveries JSONB NOT NULL DEFAULT '[]'::jsonb,
+    started_at TIMESTAMPTZ NOT NULL,
+    finished_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS webhook_targets (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    url TEXT NOT NULL,
+    secret TEXT,
+    headers JSONB NOT NULL DEFAULT '{}'::jsonb,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    tenant_id VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS api_keys (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    key_prefix VARCHAR(32) NOT NULL,
+    key_hash CHAR(64) NOT NULL UNIQUE,
+    user_id VARCHAR(255),
+    tenant_id VARCHAR(255) NOT NULL,
+    roles TEXT[] NOT NULL DEFAULT '{}',
+    attributes JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_by VARCHAR(255),
+    expires_at TIMESTAMPTZ,
+    last_used_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS access_policies (
+    id SERIAL PRIMARY KEY,
+    tenant_id VARCHAR(255) NOT NULL,
+    role VARCHAR(63) NOT NULL,
+    table_name VARCHAR(255) NOT NULL,
+    denied_columns TEXT[] NOT NULL DEFAULT '{}',
+    row_filter TEXT,
+    description TEXT,
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (tenant_id, role, table_name)
+);
+
+-- PII classification of columns (admin overrides and scan results) and per-role masking
+CREATE TABLE IF NOT EXISTS pii_columns (
+    id SERIAL PRIMARY KEY,
+    table_name VARCHAR(255) NOT NULL,
+    column_name VARCHAR(255) NOT NULL,
+    category VARCHAR(31),
+    source VARCHAR(10) NOT NULL,
+    detected_by VARCHAR(10),
+    updated_by VARCHAR(255),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (table_name, column_name)
+);
+
+CREATE TABLE IF NOT EXISTS masking_policies (
+    id SERIAL PRIMARY KEY,
+    tenant_id VARCHAR(255) NOT NULL,
+    role VARCHAR(63) NOT NULL,
+    category VARCHAR(31) NOT NULL,
+    strategy VARCHAR(10) NOT NULL,
+    description TEXT,
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (tenant_id, role, category)
+);
+
+-- Named datasources queries can target besides the primary database
+-- (passwords are encrypted by the application with DATASOURCE_ENCRYPTION_KEY)
+CREATE TABLE IF NOT EXISTS datasources (
+    id SERIAL PRIMARY KEY,
+    tenant_id VARCHAR(255) NOT NULL,
+    name VARCHAR(63) NOT NULL,
+    description TEXT,
+    host VARCHAR(255) NOT NULL,
+    port INTEGER NOT NULL DEFAULT 5432,
+    database_name VARCHAR(255) NOT NULL,
+    username VARCHAR(255) NOT NULL,
+    password_encrypted TEXT,
+    ssl BOOLEAN NOT NULL DEFAULT false,
+    sandbox_role VARCHAR(63),
+    allowed_roles TEXT[] NOT NULL DEFAULT '{}',
+    status VARCHAR(20) NOT NULL DEFAULT 'unknown',
+    last_error TEXT,
+    last_checked_at TIMESTAMP,
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (tenant_id, name)
+);
+
+-- Ratings and corrected SQL for logged questions; corrections await admin review
+CREATE TABLE IF NOT EXISTS query_feedback (
+    id SERIAL PRIMARY KEY,
+    query_log_id INTEGER NOT NULL REFERENCES query_logs(id) ON DELETE CASCADE,
+    tenant_id VARCHAR(255) NOT NULL,
+    user_id VARCHAR(255) NOT NULL,
+    rating VARCHAR(10) NOT NULL,
+    comment TEXT,
+    question TEXT NOT NULL,
+    generated_sql TEXT,
+    datasource VARCHAR(63),
+    tables TEXT[] NOT NULL DEFAULT '{}',
+    patterns TEXT[] NOT NULL DEFAULT '{}',
+    corrected_sql TEXT,
+    review_status VARCHAR(20),
+    review_note TEXT,
+    reviewed_by VARCHAR(255),
+    reviewed_at TIMESTAMP,
+    example_id INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (query_log_id, user_id)
+);
+
+-- Golden set evaluation runs with their summary and per-case results
+CREATE TABLE IF NOT EXISTS eval_runs (
+    id SERIAL PRIMARY KEY,
+    golden_set VARCHAR(255) NOT NULL,
+    label VARCHAR(255),
+    status VARCHAR(20) NOT NULL DEFAULT 'running',
+    settings JSONB NOT NULL DEFAULT '{}',
+    summary JSONB,
+    results JSONB NOT NULL DEFAULT '[]',
+    error TEXT,
+    created_by VARCHAR(255),
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP
+);
+
+-- Create clarification table (requests waiting for an answer to a clarifying question)
+CREATE TABLE IF NOT EXISTS query_clarifications (
+    id UUID PRIMARY KEY,
+    principal_id VARCHAR(255),
+    tenant_id VARCHAR(255),
+    question TEXT NOT NULL,
+    clarification JSONB NOT NULL,
+    request JSONB NOT NULL DEFAULT '{}',
+    conversation_context JSONB NOT NULL DEFAULT '[]',
+    relevant_tables JSONB NOT NULL DEFAULT '[]',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL
+);
+
 -- Create indexes
 CREATE INDEX IF NOT EXISTS schema_metadata_embedding_idx 
 ON schema_metadata USING ivfflat (embedding vector_cosine_ops) 
@@ -191,6 +508,39 @@ ON schema_metadata (table_name);
 CREATE INDEX IF NOT EXISTS query_logs_created_at_idx 
 ON query_logs (created_at);
 
+CREATE INDEX IF NOT EXISTS query_logs_request_id_idx 
+ON query_logs (request_id);
+
+CREATE INDEX IF NOT EXISTS query_feedback_review_idx 
+ON query_feedback (review_status, created_at);
+
+CREATE INDEX IF NOT EXISTS eval_runs_golden_set_idx 
+ON eval_runs (golden_set, started_at);
+
+CREATE INDEX IF NOT EXISTS glossary_entries_table_idx 
+ON glossary_entries (table_name);
+
+CREATE INDEX IF NOT EXISTS query_results_rows_expire_at_idx 
+ON query_results (rows_expire_at);
+
+CREATE INDEX IF NOT EXISTS dashboard_widgets_dashboard_idx 
+ON dashboard_widgets (dashboard_id, position);
+
+CREATE INDEX IF NOT EXISTS dashboard_widgets_saved_query_idx 
+ON dashboard_widgets (saved_query_id);
+
+CREATE INDEX IF NOT EXISTS query_schedules_due_idx 
+ON query_schedules (next_run_at) WHERE enabled;
+
+CREATE INDEX IF NOT EXISTS schedule_runs_schedule_idx 
+ON schedule_runs (schedule_id, started_at DESC);
+
+CREATE INDEX IF NOT EXISTS api_keys_tenant_idx 
+ON api_keys (tenant_id);
+
+CREATE INDEX IF NOT EXISTS query_clarifications_expires_at_idx 
+ON query_clarifications (expires_at);
+
 -- Insert table relationships
 INSERT INTO table_relationships (source_table, target_table, source_column, target_column, relationship_type, description) VALUES
 ('loans', 'customers', 'customer_id', 'id', 'foreign_key', 'Loan belongs to customer'),
@@ -39,6 +39,9 @@ class DatabaseMigrator {
       // Create primary database tables
       await this.createPrimaryTables();
 
+      // Create the read-only role used by the query sandbox
+      await this.createSandboxRole();
+
       // Create vector database tables
       await this.createVectorTables();
 
@@ -172,6 +175,35 @@ class DatabaseMigrator {
     }
   }
 
+  /**
+   * Create the low-privilege role that sandboxed queries run under
+   */
+  async createSandboxRole() {
+    const client = await this.primaryDB.connect();
+    const role = process.env.SANDBOX_ROLE || 'nlq_readonly';
+    const quotedRole = `"${role.replace(/"/g, '""')}"`;
+
+    try {
+      const existing = await client.query('SELECT 1 FROM pg_roles WHERE rolname = $1', [role]);
+      if (existing.rows.length === 0) {
+        await client.query(`CREATE ROLE ${quotedRole} NOLOGIN`);
+      }
+
+      await client.query(`GRANT USAGE ON SCHEMA public TO ${quotedRole}`);
+      await client.query(`GRANT SELECT ON ALL TABLES IN SCHEMA public TO ${quotedRole}`);
+      await client.query(`ALTER DEFAULT PRIVILEGES IN SCHEMA public GRANT SELECT ON TABLES TO ${quotedRole}`);
+      await client.query(`GRANT ${quotedRole} TO CURRENT_USER`);
+
+      logger.info(`Sandbox role ${role} is ready`);
+
+    } catch (error) {
+      logger.error('Failed to create sandbox role:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
   /**
    * Create vector database tables
    */
@@ -182,6 +214,9 @@ class DatabaseMigrator {
       // Enable pgvector extension
       await client.query('CREATE EXTENSION IF NOT EXISTS vector;');
 
+      // Enable trigram matching used by schema retrieval
+      await client.query('CREATE EXTENSION IF NOT EXISTS pg_trgm;');
+
       // Create schema metadata table
       await client.query(`
         CREATE TABLE IF NOT EXISTS schema_metadata (
@@ -227,6 +262,345 @@ class DatabaseMigrator {
         );
       `);
 
+      // Audit columns (ALTER so existing installs pick them up)
+      await client.query(`
+        ALTER TABLE query_logs
+          ADD COLUMN IF NOT EXISTS request_id VARCHAR(64),
+          ADD COLUMN IF NOT EXISTS request_type VARCHAR(20) DEFAULT 'nlq',
+          ADD COLUMN IF NOT EXISTS session_id UUID,
+          ADD COLUMN IF NOT EXISTS language VARCHAR(10),
+          ADD COLUMN IF NOT EXISTS row_count INTEGER,
+          ADD COLUMN IF NOT EXISTS attempt_count INTEGER,
+          ADD COLUMN IF NOT EXISTS stage_timings JSONB,
+          ADD COLUMN IF NOT EXISTS user_agent TEXT,
+          ADD COLUMN IF NOT EXISTS datasource VARCHAR(63),
+          ADD COLUMN IF NOT EXISTS principal_id VARCHAR(255),
+          ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(255);
+      `);
+
+      // Create conversation session tables
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS nlq_sessions (
+          id UUID PRIMARY KEY,
+          title VARCHAR(255),
+          metadata JSONB DEFAULT '{}'::jsonb,
+          principal_id VARCHAR(255),
+          tenant_id VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS nlq_session_turns (
+          id SERIAL PRIMARY KEY,
+          session_id UUID NOT NULL REFERENCES nlq_sessions(id) ON DELETE CASCADE,
+          turn_index INTEGER NOT NULL,
+          question TEXT NOT NULL,
+          language VARCHAR(10) DEFAULT 'en',
+          generated_sql TEXT,
+          result_shape JSONB,
+          success BOOLEAN DEFAULT false,
+          error_message TEXT,
+          processing_time INTEGER,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (session_id, turn_index)
+        );
+      `);
+
+      // Create business glossary table
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS glossary_entries (
+          id SERIAL PRIMARY KEY,
+          entry_type VARCHAR(20) NOT NULL,
+          term VARCHAR(255),
+          table_name VARCHAR(255) NOT NULL,
+          column_name VARCHAR(255),
+          definition TEXT,
+          value TEXT,
+          tenant_id VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      // Create stored query result tables (result paging)
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS query_results (
+          id UUID PRIMARY KEY,
+          request_type VARCHAR(20) NOT NULL,
+          query_text TEXT,
+          sql TEXT NOT NULL,
+          datasource VARCHAR(63) NOT NULL DEFAULT 'default',
+          columns JSONB NOT NULL DEFAULT '[]'::jsonb,
+          row_count INTEGER NOT NULL DEFAULT 0,
+          total_rows INTEGER NOT NULL DEFAULT 0,
+          max_results INTEGER,
+          rows_expire_at TIMESTAMP,
+          principal_id VARCHAR(255),
+          tenant_id VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS query_result_rows (
+          result_id UUID NOT NULL REFERENCES query_results(id) ON DELETE CASCADE,
+          row_number INTEGER NOT NULL,
+          data JSONB NOT NULL,
+          PRIMARY KEY (result_id, row_number)
+        );
+      `);
+
+      // Create saved query and user dashboard tables
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS saved_queries (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          description TEXT,
+          question TEXT,
+          sql TEXT NOT NULL,
+          parameters JSONB NOT NULL DEFAULT '[]'::jsonb,
+          chart JSONB,
+          principal_id VARCHAR(255),
+          tenant_id VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS user_dashboards (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          description TEXT,
+          principal_id VARCHAR(255),
+          tenant_id VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS dashboard_widgets (
+          id SERIAL PRIMARY KEY,
+          dashboard_id INTEGER NOT NULL REFERENCES user_dashboards(id) ON DELETE CASCADE,
+          saved_query_id INTEGER NOT NULL,
+          title VARCHAR(255),
+          position INTEGER NOT NULL DEFAULT 0,
+          parameters JSONB NOT NULL DEFAULT '{}'::jsonb,
+          layout JSONB
+        );
+      `);
+
+      // Create scheduled query, run history and webhook target tables
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS query_schedules (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          description TEXT,
+          saved_query_id INTEGER,
+          question TEXT,
+          sql TEXT,
+          parameters JSONB NOT NULL DEFAULT '{}'::jsonb,
+          cron VARCHAR(100) NOT NULL,
+          timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+          condition JSONB NOT NULL,
+          notify VARCHAR(10) NOT NULL DEFAULT 'change',
+          webhook_target_ids INTEGER[] NOT NULL DEFAULT '{}',
+          run_as JSONB,
+          enabled BOOLEAN NOT NULL DEFAULT TRUE,
+          next_run_at TIMESTAMPTZ,
+          last_run_at TIMESTAMPTZ,
+          last_value DOUBLE PRECISION,
+          last_triggered BOOLEAN NOT NULL DEFAULT FALSE,
+          principal_id VARCHAR(255),
+          tenant_id VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS schedule_runs (
+          id SERIAL PRIMARY KEY,
+          schedule_id INTEGER NOT NULL REFERENCES query_schedules(id) ON DELETE CASCADE,
+          trigger VARCHAR(10) NOT NULL,
+          status VARCHAR(10) NOT NULL,
+          value DOUBLE PRECISION,
+          previous_value DOUBLE PRECISION,
+          triggered BOOLEAN NOT NULL DEFAULT FALSE,
+          alerted BOOLEAN NOT NULL DEFAULT FALSE,
+          row_count INTEGER,
+          error TEXT,
+          deliveries JSONB NOT NULL DEFAULT '[]'::jsonb,
+          started_at TIMESTAMPTZ NOT NULL,
+          finished_at TIMESTAMPTZ NOT NULL
+        );
+      `);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS webhook_targets (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          url TEXT NOT NULL,
+          secret TEXT,
+          headers JSONB NOT NULL DEFAULT '{}'::jsonb,
+          enabled BOOLEAN NOT NULL DEFAULT TRUE,
+          tenant_id VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      // Create API key table (only key hashes are stored)
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS api_keys (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          key_prefix VARCHAR(32) NOT NULL,
+          key_hash CHAR(64) NOT NULL UNIQUE,
+          user_id VARCHAR(255),
+          tenant_id VARCHAR(255) NOT NULL,
+          roles TEXT[] NOT NULL DEFAULT '{}',
+          attributes JSONB NOT NULL DEFAULT '{}'::jsonb,
+          created_by VARCHAR(255),
+          expires_at TIMESTAMPTZ,
+          last_used_at TIMESTAMPTZ,
+          revoked_at TIMESTAMPTZ,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      // Create access policy table (role grants over tables, columns and rows)
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS access_policies (
+          id SERIAL PRIMARY KEY,
+          tenant_id VARCHAR(255) NOT NULL,
+          role VARCHAR(63) NOT NULL,
+          table_name VARCHAR(255) NOT NULL,
+          denied_columns TEXT[] NOT NULL DEFAULT '{}',
+          row_filter TEXT,
+          description TEXT,
+          created_by VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (tenant_id, role, table_name)
+        );
+      `);
+
+      // Create PII classification and masking policy tables
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS pii_columns (
+          id SERIAL PRIMARY KEY,
+          table_name VARCHAR(255) NOT NULL,
+          column_name VARCHAR(255) NOT NULL,
+          category VARCHAR(31),
+          source VARCHAR(10) NOT NULL,
+          detected_by VARCHAR(10),
+          updated_by VARCHAR(255),
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (table_name, column_name)
+        );
+
+        CREATE TABLE IF NOT EXISTS masking_policies (
+          id SERIAL PRIMARY KEY,
+          tenant_id VARCHAR(255) NOT NULL,
+          role VARCHAR(63) NOT NULL,
+          category VARCHAR(31) NOT NULL,
+          strategy VARCHAR(10) NOT NULL,
+          description TEXT,
+          created_by VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (tenant_id, role, category)
+        );
+      `);
+
+      // Create named datasource table (passwords are encrypted by the application)
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS datasources (
+          id SERIAL PRIMARY KEY,
+          tenant_id VARCHAR(255) NOT NULL,
+          name VARCHAR(63) NOT NULL,
+          description TEXT,
+          host VARCHAR(255) NOT NULL,
+          port INTEGER NOT NULL DEFAULT 5432,
+          database_name VARCHAR(255) NOT NULL,
+          username VARCHAR(255) NOT NULL,
+          password_encrypted TEXT,
+          ssl BOOLEAN NOT NULL DEFAULT false,
+          sandbox_role VARCHAR(63),
+          allowed_roles TEXT[] NOT NULL DEFAULT '{}',
+          status VARCHAR(20) NOT NULL DEFAULT 'unknown',
+          last_error TEXT,
+          last_checked_at TIMESTAMP,
+          created_by VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (tenant_id, name)
+        );
+      `);
+
+      // Create answer feedback table (ratings and corrections awaiting review)
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS query_feedback (
+          id SERIAL PRIMARY KEY,
+          query_log_id INTEGER NOT NULL REFERENCES query_logs(id) ON DELETE CASCADE,
+          tenant_id VARCHAR(255) NOT NULL,
+          user_id VARCHAR(255) NOT NULL,
+          rating VARCHAR(10) NOT NULL,
+          comment TEXT,
+          question TEXT NOT NULL,
+          generated_sql TEXT,
+          datasource VARCHAR(63),
+          tables TEXT[] NOT NULL DEFAULT '{}',
+          patterns TEXT[] NOT NULL DEFAULT '{}',
+          corrected_sql TEXT,
+          review_status VARCHAR(20),
+          review_note TEXT,
+          reviewed_by VARCHAR(255),
+          reviewed_at TIMESTAMP,
+          example_id INTEGER,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (query_log_id, user_id)
+        );
+      `);
+
+      // Create evaluation run table (golden set runs, their summary and per-case results)
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS eval_runs (
+          id SERIAL PRIMARY KEY,
+          golden_set VARCHAR(255) NOT NULL,
+          label VARCHAR(255),
+          status VARCHAR(20) NOT NULL DEFAULT 'running',
+          settings JSONB NOT NULL DEFAULT '{}',
+          summary JSONB,
+          results JSONB NOT NULL DEFAULT '[]',
+          error TEXT,
+          created_by VARCHAR(255),
+          started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          finished_at TIMESTAMP
+        );
+      `);
+
+      // Create clarification table (requests waiting for an answer to a clarifying question)
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS query_clarifications (
+          id UUID PRIMARY KEY,
+          principal_id VARCHAR(255),
+          tenant_id VARCHAR(255),
+          question TEXT NOT NULL,
+          clarification JSONB NOT NULL,
+          request JSONB NOT NULL DEFAULT '{}',
+          conversation_context JSONB NOT NULL DEFAULT '[]',
+          relevant_tables JSONB NOT NULL DEFAULT '[]',
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          expires_at TIMESTAMP NOT NULL
+        );
+      `);
+
       logger.info('Vector database tables created successfully');
 
     } catch (error) {
@@ -262,6 +636,61 @@ class DatabaseMigrator {
         ON query_logs (created_at);
       `);
 
+      await vectorClient.query(`
+        CREATE INDEX IF NOT EXISTS query_logs_request_id_idx 
+        ON query_logs (request_id);
+      `);
+
+      await vectorClient.query(`
+        CREATE INDEX IF NOT EXISTS query_feedback_review_idx 
+        ON query_feedback (review_status, created_at);
+      `);
+
+      await vectorClient.query(`
+        CREATE INDEX IF NOT EXISTS eval_runs_golden_set_idx 
+        ON eval_runs (golden_set, started_at);
+      `);
+
+      await vectorClient.query(`
+        CREATE INDEX IF NOT EXISTS glossary_entries_table_idx 
+        ON glossary_entries (table_name);
+      `);
+
+      await vectorClient.query(`
+        CREATE INDEX IF NOT EXISTS query_results_rows_expire_at_idx 
+        ON query_results (rows_expire_at);
+      `);
+
+      await vectorClient.query(`
+        CREATE INDEX IF NOT EXISTS dashboard_widgets_dashboard_idx 
+        ON dashboard_widgets (dashboard_id, position);
+      `);
+
+      await vectorClient.query(`
+        CREATE INDEX IF NOT EXISTS dashboard_widgets_saved_query_idx 
+        ON dashboard_widgets (saved_query_id);
+      `);
+
+      await vectorClient.query(`
+        CREATE INDEX IF NOT EXISTS query_schedules_due_idx 
+        ON query_schedules (next_run_at) WHERE enabled;
+      `);
+
+      await vectorClient.query(`
+        CREATE INDEX IF NOT EXISTS schedule_runs_schedule_idx 
+        ON schedule_runs (schedule_id, started_at DESC);
+      `);
+
+      await vectorClient.query(`
+        CREATE INDEX IF NOT EXISTS api_keys_tenant_idx 
+        ON api_keys (tenant_id);
+      `);
+
+      await vectorClient.query(`
+        CREATE INDEX IF NOT EXISTS query_clarifications_expires_at_idx 
+        ON query_clarifications (expires_at);
+      `);
+
       logger.info('Database indexes created successfully');
 
     } catch (error) {
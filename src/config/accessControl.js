@@ -0,0 +1,25 @@
+/**
+ * Access control configuration
+ * Role-based policies over tables, columns and rows (see AccessPolicyService)
+ */
+
+const { parseList } = require('./sqlSafety');
+
+/**
+ * Build access control configuration from environment variables
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} Access control configuration
+ */
+const getAccessControlConfig = (env = process.env) => ({
+  enabled: env.ACCESS_CONTROL_ENABLED !== 'false',
+  // Tenant the bootstrap admin manages when it names none (same as auth)
+  defaultTenant: env.AUTH_DEFAULT_TENANT || 'default',
+  // 'deny': roles only see tables a policy grants them; 'allow': tables without a policy stay open
+  defaultAccess: env.ACCESS_CONTROL_DEFAULT === 'allow' ? 'allow' : 'deny',
+  // Roles that are never restricted
+  bypassRoles: env.ACCESS_CONTROL_BYPASS_ROLES !== undefined ? parseList(env.ACCESS_CONTROL_BYPASS_ROLES) : ['admin'],
+  // How long policies and table columns are cached
+  cacheTtlMs: parseInt(env.ACCESS_CONTROL_CACHE_TTL_MS) || 60000
+});
+
+module.exports = { getAccessControlConfig };
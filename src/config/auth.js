@@ -0,0 +1,38 @@
+/**
+ * Authentication configuration
+ * API keys and JWT bearer tokens accepted on /api routes
+ */
+
+/**
+ * Parse a comma-separated list, keeping case (paths and claim values are case-sensitive)
+ * @param {string} value - Raw value
+ * @returns {Array<string>} Trimmed entries
+ */
+const parseList = (value) => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : []);
+
+/**
+ * Build authentication configuration from environment variables
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} Auth configuration
+ */
+const getAuthConfig = (env = process.env) => ({
+  // With AUTH_ENABLED=false every request runs as an anonymous admin of the default tenant
+  enabled: env.AUTH_ENABLED !== 'false',
+  defaultTenant: env.AUTH_DEFAULT_TENANT || 'default',
+  // Paths under /api reachable without credentials
+  publicPaths: env.AUTH_PUBLIC_PATHS !== undefined ? parseList(env.AUTH_PUBLIC_PATHS) : ['/api/nlq/health'],
+  // Key with admin rights over every tenant, for issuing the first API keys
+  bootstrapKey: env.ADMIN_API_KEY || null,
+  jwt: {
+    // JWT bearer tokens are rejected while no secret is set
+    secret: env.JWT_SECRET || null,
+    algorithms: parseList(env.JWT_ALGORITHMS).length > 0 ? parseList(env.JWT_ALGORITHMS) : ['HS256'],
+    issuer: env.JWT_ISSUER || undefined,
+    audience: env.JWT_AUDIENCE || undefined,
+    tenantClaim: env.JWT_TENANT_CLAIM || 'tenant',
+    rolesClaim: env.JWT_ROLES_CLAIM || 'roles',
+    attributesClaim: env.JWT_ATTRIBUTES_CLAIM || 'attributes'
+  }
+});
+
+module.exports = { getAuthConfig };
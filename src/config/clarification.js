@@ -0,0 +1,20 @@
+/**
+ * Clarification configuration
+ * Ambiguous questions can be answered with a clarifying question and options
+ * instead of SQL; the caller's answer resumes the request (see ClarificationService)
+ */
+
+/**
+ * Build clarification configuration from environment variables
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} Clarification configuration
+ */
+const getClarificationConfig = (env = process.env) => ({
+  enabled: env.CLARIFICATION_ENABLED !== 'false',
+  // Unanswered clarifications expire; the question must then be asked again
+  ttlMinutes: parseInt(env.CLARIFICATION_TTL_MINUTES) || 30,
+  // Options offered per clarification (the LLM is asked for 2 up to this many)
+  maxOptions: parseInt(env.CLARIFICATION_MAX_OPTIONS) || 4
+});
+
+module.exports = { getClarificationConfig };
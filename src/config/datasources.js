@@ -0,0 +1,25 @@
+/**
+ * Datasource configuration
+ * Named databases registered at runtime, besides the primary database (see DatasourceService)
+ */
+
+// Name of the primary database configured through DB_* variables
+const DEFAULT_DATASOURCE = 'default';
+
+/**
+ * Build datasource configuration from environment variables
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} Datasource configuration
+ */
+const getDatasourceConfig = (env = process.env) => ({
+  // Encrypts stored passwords; datasources cannot be registered or used without it
+  encryptionKey: env.DATASOURCE_ENCRYPTION_KEY || null,
+  // Tenant the bootstrap admin manages when it names none (same as auth)
+  defaultTenant: env.AUTH_DEFAULT_TENANT || 'default',
+  // Connections per datasource pool
+  poolMax: parseInt(env.DATASOURCE_POOL_MAX) || 5,
+  idleTimeoutMs: parseInt(env.DATASOURCE_IDLE_TIMEOUT_MS) || 30000,
+  connectionTimeoutMs: parseInt(env.DATASOURCE_CONNECTION_TIMEOUT_MS) || 5000
+});
+
+module.exports = { getDatasourceConfig, DEFAULT_DATASOURCE };
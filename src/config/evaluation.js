@@ -0,0 +1,22 @@
+/**
+ * Evaluation configuration
+ * Golden question sets the NLQ pipeline is measured against (see EvaluationService)
+ */
+
+const path = require('path');
+
+/**
+ * Build evaluation configuration from environment variables
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} Evaluation configuration
+ */
+const getEvaluationConfig = (env = process.env) => ({
+  // Directory of golden set files (<name>.json)
+  goldenSetDir: env.EVAL_GOLDEN_SET_DIR || path.resolve(__dirname, '../../eval/golden'),
+  // Significant digits numeric cells are compared on, so 12.5 matches 12.500000001
+  precision: env.EVAL_NUMERIC_PRECISION ? parseInt(env.EVAL_NUMERIC_PRECISION) : 6,
+  // Rows fetched per result; both sides must fit for a fair comparison
+  maxRows: env.EVAL_MAX_ROWS ? parseInt(env.EVAL_MAX_ROWS) : 1000
+});
+
+module.exports = { getEvaluationConfig };
@@ -0,0 +1,156 @@
+/**
+ * Few-shot example configuration
+ * Curated question→SQL pairs shown to the LLM when generating SQL (see SqlExampleService)
+ */
+
+/**
+ * Build few-shot example configuration from environment variables
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} Example configuration
+ */
+const getExampleConfig = (env = process.env) => ({
+  enabled: env.FEW_SHOT_ENABLED !== 'false',
+  // Examples added to a generation prompt
+  limit: env.FEW_SHOT_EXAMPLES ? parseInt(env.FEW_SHOT_EXAMPLES) : 3,
+  // Less similar examples mislead more than they help
+  minSimilarity: env.FEW_SHOT_MIN_SIMILARITY ? parseFloat(env.FEW_SHOT_MIN_SIMILARITY) : 0.3,
+  // Store SEED_EXAMPLES when the example table is created
+  seed: env.FEW_SHOT_SEED !== 'false'
+});
+
+/**
+ * Starter examples for the e-commerce schema, taken from the hand-tuned
+ * patterns of SimpleNLQService; stored when the example table is created
+ */
+const SEED_EXAMPLES = [
+  {
+    question: "What is today's highest order value?",
+    tables: ['orders', 'customers'],
+    description: 'Largest order placed today, with the customer',
+    sql: `SELECT o.id AS order_id, o.customer_id, o.total_amount, o.created_at, c.first_name, c.last_name
+FROM orders o
+JOIN customers c ON o.customer_id = c.id
+WHERE DATE(o.created_at) = CURRENT_DATE
+ORDER BY o.total_amount DESC
+LIMIT 1`
+  },
+  {
+    question: 'Which order has the highest order amount of all time?',
+    tables: ['orders', 'customers'],
+    description: 'Largest order ever placed, with the customer',
+    sql: `SELECT o.id AS order_id, o.customer_id, o.total_amount, o.created_at, c.first_name, c.last_name
+FROM orders o
+JOIN customers c ON o.customer_id = c.id
+ORDER BY o.total_amount DESC
+LIMIT 1`
+  },
+  {
+    question: 'What are the total sales today?',
+    tables: ['orders'],
+    description: 'Revenue counts delivered, shipped and completed orders only',
+    sql: `SELECT COALESCE(SUM(total_amount), 0) AS total_sales, COUNT(*) AS order_count
+FROM orders
+WHERE DATE(created_at) = CURRENT_DATE
+AND status IN ('delivered', 'shipped', 'completed')`
+  },
+  {
+    question: 'Total revenue this month',
+    tables: ['orders'],
+    description: 'Revenue counts delivered, shipped and completed orders only',
+    sql: `SELECT COALESCE(SUM(total_amount), 0) AS total_sales, COUNT(*) AS order_count
+FROM orders
+WHERE DATE_TRUNC('month', created_at) = DATE_TRUNC('month', CURRENT_DATE)
+AND status IN ('delivered', 'shipped', 'completed')`
+  },
+  {
+    question: 'Show the top 10 best selling products',
+    tables: ['order_items', 'products', 'categories', 'orders'],
+    description: 'Ranked by quantity sold in fulfilled orders, with revenue and category',
+    sql: `SELECT p.name AS product_name, c.name AS category_name,
+  SUM(oi.quantity) AS total_quantity, SUM(oi.total_price) AS total_revenue
+FROM order_items oi
+JOIN products p ON oi.product_id = p.id
+JOIN categories c ON p.category_id = c.id
+JOIN orders o ON oi.order_id = o.id
+WHERE o.status IN ('delivered', 'shipped', 'completed')
+GROUP BY p.id, p.name, c.name
+ORDER BY total_quantity DESC
+LIMIT 10`
+  },
+  {
+    question: 'List the most recent orders',
+    tables: ['orders', 'customers'],
+    description: 'Latest 10 orders with the customer',
+    sql: `SELECT o.id AS order_id, o.customer_id, o.total_amount, o.status, o.created_at, c.first_name, c.last_name
+FROM orders o
+JOIN customers c ON o.customer_id = c.id
+ORDER BY o.created_at DESC
+LIMIT 10`
+  },
+  {
+    question: 'How many customers do we have, and how many are new?',
+    tables: ['customers'],
+    description: 'New customers are those created in the last 30 days',
+    sql: `SELECT COUNT(*) AS total_customers,
+  COUNT(CASE WHEN created_at >= CURRENT_DATE - INTERVAL '30 days' THEN 1 END) AS new_customers_30_days
+FROM customers`
+  },
+  {
+    question: 'Daily order count for the current month',
+    tables: ['orders'],
+    description: 'One row per day with orders and revenue',
+    sql: `SELECT DATE(created_at) AS order_date, COUNT(*) AS order_count, SUM(total_amount) AS daily_revenue
+FROM orders
+WHERE DATE_TRUNC('month', created_at) = DATE_TRUNC('month', CURRENT_DATE)
+GROUP BY DATE(created_at)
+ORDER BY order_date ASC`
+  },
+  {
+    question: 'Show the order trend over the last 30 days',
+    tables: ['orders'],
+    description: 'One row per day with orders and revenue',
+    sql: `SELECT DATE(created_at) AS order_date, COUNT(*) AS order_count, SUM(total_amount) AS daily_revenue
+FROM orders
+WHERE created_at >= CURRENT_DATE - INTERVAL '30 days'
+GROUP BY DATE(created_at)
+ORDER BY order_date ASC`
+  },
+  {
+    question: 'What is our conversion rate?',
+    tables: ['orders'],
+    description: 'Share of ordering customers with at least one fulfilled order, in percent',
+    sql: `SELECT COUNT(DISTINCT o.customer_id) AS total_customers,
+  COUNT(DISTINCT CASE WHEN o.status IN ('delivered', 'shipped', 'completed') THEN o.customer_id END) AS converted_customers,
+  ROUND(
+    (COUNT(DISTINCT CASE WHEN o.status IN ('delivered', 'shipped', 'completed') THEN o.customer_id END)::DECIMAL /
+     NULLIF(COUNT(DISTINCT o.customer_id), 0)) * 100, 2
+  ) AS conversion_rate
+FROM orders o`
+  },
+  {
+    question: 'Who are the top 5 customers by total spend?',
+    tables: ['customers', 'orders'],
+    description: 'Customers without orders count as zero spend',
+    sql: `SELECT c.id AS customer_id, c.first_name, c.last_name, c.email,
+  COUNT(o.id) AS total_orders, COALESCE(SUM(o.total_amount), 0) AS total_spent
+FROM customers c
+LEFT JOIN orders o ON c.id = o.customer_id
+GROUP BY c.id, c.first_name, c.last_name, c.email
+ORDER BY total_spent DESC, total_orders DESC
+LIMIT 5`
+  },
+  {
+    question: 'Which customers placed the most orders?',
+    tables: ['customers', 'orders'],
+    description: 'Top 5 customers by number of orders, with their spend',
+    sql: `SELECT c.id AS customer_id, c.first_name, c.last_name, c.email,
+  COUNT(o.id) AS total_orders, COALESCE(SUM(o.total_amount), 0) AS total_spent
+FROM customers c
+LEFT JOIN orders o ON c.id = o.customer_id
+GROUP BY c.id, c.first_name, c.last_name, c.email
+ORDER BY total_orders DESC, total_spent DESC
+LIMIT 5`
+  }
+];
+
+module.exports = { getExampleConfig, SEED_EXAMPLES };
@@ -0,0 +1,26 @@
+/**
+ * LLM provider configuration
+ * Resolves which chat and embedding provider the NLQ pipeline should use
+ */
+
+const { GEMINI_API_KEY } = require('../environment');
+
+/**
+ * Build LLM configuration from environment variables
+ * Model names left empty fall back to the selected provider's defaults
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} LLM configuration
+ */
+const getLLMConfig = (env = process.env) => ({
+  provider: (env.LLM_PROVIDER || 'gemini').toLowerCase(),
+  chatModel: env.LLM_CHAT_MODEL || null,
+  embeddingModel: env.LLM_EMBEDDING_MODEL || null,
+  temperature: env.LLM_TEMPERATURE ? parseFloat(env.LLM_TEMPERATURE) : 0.1,
+  embeddingDimensions: parseInt(env.EMBEDDING_DIMENSIONS) || 768,
+  geminiApiKey: env.GEMINI_API_KEY || GEMINI_API_KEY,
+  openaiApiKey: env.OPENAI_API_KEY,
+  localBaseUrl: env.LLM_BASE_URL || 'http://localhost:11434/v1',
+  localApiKey: env.LLM_API_KEY || 'not-needed'
+});
+
+module.exports = { getLLMConfig };
@@ -0,0 +1,32 @@
+/**
+ * Data masking configuration
+ * PII column classification and per-role masking of query results (see DataMaskingService)
+ */
+
+const crypto = require('crypto');
+const { parseList } = require('./sqlSafety');
+
+const STRATEGIES = ['none', 'partial', 'hash', 'redact'];
+
+/**
+ * Build data masking configuration from environment variables
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} Masking configuration
+ */
+const getMaskingConfig = (env = process.env) => ({
+  enabled: env.MASKING_ENABLED !== 'false',
+  // Tenant the bootstrap admin manages when it names none (same as auth)
+  defaultTenant: env.AUTH_DEFAULT_TENANT || 'default',
+  // Strategy for PII categories no policy of the caller's roles covers
+  defaultStrategy: STRATEGIES.includes(env.MASKING_DEFAULT_STRATEGY) ? env.MASKING_DEFAULT_STRATEGY : 'partial',
+  // Roles that always see clear values
+  unmaskedRoles: env.MASKING_UNMASKED_ROLES !== undefined ? parseList(env.MASKING_UNMASKED_ROLES) : ['admin'],
+  // HMAC key of the hash strategy; without one, hashes only stay stable until restart
+  hashSecret: env.MASKING_HASH_SECRET || crypto.randomBytes(32).toString('hex'),
+  // Values read per column when scanning for PII patterns
+  scanSampleSize: parseInt(env.MASKING_SCAN_SAMPLE_SIZE) || 50,
+  // How long classifications and policies are cached
+  cacheTtlMs: parseInt(env.MASKING_CACHE_TTL_MS) || 60000
+});
+
+module.exports = { getMaskingConfig, STRATEGIES };
@@ -0,0 +1,22 @@
+/**
+ * Query cache configuration
+ * Reuse of validated SQL for repeated and paraphrased questions (see QueryCacheService)
+ */
+
+/**
+ * Build query cache configuration from environment variables
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} Query cache configuration
+ */
+const getQueryCacheConfig = (env = process.env) => ({
+  enabled: env.QUERY_CACHE_ENABLED !== 'false',
+  // Second level: questions whose embedding is this close to a cached one reuse its SQL
+  semanticEnabled: env.QUERY_CACHE_SEMANTIC !== 'false',
+  similarityThreshold: env.QUERY_CACHE_SIMILARITY_THRESHOLD ? parseFloat(env.QUERY_CACHE_SIMILARITY_THRESHOLD) : 0.92,
+  // Entries older than this are ignored and pruned (default 7 days)
+  ttlMs: parseInt(env.QUERY_CACHE_TTL_MS) || 7 * 24 * 60 * 60 * 1000,
+  // Tenant the bootstrap admin manages when it names none (same as auth)
+  defaultTenant: env.AUTH_DEFAULT_TENANT || 'default'
+});
+
+module.exports = { getQueryCacheConfig };
@@ -0,0 +1,25 @@
+/**
+ * Query result configuration
+ * Controls how many rows are kept per answer, how they are paged and exported
+ */
+
+/**
+ * Build result configuration from environment variables
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} Result configuration
+ */
+const getResultConfig = (env = process.env) => ({
+  // Rows fetched and stored per query; the total is still counted beyond this
+  maxRows: parseInt(env.MAX_RESULT_ROWS) || 10000,
+  pageSize: parseInt(env.RESULT_PAGE_SIZE) || 100,
+  maxPageSize: parseInt(env.RESULT_MAX_PAGE_SIZE) || 1000,
+  // Stored rows are dropped after this; the SQL is kept and re-executed on demand
+  cacheTtlMinutes: parseInt(env.RESULT_CACHE_TTL_MINUTES) || 60,
+  // Exports stream the full result through a cursor, in batches of this many rows
+  exportBatchSize: parseInt(env.EXPORT_BATCH_SIZE) || 1000,
+  // 0 exports every row
+  exportMaxRows: env.EXPORT_MAX_ROWS ? parseInt(env.EXPORT_MAX_ROWS) : 0,
+  exportStatementTimeoutMs: parseInt(env.EXPORT_STATEMENT_TIMEOUT_MS) || 300000
+});
+
+module.exports = { getResultConfig };
@@ -0,0 +1,25 @@
+/**
+ * Schema retrieval configuration
+ * Controls how tables are chosen for a question before SQL generation
+ */
+
+/**
+ * Build retrieval configuration from environment variables
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} Retrieval configuration
+ */
+const getRetrievalConfig = (env = process.env) => ({
+  tableLimit: parseInt(env.RETRIEVAL_TABLE_LIMIT) || 5,
+  candidateLimit: parseInt(env.RETRIEVAL_CANDIDATE_LIMIT) || 30,
+  // Reciprocal rank fusion constant: higher values flatten the rank curve
+  rrfK: parseInt(env.RETRIEVAL_RRF_K) || 60,
+  vectorWeight: env.RETRIEVAL_VECTOR_WEIGHT ? parseFloat(env.RETRIEVAL_VECTOR_WEIGHT) : 1,
+  keywordWeight: env.RETRIEVAL_KEYWORD_WEIGHT ? parseFloat(env.RETRIEVAL_KEYWORD_WEIGHT) : 1,
+  fkExpansion: env.RETRIEVAL_FK_EXPANSION !== 'false',
+  maxNeighbours: env.RETRIEVAL_MAX_NEIGHBOURS ? parseInt(env.RETRIEVAL_MAX_NEIGHBOURS) : 3,
+  sampleValues: env.RETRIEVAL_SAMPLE_VALUES ? parseInt(env.RETRIEVAL_SAMPLE_VALUES) : 10,
+  // Texts per embedding request while indexing the schema
+  indexBatchSize: parseInt(env.SCHEMA_INDEX_BATCH_SIZE) || 64
+});
+
+module.exports = { getRetrievalConfig };
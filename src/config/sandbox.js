@@ -0,0 +1,19 @@
+/**
+ * Query sandbox configuration
+ * Limits applied to every generated or user-supplied query execution
+ */
+
+/**
+ * Build sandbox configuration from environment variables
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} Sandbox configuration
+ */
+const getSandboxConfig = (env = process.env) => ({
+  enabled: env.SANDBOX_MODE !== 'false',
+  role: env.SANDBOX_ROLE || null,
+  statementTimeoutMs: parseInt(env.SANDBOX_STATEMENT_TIMEOUT_MS) || parseInt(env.QUERY_TIMEOUT_MS) || 30000,
+  lockTimeoutMs: parseInt(env.SANDBOX_LOCK_TIMEOUT_MS) || 5000,
+  workMem: env.SANDBOX_WORK_MEM || '64MB'
+});
+
+module.exports = { getSandboxConfig };
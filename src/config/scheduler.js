@@ -0,0 +1,35 @@
+/**
+ * Scheduler configuration
+ * How often scheduled queries are checked and how alerts reach webhook targets
+ */
+
+const { parseList } = require('./sqlSafety');
+
+/**
+ * Build scheduler configuration from environment variables
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} Scheduler configuration
+ */
+const getSchedulerConfig = (env = process.env) => ({
+  enabled: env.SCHEDULER_ENABLED !== 'false',
+  pollIntervalMs: parseInt(env.SCHEDULER_POLL_INTERVAL_MS) || 30000,
+  // Due schedules claimed per poll; the rest wait for the next one
+  batchSize: parseInt(env.SCHEDULER_BATCH_SIZE) || 10,
+  // Cron expressions firing more often than this are rejected
+  minIntervalSeconds: parseInt(env.SCHEDULER_MIN_INTERVAL_SECONDS) || 60,
+  defaultTimezone: env.SCHEDULER_TIMEZONE || 'UTC',
+  maxRows: parseInt(env.SCHEDULER_MAX_ROWS) || 10000,
+  // Result rows quoted in an alert payload
+  alertSampleRows: parseInt(env.SCHEDULER_ALERT_SAMPLE_ROWS) || 5,
+  webhook: {
+    timeoutMs: parseInt(env.WEBHOOK_TIMEOUT_MS) || 10000,
+    maxAttempts: parseInt(env.WEBHOOK_MAX_ATTEMPTS) || 5,
+    // Delay before retry n is retryBaseMs * 2^(n - 1), capped at retryMaxMs
+    retryBaseMs: parseInt(env.WEBHOOK_RETRY_BASE_MS) || 1000,
+    retryMaxMs: parseInt(env.WEBHOOK_RETRY_MAX_MS) || 60000,
+    // Empty allows any host
+    allowedHosts: parseList(env.WEBHOOK_ALLOWED_HOSTS)
+  }
+});
+
+module.exports = { getSchedulerConfig };
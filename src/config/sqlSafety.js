@@ -0,0 +1,66 @@
+/**
+ * SQL safety configuration
+ * Allow- and deny-lists applied to every generated or user-supplied query
+ */
+
+/**
+ * Functions that read files or large objects, sleep, change settings, signal
+ * backends, write through side channels or read tables named in their
+ * arguments. Always denied in addition to SQL_DENIED_FUNCTIONS.
+ */
+const DEFAULT_DENIED_FUNCTIONS = [
+  'pg_read_file', 'pg_read_binary_file', 'pg_ls_dir', 'pg_stat_file',
+  'pg_ls_logdir', 'pg_ls_waldir', 'pg_ls_tmpdir', 'pg_ls_archive_statusdir',
+  'lo_import', 'lo_export', 'lo_create', 'lo_unlink', 'lo_put', 'lo_from_bytea', 'lo_get', 'lo_open', 'loread',
+  'pg_sleep', 'pg_sleep_for', 'pg_sleep_until',
+  'pg_terminate_backend', 'pg_cancel_backend', 'pg_reload_conf', 'pg_rotate_logfile',
+  'set_config', 'current_setting',
+  'nextval', 'setval',
+  'pg_advisory_lock', 'pg_advisory_xact_lock', 'pg_try_advisory_lock',
+  'dblink', 'dblink_exec', 'dblink_connect',
+  'query_to_xml', 'query_to_xmlschema', 'query_to_xml_and_xmlschema',
+  'table_to_xml', 'table_to_xmlschema', 'table_to_xml_and_xmlschema',
+  'cursor_to_xml', 'cursor_to_xmlschema',
+  'schema_to_xml', 'schema_to_xmlschema', 'schema_to_xml_and_xmlschema',
+  'database_to_xml', 'database_to_xmlschema', 'database_to_xml_and_xmlschema',
+  'ts_stat', 'ts_rewrite'
+];
+
+/**
+ * Schemas holding catalog data that generated SQL must never read
+ */
+const DEFAULT_DENIED_SCHEMAS = ['pg_catalog', 'information_schema', 'pg_toast'];
+
+/**
+ * Parse a comma-separated environment list
+ * @param {string} value - Raw value
+ * @returns {Array<string>} Lower-cased, trimmed entries
+ */
+const parseList = (value) => {
+  if (!value) {
+    return [];
+  }
+  return value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+};
+
+/**
+ * Build SQL safety configuration from environment variables
+ * Empty allow-lists mean "anything not denied"
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} SQL safety configuration
+ */
+const getSQLSafetyConfig = (env = process.env) => ({
+  allowedSchemas: env.SQL_ALLOWED_SCHEMAS ? parseList(env.SQL_ALLOWED_SCHEMAS) : ['public'],
+  deniedSchemas: [...DEFAULT_DENIED_SCHEMAS, ...parseList(env.SQL_DENIED_SCHEMAS)],
+  allowedTables: parseList(env.SQL_ALLOWED_TABLES),
+  deniedTables: parseList(env.SQL_DENIED_TABLES),
+  allowedFunctions: parseList(env.SQL_ALLOWED_FUNCTIONS),
+  deniedFunctions: [...DEFAULT_DENIED_FUNCTIONS, ...parseList(env.SQL_DENIED_FUNCTIONS)]
+});
+
+module.exports = {
+  getSQLSafetyConfig,
+  parseList,
+  DEFAULT_DENIED_FUNCTIONS,
+  DEFAULT_DENIED_SCHEMAS
+};
@@ -0,0 +1,20 @@
+/**
+ * Answer summary configuration
+ * Bounds what the LLM sees of a result when it writes a plain-language answer
+ */
+
+/**
+ * Build answer summary configuration from environment variables
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} Summary configuration
+ */
+const getSummaryConfig = (env = process.env) => ({
+  // Rows quoted verbatim in the prompt; aggregates always cover every fetched row
+  sampleRows: parseInt(env.SUMMARY_SAMPLE_ROWS) || 20,
+  // Most frequent values listed per text column
+  topValues: parseInt(env.SUMMARY_TOP_VALUES) || 5,
+  // Longer cell values are cut, so one wide column cannot crowd out the rest
+  maxValueLength: parseInt(env.SUMMARY_MAX_VALUE_LENGTH) || 100
+});
+
+module.exports = { getSummaryConfig };
@@ -0,0 +1,163 @@
+/**
+ * Access Policy Controller
+ * Handles admin HTTP requests for role-based table, column and row policies
+ * Uses Dependency Injection for service layer
+ */
+
+const logger = require('../utils/logger');
+
+// Errors caused by the request rather than the server
+const CLIENT_ERROR_STATUS = {
+  INVALID_POLICY: 400,
+  DUPLICATE_POLICY: 409
+};
+
+class AccessPolicyController {
+  constructor(accessPolicyService) {
+    this.accessPolicyService = accessPolicyService;
+  }
+
+  /**
+   * List the policies of the admin's tenant (any tenant for the bootstrap key)
+   * GET /api/admin/access-policies
+   */
+  async listPolicies(req, res, next) {
+    try {
+      const { tenantId, role, tableName } = req.query;
+      const policies = await this.accessPolicyService.listPolicies(req.principal, { tenantId, role, tableName });
+
+      res.status(200).json({
+        success: true,
+        policies,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, next, error, 'Failed to list access policies');
+    }
+  }
+
+  /**
+   * Get a policy
+   * GET /api/admin/access-policies/:id
+   */
+  async getPolicy(req, res, next) {
+    try {
+      const policy = await this.accessPolicyService.getPolicy(req.principal, req.params.id);
+
+      if (!policy) {
+        return this.sendNotFound(res);
+      }
+
+      res.status(200).json({
+        success: true,
+        policy,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, next, error, 'Failed to fetch access policy');
+    }
+  }
+
+  /**
+   * Create a policy
+   * POST /api/admin/access-policies
+   */
+  async createPolicy(req, res, next) {
+    try {
+      const policy = await this.accessPolicyService.createPolicy(req.principal, req.body);
+
+      res.status(201).json({
+        success: true,
+        policy,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, next, error, 'Failed to create access policy');
+    }
+  }
+
+  /**
+   * Replace a policy
+   * PUT /api/admin/access-policies/:id
+   */
+  async updatePolicy(req, res, next) {
+    try {
+      const policy = await this.accessPolicyService.updatePolicy(req.principal, req.params.id, req.body);
+
+      if (!policy) {
+        return this.sendNotFound(res);
+      }
+
+      res.status(200).json({
+        success: true,
+        policy,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, next, error, 'Failed to update access policy');
+    }
+  }
+
+  /**
+   * Delete a policy
+   * DELETE /api/admin/access-policies/:id
+   */
+  async deletePolicy(req, res, next) {
+    try {
+      const policy = await this.accessPolicyService.deletePolicy(req.principal, req.params.id);
+
+      if (!policy) {
+        return this.sendNotFound(res);
+      }
+
+      res.status(200).json({
+        success: true,
+        policy,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, next, error, 'Failed to delete access policy');
+    }
+  }
+
+  /**
+   * Respond 404 for a missing policy
+   * @param {Object} res - Express response
+   */
+  sendNotFound(res) {
+    res.status(404).json({
+      success: false,
+      error: 'Access policy not found'
+    });
+  }
+
+  /**
+   * Map client errors to 4xx, pass authorization errors to errorHandler, respond 500 otherwise
+   * @param {Object} res - Express response
+   * @param {Function} next - Express next function
+   * @param {Error} error - Error thrown by the service
+   * @param {string} message - Message for unexpected errors
+   */
+  sendError(res, next, error, message) {
+    if (error.name === 'ForbiddenError') {
+      return next(error);
+    }
+
+    const status = CLIENT_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error(`AccessPolicyController: ${message}:`, error);
+    res.status(500).json({
+      success: false,
+      error: message,
+      message: error.message
+    });
+  }
+}
+
+module.exports = AccessPolicyController;
@@ -0,0 +1,98 @@
+/**
+ * API Key Controller
+ * Handles admin HTTP requests for issuing and revoking API keys
+ * Uses Dependency Injection for service layer
+ */
+
+const logger = require('../utils/logger');
+
+class ApiKeyController {
+  constructor(authService) {
+    this.authService = authService;
+  }
+
+  /**
+   * List API keys of the admin's tenant (any tenant for the bootstrap key)
+   * GET /api/admin/api-keys
+   */
+  async listKeys(req, res, next) {
+    try {
+      const { tenantId, includeRevoked } = req.query;
+      const apiKeys = await this.authService.listKeys(req.principal, { tenantId, includeRevoked });
+
+      res.status(200).json({
+        success: true,
+        apiKeys,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, next, error, 'Failed to list API keys');
+    }
+  }
+
+  /**
+   * Issue an API key; the response is the only place the key appears
+   * POST /api/admin/api-keys
+   */
+  async issueKey(req, res, next) {
+    try {
+      const { apiKey, key } = await this.authService.issueKey(req.principal, req.body);
+
+      res.status(201).json({
+        success: true,
+        apiKey,
+        key,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, next, error, 'Failed to issue API key');
+    }
+  }
+
+  /**
+   * Revoke an API key
+   * DELETE /api/admin/api-keys/:id
+   */
+  async revokeKey(req, res, next) {
+    try {
+      const apiKey = await this.authService.revokeKey(req.principal, req.params.id);
+
+      if (!apiKey) {
+        return res.status(404).json({
+          success: false,
+          error: 'API key not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        apiKey,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, next, error, 'Failed to revoke API key');
+    }
+  }
+
+  /**
+   * Pass authorization errors to errorHandler, respond 500 otherwise
+   * @param {Object} res - Express response
+   * @param {Function} next - Express next function
+   * @param {Error} error - Error thrown by the service
+   * @param {string} message - Message for unexpected errors
+   */
+  sendError(res, next, error, message) {
+    if (error.name === 'ForbiddenError') {
+      return next(error);
+    }
+
+    logger.error(`ApiKeyController: ${message}:`, error);
+    res.status(500).json({
+      success: false,
+      error: message,
+      message: error.message
+    });
+  }
+}
+
+module.exports = ApiKeyController;
@@ -0,0 +1,155 @@
+/**
+ * Conversation Controller
+ * Handles HTTP requests for multi-turn NLQ sessions
+ * Uses Dependency Injection for service layer
+ */
+
+const logger = require('../utils/logger');
+const { getRequestContext } = require('../services/QueryLogService');
+
+class ConversationController {
+  constructor(conversationService, queryLogService, queryResultService) {
+    this.conversationService = conversationService;
+    this.queryLogService = queryLogService;
+    this.queryResultService = queryResultService;
+  }
+
+  /**
+   * Create a session
+   * POST /api/nlq/sessions
+   */
+  async createSession(req, res) {
+    try {
+      const { title, metadata } = req.body;
+
+      const session = await this.conversationService.createSession({ title, metadata }, req.principal);
+
+      res.status(201).json({
+        success: true,
+        session,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('ConversationController: Error creating session:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create session',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a session
+   * GET /api/nlq/sessions/:sessionId
+   */
+  async getSession(req, res) {
+    try {
+      const session = await this.conversationService.getSession(req.params.sessionId, req.principal);
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        session,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('ConversationController: Error fetching session:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch session',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Ask a (follow-up) question in a session
+   * POST /api/nlq/sessions/:sessionId/turns
+   */
+  async postTurn(req, res) {
+    try {
+      const { query, language = 'en', clarification, options = {} } = req.body;
+
+      const result = await this.conversationService.postTurn(req.params.sessionId, query, {
+        language,
+        ...options,
+        ...(clarification ? { clarification } : {}),
+        principal: req.principal
+      });
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session not found'
+        });
+      }
+
+      // The turn is logged once its clarifying question is answered
+      if (result.status === 'needs_clarification') {
+        return res.status(200).json(result);
+      }
+
+      const logEntry = await this.queryLogService.recordNLQ(
+        { ...getRequestContext(req), sessionId: req.params.sessionId, language },
+        result.query || query,
+        result
+      );
+
+      const response = await this.queryResultService.paginate(
+        { ...result, ...(logEntry ? { historyId: logEntry.id } : {}) },
+        { type: 'nlq', queryText: result.query || query, pageSize: options.pageSize, maxResults: options.maxResults, principal: req.principal }
+      );
+
+      res.status(response.success ? 200 : 400).json(response);
+    } catch (error) {
+      logger.error('ConversationController: Error processing turn:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * List turns of a session
+   * GET /api/nlq/sessions/:sessionId/turns
+   */
+  async listTurns(req, res) {
+    try {
+      const { limit, offset } = req.query;
+
+      const turns = await this.conversationService.listTurns(req.params.sessionId, { limit, offset }, req.principal);
+
+      if (!turns) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        sessionId: req.params.sessionId,
+        turns,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('ConversationController: Error listing turns:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list turns',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = ConversationController;
@@ -127,7 +127,7 @@ class DashboardController {
       logger.info('DashboardController: Fetching recent orders');
       
       const limit = parseInt(req.query.limit) || 5;
-      const data = await this.dashboardService.getRecentOrders(limit);
+      const data = await this.dashboardService.getRecentOrders(limit, req.principal);
       
       res.json({
         success: true,
@@ -153,7 +153,7 @@ class DashboardController {
     try {
       logger.info('DashboardController: Fetching all dashboard data');
       
-      const data = await this.dashboardService.getAllDashboardData();
+      const data = await this.dashboardService.getAllDashboardData(req.principal);
       
       res.json({
         success: true,
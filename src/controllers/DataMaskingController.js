@@ -0,0 +1,244 @@
+/**
+ * Data Masking Controller
+ * Handles admin HTTP requests for PII column classifications and masking policies
+ * Uses Dependency Injection for service layer
+ */
+
+const logger = require('../utils/logger');
+
+// Errors caused by the request rather than the server
+const CLIENT_ERROR_STATUS = {
+  UNKNOWN_COLUMN: 404,
+  DUPLICATE_POLICY: 409
+};
+
+class DataMaskingController {
+  constructor(dataMaskingService) {
+    this.dataMaskingService = dataMaskingService;
+  }
+
+  /**
+   * List columns with their PII classification
+   * GET /api/admin/pii-columns
+   */
+  async listColumns(req, res, next) {
+    try {
+      const { tableName, piiOnly } = req.query;
+      const columns = await this.dataMaskingService.listColumns({ tableName, piiOnly });
+
+      res.status(200).json({
+        success: true,
+        columns,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, next, error, 'Failed to list PII columns');
+    }
+  }
+
+  /**
+   * Detect PII columns from names, types and sampled values
+   * POST /api/admin/pii-columns/scan
+   */
+  async scanColumns(req, res, next) {
+    try {
+      const scan = await this.dataMaskingService.scanColumns(req.principal);
+
+      res.status(200).json({
+        success: true,
+        scan,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, next, error, 'Failed to scan columns for PII');
+    }
+  }
+
+  /**
+   * Classify a column, overriding detection
+   * PUT /api/admin/pii-columns/:tableName/:columnName
+   */
+  async classifyColumn(req, res, next) {
+    try {
+      const { tableName, columnName } = req.params;
+      const classification = await this.dataMaskingService.classifyColumn(req.principal, tableName, columnName, req.body.category);
+
+      res.status(200).json({
+        success: true,
+        classification,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, next, error, 'Failed to classify column');
+    }
+  }
+
+  /**
+   * Drop a column's stored classification
+   * DELETE /api/admin/pii-columns/:tableName/:columnName
+   */
+  async resetColumn(req, res, next) {
+    try {
+      const column = await this.dataMaskingService.resetColumn(req.params.tableName, req.params.columnName);
+
+      if (!column) {
+        return res.status(404).json({
+          success: false,
+          error: 'No stored classification for this column'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        column,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, next, error, 'Failed to reset column classification');
+    }
+  }
+
+  /**
+   * List the masking policies of the admin's tenant (any tenant for the bootstrap key)
+   * GET /api/admin/masking-policies
+   */
+  async listPolicies(req, res, next) {
+    try {
+      const { tenantId, role, category } = req.query;
+      const policies = await this.dataMaskingService.listPolicies(req.principal, { tenantId, role, category });
+
+      res.status(200).json({
+        success: true,
+        policies,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, next, error, 'Failed to list masking policies');
+    }
+  }
+
+  /**
+   * Get a masking policy
+   * GET /api/admin/masking-policies/:id
+   */
+  async getPolicy(req, res, next) {
+    try {
+      const policy = await this.dataMaskingService.getPolicy(req.principal, req.params.id);
+
+      if (!policy) {
+        return this.sendNotFound(res);
+      }
+
+      res.status(200).json({
+        success: true,
+        policy,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, next, error, 'Failed to fetch masking policy');
+    }
+  }
+
+  /**
+   * Create a masking policy
+   * POST /api/admin/masking-policies
+   */
+  async createPolicy(req, res, next) {
+    try {
+      const policy = await this.dataMaskingService.createPolicy(req.principal, req.body);
+
+      res.status(201).json({
+        success: true,
+        policy,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, next, error, 'Failed to create masking policy');
+    }
+  }
+
+  /**
+   * Replace a masking policy
+   * PUT /api/admin/masking-policies/:id
+   */
+  async updatePolicy(req, res, next) {
+    try {
+      const policy = await this.dataMaskingService.updatePolicy(req.principal, req.params.id, req.body);
+
+      if (!policy) {
+        return this.sendNotFound(res);
+      }
+
+      res.status(200).json({
+        success: true,
+        policy,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, next, error, 'Failed to update masking policy');
+    }
+  }
+
+  /**
+   * Delete a masking policy
+   * DELETE /api/admin/masking-policies/:id
+   */
+  async deletePolicy(req, res, next) {
+    try {
+      const policy = await this.dataMaskingService.deletePolicy(req.principal, req.params.id);
+
+      if (!policy) {
+        return this.sendNotFound(res);
+      }
+
+      res.status(200).json({
+        success: true,
+        policy,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, next, error, 'Failed to delete masking policy');
+    }
+  }
+
+  /**
+   * Respond 404 for a missing policy
+   * @param {Object} res - Express response
+   */
+  sendNotFound(res) {
+    res.status(404).json({
+      success: false,
+      error: 'Masking policy not found'
+    });
+  }
+
+  /**
+   * Map client errors to 4xx, pass authorization errors to errorHandler, respond 500 otherwise
+   * @param {Object} res - Express response
+   * @param {Function} next - Express next function
+   * @param {Error} error - Error thrown by the service
+   * @param {string} message - Message for unexpected errors
+   */
+  sendError(res, next, error, message) {
+    if (error.name === 'ForbiddenError') {
+      return next(error);
+    }
+
+    const status = CLIENT_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error(`DataMaskingController: ${message}:`, error);
+    res.status(500).json({
+      success: false,
+      error: message,
+      message: error.message
+    });
+  }
+}
+
+module.exports = DataMaskingController;
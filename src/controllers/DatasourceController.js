@@ -0,0 +1,203 @@
+/**
+ * Datasource Controller
+ * Handles HTTP requests for the datasource registry: admin CRUD and health
+ * checks, and the list of datasources a caller may query
+ * Uses Dependency Injection for service layer
+ */
+
+const logger = require('../utils/logger');
+
+// Errors caused by the request, or by missing configuration, rather than the server
+const CLIENT_ERROR_STATUS = {
+  DUPLICATE_DATASOURCE: 409,
+  ENCRYPTION_KEY_MISSING: 503
+};
+
+class DatasourceController {
+  constructor(datasourceService) {
+    this.datasourceService = datasourceService;
+  }
+
+  /**
+   * List the datasources the caller may query, the primary database first
+   * GET /api/nlq/datasources
+   */
+  async listAvailable(req, res, next) {
+    try {
+      const datasources = await this.datasourceService.listAvailable(req.principal);
+
+      res.status(200).json({
+        success: true,
+        datasources,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, next, error, 'Failed to list datasources');
+    }
+  }
+
+  /**
+   * List the datasources of the admin's tenant (any tenant for the bootstrap key)
+   * GET /api/admin/datasources
+   */
+  async listDatasources(req, res, next) {
+    try {
+      const datasources = await this.datasourceService.listDatasources(req.principal, { tenantId: req.query.tenantId });
+
+      res.status(200).json({
+        success: true,
+        datasources,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, next, error, 'Failed to list datasources');
+    }
+  }
+
+  /**
+   * Get a datasource
+   * GET /api/admin/datasources/:id
+   */
+  async getDatasource(req, res, next) {
+    try {
+      const datasource = await this.datasourceService.getDatasource(req.principal, req.params.id);
+
+      if (!datasource) {
+        return this.sendNotFound(res);
+      }
+
+      res.status(200).json({
+        success: true,
+        datasource,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, next, error, 'Failed to fetch datasource');
+    }
+  }
+
+  /**
+   * Register a datasource
+   * POST /api/admin/datasources
+   */
+  async createDatasource(req, res, next) {
+    try {
+      const datasource = await this.datasourceService.createDatasource(req.principal, req.body);
+
+      res.status(201).json({
+        success: true,
+        datasource,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, next, error, 'Failed to create datasource');
+    }
+  }
+
+  /**
+   * Replace a datasource's settings
+   * PUT /api/admin/datasources/:id
+   */
+  async updateDatasource(req, res, next) {
+    try {
+      const datasource = await this.datasourceService.updateDatasource(req.principal, req.params.id, req.body);
+
+      if (!datasource) {
+        return this.sendNotFound(res);
+      }
+
+      res.status(200).json({
+        success: true,
+        datasource,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, next, error, 'Failed to update datasource');
+    }
+  }
+
+  /**
+   * Delete a datasource
+   * DELETE /api/admin/datasources/:id
+   */
+  async deleteDatasource(req, res, next) {
+    try {
+      const datasource = await this.datasourceService.deleteDatasource(req.principal, req.params.id);
+
+      if (!datasource) {
+        return this.sendNotFound(res);
+      }
+
+      res.status(200).json({
+        success: true,
+        datasource,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, next, error, 'Failed to delete datasource');
+    }
+  }
+
+  /**
+   * Check that a datasource can be reached and record its health
+   * POST /api/admin/datasources/:id/health
+   */
+  async checkHealth(req, res, next) {
+    try {
+      const datasource = await this.datasourceService.checkHealth(req.principal, req.params.id);
+
+      if (!datasource) {
+        return this.sendNotFound(res);
+      }
+
+      res.status(200).json({
+        success: true,
+        datasource,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, next, error, 'Failed to check datasource health');
+    }
+  }
+
+  /**
+   * Respond 404 for a missing datasource
+   * @param {Object} res - Express response
+   */
+  sendNotFound(res) {
+    res.status(404).json({
+      success: false,
+      error: 'Datasource not found'
+    });
+  }
+
+  /**
+   * Map client errors to 4xx/503, pass authorization errors to errorHandler, respond 500 otherwise
+   * @param {Object} res - Express response
+   * @param {Function} next - Express next function
+   * @param {Error} error - Error thrown by the service
+   * @param {string} message - Message for unexpected errors
+   */
+  sendError(res, next, error, message) {
+    if (error.name === 'ForbiddenError') {
+      return next(error);
+    }
+
+    const status = CLIENT_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error(`DatasourceController: ${message}:`, error);
+    res.status(500).json({
+      success: false,
+      error: message,
+      message: error.message
+    });
+  }
+}
+
+module.exports = DatasourceController;
@@ -0,0 +1,164 @@
+/**
+ * Evaluation Controller
+ * Handles HTTP requests for golden sets, evaluation runs and run comparisons
+ * Uses Dependency Injection for service layer
+ */
+
+const logger = require('../utils/logger');
+
+// Errors caused by the request rather than the server
+const CLIENT_ERROR_STATUS = {
+  INVALID_GOLDEN_SET: 400,
+  GOLDEN_SET_NOT_FOUND: 404,
+  NO_BASELINE: 404,
+  EVALUATION_RUNNING: 409,
+  RUN_NOT_COMPLETED: 409
+};
+
+class EvaluationController {
+  constructor(evaluationService) {
+    this.evaluationService = evaluationService;
+  }
+
+  /**
+   * List golden sets
+   * GET /api/admin/evaluations/golden-sets
+   */
+  async listGoldenSets(req, res, next) {
+    try {
+      const goldenSets = await this.evaluationService.listGoldenSets();
+
+      res.status(200).json({
+        success: true,
+        goldenSets,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, next, error, 'Failed to list golden sets');
+    }
+  }
+
+  /**
+   * Start evaluating a golden set
+   * POST /api/admin/evaluations
+   */
+  async startRun(req, res, next) {
+    try {
+      const run = await this.evaluationService.startRun(req.principal, req.body);
+
+      res.status(202).json({
+        success: true,
+        run,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, next, error, 'Failed to start evaluation run');
+    }
+  }
+
+  /**
+   * List evaluation runs
+   * GET /api/admin/evaluations
+   */
+  async listRuns(req, res, next) {
+    try {
+      const { limit, offset, ...filters } = req.query;
+      const result = await this.evaluationService.listRuns(filters, { limit, offset });
+
+      res.status(200).json({
+        success: true,
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, next, error, 'Failed to list evaluation runs');
+    }
+  }
+
+  /**
+   * Get an evaluation run with its per-case results
+   * GET /api/admin/evaluations/:id
+   */
+  async getRun(req, res, next) {
+    try {
+      const run = await this.evaluationService.getRun(req.params.id);
+
+      if (!run) {
+        return this.sendRunNotFound(res);
+      }
+
+      res.status(200).json({
+        success: true,
+        run,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, next, error, 'Failed to fetch evaluation run');
+    }
+  }
+
+  /**
+   * Compare an evaluation run with a baseline run
+   * GET /api/admin/evaluations/:id/diff
+   */
+  async diffRuns(req, res, next) {
+    try {
+      const diff = await this.evaluationService.diffRuns(req.params.id, req.query.against);
+
+      if (!diff) {
+        return this.sendRunNotFound(res);
+      }
+
+      res.status(200).json({
+        success: true,
+        diff,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, next, error, 'Failed to compare evaluation runs');
+    }
+  }
+
+  /**
+   * Respond 404 for an unknown run
+   * @param {Object} res - Express response
+   */
+  sendRunNotFound(res) {
+    res.status(404).json({
+      success: false,
+      error: 'Evaluation run not found'
+    });
+  }
+
+  /**
+   * Pass authorization errors to errorHandler, respond with a client error
+   * for invalid requests and 500 otherwise
+   * @param {Object} res - Express response
+   * @param {Function} next - Express next function
+   * @param {Error} error - Error thrown by the service
+   * @param {string} message - Message for unexpected errors
+   */
+  sendError(res, next, error, message) {
+    if (error.name === 'ForbiddenError') {
+      return next(error);
+    }
+
+    const status = CLIENT_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        error: error.message,
+        violations: error.violations
+      });
+    }
+
+    logger.error(`EvaluationController: ${message}:`, error);
+    res.status(500).json({
+      success: false,
+      error: message,
+      message: error.message
+    });
+  }
+}
+
+module.exports = EvaluationController;
@@ -0,0 +1,77 @@
+/**
+ * Export Controller
+ * Handles HTTP requests for downloading results as CSV, XLSX, NDJSON or Parquet
+ * Uses Dependency Injection for service layer
+ */
+
+const logger = require('../utils/logger');
+
+class ExportController {
+  constructor(exportService) {
+    this.exportService = exportService;
+  }
+
+  /**
+   * Export a stored result
+   * GET /api/nlq/results/:resultId/export
+   */
+  async exportResult(req, res) {
+    return this.sendExport(req, res, { resultId: req.params.resultId }, 'Result not found');
+  }
+
+  /**
+   * Export the SQL of a history entry
+   * GET /api/nlq/history/:id/export
+   */
+  async exportHistoryEntry(req, res) {
+    return this.sendExport(req, res, { historyId: req.params.id }, 'History entry not found');
+  }
+
+  /**
+   * Stream an export as a file download
+   * Errors before the first byte get a JSON response; later ones abort the download
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} source - { resultId } or { historyId }
+   * @param {string} notFoundMessage - Error for a missing source
+   */
+  async sendExport(req, res, source, notFoundMessage) {
+    try {
+      const job = await this.exportService.prepareExport(source, req.query.format, req.principal);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: notFoundMessage
+        });
+      }
+
+      res.status(200).set({
+        'Content-Type': job.contentType,
+        'Content-Disposition': `attachment; filename="${job.filename}"`
+      });
+
+      await this.exportService.writeExport(job, res, req.principal);
+    } catch (error) {
+      if (res.headersSent) {
+        logger.error('ExportController: Export failed mid-stream:', error);
+        res.destroy(error);
+        return;
+      }
+
+      res.removeHeader('Content-Disposition');
+      const clientError = ['NOT_EXPORTABLE', 'UNSAFE_SQL', 'ACCESS_DENIED'].includes(error.code);
+      if (!clientError) {
+        logger.error('ExportController: Error exporting result:', error);
+      }
+      res.status(clientError ? 400 : 500).json({
+        success: false,
+        error: clientError ? error.message : 'Failed to export result',
+        message: clientError ? undefined : error.message,
+        violations: error.violations
+      });
+    }
+  }
+}
+
+module.exports = ExportController;
@@ -0,0 +1,223 @@
+/**
+ * Feedback Controller
+ * Handles HTTP requests for answer ratings, SQL corrections, their review
+ * queue and the accuracy report
+ * Uses Dependency Injection for service layer
+ */
+
+const logger = require('../utils/logger');
+
+// Errors caused by the request rather than the server
+const CLIENT_ERROR_STATUS = {
+  INVALID_FEEDBACK: 400,
+  INVALID_CORRECTION: 400,
+  INVALID_EXAMPLE_SQL: 400,
+  UNSAFE_SQL: 400,
+  DATASOURCE_NOT_FOUND: 404,
+  NOT_PENDING: 409
+};
+
+class FeedbackController {
+  constructor(feedbackService) {
+    this.feedbackService = feedbackService;
+  }
+
+  /**
+   * Rate the answer to a logged question
+   * POST /api/nlq/feedback
+   */
+  async rate(req, res, next) {
+    try {
+      const { historyId, ...data } = req.body;
+      const feedback = await this.feedbackService.rate(req.principal, historyId, data);
+
+      if (!feedback) {
+        return this.sendHistoryNotFound(res);
+      }
+
+      res.status(201).json({
+        success: true,
+        feedback,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, next, error, 'Failed to store feedback');
+    }
+  }
+
+  /**
+   * Supply corrected SQL for a logged question
+   * POST /api/nlq/feedback/corrections
+   */
+  async correct(req, res, next) {
+    try {
+      const { historyId, ...data } = req.body;
+      const feedback = await this.feedbackService.correct(req.principal, historyId, data);
+
+      if (!feedback) {
+        return this.sendHistoryNotFound(res);
+      }
+
+      res.status(201).json({
+        success: true,
+        feedback,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, next, error, 'Failed to store correction');
+    }
+  }
+
+  /**
+   * List the caller's own feedback
+   * GET /api/nlq/feedback
+   */
+  async listOwn(req, res, next) {
+    try {
+      const result = await this.feedbackService.listOwn(req.principal, req.query);
+
+      res.status(200).json({
+        success: true,
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, next, error, 'Failed to list feedback');
+    }
+  }
+
+  /**
+   * List corrections for review
+   * GET /api/admin/feedback/corrections
+   */
+  async listCorrections(req, res, next) {
+    try {
+      const { limit, offset, ...filters } = req.query;
+      const result = await this.feedbackService.listCorrections(req.principal, filters, { limit, offset });
+
+      res.status(200).json({
+        success: true,
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, next, error, 'Failed to list corrections');
+    }
+  }
+
+  /**
+   * Approve a correction
+   * POST /api/admin/feedback/corrections/:id/approve
+   */
+  async approve(req, res, next) {
+    try {
+      const result = await this.feedbackService.approve(req.principal, req.params.id, req.body);
+
+      if (!result) {
+        return this.sendCorrectionNotFound(res);
+      }
+
+      res.status(200).json({
+        success: true,
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, next, error, 'Failed to approve correction');
+    }
+  }
+
+  /**
+   * Reject a correction
+   * POST /api/admin/feedback/corrections/:id/reject
+   */
+  async reject(req, res, next) {
+    try {
+      const feedback = await this.feedbackService.reject(req.principal, req.params.id, req.body);
+
+      if (!feedback) {
+        return this.sendCorrectionNotFound(res);
+      }
+
+      res.status(200).json({
+        success: true,
+        feedback,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, next, error, 'Failed to reject correction');
+    }
+  }
+
+  /**
+   * Get accuracy per table and per SQL pattern
+   * GET /api/admin/feedback/report
+   */
+  async getReport(req, res, next) {
+    try {
+      const report = await this.feedbackService.getReport(req.principal, req.query);
+
+      res.status(200).json({
+        success: true,
+        report,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, next, error, 'Failed to build accuracy report');
+    }
+  }
+
+  /**
+   * Respond 404 for an unknown history entry
+   * @param {Object} res - Express response
+   */
+  sendHistoryNotFound(res) {
+    res.status(404).json({
+      success: false,
+      error: 'History entry not found'
+    });
+  }
+
+  /**
+   * Respond 404 for an unknown correction
+   * @param {Object} res - Express response
+   */
+  sendCorrectionNotFound(res) {
+    res.status(404).json({
+      success: false,
+      error: 'Correction not found'
+    });
+  }
+
+  /**
+   * Pass authorization errors to errorHandler, respond with a client error
+   * for invalid requests and 500 otherwise
+   * @param {Object} res - Express response
+   * @param {Function} next - Express next function
+   * @param {Error} error - Error thrown by the service
+   * @param {string} message - Message for unexpected errors
+   */
+  sendError(res, next, error, message) {
+    if (error.name === 'ForbiddenError') {
+      return next(error);
+    }
+
+    const status = CLIENT_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        error: error.message,
+        violations: error.violations
+      });
+    }
+
+    logger.error(`FeedbackController: ${message}:`, error);
+    res.status(500).json({
+      success: false,
+      error: message,
+      message: error.message
+    });
+  }
+}
+
+module.exports = FeedbackController;
@@ -0,0 +1,151 @@
+/**
+ * Glossary Controller
+ * Handles HTTP requests for the business glossary
+ * Uses Dependency Injection for service layer
+ */
+
+const logger = require('../utils/logger');
+
+class GlossaryController {
+  constructor(glossaryService) {
+    this.glossaryService = glossaryService;
+  }
+
+  /**
+   * List glossary entries
+   * GET /api/nlq/glossary
+   */
+  async listEntries(req, res) {
+    try {
+      const entries = await this.glossaryService.listEntries(req.query, req.principal);
+
+      res.status(200).json({
+        success: true,
+        entries,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('GlossaryController: Error listing entries:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list glossary entries',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a glossary entry
+   * GET /api/nlq/glossary/:id
+   */
+  async getEntry(req, res) {
+    try {
+      const entry = await this.glossaryService.getEntry(req.params.id, req.principal);
+
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          error: 'Glossary entry not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        entry,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('GlossaryController: Error fetching entry:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch glossary entry',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Create a glossary entry
+   * POST /api/nlq/glossary
+   */
+  async createEntry(req, res) {
+    try {
+      const result = await this.glossaryService.createEntry(req.body, req.principal);
+
+      res.status(201).json({
+        success: true,
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('GlossaryController: Error creating entry:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create glossary entry',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Replace a glossary entry
+   * PUT /api/nlq/glossary/:id
+   */
+  async updateEntry(req, res) {
+    try {
+      const result = await this.glossaryService.updateEntry(req.params.id, req.body, req.principal);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'Glossary entry not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('GlossaryController: Error updating entry:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update glossary entry',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete a glossary entry
+   * DELETE /api/nlq/glossary/:id
+   */
+  async deleteEntry(req, res) {
+    try {
+      const result = await this.glossaryService.deleteEntry(req.params.id, req.principal);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'Glossary entry not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('GlossaryController: Error deleting entry:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete glossary entry',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = GlossaryController;
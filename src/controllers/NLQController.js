@@ -3,12 +3,23 @@
  * Provides REST API endpoints for the NLQ system
  */
 
-const { AdvancedNLQService } = require('../services/AdvancedNLQService');
+const NLQFactory = require('../factories/NLQFactory');
 const logger = require('../utils/logger');
+const { getRequestContext } = require('../services/QueryLogService');
+const EventStream = require('../utils/eventStream');
+
+// Datasource errors caused by the request, or by missing configuration, rather than the server
+const DATASOURCE_ERROR_STATUS = {
+  DATASOURCE_NOT_FOUND: 404,
+  ENCRYPTION_KEY_MISSING: 503,
+  DATASOURCE_UNAVAILABLE: 503
+};
 
 class NLQController {
   constructor() {
-    this.nlqService = new AdvancedNLQService();
+    this.nlqService = NLQFactory.getNLQService();
+    this.queryLogService = NLQFactory.getQueryLogService();
+    this.queryResultService = NLQFactory.getQueryResultService();
   }
 
   /**
@@ -17,9 +28,10 @@ class NLQController {
    */
   async processQuery(req, res) {
     try {
-      const { query, language = 'en', options = {} } = req.body;
+      const { query, language = 'en', clarification, options = {} } = req.body;
 
-      if (!query || typeof query !== 'string' || query.trim().length === 0) {
+      // An answer to a clarifying question resumes the question it was asked for
+      if (!clarification && (!query || typeof query !== 'string' || query.trim().length === 0)) {
         return res.status(400).json({
           success: false,
           error: 'Query is required and must be a non-empty string'
@@ -35,17 +47,34 @@ class NLQController {
         });
       }
 
-      logger.info(`Processing NLQ request: "${query}" (${language})`);
+      logger.info(clarification
+        ? `Resuming NLQ request with clarification ${clarification.id}`
+        : `Processing NLQ request: "${query}" (${language})`);
 
       const result = await this.nlqService.processQuery(query, {
         language,
-        ...options
+        ...options,
+        ...(clarification ? { clarification } : {}),
+        principal: req.principal
       });
 
-      if (result.success) {
-        res.status(200).json(result);
+      // A clarifying question is not an answer; the request is logged once it is resumed
+      if (result.status === 'needs_clarification') {
+        return res.status(200).json(result);
+      }
+
+      const logEntry = await this.queryLogService.recordNLQ({ ...getRequestContext(req), language }, result.query || query, result);
+
+      // historyId is what ratings and corrections refer to (POST /api/nlq/feedback)
+      const response = await this.queryResultService.paginate(
+        { ...result, ...(logEntry ? { historyId: logEntry.id } : {}) },
+        { type: 'nlq', queryText: result.query || query, pageSize: options.pageSize, maxResults: options.maxResults, principal: req.principal }
+      );
+
+      if (response.success) {
+        res.status(200).json(response);
       } else {
-        res.status(400).json(result);
+        res.status(400).json(response);
       }
 
     } catch (error) {
@@ -58,6 +87,66 @@ class NLQController {
     }
   }
 
+  /**
+   * Process natural language query, streaming progress as Server-Sent Events
+   * POST /api/nlq/query/stream
+   * Rows arrive in `rows` events, so the final `complete` event omits result.data;
+   * its result.pagination.resultId pages through them again later. A clarifying question
+   * ends the stream with a `clarification` event and a `complete` event without a result.
+   * When the client disconnects the pipeline stops and its database query is cancelled
+   */
+  async streamQuery(req, res) {
+    const { query, language = 'en', clarification, options = {} } = req.body;
+    const stream = new EventStream(res);
+
+    try {
+      logger.info(clarification
+        ? `Resuming streamed NLQ request with clarification ${clarification.id}`
+        : `Streaming NLQ request: "${query}" (${language})`);
+      stream.open();
+
+      const result = await this.nlqService.processQuery(query, {
+        language,
+        ...options,
+        ...(clarification ? { clarification } : {}),
+        principal: req.principal,
+        onEvent: (event, data) => stream.send(event, data),
+        signal: stream.signal
+      });
+
+      if (result.status === 'needs_clarification') {
+        stream.send('complete', result);
+        return;
+      }
+
+      const logEntry = await this.queryLogService.recordNLQ({ ...getRequestContext(req), language }, result.query || query, result);
+      const logged = { ...result, ...(logEntry ? { historyId: logEntry.id } : {}) };
+
+      if (result.success) {
+        const response = await this.queryResultService.paginate(logged, {
+          type: 'nlq',
+          queryText: result.query || query,
+          pageSize: options.pageSize,
+          maxResults: options.maxResults,
+          principal: req.principal
+        });
+        const { data, ...resultMeta } = response.result;
+        stream.send('complete', { ...response, result: resultMeta });
+      } else {
+        stream.send('error', logged);
+      }
+    } catch (error) {
+      logger.error('NLQ streaming error:', error);
+      stream.send('error', {
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    } finally {
+      stream.close();
+    }
+  }
+
   /**
    * Generate SQL without execution
    * POST /api/nlq/generate-sql
@@ -110,12 +199,22 @@ class NLQController {
 
       logger.info(`Executing SQL query`);
 
-      const result = await this.nlqService.executeSQL(sql, options);
+      const result = await this.nlqService.executeSQL(sql, { ...options, principal: req.principal });
 
-      if (result.success) {
-        res.status(200).json(result);
+      await this.queryLogService.recordSQL(getRequestContext(req), sql, result);
+
+      const response = await this.queryResultService.paginate(result, {
+        type: 'sql',
+        queryText: sql,
+        pageSize: options.pageSize,
+        maxResults: options.maxResults,
+        principal: req.principal
+      });
+
+      if (response.success) {
+        res.status(200).json(response);
       } else {
-        res.status(400).json(result);
+        res.status(400).json(response);
       }
 
     } catch (error) {
@@ -160,7 +259,7 @@ class NLQController {
     try {
       logger.info('Getting schema information');
 
-      const result = await this.nlqService.getSchemaInfo();
+      const result = await this.nlqService.getSchemaInfo({ principal: req.principal, datasource: req.query.datasource });
 
       if (result.success) {
         res.status(200).json(result);
@@ -169,6 +268,7 @@ class NLQController {
       }
 
     } catch (error) {
+      if (this.sendDatasourceError(res, error)) return;
       logger.error('Schema retrieval error:', error);
       res.status(500).json({
         success: false,
@@ -178,6 +278,33 @@ class NLQController {
     }
   }
 
+  /**
+   * Get schema index freshness per table
+   * GET /api/nlq/schema/index
+   */
+  async getSchemaIndexStatus(req, res) {
+    try {
+      const datasource = req.query.datasource || 'default';
+      const status = await this.nlqService.getSchemaIndexStatus({ principal: req.principal, datasource });
+
+      res.status(200).json({
+        success: true,
+        datasource,
+        ...status,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      if (this.sendDatasourceError(res, error)) return;
+      logger.error('Schema index status error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
   /**
    * Add table relationship
    * POST /api/nlq/relationships
@@ -234,19 +361,25 @@ class NLQController {
    */
   async refreshSchema(req, res) {
     try {
-      logger.info('Refreshing schema metadata');
+      const force = req.body && req.body.force === true;
+      const datasource = (req.body && req.body.datasource) || 'default';
 
-      await this.nlqService.refreshSchemaMetadata();
+      logger.info(`Refreshing schema metadata of ${datasource}${force ? ' (full re-index)' : ''}`);
+
+      const index = await this.nlqService.refreshSchemaMetadata({ force, datasource, principal: req.principal });
 
       res.status(200).json({
         success: true,
         message: 'Schema metadata refreshed successfully',
+        index,
         metadata: {
+          datasource,
           refreshed_at: new Date().toISOString()
         }
       });
 
     } catch (error) {
+      if (this.sendDatasourceError(res, error)) return;
       logger.error('Schema refresh error:', error);
       res.status(500).json({
         success: false,
@@ -268,7 +401,7 @@ class NLQController {
         service: 'AdvancedNLQService',
         timestamp: new Date().toISOString(),
         llm_available: true,
-        llm_provider: 'Google Gemini Flash'
+        llm_provider: this.nlqService.getProviderInfo()
       };
 
       res.status(200).json(health);
@@ -283,18 +416,19 @@ class NLQController {
   }
 
   /**
-   * Get service statistics
+   * Get service statistics, including aggregates over the query history
    * GET /api/nlq/stats
    */
   async getStats(req, res) {
     try {
-      // This would typically return usage statistics
-      // For now, return basic service info
+      const queries = await this.queryLogService.getStats(req.query, req.principal);
+
       const stats = {
         service: 'NLQ Backend',
         version: '1.0.0',
         uptime: process.uptime(),
         memory: process.memoryUsage(),
+        queries,
         metadata: {
           generated_at: new Date().toISOString()
         }
@@ -314,6 +448,24 @@ class NLQController {
       });
     }
   }
+
+  /**
+   * Respond to an unknown or unusable datasource
+   * @param {Object} res - Express response
+   * @param {Error} error - Error thrown by the service
+   * @returns {boolean} True if a response was sent
+   */
+  sendDatasourceError(res, error) {
+    const status = DATASOURCE_ERROR_STATUS[error.code];
+    if (!status) {
+      return false;
+    }
+    res.status(status).json({
+      success: false,
+      error: error.message
+    });
+    return true;
+  }
 }
 
 module.exports = NLQController;
@@ -0,0 +1,74 @@
+/**
+ * Query Cache Controller
+ * Handles HTTP requests for query cache statistics and clearing
+ * Uses Dependency Injection for service layer
+ */
+
+const logger = require('../utils/logger');
+
+class QueryCacheController {
+  constructor(queryCacheService) {
+    this.queryCacheService = queryCacheService;
+  }
+
+  /**
+   * Get hit/miss counters and stored entries per datasource
+   * GET /api/admin/query-cache
+   */
+  async getStats(req, res, next) {
+    try {
+      const stats = await this.queryCacheService.getStats(req.principal, { tenantId: req.query.tenantId });
+
+      res.status(200).json({
+        success: true,
+        cache: stats,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, next, error, 'Failed to fetch query cache statistics');
+    }
+  }
+
+  /**
+   * Drop cached SQL
+   * DELETE /api/admin/query-cache
+   */
+  async clear(req, res, next) {
+    try {
+      const removed = await this.queryCacheService.clear(req.principal, {
+        tenantId: req.query.tenantId,
+        datasource: req.query.datasource
+      });
+
+      res.status(200).json({
+        success: true,
+        removed,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, next, error, 'Failed to clear query cache');
+    }
+  }
+
+  /**
+   * Pass authorization errors to errorHandler, respond 500 otherwise
+   * @param {Object} res - Express response
+   * @param {Function} next - Express next function
+   * @param {Error} error - Error thrown by the service
+   * @param {string} message - Message for unexpected errors
+   */
+  sendError(res, next, error, message) {
+    if (error.name === 'ForbiddenError') {
+      return next(error);
+    }
+
+    logger.error(`QueryCacheController: ${message}:`, error);
+    res.status(500).json({
+      success: false,
+      error: message,
+      message: error.message
+    });
+  }
+}
+
+module.exports = QueryCacheController;
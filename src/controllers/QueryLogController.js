@@ -0,0 +1,70 @@
+/**
+ * Query Log Controller
+ * Handles HTTP requests for the query history and audit log
+ * Uses Dependency Injection for service layer
+ */
+
+const logger = require('../utils/logger');
+
+class QueryLogController {
+  constructor(queryLogService) {
+    this.queryLogService = queryLogService;
+  }
+
+  /**
+   * Page, filter and search query history
+   * GET /api/nlq/history
+   */
+  async getHistory(req, res) {
+    try {
+      const { limit, offset, ...filters } = req.query;
+
+      const history = await this.queryLogService.getHistory(filters, { limit, offset }, req.principal);
+
+      res.status(200).json({
+        success: true,
+        ...history,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('QueryLogController: Error fetching history:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch query history',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a single history entry
+   * GET /api/nlq/history/:id
+   */
+  async getEntry(req, res) {
+    try {
+      const entry = await this.queryLogService.getEntry(req.params.id, req.principal);
+
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          error: 'History entry not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        entry,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('QueryLogController: Error fetching history entry:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch history entry',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = QueryLogController;
@@ -0,0 +1,52 @@
+/**
+ * Query Result Controller
+ * Handles HTTP requests for paging through stored query results
+ * Uses Dependency Injection for service layer
+ */
+
+const logger = require('../utils/logger');
+
+class QueryResultController {
+  constructor(queryResultService) {
+    this.queryResultService = queryResultService;
+  }
+
+  /**
+   * Get a page of a stored result
+   * GET /api/nlq/results/:resultId
+   */
+  async getPage(req, res) {
+    try {
+      const page = await this.queryResultService.getPage(req.params.resultId, req.query, req.principal);
+
+      if (!page) {
+        return res.status(404).json({
+          success: false,
+          error: 'Result not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        ...page,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.code === 'INVALID_CURSOR') {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      logger.error('QueryResultController: Error fetching result page:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch result page',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = QueryResultController;
@@ -0,0 +1,193 @@
+/**
+ * Saved Query Controller
+ * Handles HTTP requests for saved queries
+ * Uses Dependency Injection for service layer
+ */
+
+const logger = require('../utils/logger');
+
+// Errors caused by the request rather than the server
+const CLIENT_ERROR_STATUS = {
+  INVALID_PARAMETERS: 400,
+  UNSAFE_SQL: 400,
+  IN_USE: 409
+};
+
+class SavedQueryController {
+  constructor(savedQueryService) {
+    this.savedQueryService = savedQueryService;
+  }
+
+  /**
+   * List saved queries
+   * GET /api/nlq/saved-queries
+   */
+  async listQueries(req, res) {
+    try {
+      const { search, limit, offset } = req.query;
+      const result = await this.savedQueryService.listQueries({ search }, { limit, offset }, req.principal);
+
+      res.status(200).json({
+        success: true,
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('SavedQueryController: Error listing saved queries:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list saved queries',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a saved query
+   * GET /api/nlq/saved-queries/:id
+   */
+  async getQuery(req, res) {
+    try {
+      const savedQuery = await this.savedQueryService.getQuery(req.params.id, req.principal);
+
+      if (!savedQuery) {
+        return this.sendNotFound(res);
+      }
+
+      res.status(200).json({
+        success: true,
+        savedQuery,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('SavedQueryController: Error fetching saved query:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch saved query',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Save a query
+   * POST /api/nlq/saved-queries
+   */
+  async createQuery(req, res) {
+    try {
+      const savedQuery = await this.savedQueryService.createQuery(req.body, req.principal);
+
+      res.status(201).json({
+        success: true,
+        savedQuery,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to create saved query');
+    }
+  }
+
+  /**
+   * Replace a saved query
+   * PUT /api/nlq/saved-queries/:id
+   */
+  async updateQuery(req, res) {
+    try {
+      const savedQuery = await this.savedQueryService.updateQuery(req.params.id, req.body, req.principal);
+
+      if (!savedQuery) {
+        return this.sendNotFound(res);
+      }
+
+      res.status(200).json({
+        success: true,
+        savedQuery,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to update saved query');
+    }
+  }
+
+  /**
+   * Delete a saved query
+   * DELETE /api/nlq/saved-queries/:id
+   */
+  async deleteQuery(req, res) {
+    try {
+      const savedQuery = await this.savedQueryService.deleteQuery(req.params.id, req.principal);
+
+      if (!savedQuery) {
+        return this.sendNotFound(res);
+      }
+
+      res.status(200).json({
+        success: true,
+        savedQuery,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to delete saved query');
+    }
+  }
+
+  /**
+   * Run a saved query's pinned SQL with parameter values
+   * POST /api/nlq/saved-queries/:id/run
+   */
+  async runQuery(req, res) {
+    try {
+      const { parameters = {}, options = {} } = req.body;
+      const result = await this.savedQueryService.runQuery(req.params.id, parameters, { ...options, principal: req.principal });
+
+      if (!result) {
+        return this.sendNotFound(res);
+      }
+
+      res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+      this.sendError(res, error, 'Failed to run saved query');
+    }
+  }
+
+  /**
+   * Respond 404 for a missing saved query
+   * @param {Object} res - Express response
+   */
+  sendNotFound(res) {
+    res.status(404).json({
+      success: false,
+      error: 'Saved query not found'
+    });
+  }
+
+  /**
+   * Respond with a client error for invalid requests, 500 otherwise
+   * @param {Object} res - Express response
+   * @param {Error} error - Error thrown by the service
+   * @param {string} message - Message for unexpected errors
+   */
+  sendError(res, error, message) {
+    const status = CLIENT_ERROR_STATUS[error.code];
+
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        error: error.message,
+        details: error.details,
+        violations: error.violations,
+        dashboards: error.dashboards,
+        schedules: error.schedules
+      });
+    }
+
+    logger.error(`SavedQueryController: ${message}:`, error);
+    res.status(500).json({
+      success: false,
+      error: message,
+      message: error.message
+    });
+  }
+}
+
+module.exports = SavedQueryController;
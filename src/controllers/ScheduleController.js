@@ -0,0 +1,220 @@
+/**
+ * Schedule Controller
+ * Handles HTTP requests for scheduled queries and their run history
+ * Uses Dependency Injection for service layer
+ */
+
+const logger = require('../utils/logger');
+
+// Errors caused by the request rather than the server
+const CLIENT_ERROR_STATUS = {
+  INVALID_SCHEDULE: 400,
+  INVALID_PARAMETERS: 400,
+  UNKNOWN_SAVED_QUERY: 400,
+  UNKNOWN_WEBHOOK_TARGET: 400,
+  QUESTION_FAILED: 400,
+  ACCESS_DENIED: 403
+};
+
+class ScheduleController {
+  constructor(scheduleService) {
+    this.scheduleService = scheduleService;
+  }
+
+  /**
+   * List schedules
+   * GET /api/nlq/schedules
+   */
+  async listSchedules(req, res) {
+    try {
+      const { enabled, limit, offset } = req.query;
+      const result = await this.scheduleService.listSchedules({ enabled }, { limit, offset }, req.principal);
+
+      res.status(200).json({
+        success: true,
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('ScheduleController: Error listing schedules:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list schedules',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a schedule
+   * GET /api/nlq/schedules/:id
+   */
+  async getSchedule(req, res) {
+    try {
+      const schedule = await this.scheduleService.getSchedule(req.params.id, req.principal);
+
+      if (!schedule) {
+        return this.sendNotFound(res);
+      }
+
+      res.status(200).json({
+        success: true,
+        schedule,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('ScheduleController: Error fetching schedule:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch schedule',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Create a schedule
+   * POST /api/nlq/schedules
+   */
+  async createSchedule(req, res) {
+    try {
+      const schedule = await this.scheduleService.createSchedule(req.body, req.principal);
+
+      res.status(201).json({
+        success: true,
+        schedule,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to create schedule');
+    }
+  }
+
+  /**
+   * Replace a schedule
+   * PUT /api/nlq/schedules/:id
+   */
+  async updateSchedule(req, res) {
+    try {
+      const schedule = await this.scheduleService.updateSchedule(req.params.id, req.body, req.principal);
+
+      if (!schedule) {
+        return this.sendNotFound(res);
+      }
+
+      res.status(200).json({
+        success: true,
+        schedule,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to update schedule');
+    }
+  }
+
+  /**
+   * Delete a schedule and its run history
+   * DELETE /api/nlq/schedules/:id
+   */
+  async deleteSchedule(req, res) {
+    try {
+      const schedule = await this.scheduleService.deleteSchedule(req.params.id, req.principal);
+
+      if (!schedule) {
+        return this.sendNotFound(res);
+      }
+
+      res.status(200).json({
+        success: true,
+        schedule,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to delete schedule');
+    }
+  }
+
+  /**
+   * Page a schedule's run history
+   * GET /api/nlq/schedules/:id/runs
+   */
+  async listRuns(req, res) {
+    try {
+      const { limit, offset } = req.query;
+      const result = await this.scheduleService.listRuns(req.params.id, { limit, offset }, req.principal);
+
+      if (!result) {
+        return this.sendNotFound(res);
+      }
+
+      res.status(200).json({
+        success: true,
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to list schedule runs');
+    }
+  }
+
+  /**
+   * Run a schedule now
+   * POST /api/nlq/schedules/:id/run
+   */
+  async runSchedule(req, res) {
+    try {
+      const run = await this.scheduleService.runNow(req.params.id, req.principal);
+
+      if (!run) {
+        return this.sendNotFound(res);
+      }
+
+      res.status(200).json({
+        success: run.status === 'success',
+        run,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to run schedule');
+    }
+  }
+
+  /**
+   * Respond 404 for a missing schedule
+   * @param {Object} res - Express response
+   */
+  sendNotFound(res) {
+    res.status(404).json({
+      success: false,
+      error: 'Schedule not found'
+    });
+  }
+
+  /**
+   * Respond with a client error for invalid requests, 500 otherwise
+   * @param {Object} res - Express response
+   * @param {Error} error - Error thrown by the service
+   * @param {string} message - Message for unexpected errors
+   */
+  sendError(res, error, message) {
+    const status = CLIENT_ERROR_STATUS[error.code];
+
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        error: error.message,
+        details: error.details,
+        violations: error.violations
+      });
+    }
+
+    logger.error(`ScheduleController: ${message}:`, error);
+    res.status(500).json({
+      success: false,
+      error: message,
+      message: error.message
+    });
+  }
+}
+
+module.exports = ScheduleController;
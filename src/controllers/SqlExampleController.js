@@ -0,0 +1,159 @@
+/**
+ * SQL Example Controller
+ * Handles HTTP requests for the few-shot question→SQL example store
+ * Uses Dependency Injection for service layer
+ */
+
+const logger = require('../utils/logger');
+
+// Errors caused by the request rather than the server
+const CLIENT_ERROR_STATUS = {
+  UNSAFE_SQL: 400,
+  INVALID_EXAMPLE_SQL: 400
+};
+
+class SqlExampleController {
+  constructor(sqlExampleService) {
+    this.sqlExampleService = sqlExampleService;
+  }
+
+  /**
+   * List examples
+   * GET /api/nlq/examples
+   */
+  async listExamples(req, res) {
+    try {
+      const examples = await this.sqlExampleService.listExamples(req.principal, req.query);
+
+      res.status(200).json({
+        success: true,
+        examples,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to list SQL examples');
+    }
+  }
+
+  /**
+   * Get an example
+   * GET /api/nlq/examples/:id
+   */
+  async getExample(req, res) {
+    try {
+      const example = await this.sqlExampleService.getExample(req.principal, req.params.id);
+
+      if (!example) {
+        return this.sendNotFound(res);
+      }
+
+      res.status(200).json({
+        success: true,
+        example,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to fetch SQL example');
+    }
+  }
+
+  /**
+   * Create an example
+   * POST /api/nlq/examples
+   */
+  async createExample(req, res) {
+    try {
+      const result = await this.sqlExampleService.createExample(req.principal, req.body);
+
+      res.status(201).json({
+        success: true,
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to create SQL example');
+    }
+  }
+
+  /**
+   * Replace an example
+   * PUT /api/nlq/examples/:id
+   */
+  async updateExample(req, res) {
+    try {
+      const result = await this.sqlExampleService.updateExample(req.principal, req.params.id, req.body);
+
+      if (!result) {
+        return this.sendNotFound(res);
+      }
+
+      res.status(200).json({
+        success: true,
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to update SQL example');
+    }
+  }
+
+  /**
+   * Delete an example
+   * DELETE /api/nlq/examples/:id
+   */
+  async deleteExample(req, res) {
+    try {
+      const example = await this.sqlExampleService.deleteExample(req.principal, req.params.id);
+
+      if (!example) {
+        return this.sendNotFound(res);
+      }
+
+      res.status(200).json({
+        success: true,
+        example,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to delete SQL example');
+    }
+  }
+
+  /**
+   * Respond 404 for an unknown example
+   * @param {Object} res - Express response
+   */
+  sendNotFound(res) {
+    res.status(404).json({
+      success: false,
+      error: 'SQL example not found'
+    });
+  }
+
+  /**
+   * Respond with a client error for invalid requests, 500 otherwise
+   * @param {Object} res - Express response
+   * @param {Error} error - Error thrown by the service
+   * @param {string} message - Message for unexpected errors
+   */
+  sendError(res, error, message) {
+    const status = CLIENT_ERROR_STATUS[error.code];
+
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        error: error.message,
+        violations: error.violations
+      });
+    }
+
+    logger.error(`SqlExampleController: ${message}:`, error);
+    res.status(500).json({
+      success: false,
+      error: message,
+      message: error.message
+    });
+  }
+}
+
+module.exports = SqlExampleController;
@@ -0,0 +1,205 @@
+/**
+ * User Dashboard Controller
+ * Handles HTTP requests for user-defined dashboards and their widgets
+ * Uses Dependency Injection for service layer
+ */
+
+const logger = require('../utils/logger');
+
+class UserDashboardController {
+  constructor(userDashboardService) {
+    this.userDashboardService = userDashboardService;
+  }
+
+  /**
+   * List dashboards
+   * GET /api/dashboard/dashboards
+   */
+  async listDashboards(req, res) {
+    try {
+      const dashboards = await this.userDashboardService.listDashboards(req.principal);
+
+      res.json({
+        success: true,
+        dashboards,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('UserDashboardController: Error listing dashboards:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list dashboards',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a dashboard with its widget definitions
+   * GET /api/dashboard/dashboards/:id
+   */
+  async getDashboard(req, res) {
+    try {
+      const dashboard = await this.userDashboardService.getDashboard(req.params.id, req.principal);
+
+      if (!dashboard) {
+        return this.sendNotFound(res, 'Dashboard not found');
+      }
+
+      res.json({
+        success: true,
+        dashboard,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('UserDashboardController: Error fetching dashboard:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch dashboard',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Create a dashboard
+   * POST /api/dashboard/dashboards
+   */
+  async createDashboard(req, res) {
+    try {
+      const dashboard = await this.userDashboardService.createDashboard(req.body, req.principal);
+
+      res.status(201).json({
+        success: true,
+        dashboard,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to create dashboard');
+    }
+  }
+
+  /**
+   * Replace a dashboard and its widgets
+   * PUT /api/dashboard/dashboards/:id
+   */
+  async updateDashboard(req, res) {
+    try {
+      const dashboard = await this.userDashboardService.updateDashboard(req.params.id, req.body, req.principal);
+
+      if (!dashboard) {
+        return this.sendNotFound(res, 'Dashboard not found');
+      }
+
+      res.json({
+        success: true,
+        dashboard,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to update dashboard');
+    }
+  }
+
+  /**
+   * Delete a dashboard
+   * DELETE /api/dashboard/dashboards/:id
+   */
+  async deleteDashboard(req, res) {
+    try {
+      const dashboard = await this.userDashboardService.deleteDashboard(req.params.id, req.principal);
+
+      if (!dashboard) {
+        return this.sendNotFound(res, 'Dashboard not found');
+      }
+
+      res.json({
+        success: true,
+        dashboard,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to delete dashboard');
+    }
+  }
+
+  /**
+   * Render every widget of a dashboard
+   * GET /api/dashboard/dashboards/:id/data
+   */
+  async getDashboardData(req, res) {
+    try {
+      const dashboard = await this.userDashboardService.getDashboardData(req.params.id, req.query.parameters, req.principal);
+
+      if (!dashboard) {
+        return this.sendNotFound(res, 'Dashboard not found');
+      }
+
+      res.json({
+        success: true,
+        data: dashboard,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to fetch dashboard data');
+    }
+  }
+
+  /**
+   * Render one widget
+   * GET /api/dashboard/widgets/:widgetId
+   */
+  async getWidgetData(req, res) {
+    try {
+      const widget = await this.userDashboardService.getWidgetData(req.params.widgetId, req.query.parameters, req.principal);
+
+      if (!widget) {
+        return this.sendNotFound(res, 'Widget not found');
+      }
+
+      res.status(widget.success ? 200 : 400).json({
+        success: widget.success,
+        data: widget,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to fetch widget data');
+    }
+  }
+
+  /**
+   * Respond 404 for a missing dashboard or widget
+   * @param {Object} res - Express response
+   * @param {string} message - Error message
+   */
+  sendNotFound(res, message) {
+    res.status(404).json({
+      success: false,
+      error: message
+    });
+  }
+
+  /**
+   * Respond 400 for widgets pointing to unknown saved queries, 500 otherwise
+   * @param {Object} res - Express response
+   * @param {Error} error - Error thrown by the service
+   * @param {string} message - Message for unexpected errors
+   */
+  sendError(res, error, message) {
+    if (error.code === 'UNKNOWN_SAVED_QUERY') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error(`UserDashboardController: ${message}:`, error);
+    res.status(500).json({
+      success: false,
+      error: message,
+      message: error.message
+    });
+  }
+}
+
+module.exports = UserDashboardController;
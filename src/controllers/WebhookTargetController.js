@@ -0,0 +1,191 @@
+/**
+ * Webhook Target Controller
+ * Handles HTTP requests for the webhook targets that schedule alerts are sent to
+ * Uses Dependency Injection for service layer
+ */
+
+const logger = require('../utils/logger');
+
+// Errors caused by the request rather than the server
+const CLIENT_ERROR_STATUS = {
+  INVALID_WEBHOOK_URL: 400,
+  IN_USE: 409
+};
+
+class WebhookTargetController {
+  constructor(webhookService) {
+    this.webhookService = webhookService;
+  }
+
+  /**
+   * List webhook targets
+   * GET /api/nlq/webhooks
+   */
+  async listTargets(req, res) {
+    try {
+      const targets = await this.webhookService.listTargets(req.principal);
+
+      res.status(200).json({
+        success: true,
+        targets,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('WebhookTargetController: Error listing webhook targets:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list webhook targets',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a webhook target
+   * GET /api/nlq/webhooks/:id
+   */
+  async getTarget(req, res) {
+    try {
+      const target = await this.webhookService.getTarget(req.params.id, req.principal);
+
+      if (!target) {
+        return this.sendNotFound(res);
+      }
+
+      res.status(200).json({
+        success: true,
+        target,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('WebhookTargetController: Error fetching webhook target:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch webhook target',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Create a webhook target
+   * POST /api/nlq/webhooks
+   */
+  async createTarget(req, res) {
+    try {
+      const target = await this.webhookService.createTarget(req.body, req.principal);
+
+      res.status(201).json({
+        success: true,
+        target,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to create webhook target');
+    }
+  }
+
+  /**
+   * Replace a webhook target
+   * PUT /api/nlq/webhooks/:id
+   */
+  async updateTarget(req, res) {
+    try {
+      const target = await this.webhookService.updateTarget(req.params.id, req.body, req.principal);
+
+      if (!target) {
+        return this.sendNotFound(res);
+      }
+
+      res.status(200).json({
+        success: true,
+        target,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to update webhook target');
+    }
+  }
+
+  /**
+   * Delete a webhook target
+   * DELETE /api/nlq/webhooks/:id
+   */
+  async deleteTarget(req, res) {
+    try {
+      const target = await this.webhookService.deleteTarget(req.params.id, req.principal);
+
+      if (!target) {
+        return this.sendNotFound(res);
+      }
+
+      res.status(200).json({
+        success: true,
+        target,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to delete webhook target');
+    }
+  }
+
+  /**
+   * Send a test event to a webhook target
+   * POST /api/nlq/webhooks/:id/test
+   */
+  async testTarget(req, res) {
+    try {
+      const delivery = await this.webhookService.testTarget(req.params.id, req.principal);
+
+      if (!delivery) {
+        return this.sendNotFound(res);
+      }
+
+      res.status(200).json({
+        success: delivery.delivered,
+        delivery,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to test webhook target');
+    }
+  }
+
+  /**
+   * Respond 404 for a missing webhook target
+   * @param {Object} res - Express response
+   */
+  sendNotFound(res) {
+    res.status(404).json({
+      success: false,
+      error: 'Webhook target not found'
+    });
+  }
+
+  /**
+   * Respond with a client error for invalid requests, 500 otherwise
+   * @param {Object} res - Express response
+   * @param {Error} error - Error thrown by the service
+   * @param {string} message - Message for unexpected errors
+   */
+  sendError(res, error, message) {
+    const status = CLIENT_ERROR_STATUS[error.code];
+
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        error: error.message,
+        schedules: error.schedules
+      });
+    }
+
+    logger.error(`WebhookTargetController: ${message}:`, error);
+    res.status(500).json({
+      success: false,
+      error: message,
+      message: error.message
+    });
+  }
+}
+
+module.exports = WebhookTargetController;
@@ -0,0 +1,76 @@
+/**
+ * Base Exporter - Common contract for result export formats
+ * An exporter writes a header, batches of rows and a footer to an output
+ * stream, honouring backpressure so large exports stay out of memory
+ */
+
+class BaseExporter {
+  /**
+   * @param {Writable} output - Stream receiving the file (e.g. the HTTP response)
+   * @param {Array} columns - Columns (see columnTypes.describeColumns)
+   */
+  constructor(output, columns) {
+    this.output = output;
+    this.columns = columns;
+  }
+
+  /**
+   * MIME type of the file
+   * @returns {string} Content type
+   */
+  static get contentType() {
+    throw new Error('Exporter must define a content type');
+  }
+
+  /**
+   * File extension, without the dot
+   * @returns {string} Extension
+   */
+  static get extension() {
+    throw new Error('Exporter must define an extension');
+  }
+
+  /**
+   * Write anything that precedes the rows
+   */
+  async start() {}
+
+  /**
+   * Write a batch of rows
+   * @param {Array} rows - Rows in result order
+   */
+  async writeRows(rows) {
+    throw new Error('Exporter must implement writeRows');
+  }
+
+  /**
+   * Write anything that follows the rows and end the output
+   */
+  async finish() {
+    await new Promise(resolve => this.output.end(resolve));
+  }
+
+  /**
+   * Write text, waiting for the stream to drain when its buffer is full
+   * @param {string} chunk - Text to write
+   */
+  async write(chunk) {
+    if (!this.output.write(chunk)) {
+      await new Promise((resolve, reject) => {
+        const cleanup = () => {
+          this.output.off('drain', onDrain);
+          this.output.off('close', onClose);
+          this.output.off('error', onError);
+        };
+        const onDrain = () => { cleanup(); resolve(); };
+        const onClose = () => { cleanup(); reject(new Error('Export stream closed')); };
+        const onError = (error) => { cleanup(); reject(error); };
+        this.output.on('drain', onDrain);
+        this.output.on('close', onClose);
+        this.output.on('error', onError);
+      });
+    }
+  }
+}
+
+module.exports = BaseExporter;
@@ -0,0 +1,55 @@
+/**
+ * CSV Exporter - RFC 4180 comma-separated values with a header row
+ */
+
+const BaseExporter = require('./BaseExporter');
+const { toText } = require('./columnTypes');
+
+// Spreadsheet apps run text cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+class CsvExporter extends BaseExporter {
+  static get contentType() {
+    return 'text/csv; charset=utf-8';
+  }
+
+  static get extension() {
+    return 'csv';
+  }
+
+  async start() {
+    await this.write(`${this.columns.map(column => this.escape(column.name)).join(',')}\r\n`);
+  }
+
+  async writeRows(rows) {
+    const lines = rows.map(row => this.columns
+      .map(column => this.escape(this.formatValue(row[column.name], column)))
+      .join(','));
+
+    if (lines.length > 0) {
+      await this.write(`${lines.join('\r\n')}\r\n`);
+    }
+  }
+
+  /**
+   * Convert a value to cell text, neutralising formulas in text columns
+   * @param {*} value - Column value
+   * @param {Object} column - Column
+   * @returns {string} Cell text
+   */
+  formatValue(value, column) {
+    const text = toText(value, column);
+    return column.type === 'text' && FORMULA_PREFIX.test(text) ? `'${text}` : text;
+  }
+
+  /**
+   * Quote a field when it contains a delimiter, quote or line break
+   * @param {string} text - Field text
+   * @returns {string} CSV field
+   */
+  escape(text) {
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+module.exports = CsvExporter;
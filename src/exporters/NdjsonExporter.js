@@ -0,0 +1,28 @@
+/**
+ * NDJSON Exporter - One JSON object per line (JSON Lines)
+ */
+
+const BaseExporter = require('./BaseExporter');
+const { toJSONValue } = require('./columnTypes');
+
+class NdjsonExporter extends BaseExporter {
+  static get contentType() {
+    return 'application/x-ndjson; charset=utf-8';
+  }
+
+  static get extension() {
+    return 'ndjson';
+  }
+
+  async writeRows(rows) {
+    const lines = rows.map(row => JSON.stringify(Object.fromEntries(
+      this.columns.map(column => [column.name, toJSONValue(row[column.name], column)])
+    )));
+
+    if (lines.length > 0) {
+      await this.write(`${lines.join('\n')}\n`);
+    }
+  }
+}
+
+module.exports = NdjsonExporter;
@@ -0,0 +1,114 @@
+/**
+ * Parquet Exporter - Columnar file with a schema derived from the result columns
+ * Rows are buffered per row group by the writer, so memory stays bounded
+ */
+
+const parquet = require('@dsnp/parquetjs');
+const BaseExporter = require('./BaseExporter');
+const { toText } = require('./columnTypes');
+
+// Beyond 15 digits a decimal no longer round-trips through a JS number
+const MAX_DECIMAL_PRECISION = 15;
+
+class ParquetExporter extends BaseExporter {
+  constructor(output, columns) {
+    super(output, columns);
+    this.writer = null;
+  }
+
+  static get contentType() {
+    return 'application/vnd.apache.parquet';
+  }
+
+  static get extension() {
+    return 'parquet';
+  }
+
+  async start() {
+    this.writer = await parquet.ParquetWriter.openStream(new parquet.ParquetSchema(this.buildSchema()), this.output);
+  }
+
+  async writeRows(rows) {
+    for (const row of rows) {
+      const record = {};
+      this.columns.forEach((column, index) => {
+        record[this.fieldName(column, index)] = this.toParquetValue(row[column.name], column);
+      });
+      await this.writer.appendRow(record);
+    }
+  }
+
+  async finish() {
+    // Writes the last row group and the footer, then ends the output
+    await this.writer.close();
+  }
+
+  /**
+   * Parquet schema for the result columns; every field is optional (nullable)
+   * @returns {Object} Field definitions
+   */
+  buildSchema() {
+    const fields = {};
+
+    this.columns.forEach((column, index) => {
+      fields[this.fieldName(column, index)] = { ...this.toParquetType(column), optional: true };
+    });
+
+    return fields;
+  }
+
+  /**
+   * Parquet type of a column
+   * @param {Object} column - Column
+   * @returns {Object} Field type definition
+   */
+  toParquetType(column) {
+    switch (column.type) {
+      case 'boolean': return { type: 'BOOLEAN' };
+      case 'integer': return { type: 'INT32' };
+      case 'bigint': return { type: 'INT64' };
+      case 'double': return { type: 'DOUBLE' };
+      case 'date': return { type: 'DATE' };
+      case 'timestamp': return { type: 'TIMESTAMP_MILLIS' };
+      case 'json': return { type: 'JSON' };
+      case 'binary': return { type: 'BYTE_ARRAY' };
+      case 'decimal':
+        // Unconstrained or very wide numerics are kept exact as text
+        return column.precision && column.precision <= MAX_DECIMAL_PRECISION
+          ? { type: 'DECIMAL', precision: column.precision, scale: column.scale }
+          : { type: 'UTF8' };
+      default: return { type: 'UTF8' };
+    }
+  }
+
+  /**
+   * Convert a value to what the Parquet writer expects for the column type
+   * @param {*} value - Column value
+   * @param {Object} column - Column
+   * @returns {*} Parquet value
+   */
+  toParquetValue(value, column) {
+    if (value === null || value === undefined) return null;
+
+    const { type } = this.toParquetType(column);
+    switch (type) {
+      case 'INT64': return BigInt(value);
+      case 'DECIMAL': return Number(value);
+      case 'UTF8': return toText(value, column);
+      default: return value;
+    }
+  }
+
+  /**
+   * Field name of a column; duplicate result column names (e.g. two `id`s) get a suffix
+   * @param {Object} column - Column
+   * @param {number} index - Column position
+   * @returns {string} Unique field name
+   */
+  fieldName(column, index) {
+    const earlier = this.columns.slice(0, index).filter(other => other.name === column.name).length;
+    return earlier > 0 ? `${column.name}_${earlier + 1}` : column.name;
+  }
+}
+
+module.exports = ParquetExporter;
@@ -0,0 +1,90 @@
+/**
+ * XLSX Exporter - Excel workbook written with the streaming ExcelJS writer
+ * Numbers, dates and booleans become native cells; results longer than a
+ * worksheet continue on additional sheets
+ */
+
+const ExcelJS = require('exceljs');
+const BaseExporter = require('./BaseExporter');
+const { toText } = require('./columnTypes');
+
+// Excel's row limit, minus the header row
+const MAX_ROWS_PER_SHEET = 1048575;
+
+class XlsxExporter extends BaseExporter {
+  constructor(output, columns) {
+    super(output, columns);
+    this.workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true });
+    this.worksheet = null;
+    this.sheetRows = 0;
+    this.sheetCount = 0;
+  }
+
+  static get contentType() {
+    return 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+  }
+
+  static get extension() {
+    return 'xlsx';
+  }
+
+  async start() {
+    this.addSheet();
+  }
+
+  async writeRows(rows) {
+    for (const row of rows) {
+      if (this.sheetRows === MAX_ROWS_PER_SHEET) {
+        this.worksheet.commit();
+        this.addSheet();
+      }
+      this.worksheet.addRow(this.columns.map(column => this.toCellValue(row[column.name], column))).commit();
+      this.sheetRows++;
+    }
+  }
+
+  async finish() {
+    // Finalizes the zip, which ends the output
+    await this.workbook.commit();
+  }
+
+  /**
+   * Start a worksheet with a bold header row
+   */
+  addSheet() {
+    this.sheetCount++;
+    this.worksheet = this.workbook.addWorksheet(this.sheetCount === 1 ? 'Results' : `Results ${this.sheetCount}`);
+    const header = this.worksheet.addRow(this.columns.map(column => column.name));
+    header.font = { bold: true };
+    header.commit();
+    this.sheetRows = 0;
+  }
+
+  /**
+   * Convert a value to a native Excel cell value
+   * @param {*} value - Column value
+   * @param {Object} column - Column
+   * @returns {*} Cell value
+   */
+  toCellValue(value, column) {
+    if (value === null || value === undefined) return null;
+
+    switch (column.type) {
+      case 'integer':
+      case 'double':
+      case 'boolean':
+        return value;
+      case 'bigint':
+        return Number.isSafeInteger(Number(value)) ? Number(value) : String(value);
+      case 'decimal':
+        return Number.isFinite(Number(value)) ? Number(value) : String(value);
+      case 'date':
+      case 'timestamp':
+        return value instanceof Date ? value : toText(value, column);
+      default:
+        return toText(value, column);
+    }
+  }
+}
+
+module.exports = XlsxExporter;
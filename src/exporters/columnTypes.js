@@ -0,0 +1,104 @@
+/**
+ * Column Types - Map PostgreSQL result columns to export types
+ * node-postgres returns int8 and numeric as strings and date/timestamp as
+ * Date objects; exporters use these types to write each value natively
+ */
+
+// Type OIDs from pg_type
+const PG_TYPE_MAP = {
+  16: 'boolean',
+  17: 'binary',
+  20: 'bigint',
+  21: 'integer',
+  23: 'integer',
+  26: 'bigint',
+  114: 'json',
+  700: 'double',
+  701: 'double',
+  790: 'decimal',
+  1082: 'date',
+  1114: 'timestamp',
+  1184: 'timestamp',
+  1700: 'decimal',
+  3802: 'json'
+};
+
+// Array types come back as JS arrays and are exported like JSON
+const PG_ARRAY_TYPE_IDS = [199, 1000, 1001, 1005, 1007, 1009, 1014, 1015, 1016, 1021, 1022, 1115, 1182, 1185, 1231, 2951, 3807];
+
+/**
+ * Describe result columns for exporters
+ * @param {Array} fields - pg result fields
+ * @returns {Array} { name, type, precision, scale }
+ */
+const describeColumns = (fields = []) => fields.map(field => {
+  const type = PG_ARRAY_TYPE_IDS.includes(field.dataTypeID) ? 'json' : (PG_TYPE_MAP[field.dataTypeID] || 'text');
+  const column = { name: field.name, type };
+
+  // numeric(p, s) stores precision and scale in the type modifier; -1 means unconstrained
+  if (field.dataTypeID === 1700 && field.dataTypeModifier > 4) {
+    column.precision = ((field.dataTypeModifier - 4) >> 16) & 0xffff;
+    column.scale = (field.dataTypeModifier - 4) & 0xffff;
+  }
+
+  return column;
+});
+
+/**
+ * Format a date column as YYYY-MM-DD (node-postgres parses dates at local midnight)
+ * @param {Date} value - Date
+ * @returns {string} ISO date
+ */
+const formatDate = (value) => {
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+};
+
+/**
+ * Convert a value to text, as in CSV
+ * @param {*} value - Column value
+ * @param {Object} column - Column (see describeColumns)
+ * @returns {string} Text ('' for null)
+ */
+const toText = (value, column) => {
+  if (value === null || value === undefined) return '';
+
+  switch (column.type) {
+    case 'date':
+      return value instanceof Date ? formatDate(value) : String(value);
+    case 'timestamp':
+      return value instanceof Date ? value.toISOString() : String(value);
+    case 'json':
+      return JSON.stringify(value);
+    case 'binary':
+      return Buffer.isBuffer(value) ? `\\x${value.toString('hex')}` : String(value);
+    default:
+      return String(value);
+  }
+};
+
+/**
+ * Convert a value for JSON output without losing precision
+ * 64-bit integers outside the safe range and numerics stay strings
+ * @param {*} value - Column value
+ * @param {Object} column - Column (see describeColumns)
+ * @returns {*} JSON-compatible value
+ */
+const toJSONValue = (value, column) => {
+  if (value === null || value === undefined) return null;
+
+  switch (column.type) {
+    case 'bigint':
+      return Number.isSafeInteger(Number(value)) ? Number(value) : String(value);
+    case 'date':
+      return value instanceof Date ? formatDate(value) : value;
+    case 'timestamp':
+      return value instanceof Date ? value.toISOString() : value;
+    case 'binary':
+      return Buffer.isBuffer(value) ? value.toString('base64') : value;
+    default:
+      return value;
+  }
+};
+
+module.exports = { describeColumns, toText, toJSONValue, formatDate };
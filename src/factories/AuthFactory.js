@@ -0,0 +1,83 @@
+/**
+ * Auth Factory
+ * Factory pattern for creating authentication and authorization instances
+ * Shares a single AuthService between the middleware and the admin API, and
+ * single AccessPolicyService and DataMaskingService instances between the
+ * query paths and the admin API
+ */
+
+const ApiKeyRepository = require('../repositories/ApiKeyRepository');
+const AccessPolicyRepository = require('../repositories/AccessPolicyRepository');
+const DataMaskingRepository = require('../repositories/DataMaskingRepository');
+const AuthService = require('../services/AuthService');
+const AccessPolicyService = require('../services/AccessPolicyService');
+const DataMaskingService = require('../services/DataMaskingService');
+const ApiKeyController = require('../controllers/ApiKeyController');
+const AccessPolicyController = require('../controllers/AccessPolicyController');
+const DataMaskingController = require('../controllers/DataMaskingController');
+const db = require('../config/database');
+
+let sharedAuthService = null;
+let sharedAccessPolicyService = null;
+let sharedDataMaskingService = null;
+
+class AuthFactory {
+  /**
+   * Get the shared auth service
+   * @returns {AuthService} Auth service
+   */
+  static getAuthService() {
+    if (!sharedAuthService) {
+      sharedAuthService = new AuthService(new ApiKeyRepository(db.getVectorDB()));
+    }
+    return sharedAuthService;
+  }
+
+  /**
+   * Get the shared access policy service
+   * @returns {AccessPolicyService} Access policy service
+   */
+  static getAccessPolicyService() {
+    if (!sharedAccessPolicyService) {
+      sharedAccessPolicyService = new AccessPolicyService(new AccessPolicyRepository(db.getVectorDB()), db.getPrimaryDB());
+    }
+    return sharedAccessPolicyService;
+  }
+
+  /**
+   * Get the shared data masking service
+   * @returns {DataMaskingService} Data masking service
+   */
+  static getDataMaskingService() {
+    if (!sharedDataMaskingService) {
+      sharedDataMaskingService = new DataMaskingService(new DataMaskingRepository(db.getVectorDB()), db.getPrimaryDB());
+    }
+    return sharedDataMaskingService;
+  }
+
+  /**
+   * Create an API key admin controller
+   * @returns {ApiKeyController} Configured API key controller
+   */
+  static createApiKeyController() {
+    return new ApiKeyController(this.getAuthService());
+  }
+
+  /**
+   * Create an access policy admin controller
+   * @returns {AccessPolicyController} Configured access policy controller
+   */
+  static createAccessPolicyController() {
+    return new AccessPolicyController(this.getAccessPolicyService());
+  }
+
+  /**
+   * Create a PII classification and masking policy admin controller
+   * @returns {DataMaskingController} Configured data masking controller
+   */
+  static createDataMaskingController() {
+    return new DataMaskingController(this.getDataMaskingService());
+  }
+}
+
+module.exports = AuthFactory;
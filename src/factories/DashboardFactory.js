@@ -7,6 +7,10 @@
 const DashboardRepository = require('../repositories/DashboardRepository');
 const DashboardService = require('../services/DashboardService');
 const DashboardController = require('../controllers/DashboardController');
+const UserDashboardService = require('../services/UserDashboardService');
+const UserDashboardController = require('../controllers/UserDashboardController');
+const NLQFactory = require('./NLQFactory');
+const AuthFactory = require('./AuthFactory');
 const db = require('../config/database');
 
 class DashboardFactory {
@@ -21,8 +25,8 @@ class DashboardFactory {
     // Create repository with database dependency
     const dashboardRepository = new DashboardRepository(dbPool);
     
-    // Create service with repository dependency
-    const dashboardService = new DashboardService(dashboardRepository);
+    // Create service with repository dependency; recent orders are masked per caller role
+    const dashboardService = new DashboardService(dashboardRepository, AuthFactory.getDataMaskingService());
     
     // Create controller with service dependency
     const dashboardController = new DashboardController(dashboardService);
@@ -45,7 +49,17 @@ class DashboardFactory {
    */
   static createDashboardService() {
     const repository = this.createDashboardRepository();
-    return new DashboardService(repository);
+    return new DashboardService(repository, AuthFactory.getDataMaskingService());
+  }
+
+  /**
+   * Create a controller for user-defined dashboards built from saved queries
+   * @returns {UserDashboardController} Configured user dashboard controller
+   */
+  static createUserDashboardController() {
+    const savedQueryService = NLQFactory.getSavedQueryService();
+    const userDashboardService = new UserDashboardService(savedQueryService.userDashboardRepository, savedQueryService);
+    return new UserDashboardController(userDashboardService);
   }
 }
 
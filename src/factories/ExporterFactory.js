@@ -0,0 +1,55 @@
+/**
+ * Exporter Factory
+ * Factory pattern for creating result exporters by format
+ */
+
+const CsvExporter = require('../exporters/CsvExporter');
+const XlsxExporter = require('../exporters/XlsxExporter');
+const NdjsonExporter = require('../exporters/NdjsonExporter');
+const ParquetExporter = require('../exporters/ParquetExporter');
+
+const EXPORTERS = {
+  csv: CsvExporter,
+  xlsx: XlsxExporter,
+  ndjson: NdjsonExporter,
+  parquet: ParquetExporter
+};
+
+class ExporterFactory {
+  /**
+   * Get the exporter class of a format
+   * @param {string} format - Export format
+   * @returns {Function} Exporter class (for contentType/extension)
+   */
+  static getExporterClass(format) {
+    const Exporter = EXPORTERS[format];
+
+    if (!Exporter) {
+      throw new Error(`Unknown export format '${format}'. Supported formats: ${this.getSupportedFormats().join(', ')}`);
+    }
+
+    return Exporter;
+  }
+
+  /**
+   * Create an exporter instance
+   * @param {string} format - Export format
+   * @param {Writable} output - Stream receiving the file
+   * @param {Array} columns - Columns (see exporters/columnTypes.js)
+   * @returns {BaseExporter} Exporter
+   */
+  static createExporter(format, output, columns) {
+    const Exporter = this.getExporterClass(format);
+    return new Exporter(output, columns);
+  }
+
+  /**
+   * Get names of all registered formats
+   * @returns {Array<string>} Format names
+   */
+  static getSupportedFormats() {
+    return Object.keys(EXPORTERS);
+  }
+}
+
+module.exports = ExporterFactory;
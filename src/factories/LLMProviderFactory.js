@@ -0,0 +1,45 @@
+/**
+ * LLM Provider Factory
+ * Factory pattern for creating the configured chat/embedding provider
+ */
+
+const { getLLMConfig } = require('../config/llm');
+const GeminiProvider = require('../providers/GeminiProvider');
+const OpenAIProvider = require('../providers/OpenAIProvider');
+const LocalProvider = require('../providers/LocalProvider');
+const StubProvider = require('../providers/StubProvider');
+
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  openai: OpenAIProvider,
+  local: LocalProvider,
+  stub: StubProvider
+};
+
+class LLMProviderFactory {
+  /**
+   * Create a provider instance
+   * @param {Object} config - LLM configuration (defaults to environment)
+   * @param {Object} options - Provider-specific options
+   * @returns {BaseLLMProvider} Configured provider
+   */
+  static createProvider(config = getLLMConfig(), options = {}) {
+    const Provider = PROVIDERS[config.provider];
+
+    if (!Provider) {
+      throw new Error(`Unknown LLM provider '${config.provider}'. Supported providers: ${this.getSupportedProviders().join(', ')}`);
+    }
+
+    return new Provider(config, options);
+  }
+
+  /**
+   * Get names of all registered providers
+   * @returns {Array<string>} Provider names
+   */
+  static getSupportedProviders() {
+    return Object.keys(PROVIDERS);
+  }
+}
+
+module.exports = LLMProviderFactory;
@@ -0,0 +1,348 @@
+/**
+ * NLQ Factory
+ * Factory pattern for creating NLQ-related instances
+ * Shares a single AdvancedNLQService so its schema index is initialized once
+ * and a single QueryLogService / QueryResultService / SavedQueryService /
+ * ScheduleService / DatasourceService / QueryCacheService for history, result
+ * paging, saved queries, schedules, datasource pools and cache metrics
+ *
+ * The NLQ pipeline's repositories and helper services (schema index,
+ * glossary, examples, clarifications, summaries, charts) are built here
+ * and injected, so the admin APIs share them with the pipeline
+ */
+
+const { AdvancedNLQService } = require('../services/AdvancedNLQService');
+const GlossaryRepository = require('../repositories/GlossaryRepository');
+const SqlExampleRepository = require('../repositories/SqlExampleRepository');
+const ExampleRetrievalService = require('../services/ExampleRetrievalService');
+const ClarificationRepository = require('../repositories/ClarificationRepository');
+const ClarificationService = require('../services/ClarificationService');
+const AnswerSummaryService = require('../services/AnswerSummaryService');
+const ChartRecommendationService = require('../services/ChartRecommendationService');
+const ConversationRepository = require('../repositories/ConversationRepository');
+const ConversationService = require('../services/ConversationService');
+const ConversationController = require('../controllers/ConversationController');
+const QueryLogRepository = require('../repositories/QueryLogRepository');
+const QueryLogService = require('../services/QueryLogService');
+const QueryLogController = require('../controllers/QueryLogController');
+const QueryResultRepository = require('../repositories/QueryResultRepository');
+const QueryResultService = require('../services/QueryResultService');
+const QueryResultController = require('../controllers/QueryResultController');
+const ExportService = require('../services/ExportService');
+const ExportController = require('../controllers/ExportController');
+const SavedQueryRepository = require('../repositories/SavedQueryRepository');
+const UserDashboardRepository = require('../repositories/UserDashboardRepository');
+const SavedQueryService = require('../services/SavedQueryService');
+const SavedQueryController = require('../controllers/SavedQueryController');
+const ScheduleRepository = require('../repositories/ScheduleRepository');
+const WebhookTargetRepository = require('../repositories/WebhookTargetRepository');
+const ScheduleService = require('../services/ScheduleService');
+const WebhookService = require('../services/WebhookService');
+const QueryScheduler = require('../services/QueryScheduler');
+const QueryExecutionService = require('../services/QueryExecutionService');
+const ScheduleController = require('../controllers/ScheduleController');
+const WebhookTargetController = require('../controllers/WebhookTargetController');
+const GlossaryService = require('../services/GlossaryService');
+const GlossaryController = require('../controllers/GlossaryController');
+const SqlExampleService = require('../services/SqlExampleService');
+const SqlExampleController = require('../controllers/SqlExampleController');
+const FeedbackRepository = require('../repositories/FeedbackRepository');
+const FeedbackService = require('../services/FeedbackService');
+const FeedbackController = require('../controllers/FeedbackController');
+const EvaluationRunRepository = require('../repositories/EvaluationRunRepository');
+const EvaluationService = require('../services/EvaluationService');
+const EvaluationController = require('../controllers/EvaluationController');
+const DatasourceRepository = require('../repositories/DatasourceRepository');
+const SchemaIndexRepository = require('../repositories/SchemaIndexRepository');
+const DatasourceService = require('../services/DatasourceService');
+const DatasourceController = require('../controllers/DatasourceController');
+const QueryCacheRepository = require('../repositories/QueryCacheRepository');
+const QueryCacheService = require('../services/QueryCacheService');
+const QueryCacheController = require('../controllers/QueryCacheController');
+const AuthFactory = require('./AuthFactory');
+const db = require('../config/database');
+const { getExampleConfig, SEED_EXAMPLES } = require('../config/examples');
+
+let sharedNLQService = null;
+let sharedQueryLogService = null;
+let sharedQueryResultService = null;
+let sharedSavedQueryService = null;
+let sharedScheduleRepository = null;
+let sharedWebhookService = null;
+let sharedScheduleService = null;
+let sharedQueryScheduler = null;
+let sharedDatasourceService = null;
+let sharedQueryCacheService = null;
+
+class NLQFactory {
+  /**
+   * Get the shared NLQ pipeline instance
+   * Access and masking policies are shared with the admin API, so policy changes apply immediately
+   * @returns {AdvancedNLQService} NLQ service
+   */
+  static getNLQService() {
+    if (!sharedNLQService) {
+      const exampleConfig = getExampleConfig();
+      sharedNLQService = new AdvancedNLQService({
+        accessPolicyService: AuthFactory.getAccessPolicyService(),
+        dataMaskingService: AuthFactory.getDataMaskingService(),
+        datasourceService: this.getDatasourceService(),
+        queryCacheService: this.getQueryCacheService(),
+        schemaIndexRepository: new SchemaIndexRepository(db.getVectorDB()),
+        glossaryRepository: new GlossaryRepository(db.getVectorDB()),
+        exampleRetrievalService: new ExampleRetrievalService(
+          new SqlExampleRepository(db.getVectorDB(), exampleConfig.seed ? SEED_EXAMPLES : []),
+          exampleConfig
+        ),
+        clarificationService: new ClarificationService(new ClarificationRepository(db.getVectorDB())),
+        answerSummaryService: new AnswerSummaryService(),
+        chartRecommendationService: new ChartRecommendationService()
+      });
+    }
+    return sharedNLQService;
+  }
+
+  /**
+   * Get the shared datasource registry, which owns one pool per datasource
+   * @returns {DatasourceService} Datasource service
+   */
+  static getDatasourceService() {
+    if (!sharedDatasourceService) {
+      sharedDatasourceService = new DatasourceService(
+        new DatasourceRepository(db.getVectorDB()),
+        new SchemaIndexRepository(db.getVectorDB())
+      );
+    }
+    return sharedDatasourceService;
+  }
+
+  /**
+   * Get the shared query cache, whose hit/miss counters the admin API reports
+   * @returns {QueryCacheService} Query cache service
+   */
+  static getQueryCacheService() {
+    if (!sharedQueryCacheService) {
+      sharedQueryCacheService = new QueryCacheService(new QueryCacheRepository(db.getVectorDB()));
+    }
+    return sharedQueryCacheService;
+  }
+
+  /**
+   * Get the shared query history service
+   * @returns {QueryLogService} Query log service
+   */
+  static getQueryLogService() {
+    if (!sharedQueryLogService) {
+      sharedQueryLogService = new QueryLogService(new QueryLogRepository(db.getVectorDB()));
+    }
+    return sharedQueryLogService;
+  }
+
+  /**
+   * Get the shared query result store
+   * @returns {QueryResultService} Query result service
+   */
+  static getQueryResultService() {
+    if (!sharedQueryResultService) {
+      sharedQueryResultService = new QueryResultService(new QueryResultRepository(db.getVectorDB()), this.getNLQService());
+    }
+    return sharedQueryResultService;
+  }
+
+  /**
+   * Get the shared saved query service (also runs dashboard widgets)
+   * @returns {SavedQueryService} Saved query service
+   */
+  static getSavedQueryService() {
+    if (!sharedSavedQueryService) {
+      sharedSavedQueryService = new SavedQueryService(
+        new SavedQueryRepository(db.getVectorDB()),
+        new UserDashboardRepository(db.getVectorDB()),
+        this.getNLQService(),
+        this.getScheduleRepository()
+      );
+    }
+    return sharedSavedQueryService;
+  }
+
+  /**
+   * Get the shared schedule repository (saved queries and webhook targets check it before deletion)
+   * @returns {ScheduleRepository} Schedule repository
+   */
+  static getScheduleRepository() {
+    if (!sharedScheduleRepository) {
+      sharedScheduleRepository = new ScheduleRepository(db.getVectorDB());
+    }
+    return sharedScheduleRepository;
+  }
+
+  /**
+   * Get the shared webhook service
+   * @returns {WebhookService} Webhook service
+   */
+  static getWebhookService() {
+    if (!sharedWebhookService) {
+      sharedWebhookService = new WebhookService(new WebhookTargetRepository(db.getVectorDB()), this.getScheduleRepository());
+    }
+    return sharedWebhookService;
+  }
+
+  /**
+   * Get the shared schedule service
+   * Scheduled SQL runs through QueryExecutionService; the NLQ pipeline only pins questions
+   * @returns {ScheduleService} Schedule service
+   */
+  static getScheduleService() {
+    if (!sharedScheduleService) {
+      sharedScheduleService = new ScheduleService(
+        this.getScheduleRepository(),
+        this.getWebhookService(),
+        this.getSavedQueryService().savedQueryRepository,
+        new QueryExecutionService({ dataMaskingService: AuthFactory.getDataMaskingService() }),
+        this.getNLQService(),
+        AuthFactory.getAuthService()
+      );
+    }
+    return sharedScheduleService;
+  }
+
+  /**
+   * Get the shared scheduler that runs due schedules
+   * @returns {QueryScheduler} Query scheduler
+   */
+  static getQueryScheduler() {
+    if (!sharedQueryScheduler) {
+      sharedQueryScheduler = new QueryScheduler(this.getScheduleService());
+    }
+    return sharedQueryScheduler;
+  }
+
+  /**
+   * Create a conversation controller with all dependencies
+   * @returns {ConversationController} Configured conversation controller
+   */
+  static createConversationController() {
+    const conversationRepository = new ConversationRepository(db.getVectorDB());
+    const conversationService = new ConversationService(conversationRepository, this.getNLQService());
+    return new ConversationController(conversationService, this.getQueryLogService(), this.getQueryResultService());
+  }
+
+  /**
+   * Create a query history controller
+   * @returns {QueryLogController} Configured query log controller
+   */
+  static createQueryLogController() {
+    return new QueryLogController(this.getQueryLogService());
+  }
+
+  /**
+   * Create a query result controller
+   * @returns {QueryResultController} Configured query result controller
+   */
+  static createQueryResultController() {
+    return new QueryResultController(this.getQueryResultService());
+  }
+
+  /**
+   * Create an export controller
+   * Reads stored results and history entries through the shared services' repositories
+   * @returns {ExportController} Configured export controller
+   */
+  static createExportController() {
+    const exportService = new ExportService(
+      this.getNLQService(),
+      this.getQueryResultService().queryResultRepository,
+      this.getQueryLogService().queryLogRepository
+    );
+    return new ExportController(exportService);
+  }
+
+  /**
+   * Create a saved query controller
+   * @returns {SavedQueryController} Configured saved query controller
+   */
+  static createSavedQueryController() {
+    return new SavedQueryController(this.getSavedQueryService());
+  }
+
+  /**
+   * Create a schedule controller
+   * @returns {ScheduleController} Configured schedule controller
+   */
+  static createScheduleController() {
+    return new ScheduleController(this.getScheduleService());
+  }
+
+  /**
+   * Create a webhook target controller
+   * @returns {WebhookTargetController} Configured webhook target controller
+   */
+  static createWebhookTargetController() {
+    return new WebhookTargetController(this.getWebhookService());
+  }
+
+  /**
+   * Create a business glossary controller
+   * Shares the NLQ service's glossary repository so edits reach the schema index
+   * @returns {GlossaryController} Configured glossary controller
+   */
+  static createGlossaryController() {
+    const nlqService = this.getNLQService();
+    const glossaryService = new GlossaryService(nlqService.glossaryRepository, nlqService);
+    return new GlossaryController(glossaryService);
+  }
+
+  /**
+   * Create a SQL example controller
+   * Shares the NLQ service's example repository, which it embeds and searches
+   * @returns {SqlExampleController} Configured SQL example controller
+   */
+  static createSqlExampleController() {
+    const nlqService = this.getNLQService();
+    const sqlExampleService = new SqlExampleService(nlqService.exampleRetrievalService.sqlExampleRepository, nlqService);
+    return new SqlExampleController(sqlExampleService);
+  }
+
+  /**
+   * Create a feedback controller (user ratings and corrections, admin review and report)
+   * Approved corrections go to the NLQ service's example repository
+   * @returns {FeedbackController} Configured feedback controller
+   */
+  static createFeedbackController() {
+    const nlqService = this.getNLQService();
+    const feedbackService = new FeedbackService(
+      new FeedbackRepository(db.getVectorDB()),
+      new QueryLogRepository(db.getVectorDB()),
+      nlqService,
+      new SqlExampleService(nlqService.exampleRetrievalService.sqlExampleRepository, nlqService)
+    );
+    return new FeedbackController(feedbackService);
+  }
+
+  /**
+   * Create an evaluation controller (golden set runs and their comparison)
+   * Runs ask the shared NLQ pipeline, so they measure what users get
+   * @returns {EvaluationController} Configured evaluation controller
+   */
+  static createEvaluationController() {
+    return new EvaluationController(new EvaluationService(new EvaluationRunRepository(db.getVectorDB()), this.getNLQService()));
+  }
+
+  /**
+   * Create a datasource controller (admin registry and the caller's datasource list)
+   * @returns {DatasourceController} Configured datasource controller
+   */
+  static createDatasourceController() {
+    return new DatasourceController(this.getDatasourceService());
+  }
+
+  /**
+   * Create a query cache controller (admin statistics and clearing)
+   * @returns {QueryCacheController} Configured query cache controller
+   */
+  static createQueryCacheController() {
+    return new QueryCacheController(this.getQueryCacheService());
+  }
+}
+
+module.exports = NLQFactory;
@@ -0,0 +1,48 @@
+/**
+ * Authentication middleware
+ * Attaches the caller's principal (user, tenant, roles) to req.principal and
+ * guards routes by role; failures go to errorHandler as 401/403
+ */
+
+const AuthFactory = require('../factories/AuthFactory');
+const { ForbiddenError } = require('../services/AuthService');
+
+/**
+ * Authenticate the request with an API key or JWT bearer token
+ * req.principal is null on public paths
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const authenticate = async (req, res, next) => {
+  try {
+    req.principal = await AuthFactory.getAuthService().authenticateRequest(req);
+    next();
+  } catch (error) {
+    if (error.name === 'UnauthorizedError') {
+      res.set('WWW-Authenticate', 'Bearer');
+    }
+    next(error);
+  }
+};
+
+/**
+ * Require at least one of the given roles
+ * @param {...string} roles - Accepted roles
+ * @returns {Function} Express middleware
+ */
+const requireRole = (...roles) => {
+  return (req, res, next) => {
+    const principal = req.principal;
+
+    if (!principal || !roles.some(role => principal.roles.includes(role))) {
+      return next(new ForbiddenError(`Requires role: ${roles.join(' or ')}`));
+    }
+    next();
+  };
+};
+
+module.exports = {
+  authenticate,
+  requireRole
+};
@@ -75,6 +75,16 @@ const sqlExecutionLimiter = createRateLimiter({
   message: 'Too many SQL execution requests, please try again later.'
 });
 
+/**
+ * Export rate limiter
+ * Applied to result export endpoints, which re-run the full query
+ */
+const exportLimiter = createRateLimiter({
+  windowMs: 10 * 60 * 1000, // 10 minutes
+  max: 10, // 10 exports per 10 minutes
+  message: 'Too many export requests, please try again later.'
+});
+
 /**
  * Schema operations rate limiter
  * Applied to schema-related endpoints
@@ -158,6 +168,7 @@ module.exports = {
   generalLimiter,
   nlqLimiter,
   sqlExecutionLimiter,
+  exportLimiter,
   schemaLimiter,
   healthLimiter,
   customLimiter,
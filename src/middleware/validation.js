@@ -5,6 +5,27 @@
 
 const Joi = require('joi');
 const logger = require('../utils/logger');
+const { STRATEGIES } = require('../config/masking');
+const { PII_CATEGORIES } = require('../utils/piiDetection');
+
+// Name of a registered datasource, or 'default' for the primary database
+const datasourceName = Joi.string().pattern(/^[a-z][a-z0-9_-]*$/).max(63)
+  .messages({
+    'string.pattern.base': 'Datasource name may only contain lowercase letters, digits, dashes and underscores'
+  });
+
+// Golden set name, which is also its file name in the golden set directory
+const goldenSetName = Joi.string().pattern(/^[\w-]+$/).max(255)
+  .messages({
+    'string.pattern.base': 'Golden set name may only contain letters, digits, dashes and underscores'
+  });
+
+// Answer to a clarifying question: one of the offered options, or free text
+const clarificationAnswer = Joi.object({
+  id: Joi.string().guid().required(),
+  option: Joi.number().integer().min(1),
+  answer: Joi.string().trim().min(1).max(500)
+}).xor('option', 'answer');
 
 /**
  * Validate request body against Joi schema
@@ -72,11 +93,46 @@ const validateQuery = (schema) => {
   };
 };
 
+/**
+ * Validate route parameters against Joi schema
+ * @param {Object} schema - Joi validation schema
+ * @returns {Function} Express middleware function
+ */
+const validateParams = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.params, { 
+      abortEarly: false,
+      stripUnknown: true 
+    });
+
+    if (error) {
+      const errorDetails = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      }));
+
+      logger.warn('Params validation error:', errorDetails);
+
+      return res.status(400).json({
+        success: false,
+        error: 'Parameter validation failed',
+        details: errorDetails
+      });
+    }
+
+    req.params = value;
+    next();
+  };
+};
+
 // Common validation schemas
 const schemas = {
   // NLQ query validation
   nlqQuery: Joi.object({
-    query: Joi.string().min(1).max(1000).required()
+    // Answering a clarification resumes its question, so none is needed
+    query: Joi.string().min(1).max(1000)
+      .when('clarification', { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.required() })
       .messages({
         'string.empty': 'Query cannot be empty',
         'string.min': 'Query must be at least 1 character long',
@@ -86,10 +142,48 @@ const schemas = {
       .messages({
         'any.only': 'Language must be either "en" or "hi"'
       }),
+    clarification: clarificationAnswer,
     options: Joi.object({
       includeExplanation: Joi.boolean().default(true),
       validateBeforeExecution: Joi.boolean().default(true),
-      maxResults: Joi.number().integer().min(1).max(10000).default(1000)
+      maxResults: Joi.number().integer().min(1).max(10000).default(1000),
+      pageSize: Joi.number().integer().min(1).max(1000),
+      summarize: Joi.boolean().default(false),
+      datasource: datasourceName,
+      cache: Joi.boolean().default(true),
+      // Ask which interpretation was meant when a question is ambiguous; clients that
+      // handle status needs_clarification opt in
+      clarify: Joi.boolean().default(false)
+    }).default({})
+  }),
+
+  // Streaming NLQ query validation
+  nlqStreamQuery: Joi.object({
+    // Answering a clarification resumes its question, so none is needed
+    query: Joi.string().min(1).max(1000)
+      .when('clarification', { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.required() })
+      .messages({
+        'string.empty': 'Query cannot be empty',
+        'string.min': 'Query must be at least 1 character long',
+        'string.max': 'Query cannot exceed 1000 characters'
+      }),
+    language: Joi.string().valid('en', 'hi').default('en')
+      .messages({
+        'any.only': 'Language must be either "en" or "hi"'
+      }),
+    clarification: clarificationAnswer,
+    options: Joi.object({
+      includeExplanation: Joi.boolean().default(true),
+      validateBeforeExecution: Joi.boolean().default(true),
+      maxResults: Joi.number().integer().min(1).max(10000).default(1000),
+      pageSize: Joi.number().integer().min(1).max(1000),
+      summarize: Joi.boolean().default(false),
+      chunkSize: Joi.number().integer().min(1).max(1000).default(100),
+      datasource: datasourceName,
+      cache: Joi.boolean().default(true),
+      // Ask which interpretation was meant when a question is ambiguous; clients that
+      // handle status needs_clarification opt in
+      clarify: Joi.boolean().default(false)
     }).default({})
   }),
 
@@ -102,7 +196,9 @@ const schemas = {
         'string.max': 'SQL query cannot exceed 10000 characters'
       }),
     options: Joi.object({
-      maxResults: Joi.number().integer().min(1).max(10000).default(1000)
+      maxResults: Joi.number().integer().min(1).max(10000).default(1000),
+      pageSize: Joi.number().integer().min(1).max(1000),
+      datasource: datasourceName
     }).default({})
   }),
 
@@ -139,6 +235,465 @@ const schemas = {
       })
   }),
 
+  // Conversation session creation
+  sessionCreate: Joi.object({
+    title: Joi.string().max(255).allow('')
+      .messages({
+        'string.max': 'Title cannot exceed 255 characters'
+      }),
+    metadata: Joi.object().default({})
+  }),
+
+  // Conversation session id parameter
+  sessionParams: Joi.object({
+    sessionId: Joi.string().guid({ version: 'uuidv4' }).required()
+      .messages({
+        'string.guid': 'Session id must be a valid UUID'
+      })
+  }),
+
+  // Pagination query parameters
+  pagination: Joi.object({
+    limit: Joi.number().integer().min(1).max(200).default(50),
+    offset: Joi.number().integer().min(0).default(0)
+  }),
+
+  // Schema index refresh
+  schemaRefresh: Joi.object({
+    force: Joi.boolean().default(false),
+    datasource: datasourceName
+  }),
+
+  // Datasource whose schema is described
+  schemaQuery: Joi.object({
+    datasource: datasourceName
+  }),
+
+  // Query history filters
+  historyQuery: Joi.object({
+    limit: Joi.number().integer().min(1).max(200).default(50),
+    offset: Joi.number().integer().min(0).default(0),
+    type: Joi.string().valid('nlq', 'sql'),
+    success: Joi.boolean(),
+    search: Joi.string().max(500)
+      .messages({
+        'string.max': 'Search text cannot exceed 500 characters'
+      }),
+    sessionId: Joi.string().guid({ version: 'uuidv4' }),
+    requestId: Joi.string().max(64),
+    from: Joi.date().iso(),
+    to: Joi.date().iso()
+  }),
+
+  // Query history entry id parameter
+  historyParams: Joi.object({
+    id: Joi.number().integer().min(1).required()
+  }),
+
+  // Statistics time range
+  statsQuery: Joi.object({
+    type: Joi.string().valid('nlq', 'sql'),
+    from: Joi.date().iso(),
+    to: Joi.date().iso()
+  }),
+
+  // Stored query result id
+  resultParams: Joi.object({
+    resultId: Joi.string().guid({ version: 'uuidv4' }).required()
+      .messages({
+        'string.guid': 'Result id must be a valid UUID'
+      })
+  }),
+
+  // Result page, by page number or by cursor
+  resultPageQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    pageSize: Joi.number().integer().min(1).max(1000),
+    cursor: Joi.string().max(200)
+  }),
+
+  // Export file format
+  exportQuery: Joi.object({
+    format: Joi.string().lowercase().valid('csv', 'xlsx', 'ndjson', 'parquet').default('csv')
+  }),
+
+  // Saved query: pinned SQL with {{name}} parameters
+  savedQuery: Joi.object({
+    name: Joi.string().trim().min(1).max(255).required(),
+    description: Joi.string().max(2000).allow('', null),
+    question: Joi.string().max(1000).allow('', null),
+    sql: Joi.string().min(1).max(10000).required(),
+    parameters: Joi.array().items(Joi.object({
+      name: Joi.string().pattern(/^[a-zA-Z_][a-zA-Z0-9_]*$/).max(63).required()
+        .messages({
+          'string.pattern.base': 'Parameter name must be a valid identifier'
+        }),
+      type: Joi.string().valid('string', 'number', 'date', 'boolean').default('string'),
+      label: Joi.string().max(255),
+      required: Joi.boolean().default(true),
+      default: Joi.alternatives().try(Joi.string().max(500), Joi.number(), Joi.boolean())
+    })).unique('name').max(20).default([]),
+    chart: Joi.object({
+      type: Joi.string().valid('line', 'bar', 'pie', 'table', 'kpi', 'scatter').required(),
+      spec: Joi.object().allow(null)
+    }).allow(null)
+  }),
+
+  // Saved query, dashboard, schedule, webhook target, API key, access or masking policy id
+  savedQueryParams: Joi.object({
+    id: Joi.number().integer().min(1).required()
+  }),
+
+  // Saved query listing
+  savedQueryListQuery: Joi.object({
+    search: Joi.string().max(200),
+    limit: Joi.number().integer().min(1).max(200).default(50),
+    offset: Joi.number().integer().min(0).default(0)
+  }),
+
+  // Saved query run with parameter values
+  savedQueryRun: Joi.object({
+    parameters: Joi.object().pattern(/^[a-zA-Z_][a-zA-Z0-9_]*$/,
+      Joi.alternatives().try(Joi.string().max(500), Joi.number(), Joi.boolean())).default({}),
+    options: Joi.object({
+      maxResults: Joi.number().integer().min(1).max(10000).default(1000)
+    }).default({})
+  }),
+
+  // User-defined dashboard and its widgets, in display order
+  userDashboard: Joi.object({
+    name: Joi.string().trim().min(1).max(255).required(),
+    description: Joi.string().max(2000).allow('', null),
+    widgets: Joi.array().items(Joi.object({
+      savedQueryId: Joi.number().integer().min(1).required(),
+      title: Joi.string().max(255),
+      parameters: Joi.object().pattern(/^[a-zA-Z_][a-zA-Z0-9_]*$/,
+        Joi.alternatives().try(Joi.string().max(500), Joi.number(), Joi.boolean())).default({}),
+      layout: Joi.object({
+        x: Joi.number().integer().min(0),
+        y: Joi.number().integer().min(0),
+        w: Joi.number().integer().min(1),
+        h: Joi.number().integer().min(1)
+      })
+    })).max(50).default([])
+  }),
+
+  // Widget id
+  widgetParams: Joi.object({
+    widgetId: Joi.number().integer().min(1).required()
+  }),
+
+  // Parameter values for dashboard or widget data (?parameters[region]=north)
+  dashboardDataQuery: Joi.object({
+    parameters: Joi.object().pattern(/^[a-zA-Z_][a-zA-Z0-9_]*$/, Joi.string().max(500)).default({})
+  }),
+
+  // Scheduled query: a saved query (with parameter values) or a question, run on a cron expression
+  schedule: Joi.object({
+    name: Joi.string().trim().min(1).max(255).required(),
+    description: Joi.string().max(2000).allow('', null),
+    savedQueryId: Joi.number().integer().min(1),
+    parameters: Joi.object().pattern(/^[a-zA-Z_][a-zA-Z0-9_]*$/,
+      Joi.alternatives().try(Joi.string().max(500), Joi.number(), Joi.boolean())).default({}),
+    question: Joi.string().trim().min(3).max(1000),
+    cron: Joi.string().trim().max(100).required(),
+    timezone: Joi.string().max(64),
+    condition: Joi.object({
+      type: Joi.string().valid('threshold', 'delta').required(),
+      aggregate: Joi.string().valid('first', 'sum', 'min', 'max', 'avg', 'count').default('first'),
+      column: Joi.string().max(255)
+        .when('aggregate', { is: 'count', then: Joi.optional(), otherwise: Joi.required() }),
+      operator: Joi.string().valid('>', '>=', '<', '<=', '=', '!=').required(),
+      value: Joi.number().required(),
+      change: Joi.when('type', {
+        is: 'delta',
+        then: Joi.string().valid('absolute', 'percent').default('absolute'),
+        otherwise: Joi.forbidden()
+      })
+    }).required(),
+    notify: Joi.string().valid('change', 'always').default('change'),
+    webhookTargetIds: Joi.array().items(Joi.number().integer().min(1)).unique().max(10).default([]),
+    enabled: Joi.boolean().default(true)
+  }).xor('savedQueryId', 'question'),
+
+  // Schedule listing
+  scheduleListQuery: Joi.object({
+    enabled: Joi.boolean(),
+    limit: Joi.number().integer().min(1).max(200).default(50),
+    offset: Joi.number().integer().min(0).default(0)
+  }),
+
+  // Schedule run history
+  scheduleRunsQuery: Joi.object({
+    limit: Joi.number().integer().min(1).max(200).default(50),
+    offset: Joi.number().integer().min(0).default(0)
+  }),
+
+  // Webhook target for schedule alerts; omit secret on update to keep the stored one
+  webhookTarget: Joi.object({
+    name: Joi.string().trim().min(1).max(255).required(),
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).max(2000).required(),
+    secret: Joi.string().min(16).max(255),
+    headers: Joi.object().pattern(/^[A-Za-z0-9-]+$/, Joi.string().max(1000)).max(20).default({}),
+    enabled: Joi.boolean().default(true)
+  }),
+
+  // API key issued by an admin; tenantId defaults to the admin's tenant
+  apiKey: Joi.object({
+    name: Joi.string().trim().min(1).max(255).required(),
+    userId: Joi.string().max(255),
+    tenantId: Joi.string().pattern(/^[a-zA-Z0-9_.-]+$/).max(255)
+      .messages({
+        'string.pattern.base': 'Tenant id may only contain letters, digits, dots, dashes and underscores'
+      }),
+    roles: Joi.array().items(Joi.string().pattern(/^[a-z][a-z0-9_-]*$/).max(63)).unique().max(20).default([]),
+    attributes: Joi.object().pattern(/^[a-zA-Z_][a-zA-Z0-9_]*$/,
+      Joi.alternatives().try(Joi.string().max(500), Joi.number(), Joi.boolean())).max(20).default({}),
+    expiresAt: Joi.date().iso().greater('now')
+  }),
+
+  // API key listing
+  apiKeyListQuery: Joi.object({
+    tenantId: Joi.string().max(255),
+    includeRevoked: Joi.boolean().default(false)
+  }),
+
+  // Access policy granting a role one table; {{name}} in rowFilter is a principal attribute
+  accessPolicy: Joi.object({
+    tenantId: Joi.string().pattern(/^[a-zA-Z0-9_.-]+$/).max(255)
+      .messages({
+        'string.pattern.base': 'Tenant id may only contain letters, digits, dots, dashes and underscores'
+      }),
+    role: Joi.string().pattern(/^[a-z][a-z0-9_-]*$/).max(63).required(),
+    tableName: Joi.string().pattern(/^[a-zA-Z_][a-zA-Z0-9_]*(\.[a-zA-Z_][a-zA-Z0-9_]*)?$/).max(255).required()
+      .messages({
+        'string.pattern.base': 'Table name must be a valid identifier, optionally schema-qualified'
+      }),
+    deniedColumns: Joi.array().items(Joi.string().pattern(/^[a-zA-Z_][a-zA-Z0-9_]*$/).max(255)).unique().max(200).default([]),
+    rowFilter: Joi.string().trim().max(2000).allow(null),
+    description: Joi.string().max(1000).allow('', null)
+  }),
+
+  // Access policy listing
+  accessPolicyListQuery: Joi.object({
+    tenantId: Joi.string().max(255),
+    role: Joi.string().max(63),
+    tableName: Joi.string().max(255)
+  }),
+
+  // Named datasource; password is write-only and kept on update when omitted
+  datasource: Joi.object({
+    tenantId: Joi.string().pattern(/^[a-zA-Z0-9_.-]+$/).max(255)
+      .messages({
+        'string.pattern.base': 'Tenant id may only contain letters, digits, dots, dashes and underscores'
+      }),
+    name: datasourceName.invalid('default').required()
+      .messages({
+        'any.invalid': '"default" is reserved for the primary database'
+      }),
+    description: Joi.string().max(1000).allow('', null),
+    host: Joi.string().hostname().max(255).required(),
+    port: Joi.number().integer().min(1).max(65535).default(5432),
+    database: Joi.string().max(255).required(),
+    username: Joi.string().max(255).required(),
+    password: Joi.string().max(1000).allow('', null),
+    ssl: Joi.boolean().default(false),
+    sandboxRole: Joi.string().pattern(/^[a-zA-Z_][a-zA-Z0-9_]*$/).max(63).allow(null)
+      .messages({
+        'string.pattern.base': 'Sandbox role must be a valid identifier'
+      }),
+    allowedRoles: Joi.array().items(Joi.string().pattern(/^[a-z][a-z0-9_-]*$/).max(63)).unique().max(50).default([])
+  }),
+
+  // Datasource listing
+  datasourceListQuery: Joi.object({
+    tenantId: Joi.string().max(255)
+  }),
+
+  // Cached SQL to drop (every datasource of the tenant when none is named)
+  queryCacheClearQuery: Joi.object({
+    tenantId: Joi.string().max(255),
+    datasource: datasourceName
+  }),
+
+  // Column of the queried database
+  piiColumnParams: Joi.object({
+    tableName: Joi.string().pattern(/^[a-zA-Z_][a-zA-Z0-9_]*$/).max(255).required(),
+    columnName: Joi.string().pattern(/^[a-zA-Z_][a-zA-Z0-9_]*$/).max(255).required()
+  }),
+
+  // Admin classification of a column; null marks it as not PII
+  piiClassification: Joi.object({
+    category: Joi.string().valid(...PII_CATEGORIES).allow(null).required()
+  }),
+
+  // PII column listing
+  piiColumnListQuery: Joi.object({
+    tableName: Joi.string().max(255),
+    piiOnly: Joi.boolean().default(false)
+  }),
+
+  // Masking strategy one role gets for one PII category
+  maskingPolicy: Joi.object({
+    tenantId: Joi.string().pattern(/^[a-zA-Z0-9_.-]+$/).max(255)
+      .messages({
+        'string.pattern.base': 'Tenant id may only contain letters, digits, dots, dashes and underscores'
+      }),
+    role: Joi.string().pattern(/^[a-z][a-z0-9_-]*$/).max(63).required(),
+    category: Joi.string().valid(...PII_CATEGORIES).required(),
+    strategy: Joi.string().valid(...STRATEGIES).required(),
+    description: Joi.string().max(1000).allow('', null)
+  }),
+
+  // Masking policy listing
+  maskingPolicyListQuery: Joi.object({
+    tenantId: Joi.string().max(255),
+    role: Joi.string().max(63),
+    category: Joi.string().valid(...PII_CATEGORIES)
+  }),
+
+  // Business glossary entry
+  glossaryEntry: Joi.object({
+    type: Joi.string().valid('description', 'synonym', 'metric', 'value_alias').required(),
+    tableName: Joi.string().pattern(/^[a-zA-Z_][a-zA-Z0-9_]*$/).max(255).required()
+      .messages({
+        'string.pattern.base': 'Table name must be a valid identifier'
+      }),
+    columnName: Joi.string().pattern(/^[a-zA-Z_][a-zA-Z0-9_]*$/).max(255)
+      .when('type', { is: 'value_alias', then: Joi.required() })
+      .messages({
+        'string.pattern.base': 'Column name must be a valid identifier'
+      }),
+    term: Joi.string().trim().max(255)
+      .when('type', { is: 'description', then: Joi.forbidden(), otherwise: Joi.required() }),
+    definition: Joi.string().trim().max(2000)
+      .when('type', { is: Joi.valid('description', 'metric'), then: Joi.required(), otherwise: Joi.forbidden() }),
+    value: Joi.string().max(255)
+      .when('type', { is: 'value_alias', then: Joi.required(), otherwise: Joi.forbidden() })
+  }),
+
+  // Glossary entry id
+  glossaryParams: Joi.object({
+    id: Joi.number().integer().min(1).required()
+  }),
+
+  // Glossary filters
+  glossaryQuery: Joi.object({
+    type: Joi.string().valid('description', 'synonym', 'metric', 'value_alias'),
+    table: Joi.string().max(255),
+    search: Joi.string().max(255)
+  }),
+
+  // Few-shot question→SQL example
+  sqlExample: Joi.object({
+    question: Joi.string().trim().min(3).max(1000).required(),
+    sql: Joi.string().trim().max(10000).required(),
+    description: Joi.string().trim().max(1000).allow('', null)
+  }),
+
+  // SQL example id
+  sqlExampleParams: Joi.object({
+    id: Joi.number().integer().min(1).required()
+  }),
+
+  // SQL example filters
+  sqlExampleQuery: Joi.object({
+    table: Joi.string().max(255),
+    search: Joi.string().max(255)
+  }),
+
+  // Rating of a logged natural language query
+  feedbackRating: Joi.object({
+    historyId: Joi.number().integer().min(1).required(),
+    rating: Joi.string().valid('up', 'down').required(),
+    comment: Joi.string().trim().max(2000).allow('')
+  }),
+
+  // Corrected SQL for a logged natural language query
+  feedbackCorrection: Joi.object({
+    historyId: Joi.number().integer().min(1).required(),
+    sql: Joi.string().trim().max(10000).required(),
+    comment: Joi.string().trim().max(2000).allow('')
+  }),
+
+  // The caller's own feedback
+  feedbackListQuery: Joi.object({
+    limit: Joi.number().integer().min(1).max(200).default(50),
+    offset: Joi.number().integer().min(0).default(0)
+  }),
+
+  // Correction review queue
+  correctionListQuery: Joi.object({
+    tenantId: Joi.string().max(255),
+    status: Joi.string().valid('pending', 'approved', 'rejected').default('pending'),
+    limit: Joi.number().integer().min(1).max(200).default(50),
+    offset: Joi.number().integer().min(0).default(0)
+  }),
+
+  // Approval of a correction; question and sql replace the user's wording and SQL
+  correctionApproval: Joi.object({
+    question: Joi.string().trim().min(3).max(1000),
+    sql: Joi.string().trim().max(10000),
+    description: Joi.string().trim().max(1000).allow(''),
+    note: Joi.string().trim().max(2000).allow('')
+  }),
+
+  // Rejection of a correction
+  correctionRejection: Joi.object({
+    note: Joi.string().trim().max(2000).allow('')
+  }),
+
+  // Accuracy report filters
+  feedbackReportQuery: Joi.object({
+    tenantId: Joi.string().max(255),
+    datasource: datasourceName,
+    from: Joi.date().iso(),
+    to: Joi.date().iso()
+  }),
+
+  // Golden set file (eval/golden/<name>.json); a case expects either SQL or literal rows
+  goldenSet: Joi.object({
+    name: goldenSetName.required(),
+    description: Joi.string().max(1000).allow(''),
+    datasource: datasourceName,
+    cases: Joi.array().min(1).unique('id').required().items(Joi.object({
+      id: Joi.string().max(100).required(),
+      question: Joi.string().trim().min(3).max(1000).required(),
+      expectedSQL: Joi.string().trim().max(10000),
+      expectedResult: Joi.object({
+        columns: Joi.array().items(Joi.string()),
+        rows: Joi.array().items(Joi.alternatives(Joi.array(), Joi.object())).required()
+      }),
+      // Row order is part of the answer (e.g. rankings)
+      ordered: Joi.boolean().default(false),
+      // Significant digits numbers are compared on, overriding EVAL_NUMERIC_PRECISION
+      precision: Joi.number().integer().min(1).max(15),
+      datasource: datasourceName,
+      tags: Joi.array().items(Joi.string().max(50)).default([])
+    }).xor('expectedSQL', 'expectedResult'))
+  }),
+
+  // Start of an evaluation run
+  evaluationRun: Joi.object({
+    goldenSet: goldenSetName.required(),
+    label: Joi.string().trim().max(255),
+    // Set false to measure the pipeline without few-shot examples
+    examples: Joi.boolean().default(true)
+  }),
+
+  // Evaluation run filters
+  evaluationListQuery: Joi.object({
+    goldenSet: goldenSetName,
+    status: Joi.string().valid('running', 'completed', 'failed'),
+    limit: Joi.number().integer().min(1).max(200).default(50),
+    offset: Joi.number().integer().min(0).default(0)
+  }),
+
+  // Baseline of a run comparison (previous completed run of the golden set by default)
+  evaluationDiffQuery: Joi.object({
+    against: Joi.number().integer().positive()
+  }),
+
   // Query suggestions validation
   querySuggestions: Joi.object({
     q: Joi.string().max(100).allow('').default('')
@@ -195,6 +750,7 @@ const sanitizeQuery = (req, res, next) => {
 module.exports = {
   validateBody,
   validateQuery,
+  validateParams,
   schemas,
   sanitizeBody,
   sanitizeQuery
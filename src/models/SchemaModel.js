@@ -100,44 +100,83 @@ class SchemaModel {
 
   /**
    * Store schema metadata with embeddings
+   * Only new or changed columns are embedded; rows of dropped columns are removed
+   * and existing rows keep their synonyms
    * @param {Array} schemaData - Schema metadata array
    * @param {Function} embeddingFunction - Function to generate embeddings
    */
   async storeSchemaMetadata(schemaData, embeddingFunction) {
     try {
-      // Clear existing metadata
-      await this.vectorDB.query('DELETE FROM schema_metadata');
+      const existing = await this.vectorDB.query(`
+        SELECT id, table_name, column_name, data_type, is_nullable, column_default, description,
+               embedding IS NULL AS missing_embedding
+        FROM schema_metadata
+      `);
+      const existingByColumn = new Map(existing.rows.map(row => [`${row.table_name}.${row.column_name}`, row]));
+      let embedded = 0;
 
       for (const row of schemaData) {
-        // Create description text for embedding
-        const description = this.createDescription(row);
-        
-        // Generate embedding
-        const embedding = await embeddingFunction(description);
-        
-        // Insert metadata
-        await this.vectorDB.query(`
-          INSERT INTO schema_metadata 
-          (table_name, column_name, data_type, is_nullable, column_default, description, embedding)
-          VALUES ($1, $2, $3, $4, $5, $6, $7)
-        `, [
-          row.table_name,
-          row.column_name,
+        const key = `${row.table_name}.${row.column_name}`;
+        const current = existingByColumn.get(key);
+        existingByColumn.delete(key);
+
+        if (current && !current.missing_embedding && this.isUnchanged(current, row)) {
+          continue;
+        }
+
+        // Generate embedding from the description text
+        const embedding = await embeddingFunction(this.createDescription(row));
+        const values = [
           row.data_type,
           row.is_nullable === 'YES',
           row.column_default,
           row.description || '',
           `[${embedding.join(',')}]` // Convert array to PostgreSQL array format
-        ]);
+        ];
+
+        if (current) {
+          await this.vectorDB.query(`
+            UPDATE schema_metadata
+            SET data_type = $1, is_nullable = $2, column_default = $3, description = $4,
+                embedding = $5, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $6
+          `, [...values, current.id]);
+        } else {
+          await this.vectorDB.query(`
+            INSERT INTO schema_metadata 
+            (data_type, is_nullable, column_default, description, embedding, table_name, column_name)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+          `, [...values, row.table_name, row.column_name]);
+        }
+        embedded++;
       }
 
-      logger.info(`Stored ${schemaData.length} schema metadata entries`);
+      // Whatever is left was not in the extracted schema any more
+      const removedIds = [...existingByColumn.values()].map(row => row.id);
+      if (removedIds.length > 0) {
+        await this.vectorDB.query('DELETE FROM schema_metadata WHERE id = ANY($1)', [removedIds]);
+      }
+
+      logger.info(`Schema metadata: ${embedded} embedded, ${schemaData.length - embedded} unchanged, ${removedIds.length} removed`);
     } catch (error) {
       logger.error('Failed to store schema metadata:', error);
       throw error;
     }
   }
 
+  /**
+   * Whether a stored row still matches the extracted column
+   * @param {Object} stored - schema_metadata row
+   * @param {Object} row - Extracted schema row
+   * @returns {boolean} True if nothing that is embedded has changed
+   */
+  isUnchanged(stored, row) {
+    return stored.data_type === row.data_type
+      && stored.is_nullable === (row.is_nullable === 'YES')
+      && (stored.column_default || null) === (row.column_default || null)
+      && (stored.description || '') === (row.description || '');
+  }
+
   /**
    * Create a descriptive text for schema metadata
    * @param {Object} row - Schema row data
@@ -0,0 +1,122 @@
+/**
+ * Base LLM Provider - Common contract for chat and embedding providers
+ * Subclasses build LangChain-compatible chat models and embeddings
+ */
+
+class BaseLLMProvider {
+  /**
+   * @param {Object} config - LLM configuration (see config/llm.js)
+   */
+  constructor(config = {}) {
+    const defaults = this.constructor.defaults;
+    this.config = {
+      ...config,
+      chatModel: config.chatModel || defaults.chatModel,
+      embeddingModel: config.embeddingModel || defaults.embeddingModel
+    };
+    this.chatModel = null;
+    this.embeddings = null;
+  }
+
+  /**
+   * Default model names used when the config leaves them empty
+   * @returns {Object} Default chatModel and embeddingModel
+   */
+  static get defaults() {
+    return {};
+  }
+
+  /**
+   * Provider identifier
+   * @returns {string} Provider name
+   */
+  get name() {
+    throw new Error('Provider must define a name');
+  }
+
+  /**
+   * Create the LangChain chat model
+   * @returns {Object} LangChain chat model
+   */
+  createChatModel() {
+    throw new Error(`${this.name} provider does not implement createChatModel()`);
+  }
+
+  /**
+   * Create the LangChain embeddings client
+   * @returns {Object} LangChain embeddings
+   */
+  createEmbeddings() {
+    throw new Error(`${this.name} provider does not implement createEmbeddings()`);
+  }
+
+  /**
+   * Get (lazily created) chat model
+   * @returns {Object} LangChain chat model
+   */
+  getChatModel() {
+    if (!this.chatModel) {
+      this.chatModel = this.createChatModel();
+    }
+    return this.chatModel;
+  }
+
+  /**
+   * Get (lazily created) embeddings client
+   * @returns {Object} LangChain embeddings
+   */
+  getEmbeddings() {
+    if (!this.embeddings) {
+      this.embeddings = this.createEmbeddings();
+    }
+    return this.embeddings;
+  }
+
+  /**
+   * Get the embedding vector dimension produced by this provider
+   * @returns {number} Embedding dimension
+   */
+  getEmbeddingDimensions() {
+    return this.config.embeddingDimensions || 768;
+  }
+
+  /**
+   * Generate plain text from a prompt
+   * @param {string} prompt - Prompt text
+   * @returns {Promise<string>} Generated text
+   */
+  async generateText(prompt) {
+    const response = await this.getChatModel().invoke(prompt);
+    return BaseLLMProvider.contentToText(response.content);
+  }
+
+  /**
+   * Describe the provider for health/metadata responses
+   * @returns {Object} Provider information
+   */
+  getInfo() {
+    return {
+      provider: this.name,
+      chatModel: this.config.chatModel,
+      embeddingModel: this.config.embeddingModel,
+      embeddingDimensions: this.getEmbeddingDimensions()
+    };
+  }
+
+  /**
+   * Normalize LangChain message content to a string
+   * @param {string|Array} content - Message content
+   * @returns {string} Text content
+   */
+  static contentToText(content) {
+    if (typeof content === 'string') {
+      return content;
+    }
+    if (Array.isArray(content)) {
+      return content.map(part => (typeof part === 'string' ? part : part.text || '')).join('');
+    }
+    return '';
+  }
+}
+
+module.exports = BaseLLMProvider;
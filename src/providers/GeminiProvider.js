@@ -0,0 +1,52 @@
+/**
+ * Gemini Provider - Google Gemini chat and embeddings via LangChain
+ */
+
+const { ChatGoogleGenerativeAI, GoogleGenerativeAIEmbeddings } = require('@langchain/google-genai');
+const BaseLLMProvider = require('./BaseLLMProvider');
+
+class GeminiProvider extends BaseLLMProvider {
+  static get defaults() {
+    return {
+      chatModel: 'gemini-1.5-flash',
+      embeddingModel: 'embedding-001'
+    };
+  }
+
+  constructor(config = {}) {
+    super(config);
+
+    if (!this.config.geminiApiKey) {
+      throw new Error('GEMINI_API_KEY is required for the gemini provider');
+    }
+  }
+
+  get name() {
+    return 'gemini';
+  }
+
+  createChatModel() {
+    return new ChatGoogleGenerativeAI({
+      model: this.config.chatModel,
+      apiKey: this.config.geminiApiKey,
+      temperature: this.config.temperature,
+    });
+  }
+
+  createEmbeddings() {
+    return new GoogleGenerativeAIEmbeddings({
+      model: this.config.embeddingModel,
+      apiKey: this.config.geminiApiKey,
+    });
+  }
+
+  /**
+   * Gemini embedding-001 always returns 768-dimensional vectors
+   * @returns {number} Embedding dimension
+   */
+  getEmbeddingDimensions() {
+    return 768;
+  }
+}
+
+module.exports = GeminiProvider;
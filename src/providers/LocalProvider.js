@@ -0,0 +1,43 @@
+/**
+ * Local Provider - Any OpenAI-compatible endpoint (Ollama, vLLM, LM Studio, ...)
+ */
+
+const { OpenAIEmbeddings } = require('@langchain/openai');
+const OpenAIProvider = require('./OpenAIProvider');
+
+class LocalProvider extends OpenAIProvider {
+  static get defaults() {
+    return {
+      chatModel: 'llama3',
+      embeddingModel: 'nomic-embed-text'
+    };
+  }
+
+  get name() {
+    return 'local';
+  }
+
+  getClientOptions() {
+    return {
+      apiKey: this.config.localApiKey,
+      configuration: { baseURL: this.config.localBaseUrl }
+    };
+  }
+
+  createEmbeddings() {
+    // Most local servers reject the `dimensions` parameter, so it is not sent
+    return new OpenAIEmbeddings({
+      model: this.config.embeddingModel,
+      ...this.getClientOptions()
+    });
+  }
+
+  getInfo() {
+    return {
+      ...super.getInfo(),
+      baseUrl: this.config.localBaseUrl
+    };
+  }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,49 @@
+/**
+ * OpenAI Provider - OpenAI chat and embeddings via LangChain
+ */
+
+const { ChatOpenAI, OpenAIEmbeddings } = require('@langchain/openai');
+const BaseLLMProvider = require('./BaseLLMProvider');
+
+class OpenAIProvider extends BaseLLMProvider {
+  static get defaults() {
+    return {
+      chatModel: 'gpt-4o-mini',
+      embeddingModel: 'text-embedding-3-small'
+    };
+  }
+
+  get name() {
+    return 'openai';
+  }
+
+  /**
+   * API key and client options passed to the OpenAI SDK
+   * @returns {Object} Client options
+   */
+  getClientOptions() {
+    if (!this.config.openaiApiKey) {
+      throw new Error('OPENAI_API_KEY is required for the openai provider');
+    }
+    return { apiKey: this.config.openaiApiKey };
+  }
+
+  createChatModel() {
+    return new ChatOpenAI({
+      model: this.config.chatModel,
+      temperature: this.config.temperature,
+      ...this.getClientOptions()
+    });
+  }
+
+  createEmbeddings() {
+    // text-embedding-3 models can be shortened to match the vector column size
+    return new OpenAIEmbeddings({
+      model: this.config.embeddingModel,
+      dimensions: this.getEmbeddingDimensions(),
+      ...this.getClientOptions()
+    });
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,133 @@
+/**
+ * Stub Provider - Deterministic, offline chat and embeddings
+ * Lets the whole NLQ pipeline run (and be tested) without network access
+ */
+
+const { SimpleChatModel } = require('@langchain/core/language_models/chat_models');
+const { Embeddings } = require('@langchain/core/embeddings');
+const BaseLLMProvider = require('./BaseLLMProvider');
+
+/**
+ * FNV-1a hash of a string
+ * @param {string} text - Input text
+ * @returns {number} Unsigned 32-bit hash
+ */
+const hashToken = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Chat model that answers from a fixed script or a simple schema-aware heuristic
+ */
+class StubChatModel extends SimpleChatModel {
+  /**
+   * @param {Object} fields - Model options
+   * @param {Array<string>|Function} fields.responses - Scripted responses (cycled) or prompt => response
+   */
+  constructor(fields = {}) {
+    super(fields);
+    this.responses = fields.responses || null;
+    this.callCount = 0;
+  }
+
+  _llmType() {
+    return 'stub';
+  }
+
+  async _call(messages) {
+    const prompt = messages.map(message => BaseLLMProvider.contentToText(message.content)).join('\n');
+    const index = this.callCount++;
+
+    if (typeof this.responses === 'function') {
+      return this.responses(prompt, index);
+    }
+    if (Array.isArray(this.responses) && this.responses.length > 0) {
+      return this.responses[index % this.responses.length];
+    }
+
+    // Default: select from the first table mentioned in the schema context
+    const tableMatch = prompt.match(/Table:\s*([A-Za-z_][A-Za-z0-9_.]*)/);
+    return tableMatch ? `SELECT * FROM ${tableMatch[1]} LIMIT 10` : 'SELECT 1';
+  }
+}
+
+/**
+ * Feature-hashing embeddings: similar wording yields similar vectors
+ */
+class StubEmbeddings extends Embeddings {
+  constructor(fields = {}) {
+    super(fields);
+    this.dimensions = fields.dimensions || 768;
+  }
+
+  /**
+   * Embed a single text deterministically
+   * @param {string} text - Text to embed
+   * @returns {Array<number>} Unit-length vector
+   */
+  embedText(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const tokens = String(text || '').toLowerCase().match(/[a-z0-9_]+/g) || [];
+
+    for (const token of tokens) {
+      const hash = hashToken(token);
+      vector[hash % this.dimensions] += (hash & 0x80000000) ? -1 : 1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    if (norm === 0) {
+      // pgvector cannot compute cosine distance against a zero vector
+      vector[0] = 1;
+      return vector;
+    }
+    return vector.map(value => value / norm);
+  }
+
+  async embedDocuments(texts) {
+    return texts.map(text => this.embedText(text));
+  }
+
+  async embedQuery(text) {
+    return this.embedText(text);
+  }
+}
+
+class StubProvider extends BaseLLMProvider {
+  static get defaults() {
+    return {
+      chatModel: 'stub-sql',
+      embeddingModel: 'stub-hashing'
+    };
+  }
+
+  /**
+   * @param {Object} config - LLM configuration
+   * @param {Object} options - Stub options
+   * @param {Array<string>|Function} options.responses - Scripted chat responses
+   */
+  constructor(config = {}, options = {}) {
+    super(config);
+    this.responses = options.responses || null;
+  }
+
+  get name() {
+    return 'stub';
+  }
+
+  createChatModel() {
+    return new StubChatModel({ responses: this.responses });
+  }
+
+  createEmbeddings() {
+    return new StubEmbeddings({ dimensions: this.getEmbeddingDimensions() });
+  }
+}
+
+module.exports = StubProvider;
+module.exports.StubChatModel = StubChatModel;
+module.exports.StubEmbeddings = StubEmbeddings;
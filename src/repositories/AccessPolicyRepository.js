@@ -0,0 +1,200 @@
+/**
+ * Access Policy Repository
+ * Handles persistence of role-based access policies over tables, columns and rows
+ * Follows Repository Pattern for data access abstraction
+ */
+
+const logger = require('../utils/logger');
+
+class AccessPolicyRepository {
+  constructor(dbPool) {
+    this.dbPool = dbPool;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Create the access policy table if it does not exist
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    try {
+      await this.dbPool.query(`
+        CREATE TABLE IF NOT EXISTS access_policies (
+          id SERIAL PRIMARY KEY,
+          tenant_id VARCHAR(255) NOT NULL,
+          role VARCHAR(63) NOT NULL,
+          table_name VARCHAR(255) NOT NULL,
+          denied_columns TEXT[] NOT NULL DEFAULT '{}',
+          row_filter TEXT,
+          description TEXT,
+          created_by VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (tenant_id, role, table_name)
+        );
+      `);
+
+      this.isInitialized = true;
+    } catch (error) {
+      logger.error('Failed to initialize access policy table:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a policy
+   * @param {Object} policy - { tenantId, role, tableName, deniedColumns, rowFilter, description, createdBy }
+   * @returns {Promise<Object>} Created policy
+   */
+  async create(policy) {
+    const query = `
+      INSERT INTO access_policies (tenant_id, role, table_name, denied_columns, row_filter, description, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [
+        policy.tenantId,
+        policy.role,
+        policy.tableName,
+        policy.deniedColumns || [],
+        policy.rowFilter || null,
+        policy.description || null,
+        policy.createdBy || null
+      ]);
+      return this.mapPolicy(result.rows[0]);
+    } catch (error) {
+      logger.error('Error creating access policy:', error);
+      throw new Error('Failed to create access policy');
+    }
+  }
+
+  /**
+   * Update a policy of a tenant
+   * @param {number} id - Policy id
+   * @param {string} tenantId - Tenant the policy belongs to
+   * @param {Object} policy - { role, tableName, deniedColumns, rowFilter, description }
+   * @returns {Promise<Object|null>} Updated policy, or null if not found
+   */
+  async update(id, tenantId, policy) {
+    const query = `
+      UPDATE access_policies
+      SET role = $1, table_name = $2, denied_columns = $3, row_filter = $4, description = $5,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $6 AND tenant_id = $7
+      RETURNING *
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [
+        policy.role,
+        policy.tableName,
+        policy.deniedColumns || [],
+        policy.rowFilter || null,
+        policy.description || null,
+        id,
+        tenantId
+      ]);
+      return result.rows[0] ? this.mapPolicy(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error updating access policy:', error);
+      throw new Error('Failed to update access policy');
+    }
+  }
+
+  /**
+   * Delete a policy of a tenant
+   * @param {number} id - Policy id
+   * @param {string} tenantId - Tenant the policy belongs to
+   * @returns {Promise<boolean>} True if a policy was deleted
+   */
+  async delete(id, tenantId) {
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query('DELETE FROM access_policies WHERE id = $1 AND tenant_id = $2', [id, tenantId]);
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error('Error deleting access policy:', error);
+      throw new Error('Failed to delete access policy');
+    }
+  }
+
+  /**
+   * Find a policy
+   * @param {number} id - Policy id
+   * @param {string|null} tenantId - Only a policy of this tenant (null for any)
+   * @returns {Promise<Object|null>} Policy or null
+   */
+  async findById(id, tenantId = null) {
+    const query = 'SELECT * FROM access_policies WHERE id = $1 AND ($2::text IS NULL OR tenant_id = $2)';
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [id, tenantId]);
+      return result.rows[0] ? this.mapPolicy(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error fetching access policy:', error);
+      throw new Error('Failed to fetch access policy');
+    }
+  }
+
+  /**
+   * List the policies of a tenant
+   * @param {string} tenantId - Tenant
+   * @param {Object} filters - Filters
+   * @param {string} filters.role - Only policies of this role
+   * @param {string} filters.tableName - Only policies of this table
+   * @returns {Promise<Array>} Policies ordered by role and table
+   */
+  async list(tenantId, filters = {}) {
+    const conditions = ['tenant_id = $1'];
+    const params = [tenantId];
+
+    if (filters.role) {
+      params.push(filters.role);
+      conditions.push(`role = $${params.length}`);
+    }
+    if (filters.tableName) {
+      params.push(filters.tableName);
+      conditions.push(`table_name = $${params.length}`);
+    }
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(
+        `SELECT * FROM access_policies WHERE ${conditions.join(' AND ')} ORDER BY role, table_name`,
+        params
+      );
+      return result.rows.map(row => this.mapPolicy(row));
+    } catch (error) {
+      logger.error('Error listing access policies:', error);
+      throw new Error('Failed to list access policies');
+    }
+  }
+
+  /**
+   * Map an access_policies row to API shape
+   * @param {Object} row - Database row
+   * @returns {Object} Policy
+   */
+  mapPolicy(row) {
+    return {
+      id: row.id,
+      tenantId: row.tenant_id,
+      role: row.role,
+      tableName: row.table_name,
+      deniedColumns: row.denied_columns || [],
+      rowFilter: row.row_filter,
+      description: row.description,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = AccessPolicyRepository;
@@ -0,0 +1,216 @@
+/**
+ * API Key Repository
+ * Handles persistence of API keys; only a SHA-256 hash of each key is stored
+ * Follows Repository Pattern for data access abstraction
+ */
+
+const logger = require('../utils/logger');
+
+class ApiKeyRepository {
+  constructor(dbPool) {
+    this.dbPool = dbPool;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Create the API key table if it does not exist
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    try {
+      await this.dbPool.query(`
+        CREATE TABLE IF NOT EXISTS api_keys (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          key_prefix VARCHAR(32) NOT NULL,
+          key_hash CHAR(64) NOT NULL UNIQUE,
+          user_id VARCHAR(255),
+          tenant_id VARCHAR(255) NOT NULL,
+          roles TEXT[] NOT NULL DEFAULT '{}',
+          attributes JSONB NOT NULL DEFAULT '{}'::jsonb,
+          created_by VARCHAR(255),
+          expires_at TIMESTAMPTZ,
+          last_used_at TIMESTAMPTZ,
+          revoked_at TIMESTAMPTZ,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      await this.dbPool.query(`
+        CREATE INDEX IF NOT EXISTS api_keys_tenant_idx
+        ON api_keys (tenant_id);
+      `);
+
+      this.isInitialized = true;
+    } catch (error) {
+      logger.error('Failed to initialize API key table:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store a new API key
+   * @param {Object} apiKey - { name, keyPrefix, keyHash, userId, tenantId, roles, attributes, createdBy, expiresAt }
+   * @returns {Promise<Object>} Created key (without its hash)
+   */
+  async create(apiKey) {
+    const query = `
+      INSERT INTO api_keys (name, key_prefix, key_hash, user_id, tenant_id, roles, attributes, created_by, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [
+        apiKey.name,
+        apiKey.keyPrefix,
+        apiKey.keyHash,
+        apiKey.userId || null,
+        apiKey.tenantId,
+        apiKey.roles || [],
+        JSON.stringify(apiKey.attributes || {}),
+        apiKey.createdBy || null,
+        apiKey.expiresAt || null
+      ]);
+      return this.mapApiKey(result.rows[0]);
+    } catch (error) {
+      logger.error('Error creating API key:', error);
+      throw new Error('Failed to create API key');
+    }
+  }
+
+  /**
+   * Get a key
+   * @param {number} id - Key id
+   * @returns {Promise<Object|null>} Key (revoked and expired ones included) or null
+   */
+  async findById(id) {
+    const query = 'SELECT * FROM api_keys WHERE id = $1';
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [id]);
+      return result.rows[0] ? this.mapApiKey(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error fetching API key:', error);
+      throw new Error('Failed to fetch API key');
+    }
+  }
+
+  /**
+   * Find a key by the hash of its secret
+   * @param {string} keyHash - Hex SHA-256 of the key
+   * @returns {Promise<Object|null>} Key (revoked and expired ones included) or null
+   */
+  async findByHash(keyHash) {
+    const query = 'SELECT * FROM api_keys WHERE key_hash = $1';
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [keyHash]);
+      return result.rows[0] ? this.mapApiKey(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error fetching API key:', error);
+      throw new Error('Failed to fetch API key');
+    }
+  }
+
+  /**
+   * List keys, newest first
+   * @param {Object} filters - Filters
+   * @param {string} filters.tenantId - Only keys of this tenant
+   * @param {boolean} filters.includeRevoked - Include revoked keys
+   * @returns {Promise<Array>} Keys
+   */
+  async list(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.tenantId) {
+      params.push(filters.tenantId);
+      conditions.push(`tenant_id = $${params.length}`);
+    }
+    if (!filters.includeRevoked) {
+      conditions.push('revoked_at IS NULL');
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(`SELECT * FROM api_keys ${where} ORDER BY created_at DESC, id DESC`, params);
+      return result.rows.map(row => this.mapApiKey(row));
+    } catch (error) {
+      logger.error('Error listing API keys:', error);
+      throw new Error('Failed to list API keys');
+    }
+  }
+
+  /**
+   * Revoke a key
+   * @param {number} id - Key id
+   * @param {string|null} tenantId - Only revoke a key of this tenant (null for any)
+   * @returns {Promise<Object|null>} Revoked key, or null if not found
+   */
+  async revoke(id, tenantId = null) {
+    const query = `
+      UPDATE api_keys
+      SET revoked_at = COALESCE(revoked_at, NOW())
+      WHERE id = $1 AND ($2::text IS NULL OR tenant_id = $2)
+      RETURNING *
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [id, tenantId]);
+      return result.rows[0] ? this.mapApiKey(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error revoking API key:', error);
+      throw new Error('Failed to revoke API key');
+    }
+  }
+
+  /**
+   * Record that a key was used, at most once a minute per key
+   * @param {number} id - Key id
+   */
+  async touch(id) {
+    const query = `
+      UPDATE api_keys SET last_used_at = NOW()
+      WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 minute')
+    `;
+
+    try {
+      await this.initialize();
+      await this.dbPool.query(query, [id]);
+    } catch (error) {
+      logger.warn(`Failed to record use of API key ${id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Map an api_keys row to API shape; the hash never leaves the repository
+   * @param {Object} row - Database row
+   * @returns {Object} Key
+   */
+  mapApiKey(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      keyPrefix: row.key_prefix,
+      userId: row.user_id,
+      tenantId: row.tenant_id,
+      roles: row.roles || [],
+      attributes: row.attributes || {},
+      createdBy: row.created_by,
+      expiresAt: row.expires_at,
+      lastUsedAt: row.last_used_at,
+      revokedAt: row.revoked_at,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = ApiKeyRepository;
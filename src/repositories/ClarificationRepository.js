@@ -0,0 +1,158 @@
+/**
+ * Clarification Repository
+ * Stores natural language requests that are waiting for the caller to answer
+ * a clarifying question, with what the pipeline already worked out for them
+ * (retrieved tables, conversation context, request options), until they are
+ * resumed or expire
+ * Follows Repository Pattern for data access abstraction
+ */
+
+const logger = require('../utils/logger');
+const { ownerCondition, ownerParams } = require('../utils/ownership');
+
+class ClarificationRepository {
+  constructor(dbPool) {
+    this.dbPool = dbPool;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Create the query_clarifications table if it does not exist
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    try {
+      await this.dbPool.query(`
+        CREATE TABLE IF NOT EXISTS query_clarifications (
+          id UUID PRIMARY KEY,
+          principal_id VARCHAR(255),
+          tenant_id VARCHAR(255),
+          question TEXT NOT NULL,
+          clarification JSONB NOT NULL,
+          request JSONB NOT NULL DEFAULT '{}',
+          conversation_context JSONB NOT NULL DEFAULT '[]',
+          relevant_tables JSONB NOT NULL DEFAULT '[]',
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          expires_at TIMESTAMP NOT NULL
+        );
+      `);
+
+      // Clarifications stored before tenants were recorded belong to no tenant
+      await this.dbPool.query('ALTER TABLE query_clarifications ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(255);');
+
+      await this.dbPool.query('CREATE INDEX IF NOT EXISTS query_clarifications_expires_at_idx ON query_clarifications (expires_at);');
+
+      this.isInitialized = true;
+    } catch (error) {
+      logger.error('Failed to initialize query_clarifications table:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store a request awaiting clarification
+   * @param {Object} pending - { id, owner, question, clarification, request, conversationContext,
+   *   relevantTables, expiresAt } where owner is { principalId, tenantId } (see utils/ownership)
+   * @returns {Promise<Object>} Stored clarification
+   */
+  async create(pending) {
+    const query = `
+      INSERT INTO query_clarifications
+      (id, principal_id, tenant_id, question, clarification, request, conversation_context, relevant_tables, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [
+        pending.id,
+        ...ownerParams(pending.owner),
+        pending.question,
+        JSON.stringify(pending.clarification),
+        JSON.stringify(pending.request || {}),
+        JSON.stringify(pending.conversationContext || []),
+        JSON.stringify(pending.relevantTables || []),
+        pending.expiresAt
+      ]);
+      return this.mapClarification(result.rows[0]);
+    } catch (error) {
+      logger.error('Error storing query clarification:', error);
+      throw new Error('Failed to store query clarification');
+    }
+  }
+
+  /**
+   * Get a clarification that has not expired
+   * @param {string} id - Clarification id
+   * @param {Object} owner - { principalId, tenantId } the clarification must belong to
+   * @returns {Promise<Object|null>} Clarification or null if not found (expired, or someone else's)
+   */
+  async findById(id, owner) {
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(
+        `SELECT * FROM query_clarifications WHERE id = $1 AND expires_at > CURRENT_TIMESTAMP AND ${ownerCondition(2)}`,
+        [id, ...ownerParams(owner)]
+      );
+      return result.rows[0] ? this.mapClarification(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error fetching query clarification:', error);
+      throw new Error('Failed to fetch query clarification');
+    }
+  }
+
+  /**
+   * Delete a clarification once it is answered
+   * @param {string} id - Clarification id
+   * @returns {Promise<boolean>} True if deleted, false if it was already gone
+   */
+  async delete(id) {
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query('DELETE FROM query_clarifications WHERE id = $1', [id]);
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error('Error deleting query clarification:', error);
+      throw new Error('Failed to delete query clarification');
+    }
+  }
+
+  /**
+   * Delete clarifications nobody answered in time
+   * @returns {Promise<number>} Number of clarifications deleted
+   */
+  async purgeExpired() {
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query('DELETE FROM query_clarifications WHERE expires_at <= CURRENT_TIMESTAMP');
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error purging expired query clarifications:', error);
+      throw new Error('Failed to purge query clarifications');
+    }
+  }
+
+  /**
+   * Map a database row to a clarification
+   * @param {Object} row - query_clarifications row
+   * @returns {Object} Clarification
+   */
+  mapClarification(row) {
+    return {
+      id: row.id,
+      principalId: row.principal_id,
+      tenantId: row.tenant_id,
+      question: row.question,
+      clarification: row.clarification,
+      request: row.request,
+      conversationContext: row.conversation_context,
+      relevantTables: row.relevant_tables,
+      createdAt: row.created_at,
+      expiresAt: row.expires_at
+    };
+  }
+}
+
+module.exports = ClarificationRepository;
@@ -0,0 +1,249 @@
+/**
+ * Conversation Repository
+ * Handles persistence of NLQ conversation sessions and their turns
+ * Follows Repository Pattern for data access abstraction
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { ownerCondition, ownerParams } = require('../utils/ownership');
+
+class ConversationRepository {
+  constructor(dbPool) {
+    this.dbPool = dbPool;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Create session tables if they do not exist
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    try {
+      await this.dbPool.query(`
+        CREATE TABLE IF NOT EXISTS nlq_sessions (
+          id UUID PRIMARY KEY,
+          title VARCHAR(255),
+          metadata JSONB DEFAULT '{}'::jsonb,
+          principal_id VARCHAR(255),
+          tenant_id VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      // Sessions created before they had owners belong to no caller
+      await this.dbPool.query(`
+        ALTER TABLE nlq_sessions
+          ADD COLUMN IF NOT EXISTS principal_id VARCHAR(255),
+          ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(255);
+      `);
+
+      await this.dbPool.query(`
+        CREATE TABLE IF NOT EXISTS nlq_session_turns (
+          id SERIAL PRIMARY KEY,
+          session_id UUID NOT NULL REFERENCES nlq_sessions(id) ON DELETE CASCADE,
+          turn_index INTEGER NOT NULL,
+          question TEXT NOT NULL,
+          language VARCHAR(10) DEFAULT 'en',
+          generated_sql TEXT,
+          result_shape JSONB,
+          success BOOLEAN DEFAULT false,
+          error_message TEXT,
+          processing_time INTEGER,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (session_id, turn_index)
+        );
+      `);
+
+      this.isInitialized = true;
+    } catch (error) {
+      logger.error('Failed to initialize conversation tables:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a new conversation session
+   * @param {Object} session - Session data
+   * @param {string} session.title - Optional session title
+   * @param {Object} session.metadata - Optional client metadata
+   * @param {Object} owner - { principalId, tenantId } the session belongs to (see utils/ownership)
+   * @returns {Promise<Object>} Created session
+   */
+  async createSession({ title = null, metadata = {} } = {}, owner) {
+    const query = `
+      INSERT INTO nlq_sessions (id, title, metadata, principal_id, tenant_id)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [uuidv4(), title, JSON.stringify(metadata), ...ownerParams(owner)]);
+      return this.mapSession(result.rows[0]);
+    } catch (error) {
+      logger.error('Error creating conversation session:', error);
+      throw new Error('Failed to create conversation session');
+    }
+  }
+
+  /**
+   * Get a session by id
+   * @param {string} sessionId - Session id
+   * @param {Object} owner - { principalId, tenantId } the session must belong to
+   * @returns {Promise<Object|null>} Session or null if not found (or someone else's)
+   */
+  async getSession(sessionId, owner) {
+    const query = `
+      SELECT s.*, COUNT(t.id) AS turn_count
+      FROM nlq_sessions s
+      LEFT JOIN nlq_session_turns t ON t.session_id = s.id
+      WHERE s.id = $1 AND ${ownerCondition(2, 's')}
+      GROUP BY s.id
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [sessionId, ...ownerParams(owner)]);
+      return result.rows[0] ? this.mapSession(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error fetching conversation session:', error);
+      throw new Error('Failed to fetch conversation session');
+    }
+  }
+
+  /**
+   * Append a turn to a session
+   * @param {string} sessionId - Session id
+   * @param {Object} turn - Turn data
+   * @returns {Promise<Object>} Stored turn
+   */
+  async addTurn(sessionId, turn) {
+    const query = `
+      INSERT INTO nlq_session_turns
+      (session_id, turn_index, question, language, generated_sql, result_shape, success, error_message, processing_time)
+      VALUES (
+        $1,
+        (SELECT COALESCE(MAX(turn_index), 0) + 1 FROM nlq_session_turns WHERE session_id = $1),
+        $2, $3, $4, $5, $6, $7, $8
+      )
+      RETURNING *
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [
+        sessionId,
+        turn.question,
+        turn.language || 'en',
+        turn.generatedSQL || null,
+        turn.resultShape ? JSON.stringify(turn.resultShape) : null,
+        turn.success === true,
+        turn.error || null,
+        turn.processingTime || null
+      ]);
+
+      await this.dbPool.query('UPDATE nlq_sessions SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [sessionId]);
+
+      return this.mapTurn(result.rows[0]);
+    } catch (error) {
+      logger.error('Error storing conversation turn:', error);
+      throw new Error('Failed to store conversation turn');
+    }
+  }
+
+  /**
+   * List turns of a session in order
+   * @param {string} sessionId - Session id
+   * @param {number} limit - Maximum number of turns
+   * @param {number} offset - Number of turns to skip
+   * @returns {Promise<Array>} Turns
+   */
+  async listTurns(sessionId, limit = 50, offset = 0) {
+    const query = `
+      SELECT *
+      FROM nlq_session_turns
+      WHERE session_id = $1
+      ORDER BY turn_index ASC
+      LIMIT $2 OFFSET $3
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [sessionId, limit, offset]);
+      return result.rows.map(row => this.mapTurn(row));
+    } catch (error) {
+      logger.error('Error listing conversation turns:', error);
+      throw new Error('Failed to list conversation turns');
+    }
+  }
+
+  /**
+   * Get the most recent turns of a session, oldest first
+   * @param {string} sessionId - Session id
+   * @param {number} limit - Number of turns
+   * @returns {Promise<Array>} Turns
+   */
+  async getRecentTurns(sessionId, limit = 5) {
+    const query = `
+      SELECT * FROM (
+        SELECT *
+        FROM nlq_session_turns
+        WHERE session_id = $1
+        ORDER BY turn_index DESC
+        LIMIT $2
+      ) recent
+      ORDER BY turn_index ASC
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [sessionId, limit]);
+      return result.rows.map(row => this.mapTurn(row));
+    } catch (error) {
+      logger.error('Error fetching recent conversation turns:', error);
+      throw new Error('Failed to fetch recent conversation turns');
+    }
+  }
+
+  /**
+   * Map a session row to API shape
+   * @param {Object} row - Database row
+   * @returns {Object} Session
+   */
+  mapSession(row) {
+    return {
+      id: row.id,
+      title: row.title,
+      metadata: row.metadata || {},
+      turnCount: row.turn_count !== undefined ? parseInt(row.turn_count) : 0,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Map a turn row to API shape
+   * @param {Object} row - Database row
+   * @returns {Object} Turn
+   */
+  mapTurn(row) {
+    return {
+      id: row.id,
+      sessionId: row.session_id,
+      turnIndex: row.turn_index,
+      question: row.question,
+      language: row.language,
+      generatedSQL: row.generated_sql,
+      resultShape: row.result_shape,
+      success: row.success,
+      error: row.error_message,
+      processingTime: row.processing_time,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = ConversationRepository;
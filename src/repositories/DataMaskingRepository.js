@@ -0,0 +1,320 @@
+/**
+ * Data Masking Repository
+ * Handles persistence of PII column classifications and per-role masking policies
+ * Follows Repository Pattern for data access abstraction
+ */
+
+const logger = require('../utils/logger');
+
+class DataMaskingRepository {
+  constructor(dbPool) {
+    this.dbPool = dbPool;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Create the classification and policy tables if they do not exist
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    try {
+      await this.dbPool.query(`
+        CREATE TABLE IF NOT EXISTS pii_columns (
+          id SERIAL PRIMARY KEY,
+          table_name VARCHAR(255) NOT NULL,
+          column_name VARCHAR(255) NOT NULL,
+          category VARCHAR(31),
+          source VARCHAR(10) NOT NULL,
+          detected_by VARCHAR(10),
+          updated_by VARCHAR(255),
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (table_name, column_name)
+        );
+
+        CREATE TABLE IF NOT EXISTS masking_policies (
+          id SERIAL PRIMARY KEY,
+          tenant_id VARCHAR(255) NOT NULL,
+          role VARCHAR(63) NOT NULL,
+          category VARCHAR(31) NOT NULL,
+          strategy VARCHAR(10) NOT NULL,
+          description TEXT,
+          created_by VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (tenant_id, role, category)
+        );
+      `);
+
+      this.isInitialized = true;
+    } catch (error) {
+      logger.error('Failed to initialize data masking tables:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List stored column classifications (admin overrides and scan results)
+   * @returns {Promise<Array>} Classifications ordered by table and column
+   */
+  async listClassifications() {
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query('SELECT * FROM pii_columns ORDER BY table_name, column_name');
+      return result.rows.map(row => this.mapClassification(row));
+    } catch (error) {
+      logger.error('Error listing PII classifications:', error);
+      throw new Error('Failed to list PII classifications');
+    }
+  }
+
+  /**
+   * Store an admin classification of a column, replacing any scan result
+   * @param {Object} classification - { tableName, columnName, category (null: not PII), updatedBy }
+   * @returns {Promise<Object>} Stored classification
+   */
+  async saveClassification(classification) {
+    const query = `
+      INSERT INTO pii_columns (table_name, column_name, category, source, detected_by, updated_by)
+      VALUES ($1, $2, $3, 'admin', NULL, $4)
+      ON CONFLICT (table_name, column_name) DO UPDATE SET
+        category = EXCLUDED.category,
+        source = EXCLUDED.source,
+        detected_by = NULL,
+        updated_by = EXCLUDED.updated_by,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [
+        classification.tableName,
+        classification.columnName,
+        classification.category,
+        classification.updatedBy || null
+      ]);
+      return this.mapClassification(result.rows[0]);
+    } catch (error) {
+      logger.error('Error saving PII classification:', error);
+      throw new Error('Failed to save PII classification');
+    }
+  }
+
+  /**
+   * Delete the stored classification of a column
+   * @param {string} tableName - Table name
+   * @param {string} columnName - Column name
+   * @returns {Promise<boolean>} True if a classification was deleted
+   */
+  async deleteClassification(tableName, columnName) {
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(
+        'DELETE FROM pii_columns WHERE table_name = $1 AND column_name = $2',
+        [tableName, columnName]
+      );
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error('Error deleting PII classification:', error);
+      throw new Error('Failed to delete PII classification');
+    }
+  }
+
+  /**
+   * Replace all scan results; admin classifications are kept
+   * @param {Array} detections - { tableName, columnName, category, detectedBy }
+   */
+  async replaceScanResults(detections) {
+    const client = await this.dbPool.connect();
+
+    try {
+      await this.initialize();
+      await client.query('BEGIN');
+      await client.query("DELETE FROM pii_columns WHERE source = 'scan'");
+      for (const detection of detections) {
+        await client.query(`
+          INSERT INTO pii_columns (table_name, column_name, category, source, detected_by)
+          VALUES ($1, $2, $3, 'scan', $4)
+          ON CONFLICT (table_name, column_name) DO NOTHING
+        `, [detection.tableName, detection.columnName, detection.category, detection.detectedBy]);
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error storing PII scan results:', error);
+      throw new Error('Failed to store PII scan results');
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Create a masking policy
+   * @param {Object} policy - { tenantId, role, category, strategy, description, createdBy }
+   * @returns {Promise<Object>} Created policy
+   */
+  async createPolicy(policy) {
+    const query = `
+      INSERT INTO masking_policies (tenant_id, role, category, strategy, description, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [
+        policy.tenantId,
+        policy.role,
+        policy.category,
+        policy.strategy,
+        policy.description || null,
+        policy.createdBy || null
+      ]);
+      return this.mapPolicy(result.rows[0]);
+    } catch (error) {
+      logger.error('Error creating masking policy:', error);
+      throw new Error('Failed to create masking policy');
+    }
+  }
+
+  /**
+   * Update a masking policy of a tenant
+   * @param {number} id - Policy id
+   * @param {string} tenantId - Tenant the policy belongs to
+   * @param {Object} policy - { role, category, strategy, description }
+   * @returns {Promise<Object|null>} Updated policy, or null if not found
+   */
+  async updatePolicy(id, tenantId, policy) {
+    const query = `
+      UPDATE masking_policies
+      SET role = $1, category = $2, strategy = $3, description = $4, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $5 AND tenant_id = $6
+      RETURNING *
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [
+        policy.role,
+        policy.category,
+        policy.strategy,
+        policy.description || null,
+        id,
+        tenantId
+      ]);
+      return result.rows[0] ? this.mapPolicy(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error updating masking policy:', error);
+      throw new Error('Failed to update masking policy');
+    }
+  }
+
+  /**
+   * Delete a masking policy of a tenant
+   * @param {number} id - Policy id
+   * @param {string} tenantId - Tenant the policy belongs to
+   * @returns {Promise<boolean>} True if a policy was deleted
+   */
+  async deletePolicy(id, tenantId) {
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query('DELETE FROM masking_policies WHERE id = $1 AND tenant_id = $2', [id, tenantId]);
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error('Error deleting masking policy:', error);
+      throw new Error('Failed to delete masking policy');
+    }
+  }
+
+  /**
+   * Find a masking policy
+   * @param {number} id - Policy id
+   * @param {string|null} tenantId - Only a policy of this tenant (null for any)
+   * @returns {Promise<Object|null>} Policy or null
+   */
+  async findPolicyById(id, tenantId = null) {
+    const query = 'SELECT * FROM masking_policies WHERE id = $1 AND ($2::text IS NULL OR tenant_id = $2)';
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [id, tenantId]);
+      return result.rows[0] ? this.mapPolicy(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error fetching masking policy:', error);
+      throw new Error('Failed to fetch masking policy');
+    }
+  }
+
+  /**
+   * List the masking policies of a tenant
+   * @param {string} tenantId - Tenant
+   * @param {Object} filters - Filters
+   * @param {string} filters.role - Only policies of this role
+   * @param {string} filters.category - Only policies of this PII category
+   * @returns {Promise<Array>} Policies ordered by role and category
+   */
+  async listPolicies(tenantId, filters = {}) {
+    const conditions = ['tenant_id = $1'];
+    const params = [tenantId];
+
+    if (filters.role) {
+      params.push(filters.role);
+      conditions.push(`role = $${params.length}`);
+    }
+    if (filters.category) {
+      params.push(filters.category);
+      conditions.push(`category = $${params.length}`);
+    }
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(
+        `SELECT * FROM masking_policies WHERE ${conditions.join(' AND ')} ORDER BY role, category`,
+        params
+      );
+      return result.rows.map(row => this.mapPolicy(row));
+    } catch (error) {
+      logger.error('Error listing masking policies:', error);
+      throw new Error('Failed to list masking policies');
+    }
+  }
+
+  /**
+   * Map a pii_columns row to API shape
+   * @param {Object} row - Database row
+   * @returns {Object} Classification
+   */
+  mapClassification(row) {
+    return {
+      tableName: row.table_name,
+      columnName: row.column_name,
+      category: row.category,
+      source: row.source,
+      detectedBy: row.detected_by,
+      updatedBy: row.updated_by,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Map a masking_policies row to API shape
+   * @param {Object} row - Database row
+   * @returns {Object} Policy
+   */
+  mapPolicy(row) {
+    return {
+      id: row.id,
+      tenantId: row.tenant_id,
+      role: row.role,
+      category: row.category,
+      strategy: row.strategy,
+      description: row.description,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = DataMaskingRepository;
@@ -0,0 +1,258 @@
+/**
+ * Datasource Repository
+ * Handles persistence of named datasources (connection settings with
+ * encrypted passwords) and their last health check
+ * Follows Repository Pattern for data access abstraction
+ */
+
+const logger = require('../utils/logger');
+
+class DatasourceRepository {
+  constructor(dbPool) {
+    this.dbPool = dbPool;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Create the datasources table if it does not exist
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    try {
+      await this.dbPool.query(`
+        CREATE TABLE IF NOT EXISTS datasources (
+          id SERIAL PRIMARY KEY,
+          tenant_id VARCHAR(255) NOT NULL,
+          name VARCHAR(63) NOT NULL,
+          description TEXT,
+          host VARCHAR(255) NOT NULL,
+          port INTEGER NOT NULL DEFAULT 5432,
+          database_name VARCHAR(255) NOT NULL,
+          username VARCHAR(255) NOT NULL,
+          password_encrypted TEXT,
+          ssl BOOLEAN NOT NULL DEFAULT false,
+          sandbox_role VARCHAR(63),
+          allowed_roles TEXT[] NOT NULL DEFAULT '{}',
+          status VARCHAR(20) NOT NULL DEFAULT 'unknown',
+          last_error TEXT,
+          last_checked_at TIMESTAMP,
+          created_by VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (tenant_id, name)
+        );
+      `);
+
+      this.isInitialized = true;
+    } catch (error) {
+      logger.error('Failed to initialize datasources table:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Register a datasource
+   * @param {Object} datasource - { tenantId, name, description, host, port, database, username,
+   *   passwordEncrypted, ssl, sandboxRole, allowedRoles, createdBy }
+   * @returns {Promise<Object>} Created datasource
+   */
+  async create(datasource) {
+    const query = `
+      INSERT INTO datasources
+      (tenant_id, name, description, host, port, database_name, username, password_encrypted,
+       ssl, sandbox_role, allowed_roles, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      RETURNING *
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [
+        datasource.tenantId,
+        datasource.name,
+        datasource.description || null,
+        datasource.host,
+        datasource.port,
+        datasource.database,
+        datasource.username,
+        datasource.passwordEncrypted || null,
+        datasource.ssl === true,
+        datasource.sandboxRole || null,
+        datasource.allowedRoles || [],
+        datasource.createdBy || null
+      ]);
+      return this.mapDatasource(result.rows[0]);
+    } catch (error) {
+      logger.error('Error creating datasource:', error);
+      throw new Error('Failed to create datasource');
+    }
+  }
+
+  /**
+   * Update a datasource of a tenant; its health is unknown until checked again
+   * @param {number} id - Datasource id
+   * @param {string} tenantId - Tenant the datasource belongs to
+   * @param {Object} datasource - Fields as for create; an undefined passwordEncrypted keeps the stored one
+   * @returns {Promise<Object|null>} Updated datasource, or null if not found
+   */
+  async update(id, tenantId, datasource) {
+    const query = `
+      UPDATE datasources
+      SET name = $1, description = $2, host = $3, port = $4, database_name = $5, username = $6,
+          password_encrypted = CASE WHEN $7::boolean THEN $8 ELSE password_encrypted END,
+          ssl = $9, sandbox_role = $10, allowed_roles = $11,
+          status = 'unknown', last_error = NULL, last_checked_at = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $12 AND tenant_id = $13
+      RETURNING *
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [
+        datasource.name,
+        datasource.description || null,
+        datasource.host,
+        datasource.port,
+        datasource.database,
+        datasource.username,
+        datasource.passwordEncrypted !== undefined,
+        datasource.passwordEncrypted || null,
+        datasource.ssl === true,
+        datasource.sandboxRole || null,
+        datasource.allowedRoles || [],
+        id,
+        tenantId
+      ]);
+      return result.rows[0] ? this.mapDatasource(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error updating datasource:', error);
+      throw new Error('Failed to update datasource');
+    }
+  }
+
+  /**
+   * Record the outcome of a health check
+   * @param {number} id - Datasource id
+   * @param {string} status - 'healthy' or 'unreachable'
+   * @param {string|null} lastError - Failure reason
+   * @returns {Promise<Object|null>} Updated datasource, or null if it was deleted meanwhile
+   */
+  async updateHealth(id, status, lastError = null) {
+    const query = `
+      UPDATE datasources
+      SET status = $1, last_error = $2, last_checked_at = CURRENT_TIMESTAMP
+      WHERE id = $3
+      RETURNING *
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [status, lastError, id]);
+      return result.rows[0] ? this.mapDatasource(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error recording datasource health:', error);
+      throw new Error('Failed to record datasource health');
+    }
+  }
+
+  /**
+   * Delete a datasource of a tenant
+   * @param {number} id - Datasource id
+   * @param {string} tenantId - Tenant the datasource belongs to
+   * @returns {Promise<boolean>} True if a datasource was deleted
+   */
+  async delete(id, tenantId) {
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query('DELETE FROM datasources WHERE id = $1 AND tenant_id = $2', [id, tenantId]);
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error('Error deleting datasource:', error);
+      throw new Error('Failed to delete datasource');
+    }
+  }
+
+  /**
+   * Find a datasource
+   * @param {number} id - Datasource id
+   * @param {string|null} tenantId - Only a datasource of this tenant (null for any)
+   * @returns {Promise<Object|null>} Datasource or null
+   */
+  async findById(id, tenantId = null) {
+    const query = 'SELECT * FROM datasources WHERE id = $1 AND ($2::text IS NULL OR tenant_id = $2)';
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [id, tenantId]);
+      return result.rows[0] ? this.mapDatasource(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error fetching datasource:', error);
+      throw new Error('Failed to fetch datasource');
+    }
+  }
+
+  /**
+   * Find a datasource of a tenant by name
+   * @param {string} tenantId - Tenant
+   * @param {string} name - Datasource name
+   * @returns {Promise<Object|null>} Datasource or null
+   */
+  async findByName(tenantId, name) {
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query('SELECT * FROM datasources WHERE tenant_id = $1 AND name = $2', [tenantId, name]);
+      return result.rows[0] ? this.mapDatasource(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error fetching datasource by name:', error);
+      throw new Error('Failed to fetch datasource');
+    }
+  }
+
+  /**
+   * List the datasources of a tenant
+   * @param {string} tenantId - Tenant
+   * @returns {Promise<Array>} Datasources ordered by name
+   */
+  async list(tenantId) {
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query('SELECT * FROM datasources WHERE tenant_id = $1 ORDER BY name', [tenantId]);
+      return result.rows.map(row => this.mapDatasource(row));
+    } catch (error) {
+      logger.error('Error listing datasources:', error);
+      throw new Error('Failed to list datasources');
+    }
+  }
+
+  /**
+   * Map a datasources row
+   * The encrypted password is kept for the service; it never leaves the API
+   * @param {Object} row - Database row
+   * @returns {Object} Datasource
+   */
+  mapDatasource(row) {
+    return {
+      id: row.id,
+      tenantId: row.tenant_id,
+      name: row.name,
+      description: row.description,
+      host: row.host,
+      port: row.port,
+      database: row.database_name,
+      username: row.username,
+      passwordEncrypted: row.password_encrypted,
+      ssl: row.ssl,
+      sandboxRole: row.sandbox_role,
+      allowedRoles: row.allowed_roles || [],
+      status: row.status,
+      lastError: row.last_error,
+      lastCheckedAt: row.last_checked_at,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = DatasourceRepository;
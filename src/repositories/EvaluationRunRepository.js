@@ -0,0 +1,208 @@
+/**
+ * Evaluation Run Repository
+ * Handles persistence of golden set evaluation runs: their settings, summary
+ * and per-case results, so runs can be compared with each other
+ * Follows Repository Pattern for data access abstraction
+ */
+
+const logger = require('../utils/logger');
+
+class EvaluationRunRepository {
+  constructor(dbPool) {
+    this.dbPool = dbPool;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Create the eval_runs table if it does not exist
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    try {
+      await this.dbPool.query(`
+        CREATE TABLE IF NOT EXISTS eval_runs (
+          id SERIAL PRIMARY KEY,
+          golden_set VARCHAR(255) NOT NULL,
+          label VARCHAR(255),
+          status VARCHAR(20) NOT NULL DEFAULT 'running',
+          settings JSONB NOT NULL DEFAULT '{}',
+          summary JSONB,
+          results JSONB NOT NULL DEFAULT '[]',
+          error TEXT,
+          created_by VARCHAR(255),
+          started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          finished_at TIMESTAMP
+        );
+      `);
+
+      await this.dbPool.query('CREATE INDEX IF NOT EXISTS eval_runs_golden_set_idx ON eval_runs (golden_set, started_at);');
+
+      this.isInitialized = true;
+    } catch (error) {
+      logger.error('Failed to initialize eval_runs table:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the start of a run
+   * @param {Object} run - { goldenSet, label, settings, createdBy }
+   * @returns {Promise<Object>} Created run
+   */
+  async create(run) {
+    const query = `
+      INSERT INTO eval_runs (golden_set, label, settings, created_by)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [
+        run.goldenSet,
+        run.label || null,
+        JSON.stringify(run.settings || {}),
+        run.createdBy || null
+      ]);
+      return this.mapRun(result.rows[0]);
+    } catch (error) {
+      logger.error('Error creating evaluation run:', error);
+      throw new Error('Failed to create evaluation run');
+    }
+  }
+
+  /**
+   * Record the outcome of a run
+   * @param {number} id - Run id
+   * @param {Object} outcome - { status: 'completed'|'failed', summary, results, error }
+   * @returns {Promise<Object|null>} Finished run, or null if not found
+   */
+  async finish(id, outcome) {
+    const query = `
+      UPDATE eval_runs
+      SET status = $1, summary = $2, results = $3, error = $4, finished_at = CURRENT_TIMESTAMP
+      WHERE id = $5
+      RETURNING *
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [
+        outcome.status,
+        outcome.summary ? JSON.stringify(outcome.summary) : null,
+        JSON.stringify(outcome.results || []),
+        outcome.error || null,
+        id
+      ]);
+      return result.rows[0] ? this.mapRun(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finishing evaluation run:', error);
+      throw new Error('Failed to finish evaluation run');
+    }
+  }
+
+  /**
+   * Get a run with its per-case results
+   * @param {number} id - Run id
+   * @returns {Promise<Object|null>} Run or null if not found
+   */
+  async findById(id) {
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query('SELECT * FROM eval_runs WHERE id = $1', [id]);
+      return result.rows[0] ? this.mapRun(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error fetching evaluation run:', error);
+      throw new Error('Failed to fetch evaluation run');
+    }
+  }
+
+  /**
+   * Get the latest completed run of a golden set that started before a given run
+   * @param {string} goldenSet - Golden set name
+   * @param {number} beforeId - Run to look back from
+   * @returns {Promise<Object|null>} Run or null if there is none
+   */
+  async findPreviousCompleted(goldenSet, beforeId) {
+    const query = `
+      SELECT * FROM eval_runs
+      WHERE golden_set = $1 AND status = 'completed' AND id < $2
+      ORDER BY id DESC
+      LIMIT 1
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [goldenSet, beforeId]);
+      return result.rows[0] ? this.mapRun(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error fetching previous evaluation run:', error);
+      throw new Error('Failed to fetch previous evaluation run');
+    }
+  }
+
+  /**
+   * Page through runs without their per-case results, newest first
+   * @param {Object} filters - { goldenSet, status }
+   * @param {number} limit - Maximum number of runs
+   * @param {number} offset - Number of runs to skip
+   * @returns {Promise<Object>} { runs, total }
+   */
+  async list(filters = {}, limit = 50, offset = 0) {
+    const conditions = [];
+    const params = [];
+    if (filters.goldenSet) {
+      params.push(filters.goldenSet);
+      conditions.push(`golden_set = $${params.length}`);
+    }
+    if (filters.status) {
+      params.push(filters.status);
+      conditions.push(`status = $${params.length}`);
+    }
+
+    const query = `
+      SELECT id, golden_set, label, status, settings, summary, error, created_by, started_at, finished_at,
+        COUNT(*) OVER() AS total_count
+      FROM eval_runs
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [...params, limit, offset]);
+      return {
+        runs: result.rows.map(row => this.mapRun(row)),
+        total: result.rows[0] ? parseInt(result.rows[0].total_count) : 0
+      };
+    } catch (error) {
+      logger.error('Error listing evaluation runs:', error);
+      throw new Error('Failed to list evaluation runs');
+    }
+  }
+
+  /**
+   * Map a database row to an evaluation run
+   * @param {Object} row - eval_runs row
+   * @returns {Object} Run (results only when selected)
+   */
+  mapRun(row) {
+    return {
+      id: row.id,
+      goldenSet: row.golden_set,
+      label: row.label,
+      status: row.status,
+      settings: row.settings,
+      summary: row.summary,
+      ...(row.results !== undefined ? { results: row.results } : {}),
+      error: row.error,
+      createdBy: row.created_by,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at
+    };
+  }
+}
+
+module.exports = EvaluationRunRepository;
@@ -0,0 +1,316 @@
+/**
+ * Feedback Repository
+ * Handles persistence of user ratings and corrected SQL for logged queries,
+ * the correction review queue and the accuracy figures built from them
+ * Follows Repository Pattern for data access abstraction
+ */
+
+const logger = require('../utils/logger');
+
+class FeedbackRepository {
+  constructor(dbPool) {
+    this.dbPool = dbPool;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Create the query_feedback table if it does not exist
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    try {
+      await this.dbPool.query(`
+        CREATE TABLE IF NOT EXISTS query_feedback (
+          id SERIAL PRIMARY KEY,
+          query_log_id INTEGER NOT NULL REFERENCES query_logs(id) ON DELETE CASCADE,
+          tenant_id VARCHAR(255) NOT NULL,
+          user_id VARCHAR(255) NOT NULL,
+          rating VARCHAR(10) NOT NULL,
+          comment TEXT,
+          question TEXT NOT NULL,
+          generated_sql TEXT,
+          datasource VARCHAR(63),
+          tables TEXT[] NOT NULL DEFAULT '{}',
+          patterns TEXT[] NOT NULL DEFAULT '{}',
+          corrected_sql TEXT,
+          review_status VARCHAR(20),
+          review_note TEXT,
+          reviewed_by VARCHAR(255),
+          reviewed_at TIMESTAMP,
+          example_id INTEGER,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (query_log_id, user_id)
+        );
+      `);
+
+      await this.dbPool.query('CREATE INDEX IF NOT EXISTS query_feedback_review_idx ON query_feedback (review_status, created_at);');
+
+      this.isInitialized = true;
+    } catch (error) {
+      logger.error('Failed to initialize query_feedback table:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store a user's feedback on a logged query, replacing their earlier feedback on it
+   * A new rating or correction reopens review; an approved correction keeps its example
+   * @param {Object} feedback - { queryLogId, tenantId, userId, rating, comment, question, generatedSQL,
+   *   datasource, tables, patterns, correctedSQL }
+   * @returns {Promise<Object>} Stored feedback
+   */
+  async upsert(feedback) {
+    const query = `
+      INSERT INTO query_feedback
+      (query_log_id, tenant_id, user_id, rating, comment, question, generated_sql, datasource,
+       tables, patterns, corrected_sql, review_status)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      ON CONFLICT (query_log_id, user_id) DO UPDATE SET
+        rating = EXCLUDED.rating,
+        comment = EXCLUDED.comment,
+        corrected_sql = EXCLUDED.corrected_sql,
+        review_status = EXCLUDED.review_status,
+        review_note = NULL,
+        reviewed_by = NULL,
+        reviewed_at = NULL,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [
+        feedback.queryLogId,
+        feedback.tenantId,
+        feedback.userId,
+        feedback.rating,
+        feedback.comment || null,
+        feedback.question,
+        feedback.generatedSQL || null,
+        feedback.datasource || null,
+        feedback.tables || [],
+        feedback.patterns || [],
+        feedback.correctedSQL || null,
+        feedback.correctedSQL ? 'pending' : null
+      ]);
+      return this.mapFeedback(result.rows[0]);
+    } catch (error) {
+      logger.error('Error storing query feedback:', error);
+      throw new Error('Failed to store query feedback');
+    }
+  }
+
+  /**
+   * Get a feedback entry
+   * @param {number} id - Feedback id
+   * @returns {Promise<Object|null>} Feedback or null if not found
+   */
+  async findById(id) {
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query('SELECT * FROM query_feedback WHERE id = $1', [id]);
+      return result.rows[0] ? this.mapFeedback(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error fetching query feedback:', error);
+      throw new Error('Failed to fetch query feedback');
+    }
+  }
+
+  /**
+   * Page through feedback, newest first
+   * @param {Object} filters - See buildFilters
+   * @param {number} limit - Maximum number of entries
+   * @param {number} offset - Number of entries to skip
+   * @returns {Promise<Object>} { feedback, total }
+   */
+  async list(filters = {}, limit = 50, offset = 0) {
+    const { where, params } = this.buildFilters(filters);
+    const query = `
+      SELECT *, COUNT(*) OVER() AS total_count
+      FROM query_feedback
+      ${where}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [...params, limit, offset]);
+      return {
+        feedback: result.rows.map(row => this.mapFeedback(row)),
+        total: result.rows[0] ? parseInt(result.rows[0].total_count) : 0
+      };
+    } catch (error) {
+      logger.error('Error listing query feedback:', error);
+      throw new Error('Failed to list query feedback');
+    }
+  }
+
+  /**
+   * Record the review of a pending correction
+   * @param {number} id - Feedback id
+   * @param {Object} review - { status, note, reviewedBy, exampleId }
+   * @returns {Promise<Object|null>} Reviewed feedback, or null if it is not pending (any more)
+   */
+  async review(id, review) {
+    const query = `
+      UPDATE query_feedback
+      SET review_status = $1, review_note = $2, reviewed_by = $3, example_id = COALESCE($4, example_id),
+          reviewed_at = CURRENT_TIMESTAMP
+      WHERE id = $5 AND review_status = 'pending'
+      RETURNING *
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [
+        review.status,
+        review.note || null,
+        review.reviewedBy || null,
+        review.exampleId || null,
+        id
+      ]);
+      return result.rows[0] ? this.mapFeedback(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error reviewing query feedback:', error);
+      throw new Error('Failed to review query feedback');
+    }
+  }
+
+  /**
+   * Accuracy of logged queries as rated by users, overall, per table and per SQL pattern
+   * A query counts once per table it reads and once per pattern it has; queries
+   * without any pattern count as 'simple'
+   * @param {Object} filters - See buildFilters
+   * @returns {Promise<Object>} { overall, byTable, byPattern } with up, down, corrections and approved counts
+   */
+  async getAccuracy(filters = {}) {
+    const { where, params } = this.buildFilters(filters);
+    const counts = `
+      COUNT(*) AS ratings,
+      COUNT(*) FILTER (WHERE rating = 'up') AS up,
+      COUNT(*) FILTER (WHERE rating = 'down') AS down,
+      COUNT(*) FILTER (WHERE corrected_sql IS NOT NULL) AS corrections,
+      COUNT(*) FILTER (WHERE review_status = 'approved') AS approved
+    `;
+    const overallQuery = `SELECT ${counts} FROM query_feedback ${where}`;
+    const byTableQuery = `
+      SELECT table_name AS key, ${counts}
+      FROM query_feedback, UNNEST(tables) AS table_name
+      ${where}
+      GROUP BY table_name
+      ORDER BY down DESC, ratings DESC
+    `;
+    const byPatternQuery = `
+      SELECT pattern AS key, ${counts}
+      FROM query_feedback,
+        UNNEST(CASE WHEN cardinality(patterns) = 0 THEN ARRAY['simple']::TEXT[] ELSE patterns END) AS pattern
+      ${where}
+      GROUP BY pattern
+      ORDER BY down DESC, ratings DESC
+    `;
+
+    try {
+      await this.initialize();
+      const [overall, byTable, byPattern] = await Promise.all([
+        this.dbPool.query(overallQuery, params),
+        this.dbPool.query(byTableQuery, params),
+        this.dbPool.query(byPatternQuery, params)
+      ]);
+
+      return {
+        overall: this.mapAccuracy(overall.rows[0]),
+        byTable: byTable.rows.map(row => ({ tableName: row.key, ...this.mapAccuracy(row) })),
+        byPattern: byPattern.rows.map(row => ({ pattern: row.key, ...this.mapAccuracy(row) }))
+      };
+    } catch (error) {
+      logger.error('Error computing feedback accuracy:', error);
+      throw new Error('Failed to compute feedback accuracy');
+    }
+  }
+
+  /**
+   * Build a parameterized WHERE clause from feedback filters
+   * @param {Object} filters - Filters
+   * @param {string} filters.tenantId - Tenant (every tenant when omitted)
+   * @param {string} filters.userId - Only feedback of this principal
+   * @param {string} filters.status - Review status of corrections (pending, approved, rejected)
+   * @param {string} filters.rating - up or down
+   * @param {string} filters.datasource - Datasource name
+   * @param {Date|string} filters.from - Earliest created_at (inclusive)
+   * @param {Date|string} filters.to - Latest created_at (exclusive)
+   * @returns {Object} { where, params }
+   */
+  buildFilters(filters = {}) {
+    const conditions = [];
+    const params = [];
+    const add = (condition, value) => {
+      params.push(value);
+      conditions.push(condition.replace('?', `$${params.length}`));
+    };
+
+    if (filters.tenantId) add('tenant_id = ?', filters.tenantId);
+    if (filters.userId) add('user_id = ?', filters.userId);
+    if (filters.status) add('review_status = ?', filters.status);
+    if (filters.rating) add('rating = ?', filters.rating);
+    if (filters.datasource) add('datasource = ?', filters.datasource);
+    if (filters.from) add('created_at >= ?', filters.from);
+    if (filters.to) add('created_at < ?', filters.to);
+
+    return {
+      where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  /**
+   * Map feedback counts, adding the share of positive ratings
+   * @param {Object} row - Row with ratings, up, down, corrections and approved counts
+   * @returns {Object} Counts and accuracy (null without ratings)
+   */
+  mapAccuracy(row) {
+    const ratings = parseInt(row.ratings);
+    const up = parseInt(row.up);
+    return {
+      ratings,
+      up,
+      down: parseInt(row.down),
+      corrections: parseInt(row.corrections),
+      approved: parseInt(row.approved),
+      accuracy: ratings > 0 ? up / ratings : null
+    };
+  }
+
+  /**
+   * Map a query_feedback row
+   * @param {Object} row - Database row
+   * @returns {Object} Feedback
+   */
+  mapFeedback(row) {
+    return {
+      id: row.id,
+      historyId: row.query_log_id,
+      tenantId: row.tenant_id,
+      userId: row.user_id,
+      rating: row.rating,
+      comment: row.comment,
+      question: row.question,
+      generatedSQL: row.generated_sql,
+      datasource: row.datasource,
+      tables: row.tables || [],
+      patterns: row.patterns || [],
+      correctedSQL: row.corrected_sql,
+      reviewStatus: row.review_status,
+      reviewNote: row.review_note,
+      reviewedBy: row.reviewed_by,
+      reviewedAt: row.reviewed_at,
+      exampleId: row.example_id,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = FeedbackRepository;
@@ -0,0 +1,227 @@
+/**
+ * Glossary Repository
+ * Handles persistence of the business glossary: descriptions, synonyms,
+ * metric definitions and value aliases attached to tables and columns
+ * Follows Repository Pattern for data access abstraction
+ */
+
+const logger = require('../utils/logger');
+const { tenantCondition, sharedCondition } = require('../utils/ownership');
+
+class GlossaryRepository {
+  constructor(dbPool) {
+    this.dbPool = dbPool;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Create the glossary table if it does not exist
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    try {
+      await this.dbPool.query(`
+        CREATE TABLE IF NOT EXISTS glossary_entries (
+          id SERIAL PRIMARY KEY,
+          entry_type VARCHAR(20) NOT NULL,
+          term VARCHAR(255),
+          table_name VARCHAR(255) NOT NULL,
+          column_name VARCHAR(255),
+          definition TEXT,
+          value TEXT,
+          tenant_id VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      // Entries created before they had a tenant apply to every tenant
+      await this.dbPool.query('ALTER TABLE glossary_entries ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(255);');
+
+      await this.dbPool.query(`
+        CREATE INDEX IF NOT EXISTS glossary_entries_table_idx
+        ON glossary_entries (table_name);
+      `);
+
+      this.isInitialized = true;
+    } catch (error) {
+      logger.error('Failed to initialize glossary table:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a glossary entry
+   * @param {Object} entry - Entry data
+   * @param {string|null} tenantId - Tenant the entry belongs to; null for every tenant
+   * @returns {Promise<Object>} Created entry
+   */
+  async create(entry, tenantId) {
+    const query = `
+      INSERT INTO glossary_entries (entry_type, term, table_name, column_name, definition, value, tenant_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [
+        entry.type,
+        entry.term || null,
+        entry.tableName,
+        entry.columnName || null,
+        entry.definition || null,
+        entry.value || null,
+        tenantId
+      ]);
+      return this.mapEntry(result.rows[0]);
+    } catch (error) {
+      logger.error('Error creating glossary entry:', error);
+      throw new Error('Failed to create glossary entry');
+    }
+  }
+
+  /**
+   * Update a glossary entry
+   * @param {number} id - Entry id
+   * @param {Object} entry - Entry data
+   * @param {string|null} tenantId - Tenant the entry must belong to
+   * @returns {Promise<Object|null>} Updated entry, or null if not found (or of another tenant)
+   */
+  async update(id, entry, tenantId) {
+    const query = `
+      UPDATE glossary_entries
+      SET entry_type = $1, term = $2, table_name = $3, column_name = $4,
+          definition = $5, value = $6, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $7 AND ${tenantCondition(8)}
+      RETURNING *
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [
+        entry.type,
+        entry.term || null,
+        entry.tableName,
+        entry.columnName || null,
+        entry.definition || null,
+        entry.value || null,
+        id,
+        tenantId
+      ]);
+      return result.rows[0] ? this.mapEntry(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error updating glossary entry:', error);
+      throw new Error('Failed to update glossary entry');
+    }
+  }
+
+  /**
+   * Delete a glossary entry
+   * @param {number} id - Entry id
+   * @param {string|null} tenantId - Tenant the entry must belong to
+   * @returns {Promise<Object|null>} Deleted entry, or null if not found (or of another tenant)
+   */
+  async delete(id, tenantId) {
+    const query = `DELETE FROM glossary_entries WHERE id = $1 AND ${tenantCondition(2)} RETURNING *`;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [id, tenantId]);
+      return result.rows[0] ? this.mapEntry(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error deleting glossary entry:', error);
+      throw new Error('Failed to delete glossary entry');
+    }
+  }
+
+  /**
+   * Get a glossary entry
+   * @param {number} id - Entry id
+   * @param {string|null} tenantId - Tenant reading the entry; entries of other tenants are not found
+   * @returns {Promise<Object|null>} Entry or null if not found
+   */
+  async findById(id, tenantId) {
+    const query = `SELECT * FROM glossary_entries WHERE id = $1 AND ${sharedCondition(2)}`;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [id, tenantId]);
+      return result.rows[0] ? this.mapEntry(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error fetching glossary entry:', error);
+      throw new Error('Failed to fetch glossary entry');
+    }
+  }
+
+  /**
+   * List glossary entries
+   * @param {Object} filters - Filters
+   * @param {string|null} filters.tenantId - Tenant reading the entries; entries without a tenant are
+   *   always included, so null reads those alone
+   * @param {string} filters.type - Entry type
+   * @param {Array<string>} filters.tableNames - Tables the entries belong to
+   * @param {string} filters.search - Text to find in term, definition or value
+   * @returns {Promise<Array>} Entries ordered by table, column and term
+   */
+  async list(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.tenantId !== undefined) {
+      params.push(filters.tenantId);
+      conditions.push(sharedCondition(params.length));
+    }
+    if (filters.type) {
+      params.push(filters.type);
+      conditions.push(`entry_type = $${params.length}`);
+    }
+    if (filters.tableNames && filters.tableNames.length > 0) {
+      params.push(filters.tableNames);
+      conditions.push(`table_name = ANY($${params.length})`);
+    }
+    if (filters.search) {
+      params.push(`%${filters.search.replace(/[\\%_]/g, '\\$&')}%`);
+      conditions.push(`(term ILIKE $${params.length} OR definition ILIKE $${params.length} OR value ILIKE $${params.length})`);
+    }
+
+    const query = `
+      SELECT *
+      FROM glossary_entries
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY table_name, column_name NULLS FIRST, entry_type, term
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, params);
+      return result.rows.map(row => this.mapEntry(row));
+    } catch (error) {
+      logger.error('Error listing glossary entries:', error);
+      throw new Error('Failed to list glossary entries');
+    }
+  }
+
+  /**
+   * Map a glossary_entries row to API shape
+   * @param {Object} row - Database row
+   * @returns {Object} Entry
+   */
+  mapEntry(row) {
+    return {
+      id: row.id,
+      type: row.entry_type,
+      term: row.term,
+      tableName: row.table_name,
+      columnName: row.column_name,
+      definition: row.definition,
+      value: row.value,
+      tenantId: row.tenant_id,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = GlossaryRepository;
@@ -0,0 +1,295 @@
+/**
+ * Query Cache Repository
+ * Stores validated SQL of answered questions in the vector DB, found again
+ * by question hash (exact level) or by question embedding (semantic level)
+ * Follows Repository Pattern for data access abstraction
+ */
+
+const logger = require('../utils/logger');
+
+class QueryCacheRepository {
+  constructor(dbPool) {
+    this.dbPool = dbPool;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Create query_cache, recreating it when the embedding size changed
+   * @param {number} dimensions - Embedding dimensions of the active provider
+   */
+  async initialize(dimensions) {
+    if (this.isInitialized) return;
+
+    try {
+      await this.dbPool.query('CREATE EXTENSION IF NOT EXISTS vector;');
+
+      // Cached SQL is derived data, so a provider switch simply starts over
+      const existing = await this.dbPool.query(`
+        SELECT format_type(atttypid, atttypmod) AS embedding_type
+        FROM pg_attribute
+        WHERE attrelid = to_regclass('query_cache') AND attname = 'embedding'
+      `);
+      const current = existing.rows[0];
+      if (current && current.embedding_type !== `vector(${dimensions})`) {
+        logger.warn(`query_cache uses ${current.embedding_type}, rebuilding for vector(${dimensions})`);
+        await this.dbPool.query('DROP TABLE query_cache;');
+      }
+
+      await this.dbPool.query(`
+        CREATE TABLE IF NOT EXISTS query_cache (
+          id SERIAL PRIMARY KEY,
+          tenant_id VARCHAR(255) NOT NULL,
+          datasource VARCHAR(63) NOT NULL,
+          datasource_name VARCHAR(63) NOT NULL,
+          access_scope VARCHAR(255) NOT NULL DEFAULT '',
+          schema_version VARCHAR(64) NOT NULL,
+          question TEXT NOT NULL,
+          question_hash VARCHAR(64) NOT NULL,
+          embedding vector(${dimensions}),
+          generated_sql TEXT NOT NULL,
+          relevant_tables JSONB NOT NULL DEFAULT '[]',
+          hit_count INTEGER NOT NULL DEFAULT 0,
+          last_hit_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (tenant_id, datasource, access_scope, schema_version, question_hash)
+        );
+      `);
+      // No ANN index on embedding: lookups are narrowed to one tenant, datasource
+      // and schema version first, where an exact scan is fast
+      await this.dbPool.query(`
+        CREATE INDEX IF NOT EXISTS query_cache_datasource_idx
+        ON query_cache (datasource, created_at);
+      `);
+
+      this.isInitialized = true;
+    } catch (error) {
+      logger.error('Failed to initialize query cache:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether query_cache exists; maintenance calls can come before the first
+   * lookup, which is what creates it (it needs the embedding size)
+   * @returns {Promise<boolean>} True if the table exists
+   */
+  async tableExists() {
+    if (this.isInitialized) return true;
+    const result = await this.dbPool.query("SELECT to_regclass('query_cache') IS NOT NULL AS present");
+    return result.rows[0].present;
+  }
+
+  /**
+   * Find the entry of a normalized question
+   * @param {Object} scope - { tenantId, datasource, accessScope, schemaVersion }
+   * @param {string} questionHash - Hash of the normalized question
+   * @param {Date} since - Ignore entries created before this
+   * @returns {Promise<Object|null>} Entry or null
+   */
+  async findExact(scope, questionHash, since) {
+    const query = `
+      SELECT * FROM query_cache
+      WHERE tenant_id = $1 AND datasource = $2 AND access_scope = $3 AND schema_version = $4
+        AND question_hash = $5 AND created_at >= $6
+    `;
+
+    try {
+      const result = await this.dbPool.query(query, [
+        scope.tenantId, scope.datasource, scope.accessScope, scope.schemaVersion, questionHash, since
+      ]);
+      return result.rows[0] ? this.mapEntry(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error in exact query cache lookup:', error);
+      throw new Error('Failed to look up query cache');
+    }
+  }
+
+  /**
+   * Find the entry whose question is closest to an embedding
+   * @param {Object} scope - { tenantId, datasource, accessScope, schemaVersion }
+   * @param {Array<number>} embedding - Question embedding
+   * @param {Date} since - Ignore entries created before this
+   * @returns {Promise<Object|null>} Entry with similarity, or null when nothing is cached
+   */
+  async findNearest(scope, embedding, since) {
+    const query = `
+      SELECT *, 1 - (embedding <=> $5) AS similarity
+      FROM query_cache
+      WHERE tenant_id = $1 AND datasource = $2 AND access_scope = $3 AND schema_version = $4
+        AND embedding IS NOT NULL AND created_at >= $6
+      ORDER BY embedding <=> $5
+      LIMIT 1
+    `;
+
+    try {
+      const result = await this.dbPool.query(query, [
+        scope.tenantId, scope.datasource, scope.accessScope, scope.schemaVersion, `[${embedding.join(',')}]`, since
+      ]);
+      return result.rows[0]
+        ? { ...this.mapEntry(result.rows[0]), similarity: parseFloat(result.rows[0].similarity) }
+        : null;
+    } catch (error) {
+      logger.error('Error in semantic query cache lookup:', error);
+      throw new Error('Failed to look up query cache');
+    }
+  }
+
+  /**
+   * Store the SQL answering a question, replacing an earlier entry of the same question
+   * @param {Object} entry - { tenantId, datasource, datasourceName, accessScope, schemaVersion,
+   *   question, questionHash, embedding, generatedSQL, relevantTables }
+   * @returns {Promise<Object>} Stored entry
+   */
+  async save(entry) {
+    const query = `
+      INSERT INTO query_cache
+      (tenant_id, datasource, datasource_name, access_scope, schema_version, question, question_hash,
+       embedding, generated_sql, relevant_tables)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      ON CONFLICT (tenant_id, datasource, access_scope, schema_version, question_hash) DO UPDATE SET
+        question = EXCLUDED.question,
+        embedding = EXCLUDED.embedding,
+        generated_sql = EXCLUDED.generated_sql,
+        relevant_tables = EXCLUDED.relevant_tables,
+        hit_count = 0,
+        last_hit_at = NULL,
+        created_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `;
+
+    try {
+      const result = await this.dbPool.query(query, [
+        entry.tenantId,
+        entry.datasource,
+        entry.datasourceName,
+        entry.accessScope,
+        entry.schemaVersion,
+        entry.question,
+        entry.questionHash,
+        entry.embedding ? `[${entry.embedding.join(',')}]` : null,
+        entry.generatedSQL,
+        JSON.stringify(entry.relevantTables || [])
+      ]);
+      return this.mapEntry(result.rows[0]);
+    } catch (error) {
+      logger.error('Error storing query cache entry:', error);
+      throw new Error('Failed to store query cache entry');
+    }
+  }
+
+  /**
+   * Count a reuse of an entry
+   * @param {number} id - Entry id
+   */
+  async recordHit(id) {
+    try {
+      await this.dbPool.query('UPDATE query_cache SET hit_count = hit_count + 1, last_hit_at = CURRENT_TIMESTAMP WHERE id = $1', [id]);
+    } catch (error) {
+      logger.error('Error recording query cache hit:', error);
+      throw new Error('Failed to record query cache hit');
+    }
+  }
+
+  /**
+   * Delete one entry (its SQL no longer works)
+   * @param {number} id - Entry id
+   */
+  async delete(id) {
+    try {
+      await this.dbPool.query('DELETE FROM query_cache WHERE id = $1', [id]);
+    } catch (error) {
+      logger.error('Error deleting query cache entry:', error);
+      throw new Error('Failed to delete query cache entry');
+    }
+  }
+
+  /**
+   * Delete entries
+   * @param {Object} filters - Filters
+   * @param {string} filters.tenantId - Only this tenant's entries (null for every tenant)
+   * @param {string} filters.datasource - Only entries of this source key
+   * @param {string} filters.datasourceName - Only entries of this datasource name
+   * @param {Date} filters.before - Only entries created before this
+   * @returns {Promise<number>} Number of deleted entries
+   */
+  async deleteWhere(filters = {}) {
+    const query = `
+      DELETE FROM query_cache
+      WHERE ($1::text IS NULL OR tenant_id = $1)
+        AND ($2::text IS NULL OR datasource = $2)
+        AND ($3::text IS NULL OR datasource_name = $3)
+        AND ($4::timestamp IS NULL OR created_at < $4)
+    `;
+
+    try {
+      if (!(await this.tableExists())) {
+        return 0;
+      }
+      const result = await this.dbPool.query(query, [
+        filters.tenantId || null,
+        filters.datasource || null,
+        filters.datasourceName || null,
+        filters.before || null
+      ]);
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error deleting query cache entries:', error);
+      throw new Error('Failed to delete query cache entries');
+    }
+  }
+
+  /**
+   * Summarize stored entries per datasource
+   * @param {string|null} tenantId - Only this tenant's entries (null for every tenant)
+   * @returns {Promise<Array>} { datasource, entries, hits, lastHitAt }
+   */
+  async getStats(tenantId = null) {
+    const query = `
+      SELECT datasource_name, COUNT(*) AS entries, COALESCE(SUM(hit_count), 0) AS hits, MAX(last_hit_at) AS last_hit_at
+      FROM query_cache
+      WHERE $1::text IS NULL OR tenant_id = $1
+      GROUP BY datasource_name
+      ORDER BY datasource_name
+    `;
+
+    try {
+      if (!(await this.tableExists())) {
+        return [];
+      }
+      const result = await this.dbPool.query(query, [tenantId]);
+      return result.rows.map(row => ({
+        datasource: row.datasource_name,
+        entries: parseInt(row.entries),
+        hits: parseInt(row.hits),
+        lastHitAt: row.last_hit_at
+      }));
+    } catch (error) {
+      logger.error('Error fetching query cache statistics:', error);
+      throw new Error('Failed to fetch query cache statistics');
+    }
+  }
+
+  /**
+   * Map a query_cache row
+   * @param {Object} row - Database row
+   * @returns {Object} Entry (without its embedding)
+   */
+  mapEntry(row) {
+    return {
+      id: row.id,
+      tenantId: row.tenant_id,
+      datasource: row.datasource,
+      datasourceName: row.datasource_name,
+      accessScope: row.access_scope,
+      schemaVersion: row.schema_version,
+      question: row.question,
+      generatedSQL: row.generated_sql,
+      relevantTables: row.relevant_tables || [],
+      hitCount: row.hit_count,
+      lastHitAt: row.last_hit_at,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = QueryCacheRepository;
@@ -0,0 +1,299 @@
+/**
+ * Query Log Repository
+ * Handles persistence of the NLQ and raw SQL request history in query_logs
+ * Follows Repository Pattern for data access abstraction
+ */
+
+const logger = require('../utils/logger');
+const { ownerCondition, ownerParams } = require('../utils/ownership');
+
+class QueryLogRepository {
+  constructor(dbPool) {
+    this.dbPool = dbPool;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Create query_logs if missing and add the audit columns to older installs
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    try {
+      await this.dbPool.query(`
+        CREATE TABLE IF NOT EXISTS query_logs (
+          id SERIAL PRIMARY KEY,
+          query_text TEXT NOT NULL,
+          generated_sql TEXT,
+          execution_time INTEGER,
+          success BOOLEAN DEFAULT false,
+          error_message TEXT,
+          user_ip INET,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      await this.dbPool.query(`
+        ALTER TABLE query_logs
+          ADD COLUMN IF NOT EXISTS request_id VARCHAR(64),
+          ADD COLUMN IF NOT EXISTS request_type VARCHAR(20) DEFAULT 'nlq',
+          ADD COLUMN IF NOT EXISTS session_id UUID,
+          ADD COLUMN IF NOT EXISTS language VARCHAR(10),
+          ADD COLUMN IF NOT EXISTS row_count INTEGER,
+          ADD COLUMN IF NOT EXISTS attempt_count INTEGER,
+          ADD COLUMN IF NOT EXISTS stage_timings JSONB,
+          ADD COLUMN IF NOT EXISTS user_agent TEXT,
+          ADD COLUMN IF NOT EXISTS datasource VARCHAR(63),
+          ADD COLUMN IF NOT EXISTS principal_id VARCHAR(255),
+          ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(255);
+      `);
+
+      await this.dbPool.query('CREATE INDEX IF NOT EXISTS query_logs_created_at_idx ON query_logs (created_at);');
+      await this.dbPool.query('CREATE INDEX IF NOT EXISTS query_logs_request_id_idx ON query_logs (request_id);');
+
+      this.isInitialized = true;
+    } catch (error) {
+      logger.error('Failed to initialize query_logs table:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store a history entry
+   * @param {Object} entry - Log entry (see QueryLogService.record)
+   * @returns {Promise<Object>} Stored entry
+   */
+  async create(entry) {
+    const query = `
+      INSERT INTO query_logs
+      (request_id, request_type, session_id, query_text, generated_sql, language, execution_time,
+       stage_timings, row_count, attempt_count, success, error_message, user_ip, user_agent, datasource,
+       principal_id, tenant_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+      RETURNING *
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [
+        entry.requestId || null,
+        entry.type,
+        entry.sessionId || null,
+        entry.queryText,
+        entry.generatedSQL || null,
+        entry.language || null,
+        entry.executionTime ?? null,
+        entry.timings ? JSON.stringify(entry.timings) : null,
+        entry.rowCount ?? null,
+        entry.attemptCount ?? null,
+        entry.success === true,
+        entry.error || null,
+        entry.clientIp || null,
+        entry.userAgent || null,
+        entry.datasource || null,
+        ...ownerParams(entry.owner || {})
+      ]);
+      return this.mapEntry(result.rows[0]);
+    } catch (error) {
+      logger.error('Error storing query log entry:', error);
+      throw new Error('Failed to store query log entry');
+    }
+  }
+
+  /**
+   * Page through history, newest first
+   * @param {Object} filters - See buildFilters
+   * @param {number} limit - Maximum number of entries
+   * @param {number} offset - Number of entries to skip
+   * @returns {Promise<Object>} { entries, total }
+   */
+  async list(filters = {}, limit = 50, offset = 0) {
+    const { where, params } = this.buildFilters(filters);
+    const query = `
+      SELECT *, COUNT(*) OVER() AS total_count
+      FROM query_logs
+      ${where}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [...params, limit, offset]);
+      return {
+        entries: result.rows.map(row => this.mapEntry(row)),
+        total: result.rows[0] ? parseInt(result.rows[0].total_count) : 0
+      };
+    } catch (error) {
+      logger.error('Error listing query logs:', error);
+      throw new Error('Failed to list query logs');
+    }
+  }
+
+  /**
+   * Get a single history entry
+   * @param {number} id - Entry id
+   * @param {Object} owner - { principalId, tenantId } the entry must belong to (see utils/ownership)
+   * @returns {Promise<Object|null>} Entry or null if not found (or someone else's)
+   */
+  async findById(id, owner) {
+    const query = `SELECT * FROM query_logs WHERE id = $1 AND ${ownerCondition(2)}`;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [id, ...ownerParams(owner)]);
+      return result.rows[0] ? this.mapEntry(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error fetching query log entry:', error);
+      throw new Error('Failed to fetch query log entry');
+    }
+  }
+
+  /**
+   * Aggregate statistics over the (filtered) history
+   * @param {Object} filters - See buildFilters
+   * @returns {Promise<Object>} Totals, success rate, latency and top errors
+   */
+  async getStats(filters = {}) {
+    const { where, params } = this.buildFilters(filters);
+    const totalsQuery = `
+      SELECT
+        COUNT(*) AS total,
+        COUNT(*) FILTER (WHERE success) AS successful,
+        AVG(execution_time) AS avg_time,
+        PERCENTILE_CONT(0.95) WITHIN GROUP (ORDER BY execution_time) AS p95_time,
+        AVG(row_count) FILTER (WHERE success) AS avg_rows,
+        MAX(created_at) AS last_executed
+      FROM query_logs
+      ${where}
+    `;
+    const byTypeQuery = `
+      SELECT request_type, COUNT(*) AS total, COUNT(*) FILTER (WHERE success) AS successful
+      FROM query_logs
+      ${where}
+      GROUP BY request_type
+    `;
+    const errorFilter = where ? `${where} AND NOT success` : 'WHERE NOT success';
+    const topErrorsQuery = `
+      SELECT error_message, COUNT(*) AS occurrences
+      FROM query_logs
+      ${errorFilter} AND error_message IS NOT NULL
+      GROUP BY error_message
+      ORDER BY occurrences DESC
+      LIMIT 5
+    `;
+
+    try {
+      await this.initialize();
+      const [totals, byType, topErrors] = await Promise.all([
+        this.dbPool.query(totalsQuery, params),
+        this.dbPool.query(byTypeQuery, params),
+        this.dbPool.query(topErrorsQuery, params)
+      ]);
+
+      const row = totals.rows[0];
+      const total = parseInt(row.total);
+      const successful = parseInt(row.successful);
+
+      return {
+        totalExecutions: total,
+        successful,
+        failed: total - successful,
+        successRate: total > 0 ? successful / total : 0,
+        averageExecutionTime: row.avg_time !== null ? Math.round(parseFloat(row.avg_time)) : 0,
+        p95ExecutionTime: row.p95_time !== null ? Math.round(parseFloat(row.p95_time)) : 0,
+        averageRowCount: row.avg_rows !== null ? Math.round(parseFloat(row.avg_rows)) : 0,
+        lastExecuted: row.last_executed,
+        byType: byType.rows.reduce((acc, typeRow) => {
+          acc[typeRow.request_type] = {
+            total: parseInt(typeRow.total),
+            successful: parseInt(typeRow.successful)
+          };
+          return acc;
+        }, {}),
+        topErrors: topErrors.rows.map(errorRow => ({
+          error: errorRow.error_message,
+          occurrences: parseInt(errorRow.occurrences)
+        }))
+      };
+    } catch (error) {
+      logger.error('Error computing query log stats:', error);
+      throw new Error('Failed to compute query statistics');
+    }
+  }
+
+  /**
+   * Build a parameterized WHERE clause from history filters
+   * @param {Object} filters - Filters
+   * @param {string} filters.type - Request type ('nlq' or 'sql')
+   * @param {boolean} filters.success - Only successful or only failed requests
+   * @param {string} filters.search - Text to find in the question or SQL
+   * @param {string} filters.sql - Exact SQL text
+   * @param {string} filters.sessionId - Conversation session id
+   * @param {string} filters.requestId - Request id
+   * @param {Date|string} filters.from - Earliest created_at (inclusive)
+   * @param {Date|string} filters.to - Latest created_at (exclusive)
+   * @param {Object} filters.owner - Only entries of this { principalId, tenantId }
+   * @returns {Object} { where, params }
+   */
+  buildFilters(filters = {}) {
+    const conditions = [];
+    const params = [];
+    const add = (condition, value) => {
+      params.push(value);
+      conditions.push(condition.replace('?', `$${params.length}`));
+    };
+
+    if (filters.type) add('request_type = ?', filters.type);
+    if (filters.success !== undefined) add('success = ?', filters.success);
+    if (filters.sql) add('generated_sql = ?', filters.sql);
+    if (filters.sessionId) add('session_id = ?', filters.sessionId);
+    if (filters.requestId) add('request_id = ?', filters.requestId);
+    if (filters.from) add('created_at >= ?', filters.from);
+    if (filters.to) add('created_at < ?', filters.to);
+    if (filters.owner) {
+      conditions.push(ownerCondition(params.length + 1));
+      params.push(...ownerParams(filters.owner));
+    }
+    if (filters.search) {
+      params.push(`%${filters.search.replace(/[\\%_]/g, '\\$&')}%`);
+      conditions.push(`(query_text ILIKE $${params.length} OR generated_sql ILIKE $${params.length})`);
+    }
+
+    return {
+      where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  /**
+   * Map a query_logs row to API shape
+   * @param {Object} row - Database row
+   * @returns {Object} Entry
+   */
+  mapEntry(row) {
+    return {
+      id: row.id,
+      requestId: row.request_id,
+      type: row.request_type,
+      sessionId: row.session_id,
+      query: row.query_text,
+      generatedSQL: row.generated_sql,
+      language: row.language,
+      executionTime: row.execution_time,
+      timings: row.stage_timings,
+      rowCount: row.row_count,
+      attemptCount: row.attempt_count,
+      success: row.success,
+      error: row.error_message,
+      clientIp: row.user_ip,
+      userAgent: row.user_agent,
+      datasource: row.datasource || 'default',
+      principalId: row.principal_id,
+      tenantId: row.tenant_id,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = QueryLogRepository;
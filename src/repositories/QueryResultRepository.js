@@ -0,0 +1,265 @@
+/**
+ * Query Result Repository
+ * Stores executed result sets behind a result id so they can be paged
+ * without re-running the LLM. Rows are kept in fetch order with a row
+ * number, which gives every page a stable position
+ * Follows Repository Pattern for data access abstraction
+ */
+
+const logger = require('../utils/logger');
+const { ownerCondition, ownerParams } = require('../utils/ownership');
+
+class QueryResultRepository {
+  constructor(dbPool) {
+    this.dbPool = dbPool;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Create the result tables if they do not exist
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    try {
+      await this.dbPool.query(`
+        CREATE TABLE IF NOT EXISTS query_results (
+          id UUID PRIMARY KEY,
+          request_type VARCHAR(20) NOT NULL,
+          query_text TEXT,
+          sql TEXT NOT NULL,
+          datasource VARCHAR(63) NOT NULL DEFAULT 'default',
+          columns JSONB NOT NULL DEFAULT '[]'::jsonb,
+          row_count INTEGER NOT NULL DEFAULT 0,
+          total_rows INTEGER NOT NULL DEFAULT 0,
+          max_results INTEGER,
+          rows_expire_at TIMESTAMP,
+          principal_id VARCHAR(255),
+          tenant_id VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      // Results stored before named datasources were read from the primary database
+      await this.dbPool.query(`
+        ALTER TABLE query_results ADD COLUMN IF NOT EXISTS datasource VARCHAR(63) NOT NULL DEFAULT 'default';
+      `);
+
+      // Results stored before they had owners belong to no caller
+      await this.dbPool.query(`
+        ALTER TABLE query_results
+          ADD COLUMN IF NOT EXISTS principal_id VARCHAR(255),
+          ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(255);
+      `);
+
+      // Results stored before their row cap was recorded re-run with the default cap
+      await this.dbPool.query(`
+        ALTER TABLE query_results ADD COLUMN IF NOT EXISTS max_results INTEGER;
+      `);
+
+      await this.dbPool.query(`
+        CREATE TABLE IF NOT EXISTS query_result_rows (
+          result_id UUID NOT NULL REFERENCES query_results(id) ON DELETE CASCADE,
+          row_number INTEGER NOT NULL,
+          data JSONB NOT NULL,
+          PRIMARY KEY (result_id, row_number)
+        );
+      `);
+
+      await this.dbPool.query(`
+        CREATE INDEX IF NOT EXISTS query_results_rows_expire_at_idx
+        ON query_results (rows_expire_at);
+      `);
+
+      this.isInitialized = true;
+    } catch (error) {
+      logger.error('Failed to initialize query result tables:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store a result set and its rows
+   * @param {Object} result - { id, type, queryText, sql, datasource, columns, totalRows, maxResults,
+   *   rowsExpireAt, owner } where maxResults is the row cap the rows were fetched with and owner
+   *   is { principalId, tenantId } (see utils/ownership)
+   * @param {Array} rows - Rows in fetch order
+   * @returns {Promise<Object>} Stored result metadata
+   */
+  async create(result, rows) {
+    const client = await this.dbPool.connect();
+
+    try {
+      await this.initialize();
+      await client.query('BEGIN');
+      const inserted = await client.query(`
+        INSERT INTO query_results
+        (id, request_type, query_text, sql, columns, row_count, total_rows, rows_expire_at, datasource, principal_id, tenant_id, max_results)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        RETURNING *
+      `, [
+        result.id,
+        result.type,
+        result.queryText || null,
+        result.sql,
+        JSON.stringify(result.columns || []),
+        rows.length,
+        result.totalRows,
+        result.rowsExpireAt,
+        result.datasource || 'default',
+        ...ownerParams(result.owner),
+        result.maxResults || null
+      ]);
+      await this.insertRows(client, result.id, rows);
+      await client.query('COMMIT');
+      return this.mapResult(inserted.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error storing query result:', error);
+      throw new Error('Failed to store query result');
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Replace the stored rows of a result after it was re-executed
+   * @param {string} id - Result id
+   * @param {Array} rows - Rows in fetch order
+   * @param {number} totalRows - Total row count of the new execution
+   * @param {Date} rowsExpireAt - When the new rows expire
+   * @returns {Promise<Object>} Updated result metadata
+   */
+  async replaceRows(id, rows, totalRows, rowsExpireAt) {
+    const client = await this.dbPool.connect();
+
+    try {
+      await this.initialize();
+      await client.query('BEGIN');
+      await client.query('DELETE FROM query_result_rows WHERE result_id = $1', [id]);
+      await this.insertRows(client, id, rows);
+      const updated = await client.query(`
+        UPDATE query_results
+        SET row_count = $2, total_rows = $3, rows_expire_at = $4
+        WHERE id = $1
+        RETURNING *
+      `, [id, rows.length, totalRows, rowsExpireAt]);
+      await client.query('COMMIT');
+      return this.mapResult(updated.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Error replacing rows of query result ${id}:`, error);
+      throw new Error('Failed to store query result');
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Insert rows numbered from 1, in one statement
+   * @param {Object} client - pg client inside a transaction
+   * @param {string} id - Result id
+   * @param {Array} rows - Rows in fetch order
+   */
+  async insertRows(client, id, rows) {
+    if (rows.length === 0) return;
+
+    await client.query(`
+      INSERT INTO query_result_rows (result_id, row_number, data)
+      SELECT $1, ordinality, value
+      FROM jsonb_array_elements($2::jsonb) WITH ORDINALITY
+    `, [id, JSON.stringify(rows)]);
+  }
+
+  /**
+   * Get result metadata
+   * @param {string} id - Result id
+   * @param {Object} owner - { principalId, tenantId } the result must belong to
+   * @returns {Promise<Object|null>} Result metadata or null if not found (or someone else's)
+   */
+  async findById(id, owner) {
+    const query = `SELECT * FROM query_results WHERE id = $1 AND ${ownerCondition(2)}`;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [id, ...ownerParams(owner)]);
+      return result.rows[0] ? this.mapResult(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error fetching query result:', error);
+      throw new Error('Failed to fetch query result');
+    }
+  }
+
+  /**
+   * Get stored rows after a row number
+   * @param {string} id - Result id
+   * @param {number} afterRow - Last row number already seen (0 for the start)
+   * @param {number} limit - Maximum number of rows
+   * @returns {Promise<Array>} Rows in order
+   */
+  async getRows(id, afterRow, limit) {
+    const query = `
+      SELECT data
+      FROM query_result_rows
+      WHERE result_id = $1 AND row_number > $2
+      ORDER BY row_number
+      LIMIT $3
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [id, afterRow, limit]);
+      return result.rows.map(row => row.data);
+    } catch (error) {
+      logger.error('Error fetching query result rows:', error);
+      throw new Error('Failed to fetch query result rows');
+    }
+  }
+
+  /**
+   * Drop the rows of expired results; their metadata and SQL are kept
+   * @returns {Promise<number>} Number of results whose rows were dropped
+   */
+  async purgeExpiredRows() {
+    try {
+      await this.initialize();
+      await this.dbPool.query(`
+        DELETE FROM query_result_rows
+        WHERE result_id IN (SELECT id FROM query_results WHERE rows_expire_at < CURRENT_TIMESTAMP)
+      `);
+      const result = await this.dbPool.query(`
+        UPDATE query_results SET rows_expire_at = NULL, row_count = 0
+        WHERE rows_expire_at < CURRENT_TIMESTAMP
+      `);
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error purging expired query result rows:', error);
+      throw new Error('Failed to purge query result rows');
+    }
+  }
+
+  /**
+   * Map a query_results row to API shape
+   * @param {Object} row - Database row
+   * @returns {Object} Result metadata
+   */
+  mapResult(row) {
+    return {
+      id: row.id,
+      type: row.request_type,
+      queryText: row.query_text,
+      sql: row.sql,
+      datasource: row.datasource || 'default',
+      columns: row.columns || [],
+      rowCount: row.row_count,
+      totalRows: row.total_rows,
+      maxResults: row.max_results,
+      rowsExpireAt: row.rows_expire_at,
+      principalId: row.principal_id,
+      tenantId: row.tenant_id,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = QueryResultRepository;
@@ -0,0 +1,244 @@
+/**
+ * Saved Query Repository
+ * Handles persistence of saved queries: a question with its pinned SQL,
+ * parameter definitions and chart
+ * Follows Repository Pattern for data access abstraction
+ */
+
+const logger = require('../utils/logger');
+const { ownerCondition, ownerParams } = require('../utils/ownership');
+
+class SavedQueryRepository {
+  constructor(dbPool) {
+    this.dbPool = dbPool;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Create the saved query table if it does not exist
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    try {
+      await this.dbPool.query(`
+        CREATE TABLE IF NOT EXISTS saved_queries (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          description TEXT,
+          question TEXT,
+          sql TEXT NOT NULL,
+          parameters JSONB NOT NULL DEFAULT '[]'::jsonb,
+          chart JSONB,
+          principal_id VARCHAR(255),
+          tenant_id VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      // Saved queries created before they had owners belong to no caller
+      await this.dbPool.query(`
+        ALTER TABLE saved_queries
+          ADD COLUMN IF NOT EXISTS principal_id VARCHAR(255),
+          ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(255);
+      `);
+
+      this.isInitialized = true;
+    } catch (error) {
+      logger.error('Failed to initialize saved query table:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a saved query
+   * @param {Object} savedQuery - { name, description, question, sql, parameters, chart }
+   * @param {Object} owner - { principalId, tenantId } the saved query belongs to (see utils/ownership)
+   * @returns {Promise<Object>} Created saved query
+   */
+  async create(savedQuery, owner) {
+    const query = `
+      INSERT INTO saved_queries (name, description, question, sql, parameters, chart, principal_id, tenant_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [...this.toParams(savedQuery), ...ownerParams(owner)]);
+      return this.mapSavedQuery(result.rows[0]);
+    } catch (error) {
+      logger.error('Error creating saved query:', error);
+      throw new Error('Failed to create saved query');
+    }
+  }
+
+  /**
+   * Update a saved query
+   * @param {number} id - Saved query id
+   * @param {Object} savedQuery - { name, description, question, sql, parameters, chart }
+   * @param {Object} owner - { principalId, tenantId } the saved query must belong to
+   * @returns {Promise<Object|null>} Updated saved query, or null if not found (or someone else's)
+   */
+  async update(id, savedQuery, owner) {
+    const query = `
+      UPDATE saved_queries
+      SET name = $1, description = $2, question = $3, sql = $4, parameters = $5, chart = $6,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $7 AND ${ownerCondition(8)}
+      RETURNING *
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [...this.toParams(savedQuery), id, ...ownerParams(owner)]);
+      return result.rows[0] ? this.mapSavedQuery(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error updating saved query:', error);
+      throw new Error('Failed to update saved query');
+    }
+  }
+
+  /**
+   * Delete a saved query
+   * @param {number} id - Saved query id
+   * @param {Object} owner - { principalId, tenantId } the saved query must belong to
+   * @returns {Promise<Object|null>} Deleted saved query, or null if not found (or someone else's)
+   */
+  async delete(id, owner) {
+    const query = `DELETE FROM saved_queries WHERE id = $1 AND ${ownerCondition(2)} RETURNING *`;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [id, ...ownerParams(owner)]);
+      return result.rows[0] ? this.mapSavedQuery(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error deleting saved query:', error);
+      throw new Error('Failed to delete saved query');
+    }
+  }
+
+  /**
+   * Get a saved query
+   * @param {number} id - Saved query id
+   * @param {Object} owner - { principalId, tenantId } the saved query must belong to
+   * @returns {Promise<Object|null>} Saved query or null if not found (or someone else's)
+   */
+  async findById(id, owner) {
+    const query = `SELECT * FROM saved_queries WHERE id = $1 AND ${ownerCondition(2)}`;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [id, ...ownerParams(owner)]);
+      return result.rows[0] ? this.mapSavedQuery(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error fetching saved query:', error);
+      throw new Error('Failed to fetch saved query');
+    }
+  }
+
+  /**
+   * Get several saved queries
+   * @param {Array<number>} ids - Saved query ids
+   * @param {Object} owner - { principalId, tenantId } the saved queries must belong to
+   * @returns {Promise<Array>} Saved queries of the owner that exist, in no particular order
+   */
+  async findByIds(ids, owner) {
+    const query = `SELECT * FROM saved_queries WHERE id = ANY($1) AND ${ownerCondition(2)}`;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [ids, ...ownerParams(owner)]);
+      return result.rows.map(row => this.mapSavedQuery(row));
+    } catch (error) {
+      logger.error('Error fetching saved queries:', error);
+      throw new Error('Failed to fetch saved queries');
+    }
+  }
+
+  /**
+   * List saved queries, most recently updated first
+   * @param {Object} filters - Filters
+   * @param {string} filters.search - Text to find in name, description or question
+   * @param {Object} filters.owner - Only saved queries of this { principalId, tenantId }
+   * @param {number} limit - Page size
+   * @param {number} offset - Rows to skip
+   * @returns {Promise<Object>} { savedQueries, total }
+   */
+  async list(filters = {}, limit = 50, offset = 0) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.owner) {
+      conditions.push(ownerCondition(params.length + 1));
+      params.push(...ownerParams(filters.owner));
+    }
+    if (filters.search) {
+      params.push(`%${filters.search.replace(/[\\%_]/g, '\\$&')}%`);
+      conditions.push(`(name ILIKE $${params.length} OR description ILIKE $${params.length} OR question ILIKE $${params.length})`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    try {
+      await this.initialize();
+      const [rows, count] = await Promise.all([
+        this.dbPool.query(`
+          SELECT * FROM saved_queries
+          ${where}
+          ORDER BY updated_at DESC, id DESC
+          LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `, [...params, limit, offset]),
+        this.dbPool.query(`SELECT COUNT(*) AS total FROM saved_queries ${where}`, params)
+      ]);
+
+      return {
+        savedQueries: rows.rows.map(row => this.mapSavedQuery(row)),
+        total: parseInt(count.rows[0].total)
+      };
+    } catch (error) {
+      logger.error('Error listing saved queries:', error);
+      throw new Error('Failed to list saved queries');
+    }
+  }
+
+  /**
+   * Query parameters of an insert or update
+   * @param {Object} savedQuery - Saved query data
+   * @returns {Array} Values for name..chart
+   */
+  toParams(savedQuery) {
+    return [
+      savedQuery.name,
+      savedQuery.description || null,
+      savedQuery.question || null,
+      savedQuery.sql,
+      JSON.stringify(savedQuery.parameters || []),
+      savedQuery.chart ? JSON.stringify(savedQuery.chart) : null
+    ];
+  }
+
+  /**
+   * Map a saved_queries row to API shape
+   * @param {Object} row - Database row
+   * @returns {Object} Saved query
+   */
+  mapSavedQuery(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      description: row.description,
+      question: row.question,
+      sql: row.sql,
+      parameters: row.parameters || [],
+      chart: row.chart,
+      principalId: row.principal_id,
+      tenantId: row.tenant_id,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = SavedQueryRepository;
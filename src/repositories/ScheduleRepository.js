@@ -0,0 +1,495 @@
+/**
+ * Schedule Repository
+ * Handles persistence of scheduled queries and their run history
+ * Follows Repository Pattern for data access abstraction
+ */
+
+const logger = require('../utils/logger');
+const { ownerCondition, ownerParams } = require('../utils/ownership');
+
+class ScheduleRepository {
+  constructor(dbPool) {
+    this.dbPool = dbPool;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Create the schedule tables if they do not exist
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    try {
+      await this.dbPool.query(`
+        CREATE TABLE IF NOT EXISTS query_schedules (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          description TEXT,
+          saved_query_id INTEGER,
+          question TEXT,
+          sql TEXT,
+          parameters JSONB NOT NULL DEFAULT '{}'::jsonb,
+          cron VARCHAR(100) NOT NULL,
+          timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+          condition JSONB NOT NULL,
+          notify VARCHAR(10) NOT NULL DEFAULT 'change',
+          webhook_target_ids INTEGER[] NOT NULL DEFAULT '{}',
+          run_as JSONB,
+          enabled BOOLEAN NOT NULL DEFAULT TRUE,
+          next_run_at TIMESTAMPTZ,
+          last_run_at TIMESTAMPTZ,
+          last_value DOUBLE PRECISION,
+          last_triggered BOOLEAN NOT NULL DEFAULT FALSE,
+          principal_id VARCHAR(255),
+          tenant_id VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      // Schedules created before they had owners belong to no caller
+      await this.dbPool.query(`
+        ALTER TABLE query_schedules
+          ADD COLUMN IF NOT EXISTS principal_id VARCHAR(255),
+          ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(255);
+      `);
+
+      await this.dbPool.query(`
+        CREATE TABLE IF NOT EXISTS schedule_runs (
+          id SERIAL PRIMARY KEY,
+          schedule_id INTEGER NOT NULL REFERENCES query_schedules(id) ON DELETE CASCADE,
+          trigger VARCHAR(10) NOT NULL,
+          status VARCHAR(10) NOT NULL,
+          value DOUBLE PRECISION,
+          previous_value DOUBLE PRECISION,
+          triggered BOOLEAN NOT NULL DEFAULT FALSE,
+          alerted BOOLEAN NOT NULL DEFAULT FALSE,
+          row_count INTEGER,
+          error TEXT,
+          deliveries JSONB NOT NULL DEFAULT '[]'::jsonb,
+          started_at TIMESTAMPTZ NOT NULL,
+          finished_at TIMESTAMPTZ NOT NULL
+        );
+      `);
+
+      await this.dbPool.query(`
+        CREATE INDEX IF NOT EXISTS query_schedules_due_idx
+        ON query_schedules (next_run_at) WHERE enabled;
+      `);
+      await this.dbPool.query(`
+        CREATE INDEX IF NOT EXISTS schedule_runs_schedule_idx
+        ON schedule_runs (schedule_id, started_at DESC);
+      `);
+
+      this.isInitialized = true;
+    } catch (error) {
+      logger.error('Failed to initialize schedule tables:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a schedule
+   * @param {Object} schedule - Schedule data with nextRunAt
+   * @param {Object} owner - { principalId, tenantId } the schedule belongs to (see utils/ownership)
+   * @returns {Promise<Object>} Created schedule
+   */
+  async create(schedule, owner) {
+    const query = `
+      INSERT INTO query_schedules (
+        name, description, saved_query_id, question, sql, parameters, cron, timezone,
+        condition, notify, webhook_target_ids, enabled, next_run_at, run_as, principal_id, tenant_id
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+      RETURNING *
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [...this.toParams(schedule), ...ownerParams(owner)]);
+      return this.mapSchedule(result.rows[0]);
+    } catch (error) {
+      logger.error('Error creating schedule:', error);
+      throw new Error('Failed to create schedule');
+    }
+  }
+
+  /**
+   * Replace a schedule
+   * The last value and alert state are cleared, since they may describe a different query or condition
+   * @param {number} id - Schedule id
+   * @param {Object} schedule - Schedule data with nextRunAt
+   * @param {Object} owner - { principalId, tenantId } the schedule must belong to
+   * @returns {Promise<Object|null>} Updated schedule, or null if not found (or someone else's)
+   */
+  async update(id, schedule, owner) {
+    const query = `
+      UPDATE query_schedules
+      SET name = $1, description = $2, saved_query_id = $3, question = $4, sql = $5, parameters = $6,
+          cron = $7, timezone = $8, condition = $9, notify = $10, webhook_target_ids = $11,
+          enabled = $12, next_run_at = $13, run_as = $14, last_value = NULL, last_triggered = FALSE,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $15 AND ${ownerCondition(16)}
+      RETURNING *
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [...this.toParams(schedule), id, ...ownerParams(owner)]);
+      return result.rows[0] ? this.mapSchedule(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error updating schedule:', error);
+      throw new Error('Failed to update schedule');
+    }
+  }
+
+  /**
+   * Stop a schedule from running, e.g. once its owner can no longer authenticate
+   * @param {number} id - Schedule id
+   * @returns {Promise<Object|null>} Disabled schedule, or null if not found
+   */
+  async disable(id) {
+    const query = `
+      UPDATE query_schedules
+      SET enabled = FALSE, next_run_at = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [id]);
+      return result.rows[0] ? this.mapSchedule(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error disabling schedule:', error);
+      throw new Error('Failed to disable schedule');
+    }
+  }
+
+  /**
+   * Delete a schedule and its run history
+   * @param {number} id - Schedule id
+   * @param {Object} owner - { principalId, tenantId } the schedule must belong to
+   * @returns {Promise<Object|null>} Deleted schedule, or null if not found (or someone else's)
+   */
+  async delete(id, owner) {
+    const query = `DELETE FROM query_schedules WHERE id = $1 AND ${ownerCondition(2)} RETURNING *`;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [id, ...ownerParams(owner)]);
+      return result.rows[0] ? this.mapSchedule(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error deleting schedule:', error);
+      throw new Error('Failed to delete schedule');
+    }
+  }
+
+  /**
+   * Get a schedule
+   * @param {number} id - Schedule id
+   * @param {Object} owner - { principalId, tenantId } the schedule must belong to
+   * @returns {Promise<Object|null>} Schedule or null if not found (or someone else's)
+   */
+  async findById(id, owner) {
+    const query = `SELECT * FROM query_schedules WHERE id = $1 AND ${ownerCondition(2)}`;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [id, ...ownerParams(owner)]);
+      return result.rows[0] ? this.mapSchedule(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error fetching schedule:', error);
+      throw new Error('Failed to fetch schedule');
+    }
+  }
+
+  /**
+   * List schedules by name
+   * @param {Object} filters - Filters
+   * @param {boolean} filters.enabled - Only enabled (true) or disabled (false) schedules
+   * @param {Object} filters.owner - Only schedules of this { principalId, tenantId }
+   * @param {number} limit - Page size
+   * @param {number} offset - Rows to skip
+   * @returns {Promise<Object>} { schedules, total }
+   */
+  async list(filters = {}, limit = 50, offset = 0) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.owner) {
+      conditions.push(ownerCondition(params.length + 1));
+      params.push(...ownerParams(filters.owner));
+    }
+    if (filters.enabled !== undefined) {
+      params.push(filters.enabled);
+      conditions.push(`enabled = $${params.length}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    try {
+      await this.initialize();
+      const [rows, count] = await Promise.all([
+        this.dbPool.query(`
+          SELECT * FROM query_schedules
+          ${where}
+          ORDER BY name, id
+          LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `, [...params, limit, offset]),
+        this.dbPool.query(`SELECT COUNT(*) AS total FROM query_schedules ${where}`, params)
+      ]);
+
+      return {
+        schedules: rows.rows.map(row => this.mapSchedule(row)),
+        total: parseInt(count.rows[0].total)
+      };
+    } catch (error) {
+      logger.error('Error listing schedules:', error);
+      throw new Error('Failed to list schedules');
+    }
+  }
+
+  /**
+   * Schedules running a saved query
+   * @param {number} savedQueryId - Saved query id
+   * @returns {Promise<Array>} { id, name }
+   */
+  async findBySavedQuery(savedQueryId) {
+    const query = 'SELECT id, name FROM query_schedules WHERE saved_query_id = $1 ORDER BY id';
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [savedQueryId]);
+      return result.rows.map(row => ({ id: row.id, name: row.name }));
+    } catch (error) {
+      logger.error('Error fetching schedules of saved query:', error);
+      throw new Error('Failed to fetch schedules of saved query');
+    }
+  }
+
+  /**
+   * Schedules alerting a webhook target
+   * @param {number} targetId - Webhook target id
+   * @returns {Promise<Array>} { id, name }
+   */
+  async findByWebhookTarget(targetId) {
+    const query = 'SELECT id, name FROM query_schedules WHERE $1 = ANY(webhook_target_ids) ORDER BY id';
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [targetId]);
+      return result.rows.map(row => ({ id: row.id, name: row.name }));
+    } catch (error) {
+      logger.error('Error fetching schedules of webhook target:', error);
+      throw new Error('Failed to fetch schedules of webhook target');
+    }
+  }
+
+  /**
+   * Claim enabled schedules that are due and move them to their next run time
+   * Rows locked by another instance are skipped, so each due run is claimed once
+   * @param {number} limit - Schedules to claim
+   * @param {Function} getNextRunAt - (schedule) => Date of the run after this one
+   * @returns {Promise<Array>} Claimed schedules, as they were before moving
+   */
+  async claimDue(limit, getNextRunAt) {
+    await this.initialize();
+    const client = await this.dbPool.connect();
+
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(`
+        SELECT * FROM query_schedules
+        WHERE enabled AND next_run_at <= NOW()
+        ORDER BY next_run_at
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      `, [limit]);
+
+      const schedules = result.rows.map(row => this.mapSchedule(row));
+      for (const schedule of schedules) {
+        await client.query(
+          'UPDATE query_schedules SET next_run_at = $1 WHERE id = $2',
+          [getNextRunAt(schedule), schedule.id]
+        );
+      }
+
+      await client.query('COMMIT');
+      return schedules;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error claiming due schedules:', error);
+      throw new Error('Failed to claim due schedules');
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Store a run and update the schedule's last value and alert state
+   * A failed run keeps the last value, so the next delta compares with the last good one
+   * @param {number} scheduleId - Schedule id
+   * @param {Object} run - { trigger, status, value, previousValue, triggered, alerted, rowCount, error, deliveries, startedAt, finishedAt }
+   * @returns {Promise<Object>} Stored run
+   */
+  async recordRun(scheduleId, run) {
+    await this.initialize();
+    const client = await this.dbPool.connect();
+
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(`
+        INSERT INTO schedule_runs (
+          schedule_id, trigger, status, value, previous_value, triggered, alerted,
+          row_count, error, deliveries, started_at, finished_at
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        RETURNING *
+      `, [
+        scheduleId,
+        run.trigger,
+        run.status,
+        run.value,
+        run.previousValue,
+        run.triggered,
+        run.alerted,
+        run.rowCount,
+        run.error || null,
+        JSON.stringify(run.deliveries || []),
+        run.startedAt,
+        run.finishedAt
+      ]);
+
+      if (run.status === 'success') {
+        await client.query(`
+          UPDATE query_schedules
+          SET last_run_at = $1, last_value = $2, last_triggered = $3
+          WHERE id = $4
+        `, [run.startedAt, run.value, run.triggered, scheduleId]);
+      } else {
+        await client.query('UPDATE query_schedules SET last_run_at = $1 WHERE id = $2', [run.startedAt, scheduleId]);
+      }
+
+      await client.query('COMMIT');
+      return this.mapRun(result.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error recording schedule run:', error);
+      throw new Error('Failed to record schedule run');
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Page a schedule's run history, newest first
+   * @param {number} scheduleId - Schedule id
+   * @param {number} limit - Page size
+   * @param {number} offset - Rows to skip
+   * @returns {Promise<Object>} { runs, total }
+   */
+  async listRuns(scheduleId, limit = 50, offset = 0) {
+    try {
+      await this.initialize();
+      const [rows, count] = await Promise.all([
+        this.dbPool.query(`
+          SELECT * FROM schedule_runs
+          WHERE schedule_id = $1
+          ORDER BY started_at DESC, id DESC
+          LIMIT $2 OFFSET $3
+        `, [scheduleId, limit, offset]),
+        this.dbPool.query('SELECT COUNT(*) AS total FROM schedule_runs WHERE schedule_id = $1', [scheduleId])
+      ]);
+
+      return {
+        runs: rows.rows.map(row => this.mapRun(row)),
+        total: parseInt(count.rows[0].total)
+      };
+    } catch (error) {
+      logger.error('Error listing schedule runs:', error);
+      throw new Error('Failed to list schedule runs');
+    }
+  }
+
+  /**
+   * Query parameters of an insert or update
+   * @param {Object} schedule - Schedule data
+   * @returns {Array} Values for name..run_as
+   */
+  toParams(schedule) {
+    return [
+      schedule.name,
+      schedule.description || null,
+      schedule.savedQueryId || null,
+      schedule.question || null,
+      schedule.sql || null,
+      JSON.stringify(schedule.parameters || {}),
+      schedule.cron,
+      schedule.timezone,
+      JSON.stringify(schedule.condition),
+      schedule.notify || 'change',
+      schedule.webhookTargetIds || [],
+      schedule.enabled !== false,
+      schedule.nextRunAt,
+      schedule.runAs ? JSON.stringify(schedule.runAs) : null
+    ];
+  }
+
+  /**
+   * Map a query_schedules row to API shape
+   * @param {Object} row - Database row
+   * @returns {Object} Schedule
+   */
+  mapSchedule(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      description: row.description,
+      savedQueryId: row.saved_query_id,
+      question: row.question,
+      sql: row.sql,
+      parameters: row.parameters || {},
+      cron: row.cron,
+      timezone: row.timezone,
+      condition: row.condition,
+      notify: row.notify,
+      webhookTargetIds: row.webhook_target_ids || [],
+      runAs: row.run_as,
+      enabled: row.enabled,
+      nextRunAt: row.next_run_at,
+      lastRunAt: row.last_run_at,
+      lastValue: row.last_value,
+      lastTriggered: row.last_triggered,
+      principalId: row.principal_id,
+      tenantId: row.tenant_id,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Map a schedule_runs row to API shape
+   * @param {Object} row - Database row
+   * @returns {Object} Run
+   */
+  mapRun(row) {
+    return {
+      id: row.id,
+      scheduleId: row.schedule_id,
+      trigger: row.trigger,
+      status: row.status,
+      value: row.value,
+      previousValue: row.previous_value,
+      triggered: row.triggered,
+      alerted: row.alerted,
+      rowCount: row.row_count,
+      error: row.error,
+      deliveries: row.deliveries || [],
+      startedAt: row.started_at,
+      finishedAt: row.finished_at
+    };
+  }
+}
+
+module.exports = ScheduleRepository;
@@ -0,0 +1,367 @@
+/**
+ * Schema Index Repository
+ * Stores searchable schema elements (tables and columns) in the vector DB
+ * and runs the vector and keyword searches used for hybrid retrieval.
+ * Every datasource has its own index; a repository reads and writes one
+ */
+
+const logger = require('../utils/logger');
+
+class SchemaIndexRepository {
+  /**
+   * @param {Pool} dbPool - Vector database pool
+   * @param {string} datasource - Source key of the indexed database ('default' for the primary one)
+   */
+  constructor(dbPool, datasource = 'default') {
+    this.dbPool = dbPool;
+    this.datasource = datasource;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Create schema_elements, recreating it when the embedding size changed
+   * or it predates per-datasource indexes
+   * @param {number} dimensions - Embedding dimensions of the active provider
+   */
+  async initialize(dimensions) {
+    if (this.isInitialized) return;
+
+    try {
+      await this.dbPool.query('CREATE EXTENSION IF NOT EXISTS vector;');
+      await this.dbPool.query('CREATE EXTENSION IF NOT EXISTS pg_trgm;');
+
+      // The index is derived data, so a provider switch simply rebuilds it
+      const existing = await this.dbPool.query(`
+        SELECT format_type(atttypid, atttypmod) AS embedding_type,
+               EXISTS (
+                 SELECT 1 FROM pg_attribute
+                 WHERE attrelid = to_regclass('schema_elements') AND attname = 'datasource'
+               ) AS has_datasource
+        FROM pg_attribute
+        WHERE attrelid = to_regclass('schema_elements') AND attname = 'embedding'
+      `);
+      const current = existing.rows[0];
+      if (current && (current.embedding_type !== `vector(${dimensions})` || !current.has_datasource)) {
+        logger.warn(`schema_elements uses ${current.embedding_type}${current.has_datasource ? '' : ' without datasources'}, rebuilding for vector(${dimensions})`);
+        await this.dbPool.query('DROP TABLE schema_elements;');
+        await this.dbPool.query('DROP TABLE IF EXISTS schema_index_state;');
+      }
+
+      await this.dbPool.query(`
+        CREATE TABLE IF NOT EXISTS schema_elements (
+          id SERIAL PRIMARY KEY,
+          datasource VARCHAR(63) NOT NULL DEFAULT 'default',
+          element_type VARCHAR(10) NOT NULL,
+          table_name VARCHAR(255) NOT NULL,
+          column_name VARCHAR(255),
+          data_type VARCHAR(255),
+          description TEXT,
+          sample_values TEXT[],
+          foreign_table VARCHAR(255),
+          foreign_column VARCHAR(255),
+          search_text TEXT NOT NULL,
+          search_tsv tsvector GENERATED ALWAYS AS (to_tsvector('english', search_text)) STORED,
+          embedding vector(${dimensions}),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      await this.dbPool.query(`
+        CREATE UNIQUE INDEX IF NOT EXISTS schema_elements_element_idx
+        ON schema_elements (datasource, table_name, COALESCE(column_name, ''));
+      `);
+      await this.dbPool.query(`
+        CREATE INDEX IF NOT EXISTS schema_elements_search_tsv_idx
+        ON schema_elements USING gin (search_tsv);
+      `);
+      // No ANN index on embedding: a schema has at most a few thousand elements,
+      // where an exact scan is fast and an under-filled ivfflat index loses recall
+
+      // One row per indexed table: what was embedded, and whether it worked
+      await this.dbPool.query(`
+        CREATE TABLE IF NOT EXISTS schema_index_state (
+          datasource VARCHAR(63) NOT NULL DEFAULT 'default',
+          table_name VARCHAR(255) NOT NULL,
+          fingerprint VARCHAR(64),
+          status VARCHAR(20) NOT NULL,
+          element_count INTEGER DEFAULT 0,
+          last_error TEXT,
+          indexed_at TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (datasource, table_name)
+        );
+      `);
+
+      this.isInitialized = true;
+    } catch (error) {
+      logger.error('Failed to initialize schema index:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the indexing state of every table
+   * @returns {Promise<Array>} { tableName, fingerprint, status, elementCount, lastError, indexedAt, updatedAt }
+   */
+  async getIndexState() {
+    try {
+      const result = await this.dbPool.query('SELECT * FROM schema_index_state WHERE datasource = $1 ORDER BY table_name', [this.datasource]);
+      return result.rows.map(row => ({
+        tableName: row.table_name,
+        fingerprint: row.fingerprint,
+        status: row.status,
+        elementCount: row.element_count,
+        lastError: row.last_error,
+        indexedAt: row.indexed_at,
+        updatedAt: row.updated_at
+      }));
+    } catch (error) {
+      logger.error('Error fetching schema index state:', error);
+      throw new Error('Failed to fetch schema index state');
+    }
+  }
+
+  /**
+   * Replace the elements of one table and record its fingerprint, atomically
+   * A failure leaves the table's previous elements and state untouched
+   * @param {string} tableName - Table name
+   * @param {Array} elements - Elements of the table, with embeddings
+   * @param {string} fingerprint - Fingerprint of what was embedded
+   */
+  async replaceTableElements(tableName, elements, fingerprint) {
+    const client = await this.dbPool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM schema_elements WHERE datasource = $1 AND table_name = $2', [this.datasource, tableName]);
+      for (const element of elements) {
+        await client.query(`
+          INSERT INTO schema_elements
+          (element_type, table_name, column_name, data_type, description, sample_values,
+           foreign_table, foreign_column, search_text, embedding, datasource)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        `, [
+          element.elementType,
+          element.tableName,
+          element.columnName || null,
+          element.dataType || null,
+          element.description || null,
+          element.sampleValues && element.sampleValues.length > 0 ? element.sampleValues : null,
+          element.foreignTable || null,
+          element.foreignColumn || null,
+          element.searchText,
+          `[${element.embedding.join(',')}]`,
+          this.datasource
+        ]);
+      }
+      await client.query(`
+        INSERT INTO schema_index_state (datasource, table_name, fingerprint, status, element_count, last_error, indexed_at, updated_at)
+        VALUES ($4, $1, $2, 'indexed', $3, NULL, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        ON CONFLICT (datasource, table_name) DO UPDATE SET
+          fingerprint = EXCLUDED.fingerprint,
+          status = EXCLUDED.status,
+          element_count = EXCLUDED.element_count,
+          last_error = NULL,
+          indexed_at = EXCLUDED.indexed_at,
+          updated_at = EXCLUDED.updated_at
+      `, [tableName, fingerprint, elements.length, this.datasource]);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Error storing schema elements of ${tableName}:`, error);
+      throw new Error(`Failed to store schema index for ${tableName}`);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Record that indexing a table failed; its previous elements stay searchable
+   * @param {string} tableName - Table name
+   * @param {string} errorMessage - Failure reason
+   */
+  async markTableFailed(tableName, errorMessage) {
+    const query = `
+      INSERT INTO schema_index_state (datasource, table_name, status, last_error, updated_at)
+      VALUES ($3, $1, 'failed', $2, CURRENT_TIMESTAMP)
+      ON CONFLICT (datasource, table_name) DO UPDATE SET
+        status = 'failed',
+        last_error = EXCLUDED.last_error,
+        updated_at = EXCLUDED.updated_at
+    `;
+
+    try {
+      await this.dbPool.query(query, [tableName, errorMessage, this.datasource]);
+    } catch (error) {
+      logger.error(`Error recording schema index failure for ${tableName}:`, error);
+      throw new Error('Failed to record schema index failure');
+    }
+  }
+
+  /**
+   * Remove tables that no longer exist from the index
+   * @param {Array<string>} tableNames - Table names
+   */
+  async removeTables(tableNames) {
+    try {
+      await this.dbPool.query('DELETE FROM schema_elements WHERE datasource = $1 AND table_name = ANY($2)', [this.datasource, tableNames]);
+      await this.dbPool.query('DELETE FROM schema_index_state WHERE datasource = $1 AND table_name = ANY($2)', [this.datasource, tableNames]);
+    } catch (error) {
+      logger.error('Error removing tables from schema index:', error);
+      throw new Error('Failed to remove tables from schema index');
+    }
+  }
+
+  /**
+   * Drop the whole index of a datasource (when it is deleted)
+   * @param {string} datasource - Source key
+   */
+  async removeDatasource(datasource) {
+    try {
+      await this.dbPool.query('DELETE FROM schema_elements WHERE datasource = $1', [datasource]);
+      await this.dbPool.query('DELETE FROM schema_index_state WHERE datasource = $1', [datasource]);
+    } catch (error) {
+      logger.error(`Error removing the schema index of ${datasource}:`, error);
+      throw new Error('Failed to remove datasource from schema index');
+    }
+  }
+
+  /**
+   * Nearest elements by cosine similarity
+   * @param {Array<number>} embedding - Query embedding
+   * @param {number} limit - Maximum number of elements
+   * @returns {Promise<Array>} Elements with similarity, best first
+   */
+  async vectorSearch(embedding, limit = 30) {
+    const query = `
+      SELECT id, element_type, table_name, column_name, data_type, description, sample_values,
+             foreign_table, foreign_column, 1 - (embedding <=> $1) AS similarity
+      FROM schema_elements
+      WHERE datasource = $3
+      ORDER BY embedding <=> $1
+      LIMIT $2
+    `;
+
+    try {
+      const result = await this.dbPool.query(query, [`[${embedding.join(',')}]`, limit, this.datasource]);
+      return result.rows.map(row => ({ ...this.mapElement(row), similarity: parseFloat(row.similarity) }));
+    } catch (error) {
+      logger.error('Error in schema vector search:', error);
+      throw new Error('Failed to search schema index');
+    }
+  }
+
+  /**
+   * Elements matching the question's words, by full-text rank and trigram similarity
+   * Trigrams catch names written differently in the question ("loan amount" vs loan_amount)
+   * @param {string} text - Question text
+   * @param {Array<string>} terms - Normalized question words
+   * @param {number} limit - Maximum number of elements
+   * @returns {Promise<Array>} Elements with keyword score, best first
+   */
+  async keywordSearch(text, terms, limit = 30) {
+    if (terms.length === 0) {
+      return [];
+    }
+
+    const query = `
+      WITH q AS (SELECT to_tsquery('english', $1) AS tsq)
+      SELECT id, element_type, table_name, column_name, data_type, description, sample_values,
+             foreign_table, foreign_column,
+             ts_rank(search_tsv, q.tsq) AS text_rank,
+             word_similarity(replace(COALESCE(column_name, table_name), '_', ' '), $2) AS name_similarity
+      FROM schema_elements, q
+      WHERE datasource = $4
+        AND (search_tsv @@ q.tsq
+          OR word_similarity(replace(COALESCE(column_name, table_name), '_', ' '), $2) >= 0.6)
+      ORDER BY ts_rank(search_tsv, q.tsq)
+             + word_similarity(replace(COALESCE(column_name, table_name), '_', ' '), $2) DESC
+      LIMIT $3
+    `;
+
+    try {
+      const result = await this.dbPool.query(query, [terms.join(' | '), text, limit, this.datasource]);
+      return result.rows.map(row => ({
+        ...this.mapElement(row),
+        textRank: parseFloat(row.text_rank),
+        nameSimilarity: parseFloat(row.name_similarity)
+      }));
+    } catch (error) {
+      logger.error('Error in schema keyword search:', error);
+      throw new Error('Failed to search schema index');
+    }
+  }
+
+  /**
+   * Foreign keys touching the given tables, in either direction
+   * @param {Array<string>} tableNames - Table names
+   * @returns {Promise<Array>} { tableName, columnName, foreignTable, foreignColumn }
+   */
+  async getForeignKeys(tableNames) {
+    const query = `
+      SELECT table_name, column_name, foreign_table, foreign_column
+      FROM schema_elements
+      WHERE datasource = $2
+        AND element_type = 'column'
+        AND foreign_table IS NOT NULL
+        AND (table_name = ANY($1) OR foreign_table = ANY($1))
+    `;
+
+    try {
+      const result = await this.dbPool.query(query, [tableNames, this.datasource]);
+      return result.rows.map(row => ({
+        tableName: row.table_name,
+        columnName: row.column_name,
+        foreignTable: row.foreign_table,
+        foreignColumn: row.foreign_column
+      }));
+    } catch (error) {
+      logger.error('Error fetching foreign keys from schema index:', error);
+      throw new Error('Failed to fetch foreign keys');
+    }
+  }
+
+  /**
+   * Table-level elements by name
+   * @param {Array<string>} tableNames - Table names
+   * @returns {Promise<Array>} Table elements
+   */
+  async getTables(tableNames) {
+    const query = `
+      SELECT id, element_type, table_name, column_name, data_type, description, sample_values,
+             foreign_table, foreign_column
+      FROM schema_elements
+      WHERE datasource = $2 AND element_type = 'table' AND table_name = ANY($1)
+    `;
+
+    try {
+      const result = await this.dbPool.query(query, [tableNames, this.datasource]);
+      return result.rows.map(row => this.mapElement(row));
+    } catch (error) {
+      logger.error('Error fetching tables from schema index:', error);
+      throw new Error('Failed to fetch indexed tables');
+    }
+  }
+
+  /**
+   * Map a schema_elements row
+   * @param {Object} row - Database row
+   * @returns {Object} Element
+   */
+  mapElement(row) {
+    return {
+      id: row.id,
+      elementType: row.element_type,
+      tableName: row.table_name,
+      columnName: row.column_name,
+      dataType: row.data_type,
+      description: row.description,
+      sampleValues: row.sample_values || [],
+      foreignTable: row.foreign_table,
+      foreignColumn: row.foreign_column
+    };
+  }
+}
+
+module.exports = SchemaIndexRepository;
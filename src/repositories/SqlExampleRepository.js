@@ -0,0 +1,299 @@
+/**
+ * SQL Example Repository
+ * Handles persistence of curated question→SQL pairs and the embeddings
+ * used to find the examples closest to a question
+ * Follows Repository Pattern for data access abstraction
+ */
+
+const logger = require('../utils/logger');
+const { tenantCondition, sharedCondition } = require('../utils/ownership');
+
+class SqlExampleRepository {
+  /**
+   * @param {Object} dbPool - Database pool
+   * @param {Array} seedExamples - Examples stored when the table is created
+   */
+  constructor(dbPool, seedExamples = []) {
+    this.dbPool = dbPool;
+    this.seedExamples = seedExamples;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Create the sql_examples table if it does not exist, with the seed examples
+   * The embedding column has no fixed size: examples are curated, so a
+   * provider switch re-embeds them rather than dropping the table
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    try {
+      await this.dbPool.query('CREATE EXTENSION IF NOT EXISTS vector;');
+      const existing = await this.dbPool.query("SELECT to_regclass('sql_examples') IS NOT NULL AS present");
+      await this.dbPool.query(`
+        CREATE TABLE IF NOT EXISTS sql_examples (
+          id SERIAL PRIMARY KEY,
+          question TEXT NOT NULL,
+          sql TEXT NOT NULL,
+          description TEXT,
+          tables TEXT[] NOT NULL DEFAULT '{}',
+          source VARCHAR(20) NOT NULL DEFAULT 'custom',
+          embedding vector,
+          embedding_model VARCHAR(255),
+          created_by VARCHAR(255),
+          tenant_id VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      // Seeds, and examples created before they had a tenant, apply to every tenant
+      await this.dbPool.query('ALTER TABLE sql_examples ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(255);');
+
+      // Seeds go in once: examples an admin deleted do not come back
+      if (!existing.rows[0].present) {
+        for (const example of this.seedExamples) {
+          await this.dbPool.query(
+            "INSERT INTO sql_examples (question, sql, description, tables, source) VALUES ($1, $2, $3, $4, 'seed')",
+            [example.question, example.sql, example.description || null, example.tables]
+          );
+        }
+        logger.info(`Created sql_examples table with ${this.seedExamples.length} seed examples`);
+      }
+
+      this.isInitialized = true;
+    } catch (error) {
+      logger.error('Failed to initialize sql_examples table:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create an example
+   * The question is embedded separately (see updateEmbedding)
+   * @param {Object} example - { question, sql, description, tables, source, createdBy, tenantId }
+   * @returns {Promise<Object>} Created example
+   */
+  async create(example) {
+    const query = `
+      INSERT INTO sql_examples (question, sql, description, tables, source, created_by, tenant_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [
+        example.question,
+        example.sql,
+        example.description || null,
+        example.tables || [],
+        example.source || 'custom',
+        example.createdBy || null,
+        example.tenantId || null
+      ]);
+      return this.mapExample(result.rows[0]);
+    } catch (error) {
+      logger.error('Error creating SQL example:', error);
+      throw new Error('Failed to create SQL example');
+    }
+  }
+
+  /**
+   * Replace an example; its question is embedded again
+   * @param {number} id - Example id
+   * @param {Object} example - { question, sql, description, tables }
+   * @param {string|null} tenantId - Tenant the example must belong to
+   * @returns {Promise<Object|null>} Updated example, or null if not found (or of another tenant)
+   */
+  async update(id, example, tenantId) {
+    const query = `
+      UPDATE sql_examples
+      SET question = $1, sql = $2, description = $3, tables = $4, embedding = NULL, embedding_model = NULL,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $5 AND ${tenantCondition(6)}
+      RETURNING *
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [
+        example.question,
+        example.sql,
+        example.description || null,
+        example.tables || [],
+        id,
+        tenantId
+      ]);
+      return result.rows[0] ? this.mapExample(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error updating SQL example:', error);
+      throw new Error('Failed to update SQL example');
+    }
+  }
+
+  /**
+   * Store the embedding of an example's question
+   * @param {number} id - Example id
+   * @param {Array<number>} embedding - Question embedding
+   * @param {string} embeddingModel - Provider and model that produced it
+   */
+  async updateEmbedding(id, embedding, embeddingModel) {
+    try {
+      await this.initialize();
+      await this.dbPool.query(
+        'UPDATE sql_examples SET embedding = $1, embedding_model = $2 WHERE id = $3',
+        [`[${embedding.join(',')}]`, embeddingModel, id]
+      );
+    } catch (error) {
+      logger.error('Error storing SQL example embedding:', error);
+      throw new Error('Failed to store SQL example embedding');
+    }
+  }
+
+  /**
+   * Delete an example
+   * @param {number} id - Example id
+   * @param {string|null} tenantId - Tenant the example must belong to
+   * @returns {Promise<Object|null>} Deleted example, or null if not found (or of another tenant)
+   */
+  async delete(id, tenantId) {
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(`DELETE FROM sql_examples WHERE id = $1 AND ${tenantCondition(2)} RETURNING *`, [id, tenantId]);
+      return result.rows[0] ? this.mapExample(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error deleting SQL example:', error);
+      throw new Error('Failed to delete SQL example');
+    }
+  }
+
+  /**
+   * Get an example
+   * @param {number} id - Example id
+   * @param {string|null} tenantId - Tenant reading the example; examples of other tenants are not found
+   * @returns {Promise<Object|null>} Example or null if not found
+   */
+  async findById(id, tenantId) {
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(`SELECT * FROM sql_examples WHERE id = $1 AND ${sharedCondition(2)}`, [id, tenantId]);
+      return result.rows[0] ? this.mapExample(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error fetching SQL example:', error);
+      throw new Error('Failed to fetch SQL example');
+    }
+  }
+
+  /**
+   * List examples
+   * @param {Object} filters - Filters
+   * @param {string|null} filters.tenantId - Tenant reading the examples; examples without a tenant are
+   *   always included, so null reads those alone
+   * @param {string} filters.table - Only examples reading this table
+   * @param {string} filters.search - Text to find in question, SQL or description
+   * @returns {Promise<Array>} Examples, oldest first
+   */
+  async list(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.tenantId !== undefined) {
+      params.push(filters.tenantId);
+      conditions.push(sharedCondition(params.length));
+    }
+    if (filters.table) {
+      params.push(filters.table.toLowerCase());
+      conditions.push(`$${params.length} = ANY(tables)`);
+    }
+    if (filters.search) {
+      params.push(`%${filters.search.replace(/[\\%_]/g, '\\$&')}%`);
+      conditions.push(`(question ILIKE $${params.length} OR sql ILIKE $${params.length} OR description ILIKE $${params.length})`);
+    }
+
+    const query = `
+      SELECT *
+      FROM sql_examples
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY id
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, params);
+      return result.rows.map(row => this.mapExample(row));
+    } catch (error) {
+      logger.error('Error listing SQL examples:', error);
+      throw new Error('Failed to list SQL examples');
+    }
+  }
+
+  /**
+   * Examples without an embedding from the given model
+   * @param {string} embeddingModel - Active provider and model
+   * @returns {Promise<Array>} Examples to embed
+   */
+  async findUnembedded(embeddingModel) {
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(
+        'SELECT * FROM sql_examples WHERE embedding_model IS DISTINCT FROM $1 ORDER BY id',
+        [embeddingModel]
+      );
+      return result.rows.map(row => this.mapExample(row));
+    } catch (error) {
+      logger.error('Error fetching unembedded SQL examples:', error);
+      throw new Error('Failed to fetch SQL examples');
+    }
+  }
+
+  /**
+   * Nearest examples by cosine similarity, among those embedded with the given model
+   * @param {Array<number>} embedding - Question embedding
+   * @param {string} embeddingModel - Provider and model that produced it
+   * @param {number} limit - Maximum number of examples
+   * @param {string|null} tenantId - Tenant asking; its examples and those without a tenant are searched
+   * @returns {Promise<Array>} Examples with similarity, best first
+   */
+  async findNearest(embedding, embeddingModel, limit, tenantId = null) {
+    const query = `
+      SELECT *, 1 - (embedding <=> $1::vector) AS similarity
+      FROM sql_examples
+      WHERE embedding_model = $2 AND ${sharedCondition(4)}
+      ORDER BY embedding <=> $1::vector
+      LIMIT $3
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [`[${embedding.join(',')}]`, embeddingModel, limit, tenantId]);
+      return result.rows.map(row => ({ ...this.mapExample(row), similarity: parseFloat(row.similarity) }));
+    } catch (error) {
+      logger.error('Error searching SQL examples:', error);
+      throw new Error('Failed to search SQL examples');
+    }
+  }
+
+  /**
+   * Map a sql_examples row
+   * @param {Object} row - Database row
+   * @returns {Object} Example (without its embedding)
+   */
+  mapExample(row) {
+    return {
+      id: row.id,
+      question: row.question,
+      sql: row.sql,
+      description: row.description,
+      tables: row.tables || [],
+      source: row.source,
+      embeddingModel: row.embedding_model,
+      createdBy: row.created_by,
+      tenantId: row.tenant_id,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = SqlExampleRepository;
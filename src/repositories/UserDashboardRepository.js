@@ -0,0 +1,323 @@
+/**
+ * User Dashboard Repository
+ * Handles persistence of user-defined dashboards and their widgets; each
+ * widget shows one saved query with its own parameter values
+ * Follows Repository Pattern for data access abstraction
+ */
+
+const logger = require('../utils/logger');
+const { ownerCondition, ownerParams } = require('../utils/ownership');
+
+class UserDashboardRepository {
+  constructor(dbPool) {
+    this.dbPool = dbPool;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Create the dashboard tables if they do not exist
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    try {
+      await this.dbPool.query(`
+        CREATE TABLE IF NOT EXISTS user_dashboards (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          description TEXT,
+          principal_id VARCHAR(255),
+          tenant_id VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      // Dashboards created before they had owners belong to no caller
+      await this.dbPool.query(`
+        ALTER TABLE user_dashboards
+          ADD COLUMN IF NOT EXISTS principal_id VARCHAR(255),
+          ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(255);
+      `);
+
+      await this.dbPool.query(`
+        CREATE TABLE IF NOT EXISTS dashboard_widgets (
+          id SERIAL PRIMARY KEY,
+          dashboard_id INTEGER NOT NULL REFERENCES user_dashboards(id) ON DELETE CASCADE,
+          saved_query_id INTEGER NOT NULL,
+          title VARCHAR(255),
+          position INTEGER NOT NULL DEFAULT 0,
+          parameters JSONB NOT NULL DEFAULT '{}'::jsonb,
+          layout JSONB
+        );
+      `);
+
+      await this.dbPool.query(`
+        CREATE INDEX IF NOT EXISTS dashboard_widgets_dashboard_idx
+        ON dashboard_widgets (dashboard_id, position);
+      `);
+      await this.dbPool.query(`
+        CREATE INDEX IF NOT EXISTS dashboard_widgets_saved_query_idx
+        ON dashboard_widgets (saved_query_id);
+      `);
+
+      this.isInitialized = true;
+    } catch (error) {
+      logger.error('Failed to initialize dashboard tables:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a dashboard with its widgets
+   * @param {Object} dashboard - { name, description }
+   * @param {Array} widgets - { savedQueryId, title, parameters, layout }, in display order
+   * @param {Object} owner - { principalId, tenantId } the dashboard belongs to (see utils/ownership)
+   * @returns {Promise<Object>} Created dashboard with widgets
+   */
+  async create(dashboard, widgets = [], owner) {
+    await this.initialize();
+    const client = await this.dbPool.connect();
+
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        'INSERT INTO user_dashboards (name, description, principal_id, tenant_id) VALUES ($1, $2, $3, $4) RETURNING *',
+        [dashboard.name, dashboard.description || null, ...ownerParams(owner)]
+      );
+      const created = this.mapDashboard(result.rows[0]);
+      created.widgets = await this.insertWidgets(client, created.id, widgets);
+      await client.query('COMMIT');
+      return created;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error creating dashboard:', error);
+      throw new Error('Failed to create dashboard');
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Update a dashboard and replace its widgets
+   * @param {number} id - Dashboard id
+   * @param {Object} dashboard - { name, description }
+   * @param {Array} widgets - Widgets, in display order
+   * @param {Object} owner - { principalId, tenantId } the dashboard must belong to
+   * @returns {Promise<Object|null>} Updated dashboard, or null if not found (or someone else's)
+   */
+  async update(id, dashboard, widgets = [], owner) {
+    await this.initialize();
+    const client = await this.dbPool.connect();
+
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(`
+        UPDATE user_dashboards
+        SET name = $1, description = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $3 AND ${ownerCondition(4)}
+        RETURNING *
+      `, [dashboard.name, dashboard.description || null, id, ...ownerParams(owner)]);
+
+      if (!result.rows[0]) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const updated = this.mapDashboard(result.rows[0]);
+      await client.query('DELETE FROM dashboard_widgets WHERE dashboard_id = $1', [id]);
+      updated.widgets = await this.insertWidgets(client, id, widgets);
+      await client.query('COMMIT');
+      return updated;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error updating dashboard:', error);
+      throw new Error('Failed to update dashboard');
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Insert widgets of a dashboard, numbering their positions
+   * @param {Object} client - pg client inside a transaction
+   * @param {number} dashboardId - Dashboard id
+   * @param {Array} widgets - Widgets, in display order
+   * @returns {Promise<Array>} Inserted widgets
+   */
+  async insertWidgets(client, dashboardId, widgets) {
+    const inserted = [];
+
+    for (const [position, widget] of widgets.entries()) {
+      const result = await client.query(`
+        INSERT INTO dashboard_widgets (dashboard_id, saved_query_id, title, position, parameters, layout)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `, [
+        dashboardId,
+        widget.savedQueryId,
+        widget.title || null,
+        position,
+        JSON.stringify(widget.parameters || {}),
+        widget.layout ? JSON.stringify(widget.layout) : null
+      ]);
+      inserted.push(this.mapWidget(result.rows[0]));
+    }
+
+    return inserted;
+  }
+
+  /**
+   * Delete a dashboard and its widgets
+   * @param {number} id - Dashboard id
+   * @param {Object} owner - { principalId, tenantId } the dashboard must belong to
+   * @returns {Promise<Object|null>} Deleted dashboard, or null if not found (or someone else's)
+   */
+  async delete(id, owner) {
+    const query = `DELETE FROM user_dashboards WHERE id = $1 AND ${ownerCondition(2)} RETURNING *`;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [id, ...ownerParams(owner)]);
+      return result.rows[0] ? this.mapDashboard(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error deleting dashboard:', error);
+      throw new Error('Failed to delete dashboard');
+    }
+  }
+
+  /**
+   * Get a dashboard with its widgets
+   * @param {number} id - Dashboard id
+   * @param {Object} owner - { principalId, tenantId } the dashboard must belong to
+   * @returns {Promise<Object|null>} Dashboard or null if not found (or someone else's)
+   */
+  async findById(id, owner) {
+    try {
+      await this.initialize();
+      const [dashboard, widgets] = await Promise.all([
+        this.dbPool.query(`SELECT * FROM user_dashboards WHERE id = $1 AND ${ownerCondition(2)}`, [id, ...ownerParams(owner)]),
+        this.dbPool.query('SELECT * FROM dashboard_widgets WHERE dashboard_id = $1 ORDER BY position', [id])
+      ]);
+
+      if (!dashboard.rows[0]) return null;
+
+      return {
+        ...this.mapDashboard(dashboard.rows[0]),
+        widgets: widgets.rows.map(row => this.mapWidget(row))
+      };
+    } catch (error) {
+      logger.error('Error fetching dashboard:', error);
+      throw new Error('Failed to fetch dashboard');
+    }
+  }
+
+  /**
+   * List the dashboards of an owner with their widget counts, by name
+   * @param {Object} owner - { principalId, tenantId } (see utils/ownership)
+   * @returns {Promise<Array>} Dashboards without widgets
+   */
+  async list(owner) {
+    const query = `
+      SELECT d.*, COUNT(w.id) AS widget_count
+      FROM user_dashboards d
+      LEFT JOIN dashboard_widgets w ON w.dashboard_id = d.id
+      WHERE ${ownerCondition(1, 'd')}
+      GROUP BY d.id
+      ORDER BY d.name, d.id
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, ownerParams(owner));
+      return result.rows.map(row => ({ ...this.mapDashboard(row), widgetCount: parseInt(row.widget_count) }));
+    } catch (error) {
+      logger.error('Error listing dashboards:', error);
+      throw new Error('Failed to list dashboards');
+    }
+  }
+
+  /**
+   * Get a widget
+   * @param {number} id - Widget id
+   * @param {Object} owner - { principalId, tenantId } the widget's dashboard must belong to
+   * @returns {Promise<Object|null>} Widget or null if not found (or on someone else's dashboard)
+   */
+  async findWidget(id, owner) {
+    const query = `
+      SELECT w.*
+      FROM dashboard_widgets w
+      JOIN user_dashboards d ON d.id = w.dashboard_id
+      WHERE w.id = $1 AND ${ownerCondition(2, 'd')}
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [id, ...ownerParams(owner)]);
+      return result.rows[0] ? this.mapWidget(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error fetching dashboard widget:', error);
+      throw new Error('Failed to fetch dashboard widget');
+    }
+  }
+
+  /**
+   * Dashboards showing a saved query
+   * @param {number} savedQueryId - Saved query id
+   * @returns {Promise<Array>} { id, name }
+   */
+  async findBySavedQuery(savedQueryId) {
+    const query = `
+      SELECT DISTINCT d.id, d.name
+      FROM user_dashboards d
+      JOIN dashboard_widgets w ON w.dashboard_id = d.id
+      WHERE w.saved_query_id = $1
+      ORDER BY d.id
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [savedQueryId]);
+      return result.rows.map(row => ({ id: row.id, name: row.name }));
+    } catch (error) {
+      logger.error('Error fetching dashboards of saved query:', error);
+      throw new Error('Failed to fetch dashboards of saved query');
+    }
+  }
+
+  /**
+   * Map a user_dashboards row to API shape
+   * @param {Object} row - Database row
+   * @returns {Object} Dashboard
+   */
+  mapDashboard(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      description: row.description,
+      principalId: row.principal_id,
+      tenantId: row.tenant_id,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Map a dashboard_widgets row to API shape
+   * @param {Object} row - Database row
+   * @returns {Object} Widget
+   */
+  mapWidget(row) {
+    return {
+      id: row.id,
+      dashboardId: row.dashboard_id,
+      savedQueryId: row.saved_query_id,
+      title: row.title,
+      position: row.position,
+      parameters: row.parameters || {},
+      layout: row.layout
+    };
+  }
+}
+
+module.exports = UserDashboardRepository;
@@ -0,0 +1,216 @@
+/**
+ * Webhook Target Repository
+ * Handles persistence of webhook targets that scheduled query alerts are posted to
+ * Follows Repository Pattern for data access abstraction
+ */
+
+const logger = require('../utils/logger');
+const { tenantCondition } = require('../utils/ownership');
+
+class WebhookTargetRepository {
+  constructor(dbPool) {
+    this.dbPool = dbPool;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Create the webhook target table if it does not exist
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    try {
+      await this.dbPool.query(`
+        CREATE TABLE IF NOT EXISTS webhook_targets (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          url TEXT NOT NULL,
+          secret TEXT,
+          headers JSONB NOT NULL DEFAULT '{}'::jsonb,
+          enabled BOOLEAN NOT NULL DEFAULT TRUE,
+          tenant_id VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      // Targets created before they had a tenant belong to the bootstrap admin
+      await this.dbPool.query('ALTER TABLE webhook_targets ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(255);');
+
+      this.isInitialized = true;
+    } catch (error) {
+      logger.error('Failed to initialize webhook target table:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a webhook target
+   * @param {Object} target - { name, url, secret, headers, enabled }
+   * @param {string|null} tenantId - Tenant the target belongs to
+   * @returns {Promise<Object>} Created target
+   */
+  async create(target, tenantId) {
+    const query = `
+      INSERT INTO webhook_targets (name, url, secret, headers, enabled, tenant_id)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [...this.toParams(target), tenantId]);
+      return this.mapTarget(result.rows[0]);
+    } catch (error) {
+      logger.error('Error creating webhook target:', error);
+      throw new Error('Failed to create webhook target');
+    }
+  }
+
+  /**
+   * Update a webhook target; a missing secret keeps the stored one
+   * @param {number} id - Target id
+   * @param {Object} target - { name, url, secret, headers, enabled }
+   * @param {string|null} tenantId - Tenant the target must belong to
+   * @returns {Promise<Object|null>} Updated target, or null if not found (or of another tenant)
+   */
+  async update(id, target, tenantId) {
+    const query = `
+      UPDATE webhook_targets
+      SET name = $1, url = $2, secret = COALESCE($3, secret), headers = $4, enabled = $5,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $6 AND ${tenantCondition(7)}
+      RETURNING *
+    `;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [...this.toParams(target), id, tenantId]);
+      return result.rows[0] ? this.mapTarget(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error updating webhook target:', error);
+      throw new Error('Failed to update webhook target');
+    }
+  }
+
+  /**
+   * Delete a webhook target
+   * @param {number} id - Target id
+   * @param {string|null} tenantId - Tenant the target must belong to
+   * @returns {Promise<Object|null>} Deleted target, or null if not found (or of another tenant)
+   */
+  async delete(id, tenantId) {
+    const query = `DELETE FROM webhook_targets WHERE id = $1 AND ${tenantCondition(2)} RETURNING *`;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [id, tenantId]);
+      return result.rows[0] ? this.mapTarget(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error deleting webhook target:', error);
+      throw new Error('Failed to delete webhook target');
+    }
+  }
+
+  /**
+   * Get a webhook target
+   * @param {number} id - Target id
+   * @param {string|null} tenantId - Tenant the target must belong to
+   * @param {Object} options - { withSecret } to include the signing secret
+   * @returns {Promise<Object|null>} Target or null if not found (or of another tenant)
+   */
+  async findById(id, tenantId, options = {}) {
+    const query = `SELECT * FROM webhook_targets WHERE id = $1 AND ${tenantCondition(2)}`;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [id, tenantId]);
+      return result.rows[0] ? this.mapTarget(result.rows[0], options) : null;
+    } catch (error) {
+      logger.error('Error fetching webhook target:', error);
+      throw new Error('Failed to fetch webhook target');
+    }
+  }
+
+  /**
+   * Get several webhook targets
+   * @param {Array<number>} ids - Target ids
+   * @param {string|null} tenantId - Tenant the targets must belong to
+   * @param {Object} options - { withSecret } to include signing secrets
+   * @returns {Promise<Array>} Targets of the tenant that exist, by id
+   */
+  async findByIds(ids, tenantId, options = {}) {
+    const query = `SELECT * FROM webhook_targets WHERE id = ANY($1) AND ${tenantCondition(2)} ORDER BY id`;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [ids, tenantId]);
+      return result.rows.map(row => this.mapTarget(row, options));
+    } catch (error) {
+      logger.error('Error fetching webhook targets:', error);
+      throw new Error('Failed to fetch webhook targets');
+    }
+  }
+
+  /**
+   * List the webhook targets of a tenant by name
+   * @param {string|null} tenantId - Tenant
+   * @returns {Promise<Array>} Targets
+   */
+  async list(tenantId) {
+    const query = `SELECT * FROM webhook_targets WHERE ${tenantCondition(1)} ORDER BY name, id`;
+
+    try {
+      await this.initialize();
+      const result = await this.dbPool.query(query, [tenantId]);
+      return result.rows.map(row => this.mapTarget(row));
+    } catch (error) {
+      logger.error('Error listing webhook targets:', error);
+      throw new Error('Failed to list webhook targets');
+    }
+  }
+
+  /**
+   * Query parameters of an insert or update
+   * @param {Object} target - Target data
+   * @returns {Array} Values for name..enabled
+   */
+  toParams(target) {
+    return [
+      target.name,
+      target.url,
+      target.secret || null,
+      JSON.stringify(target.headers || {}),
+      target.enabled !== false
+    ];
+  }
+
+  /**
+   * Map a webhook_targets row to API shape
+   * The secret is only returned to the code that signs deliveries
+   * @param {Object} row - Database row
+   * @param {Object} options - { withSecret }
+   * @returns {Object} Target
+   */
+  mapTarget(row, options = {}) {
+    const target = {
+      id: row.id,
+      name: row.name,
+      url: row.url,
+      hasSecret: Boolean(row.secret),
+      headers: row.headers || {},
+      enabled: row.enabled,
+      tenantId: row.tenant_id,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+
+    if (options.withSecret) {
+      target.secret = row.secret;
+    }
+
+    return target;
+  }
+}
+
+module.exports = WebhookTargetRepository;
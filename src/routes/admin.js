@@ -0,0 +1,439 @@
+/**
+ * Admin Routes - API key, access policy, PII classification, masking policy, datasource, query cache,
+ * feedback review and evaluation management
+ * Tenant admins manage their tenant's keys, policies, datasources and feedback; ADMIN_API_KEY manages every tenant.
+ * PII classifications describe the shared database and apply to every tenant, as do golden sets and evaluation runs
+ */
+
+const express = require('express');
+const router = express.Router();
+const AuthFactory = require('../factories/AuthFactory');
+const NLQFactory = require('../factories/NLQFactory');
+const { requireRole } = require('../middleware/auth');
+const { validateBody, validateQuery, validateParams, schemas } = require('../middleware/validation');
+const { generalLimiter } = require('../middleware/rateLimiter');
+
+const apiKeyController = AuthFactory.createApiKeyController();
+const accessPolicyController = AuthFactory.createAccessPolicyController();
+const dataMaskingController = AuthFactory.createDataMaskingController();
+const datasourceController = NLQFactory.createDatasourceController();
+const queryCacheController = NLQFactory.createQueryCacheController();
+const feedbackController = NLQFactory.createFeedbackController();
+const evaluationController = NLQFactory.createEvaluationController();
+
+router.use(requireRole('admin'));
+
+/**
+ * @route   GET /api/admin/api-keys
+ * @desc    List API keys (never their secrets)
+ * @access  Admin
+ * @rate    Limited by generalLimiter
+ */
+router.get('/api-keys',
+  generalLimiter,
+  validateQuery(schemas.apiKeyListQuery),
+  (req, res, next) => apiKeyController.listKeys(req, res, next)
+);
+
+/**
+ * @route   POST /api/admin/api-keys
+ * @desc    Issue an API key for a user of a tenant; the key is shown once
+ * @access  Admin
+ * @rate    Limited by generalLimiter
+ */
+router.post('/api-keys',
+  generalLimiter,
+  validateBody(schemas.apiKey),
+  (req, res, next) => apiKeyController.issueKey(req, res, next)
+);
+
+/**
+ * @route   DELETE /api/admin/api-keys/:id
+ * @desc    Revoke an API key; it stops working immediately
+ * @access  Admin
+ * @rate    Limited by generalLimiter
+ */
+router.delete('/api-keys/:id',
+  generalLimiter,
+  validateParams(schemas.savedQueryParams),
+  (req, res, next) => apiKeyController.revokeKey(req, res, next)
+);
+
+/**
+ * @route   GET /api/admin/access-policies
+ * @desc    List access policies, optionally of one role or table
+ * @access  Admin
+ * @rate    Limited by generalLimiter
+ */
+router.get('/access-policies',
+  generalLimiter,
+  validateQuery(schemas.accessPolicyListQuery),
+  (req, res, next) => accessPolicyController.listPolicies(req, res, next)
+);
+
+/**
+ * @route   POST /api/admin/access-policies
+ * @desc    Grant a role a table, optionally hiding columns and filtering rows
+ * @access  Admin
+ * @rate    Limited by generalLimiter
+ */
+router.post('/access-policies',
+  generalLimiter,
+  validateBody(schemas.accessPolicy),
+  (req, res, next) => accessPolicyController.createPolicy(req, res, next)
+);
+
+/**
+ * @route   GET /api/admin/access-policies/:id
+ * @desc    Get an access policy
+ * @access  Admin
+ * @rate    Limited by generalLimiter
+ */
+router.get('/access-policies/:id',
+  generalLimiter,
+  validateParams(schemas.savedQueryParams),
+  (req, res, next) => accessPolicyController.getPolicy(req, res, next)
+);
+
+/**
+ * @route   PUT /api/admin/access-policies/:id
+ * @desc    Replace an access policy; it applies to the next query
+ * @access  Admin
+ * @rate    Limited by generalLimiter
+ */
+router.put('/access-policies/:id',
+  generalLimiter,
+  validateParams(schemas.savedQueryParams),
+  validateBody(schemas.accessPolicy),
+  (req, res, next) => accessPolicyController.updatePolicy(req, res, next)
+);
+
+/**
+ * @route   DELETE /api/admin/access-policies/:id
+ * @desc    Delete an access policy; the role loses the table
+ * @access  Admin
+ * @rate    Limited by generalLimiter
+ */
+router.delete('/access-policies/:id',
+  generalLimiter,
+  validateParams(schemas.savedQueryParams),
+  (req, res, next) => accessPolicyController.deletePolicy(req, res, next)
+);
+
+/**
+ * @route   GET /api/admin/pii-columns
+ * @desc    List columns with their PII category and where it came from
+ * @access  Admin
+ * @rate    Limited by generalLimiter
+ */
+router.get('/pii-columns',
+  generalLimiter,
+  validateQuery(schemas.piiColumnListQuery),
+  (req, res, next) => dataMaskingController.listColumns(req, res, next)
+);
+
+/**
+ * @route   POST /api/admin/pii-columns/scan
+ * @desc    Detect PII columns from names, types and sampled values; admin classifications are kept
+ * @access  Admin
+ * @rate    Limited by generalLimiter
+ */
+router.post('/pii-columns/scan',
+  generalLimiter,
+  (req, res, next) => dataMaskingController.scanColumns(req, res, next)
+);
+
+/**
+ * @route   PUT /api/admin/pii-columns/:tableName/:columnName
+ * @desc    Classify a column (category null: not PII), overriding detection
+ * @access  Admin
+ * @rate    Limited by generalLimiter
+ */
+router.put('/pii-columns/:tableName/:columnName',
+  generalLimiter,
+  validateParams(schemas.piiColumnParams),
+  validateBody(schemas.piiClassification),
+  (req, res, next) => dataMaskingController.classifyColumn(req, res, next)
+);
+
+/**
+ * @route   DELETE /api/admin/pii-columns/:tableName/:columnName
+ * @desc    Drop a column's stored classification so detection applies again
+ * @access  Admin
+ * @rate    Limited by generalLimiter
+ */
+router.delete('/pii-columns/:tableName/:columnName',
+  generalLimiter,
+  validateParams(schemas.piiColumnParams),
+  (req, res, next) => dataMaskingController.resetColumn(req, res, next)
+);
+
+/**
+ * @route   GET /api/admin/masking-policies
+ * @desc    List masking policies, optionally of one role or PII category
+ * @access  Admin
+ * @rate    Limited by generalLimiter
+ */
+router.get('/masking-policies',
+  generalLimiter,
+  validateQuery(schemas.maskingPolicyListQuery),
+  (req, res, next) => dataMaskingController.listPolicies(req, res, next)
+);
+
+/**
+ * @route   POST /api/admin/masking-policies
+ * @desc    Set how a role sees one PII category: none, partial, hash or redact
+ * @access  Admin
+ * @rate    Limited by generalLimiter
+ */
+router.post('/masking-policies',
+  generalLimiter,
+  validateBody(schemas.maskingPolicy),
+  (req, res, next) => dataMaskingController.createPolicy(req, res, next)
+);
+
+/**
+ * @route   GET /api/admin/masking-policies/:id
+ * @desc    Get a masking policy
+ * @access  Admin
+ * @rate    Limited by generalLimiter
+ */
+router.get('/masking-policies/:id',
+  generalLimiter,
+  validateParams(schemas.savedQueryParams),
+  (req, res, next) => dataMaskingController.getPolicy(req, res, next)
+);
+
+/**
+ * @route   PUT /api/admin/masking-policies/:id
+ * @desc    Replace a masking policy; it applies to the next result
+ * @access  Admin
+ * @rate    Limited by generalLimiter
+ */
+router.put('/masking-policies/:id',
+  generalLimiter,
+  validateParams(schemas.savedQueryParams),
+  validateBody(schemas.maskingPolicy),
+  (req, res, next) => dataMaskingController.updatePolicy(req, res, next)
+);
+
+/**
+ * @route   DELETE /api/admin/masking-policies/:id
+ * @desc    Delete a masking policy; the role falls back to the default strategy
+ * @access  Admin
+ * @rate    Limited by generalLimiter
+ */
+router.delete('/masking-policies/:id',
+  generalLimiter,
+  validateParams(schemas.savedQueryParams),
+  (req, res, next) => dataMaskingController.deletePolicy(req, res, next)
+);
+
+/**
+ * @route   GET /api/admin/datasources
+ * @desc    List datasources with their last health check (never their passwords)
+ * @access  Admin
+ * @rate    Limited by generalLimiter
+ */
+router.get('/datasources',
+  generalLimiter,
+  validateQuery(schemas.datasourceListQuery),
+  (req, res, next) => datasourceController.listDatasources(req, res, next)
+);
+
+/**
+ * @route   POST /api/admin/datasources
+ * @desc    Register a datasource; the password is stored encrypted and the connection is checked
+ * @access  Admin
+ * @rate    Limited by generalLimiter
+ */
+router.post('/datasources',
+  generalLimiter,
+  validateBody(schemas.datasource),
+  (req, res, next) => datasourceController.createDatasource(req, res, next)
+);
+
+/**
+ * @route   GET /api/admin/datasources/:id
+ * @desc    Get a datasource
+ * @access  Admin
+ * @rate    Limited by generalLimiter
+ */
+router.get('/datasources/:id',
+  generalLimiter,
+  validateParams(schemas.savedQueryParams),
+  (req, res, next) => datasourceController.getDatasource(req, res, next)
+);
+
+/**
+ * @route   PUT /api/admin/datasources/:id
+ * @desc    Replace a datasource's settings (the password is kept when omitted); its pool is reopened
+ * @access  Admin
+ * @rate    Limited by generalLimiter
+ */
+router.put('/datasources/:id',
+  generalLimiter,
+  validateParams(schemas.savedQueryParams),
+  validateBody(schemas.datasource),
+  (req, res, next) => datasourceController.updateDatasource(req, res, next)
+);
+
+/**
+ * @route   DELETE /api/admin/datasources/:id
+ * @desc    Delete a datasource, its pool and its schema index
+ * @access  Admin
+ * @rate    Limited by generalLimiter
+ */
+router.delete('/datasources/:id',
+  generalLimiter,
+  validateParams(schemas.savedQueryParams),
+  (req, res, next) => datasourceController.deleteDatasource(req, res, next)
+);
+
+/**
+ * @route   POST /api/admin/datasources/:id/health
+ * @desc    Check that a datasource can be reached and record its health
+ * @access  Admin
+ * @rate    Limited by generalLimiter
+ */
+router.post('/datasources/:id/health',
+  generalLimiter,
+  validateParams(schemas.savedQueryParams),
+  (req, res, next) => datasourceController.checkHealth(req, res, next)
+);
+
+/**
+ * @route   GET /api/admin/query-cache
+ * @desc    Get query cache hit/miss counters (this process) and stored entries per datasource
+ * @access  Admin
+ * @rate    Limited by generalLimiter
+ */
+router.get('/query-cache',
+  generalLimiter,
+  validateQuery(schemas.datasourceListQuery),
+  (req, res, next) => queryCacheController.getStats(req, res, next)
+);
+
+/**
+ * @route   DELETE /api/admin/query-cache
+ * @desc    Drop cached SQL of the tenant, optionally of one datasource
+ * @access  Admin
+ * @rate    Limited by generalLimiter
+ */
+router.delete('/query-cache',
+  generalLimiter,
+  validateQuery(schemas.queryCacheClearQuery),
+  (req, res, next) => queryCacheController.clear(req, res, next)
+);
+
+/**
+ * @route   GET /api/admin/feedback/corrections
+ * @desc    List user-supplied SQL corrections for review (pending by default)
+ * @access  Admin
+ * @rate    Limited by generalLimiter
+ */
+router.get('/feedback/corrections',
+  generalLimiter,
+  validateQuery(schemas.correctionListQuery),
+  (req, res, next) => feedbackController.listCorrections(req, res, next)
+);
+
+/**
+ * @route   POST /api/admin/feedback/corrections/:id/approve
+ * @desc    Approve a correction (optionally edited); on the primary database it becomes a SQL example
+ * @access  Admin
+ * @rate    Limited by generalLimiter
+ */
+router.post('/feedback/corrections/:id/approve',
+  generalLimiter,
+  validateParams(schemas.savedQueryParams),
+  validateBody(schemas.correctionApproval),
+  (req, res, next) => feedbackController.approve(req, res, next)
+);
+
+/**
+ * @route   POST /api/admin/feedback/corrections/:id/reject
+ * @desc    Reject a correction
+ * @access  Admin
+ * @rate    Limited by generalLimiter
+ */
+router.post('/feedback/corrections/:id/reject',
+  generalLimiter,
+  validateParams(schemas.savedQueryParams),
+  validateBody(schemas.correctionRejection),
+  (req, res, next) => feedbackController.reject(req, res, next)
+);
+
+/**
+ * @route   GET /api/admin/feedback/report
+ * @desc    Accuracy of answers as rated by users, overall, per table and per SQL pattern
+ * @access  Admin
+ * @rate    Limited by generalLimiter
+ */
+router.get('/feedback/report',
+  generalLimiter,
+  validateQuery(schemas.feedbackReportQuery),
+  (req, res, next) => feedbackController.getReport(req, res, next)
+);
+
+/**
+ * @route   GET /api/admin/evaluations/golden-sets
+ * @desc    List golden question sets (eval/golden by default)
+ * @access  Admin
+ * @rate    Limited by generalLimiter
+ */
+router.get('/evaluations/golden-sets',
+  generalLimiter,
+  (req, res, next) => evaluationController.listGoldenSets(req, res, next)
+);
+
+/**
+ * @route   POST /api/admin/evaluations
+ * @desc    Start evaluating a golden set in the background, asking as the caller; poll the run for its outcome
+ * @access  Admin
+ * @rate    Limited by generalLimiter
+ */
+router.post('/evaluations',
+  generalLimiter,
+  validateBody(schemas.evaluationRun),
+  (req, res, next) => evaluationController.startRun(req, res, next)
+);
+
+/**
+ * @route   GET /api/admin/evaluations
+ * @desc    List evaluation runs with their summaries (newest first)
+ * @access  Admin
+ * @rate    Limited by generalLimiter
+ */
+router.get('/evaluations',
+  generalLimiter,
+  validateQuery(schemas.evaluationListQuery),
+  (req, res, next) => evaluationController.listRuns(req, res, next)
+);
+
+/**
+ * @route   GET /api/admin/evaluations/:id
+ * @desc    Get an evaluation run with its per-case results
+ * @access  Admin
+ * @rate    Limited by generalLimiter
+ */
+router.get('/evaluations/:id',
+  generalLimiter,
+  validateParams(schemas.savedQueryParams),
+  (req, res, next) => evaluationController.getRun(req, res, next)
+);
+
+/**
+ * @route   GET /api/admin/evaluations/:id/diff
+ * @desc    Compare a run with ?against=<run id> (default: the previous completed run of its golden set)
+ * @access  Admin
+ * @rate    Limited by generalLimiter
+ */
+router.get('/evaluations/:id/diff',
+  generalLimiter,
+  validateParams(schemas.savedQueryParams),
+  validateQuery(schemas.evaluationDiffQuery),
+  (req, res, next) => evaluationController.diffRuns(req, res, next)
+);
+
+module.exports = router;
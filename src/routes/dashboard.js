@@ -6,52 +6,129 @@
 const express = require('express');
 const router = express.Router();
 const DashboardFactory = require('../factories/DashboardFactory');
-const { validateRequest } = require('../middleware/validation');
+const { validateRequest, validateBody, validateQuery, validateParams, schemas } = require('../middleware/validation');
 const { generalLimiter } = require('../middleware/rateLimiter');
 
 // Create dashboard controller using factory pattern with dependency injection
 const dashboardController = DashboardFactory.createDashboardController();
+const userDashboardController = DashboardFactory.createUserDashboardController();
 
 /**
  * @route   GET /api/dashboard/metrics
  * @desc    Get dashboard metrics (KPIs)
- * @access  Public
+ * @access  Private
  */
 router.get('/metrics', generalLimiter, (req, res) => dashboardController.getMetrics(req, res));
 
 /**
  * @route   GET /api/dashboard/revenue-trend
  * @desc    Get revenue trend data
- * @access  Public
+ * @access  Private
  */
 router.get('/revenue-trend', generalLimiter, (req, res) => dashboardController.getRevenueTrend(req, res));
 
 /**
  * @route   GET /api/dashboard/sales-by-category
  * @desc    Get sales data by category
- * @access  Public
+ * @access  Private
  */
 router.get('/sales-by-category', generalLimiter, (req, res) => dashboardController.getSalesByCategory(req, res));
 
 /**
  * @route   GET /api/dashboard/top-products
  * @desc    Get top selling products
- * @access  Public
+ * @access  Private
  */
 router.get('/top-products', generalLimiter, (req, res) => dashboardController.getTopProducts(req, res));
 
 /**
  * @route   GET /api/dashboard/recent-orders
  * @desc    Get recent orders
- * @access  Public
+ * @access  Private
  */
 router.get('/recent-orders', generalLimiter, (req, res) => dashboardController.getRecentOrders(req, res));
 
 /**
  * @route   GET /api/dashboard/all
  * @desc    Get all dashboard data in one request
- * @access  Public
+ * @access  Private
  */
 router.get('/all', generalLimiter, (req, res) => dashboardController.getAllDashboardData(req, res));
 
+/**
+ * @route   GET /api/dashboard/dashboards
+ * @desc    List user-defined dashboards
+ * @access  Private
+ */
+router.get('/dashboards', generalLimiter, (req, res) => userDashboardController.listDashboards(req, res));
+
+/**
+ * @route   POST /api/dashboard/dashboards
+ * @desc    Create a dashboard from saved queries (widgets in display order)
+ * @access  Private
+ */
+router.post('/dashboards',
+  generalLimiter,
+  validateBody(schemas.userDashboard),
+  (req, res) => userDashboardController.createDashboard(req, res)
+);
+
+/**
+ * @route   GET /api/dashboard/dashboards/:id
+ * @desc    Get a dashboard with its widget definitions
+ * @access  Private
+ */
+router.get('/dashboards/:id',
+  generalLimiter,
+  validateParams(schemas.savedQueryParams),
+  (req, res) => userDashboardController.getDashboard(req, res)
+);
+
+/**
+ * @route   PUT /api/dashboard/dashboards/:id
+ * @desc    Replace a dashboard and its widgets
+ * @access  Private
+ */
+router.put('/dashboards/:id',
+  generalLimiter,
+  validateParams(schemas.savedQueryParams),
+  validateBody(schemas.userDashboard),
+  (req, res) => userDashboardController.updateDashboard(req, res)
+);
+
+/**
+ * @route   DELETE /api/dashboard/dashboards/:id
+ * @desc    Delete a dashboard (its saved queries are kept)
+ * @access  Private
+ */
+router.delete('/dashboards/:id',
+  generalLimiter,
+  validateParams(schemas.savedQueryParams),
+  (req, res) => userDashboardController.deleteDashboard(req, res)
+);
+
+/**
+ * @route   GET /api/dashboard/dashboards/:id/data
+ * @desc    Render every widget of a dashboard; ?parameters[name]=value applies to widgets using that parameter
+ * @access  Private
+ */
+router.get('/dashboards/:id/data',
+  generalLimiter,
+  validateParams(schemas.savedQueryParams),
+  validateQuery(schemas.dashboardDataQuery),
+  (req, res) => userDashboardController.getDashboardData(req, res)
+);
+
+/**
+ * @route   GET /api/dashboard/widgets/:widgetId
+ * @desc    Render one widget; ?parameters[name]=value overrides the widget's parameters
+ * @access  Private
+ */
+router.get('/widgets/:widgetId',
+  generalLimiter,
+  validateParams(schemas.widgetParams),
+  validateQuery(schemas.dashboardDataQuery),
+  (req, res) => userDashboardController.getWidgetData(req, res)
+);
+
 module.exports = router;
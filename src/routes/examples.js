@@ -0,0 +1,74 @@
+/**
+ * SQL Example Routes - Few-shot example management
+ * Curated question→SQL pairs shown to the LLM when it generates SQL for similar questions
+ * Examples belong to a tenant (or to every tenant); only admins change them
+ */
+
+const express = require('express');
+const router = express.Router();
+const NLQFactory = require('../factories/NLQFactory');
+const { validateBody, validateQuery, validateParams, schemas } = require('../middleware/validation');
+const { schemaLimiter } = require('../middleware/rateLimiter');
+const { requireRole } = require('../middleware/auth');
+
+const sqlExampleController = NLQFactory.createSqlExampleController();
+
+/**
+ * @route   GET /api/nlq/examples
+ * @desc    List SQL examples (filter by table or search text)
+ * @access  Private
+ */
+router.get('/',
+  validateQuery(schemas.sqlExampleQuery),
+  (req, res) => sqlExampleController.listExamples(req, res)
+);
+
+/**
+ * @route   GET /api/nlq/examples/:id
+ * @desc    Get a SQL example
+ * @access  Private
+ */
+router.get('/:id',
+  validateParams(schemas.sqlExampleParams),
+  (req, res) => sqlExampleController.getExample(req, res)
+);
+
+/**
+ * @route   POST /api/nlq/examples
+ * @desc    Create a SQL example (the SQL is validated) and embed its question
+ * @access  Admin
+ * @rate    Limited by schemaLimiter
+ */
+router.post('/',
+  requireRole('admin'),
+  schemaLimiter,
+  validateBody(schemas.sqlExample),
+  (req, res) => sqlExampleController.createExample(req, res)
+);
+
+/**
+ * @route   PUT /api/nlq/examples/:id
+ * @desc    Replace a SQL example and embed its question again
+ * @access  Admin
+ * @rate    Limited by schemaLimiter
+ */
+router.put('/:id',
+  requireRole('admin'),
+  schemaLimiter,
+  validateParams(schemas.sqlExampleParams),
+  validateBody(schemas.sqlExample),
+  (req, res) => sqlExampleController.updateExample(req, res)
+);
+
+/**
+ * @route   DELETE /api/nlq/examples/:id
+ * @desc    Delete a SQL example
+ * @access  Admin
+ */
+router.delete('/:id',
+  requireRole('admin'),
+  validateParams(schemas.sqlExampleParams),
+  (req, res) => sqlExampleController.deleteExample(req, res)
+);
+
+module.exports = router;
@@ -0,0 +1,48 @@
+/**
+ * Feedback Routes - Ratings and SQL corrections for logged questions
+ * Corrections are reviewed by admins (see admin routes); approved ones become SQL examples
+ */
+
+const express = require('express');
+const router = express.Router();
+const NLQFactory = require('../factories/NLQFactory');
+const { validateBody, validateQuery, schemas } = require('../middleware/validation');
+const { generalLimiter, sqlExecutionLimiter } = require('../middleware/rateLimiter');
+
+const feedbackController = NLQFactory.createFeedbackController();
+
+/**
+ * @route   GET /api/nlq/feedback
+ * @desc    List the caller's own ratings and corrections (newest first)
+ * @access  Private
+ */
+router.get('/',
+  validateQuery(schemas.feedbackListQuery),
+  (req, res, next) => feedbackController.listOwn(req, res, next)
+);
+
+/**
+ * @route   POST /api/nlq/feedback
+ * @desc    Rate the answer to a history entry (thumbs up/down); replaces the caller's earlier feedback on it
+ * @access  Private
+ * @rate    Limited by generalLimiter
+ */
+router.post('/',
+  generalLimiter,
+  validateBody(schemas.feedbackRating),
+  (req, res, next) => feedbackController.rate(req, res, next)
+);
+
+/**
+ * @route   POST /api/nlq/feedback/corrections
+ * @desc    Supply the SQL that should have answered a history entry; it is validated and queued for review
+ * @access  Private
+ * @rate    Limited by sqlExecutionLimiter
+ */
+router.post('/corrections',
+  sqlExecutionLimiter,
+  validateBody(schemas.feedbackCorrection),
+  (req, res, next) => feedbackController.correct(req, res, next)
+);
+
+module.exports = router;
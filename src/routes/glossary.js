@@ -0,0 +1,76 @@
+/**
+ * Glossary Routes - Business glossary management
+ * Descriptions, synonyms, metric definitions and value aliases for tables and columns
+ * Entries belong to a tenant (or to every tenant); only admins change them
+ */
+
+const express = require('express');
+const router = express.Router();
+const NLQFactory = require('../factories/NLQFactory');
+const { validateBody, validateQuery, validateParams, schemas } = require('../middleware/validation');
+const { schemaLimiter } = require('../middleware/rateLimiter');
+const { requireRole } = require('../middleware/auth');
+
+const glossaryController = NLQFactory.createGlossaryController();
+
+/**
+ * @route   GET /api/nlq/glossary
+ * @desc    List glossary entries (filter by type, table or search text)
+ * @access  Private
+ */
+router.get('/',
+  validateQuery(schemas.glossaryQuery),
+  (req, res) => glossaryController.listEntries(req, res)
+);
+
+/**
+ * @route   GET /api/nlq/glossary/:id
+ * @desc    Get a glossary entry
+ * @access  Private
+ */
+router.get('/:id',
+  validateParams(schemas.glossaryParams),
+  (req, res) => glossaryController.getEntry(req, res)
+);
+
+/**
+ * @route   POST /api/nlq/glossary
+ * @desc    Create a glossary entry and re-index the affected table
+ * @access  Admin
+ * @rate    Limited by schemaLimiter
+ */
+router.post('/',
+  requireRole('admin'),
+  schemaLimiter,
+  validateBody(schemas.glossaryEntry),
+  (req, res) => glossaryController.createEntry(req, res)
+);
+
+/**
+ * @route   PUT /api/nlq/glossary/:id
+ * @desc    Replace a glossary entry and re-index the affected tables
+ * @access  Admin
+ * @rate    Limited by schemaLimiter
+ */
+router.put('/:id',
+  requireRole('admin'),
+  schemaLimiter,
+  validateParams(schemas.glossaryParams),
+  validateBody(schemas.glossaryEntry),
+  (req, res) => glossaryController.updateEntry(req, res)
+);
+
+/**
+ * @route   DELETE /api/nlq/glossary/:id
+ * @desc    Delete a glossary entry and re-index the affected table
+ * @access  Admin
+ * @rate    Limited by schemaLimiter
+ */
+router.delete('/:id',
+  requireRole('admin'),
+  schemaLimiter,
+  validateParams(schemas.glossaryParams),
+  (req, res) => glossaryController.deleteEntry(req, res)
+);
+
+module.exports = router;
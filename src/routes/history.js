@@ -0,0 +1,48 @@
+/**
+ * History Routes - Query history and audit log
+ * Every NLQ and raw SQL request is recorded in query_logs
+ */
+
+const express = require('express');
+const router = express.Router();
+const NLQFactory = require('../factories/NLQFactory');
+const { validateQuery, validateParams, schemas } = require('../middleware/validation');
+const { exportLimiter } = require('../middleware/rateLimiter');
+
+const queryLogController = NLQFactory.createQueryLogController();
+const exportController = NLQFactory.createExportController();
+
+/**
+ * @route   GET /api/nlq/history
+ * @desc    Page, filter and search query history (newest first)
+ * @access  Private
+ */
+router.get('/',
+  validateQuery(schemas.historyQuery),
+  (req, res) => queryLogController.getHistory(req, res)
+);
+
+/**
+ * @route   GET /api/nlq/history/:id
+ * @desc    Get a single history entry
+ * @access  Private
+ */
+router.get('/:id',
+  validateParams(schemas.historyParams),
+  (req, res) => queryLogController.getEntry(req, res)
+);
+
+/**
+ * @route   GET /api/nlq/history/:id/export
+ * @desc    Re-run a successful history entry and download its rows as csv, xlsx, ndjson or parquet (?format=)
+ * @access  Private
+ * @rate    Limited by exportLimiter
+ */
+router.get('/:id/export',
+  exportLimiter,
+  validateParams(schemas.historyParams),
+  validateQuery(schemas.exportQuery),
+  (req, res) => exportController.exportHistoryEntry(req, res)
+);
+
+module.exports = router;
@@ -6,19 +6,51 @@
 const express = require('express');
 const router = express.Router();
 const NLQController = require('../controllers/NLQController');
+const NLQFactory = require('../factories/NLQFactory');
 const { validateBody, validateQuery, schemas, sanitizeBody, sanitizeQuery } = require('../middleware/validation');
 const { nlqLimiter, sqlExecutionLimiter, schemaLimiter, healthLimiter } = require('../middleware/rateLimiter');
+const sessionRoutes = require('./sessions');
+const historyRoutes = require('./history');
+const glossaryRoutes = require('./glossary');
+const exampleRoutes = require('./examples');
+const feedbackRoutes = require('./feedback');
+const resultRoutes = require('./results');
+const savedQueryRoutes = require('./savedQueries');
+const scheduleRoutes = require('./schedules');
+const webhookRoutes = require('./webhooks');
 
 const nlqController = new NLQController();
+const datasourceController = NLQFactory.createDatasourceController();
+
+// Business glossary, SQL examples, feedback, saved queries and webhook targets;
+// mounted before sanitization because metric definitions, example, corrected
+// and pinned SQL and signing secrets must keep their quotes
+router.use('/glossary', glossaryRoutes);
+router.use('/examples', exampleRoutes);
+router.use('/feedback', feedbackRoutes);
+router.use('/saved-queries', savedQueryRoutes);
+router.use('/webhooks', webhookRoutes);
 
 // Apply sanitization middleware to all routes
 router.use(sanitizeBody);
 router.use(sanitizeQuery);
 
+// Conversational sessions
+router.use('/sessions', sessionRoutes);
+
+// Query history and audit log
+router.use('/history', historyRoutes);
+
+// Paging through stored query results
+router.use('/results', resultRoutes);
+
+// Scheduled queries with webhook alerts
+router.use('/schedules', scheduleRoutes);
+
 /**
  * @route   POST /api/nlq/query
  * @desc    Process natural language query and return results
- * @access  Public
+ * @access  Private
  * @rate    Limited by nlqLimiter
  */
 router.post('/query', 
@@ -27,10 +59,23 @@ router.post('/query',
   (req, res) => nlqController.processQuery(req, res)
 );
 
+/**
+ * @route   POST /api/nlq/query/stream
+ * @desc    Process natural language query, streaming each stage as Server-Sent Events
+ *          (tables, schema, sql_token, sql, validation, execution_failed, rows, complete/error)
+ * @access  Private
+ * @rate    Limited by nlqLimiter
+ */
+router.post('/query/stream',
+  nlqLimiter,
+  validateBody(schemas.nlqStreamQuery),
+  (req, res) => nlqController.streamQuery(req, res)
+);
+
 /**
  * @route   POST /api/nlq/generate-sql
  * @desc    Generate SQL from natural language without execution
- * @access  Public
+ * @access  Private
  * @rate    Limited by nlqLimiter
  */
 router.post('/generate-sql',
@@ -42,7 +87,7 @@ router.post('/generate-sql',
 /**
  * @route   POST /api/nlq/execute-sql
  * @desc    Execute SQL query
- * @access  Public
+ * @access  Private
  * @rate    Limited by sqlExecutionLimiter
  */
 router.post('/execute-sql',
@@ -54,7 +99,7 @@ router.post('/execute-sql',
 /**
  * @route   GET /api/nlq/suggestions
  * @desc    Get query suggestions based on partial input
- * @access  Public
+ * @access  Private
  * @rate    Limited by generalLimiter
  */
 router.get('/suggestions',
@@ -62,21 +107,45 @@ router.get('/suggestions',
   (req, res) => nlqController.getSuggestions(req, res)
 );
 
+/**
+ * @route   GET /api/nlq/datasources
+ * @desc    List the datasources the caller may query ('default' is the primary database)
+ * @access  Private
+ * @rate    Limited by schemaLimiter
+ */
+router.get('/datasources',
+  schemaLimiter,
+  (req, res, next) => datasourceController.listAvailable(req, res, next)
+);
+
 /**
  * @route   GET /api/nlq/schema
- * @desc    Get database schema information
- * @access  Public
+ * @desc    Get database schema information (?datasource= for a named datasource)
+ * @access  Private
  * @rate    Limited by schemaLimiter
  */
 router.get('/schema',
   schemaLimiter,
+  validateQuery(schemas.schemaQuery),
   (req, res) => nlqController.getSchema(req, res)
 );
 
+/**
+ * @route   GET /api/nlq/schema/index
+ * @desc    Get schema index freshness per table (?datasource= for a named datasource)
+ * @access  Private
+ * @rate    Limited by schemaLimiter
+ */
+router.get('/schema/index',
+  schemaLimiter,
+  validateQuery(schemas.schemaQuery),
+  (req, res) => nlqController.getSchemaIndexStatus(req, res)
+);
+
 /**
  * @route   POST /api/nlq/relationships
  * @desc    Add table relationship
- * @access  Public
+ * @access  Private
  * @rate    Limited by schemaLimiter
  */
 router.post('/relationships',
@@ -87,12 +156,14 @@ router.post('/relationships',
 
 /**
  * @route   POST /api/nlq/refresh-schema
- * @desc    Refresh schema metadata
- * @access  Public
+ * @desc    Re-embed new or changed tables ({ force: true } re-embeds all) of the
+ *          primary database, or of { datasource }
+ * @access  Private
  * @rate    Limited by schemaLimiter
  */
 router.post('/refresh-schema',
   schemaLimiter,
+  validateBody(schemas.schemaRefresh),
   (req, res) => nlqController.refreshSchema(req, res)
 );
 
@@ -109,11 +180,12 @@ router.get('/health',
 
 /**
  * @route   GET /api/nlq/stats
- * @desc    Get service statistics
- * @access  Public
+ * @desc    Get service statistics and query history aggregates
+ * @access  Private
  * @rate    Limited by generalLimiter
  */
 router.get('/stats',
+  validateQuery(schemas.statsQuery),
   (req, res) => nlqController.getStats(req, res)
 );
 
@@ -0,0 +1,39 @@
+/**
+ * Result Routes - Paging through stored query results
+ * NLQ and SQL responses carry the first page and a result id for the rest
+ */
+
+const express = require('express');
+const router = express.Router();
+const NLQFactory = require('../factories/NLQFactory');
+const { validateQuery, validateParams, schemas } = require('../middleware/validation');
+const { exportLimiter } = require('../middleware/rateLimiter');
+
+const queryResultController = NLQFactory.createQueryResultController();
+const exportController = NLQFactory.createExportController();
+
+/**
+ * @route   GET /api/nlq/results/:resultId
+ * @desc    Get a page of a stored result, by ?page=&pageSize= or by ?cursor= (nextCursor of the previous page)
+ * @access  Private
+ */
+router.get('/:resultId',
+  validateParams(schemas.resultParams),
+  validateQuery(schemas.resultPageQuery),
+  (req, res) => queryResultController.getPage(req, res)
+);
+
+/**
+ * @route   GET /api/nlq/results/:resultId/export
+ * @desc    Download every row of a stored result as csv, xlsx, ndjson or parquet (?format=)
+ * @access  Private
+ * @rate    Limited by exportLimiter
+ */
+router.get('/:resultId/export',
+  exportLimiter,
+  validateParams(schemas.resultParams),
+  validateQuery(schemas.exportQuery),
+  (req, res) => exportController.exportResult(req, res)
+);
+
+module.exports = router;
@@ -0,0 +1,78 @@
+/**
+ * Saved Query Routes - Named queries with pinned SQL and parameters
+ * Saved queries re-run without the LLM and back the widgets of user dashboards
+ */
+
+const express = require('express');
+const router = express.Router();
+const NLQFactory = require('../factories/NLQFactory');
+const { validateBody, validateQuery, validateParams, schemas } = require('../middleware/validation');
+const { sqlExecutionLimiter } = require('../middleware/rateLimiter');
+
+const savedQueryController = NLQFactory.createSavedQueryController();
+
+/**
+ * @route   GET /api/nlq/saved-queries
+ * @desc    Page and search saved queries (most recently updated first)
+ * @access  Private
+ */
+router.get('/',
+  validateQuery(schemas.savedQueryListQuery),
+  (req, res) => savedQueryController.listQueries(req, res)
+);
+
+/**
+ * @route   GET /api/nlq/saved-queries/:id
+ * @desc    Get a saved query
+ * @access  Private
+ */
+router.get('/:id',
+  validateParams(schemas.savedQueryParams),
+  (req, res) => savedQueryController.getQuery(req, res)
+);
+
+/**
+ * @route   POST /api/nlq/saved-queries
+ * @desc    Save a question with its pinned SQL ({{name}} parameters), parameter definitions and chart
+ * @access  Private
+ */
+router.post('/',
+  validateBody(schemas.savedQuery),
+  (req, res) => savedQueryController.createQuery(req, res)
+);
+
+/**
+ * @route   PUT /api/nlq/saved-queries/:id
+ * @desc    Replace a saved query
+ * @access  Private
+ */
+router.put('/:id',
+  validateParams(schemas.savedQueryParams),
+  validateBody(schemas.savedQuery),
+  (req, res) => savedQueryController.updateQuery(req, res)
+);
+
+/**
+ * @route   DELETE /api/nlq/saved-queries/:id
+ * @desc    Delete a saved query that no dashboard shows
+ * @access  Private
+ */
+router.delete('/:id',
+  validateParams(schemas.savedQueryParams),
+  (req, res) => savedQueryController.deleteQuery(req, res)
+);
+
+/**
+ * @route   POST /api/nlq/saved-queries/:id/run
+ * @desc    Run the pinned SQL with parameter values
+ * @access  Private
+ * @rate    Limited by sqlExecutionLimiter
+ */
+router.post('/:id/run',
+  sqlExecutionLimiter,
+  validateParams(schemas.savedQueryParams),
+  validateBody(schemas.savedQueryRun),
+  (req, res) => savedQueryController.runQuery(req, res)
+);
+
+module.exports = router;
@@ -0,0 +1,92 @@
+/**
+ * Schedule Routes - Saved queries and questions run on cron schedules
+ * Each run checks a threshold or delta condition and alerts webhook targets when it is met
+ */
+
+const express = require('express');
+const router = express.Router();
+const NLQFactory = require('../factories/NLQFactory');
+const { validateBody, validateQuery, validateParams, schemas } = require('../middleware/validation');
+const { nlqLimiter, sqlExecutionLimiter } = require('../middleware/rateLimiter');
+
+const scheduleController = NLQFactory.createScheduleController();
+
+/**
+ * @route   GET /api/nlq/schedules
+ * @desc    Page schedules (optionally only enabled or disabled ones)
+ * @access  Private
+ */
+router.get('/',
+  validateQuery(schemas.scheduleListQuery),
+  (req, res) => scheduleController.listSchedules(req, res)
+);
+
+/**
+ * @route   GET /api/nlq/schedules/:id
+ * @desc    Get a schedule with its next run time and last value
+ * @access  Private
+ */
+router.get('/:id',
+  validateParams(schemas.savedQueryParams),
+  (req, res) => scheduleController.getSchedule(req, res)
+);
+
+/**
+ * @route   POST /api/nlq/schedules
+ * @desc    Schedule a saved query or a question (its SQL is generated once and pinned)
+ * @access  Private
+ * @rate    Limited by nlqLimiter
+ */
+router.post('/',
+  nlqLimiter,
+  validateBody(schemas.schedule),
+  (req, res) => scheduleController.createSchedule(req, res)
+);
+
+/**
+ * @route   PUT /api/nlq/schedules/:id
+ * @desc    Replace a schedule; its last value and alert state start over
+ * @access  Private
+ * @rate    Limited by nlqLimiter
+ */
+router.put('/:id',
+  nlqLimiter,
+  validateParams(schemas.savedQueryParams),
+  validateBody(schemas.schedule),
+  (req, res) => scheduleController.updateSchedule(req, res)
+);
+
+/**
+ * @route   DELETE /api/nlq/schedules/:id
+ * @desc    Delete a schedule and its run history
+ * @access  Private
+ */
+router.delete('/:id',
+  validateParams(schemas.savedQueryParams),
+  (req, res) => scheduleController.deleteSchedule(req, res)
+);
+
+/**
+ * @route   GET /api/nlq/schedules/:id/runs
+ * @desc    Page a schedule's run history, newest first
+ * @access  Private
+ */
+router.get('/:id/runs',
+  validateParams(schemas.savedQueryParams),
+  validateQuery(schemas.scheduleRunsQuery),
+  (req, res) => scheduleController.listRuns(req, res)
+);
+
+/**
+ * @route   POST /api/nlq/schedules/:id/run
+ * @desc    Run a schedule now, alerting as a scheduled run would
+ * @access  Private
+ * @rate    Limited by sqlExecutionLimiter
+ */
+router.post('/:id/run',
+  sqlExecutionLimiter,
+  validateParams(schemas.savedQueryParams),
+  (req, res) => scheduleController.runSchedule(req, res)
+);
+
+module.exports = router;
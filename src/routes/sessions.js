@@ -0,0 +1,58 @@
+/**
+ * Session Routes - Conversational NLQ sessions
+ * Follow-up questions in a session refine the previous query
+ */
+
+const express = require('express');
+const router = express.Router();
+const NLQFactory = require('../factories/NLQFactory');
+const { validateBody, validateQuery, validateParams, schemas } = require('../middleware/validation');
+const { nlqLimiter } = require('../middleware/rateLimiter');
+
+const conversationController = NLQFactory.createConversationController();
+
+/**
+ * @route   POST /api/nlq/sessions
+ * @desc    Create a conversation session
+ * @access  Private
+ */
+router.post('/',
+  validateBody(schemas.sessionCreate),
+  (req, res) => conversationController.createSession(req, res)
+);
+
+/**
+ * @route   GET /api/nlq/sessions/:sessionId
+ * @desc    Get a conversation session
+ * @access  Private
+ */
+router.get('/:sessionId',
+  validateParams(schemas.sessionParams),
+  (req, res) => conversationController.getSession(req, res)
+);
+
+/**
+ * @route   POST /api/nlq/sessions/:sessionId/turns
+ * @desc    Ask a question in a session, using earlier turns as context
+ * @access  Private
+ * @rate    Limited by nlqLimiter
+ */
+router.post('/:sessionId/turns',
+  nlqLimiter,
+  validateParams(schemas.sessionParams),
+  validateBody(schemas.nlqQuery),
+  (req, res) => conversationController.postTurn(req, res)
+);
+
+/**
+ * @route   GET /api/nlq/sessions/:sessionId/turns
+ * @desc    List the turns of a session
+ * @access  Private
+ */
+router.get('/:sessionId/turns',
+  validateParams(schemas.sessionParams),
+  validateQuery(schemas.pagination),
+  (req, res) => conversationController.listTurns(req, res)
+);
+
+module.exports = router;
@@ -0,0 +1,81 @@
+/**
+ * Webhook Routes - Targets that scheduled query alerts are posted to
+ * Targets belong to a tenant; only its admins change them
+ */
+
+const express = require('express');
+const router = express.Router();
+const NLQFactory = require('../factories/NLQFactory');
+const { validateBody, validateParams, schemas } = require('../middleware/validation');
+const { generalLimiter } = require('../middleware/rateLimiter');
+const { requireRole } = require('../middleware/auth');
+
+const webhookTargetController = NLQFactory.createWebhookTargetController();
+
+/**
+ * @route   GET /api/nlq/webhooks
+ * @desc    List the webhook targets of the caller's tenant (secrets are never returned)
+ * @access  Private
+ */
+router.get('/',
+  (req, res) => webhookTargetController.listTargets(req, res)
+);
+
+/**
+ * @route   GET /api/nlq/webhooks/:id
+ * @desc    Get a webhook target
+ * @access  Private
+ */
+router.get('/:id',
+  validateParams(schemas.savedQueryParams),
+  (req, res) => webhookTargetController.getTarget(req, res)
+);
+
+/**
+ * @route   POST /api/nlq/webhooks
+ * @desc    Create a webhook target; with a secret, deliveries are signed
+ * @access  Admin
+ */
+router.post('/',
+  requireRole('admin'),
+  validateBody(schemas.webhookTarget),
+  (req, res) => webhookTargetController.createTarget(req, res)
+);
+
+/**
+ * @route   PUT /api/nlq/webhooks/:id
+ * @desc    Replace a webhook target; omit the secret to keep the stored one
+ * @access  Admin
+ */
+router.put('/:id',
+  requireRole('admin'),
+  validateParams(schemas.savedQueryParams),
+  validateBody(schemas.webhookTarget),
+  (req, res) => webhookTargetController.updateTarget(req, res)
+);
+
+/**
+ * @route   DELETE /api/nlq/webhooks/:id
+ * @desc    Delete a webhook target that no schedule alerts
+ * @access  Admin
+ */
+router.delete('/:id',
+  requireRole('admin'),
+  validateParams(schemas.savedQueryParams),
+  (req, res) => webhookTargetController.deleteTarget(req, res)
+);
+
+/**
+ * @route   POST /api/nlq/webhooks/:id/test
+ * @desc    Send a signed test event, with the usual retries
+ * @access  Admin
+ * @rate    Limited by generalLimiter
+ */
+router.post('/:id/test',
+  requireRole('admin'),
+  generalLimiter,
+  validateParams(schemas.savedQueryParams),
+  (req, res) => webhookTargetController.testTarget(req, res)
+);
+
+module.exports = router;
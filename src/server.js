@@ -15,7 +15,10 @@ const logger = require('./utils/logger');
 const db = require('./config/database');
 const nlqRoutes = require('./routes/nlq');
 const dashboardRoutes = require('./routes/dashboard');
+const adminRoutes = require('./routes/admin');
+const NLQFactory = require('./factories/NLQFactory');
 const { generalLimiter } = require('./middleware/rateLimiter');
+const { authenticate } = require('./middleware/auth');
 const { errorHandler, notFoundHandler, asyncHandler } = require('./middleware/errorHandler');
 
 class Server {
@@ -49,7 +52,7 @@ class Server {
       origin: true, // Allow all origins
       credentials: true,
       methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-      allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'X-HTTP-Method-Override'],
+      allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Requested-With', 'Accept', 'Origin', 'X-HTTP-Method-Override'],
       exposedHeaders: ['X-Request-ID'],
       optionsSuccessStatus: 200 // Some legacy browsers choke on 204
     }));
@@ -58,7 +61,7 @@ class Server {
     this.app.options('*', (req, res) => {
       res.header('Access-Control-Allow-Origin', req.headers.origin || '*');
       res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS, PATCH');
-      res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept, Origin, X-HTTP-Method-Override');
+      res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-Requested-With, Accept, Origin, X-HTTP-Method-Override');
       res.header('Access-Control-Allow-Credentials', 'true');
       res.sendStatus(200);
     });
@@ -121,9 +124,13 @@ class Server {
       });
     });
 
+    // Every API route needs an API key or JWT (see AUTH_PUBLIC_PATHS for exceptions)
+    this.app.use('/api', authenticate);
+
     // API routes
     this.app.use('/api/nlq', nlqRoutes);
     this.app.use('/api/dashboard', dashboardRoutes);
+    this.app.use('/api/admin', adminRoutes);
 
     // Root endpoint
     this.app.get('/', (req, res) => {
@@ -135,6 +142,7 @@ class Server {
           health: '/health',
           nlq: '/api/nlq',
           dashboard: '/api/dashboard',
+          admin: '/api/admin',
           docs: '/api/docs'
         },
         timestamp: new Date().toISOString()
@@ -197,6 +205,10 @@ class Server {
         logger.info(`API docs: http://localhost:${this.port}/api/nlq`);
       });
 
+      // Run scheduled queries (SCHEDULER_ENABLED=false leaves this to another instance)
+      this.scheduler = NLQFactory.getQueryScheduler();
+      this.scheduler.start();
+
       // Handle server errors
       this.server.on('error', (error) => {
         if (error.code === 'EADDRINUSE') {
@@ -227,7 +239,13 @@ class Server {
         });
       }
 
-      // Close database connections
+      // Let scheduled runs in progress finish before their connections go away
+      if (this.scheduler) {
+        await this.scheduler.stop();
+      }
+
+      // Close database connections, including the pools of named datasources
+      await NLQFactory.getDatasourceService().closeAll();
       await db.closeConnections();
       logger.info('Database connections closed');
 
@@ -0,0 +1,637 @@
+/**
+ * Access Policy Service
+ * Limits the tables, columns and rows a principal can query
+ *
+ * A policy grants one role of a tenant one table, optionally hiding columns
+ * and adding a row filter such as `region = {{region}}`, where {{name}} is
+ * the principal's attribute (or userId / tenantId) bound as a parameter.
+ * A principal gets the union of its roles' grants. Retrieval only offers
+ * visible tables and columns to the LLM, and before execution every
+ * restricted table reference is replaced with a subquery that projects the
+ * visible columns and applies the row filters:
+ *
+ *   FROM customers c  =>  FROM (SELECT "id", "name" FROM customers WHERE (region = $1)) c
+ *
+ * Functions that read a table named in their arguments would bypass the
+ * rewrite, so restricted principals may not call them.
+ */
+
+const { parse } = require('libpg-query');
+const logger = require('../utils/logger');
+const { ForbiddenError } = require('./AuthService');
+const { getAccessControlConfig } = require('../config/accessControl');
+
+// {{name}} in a row filter
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+// A plain or double-quoted identifier
+const IDENTIFIER = '(?:"(?:[^"]|"")+"|[A-Za-z_\\u0080-\\uffff][\\w$\\u0080-\\uffff]*)';
+const TABLE_REFERENCE = new RegExp(`^${IDENTIFIER}(?:\\s*\\.\\s*${IDENTIFIER})*`);
+
+// SELECT clauses a valid row filter may produce: SELECT 1 FROM t WHERE (<filter>)
+const ROW_FILTER_CLAUSES = ['targetList', 'fromClause', 'whereClause', 'limitOption', 'op'];
+
+// Functions taking a relation, schema or query by name as text; those taking a regclass are read from the catalog
+const RELATION_NAME_FUNCTIONS = [
+  'query_to_xml', 'query_to_xmlschema', 'query_to_xml_and_xmlschema',
+  'cursor_to_xml', 'cursor_to_xmlschema',
+  'schema_to_xml', 'schema_to_xmlschema', 'schema_to_xml_and_xmlschema',
+  'database_to_xml', 'database_to_xmlschema', 'database_to_xml_and_xmlschema',
+  'ts_stat', 'ts_rewrite', 'to_regclass', 'pg_get_serial_sequence',
+  'has_table_privilege', 'has_column_privilege', 'has_any_column_privilege', 'has_sequence_privilege',
+  'dblink', 'dblink_exec'
+];
+
+// Access to a table no policy restricts
+const UNRESTRICTED = Object.freeze({ deniedColumns: new Set(), rowFilters: null });
+
+/**
+ * Error raised when SQL touches tables or columns the principal may not read
+ */
+class AccessDeniedError extends Error {
+  /**
+   * @param {Array<Object>} violations - Structured violations
+   */
+  constructor(violations) {
+    super(violations.map(violation => violation.message).join('; '));
+    this.name = 'AccessDeniedError';
+    this.code = 'ACCESS_DENIED';
+    this.violations = violations;
+  }
+}
+
+/**
+ * Name a table the way policies do: lower-cased, without the public schema
+ * @param {string} name - Table name, optionally schema-qualified
+ * @returns {string} Policy table name
+ */
+const normalizeTableName = (name) => {
+  const lower = String(name).toLowerCase();
+  return lower.startsWith('public.') ? lower.slice('public.'.length) : lower;
+};
+
+/**
+ * Double-quote an identifier
+ * @param {string} name - Identifier
+ * @returns {string} Quoted identifier
+ */
+const quoteIdentifier = (name) => `"${name.replace(/"/g, '""')}"`;
+
+/**
+ * Walk a parse tree and collect table references, column references, function names and CTE names
+ * @param {Array} statements - Parsed statements
+ * @returns {Object} { tables, columns, functions, cteNames }
+ */
+const collectReferences = (statements) => {
+  const tables = [];
+  const columns = [];
+  const functions = new Set();
+  const cteNames = new Set();
+
+  const visit = (type, node) => {
+    if (type === 'CommonTableExpr') {
+      cteNames.add(node.ctename.toLowerCase());
+    } else if (type === 'RangeVar') {
+      tables.push({
+        schema: node.schemaname ? node.schemaname.toLowerCase() : null,
+        name: node.relname.toLowerCase(),
+        relname: node.relname,
+        alias: node.alias ? node.alias.aliasname.toLowerCase() : null,
+        location: node.location
+      });
+    } else if (type === 'ColumnRef') {
+      const names = (node.fields || []).map(field => (field.String ? field.String.sval.toLowerCase() : null));
+      // table.* and * are covered by the projection of the rewritten table
+      if (names.length > 0 && names[names.length - 1] !== null) {
+        columns.push({ name: names[names.length - 1], qualifier: names.length > 1 ? names[names.length - 2] : null });
+      }
+    } else if (type === 'FuncCall') {
+      const names = (node.funcname || []).map(part => (part.String ? part.String.sval.toLowerCase() : ''));
+      functions.add(names[names.length - 1]);
+    }
+  };
+
+  const walk = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(walk);
+    } else if (value && typeof value === 'object') {
+      for (const [key, child] of Object.entries(value)) {
+        if (child && typeof child === 'object' && !Array.isArray(child)) {
+          visit(key, child);
+        }
+        walk(child);
+      }
+    }
+  };
+
+  walk(statements);
+  return { tables, columns, functions, cteNames };
+};
+
+/**
+ * Create an error with a code the controller maps to a status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error} Error
+ */
+const createError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+class AccessPolicyService {
+  /**
+   * @param {AccessPolicyRepository} accessPolicyRepository - Policy storage
+   * @param {Object} primaryDB - Database pool of the queried data (for table columns)
+   * @param {Object} config - Access control configuration (see config/accessControl.js)
+   */
+  constructor(accessPolicyRepository, primaryDB, config = getAccessControlConfig()) {
+    this.accessPolicyRepository = accessPolicyRepository;
+    this.primaryDB = primaryDB;
+    this.config = config;
+    this.policyCache = new Map();
+    this.columnCache = new Map();
+    this.functionCache = new Map();
+  }
+
+  /**
+   * List the policies of the admin's tenant
+   * @param {Object} principal - Admin
+   * @param {Object} filters - { tenantId, role, tableName }
+   * @returns {Promise<Array>} Policies
+   */
+  async listPolicies(principal, filters = {}) {
+    const tenantId = this.resolveTenant(principal, filters.tenantId);
+    return this.accessPolicyRepository.list(tenantId, {
+      role: filters.role,
+      tableName: filters.tableName ? normalizeTableName(filters.tableName) : undefined
+    });
+  }
+
+  /**
+   * Get a policy of the admin's tenant
+   * @param {Object} principal - Admin
+   * @param {number} id - Policy id
+   * @returns {Promise<Object|null>} Policy, or null if not found
+   */
+  async getPolicy(principal, id) {
+    return this.accessPolicyRepository.findById(id, principal.tenantId);
+  }
+
+  /**
+   * Create a policy
+   * @param {Object} principal - Admin
+   * @param {Object} data - { tenantId, role, tableName, deniedColumns, rowFilter, description }
+   * @returns {Promise<Object>} Created policy
+   * @throws {Error} With code INVALID_POLICY or DUPLICATE_POLICY
+   */
+  async createPolicy(principal, data) {
+    const tenantId = this.resolveTenant(principal, data.tenantId);
+    const policy = await this.preparePolicy(data);
+    await this.checkUnique(tenantId, policy);
+
+    const created = await this.accessPolicyRepository.create({ ...policy, tenantId, createdBy: principal.id });
+    this.policyCache.delete(tenantId);
+
+    logger.info(`Access policy ${created.id} (${created.role} on ${created.tableName}) created for tenant ${tenantId}`);
+    return created;
+  }
+
+  /**
+   * Replace a policy of the admin's tenant
+   * @param {Object} principal - Admin
+   * @param {number} id - Policy id
+   * @param {Object} data - { role, tableName, deniedColumns, rowFilter, description }
+   * @returns {Promise<Object|null>} Updated policy, or null if not found
+   * @throws {Error} With code INVALID_POLICY or DUPLICATE_POLICY
+   */
+  async updatePolicy(principal, id, data) {
+    const existing = await this.accessPolicyRepository.findById(id, principal.tenantId);
+    if (!existing) return null;
+
+    const policy = await this.preparePolicy(data);
+    await this.checkUnique(existing.tenantId, policy, existing.id);
+
+    const updated = await this.accessPolicyRepository.update(existing.id, existing.tenantId, policy);
+    this.policyCache.delete(existing.tenantId);
+
+    logger.info(`Access policy ${existing.id} updated for tenant ${existing.tenantId}`);
+    return updated;
+  }
+
+  /**
+   * Delete a policy of the admin's tenant
+   * @param {Object} principal - Admin
+   * @param {number} id - Policy id
+   * @returns {Promise<Object|null>} Deleted policy, or null if not found
+   */
+  async deletePolicy(principal, id) {
+    const existing = await this.accessPolicyRepository.findById(id, principal.tenantId);
+    if (!existing) return null;
+
+    await this.accessPolicyRepository.delete(existing.id, existing.tenantId);
+    this.policyCache.delete(existing.tenantId);
+
+    logger.info(`Access policy ${existing.id} deleted for tenant ${existing.tenantId}`);
+    return existing;
+  }
+
+  /**
+   * Normalize policy data and check its row filter
+   * @param {Object} data - Policy data
+   * @returns {Promise<Object>} { role, tableName, deniedColumns, rowFilter, description }
+   * @throws {Error} With code INVALID_POLICY
+   */
+  async preparePolicy(data) {
+    const policy = {
+      role: data.role,
+      tableName: normalizeTableName(data.tableName),
+      deniedColumns: [...new Set((data.deniedColumns || []).map(column => column.toLowerCase()))],
+      rowFilter: data.rowFilter ? data.rowFilter.trim() : null,
+      description: data.description || null
+    };
+
+    if (policy.rowFilter) {
+      await this.checkRowFilter(policy.rowFilter);
+    }
+    return policy;
+  }
+
+  /**
+   * Check that a row filter is a single boolean expression
+   * @param {string} rowFilter - Filter with {{name}} placeholders
+   * @throws {Error} With code INVALID_POLICY
+   */
+  async checkRowFilter(rowFilter) {
+    let parsed;
+    try {
+      parsed = await parse(`SELECT 1 FROM policy_table WHERE (${rowFilter.replace(PLACEHOLDER_PATTERN, () => '$1')})`);
+    } catch (error) {
+      throw createError('INVALID_POLICY', `Row filter could not be parsed: ${error.message}`);
+    }
+
+    const statements = parsed.stmts || [];
+    const select = statements.length === 1 ? statements[0].stmt.SelectStmt : null;
+    const isExpression = select
+      && select.op === 'SETOP_NONE'
+      && select.limitOption === 'LIMIT_OPTION_DEFAULT'
+      && Object.keys(select).every(clause => ROW_FILTER_CLAUSES.includes(clause));
+
+    if (!isExpression) {
+      throw createError('INVALID_POLICY', 'Row filter must be a single boolean expression');
+    }
+  }
+
+  /**
+   * Reject a second policy for the same role and table
+   * @param {string} tenantId - Tenant
+   * @param {Object} policy - Prepared policy
+   * @param {number} ignoreId - Policy being updated
+   * @throws {Error} With code DUPLICATE_POLICY
+   */
+  async checkUnique(tenantId, policy, ignoreId = null) {
+    const existing = await this.accessPolicyRepository.list(tenantId, { role: policy.role, tableName: policy.tableName });
+    if (existing.some(other => other.id !== ignoreId)) {
+      throw createError('DUPLICATE_POLICY', `Role '${policy.role}' already has a policy for table '${policy.tableName}'`);
+    }
+  }
+
+  /**
+   * Tenant an admin acts on
+   * @param {Object} principal - Admin
+   * @param {string} requested - Requested tenant, if any
+   * @returns {string} Tenant id
+   * @throws {ForbiddenError} If a tenant admin asks for another tenant
+   */
+  resolveTenant(principal, requested) {
+    if (principal.tenantId === null) {
+      return requested || this.config.defaultTenant;
+    }
+    if (requested && requested !== principal.tenantId) {
+      throw new ForbiddenError('Access policies of another tenant cannot be managed');
+    }
+    return principal.tenantId;
+  }
+
+  /**
+   * Work out what a principal may read
+   * @param {Object} principal - Principal; internal calls without one are not restricted
+   * @returns {Promise<Object|null>} { principal, tables, defaultAccess }, or null when unrestricted
+   */
+  async getScope(principal) {
+    if (!this.config.enabled || !principal) {
+      return null;
+    }
+
+    const roles = principal.roles || [];
+    if (roles.some(role => this.config.bypassRoles.includes(role))) {
+      return null;
+    }
+
+    const policies = (await this.getTenantPolicies(principal.tenantId)).filter(policy => roles.includes(policy.role));
+    const tables = new Map();
+
+    // A column stays hidden only if every granting role hides it; rows visible to any role are visible
+    for (const policy of policies) {
+      const current = tables.get(policy.tableName);
+      const rowFilters = policy.rowFilter ? [policy.rowFilter] : null;
+
+      if (!current) {
+        tables.set(policy.tableName, { deniedColumns: new Set(policy.deniedColumns), rowFilters });
+      } else {
+        current.deniedColumns = new Set([...current.deniedColumns].filter(column => policy.deniedColumns.includes(column)));
+        current.rowFilters = current.rowFilters && rowFilters ? [...current.rowFilters, ...rowFilters] : null;
+      }
+    }
+
+    return { principal, tables, defaultAccess: this.config.defaultAccess };
+  }
+
+  /**
+   * Access to one table
+   * @param {Object|null} scope - Result of getScope
+   * @param {string} tableName - Table name
+   * @returns {Object|null} { deniedColumns, rowFilters }, or null if the table is forbidden
+   */
+  getTableAccess(scope, tableName) {
+    if (!scope) {
+      return UNRESTRICTED;
+    }
+    const access = scope.tables.get(normalizeTableName(tableName));
+    if (access) {
+      return access;
+    }
+    return scope.defaultAccess === 'allow' ? UNRESTRICTED : null;
+  }
+
+  /**
+   * Whether a table, or one of its columns, may be shown to the principal
+   * @param {Object|null} scope - Result of getScope
+   * @param {string} tableName - Table name
+   * @param {string} columnName - Column name (omit for the table itself)
+   * @returns {boolean} True if visible
+   */
+  isVisible(scope, tableName, columnName) {
+    const access = this.getTableAccess(scope, tableName);
+    return Boolean(access) && (!columnName || !access.deniedColumns.has(columnName.toLowerCase()));
+  }
+
+  /**
+   * Check SQL against the principal's policies and rewrite every restricted
+   * table reference into a subquery applying its policy
+   * @param {string} sql - SQL that passed safety validation
+   * @param {Object} principal - Principal the SQL runs for; internal calls without one are not restricted
+   * @param {Array} params - Values of the SQL's own $1, $2, ... placeholders
+   * @param {Object} source - Datasource the SQL runs on; policies name tables of whichever
+   *   datasource is queried (primary database by default)
+   * @returns {Promise<Object>} { sql, params } to execute
+   * @throws {AccessDeniedError} If the SQL touches forbidden tables or columns
+   */
+  async authorize(sql, principal, params = [], source = null) {
+    const scope = await this.getScope(principal);
+    if (!scope) {
+      return { sql, params };
+    }
+
+    const { tables, columns, functions, cteNames } = collectReferences((await parse(sql)).stmts);
+    const violations = new Map();
+    const restricted = new Map();
+    const rewrites = [];
+
+    const deny = (code, object, message) => violations.set(`${code}:${object}`, { code, message, object });
+
+    for (const table of tables) {
+      const tableName = table.schema && table.schema !== 'public' ? `${table.schema}.${table.name}` : table.name;
+      const access = this.getTableAccess(scope, tableName);
+      if (access === UNRESTRICTED) continue;
+
+      // An unqualified CTE name is not a table, unless it shadows a real restricted one
+      if (!table.schema && cteNames.has(table.name) && (await this.getColumns(tableName, source)).length === 0) continue;
+
+      if (!access) {
+        deny('TABLE_NOT_ALLOWED', tableName, `Access to table '${tableName}' is not allowed`);
+        continue;
+      }
+
+      restricted.set(table.alias || table.name, { tableName, access });
+      if (access.deniedColumns.size > 0 || access.rowFilters) {
+        rewrites.push({ table, tableName, access });
+      }
+    }
+
+    const relationFunctions = functions.size > 0 ? await this.getRelationFunctions(source) : new Set();
+    for (const name of functions) {
+      if (relationFunctions.has(name)) {
+        deny('FUNCTION_NOT_ALLOWED', name, `Function '${name}' reads tables by name and is not allowed`);
+      }
+    }
+
+    for (const column of columns) {
+      // An unqualified name matching an alias is a whole-row reference, covered by the projection
+      const candidates = column.qualifier
+        ? [restricted.get(column.qualifier)].filter(Boolean)
+        : (restricted.has(column.name) ? [] : [...restricted.values()]);
+
+      candidates
+        .filter(({ access }) => access.deniedColumns.has(column.name))
+        .forEach(({ tableName }) => deny(
+          'COLUMN_NOT_ALLOWED',
+          `${tableName}.${column.name}`,
+          `Access to column '${column.name}' of table '${tableName}' is not allowed`
+        ));
+    }
+
+    if (violations.size > 0) {
+      throw new AccessDeniedError([...violations.values()]);
+    }
+
+    const rewritten = await this.rewrite(sql, rewrites, scope.principal, params, source);
+    if (rewrites.length > 0) {
+      logger.info(`Applied access policies to ${rewrites.length} table reference(s) for ${scope.principal.id || 'anonymous'}`);
+    }
+    return rewritten;
+  }
+
+  /**
+   * Replace restricted table references with policy subqueries
+   * @param {string} sql - Original SQL
+   * @param {Array} rewrites - { table, tableName, access } per reference
+   * @param {Object} principal - Principal whose attributes fill row filters
+   * @param {Array} params - Values of the SQL's own placeholders
+   * @param {Object} source - Datasource the tables belong to (primary database by default)
+   * @returns {Promise<Object>} { sql, params }
+   * @throws {AccessDeniedError} If a filter needs a missing attribute or the result does not parse
+   */
+  async rewrite(sql, rewrites, principal, params, source = null) {
+    const values = [...params];
+    const placeholders = new Map();
+    const violations = [];
+    const replacements = [];
+
+    const bind = (name, tableName) => {
+      if (!placeholders.has(name)) {
+        const value = this.getAttribute(principal, name);
+        if (value === undefined || value === null) {
+          violations.push({
+            code: 'MISSING_ATTRIBUTE',
+            message: `Row filter of table '${tableName}' needs the '${name}' attribute`,
+            object: tableName
+          });
+          return 'NULL';
+        }
+        values.push(value);
+        placeholders.set(name, `$${values.length}`);
+      }
+      return placeholders.get(name);
+    };
+
+    const encoded = Buffer.from(sql);
+    for (const { table, tableName, access } of rewrites) {
+      const start = table.location >= 0 ? encoded.subarray(0, table.location).toString().length : -1;
+      const match = start >= 0 ? TABLE_REFERENCE.exec(sql.slice(start)) : null;
+      const projection = await this.getProjection(tableName, access, source);
+
+      if (!match || !projection) {
+        violations.push({
+          code: match ? 'TABLE_NOT_ALLOWED' : 'REWRITE_FAILED',
+          message: match
+            ? `No column of table '${tableName}' is visible`
+            : `Access policy of table '${tableName}' could not be applied to this query`,
+          object: tableName
+        });
+        continue;
+      }
+
+      const where = access.rowFilters
+        ? ` WHERE ${access.rowFilters.map(filter => `(${filter.replace(PLACEHOLDER_PATTERN, (placeholder, name) => bind(name, tableName))})`).join(' OR ')}`
+        : '';
+      const alias = table.alias ? '' : ` AS ${quoteIdentifier(table.relname)}`;
+
+      replacements.push({
+        start,
+        end: start + match[0].length,
+        text: `(SELECT ${projection} FROM ${match[0]}${where})${alias}`
+      });
+    }
+
+    if (violations.length > 0) {
+      throw new AccessDeniedError(violations);
+    }
+
+    // Replace from the end so earlier offsets stay valid
+    let result = sql;
+    for (const { start, end, text } of replacements.sort((a, b) => b.start - a.start)) {
+      result = result.slice(0, start) + text + result.slice(end);
+    }
+
+    try {
+      await parse(result);
+    } catch (error) {
+      throw new AccessDeniedError([{
+        code: 'REWRITE_FAILED',
+        message: 'Access policies could not be applied to this query'
+      }]);
+    }
+
+    return { sql: result, params: values };
+  }
+
+  /**
+   * Value of a row filter placeholder
+   * @param {Object} principal - Principal
+   * @param {string} name - Attribute name, or userId / tenantId
+   * @returns {*} Value, or undefined if the principal has none
+   */
+  getAttribute(principal, name) {
+    const attributes = principal.attributes || {};
+    if (Object.prototype.hasOwnProperty.call(attributes, name)) {
+      return attributes[name];
+    }
+    if (name === 'userId' || name === 'tenantId') {
+      return principal[name];
+    }
+    return undefined;
+  }
+
+  /**
+   * Select list exposing the visible columns of a table
+   * @param {string} tableName - Table name
+   * @param {Object} access - Table access
+   * @param {Object} source - Datasource the table belongs to (primary database by default)
+   * @returns {Promise<string|null>} Select list, or null if no column is visible
+   */
+  async getProjection(tableName, access, source = null) {
+    if (access.deniedColumns.size === 0) {
+      return '*';
+    }
+    const visible = (await this.getColumns(tableName, source)).filter(column => !access.deniedColumns.has(column.toLowerCase()));
+    return visible.length > 0 ? visible.map(quoteIdentifier).join(', ') : null;
+  }
+
+  /**
+   * Column names of a table, in definition order
+   * @param {string} tableName - Table name (public unless schema-qualified)
+   * @param {Object} source - Datasource the table belongs to (primary database by default)
+   * @returns {Promise<Array<string>>} Columns; empty if the table does not exist
+   */
+  async getColumns(tableName, source = null) {
+    const cacheKey = source ? `${source.key}:${tableName}` : tableName;
+    const cached = this.columnCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.columns;
+    }
+
+    const [schema, name] = tableName.includes('.') ? tableName.split('.') : ['public', tableName];
+    const result = await (source ? source.pool : this.primaryDB).query(`
+      SELECT column_name FROM information_schema.columns
+      WHERE lower(table_schema) = $1 AND lower(table_name) = $2
+      ORDER BY ordinal_position
+    `, [schema, name]);
+
+    const columns = result.rows.map(row => row.column_name);
+    this.columnCache.set(cacheKey, { columns, expiresAt: Date.now() + this.config.cacheTtlMs });
+    return columns;
+  }
+
+  /**
+   * Names of functions that take a relation by name or regclass, cached for cacheTtlMs
+   * @param {Object} source - Datasource whose catalog to read (primary database by default)
+   * @returns {Promise<Set<string>>} Lower-cased function names
+   */
+  async getRelationFunctions(source = null) {
+    const cacheKey = source ? source.key : '';
+    const cached = this.functionCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.functions;
+    }
+
+    const result = await (source ? source.pool : this.primaryDB).query(`
+      SELECT DISTINCT lower(proname) AS name FROM pg_catalog.pg_proc
+      WHERE 'pg_catalog.regclass'::regtype::oid = ANY(proargtypes::oid[])
+    `, []);
+
+    const functions = new Set([...RELATION_NAME_FUNCTIONS, ...result.rows.map(row => row.name)]);
+    this.functionCache.set(cacheKey, { functions, expiresAt: Date.now() + this.config.cacheTtlMs });
+    return functions;
+  }
+
+  /**
+   * Policies of a tenant, cached for cacheTtlMs and refreshed on every change
+   * @param {string} tenantId - Tenant
+   * @returns {Promise<Array>} Policies
+   */
+  async getTenantPolicies(tenantId) {
+    const cached = this.policyCache.get(tenantId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.policies;
+    }
+
+    const policies = await this.accessPolicyRepository.list(tenantId);
+    this.policyCache.set(tenantId, { policies, expiresAt: Date.now() + this.config.cacheTtlMs });
+    return policies;
+  }
+}
+
+module.exports = AccessPolicyService;
+module.exports.AccessDeniedError = AccessDeniedError;
@@ -1,79 +1,143 @@
 /**
- * Advanced NLQ Service using LangChain and Gemini AI
+ * Advanced NLQ Service using LangChain and a pluggable LLM provider
  * Implements the complete NLQ flow with vector search and LLM integration
  */
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const { ChatGoogleGenerativeAI } = require('@langchain/google-genai');
-const { GoogleGenerativeAIEmbeddings } = require('@langchain/google-genai');
 const { PromptTemplate } = require('@langchain/core/prompts');
-const { StringOutputParser } = require('@langchain/core/output_parsers');
 const db = require('../config/database');
 const logger = require('../utils/logger');
-const { GEMINI_API_KEY } = require('../environment');
+const LLMProviderFactory = require('../factories/LLMProviderFactory');
+const SQLSafetyValidator = require('./SQLSafetyValidator');
+const QuerySandbox = require('./QuerySandbox');
+const SchemaIndexRepository = require('../repositories/SchemaIndexRepository');
+const SchemaIndexService = require('./SchemaIndexService');
+const SchemaRetrievalService = require('./SchemaRetrievalService');
+const { CLARIFY_PREFIX, clarificationError, holdClarificationTokens } = require('./ClarificationService');
+const { getRetrievalConfig } = require('../config/retrieval');
+const { getResultConfig } = require('../config/results');
+const { DEFAULT_DATASOURCE } = require('../config/datasources');
+const { runChain } = require('../utils/llmChain');
+const { getOwner } = require('../utils/ownership');
+
+// SQLSTATE classes the LLM can plausibly fix: data exceptions (22),
+// cardinality violations (21) and syntax/undefined-object errors (42)
+const REPAIRABLE_SQLSTATE_CLASSES = ['21', '22', '42'];
+// Missing privileges are a policy decision, not a query mistake
+const NON_REPAIRABLE_SQLSTATES = ['42501'];
+
+// SQLSTATE of SQL the parser rejects (syntax_error)
+const SYNTAX_ERROR_SQLSTATE = '42601';
+
+// Rows per `rows` event when a query is streamed
+const DEFAULT_ROW_CHUNK_SIZE = 100;
+
+/**
+ * Stop a request whose caller has gone away (see options.signal of processQuery)
+ * @param {AbortSignal} signal - Aborted when the caller disconnects (optional)
+ * @throws {Error} With code ABORTED if the signal was aborted
+ */
+const throwIfAborted = (signal) => {
+  if (signal && signal.aborted) {
+    const error = new Error('Request aborted: the client disconnected');
+    error.code = 'ABORTED';
+    throw error;
+  }
+};
+
+/**
+ * Run a pipeline stage and add its duration to the timings object
+ * Stages that run more than once (e.g. during repairs) accumulate
+ * @param {Object} timings - Stage name => milliseconds
+ * @param {string} stage - Stage name
+ * @param {Function} fn - async () => result
+ * @returns {Promise<*>} Stage result
+ */
+const timeStage = async (timings, stage, fn) => {
+  const start = Date.now();
+  try {
+    return await fn();
+  } finally {
+    timings[stage] = (timings[stage] || 0) + (Date.now() - start);
+  }
+};
 
 class AdvancedNLQService {
-  constructor() {
+  /**
+   * @param {Object} options - Service options
+   * @param {BaseLLMProvider} options.provider - LLM provider (defaults to the configured one)
+   * @param {number} options.maxAttempts - Generation attempts per query, including repairs
+   * @param {AccessPolicyService} options.accessPolicyService - Role-based table, column and row access
+   *   (without one, every principal reads everything)
+   * @param {DataMaskingService} options.dataMaskingService - PII masking of result values per caller role
+   *   (without one, values are returned as read)
+   * @param {DatasourceService} options.datasourceService - Named datasources queries can target
+   *   (without one, only the primary database)
+   * @param {QueryCacheService} options.queryCacheService - Reuse of validated SQL for repeated
+   *   and paraphrased questions (without one, every question is generated)
+   * @param {SchemaIndexRepository} options.schemaIndexRepository - Table and column index of the primary database
+   * @param {GlossaryRepository} options.glossaryRepository - Business terms of the primary database
+   *   (without one, prompts carry no business terms)
+   * @param {ExampleRetrievalService} options.exampleRetrievalService - Few-shot question→SQL examples
+   *   (without one, prompts carry no examples)
+   * @param {ClarificationService} options.clarificationService - Clarifying questions for ambiguous
+   *   queries (without one, options.clarify is ignored and ambiguous queries are answered as read)
+   * @param {AnswerSummaryService} options.answerSummaryService - Plain-language answers
+   *   (without one, options.summarize is ignored)
+   * @param {ChartRecommendationService} options.chartRecommendationService - Visualization of results
+   *   (without one, results carry no visualization)
+   */
+  constructor(options = {}) {
     this.primaryDB = db.getPrimaryDB();
     this.vectorDB = db.getVectorDB();
     this.isInitialized = false;
-    this.genAI = null;
+    this.provider = options.provider || null;
+    this.sqlValidator = options.sqlValidator || new SQLSafetyValidator();
+    this.sandbox = options.sandbox || new QuerySandbox(this.primaryDB);
+    this.accessPolicyService = options.accessPolicyService || null;
+    this.dataMaskingService = options.dataMaskingService || null;
+    this.datasourceService = options.datasourceService || null;
+    this.queryCacheService = options.queryCacheService || null;
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.SQL_REPAIR_MAX_ATTEMPTS) || 3;
+    this.maxResultRows = getResultConfig().maxRows;
+    this.schemaIndexRepository = options.schemaIndexRepository || null;
+    this.glossaryRepository = options.glossaryRepository || null;
+    this.exampleRetrievalService = options.exampleRetrievalService || null;
+    this.clarificationService = options.clarificationService || null;
+    this.answerSummaryService = options.answerSummaryService || null;
+    this.chartRecommendationService = options.chartRecommendationService || null;
+    this.schemaIndexService = null;
+    this.schemaRetrievalService = null;
+    // Source key => schema index and retrieval of a named datasource
+    this.sourceEngines = new Map();
     this.llm = null;
     this.embeddings = null;
   }
 
   /**
-   * Initialize the service with Gemini AI and LangChain
+   * Initialize the service with the configured LLM provider and LangChain
    */
   async initialize() {
     if (this.isInitialized) return;
     
     try {
-      // Initialize Gemini AI
-      if (!GEMINI_API_KEY) {
-        throw new Error('GEMINI_API_KEY is required but not provided');
+      if (!this.provider) {
+        this.provider = LLMProviderFactory.createProvider();
       }
+      this.llm = this.provider.getChatModel();
+      this.embeddings = this.provider.getEmbeddings();
       
-      this.genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
-      this.llm = new ChatGoogleGenerativeAI({
-        model: 'gemini-1.5-flash',
-        apiKey: GEMINI_API_KEY,
-        temperature: 0.1,
-      });
-      this.embeddings = new GoogleGenerativeAIEmbeddings({
-        model: 'embedding-001',
-        apiKey: GEMINI_API_KEY,
-      });
-      
-      logger.info('LangChain and Gemini AI initialized successfully');
+      logger.info(`LangChain initialized with ${this.provider.name} provider (${this.provider.config.chatModel})`);
 
-      // Enable pgvector extension
-      await this.vectorDB.query('CREATE EXTENSION IF NOT EXISTS vector;');
-      
-      // Drop existing table if it exists (to fix dimension mismatch)
-      await this.vectorDB.query('DROP TABLE IF EXISTS table_metadata;');
-      
-      // Create table metadata table for vector search
-      await this.vectorDB.query(`
-        CREATE TABLE table_metadata (
-          id SERIAL PRIMARY KEY,
-          table_name VARCHAR(255) NOT NULL,
-          description TEXT,
-          schema_info JSONB,
-          embedding vector(768),
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        );
-      `);
-      
-      // Create index for vector similarity search
-      await this.vectorDB.query(`
-        CREATE INDEX IF NOT EXISTS table_metadata_embedding_idx 
-        ON table_metadata USING ivfflat (embedding vector_cosine_ops) 
-        WITH (lists = 100);
-      `);
-      
-      // Populate table metadata if empty
-      await this.populateTableMetadata();
+      // Bring the table/column index used for retrieval up to date (only changed tables are embedded)
+      this.schemaIndexService = new SchemaIndexService(
+        this.schemaIndexRepository,
+        this.primaryDB,
+        this.provider,
+        getRetrievalConfig(),
+        this.glossaryRepository
+      );
+      this.schemaRetrievalService = new SchemaRetrievalService(this.schemaIndexRepository, this.provider);
+      await this.schemaIndexService.ensureIndex();
       
       this.isInitialized = true;
       logger.info('Advanced NLQ Service initialized successfully with LangChain');
@@ -84,35 +148,105 @@ class AdvancedNLQService {
   }
 
   /**
-   * Step 1: Create embedding and do cosine similarity query to get top 5 tables
+   * Describe the active LLM provider
+   * @returns {Object} Provider information
+   */
+  getProviderInfo() {
+    if (!this.provider) {
+      this.provider = LLMProviderFactory.createProvider();
+    }
+    return this.provider.getInfo();
+  }
+
+  /**
+   * Resolve the database a call runs against
+   * @param {Object} options - Call options
+   * @param {Object} options.source - Source resolved earlier in the same call
+   * @param {string} options.datasource - Datasource name; the primary database when omitted or 'default'
+   * @param {Object} options.principal - Principal whose tenant and roles decide which datasources exist
+   * @returns {Promise<Object>} { key, name, pool, sandbox }
+   * @throws {Error} With code DATASOURCE_NOT_FOUND (see DatasourceService.getSource)
+   */
+  async resolveSource(options = {}) {
+    if (options.source) {
+      return options.source;
+    }
+    if (!options.datasource || options.datasource === DEFAULT_DATASOURCE) {
+      return { key: DEFAULT_DATASOURCE, name: DEFAULT_DATASOURCE, pool: this.primaryDB, sandbox: this.sandbox };
+    }
+    if (!this.datasourceService) {
+      const error = new Error(`Datasource '${options.datasource}' not found`);
+      error.code = 'DATASOURCE_NOT_FOUND';
+      throw error;
+    }
+    return this.datasourceService.getSource(options.datasource, options.principal);
+  }
+
+  /**
+   * Schema index and retrieval of a source; a named datasource's index is
+   * brought up to date the first time it is used (and after it changed)
+   * @param {Object} source - Result of resolveSource
+   * @returns {Promise<Object>} { schemaIndexService, schemaRetrievalService }
+   */
+  async getEngines(source) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+    if (source.key === DEFAULT_DATASOURCE) {
+      return { schemaIndexService: this.schemaIndexService, schemaRetrievalService: this.schemaRetrievalService };
+    }
+
+    let engines = this.sourceEngines.get(source.key);
+    if (!engines || engines.pool !== source.pool) {
+      // The glossary describes the primary database, so it is not embedded here
+      const repository = new SchemaIndexRepository(this.vectorDB, source.key);
+      engines = {
+        pool: source.pool,
+        schemaIndexService: new SchemaIndexService(repository, source.pool, this.provider, getRetrievalConfig()),
+        schemaRetrievalService: new SchemaRetrievalService(repository, this.provider),
+        ready: null
+      };
+      this.sourceEngines.set(source.key, engines);
+    }
+
+    if (!engines.ready) {
+      engines.ready = engines.schemaIndexService.ensureIndex().catch((error) => {
+        engines.ready = null;
+        throw error;
+      });
+    }
+    await engines.ready;
+    return engines;
+  }
+
+  /**
+   * Build the visibility check of a principal's access policies
+   * @param {Object} principal - Principal (internal calls pass none)
+   * @returns {Promise<Function|null>} (tableName, columnName) => boolean, or null when unrestricted
    */
-  async findRelevantTables(query, limit = 5) {
+  async getVisibilityFilter(principal) {
+    const scope = this.accessPolicyService ? await this.accessPolicyService.getScope(principal) : null;
+    return scope ? (tableName, columnName) => this.accessPolicyService.isVisible(scope, tableName, columnName) : null;
+  }
+
+  /**
+   * Step 1: Hybrid (vector + keyword) retrieval over tables and columns,
+   * expanded with foreign-key neighbours
+   * @param {string} query - Retrieval text
+   * @param {number} limit - Number of tables before foreign-key expansion
+   * @param {Object} options - Retrieval options
+   * @param {Function} options.isVisible - Only offer tables and columns passing this check
+   * @param {Object} options.source - Datasource to search (see resolveSource; primary database by default)
+   * @param {Array<number>} options.queryEmbedding - Embedding of the query, when already computed
+   */
+  async findRelevantTables(query, limit = 5, options = {}) {
     try {
       logger.info(`Step 1: Finding relevant tables for query: "${query}"`);
       
-      // Generate query embedding using LangChain
-      const queryEmbedding = await this.embeddings.embedQuery(query);
-      
-      // Vector similarity search using cosine similarity
-      const searchResult = await this.vectorDB.query(`
-        SELECT 
-          table_name,
-          description,
-          schema_info,
-          1 - (embedding <=> $1) as similarity
-        FROM table_metadata
-        ORDER BY embedding <=> $1
-        LIMIT $2
-      `, [`[${queryEmbedding.join(',')}]`, limit]);
-      
-      const relevantTables = searchResult.rows.map(row => ({
-        tableName: row.table_name,
-        description: row.description,
-        schema: typeof row.schema_info === 'string' ? JSON.parse(row.schema_info) : row.schema_info,
-        similarity: parseFloat(row.similarity)
-      }));
+      const retrieval = options.source ? (await this.getEngines(options.source)).schemaRetrievalService : this.schemaRetrievalService;
+      const relevantTables = await retrieval.retrieve(query, { limit, isVisible: options.isVisible, queryEmbedding: options.queryEmbedding });
       
-      logger.info(`Found ${relevantTables.length} relevant tables with similarities: ${relevantTables.map(t => `${t.tableName}(${t.similarity.toFixed(3)})`).join(', ')}`);
+      logger.info(`Found ${relevantTables.length} relevant tables: ${relevantTables.map(t => `${t.tableName}[${t.reason}]`).join(', ')}`);
       return relevantTables;
     } catch (error) {
       logger.error('Step 1 failed - Failed to find relevant tables:', error);
@@ -120,18 +254,54 @@ class AdvancedNLQService {
     }
   }
 
+  /**
+   * Embed stored examples the active provider has not embedded yet (see ExampleRetrievalService.syncEmbeddings)
+   * @returns {Promise<Object>} { embedded, model }
+   */
+  async syncExampleEmbeddings() {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+    return this.exampleRetrievalService.syncEmbeddings(this.provider);
+  }
+
+  /**
+   * Find stored question→SQL examples closest to a question, for few-shot prompting
+   * @param {string} query - Natural language question
+   * @param {Object} options - Search options (see ExampleRetrievalService.findSimilar)
+   * @returns {Promise<Array>} Examples with similarity, best first; none without an example store
+   */
+  async findSimilarExamples(query, options = {}) {
+    return this.exampleRetrievalService ? this.exampleRetrievalService.findSimilar(query, this.provider, options) : [];
+  }
+
+  /**
+   * Tables an example's SQL reads, for filtering examples by visibility
+   * @param {string} sql - Example SQL
+   * @returns {Promise<Array<string>>} Unqualified, lower-case table names
+   * @throws {SQLSafetyError} If the SQL is not a single read-only query
+   */
+  async getExampleTables(sql) {
+    const { tables } = await this.sqlValidator.assertSafe(sql);
+    return [...new Set(tables.map(tableName => tableName.split('.').pop().toLowerCase()))];
+  }
+
   /**
    * Step 2: Get complete schema of related tables from PostgreSQL
+   * @param {Array<string>} tableNames - Tables chosen in step 1
+   * @param {Object} options - Schema options
+   * @param {Function} options.isVisible - Drop columns, and foreign keys to tables, failing this check
+   * @param {Object} options.source - Datasource the tables belong to (primary database by default)
    */
-  async getCompleteTableSchemas(tableNames) {
+  async getCompleteTableSchemas(tableNames, options = {}) {
     try {
       logger.info(`Step 2: Getting complete schemas for tables: ${tableNames.join(', ')}`);
       
       const schemas = {};
       
       for (const tableName of tableNames) {
-        const schema = await this.getTableSchema(tableName);
-        schemas[tableName] = schema;
+        const schema = await this.getTableSchema(tableName, options.source);
+        schemas[tableName] = options.isVisible ? this.filterTableSchema(tableName, schema, options.isVisible) : schema;
       }
       
       logger.info(`Retrieved schemas for ${Object.keys(schemas).length} tables`);
@@ -142,10 +312,27 @@ class AdvancedNLQService {
     }
   }
 
+  /**
+   * Keep only the columns and foreign keys a principal may see
+   * @param {string} tableName - Table name
+   * @param {Array} columns - Rows of getTableSchema
+   * @param {Function} isVisible - (tableName, columnName) => boolean
+   * @returns {Array} Visible columns
+   */
+  filterTableSchema(tableName, columns, isVisible) {
+    return columns
+      .filter(col => isVisible(tableName, col.column_name))
+      .map(col => (col.is_foreign_key && !isVisible(col.foreign_table_name, col.foreign_column_name)
+        ? { ...col, is_foreign_key: false, foreign_table_name: null, foreign_column_name: null }
+        : col));
+  }
+
   /**
    * Get detailed schema information for a table
+   * @param {string} tableName - Table name
+   * @param {Object} source - Datasource the table belongs to (primary database by default)
    */
-  async getTableSchema(tableName) {
+  async getTableSchema(tableName, source = null) {
     try {
       const query = `
         SELECT 
@@ -182,7 +369,7 @@ class AdvancedNLQService {
         ORDER BY c.ordinal_position;
       `;
       
-      const result = await this.primaryDB.query(query, [tableName]);
+      const result = await (source ? source.pool : this.primaryDB).query(query, [tableName]);
       return result.rows;
     } catch (error) {
       logger.error(`Failed to get schema for table ${tableName}:`, error);
@@ -190,26 +377,46 @@ class AdvancedNLQService {
     }
   }
 
+  /**
+   * Format earlier conversation turns for the generation prompt
+   * @param {Array} turns - Prior turns (question, generatedSQL, resultShape), oldest first
+   * @returns {string} Conversation section, or empty string when there is no history
+   */
+  buildConversationContext(turns = []) {
+    if (!turns || turns.length === 0) {
+      return '';
+    }
+
+    const history = turns.map((turn, index) => {
+      const shape = turn.resultShape
+        ? `\nResult: ${turn.resultShape.rowCount} rows with columns ${(turn.resultShape.columns || []).join(', ')}`
+        : '';
+      return `Turn ${index + 1}\nQuestion: ${turn.question}\nSQL: ${turn.generatedSQL}${shape}`;
+    }).join('\n\n');
+
+    return `Previous conversation (oldest first):\n${history}\n`;
+  }
+
   /**
    * Step 3: Use LLM with query + schema + context to generate SQL
+   * @param {string} query - Natural language question
+   * @param {Array} relevantTables - Tables chosen in step 1
+   * @param {Object} completeSchemas - Column details per table from step 2
+   * @param {Object} options - Generation options
+   * @param {Array} options.conversationContext - Prior turns of the session
+   * @param {Array} options.glossary - Glossary entries of the relevant tables
+   * @param {Array} options.examples - Similar stored question→SQL examples
+   * @param {boolean} options.clarify - Let the LLM answer an ambiguous query with
+   *   CLARIFY: and a clarifying question instead of SQL (see ClarificationService.parse)
+   * @param {Object} options.clarification - The user's answer to an earlier clarifying question
+   * @param {Function} options.onToken - Called with each SQL token as it is generated
    */
-  async generateSQLWithLangChain(query, relevantTables, completeSchemas) {
+  async generateSQLWithLangChain(query, relevantTables, completeSchemas, options = {}) {
     try {
       logger.info(`Step 3: Generating SQL using LangChain for query: "${query}"`);
       
       // Build comprehensive schema context
-      const schemaContext = relevantTables.map(table => {
-        const tableSchema = completeSchemas[table.tableName] || [];
-        const columns = tableSchema.map(col => {
-          let colInfo = `  ${col.column_name} (${col.data_type})`;
-          if (col.is_primary_key) colInfo += ' [PRIMARY KEY]';
-          if (col.is_foreign_key) colInfo += ` [FK -> ${col.foreign_table_name}.${col.foreign_column_name}]`;
-          if (col.column_description) colInfo += ` - ${col.column_description}`;
-          return colInfo;
-        }).join('\n');
-        
-        return `Table: ${table.tableName}\nDescription: ${table.description}\nColumns:\n${columns}`;
-      }).join('\n\n');
+      const schemaContext = this.buildSchemaContext(relevantTables, completeSchemas, options.glossary);
 
       // Create LangChain prompt template
       const promptTemplate = PromptTemplate.fromTemplate(`
@@ -218,6 +425,7 @@ You are an expert SQL query generator for an e-commerce database. Generate a Pos
 Database Schema:
 {schemaContext}
 
+{examples}{conversationContext}{clarification}
 User Query: {userQuery}
 
 Instructions:
@@ -229,21 +437,24 @@ Instructions:
 6. Include ORDER BY and LIMIT clauses when appropriate
 7. Handle NULL values appropriately
 8. Use proper date/time functions for temporal queries
-
+9. If a previous conversation is shown, treat the query as a follow-up: start from the most recent SQL and refine it (add grouping, filters, time ranges) unless the user clearly asks something unrelated
+10. When the query uses a business term listed for a table, use its definition: synonyms name the column to use, metrics give the exact expression, and value aliases give the exact filter value
+11. If examples are shown, follow their conventions (joins, status filters, date handling) where they fit the query, but answer the user's query rather than copying an example
+{clarifyInstruction}
 Return ONLY the SQL query without any explanations or markdown formatting.
       `);
 
-      // Create the chain
-      const chain = promptTemplate.pipe(this.llm).pipe(new StringOutputParser());
-      
       // Generate SQL
-      const sql = await chain.invoke({
+      const sql = await this.runChain(promptTemplate, {
         schemaContext,
+        examples: this.exampleRetrievalService ? this.exampleRetrievalService.buildContext(options.examples) : '',
+        conversationContext: this.buildConversationContext(options.conversationContext),
+        clarification: options.clarification ? this.clarificationService.buildContext(options.clarification) : '',
+        clarifyInstruction: options.clarify ? this.clarificationService.buildInstruction() : '',
         userQuery: query
-      });
+      }, options.onToken, options.signal);
 
-      // Clean up the SQL (remove any markdown formatting)
-      const cleanSQL = sql.replace(/```sql\n?/g, '').replace(/```\n?/g, '').trim();
+      const cleanSQL = this.cleanGeneratedSQL(sql);
       
       logger.info(`Generated SQL: ${cleanSQL}`);
       return cleanSQL;
@@ -253,13 +464,340 @@ Return ONLY the SQL query without any explanations or markdown formatting.
     }
   }
 
+  /**
+   * Ask the LLM to fix SQL that PostgreSQL rejected
+   * @param {string} query - Natural language question
+   * @param {Array} relevantTables - Tables chosen in step 1
+   * @param {Object} completeSchemas - Column details per table from step 2
+   * @param {Array} failedAttempts - Earlier attempts (sql, error), oldest first
+   * @param {Object} options - Generation options (see generateSQLWithLangChain)
+   * @returns {Promise<string>} Corrected SQL
+   */
+  async repairSQLWithLangChain(query, relevantTables, completeSchemas, failedAttempts, options = {}) {
+    try {
+      logger.info(`Repairing SQL after ${failedAttempts.length} failed attempt(s)`);
+
+      const schemaContext = this.buildSchemaContext(relevantTables, completeSchemas, options.glossary);
+      const attemptHistory = failedAttempts.map(attempt => {
+        const hint = attempt.hint ? `\nHint: ${attempt.hint}` : '';
+        return `Attempt ${attempt.attempt}:\n${attempt.sql}\nPostgreSQL error: ${attempt.error}${hint}`;
+      }).join('\n\n');
+
+      const promptTemplate = PromptTemplate.fromTemplate(`
+You are an expert PostgreSQL developer fixing a query that failed. The query answers the user's request below.
+
+Database Schema:
+{schemaContext}
+
+User Query: {userQuery}
+
+Failed attempts (oldest first):
+{attemptHistory}
+
+Instructions:
+1. Fix the cause of the most recent error; do not repeat a query that already failed
+2. Use only tables and columns listed in the schema above
+3. Generate ONLY a single SELECT query - no INSERT, UPDATE, DELETE, or DROP statements
+4. Keep the intent of the user's request unchanged
+
+Return ONLY the corrected SQL query without any explanations or markdown formatting.
+      `);
+
+      const sql = await this.runChain(promptTemplate, {
+        schemaContext,
+        userQuery: query,
+        attemptHistory
+      }, options.onToken, options.signal);
+
+      const cleanSQL = this.cleanGeneratedSQL(sql);
+
+      logger.info(`Repaired SQL: ${cleanSQL}`);
+      return cleanSQL;
+    } catch (error) {
+      logger.error('Failed to repair SQL with LangChain:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Run a prompt through the LLM, streaming tokens when a callback is given
+   * @param {PromptTemplate} promptTemplate - Prompt
+   * @param {Object} variables - Prompt variables
+   * @param {Function} onToken - Called with each token (optional)
+   * @param {AbortSignal} signal - Cancels the LLM call when aborted (optional)
+   * @returns {Promise<string>} Complete LLM output
+   */
+  async runChain(promptTemplate, variables, onToken, signal) {
+    return runChain(this.llm, promptTemplate, variables, onToken, signal);
+  }
+
+  /**
+   * Describe the relevant tables and their columns for LLM prompts
+   * @param {Array} relevantTables - Tables chosen in step 1
+   * @param {Object} completeSchemas - Column details per table from step 2
+   * @param {Array} glossary - Glossary entries of the relevant tables
+   * @returns {string} Schema context
+   */
+  buildSchemaContext(relevantTables, completeSchemas, glossary = []) {
+    return relevantTables.map(table => {
+      const entries = glossary.filter(entry => entry.tableName === table.tableName);
+      const columnDescriptions = new Map(entries
+        .filter(entry => entry.type === 'description' && entry.columnName)
+        .map(entry => [entry.columnName, entry.definition]));
+
+      const tableSchema = completeSchemas[table.tableName] || [];
+      const columns = tableSchema.map(col => {
+        let colInfo = `  ${col.column_name} (${col.data_type})`;
+        const description = columnDescriptions.get(col.column_name) || col.column_description;
+        if (col.is_primary_key) colInfo += ' [PRIMARY KEY]';
+        if (col.is_foreign_key) colInfo += ` [FK -> ${col.foreign_table_name}.${col.foreign_column_name}]`;
+        if (description) colInfo += ` - ${description}`;
+        return colInfo;
+      }).join('\n');
+
+      const extra = [];
+      if (table.via) extra.push(`Joined via: ${table.via.join}`);
+      (table.matches || [])
+        .filter(match => match.sampleValues)
+        .forEach(match => extra.push(`Example values of ${match.columnName}: ${match.sampleValues.join(', ')}`));
+
+      const terms = entries.map(entry => this.describeGlossaryEntry(entry)).filter(Boolean);
+      if (terms.length > 0) extra.push(`Business terms:\n${terms.join('\n')}`);
+      
+      return `Table: ${table.tableName}\nDescription: ${table.description}\nColumns:\n${columns}${extra.length > 0 ? `\n${extra.join('\n')}` : ''}`;
+    }).join('\n\n');
+  }
+
+  /**
+   * Describe a glossary entry as a prompt line
+   * Descriptions are already merged into the table and column lines
+   * @param {Object} entry - Glossary entry
+   * @returns {string|null} Prompt line, or null for descriptions
+   */
+  describeGlossaryEntry(entry) {
+    const target = entry.columnName ? `${entry.tableName}.${entry.columnName}` : `table ${entry.tableName}`;
+
+    switch (entry.type) {
+      case 'synonym':
+        return `  "${entry.term}" refers to ${target}`;
+      case 'metric':
+        return `  "${entry.term}" is computed as ${entry.definition}`;
+      case 'value_alias':
+        return `  "${entry.term}" means ${target} = '${entry.value.replace(/'/g, "''")}'`;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Remove markdown formatting from LLM output
+   * @param {string} sql - Raw LLM output
+   * @returns {string} SQL
+   */
+  cleanGeneratedSQL(sql) {
+    return sql.replace(/```sql\n?/g, '').replace(/```\n?/g, '').trim();
+  }
+
+  /**
+   * Whether a failed attempt is worth sending back to the LLM
+   * Safety violations are never sent back for repair
+   * @param {Error} error - Validation or execution error
+   * @returns {boolean} True if the error is repairable
+   */
+  isRepairableError(error) {
+    if (!error || !error.code || NON_REPAIRABLE_SQLSTATES.includes(error.code)) {
+      return false;
+    }
+    return REPAIRABLE_SQLSTATE_CLASSES.includes(String(error.code).slice(0, 2));
+  }
+
+  /**
+   * Steps 3-5 with repair: generate, validate and execute SQL, feeding
+   * PostgreSQL errors back to the LLM until a query succeeds or attempts run out
+   * @param {string} query - Natural language question
+   * @param {Array} relevantTables - Tables chosen in step 1
+   * @param {Object} completeSchemas - Column details per table from step 2
+   * @param {Object} options - Generation options (see generateSQLWithLangChain)
+   * @param {Object} options.timings - Stage timings to accumulate into
+   * @param {Function} options.onEvent - Progress callback (see processQuery)
+   * @param {AbortSignal} options.signal - Abort signal (see processQuery)
+   * @param {Object} options.principal - Principal whose access policies apply
+   * @param {boolean} options.clarify - Let the first generation ask a clarifying question instead
+   * @returns {Promise<Object>} { generatedSQL, queryResult, attempts }, or { clarification } when
+   *   the LLM asked a clarifying question
+   * @throws {Error} Last error, with `attempts` attached
+   */
+  async generateAndExecuteSQL(query, relevantTables, completeSchemas, options = {}) {
+    const attempts = [];
+    const timings = options.timings || {};
+    const emit = options.onEvent || (() => {});
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      throwIfAborted(options.signal);
+      const clarify = attempt === 1 && options.clarify;
+      const onToken = options.onEvent ? (token) => emit('sql_token', { attempt, token }) : undefined;
+      const generationOptions = {
+        ...options,
+        clarify,
+        onToken: onToken && clarify ? holdClarificationTokens(onToken) : onToken
+      };
+      let sql = await timeStage(timings, 'generation', () => (attempt === 1
+        ? this.generateSQLWithLangChain(query, relevantTables, completeSchemas, generationOptions)
+        : this.repairSQLWithLangChain(query, relevantTables, completeSchemas, attempts, generationOptions)));
+
+      if (clarify && sql.startsWith(CLARIFY_PREFIX)) {
+        const clarification = this.clarificationService.parse(sql);
+        if (clarification) {
+          return { clarification };
+        }
+        // A malformed clarification answers nothing either: ask for SQL only
+        logger.warn(`Ignoring malformed clarification: ${sql}`);
+        sql = await timeStage(timings, 'generation', () => this.generateSQLWithLangChain(
+          query, relevantTables, completeSchemas, { ...generationOptions, clarify: false, onToken }
+        ));
+      }
+      emit('sql', { attempt, sql });
+
+      let stage = 'validation';
+      try {
+        // Step 4: Validate SQL syntax, ensure only SELECT queries and apply access policies
+        await timeStage(timings, stage, () => this.validateSQL(sql, options));
+        const authorized = await timeStage(timings, stage, () => this.authorizeSQL(sql, options));
+        emit('validation', { attempt, valid: true });
+
+        // Step 5: Execute SQL
+        stage = 'execution';
+        const queryResult = await timeStage(timings, stage, () => this.runSQL(authorized.sql, { ...options, params: authorized.params }));
+
+        attempts.push({ attempt, sql, stage, success: true });
+        return { generatedSQL: sql, queryResult, attempts };
+      } catch (error) {
+        attempts.push({
+          attempt,
+          sql,
+          stage,
+          success: false,
+          error: error.message,
+          code: error.code,
+          hint: error.hint
+        });
+
+        const willRepair = attempt < this.maxAttempts && this.isRepairableError(error);
+        if (stage === 'validation') {
+          emit('validation', { attempt, valid: false, error: error.message, violations: error.violations, willRepair });
+        } else {
+          emit('execution_failed', { attempt, error: error.message, code: error.code, willRepair });
+        }
+
+        if (!willRepair) {
+          error.attempts = attempts;
+          error.generatedSQL = sql;
+          throw error;
+        }
+
+        logger.warn(`Attempt ${attempt} failed during ${stage} (${error.code}), asking LLM for a repair`);
+      }
+    }
+  }
+
+  /**
+   * Look a question up in the query cache
+   * @param {string} query - Natural language question
+   * @param {Object} source - Datasource asked (see resolveSource)
+   * @param {Object} principal - Principal asking
+   * @returns {Promise<Object|null>} Lookup (see QueryCacheService.lookup), or null without a cache
+   */
+  async lookupCachedSQL(query, source, principal) {
+    if (!this.queryCacheService || !this.queryCacheService.config.enabled) {
+      return null;
+    }
+
+    try {
+      const { schemaIndexService } = await this.getEngines(source);
+      const schemaVersion = await schemaIndexService.getSchemaVersion();
+      return await this.queryCacheService.lookup(query, { principal, source, schemaVersion, provider: this.provider });
+    } catch (error) {
+      logger.warn(`Could not read the schema version, answering without the query cache: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Answer with cached SQL: validated, authorized and executed like generated SQL
+   * @param {Object} lookup - Lookup with an entry (see QueryCacheService.lookup)
+   * @param {Object} options - Execution options (see generateAndExecuteSQL)
+   * @returns {Promise<Object|null>} { generatedSQL, queryResult, attempts }, or null when the SQL
+   *   cannot answer (any more); the question is then generated afresh
+   */
+  async runCachedSQL(lookup, options = {}) {
+    const sql = lookup.entry.generatedSQL;
+    const timings = options.timings || {};
+    let stage = 'validation';
+
+    try {
+      await timeStage(timings, stage, () => this.validateSQL(sql, options));
+      const authorized = await timeStage(timings, stage, () => this.authorizeSQL(sql, options));
+      stage = 'execution';
+      const queryResult = await timeStage(timings, stage, () => this.runSQL(authorized.sql, { ...options, params: authorized.params }));
+
+      await this.queryCacheService.recordHit(lookup);
+      logger.info(`Answered from the query cache (${lookup.level}, similarity ${lookup.similarity.toFixed(3)})`);
+      return { generatedSQL: sql, queryResult, attempts: [{ attempt: 1, sql, stage, success: true, cached: lookup.level }] };
+    } catch (error) {
+      // SQL denied to this caller may still answer others; broken SQL is dropped
+      const discard = error.name !== 'AccessDeniedError' && (stage === 'validation' || this.isRepairableError(error));
+      logger.warn(`Cached SQL failed during ${stage}, generating afresh: ${error.message}`);
+      await this.queryCacheService.reject(lookup, { discard });
+      return null;
+    }
+  }
+
+  /**
+   * Bring the schema index up to date with the current database schema
+   * Cached SQL of the datasource is dropped, since it was generated for the old schema
+   * @param {Object} options - Sync options
+   * @param {boolean} options.force - Re-embed every table, not only changed ones
+   * @param {string} options.datasource - Datasource whose index is refreshed (primary database by default)
+   * @param {Object} options.principal - Principal the datasource is resolved for
+   * @returns {Promise<Object>} Sync summary
+   */
+  async refreshSchemaMetadata(options = {}) {
+    const source = await this.resolveSource(options);
+    const { schemaIndexService } = await this.getEngines(source);
+    const summary = await schemaIndexService.syncIndex({ force: options.force });
+    if (this.queryCacheService) {
+      await this.queryCacheService.invalidate(source.key);
+    }
+    return summary;
+  }
+
+  /**
+   * Report schema index freshness per table
+   * @param {Object} options - Status options
+   * @param {string} options.datasource - Datasource whose index is reported (primary database by default)
+   * @param {Object} options.principal - Principal the datasource is resolved for
+   * @returns {Promise<Object>} { summary, tables }
+   */
+  async getSchemaIndexStatus(options = {}) {
+    const source = await this.resolveSource(options);
+    const { schemaIndexService } = await this.getEngines(source);
+    return schemaIndexService.getIndexStatus();
+  }
+
   /**
    * Get schema information for all tables
+   * @param {Object} options - Schema options
+   * @param {Object} options.principal - Only list tables and columns this principal may see
+   * @param {string} options.datasource - Datasource to describe (primary database by default)
    * @returns {Promise<Object>} Schema information
+   * @throws {Error} With code DATASOURCE_NOT_FOUND for an unknown datasource
    */
-  async getSchemaInfo() {
+  async getSchemaInfo(options = {}) {
+    const source = await this.resolveSource(options);
+
     try {
       logger.info('Getting schema information from AdvancedNLQService');
+      const isVisible = await this.getVisibilityFilter(options.principal);
 
       // Get all table names
       const tablesQuery = `
@@ -270,16 +808,18 @@ Return ONLY the SQL query without any explanations or markdown formatting.
         ORDER BY table_name;
       `;
       
-      const tablesResult = await this.primaryDB.query(tablesQuery);
-      const tableNames = tablesResult.rows.map(row => row.table_name);
+      const tablesResult = await source.pool.query(tablesQuery);
+      const tableNames = tablesResult.rows
+        .map(row => row.table_name)
+        .filter(tableName => !isVisible || isVisible(tableName));
 
       const schemaInfo = {};
 
       // Get schema for each table
       for (const tableName of tableNames) {
         try {
-          const tableSchema = await this.getTableSchema(tableName);
-          schemaInfo[tableName] = tableSchema;
+          const tableSchema = await this.getTableSchema(tableName, source);
+          schemaInfo[tableName] = isVisible ? this.filterTableSchema(tableName, tableSchema, isVisible) : tableSchema;
         } catch (error) {
           logger.error(`Failed to get schema for table ${tableName}:`, error);
           schemaInfo[tableName] = [];
@@ -290,6 +830,7 @@ Return ONLY the SQL query without any explanations or markdown formatting.
         success: true,
         schema: schemaInfo,
         metadata: {
+          datasource: source.name,
           generated_at: new Date().toISOString(),
           tableCount: tableNames.length,
           tables: tableNames
@@ -307,44 +848,41 @@ Return ONLY the SQL query without any explanations or markdown formatting.
   }
 
   /**
-   * Step 4: Validate SQL syntax and ensure only SELECT queries
+   * Step 4: Validate SQL syntax and ensure only a single read-only SELECT
+   * @param {string} sql - SQL to validate
+   * @param {Object} options - Validation options
+   * @param {Object} options.source - Datasource the SQL is planned on (primary database by default)
    */
-  async validateSQL(sql) {
+  async validateSQL(sql, options = {}) {
     try {
       logger.info(`Step 4: Validating SQL query`);
       
-      // Basic SQL validation
-      const trimmedSQL = sql.trim().toLowerCase();
-      
-      // Check if it's a SELECT query
-      if (!trimmedSQL.startsWith('select')) {
-        throw new Error('Only SELECT queries are allowed');
-      }
-      
-      // Check for dangerous operations (but allow SQL functions like CURRENT_DATE)
-      const dangerousKeywords = ['drop', 'delete', 'insert', 'update', 'alter', 'truncate'];
-      const allowedFunctions = ['current_date', 'current_timestamp', 'now()', 'date_trunc'];
-      
-      for (const keyword of dangerousKeywords) {
-        if (trimmedSQL.includes(keyword)) {
-          // Check if it's part of an allowed function
-          const isAllowedFunction = allowedFunctions.some(func => 
-            trimmedSQL.includes(func) && trimmedSQL.includes(keyword)
-          );
-          
-          if (!isAllowedFunction) {
-            throw new Error(`Dangerous operation '${keyword}' is not allowed`);
-          }
+      // AST-based safety validation (throws SQLSafetyError with violations)
+      try {
+        await this.sqlValidator.assertSafe(sql);
+      } catch (safetyError) {
+        // SQL that does not parse is a syntax error the repair loop can fix, not a safety violation
+        const violations = safetyError.violations || [];
+        if (violations.length > 0 && violations.every(violation => violation.code === 'PARSE_ERROR')) {
+          const error = new Error(`SQL syntax error: ${violations.map(violation => violation.message).join('; ')}`);
+          error.code = SYNTAX_ERROR_SQLSTATE;
+          error.violations = violations;
+          throw error;
         }
+        throw safetyError;
       }
       
       // Test the query syntax by preparing it
       try {
-        await this.primaryDB.query('EXPLAIN ' + sql);
+        await (options.source ? options.source.sandbox : this.sandbox).run('EXPLAIN ' + sql);
         logger.info('SQL validation passed');
         return true;
       } catch (syntaxError) {
-        throw new Error(`SQL syntax error: ${syntaxError.message}`);
+        const error = new Error(`SQL syntax error: ${syntaxError.message}`);
+        // Keep the SQLSTATE and hint so the repair loop can use them
+        error.code = syntaxError.code;
+        error.hint = syntaxError.hint;
+        throw error;
       }
     } catch (error) {
       logger.error('Step 4 failed - SQL validation failed:', error);
@@ -352,20 +890,69 @@ Return ONLY the SQL query without any explanations or markdown formatting.
     }
   }
 
+  /**
+   * Apply the principal's access policies to validated SQL
+   * Forbidden tables and columns are rejected; restricted tables are read
+   * through subqueries that hide columns and filter rows
+   * @param {string} sql - Validated SQL
+   * @param {Object} options - Execution options
+   * @param {Object} options.principal - Principal the SQL runs for (internal calls pass none)
+   * @param {Array} options.params - Values of the SQL's own placeholders
+   * @param {Object} options.source - Datasource the SQL runs on (primary database by default)
+   * @returns {Promise<Object>} { sql, params } to execute
+   * @throws {AccessDeniedError} If the SQL touches forbidden tables or columns
+   */
+  async authorizeSQL(sql, options = {}) {
+    if (!this.accessPolicyService) {
+      return { sql, params: options.params || [] };
+    }
+    return this.accessPolicyService.authorize(sql, options.principal, options.params || [], options.source);
+  }
+
+  /**
+   * Prepare PII masking of a query's rows for the principal they are returned to
+   * @param {string} sql - SQL as executed
+   * @param {Object} principal - Principal (internal calls pass none)
+   * @param {Object} source - Datasource the SQL ran on (primary database by default)
+   * @returns {Promise<Function|null>} Masker (see DataMaskingService.createMasker), or null
+   */
+  async getMasker(sql, principal, source = null) {
+    return this.dataMaskingService ? this.dataMaskingService.createMasker(sql, principal, source) : null;
+  }
+
   /**
    * Step 5: Execute SQL and return response with generated query
+   * At most maxResults rows (capped by MAX_RESULT_ROWS) are fetched; totalRows counts all of them.
+   * PII values are masked for options.principal before anything else sees the rows
+   * @param {string} sql - Validated SQL
+   * @param {Object} options - Execution options
+   * @param {number} options.maxResults - Rows to fetch
+   * @param {Array} options.params - Values of $1, $2, ... placeholders
+   * @param {Object} options.principal - Principal whose masking policies apply
+   * @param {Object} options.source - Datasource to run on (primary database by default)
+   * @returns {Promise<Object>} { data, columns, rowCount, totalRows, truncated, visualization, maskedColumns? }
    */
-  async executeSQL(sql) {
+  async runSQL(sql, options = {}) {
     try {
       logger.info(`Step 5: Executing SQL query`);
       
-      const result = await this.primaryDB.query(sql);
+      const maxRows = Math.min(options.maxResults || this.maxResultRows, this.maxResultRows);
+      const sandbox = options.source ? options.source.sandbox : this.sandbox;
+      const result = await sandbox.run(sql, options.params || [], { maxRows, signal: options.signal });
+      const totalRows = result.totalRows !== undefined ? result.totalRows : result.rows.length;
+
+      const masker = await this.getMasker(sql, options.principal, options.source);
+      const { rows, maskedColumns } = masker ? masker(result.rows, result.fields) : { rows: result.rows, maskedColumns: [] };
       
-      logger.info(`Query executed successfully, returned ${result.rows.length} rows`);
+      logger.info(`Query executed successfully, returned ${rows.length} of ${totalRows} rows`);
       return {
-        data: result.rows,
+        data: rows,
         columns: result.fields ? result.fields.map(field => field.name) : [],
-        rowCount: result.rows.length
+        rowCount: rows.length,
+        totalRows,
+        truncated: totalRows > rows.length,
+        visualization: this.chartRecommendationService ? this.chartRecommendationService.recommend(rows, result.fields) : null,
+        ...(maskedColumns.length > 0 ? { maskedColumns } : {})
       };
     } catch (error) {
       logger.error('Step 5 failed - SQL execution failed:', error);
@@ -373,48 +960,316 @@ Return ONLY the SQL query without any explanations or markdown formatting.
     }
   }
 
+  /**
+   * Validate and execute user-supplied SQL (steps 4 and 5 only)
+   * @param {string} sql - SQL to execute
+   * @param {Object} options - Execution options (see runSQL and authorizeSQL)
+   * @param {string} options.datasource - Datasource to run on (primary database by default)
+   * @returns {Promise<Object>} Execution result with success flag and timings
+   */
+  async executeSQL(sql, options = {}) {
+    const startTime = Date.now();
+    const timings = {};
+
+    try {
+      const source = await this.resolveSource(options);
+      const sourceOptions = { ...options, source };
+      await timeStage(timings, 'validation', () => this.validateSQL(sql, sourceOptions));
+      const authorized = await timeStage(timings, 'validation', () => this.authorizeSQL(sql, sourceOptions));
+      const queryResult = await timeStage(timings, 'execution', () => this.runSQL(authorized.sql, { ...sourceOptions, params: authorized.params }));
+
+      return {
+        success: true,
+        sql,
+        datasource: source.name,
+        result: queryResult,
+        processingTime: Date.now() - startTime,
+        timings,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      return {
+        success: false,
+        sql,
+        error: error.message,
+        violations: error.violations,
+        processingTime: Date.now() - startTime,
+        timings,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  /**
+   * Validate SQL and stream all of its rows in batches (used for exports)
+   * @param {string} sql - SQL to stream
+   * @param {Function} onBatch - async (rows, fields) => void
+   * @param {Object} options - Stream options (see QuerySandbox.stream)
+   * @param {Object} options.principal - Principal whose access and masking policies apply
+   * @param {string} options.datasource - Datasource to stream from (primary database by default)
+   * @returns {Promise<number>} Rows streamed
+   */
+  async streamSQL(sql, onBatch, options = {}) {
+    const { principal, datasource, ...streamOptions } = options;
+    const source = await this.resolveSource({ principal, datasource });
+    await this.validateSQL(sql, { source });
+    const authorized = await this.authorizeSQL(sql, { principal, source });
+    const masker = await this.getMasker(authorized.sql, principal, source);
+    const maskedBatch = masker ? (rows, fields) => onBatch(masker(rows, fields).rows, fields) : onBatch;
+    return source.sandbox.stream(authorized.sql, authorized.params, maskedBatch, streamOptions);
+  }
+
+  /**
+   * Shape a retrieved table for responses and events
+   * @param {Object} table - Table from findRelevantTables
+   * @returns {Object} Table summary
+   */
+  describeRelevantTable(table) {
+    return {
+      tableName: table.tableName,
+      description: table.description,
+      similarity: table.similarity,
+      score: table.score,
+      reason: table.reason,
+      via: table.via,
+      matches: table.matches
+    };
+  }
+
+  /**
+   * Take the request a clarification answer belongs to (see ClarificationService.resume)
+   * @param {Object} reply - { id, option } or { id, answer }
+   * @param {Object} principal - Principal answering; must be the one who asked
+   * @returns {Promise<Object>} Stored request with the answer
+   * @throws {Error} CLARIFICATION_NOT_FOUND, also when clarifications are not offered
+   */
+  async resumeClarification(reply, principal) {
+    if (!this.clarificationService) {
+      throw clarificationError('CLARIFICATION_NOT_FOUND', 'Clarification not found or expired');
+    }
+    return this.clarificationService.resume(reply, principal);
+  }
+
+  /**
+   * Summarize how the query cache took part in an answer
+   * @param {Object} lookup - Result of lookupCachedSQL
+   * @param {Object|null} cached - Result of runCachedSQL (null when the answer was generated)
+   * @returns {Object} { hit, level?, similarity?, cachedAt? }
+   */
+  describeCacheLookup(lookup, cached) {
+    if (!cached) {
+      return { hit: false };
+    }
+    return {
+      hit: true,
+      level: lookup.level,
+      similarity: lookup.similarity,
+      cachedAt: lookup.entry.createdAt
+    };
+  }
+
+  /**
+   * Report result rows through a progress callback in chunks
+   * An empty result still produces one (empty) chunk carrying the columns
+   * @param {Object} queryResult - Result of runSQL
+   * @param {Function} emit - Progress callback
+   * @param {number} chunkSize - Rows per event
+   */
+  emitRows(queryResult, emit, chunkSize = DEFAULT_ROW_CHUNK_SIZE) {
+    const { data, columns, rowCount } = queryResult;
+    let offset = 0;
+
+    do {
+      emit('rows', {
+        offset,
+        columns,
+        rows: data.slice(offset, offset + chunkSize),
+        rowCount,
+        done: offset + chunkSize >= data.length
+      });
+      offset += chunkSize;
+    } while (offset < data.length);
+  }
+
   /**
    * Main NLQ processing method - implements the complete 5-step flow
+   * @param {string} query - Natural language question
+   * @param {Object} options - Processing options
+   * @param {Array} options.conversationContext - Prior turns of the session
+   * @param {boolean} options.summarize - Add a plain-language answer in options.language
+   * @param {Object} options.principal - Principal whose access policies limit retrieval and execution
+   * @param {string} options.datasource - Datasource to answer from (primary database by default)
+   * @param {boolean} options.cache - Set false to skip the query cache
+   * @param {boolean} options.examples - Set false to leave few-shot examples out of the prompt
+   * @param {boolean} options.clarify - Answer an ambiguous question with a clarifying question
+   *   and options (status needs_clarification) instead of guessing
+   * @param {Object} options.clarification - { id, option | answer }: resumes the request that asked
+   *   clarification id; query is taken from that request
+   * @param {Function} options.onEvent - (event, data) progress callback; when given, SQL is
+   *   generated token by token and rows are reported in chunks of options.chunkSize.
+   *   Events: cache, tables, schema, sql_token, sql, validation, execution_failed, rows,
+   *   answer_token, answer, clarification
+   * @param {AbortSignal} options.signal - Aborted when the caller goes away; stops the pipeline
+   *   between stages and cancels the running LLM call and database query
+   * @returns {Promise<Object>} Result, a clarifying question with status needs_clarification,
+   *   or failure details with success false
    */
   async processQuery(query, options = {}) {
     const startTime = Date.now();
+    const timings = {};
+    const emit = options.onEvent || (() => {});
     
     try {
       if (!this.isInitialized) {
         await this.initialize();
       }
 
+      // An answer to a clarifying question resumes the request it was asked for
+      const resumed = options.clarification ? await this.resumeClarification(options.clarification, options.principal) : null;
+      if (resumed) {
+        query = resumed.question;
+        options = { ...options, ...resumed.request, conversationContext: resumed.conversationContext };
+      }
+
       logger.info(`Processing NLQ query: "${query}"`);
+      const source = await this.resolveSource(options);
 
-      // Step 1: Create embedding and do cosine similarity query to get top 5 tables
-      const relevantTables = await this.findRelevantTables(query, 5);
-      
-      // Step 2: Get complete schema of related tables from PostgreSQL
-      const tableNames = relevantTables.map(t => t.tableName);
-      const completeSchemas = await this.getCompleteTableSchemas(tableNames);
-      
-      // Step 3: Use LLM with query + schema + context to generate SQL
-      const generatedSQL = await this.generateSQLWithLangChain(query, relevantTables, completeSchemas);
-      
-      // Step 4: Validate SQL syntax and ensure only SELECT queries
-      await this.validateSQL(generatedSQL);
-      
-      // Step 5: Execute SQL and return response with generated query
-      const queryResult = await this.executeSQL(generatedSQL);
+      // Follow-ups like "only for last month" name no tables, so retrieval also uses earlier questions
+      const conversationContext = options.conversationContext || [];
+      const retrievalQuery = [...conversationContext.map(turn => turn.question), query].join('\n');
+
+      const executionOptions = { timings, maxResults: options.maxResults, principal: options.principal, source, signal: options.signal };
+
+      // Questions answered before reuse their validated SQL; follow-ups depend on earlier turns and
+      // clarified questions on the answer, so they never do
+      const cacheLookup = conversationContext.length === 0 && options.cache !== false && !resumed
+        ? await timeStage(timings, 'cache', () => this.lookupCachedSQL(query, source, options.principal))
+        : null;
+      const cached = cacheLookup && cacheLookup.entry ? await this.runCachedSQL(cacheLookup, executionOptions) : null;
+      throwIfAborted(options.signal);
+
+      let relevantTables;
+      let generatedSQL;
+      let queryResult;
+      let attempts;
+      let usedExamples = [];
+      if (cached) {
+        ({ generatedSQL, queryResult, attempts } = cached);
+        relevantTables = cacheLookup.entry.relevantTables;
+        emit('cache', { level: cacheLookup.level, similarity: cacheLookup.similarity });
+        emit('tables', { relevantTables });
+        emit('sql', { attempt: 1, sql: generatedSQL });
+        emit('validation', { attempt: 1, valid: true });
+      } else {
+        // Step 1: Find the tables and columns the question is about, among those the principal may see
+        const isVisible = await this.getVisibilityFilter(options.principal);
+        relevantTables = resumed ? resumed.relevantTables : await timeStage(timings, 'retrieval', () => this.findRelevantTables(retrievalQuery, 5, {
+          isVisible,
+          source,
+          // The cache lookup embedded the question already (there is no context to add then)
+          queryEmbedding: cacheLookup ? cacheLookup.key.embedding : undefined
+        }));
+        emit('tables', { relevantTables: relevantTables.map(t => this.describeRelevantTable(t)) });
+        throwIfAborted(options.signal);
+
+        // Step 2: Get complete schema, glossary and similar examples of related tables
+        const tableNames = relevantTables.map(t => t.tableName);
+        const [completeSchemas, glossary, examples] = await timeStage(timings, 'schema', () => Promise.all([
+          this.getCompleteTableSchemas(tableNames, { isVisible, source }),
+          // The glossary and examples describe the primary database
+          source.key !== DEFAULT_DATASOURCE || !this.glossaryRepository ? [] : this.glossaryRepository.list({ tableNames, tenantId: getOwner(options.principal).tenantId })
+            .then(entries => (isVisible ? entries.filter(entry => isVisible(entry.tableName, entry.columnName)) : entries)),
+          source.key !== DEFAULT_DATASOURCE || options.examples === false ? [] : this.findSimilarExamples(query, {
+            isVisible,
+            tenantId: getOwner(options.principal).tenantId,
+            queryEmbedding: cacheLookup ? cacheLookup.key.embedding : undefined
+          })
+        ]));
+        usedExamples = examples;
+        emit('schema', {
+          tables: tableNames.map(tableName => ({
+            tableName,
+            columns: (completeSchemas[tableName] || []).map(col => col.column_name)
+          })),
+          glossaryEntries: glossary.length,
+          examples: examples.length
+        });
+        
+        // Steps 3-5: Generate SQL, validate and execute it, repairing on database errors
+        const generation = await this.generateAndExecuteSQL(query, relevantTables, completeSchemas, {
+          ...executionOptions,
+          conversationContext,
+          glossary,
+          examples,
+          onEvent: options.onEvent,
+          // One clarifying question per request
+          clarify: !resumed && options.clarify === true && Boolean(this.clarificationService) && this.clarificationService.config.enabled,
+          clarification: resumed ? resumed.answer : undefined
+        });
+
+        if (generation.clarification) {
+          const clarification = await this.clarificationService.store(query, generation.clarification, {
+            options,
+            conversationContext,
+            relevantTables: relevantTables.map(t => this.describeRelevantTable(t))
+          });
+          emit('clarification', clarification);
+
+          return {
+            success: true,
+            status: 'needs_clarification',
+            query,
+            datasource: source.name,
+            clarification,
+            processingTime: Date.now() - startTime,
+            timings,
+            relevantTables: relevantTables.map(t => this.describeRelevantTable(t)),
+            timestamp: new Date().toISOString()
+          };
+        }
+        ({ generatedSQL, queryResult, attempts } = generation);
+
+        if (cacheLookup) {
+          await this.queryCacheService.store(cacheLookup, {
+            generatedSQL,
+            relevantTables: relevantTables.map(t => this.describeRelevantTable(t))
+          });
+        }
+      }
+
+      if (options.onEvent) {
+        this.emitRows(queryResult, emit, options.chunkSize);
+      }
+
+      // Step 6: A failed summary still returns the rows
+      let answer;
+      if (options.summarize && this.answerSummaryService) {
+        throwIfAborted(options.signal);
+        answer = await timeStage(timings, 'summary', () => this.answerSummaryService.summarize(this.llm, query, generatedSQL, queryResult, {
+          language: options.language,
+          onToken: options.onEvent ? (token) => emit('answer_token', { token }) : undefined,
+          signal: options.signal
+        })).catch(error => ({ text: null, language: options.language || 'en', error: error.message }));
+        emit('answer', answer);
+      }
       
       const processingTime = Date.now() - startTime;
       
       const response = {
         success: true,
         query: query,
+        datasource: source.name,
         generatedSQL: generatedSQL,
         result: queryResult,
+        answer,
         processingTime: processingTime,
-        relevantTables: relevantTables.map(t => ({
-          tableName: t.tableName,
-          description: t.description,
-          similarity: t.similarity
-        })),
+        timings,
+        relevantTables: relevantTables.map(t => this.describeRelevantTable(t)),
+        contextTurns: conversationContext.length,
+        attempts,
+        examples: usedExamples.map(example => ({ id: example.id, question: example.question, similarity: example.similarity })),
+        ...(cacheLookup ? { cache: this.describeCacheLookup(cacheLookup, cached) } : {}),
+        ...(resumed ? { clarification: resumed.answer } : {}),
         timestamp: new Date().toISOString()
       };
 
@@ -429,70 +1284,15 @@ Return ONLY the SQL query without any explanations or markdown formatting.
         success: false,
         query: query,
         error: error.message,
+        violations: error.violations,
+        generatedSQL: error.generatedSQL,
+        attempts: error.attempts,
         processingTime: processingTime,
+        timings,
         timestamp: new Date().toISOString()
       };
     }
   }
-
-  /**
-   * Populate table metadata for vector search
-   */
-  async populateTableMetadata() {
-    try {
-      // Check if metadata already exists
-      const existing = await this.vectorDB.query('SELECT COUNT(*) as count FROM table_metadata');
-      if (parseInt(existing.rows[0].count) > 0) {
-        logger.info('Table metadata already populated');
-        return;
-      }
-
-      // Get all tables
-      const tables = await this.primaryDB.query(`
-        SELECT table_name 
-        FROM information_schema.tables 
-        WHERE table_schema = 'public' 
-        AND table_type = 'BASE TABLE'
-        ORDER BY table_name
-      `);
-
-      const tableDescriptions = {
-        'customers': 'Customer information including personal details, contact information, and account data',
-        'orders': 'Order records with customer references, order dates, status, and total amounts',
-        'order_items': 'Individual items within orders including product references, quantities, and prices',
-        'products': 'Product catalog with names, descriptions, categories, and pricing information',
-        'categories': 'Product categories for organizing and filtering products',
-        'inventory': 'Product stock levels and inventory management data'
-      };
-
-      for (const table of tables.rows) {
-        const tableName = table.table_name;
-        const description = tableDescriptions[tableName] || `Table containing ${tableName} data`;
-        
-        // Get schema information
-        const schemaInfo = await this.getTableSchema(tableName);
-        
-        // Generate embedding using LangChain
-        const embedding = await this.embeddings.embedQuery(description);
-        
-        // Insert metadata
-        await this.vectorDB.query(`
-          INSERT INTO table_metadata (table_name, description, schema_info, embedding)
-          VALUES ($1, $2, $3, $4)
-        `, [
-          tableName,
-          description,
-          JSON.stringify(schemaInfo),
-          `[${embedding.join(',')}]`
-        ]);
-      }
-      
-      logger.info(`Populated metadata for ${tables.rows.length} tables`);
-    } catch (error) {
-      logger.error('Failed to populate table metadata:', error);
-      throw error;
-    }
-  }
 }
 
 module.exports = { AdvancedNLQService };
@@ -0,0 +1,97 @@
+/**
+ * Answer Summary Service
+ * Answers a question in plain language from its query result
+ *
+ * The LLM sees aggregates over every fetched row and a bounded sample (see
+ * utils/resultDigest.js), never the full result. Numbers in the answer that
+ * the result does not back are reported rather than removed.
+ */
+
+const { PromptTemplate } = require('@langchain/core/prompts');
+const logger = require('../utils/logger');
+const { runChain } = require('../utils/llmChain');
+const { getSummaryConfig } = require('../config/summary');
+const { buildResultDigest, formatResultDigest, findUnsupportedNumbers } = require('../utils/resultDigest');
+
+const ANSWER_LANGUAGES = {
+  en: 'English',
+  hi: 'Hindi (Devanagari script)'
+};
+
+class AnswerSummaryService {
+  /**
+   * @param {Object} config - Summary configuration (see config/summary.js)
+   */
+  constructor(config = getSummaryConfig()) {
+    this.config = config;
+  }
+
+  /**
+   * Step 6 (optional): Answer the question in plain language from the result
+   * @param {BaseChatModel} llm - Chat model
+   * @param {string} query - Natural language question
+   * @param {string} sql - SQL that produced the result
+   * @param {Object} queryResult - Result of AdvancedNLQService.runSQL
+   * @param {Object} options - Summary options
+   * @param {string} options.language - Answer language (en or hi)
+   * @param {Function} options.onToken - Called with each answer token
+   * @param {AbortSignal} options.signal - Cancels the LLM call when aborted
+   * @returns {Promise<Object>} { text, language, rowsSampled, unsupportedNumbers }
+   */
+  async summarize(llm, query, sql, queryResult, options = {}) {
+    try {
+      logger.info(`Step 6: Summarizing ${queryResult.rowCount} rows for query: "${query}"`);
+
+      const language = ANSWER_LANGUAGES[options.language] ? options.language : 'en';
+      const digest = buildResultDigest(queryResult, this.config);
+      const resultDigest = formatResultDigest(digest);
+
+      const promptTemplate = PromptTemplate.fromTemplate(`
+You are a data analyst answering a business question from the result of a SQL query.
+
+Question: {userQuery}
+
+SQL:
+{sql}
+
+Result:
+{resultDigest}
+
+Instructions:
+1. Answer the question directly in 1-3 sentences, written in {language}
+2. Cite the key numbers from the result exactly as shown, in Western digits (0-9), with their column or category
+3. Use only the figures above; when the answer needs a row that is not listed, rely on the column aggregates
+4. If the result has no rows, say that no matching data was found
+5. Keep table names, column values and numbers unchanged even when answering in Hindi
+6. Do not mention SQL, queries or column names in technical form
+
+Return ONLY the answer text.
+      `);
+
+      const text = (await runChain(llm, promptTemplate, {
+        userQuery: query,
+        sql,
+        resultDigest,
+        language: ANSWER_LANGUAGES[language]
+      }, options.onToken, options.signal)).trim();
+
+      const unsupportedNumbers = findUnsupportedNumbers(text, `${query}\n${resultDigest}`);
+      if (unsupportedNumbers.length > 0) {
+        logger.warn(`Answer cites numbers not found in the result: ${unsupportedNumbers.join(', ')}`);
+      }
+
+      return {
+        text,
+        language,
+        rowsSampled: digest.sample.length,
+        unsupportedNumbers
+      };
+    } catch (error) {
+      logger.error('Step 6 failed - Failed to summarize result:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = AnswerSummaryService;
+module.exports.ANSWER_LANGUAGES = ANSWER_LANGUAGES;
@@ -0,0 +1,327 @@
+/**
+ * Auth Service
+ * Resolves the principal (user, tenant, roles) behind a request and issues
+ * and revokes API keys
+ *
+ * Credentials are read from `X-API-Key: <key>` or `Authorization: Bearer
+ * <key or JWT>`. API keys look like nlq_<8 hex>_<secret>; only their SHA-256
+ * hash is stored, which is enough for random 256-bit secrets. Anything else
+ * in a bearer header is verified as a JWT signed with JWT_SECRET.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const logger = require('../utils/logger');
+const { getAuthConfig } = require('../config/auth');
+
+const API_KEY_PREFIX = 'nlq_';
+
+/**
+ * Error raised for missing or invalid credentials (401)
+ * The name is what errorHandler maps to ErrorHandlingService.handleAuthenticationError
+ */
+class UnauthorizedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnauthorizedError';
+    this.code = 'AUTH_ERROR';
+  }
+}
+
+/**
+ * Error raised when the principal may not perform an action (403)
+ * The name is what errorHandler maps to ErrorHandlingService.handleAuthorizationError
+ */
+class ForbiddenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ForbiddenError';
+    this.code = 'AUTHORIZATION_ERROR';
+  }
+}
+
+/**
+ * SHA-256 of an API key
+ * @param {string} key - Plain key
+ * @returns {string} Hex digest
+ */
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Read roles from a token claim
+ * @param {*} claim - Array, or a space- or comma-separated string
+ * @returns {Array<string>} Roles
+ */
+const parseRoles = (claim) => {
+  if (Array.isArray(claim)) return claim.map(String);
+  if (typeof claim === 'string') return claim.split(/[\s,]+/).filter(Boolean);
+  return [];
+};
+
+class AuthService {
+  /**
+   * @param {ApiKeyRepository} apiKeyRepository - API key storage
+   * @param {Object} config - Auth configuration (see config/auth.js)
+   */
+  constructor(apiKeyRepository, config = getAuthConfig()) {
+    this.apiKeyRepository = apiKeyRepository;
+    this.config = config;
+    this.bootstrapHash = config.bootstrapKey ? hashKey(config.bootstrapKey) : null;
+  }
+
+  /**
+   * Resolve the principal of a request
+   * @param {Object} req - Express request
+   * @returns {Promise<Object|null>} Principal { type, id, userId, tenantId, roles, attributes },
+   *   or null on a public path
+   * @throws {UnauthorizedError} If credentials are missing or invalid
+   */
+  async authenticateRequest(req) {
+    if (!this.config.enabled) {
+      return this.anonymousPrincipal();
+    }
+
+    const path = req.originalUrl.split('?')[0];
+    if (this.config.publicPaths.includes(path)) {
+      return null;
+    }
+
+    const credentials = this.extractCredentials(req);
+    if (!credentials) {
+      throw new UnauthorizedError('Missing credentials: send X-API-Key or Authorization: Bearer');
+    }
+
+    if (this.isBootstrapKey(credentials.value)) {
+      return this.bootstrapPrincipal();
+    }
+    if (credentials.type === 'api_key' || credentials.value.startsWith(API_KEY_PREFIX)) {
+      return this.verifyApiKey(credentials.value);
+    }
+    return this.verifyToken(credentials.value);
+  }
+
+  /**
+   * Read credentials from the request headers
+   * @param {Object} req - Express request
+   * @returns {Object|null} { type: 'api_key'|'bearer', value } or null if none were sent
+   */
+  extractCredentials(req) {
+    const apiKey = req.get('X-API-Key');
+    if (apiKey) {
+      return { type: 'api_key', value: apiKey.trim() };
+    }
+
+    const match = /^Bearer\s+(\S+)\s*$/i.exec(req.get('Authorization') || '');
+    return match ? { type: 'bearer', value: match[1] } : null;
+  }
+
+  /**
+   * Check an API key against its stored hash
+   * @param {string} key - Plain key
+   * @returns {Promise<Object>} Principal
+   * @throws {UnauthorizedError} If the key is unknown, revoked or expired
+   */
+  async verifyApiKey(key) {
+    const apiKey = await this.apiKeyRepository.findByHash(hashKey(key));
+    const principal = this.apiKeyPrincipal(apiKey);
+    this.apiKeyRepository.touch(apiKey.id);
+    return principal;
+  }
+
+  /**
+   * Principal of a stored API key
+   * @param {Object|null} apiKey - Key (see ApiKeyRepository)
+   * @returns {Object} Principal
+   * @throws {UnauthorizedError} If the key is unknown, revoked or expired
+   */
+  apiKeyPrincipal(apiKey) {
+    if (!apiKey) {
+      throw new UnauthorizedError('Invalid API key');
+    }
+    if (apiKey.revokedAt) {
+      throw new UnauthorizedError('API key has been revoked');
+    }
+    if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()) {
+      throw new UnauthorizedError('API key has expired');
+    }
+
+    return {
+      type: 'api_key',
+      id: `key:${apiKey.id}`,
+      userId: apiKey.userId,
+      tenantId: apiKey.tenantId,
+      roles: apiKey.roles,
+      attributes: apiKey.attributes
+    };
+  }
+
+  /**
+   * Verify a JWT and read the principal from its claims
+   * @param {string} token - Bearer token
+   * @returns {Object} Principal
+   * @throws {UnauthorizedError} If the token is invalid, expired, or has no subject or tenant
+   */
+  verifyToken(token) {
+    const { secret, algorithms, issuer, audience, tenantClaim, rolesClaim, attributesClaim } = this.config.jwt;
+
+    if (!secret) {
+      throw new UnauthorizedError('JWT authentication is not configured');
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(token, secret, { algorithms, issuer, audience });
+    } catch (error) {
+      throw new UnauthorizedError(error.name === 'TokenExpiredError' ? 'Token has expired' : 'Invalid token');
+    }
+
+    // The subject owns what the caller creates; callers without one would share it all
+    if (!claims.sub) {
+      throw new UnauthorizedError("Token has no 'sub' claim");
+    }
+
+    const tenantId = claims[tenantClaim];
+    if (!tenantId) {
+      throw new UnauthorizedError(`Token has no '${tenantClaim}' claim`);
+    }
+
+    const attributes = claims[attributesClaim];
+    return {
+      type: 'jwt',
+      id: `user:${claims.sub}`,
+      userId: claims.sub,
+      tenantId: String(tenantId),
+      roles: parseRoles(claims[rolesClaim]),
+      attributes: attributes && typeof attributes === 'object' && !Array.isArray(attributes) ? attributes : {}
+    };
+  }
+
+  /**
+   * Compare a credential with ADMIN_API_KEY in constant time
+   * @param {string} value - Credential
+   * @returns {boolean} True for the bootstrap key
+   */
+  isBootstrapKey(value) {
+    if (!this.bootstrapHash) return false;
+    return crypto.timingSafeEqual(Buffer.from(hashKey(value), 'hex'), Buffer.from(this.bootstrapHash, 'hex'));
+  }
+
+  /**
+   * Principal of ADMIN_API_KEY: admin of every tenant (tenantId null)
+   * @returns {Object} Principal
+   */
+  bootstrapPrincipal() {
+    return { type: 'bootstrap', id: 'bootstrap', userId: null, tenantId: null, roles: ['admin'], attributes: {} };
+  }
+
+  /**
+   * Principal used while authentication is disabled
+   * @returns {Object} Principal
+   */
+  anonymousPrincipal() {
+    return { type: 'anonymous', id: null, userId: null, tenantId: this.config.defaultTenant, roles: ['admin'], attributes: {} };
+  }
+
+  /**
+   * Resolve a stored principal again, for work done on its behalf without a request
+   * (scheduled runs), so revoked or expired keys and changed roles apply
+   * Principals are told apart by their id (see verifyApiKey and verifyToken). Tokens
+   * are not stored, so a JWT principal keeps its stored claims while JWTs are accepted
+   * @param {Object} principal - Principal as stored
+   * @returns {Promise<Object>} Current principal
+   * @throws {UnauthorizedError} If the principal could no longer authenticate
+   */
+  async resolvePrincipal(principal) {
+    const id = principal.id || '';
+
+    if (id.startsWith('key:')) {
+      return this.apiKeyPrincipal(await this.apiKeyRepository.findById(Number(id.slice('key:'.length))));
+    }
+    if (id.startsWith('user:')) {
+      if (!this.config.jwt.secret) {
+        throw new UnauthorizedError('JWT authentication is not configured');
+      }
+      return principal;
+    }
+    if (id === 'bootstrap') {
+      if (!this.bootstrapHash) {
+        throw new UnauthorizedError('ADMIN_API_KEY is not configured');
+      }
+      return this.bootstrapPrincipal();
+    }
+    if (this.config.enabled) {
+      throw new UnauthorizedError('Authentication is enabled; anonymous principals are no longer accepted');
+    }
+    return this.anonymousPrincipal();
+  }
+
+  /**
+   * Issue an API key; the plain key is returned once and never stored
+   * @param {Object} principal - Issuing admin
+   * @param {Object} data - { name, userId, tenantId, roles, attributes, expiresAt }
+   * @returns {Promise<Object>} { apiKey, key }
+   * @throws {ForbiddenError} If a tenant admin issues a key for another tenant
+   */
+  async issueKey(principal, data) {
+    const tenantId = this.resolveTenant(principal, data.tenantId);
+    const keyPrefix = `${API_KEY_PREFIX}${crypto.randomBytes(4).toString('hex')}`;
+    const key = `${keyPrefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+    const apiKey = await this.apiKeyRepository.create({
+      ...data,
+      tenantId,
+      keyPrefix,
+      keyHash: hashKey(key),
+      createdBy: principal.id
+    });
+
+    logger.info(`API key ${apiKey.id} (${keyPrefix}) issued for tenant ${tenantId} by ${principal.id || 'anonymous'}`);
+    return { apiKey, key };
+  }
+
+  /**
+   * List API keys visible to an admin
+   * @param {Object} principal - Admin
+   * @param {Object} filters - { tenantId, includeRevoked }
+   * @returns {Promise<Array>} Keys
+   */
+  async listKeys(principal, filters = {}) {
+    const tenantId = principal.tenantId === null ? filters.tenantId : this.resolveTenant(principal, filters.tenantId);
+    return this.apiKeyRepository.list({ tenantId, includeRevoked: filters.includeRevoked });
+  }
+
+  /**
+   * Revoke an API key of the admin's tenant
+   * @param {Object} principal - Admin
+   * @param {number} id - Key id
+   * @returns {Promise<Object|null>} Revoked key, or null if not found in the admin's tenant
+   */
+  async revokeKey(principal, id) {
+    const apiKey = await this.apiKeyRepository.revoke(id, principal.tenantId);
+    if (apiKey) {
+      logger.info(`API key ${apiKey.id} (${apiKey.keyPrefix}) revoked by ${principal.id || 'anonymous'}`);
+    }
+    return apiKey;
+  }
+
+  /**
+   * Tenant an admin acts on
+   * @param {Object} principal - Admin
+   * @param {string} requested - Requested tenant, if any
+   * @returns {string} Tenant id
+   * @throws {ForbiddenError} If a tenant admin asks for another tenant
+   */
+  resolveTenant(principal, requested) {
+    if (principal.tenantId === null) {
+      return requested || this.config.defaultTenant;
+    }
+    if (requested && requested !== principal.tenantId) {
+      throw new ForbiddenError('API keys of another tenant cannot be managed');
+    }
+    return principal.tenantId;
+  }
+}
+
+module.exports = AuthService;
+module.exports.UnauthorizedError = UnauthorizedError;
+module.exports.ForbiddenError = ForbiddenError;
@@ -0,0 +1,325 @@
+/**
+ * Chart Recommendation Service
+ * Profiles a query result (column types, cardinality, temporal and numeric
+ * columns) and recommends a visualization with a ready-to-render Vega-Lite spec
+ *
+ * Specs read their rows from a named dataset, so the client binds the result
+ * rows instead of receiving them twice: `vegaEmbed(el, spec)` then
+ * `view.data(CHART_DATASET, rows)`. A `table` recommendation has no spec.
+ */
+
+const logger = require('../utils/logger');
+const { describeColumns } = require('../exporters/columnTypes');
+
+const VEGA_LITE_SCHEMA = 'https://vega.github.io/schema/vega-lite/v5.json';
+const CHART_DATASET = 'result';
+
+// A pie only reads well with a handful of slices
+const PIE_MAX_SLICES = 6;
+// Beyond this many categories a bar chart turns into noise
+const BAR_MAX_CATEGORIES = 50;
+// Most series a line or bar chart splits into by colour
+const MAX_SERIES = 10;
+// Points needed before a scatter plot shows a relationship
+const SCATTER_MIN_ROWS = 3;
+
+// Integers named like a period (e.g. EXTRACT(YEAR ...) AS year) are time, not measures
+const TIME_PART_PATTERN = /(^|_)(year|quarter|month|week|day|hour)s?$/i;
+const IDENTIFIER_PATTERN = /(^|_)id$/i;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}(-\d{2})?([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}(:?\d{2})?)?)?$/;
+const NUMERIC_PATTERN = /^-?\d+(\.\d+)?$/;
+
+// Column types (see exporters/columnTypes.js) that come back from pg as strings
+const STRING_NUMBER_TYPES = ['bigint', 'decimal'];
+const NUMBER_TYPES = ['integer', 'bigint', 'double', 'decimal'];
+
+/**
+ * Turn a column name into an axis title
+ * @param {string} name - Column name
+ * @returns {string} Title
+ */
+const toTitle = (name) => String(name)
+  .replace(/_/g, ' ')
+  .replace(/\b\w/g, letter => letter.toUpperCase());
+
+/**
+ * Escape a column name for use as a Vega-Lite field (dots and brackets are paths)
+ * @param {string} name - Column name
+ * @returns {string} Field reference
+ */
+const toField = (name) => String(name).replace(/[.[\]\\]/g, '\\$&');
+
+class ChartRecommendationService {
+  /**
+   * Recommend a visualization for a result
+   * Never throws: an unexpected result shape falls back to a table
+   * @param {Array<Object>} rows - Result rows
+   * @param {Array<Object>} fields - pg result fields (name, dataTypeID, dataTypeModifier)
+   * @returns {Object} { type, reason, spec, alternates: [{ type, spec }], columns }
+   */
+  recommend(rows = [], fields = []) {
+    try {
+      const columns = this.profileColumns(rows, fields);
+      const [primary, ...alternates] = this.rankCharts(rows, columns);
+
+      return {
+        type: primary.type,
+        reason: primary.reason,
+        spec: primary.spec,
+        alternates: alternates.map(chart => ({ type: chart.type, spec: chart.spec })),
+        columns: columns.map(({ name, role, dataType, cardinality }) => ({ name, role, dataType, cardinality }))
+      };
+    } catch (error) {
+      logger.warn(`Chart recommendation failed, falling back to a table: ${error.message}`);
+      return { type: 'table', reason: 'Result could not be profiled', spec: null, alternates: [], columns: [] };
+    }
+  }
+
+  /**
+   * Classify every column as a measure, time or category
+   * @param {Array<Object>} rows - Result rows
+   * @param {Array<Object>} fields - pg result fields
+   * @returns {Array<Object>} { name, role, dataType, cardinality, identifier, nonNegative }
+   *   role is 'quantitative', 'temporal', 'nominal' or 'none' (not chartable, e.g. JSON)
+   */
+  profileColumns(rows, fields) {
+    const described = fields && fields.length > 0
+      ? describeColumns(fields)
+      : Object.keys(rows[0] || {}).map(name => ({ name, type: null }));
+
+    return described.map(column => {
+      const values = rows.map(row => row[column.name]).filter(value => value !== null && value !== undefined);
+      const dataType = column.type || this.inferType(values);
+      const identifier = IDENTIFIER_PATTERN.test(column.name);
+
+      let role;
+      if (dataType === 'date' || dataType === 'timestamp') {
+        role = 'temporal';
+      } else if (NUMBER_TYPES.includes(dataType)) {
+        if (TIME_PART_PATTERN.test(column.name)) {
+          role = 'temporal';
+        } else {
+          role = identifier ? 'nominal' : 'quantitative';
+        }
+      } else if (dataType === 'text' && values.length > 0 && values.every(value => ISO_DATE_PATTERN.test(String(value)))) {
+        role = 'temporal';
+      } else if (dataType === 'text' || dataType === 'boolean') {
+        role = 'nominal';
+      } else {
+        role = 'none';
+      }
+
+      return {
+        name: column.name,
+        role,
+        dataType,
+        cardinality: new Set(values.map(value => (value instanceof Date ? value.getTime() : String(value)))).size,
+        identifier,
+        timePart: role === 'temporal' && NUMBER_TYPES.includes(dataType),
+        nonNegative: role === 'quantitative' && values.every(value => Number(value) >= 0)
+      };
+    });
+  }
+
+  /**
+   * Infer a column type from its values when pg field metadata is missing
+   * @param {Array} values - Non-null values
+   * @returns {string} Column type (see exporters/columnTypes.js)
+   */
+  inferType(values) {
+    if (values.length === 0) return 'text';
+    if (values.every(value => value instanceof Date)) return 'timestamp';
+    if (values.every(value => typeof value === 'boolean')) return 'boolean';
+    if (values.every(value => typeof value === 'number' || (typeof value === 'string' && NUMERIC_PATTERN.test(value)))) {
+      return values.every(value => typeof value === 'number') ? 'double' : 'decimal';
+    }
+    if (values.every(value => typeof value === 'object')) return 'json';
+    return 'text';
+  }
+
+  /**
+   * Pick the charts that fit the result, best first; a table always fits
+   * @param {Array<Object>} rows - Result rows
+   * @param {Array<Object>} columns - Column profiles
+   * @returns {Array<Object>} { type, reason, spec }
+   */
+  rankCharts(rows, columns) {
+    const table = { type: 'table', spec: null };
+    const measures = columns.filter(column => column.role === 'quantitative');
+    const times = columns.filter(column => column.role === 'temporal');
+    const categories = columns.filter(column => column.role === 'nominal' && !column.identifier);
+
+    if (rows.length === 0) {
+      return [{ ...table, reason: 'The query returned no rows' }];
+    }
+
+    if (rows.length === 1 && measures.length > 0) {
+      return [
+        { type: 'kpi', reason: `Single value of ${measures[0].name}`, spec: this.buildKpiSpec(measures[0]) },
+        table
+      ];
+    }
+
+    const series = categories.find(column => column.cardinality > 1 && column.cardinality <= MAX_SERIES);
+
+    if (times.length > 0 && measures.length > 0) {
+      const time = times[0];
+      return [
+        {
+          type: 'line',
+          reason: `${measures.map(m => m.name).join(', ')} over ${time.name}`,
+          spec: this.buildSeriesSpec('line', time, measures, series)
+        },
+        { type: 'bar', spec: this.buildSeriesSpec('bar', time, measures, series) },
+        table
+      ];
+    }
+
+    if (categories.length > 0 && measures.length > 0) {
+      const category = categories[0];
+      const measure = measures[0];
+      const onePerCategory = category.cardinality === rows.length;
+      const pieFits = measures.length === 1 && onePerCategory && measure.nonNegative && category.cardinality <= PIE_MAX_SLICES;
+      const pie = {
+        type: 'pie',
+        reason: `Share of ${measure.name} across ${category.cardinality} ${category.name} values`,
+        spec: this.buildPieSpec(category, measure)
+      };
+      const bar = {
+        type: 'bar',
+        reason: `${measures.map(m => m.name).join(', ')} by ${category.name}`,
+        spec: this.buildSeriesSpec('bar', category, measures, categories.find(column => column !== category && column.cardinality > 1 && column.cardinality <= MAX_SERIES))
+      };
+
+      if (pieFits) {
+        return [pie, bar, table];
+      }
+      if (category.cardinality <= BAR_MAX_CATEGORIES) {
+        return [bar, table];
+      }
+      return [
+        { ...table, reason: `${category.name} has ${category.cardinality} values, too many to chart` },
+        { type: 'bar', spec: bar.spec }
+      ];
+    }
+
+    if (measures.length >= 2 && rows.length >= SCATTER_MIN_ROWS) {
+      return [
+        {
+          type: 'scatter',
+          reason: `Relationship between ${measures[0].name} and ${measures[1].name}`,
+          spec: this.buildScatterSpec(measures[0], measures[1], series)
+        },
+        table
+      ];
+    }
+
+    return [{ ...table, reason: 'No numeric measure to plot against a time or category column' }];
+  }
+
+  /**
+   * Vega-Lite encoding channel for a column
+   * @param {Object} column - Column profile
+   * @param {Object} extra - Additional channel properties
+   * @returns {Object} Channel definition
+   */
+  encode(column, extra = {}) {
+    let type = column.role;
+    if (column.timePart) type = 'ordinal';
+    return { field: toField(column.name), type, title: toTitle(column.name), ...extra };
+  }
+
+  /**
+   * Base spec reading the named dataset, converting numeric strings to numbers
+   * @param {Array<Object>} measures - Measures used by the chart
+   * @param {Object} spec - Chart-specific spec properties
+   * @returns {Object} Vega-Lite spec
+   */
+  buildSpec(measures, spec) {
+    const transform = measures
+      .filter(measure => STRING_NUMBER_TYPES.includes(measure.dataType))
+      .map(measure => ({ calculate: `toNumber(datum[${JSON.stringify(measure.name)}])`, as: measure.name }));
+
+    return {
+      $schema: VEGA_LITE_SCHEMA,
+      data: { name: CHART_DATASET },
+      ...(transform.length > 0 ? { transform } : {}),
+      ...spec
+    };
+  }
+
+  /**
+   * Line or bar chart of one or more measures along an x column
+   * Several measures are folded into one series per measure
+   */
+  buildSeriesSpec(mark, x, measures, series) {
+    const xChannel = x.role === 'nominal' ? this.encode(x, { sort: '-y' }) : this.encode(x);
+
+    if (measures.length > 1) {
+      const spec = this.buildSpec(measures, {
+        mark: { type: mark, tooltip: true, ...(mark === 'line' ? { point: true } : {}) },
+        encoding: {
+          x: xChannel,
+          y: { field: 'value', type: 'quantitative', title: 'Value' },
+          color: { field: 'measure', type: 'nominal', title: 'Measure' },
+          ...(mark === 'bar' ? { xOffset: { field: 'measure' } } : {})
+        }
+      });
+      spec.transform = [...(spec.transform || []), { fold: measures.map(m => m.name), as: ['measure', 'value'] }];
+      return spec;
+    }
+
+    return this.buildSpec(measures, {
+      mark: { type: mark, tooltip: true, ...(mark === 'line' ? { point: true } : {}) },
+      encoding: {
+        x: xChannel,
+        y: this.encode(measures[0]),
+        ...(series ? { color: this.encode(series) } : {}),
+        ...(series && mark === 'bar' ? { xOffset: { field: toField(series.name) } } : {})
+      }
+    });
+  }
+
+  /**
+   * Pie chart of one measure split by a category
+   */
+  buildPieSpec(category, measure) {
+    return this.buildSpec([measure], {
+      mark: { type: 'arc', tooltip: true },
+      encoding: {
+        theta: this.encode(measure),
+        color: this.encode(category)
+      }
+    });
+  }
+
+  /**
+   * Scatter plot of two measures
+   */
+  buildScatterSpec(x, y, series) {
+    return this.buildSpec([x, y], {
+      mark: { type: 'point', tooltip: true },
+      encoding: {
+        x: this.encode(x),
+        y: this.encode(y),
+        ...(series ? { color: this.encode(series) } : {})
+      }
+    });
+  }
+
+  /**
+   * Single big number
+   */
+  buildKpiSpec(measure) {
+    return this.buildSpec([measure], {
+      title: toTitle(measure.name),
+      mark: { type: 'text', fontSize: 48, fontWeight: 'bold' },
+      encoding: {
+        text: this.encode(measure, { format: ',.2~f' })
+      }
+    });
+  }
+}
+
+module.exports = ChartRecommendationService;
+module.exports.CHART_DATASET = CHART_DATASET;
@@ -0,0 +1,197 @@
+/**
+ * Clarification Service
+ * Lets generation answer an ambiguous question with a clarifying question and
+ * options instead of guessing, keeps the request until the caller answers,
+ * and hands the answer back so the request can resume
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { getOwner } = require('../utils/ownership');
+const { getClarificationConfig } = require('../config/clarification');
+
+// Generation output that asks the user a question instead of answering with SQL
+const CLARIFY_PREFIX = 'CLARIFY:';
+
+/**
+ * Build an error for a clarification answer that cannot resume a request
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error} Error with code
+ */
+const clarificationError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Hold back streamed tokens until it is clear they are SQL, so a clarification
+ * is never streamed as sql_token events
+ * @param {Function} onToken - Token callback
+ * @returns {Function} Token callback that forwards SQL tokens only
+ */
+const holdClarificationTokens = (onToken) => {
+  let held = '';
+  let state = 'undecided';
+  return (token) => {
+    if (state === 'sql') return onToken(token);
+    if (state === 'clarification') return undefined;
+
+    held += token;
+    const head = held.trimStart();
+    if (CLARIFY_PREFIX.startsWith(head)) return undefined;
+    state = head.startsWith(CLARIFY_PREFIX) ? 'clarification' : 'sql';
+    return state === 'sql' ? onToken(held) : undefined;
+  };
+};
+
+class ClarificationService {
+  /**
+   * @param {ClarificationRepository} clarificationRepository - Storage of requests awaiting an answer
+   * @param {Object} config - Clarification configuration (see config/clarification.js)
+   */
+  constructor(clarificationRepository, config = getClarificationConfig()) {
+    this.clarificationRepository = clarificationRepository;
+    this.config = config;
+  }
+
+  /**
+   * Format the user's answer to a clarifying question for the generation prompt
+   * @param {Object} clarification - { question, answer }
+   * @returns {string} Clarification section, or empty string without one
+   */
+  buildContext(clarification) {
+    if (!clarification) {
+      return '';
+    }
+    return `The user was asked: ${clarification.question}\nThe user answered: ${clarification.answer}\nGenerate the query for this interpretation.\n`;
+  }
+
+  /**
+   * Instruction allowing the LLM to ask instead of guessing
+   * @returns {string} Numbered instruction line
+   */
+  buildInstruction() {
+    const example = JSON.stringify({
+      question: 'Rank products by revenue or by units sold?',
+      options: [
+        { label: 'By revenue', interpretation: 'Sum of order item totals per product' },
+        { label: 'By units sold', interpretation: 'Sum of order item quantities per product' }
+      ]
+    });
+    return `12. If the query can be read in ways that give materially different results (e.g. "best" could rank by revenue or by units sold, or a period like "last period" is not defined) and neither the business terms, the examples nor the previous conversation settle it, do not guess. Instead of SQL, return one line: ${CLARIFY_PREFIX} followed by JSON with a short question and 2 to ${this.config.maxOptions} options, one per reading, e.g. ${CLARIFY_PREFIX} ${example}. Otherwise return SQL as usual\n`;
+  }
+
+  /**
+   * Read a clarifying question from generation output
+   * @param {string} output - Cleaned LLM output
+   * @returns {Object|null} { question, options: [{ id, label, interpretation }] }, or null
+   *   if the output is not a well-formed clarification with at least two options
+   */
+  parse(output) {
+    if (!output.startsWith(CLARIFY_PREFIX)) {
+      return null;
+    }
+
+    // The JSON may still be wrapped in prose or a ```json fence
+    const body = output.slice(CLARIFY_PREFIX.length);
+    let parsed;
+    try {
+      parsed = JSON.parse(body.slice(body.indexOf('{'), body.lastIndexOf('}') + 1));
+    } catch (error) {
+      return null;
+    }
+
+    const options = (Array.isArray(parsed.options) ? parsed.options : [])
+      .filter(option => option && typeof option.label === 'string' && option.label.trim())
+      .slice(0, this.config.maxOptions);
+    if (typeof parsed.question !== 'string' || !parsed.question.trim() || options.length < 2) {
+      return null;
+    }
+
+    return {
+      question: parsed.question.trim(),
+      options: options.map((option, index) => ({
+        id: index + 1,
+        label: option.label.trim(),
+        interpretation: typeof option.interpretation === 'string' && option.interpretation.trim()
+          ? option.interpretation.trim()
+          : option.label.trim()
+      }))
+    };
+  }
+
+  /**
+   * Keep a request that asked a clarifying question until the caller answers it
+   * @param {string} query - Natural language question
+   * @param {Object} clarification - Parsed clarification (see parse)
+   * @param {Object} context - { options, conversationContext, relevantTables } of the request
+   * @returns {Promise<Object>} { id, question, options, expiresAt } for the response
+   */
+  async store(query, clarification, { options, conversationContext, relevantTables }) {
+    const stored = await this.clarificationRepository.create({
+      id: uuidv4(),
+      owner: getOwner(options.principal),
+      question: query,
+      clarification,
+      // What the answer resumes with; per-call settings (paging, streaming) come from the answering call
+      request: {
+        datasource: options.datasource,
+        language: options.language,
+        summarize: options.summarize,
+        maxResults: options.maxResults,
+        examples: options.examples
+      },
+      conversationContext,
+      relevantTables,
+      expiresAt: new Date(Date.now() + this.config.ttlMinutes * 60 * 1000)
+    });
+
+    this.clarificationRepository.purgeExpired()
+      .catch(error => logger.warn(`Failed to purge expired clarifications: ${error.message}`));
+
+    logger.info(`Asked for clarification ${stored.id}: ${clarification.question}`);
+    return { id: stored.id, ...clarification, expiresAt: stored.expiresAt };
+  }
+
+  /**
+   * Take the request a clarification answer belongs to; each clarification is answered once
+   * @param {Object} reply - { id, option } to pick an offered option, or { id, answer } in free text
+   * @param {Object} principal - Principal answering; must be the one who asked, in the same tenant
+   * @returns {Promise<Object>} Stored request (see ClarificationRepository) with
+   *   answer: { question, answer, option? } for the generation prompt
+   * @throws {Error} CLARIFICATION_NOT_FOUND if unknown, expired, answered or asked by someone else;
+   *   INVALID_CLARIFICATION for an option that was not offered
+   */
+  async resume({ id, option, answer }, principal) {
+    const pending = await this.clarificationRepository.findById(id, getOwner(principal));
+    if (!pending) {
+      throw clarificationError('CLARIFICATION_NOT_FOUND', 'Clarification not found or expired');
+    }
+
+    let reply = answer;
+    if (option !== undefined) {
+      const chosen = pending.clarification.options.find(candidate => candidate.id === option);
+      if (!chosen) {
+        throw clarificationError('INVALID_CLARIFICATION', `Option ${option} was not offered`);
+      }
+      reply = chosen.interpretation === chosen.label ? chosen.label : `${chosen.label} (${chosen.interpretation})`;
+    }
+
+    // Concurrent answers: only the first resumes the request
+    if (!(await this.clarificationRepository.delete(id))) {
+      throw clarificationError('CLARIFICATION_NOT_FOUND', 'Clarification not found or expired');
+    }
+
+    return {
+      ...pending,
+      answer: { question: pending.clarification.question, answer: reply, ...(option !== undefined ? { option } : {}) }
+    };
+  }
+}
+
+module.exports = ClarificationService;
+module.exports.CLARIFY_PREFIX = CLARIFY_PREFIX;
+module.exports.clarificationError = clarificationError;
+module.exports.holdClarificationTokens = holdClarificationTokens;
@@ -0,0 +1,118 @@
+/**
+ * Conversation Service
+ * Business logic for multi-turn NLQ sessions: keeps prior questions, SQL and
+ * result shapes and feeds them back so follow-up questions refine earlier ones
+ */
+
+const logger = require('../utils/logger');
+const { getOwner } = require('../utils/ownership');
+
+class ConversationService {
+  /**
+   * @param {ConversationRepository} conversationRepository - Session storage
+   * @param {AdvancedNLQService} nlqService - NLQ pipeline
+   */
+  constructor(conversationRepository, nlqService) {
+    this.conversationRepository = conversationRepository;
+    this.nlqService = nlqService;
+    this.contextTurns = parseInt(process.env.CONVERSATION_CONTEXT_TURNS) || 5;
+  }
+
+  /**
+   * Start a new session
+   * @param {Object} data - Session title and metadata
+   * @param {Object} principal - Caller, who owns the session
+   * @returns {Promise<Object>} Created session
+   */
+  async createSession(data = {}, principal) {
+    const session = await this.conversationRepository.createSession(data, getOwner(principal));
+    logger.info(`Created conversation session ${session.id}`);
+    return session;
+  }
+
+  /**
+   * Get a session
+   * @param {string} sessionId - Session id
+   * @param {Object} principal - Caller; sessions of others are not found
+   * @returns {Promise<Object|null>} Session or null if not found
+   */
+  async getSession(sessionId, principal) {
+    return this.conversationRepository.getSession(sessionId, getOwner(principal));
+  }
+
+  /**
+   * List turns of a session
+   * @param {string} sessionId - Session id
+   * @param {Object} pagination - limit/offset
+   * @param {Object} principal - Caller; sessions of others are not found
+   * @returns {Promise<Array|null>} Turns, or null if the session does not exist
+   */
+  async listTurns(sessionId, { limit = 50, offset = 0 } = {}, principal) {
+    const session = await this.conversationRepository.getSession(sessionId, getOwner(principal));
+    if (!session) {
+      return null;
+    }
+    return this.conversationRepository.listTurns(sessionId, limit, offset);
+  }
+
+  /**
+   * Ask a question within a session, using earlier turns as context
+   * @param {string} sessionId - Session id
+   * @param {string} query - Natural language question
+   * @param {Object} options - NLQ processing options; options.principal must own the session
+   * @returns {Promise<Object|null>} NLQ result with turn info, or null if the session does not exist
+   */
+  async postTurn(sessionId, query, options = {}) {
+    const session = await this.conversationRepository.getSession(sessionId, getOwner(options.principal));
+    if (!session) {
+      return null;
+    }
+
+    // Only turns that produced SQL are useful for refining the next question
+    const recentTurns = await this.conversationRepository.getRecentTurns(sessionId, this.contextTurns);
+    const conversationContext = recentTurns.filter(turn => turn.success && turn.generatedSQL);
+
+    logger.info(`Session ${sessionId}: processing turn with ${conversationContext.length} context turns`);
+
+    const result = await this.nlqService.processQuery(query, {
+      ...options,
+      conversationContext
+    });
+
+    // The turn is added when the clarifying question is answered
+    if (result.status === 'needs_clarification') {
+      return { ...result, sessionId };
+    }
+
+    // An answered clarification resumes the question it was asked for
+    const turn = await this.conversationRepository.addTurn(sessionId, {
+      question: result.query || query,
+      language: options.language,
+      generatedSQL: result.generatedSQL,
+      resultShape: result.success ? this.describeResultShape(result.result) : null,
+      success: result.success,
+      error: result.error,
+      processingTime: result.processingTime
+    });
+
+    return {
+      ...result,
+      sessionId,
+      turnIndex: turn.turnIndex
+    };
+  }
+
+  /**
+   * Summarize a result without storing row data
+   * @param {Object} queryResult - Result from runSQL
+   * @returns {Object} Column names and row count
+   */
+  describeResultShape(queryResult = {}) {
+    return {
+      columns: queryResult.columns || [],
+      rowCount: queryResult.rowCount || 0
+    };
+  }
+}
+
+module.exports = ConversationService;
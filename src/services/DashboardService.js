@@ -6,9 +6,17 @@
 
 const logger = require('../utils/logger');
 
+// PII categories of recent order fields, masked per caller role
+const RECENT_ORDER_PII = { customer: 'person_name' };
+
 class DashboardService {
-  constructor(dashboardRepository) {
+  /**
+   * @param {DashboardRepository} dashboardRepository - Analytics queries
+   * @param {DataMaskingService} dataMaskingService - PII masking per caller role (optional)
+   */
+  constructor(dashboardRepository, dataMaskingService = null) {
     this.dashboardRepository = dashboardRepository;
+    this.dataMaskingService = dataMaskingService;
   }
 
   /**
@@ -130,16 +138,21 @@ class DashboardService {
   /**
    * Get recent orders data
    * @param {number} limit - Number of recent orders to return
+   * @param {Object} principal - Caller; customer names are masked per its roles
    * @returns {Promise<Array>} Recent orders data
    */
-  async getRecentOrders(limit = 5) {
+  async getRecentOrders(limit = 5, principal = null) {
     try {
       logger.info(`Fetching recent ${limit} orders data`);
-      const data = await this.dashboardRepository.getRecentOrders(limit);
+      let data = await this.dashboardRepository.getRecentOrders(limit);
       
       // If no data, return sample data
       if (data.length === 0) {
-        return this._getSampleRecentOrders();
+        data = this._getSampleRecentOrders();
+      }
+
+      if (this.dataMaskingService) {
+        data = await this.dataMaskingService.maskRecords(data, RECENT_ORDER_PII, principal);
       }
 
       logger.info('Successfully fetched recent orders data');
@@ -152,9 +165,10 @@ class DashboardService {
 
   /**
    * Get all dashboard data in one call
+   * @param {Object} principal - Caller (see getRecentOrders)
    * @returns {Promise<Object>} Complete dashboard data
    */
-  async getAllDashboardData() {
+  async getAllDashboardData(principal = null) {
     try {
       logger.info('Fetching all dashboard data');
 
@@ -164,7 +178,7 @@ class DashboardService {
         this.getRevenueTrend(),
         this.getSalesByCategory(),
         this.getTopProducts(),
-        this.getRecentOrders()
+        this.getRecentOrders(5, principal)
       ]);
 
       const data = {
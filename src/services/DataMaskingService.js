@@ -0,0 +1,942 @@
+/**
+ * Data Masking Service
+ * Classifies columns of the queried database as PII and masks result values
+ * per caller role before they leave the service layer
+ *
+ * A column's category comes from an admin classification if there is one,
+ * else from the last scan (name, type and sampled value patterns), else from
+ * its name and type alone. Classifications describe the shared database and
+ * apply to every tenant. A masking policy sets the strategy one role of a
+ * tenant gets for one category: none, partial (j***@email.com), hash (HMAC)
+ * or redact. A caller gets the least restrictive strategy any of its roles
+ * is granted, and MASKING_DEFAULT_STRATEGY for categories no role covers.
+ *
+ * Result columns are traced back to table columns through the SQL, so
+ * aliases and expressions such as CONCAT(first_name, ' ', last_name) are
+ * masked like the columns they read. Columns of FROM items that cannot be
+ * traced, such as XMLTABLE, are treated as PII of every category. Stored
+ * classifications describe the primary database; columns of named
+ * datasources are classified from their names and types alone.
+ */
+
+const crypto = require('crypto');
+const { parse } = require('libpg-query');
+const logger = require('../utils/logger');
+const { ForbiddenError } = require('./AuthService');
+const { getMaskingConfig, STRATEGIES } = require('../config/masking');
+const { DEFAULT_DATASOURCE } = require('../config/datasources');
+const { PII_CATEGORIES, classifyColumn, getTypeGroup } = require('../utils/piiDetection');
+
+const REDACTED = '[REDACTED]';
+
+// Aggregates whose result reveals nothing of their arguments
+const NON_REVEALING_FUNCTIONS = ['count'];
+
+// Expressions that only yield true or false
+const BOOLEAN_EXPRESSIONS = ['NullTest', 'BooleanTest'];
+
+// Sublinks whose value is a column of the subquery (EXISTS, IN and ANY yield booleans)
+const VALUE_SUBLINKS = ['EXPR_SUBLINK', 'ARRAY_SUBLINK'];
+
+const IPV4_PATTERN = /^(\d{1,3})\.(\d{1,3})\.\d{1,3}\.\d{1,3}$/;
+
+/**
+ * Double-quote an identifier
+ * @param {string} name - Identifier
+ * @returns {string} Quoted identifier
+ */
+const quoteIdentifier = (name) => `"${name.replace(/"/g, '""')}"`;
+
+/**
+ * Create an error with a code the controller maps to a status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error} Error
+ */
+const createError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Cell value as text
+ * @param {*} value - Cell value
+ * @returns {string} Text
+ */
+const toText = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Keep the first character only
+ * @param {string} text - Value
+ * @returns {string} Masked value
+ */
+const keepFirst = (text) => (text.length > 0 ? `${text[0]}***` : text);
+
+/**
+ * Keep the last characters only
+ * @param {string} text - Value
+ * @param {number} count - Characters to keep
+ * @returns {string} Masked value
+ */
+const keepLast = (text, count) => (text.length <= count
+  ? '*'.repeat(text.length)
+  : `${'*'.repeat(text.length - count)}${text.slice(-count)}`);
+
+// Partial masks that keep enough of a value to recognize it, per category
+const PARTIAL_MASKS = {
+  email: (text) => {
+    const at = text.lastIndexOf('@');
+    return at > 0 ? `${text[0]}***${text.slice(at)}` : keepFirst(text);
+  },
+  phone: (text) => {
+    let hidden = text.replace(/\D/g, '').length - 4;
+    return text.replace(/\d/g, digit => (hidden-- > 0 ? '*' : digit));
+  },
+  person_name: (text) => text.split(/\s+/).filter(Boolean).map(keepFirst).join(' '),
+  national_id: (text) => keepLast(text, 4),
+  payment_card: (text) => keepLast(text.replace(/[\s-]/g, ''), 4),
+  date_of_birth: (text) => text.slice(0, 4),
+  ip_address: (text) => {
+    const match = text.match(IPV4_PATTERN);
+    return match ? `${match[1]}.${match[2]}.*.*` : keepFirst(text);
+  },
+  address: keepFirst
+};
+
+/**
+ * Lower-cased name of a function call
+ * @param {Object} call - FuncCall node
+ * @returns {string} Function name
+ */
+const getFunctionName = (call) => {
+  const names = (call.funcname || []).map(name => (name.String ? name.String.sval : ''));
+  return names[names.length - 1].toLowerCase();
+};
+
+/**
+ * Output column name PostgreSQL gives an unaliased expression
+ * @param {Object} node - Expression node
+ * @returns {string} Column name
+ */
+const getOutputName = (node) => {
+  if (node.ColumnRef) {
+    const fields = node.ColumnRef.fields;
+    const last = fields[fields.length - 1];
+    return last.String ? last.String.sval : '?column?';
+  }
+  if (node.FuncCall) {
+    return getFunctionName(node.FuncCall);
+  }
+  if (node.TypeCast) {
+    const inner = getOutputName(node.TypeCast.arg);
+    const typeNames = node.TypeCast.typeName.names || [];
+    const typeName = typeNames.length > 0 ? typeNames[typeNames.length - 1].String.sval : '?column?';
+    return inner !== '?column?' ? inner : typeName;
+  }
+  return '?column?';
+};
+
+/**
+ * Rename outputs to a column alias list: t(a, b) or WITH t(a, b) AS (...)
+ * @param {Array} outputs - { name, categories }
+ * @param {Array} colnames - Alias names, if any
+ * @returns {Array} Renamed outputs
+ */
+const renameOutputs = (outputs, colnames) => {
+  if (!colnames) return outputs;
+  return outputs.map((output, index) => (colnames[index]
+    ? { name: colnames[index].String.sval, categories: output.categories }
+    : output));
+};
+
+/**
+ * Name of each column a FROM function yields: f(...) AS x(a, b), f(...) AS x(a type), f(...) AS x or f(...)
+ * @param {Object} node - RangeFunction node
+ * @param {Object} call - The function's call node
+ * @returns {Array<string>|null} Column names, or null if the function's columns are not known
+ */
+const getFunctionColumns = (node, call) => {
+  if (node.alias && node.alias.colnames) {
+    return node.alias.colnames.map(name => name.String.sval);
+  }
+  if (node.coldeflist) {
+    return node.coldeflist.map(definition => definition.ColumnDef.colname);
+  }
+  if (node.functions.length !== 1 || !call.FuncCall) {
+    return null;
+  }
+  return [node.alias ? node.alias.aliasname : getFunctionName(call.FuncCall)];
+};
+
+/**
+ * Traces result columns of a SELECT back to the table columns they read
+ */
+class LineageAnalyzer {
+  /**
+   * @param {Map} classification - Table name => columns with their category
+   */
+  constructor(classification) {
+    this.classification = classification;
+  }
+
+  /**
+   * PII categories of every output column
+   * @param {Object} select - SelectStmt node
+   * @param {Object} context - { ctes: Map, scope } of the enclosing query
+   * @returns {Array} { name, categories: Set } per output column
+   */
+  analyzeSelect(select, context = { ctes: new Map(), scope: null }) {
+    if (!select) return [];
+
+    const ctes = new Map(context.ctes);
+    for (const cte of (select.withClause && select.withClause.ctes) || []) {
+      const expression = cte.CommonTableExpr;
+      const outputs = this.analyzeSelect(expression.ctequery.SelectStmt, { ctes, scope: context.scope });
+      ctes.set(expression.ctename.toLowerCase(), renameOutputs(outputs, expression.aliascolnames));
+    }
+    const inner = { ctes, scope: context.scope };
+
+    // UNION, INTERSECT and EXCEPT: columns combine by position
+    if (select.op && select.op !== 'SETOP_NONE') {
+      const left = this.analyzeSelect(select.larg, inner);
+      const right = this.analyzeSelect(select.rarg, inner);
+      return left.map((output, index) => ({
+        name: output.name,
+        categories: new Set([...output.categories, ...(right[index] ? right[index].categories : [])])
+      }));
+    }
+
+    // VALUES: each column reveals what any row puts in its position
+    if (select.valuesLists) {
+      return select.valuesLists[0].List.items.map((item, index) => ({
+        name: `column${index + 1}`,
+        categories: new Set(select.valuesLists.flatMap(row => [...this.collectCategories(row.List.items[index], inner)]))
+      }));
+    }
+
+    const scope = { sources: [], parent: context.scope };
+    for (const item of select.fromClause || []) {
+      this.addSources(item, inner, scope.sources);
+    }
+    const selectContext = { ctes, scope };
+
+    const outputs = [];
+    for (const target of select.targetList || []) {
+      const { name, val } = target.ResTarget;
+      const fields = val.ColumnRef ? val.ColumnRef.fields : null;
+
+      if (fields && fields[fields.length - 1].A_Star) {
+        outputs.push(...this.expandStar(fields, scope));
+      } else {
+        outputs.push({ name: name || getOutputName(val), categories: this.collectCategories(val, selectContext) });
+      }
+    }
+    return outputs;
+  }
+
+  /**
+   * Add the relations of a FROM item to a scope
+   * LATERAL items also see the items before them; columns of items that
+   * cannot be traced are not listed, and reveal their `untraced` categories
+   * @param {Object} item - FROM item node
+   * @param {Object} context - { ctes, scope } the item is read in
+   * @param {Array} sources - Scope sources to add to: { alias, columns, untraced }
+   */
+  addSources(item, context, sources) {
+    const lateral = { ctes: context.ctes, scope: { sources, parent: context.scope } };
+
+    if (item.RangeVar) {
+      const node = item.RangeVar;
+      const name = node.relname.toLowerCase();
+      let columns = [];
+
+      if (!node.schemaname && context.ctes.has(name)) {
+        columns = context.ctes.get(name);
+      } else if (!node.schemaname || node.schemaname.toLowerCase() === 'public') {
+        columns = (this.classification.get(name) || []).map(column => ({
+          name: column.columnName,
+          categories: new Set(column.category ? [column.category] : [])
+        }));
+      }
+
+      sources.push({
+        alias: (node.alias ? node.alias.aliasname : node.relname).toLowerCase(),
+        columns: renameOutputs(columns, node.alias && node.alias.colnames)
+      });
+    } else if (item.RangeSubselect) {
+      const node = item.RangeSubselect;
+      const columns = this.analyzeSelect(node.subquery.SelectStmt, node.lateral ? lateral : context);
+      sources.push({
+        alias: node.alias ? node.alias.aliasname.toLowerCase() : null,
+        columns: renameOutputs(columns, node.alias && node.alias.colnames)
+      });
+    } else if (item.RangeFunction) {
+      // Every column of a function such as unnest(ARRAY[c.email]) reveals what its arguments do
+      const node = item.RangeFunction;
+      const calls = node.functions.map(entry => entry.List.items[0]);
+      const categories = this.collectCategories(calls, node.lateral ? lateral : context);
+      const names = getFunctionColumns(node, calls[0]);
+
+      sources.push({
+        alias: (node.alias ? node.alias.aliasname : (names || [''])[0]).toLowerCase(),
+        columns: (names || []).map(name => ({ name, categories: new Set(categories) })),
+        untraced: names ? null : categories
+      });
+    } else if (item.JoinExpr) {
+      this.addSources(item.JoinExpr.larg, context, sources);
+      this.addSources(item.JoinExpr.rarg, context, sources);
+    } else if (item.RangeTableSample) {
+      this.addSources(item.RangeTableSample.relation, context, sources);
+    } else {
+      const node = Object.values(item)[0] || {};
+      sources.push({
+        alias: node.alias ? node.alias.aliasname.toLowerCase() : null,
+        columns: [],
+        untraced: new Set(PII_CATEGORIES)
+      });
+    }
+  }
+
+  /**
+   * Output columns of `*` or `alias.*`
+   * @param {Array} fields - ColumnRef fields
+   * @param {Object} scope - Scope of the SELECT
+   * @returns {Array} { name, categories }
+   */
+  expandStar(fields, scope) {
+    const qualifier = fields.length > 1 && fields[fields.length - 2].String
+      ? fields[fields.length - 2].String.sval.toLowerCase()
+      : null;
+    const sources = qualifier ? scope.sources.filter(source => source.alias === qualifier) : scope.sources;
+    return sources.flatMap(source => [
+      ...source.columns.map(column => ({ name: column.name, categories: new Set(column.categories) })),
+      // How many columns an untraced source yields is not known
+      ...(source.untraced ? [{ name: source.alias, categories: new Set(source.untraced), untraced: true }] : [])
+    ]);
+  }
+
+  /**
+   * PII categories an expression reveals
+   * @param {Object} node - Expression node
+   * @param {Object} context - { ctes, scope } of the SELECT
+   * @returns {Set} Categories
+   */
+  collectCategories(node, context) {
+    const categories = new Set();
+    const add = (found) => found.forEach(category => categories.add(category));
+
+    const visit = (value) => {
+      if (Array.isArray(value)) {
+        value.forEach(visit);
+        return;
+      }
+      if (!value || typeof value !== 'object') return;
+
+      for (const [key, child] of Object.entries(value)) {
+        if (key === 'ColumnRef') {
+          add(this.resolveColumn(child.fields, context.scope));
+        } else if (BOOLEAN_EXPRESSIONS.includes(key) || key === 'agg_filter') {
+          continue;
+        } else if (key === 'FuncCall' && NON_REVEALING_FUNCTIONS.includes(getFunctionName(child))) {
+          continue;
+        } else if (key === 'CaseWhen') {
+          visit(child.result);
+        } else if (key === 'SubLink') {
+          if (VALUE_SUBLINKS.includes(child.subLinkType)) {
+            this.analyzeSelect(child.subselect.SelectStmt, context).forEach(output => add(output.categories));
+          }
+        } else {
+          visit(child);
+        }
+      }
+    };
+
+    visit(node);
+    return categories;
+  }
+
+  /**
+   * PII categories of a column reference, looked up in the SELECT and then in enclosing queries
+   * A bare relation alias (`c`, as in row_to_json(c)) stands for its whole row
+   * @param {Array} fields - ColumnRef fields
+   * @param {Object} scope - Innermost scope
+   * @returns {Set} Categories
+   */
+  resolveColumn(fields, scope) {
+    const names = fields.map(field => (field.String ? field.String.sval.toLowerCase() : '*'));
+    const column = names[names.length - 1];
+    const qualifier = names.length > 1 ? names[names.length - 2] : null;
+    const collect = (columns) => new Set(columns.flatMap(entry => [...entry.categories]));
+    const collectRows = (sources) => collect(sources.flatMap(source => [
+      ...source.columns,
+      ...(source.untraced ? [{ categories: source.untraced }] : [])
+    ]));
+
+    if (column === '*') {
+      return collect(this.expandStar(fields, scope));
+    }
+
+    for (let current = scope; current; current = current.parent) {
+      const sources = qualifier ? current.sources.filter(source => source.alias === qualifier) : current.sources;
+      const matches = sources.flatMap(source => source.columns.filter(entry => entry.name.toLowerCase() === column));
+
+      if (matches.length > 0) {
+        return collect(matches);
+      }
+      if (!qualifier) {
+        const rows = current.sources.filter(source => source.alias === column);
+        if (rows.length > 0) {
+          return collectRows(rows);
+        }
+      }
+      // The column may be one of an untraced source's
+      const untraced = sources.filter(source => source.untraced && source.untraced.size > 0);
+      if (untraced.length > 0) {
+        return collectRows(untraced.map(source => ({ columns: [], untraced: source.untraced })));
+      }
+      if (qualifier && sources.length > 0) {
+        return new Set();
+      }
+    }
+    return new Set();
+  }
+}
+
+class DataMaskingService {
+  /**
+   * @param {DataMaskingRepository} dataMaskingRepository - Classification and policy storage
+   * @param {Object} primaryDB - Database pool of the queried data (for columns and samples)
+   * @param {Object} config - Masking configuration (see config/masking.js)
+   */
+  constructor(dataMaskingRepository, primaryDB, config = getMaskingConfig()) {
+    this.dataMaskingRepository = dataMaskingRepository;
+    this.primaryDB = primaryDB;
+    this.config = config;
+    this.classificationCache = null;
+    this.sourceClassificationCache = new Map();
+    this.policyCache = new Map();
+  }
+
+  /**
+   * List columns of the queried database with their classification
+   * @param {Object} filters - Filters
+   * @param {string} filters.tableName - Only columns of this table
+   * @param {boolean} filters.piiOnly - Only columns classified as PII
+   * @returns {Promise<Array>} { tableName, columnName, dataType, category, source, detectedBy }
+   */
+  async listColumns(filters = {}) {
+    const classification = await this.getClassification();
+    const tableName = filters.tableName ? filters.tableName.toLowerCase() : null;
+
+    return [...classification.entries()]
+      .filter(([name]) => !tableName || name === tableName)
+      .flatMap(([, columns]) => columns)
+      .filter(column => !filters.piiOnly || column.category);
+  }
+
+  /**
+   * Classify every column not classified by an admin from its name, type and sampled values
+   * Sampled values are only matched against patterns; they are never stored
+   * @param {Object} principal - Admin
+   * @returns {Promise<Object>} { columns, scanned, detected, detections }
+   */
+  async scanColumns(principal) {
+    const [columns, stored] = await Promise.all([
+      this.introspectColumns(),
+      this.dataMaskingRepository.listClassifications()
+    ]);
+    const adminClassified = new Set(stored
+      .filter(entry => entry.source === 'admin')
+      .map(entry => `${entry.tableName}.${entry.columnName}`));
+
+    const pending = columns.filter(column => !adminClassified.has(`${column.tableName}.${column.columnName}`));
+    const detections = [];
+
+    for (const column of pending) {
+      const sampleValues = getTypeGroup(column.dataType) === 'text'
+        ? await this.sampleColumnValues(column.tableName, column.columnName)
+        : [];
+      const detected = classifyColumn({ ...column, sampleValues });
+      if (detected) {
+        detections.push({ tableName: column.tableName, columnName: column.columnName, ...detected });
+      }
+    }
+
+    await this.dataMaskingRepository.replaceScanResults(detections);
+    this.classificationCache = null;
+
+    logger.info(`PII scan by ${principal.id || 'anonymous'}: ${detections.length} of ${pending.length} columns classified`);
+    return { columns: columns.length, scanned: pending.length, detected: detections.length, detections };
+  }
+
+  /**
+   * Classify a column, overriding detection
+   * @param {Object} principal - Admin
+   * @param {string} tableName - Table name
+   * @param {string} columnName - Column name
+   * @param {string|null} category - PII category, or null if the column is not PII
+   * @returns {Promise<Object>} Stored classification
+   * @throws {Error} With code UNKNOWN_COLUMN
+   */
+  async classifyColumn(principal, tableName, columnName, category) {
+    const column = await this.findColumn(tableName, columnName);
+    if (!column) {
+      throw createError('UNKNOWN_COLUMN', `Column ${tableName}.${columnName} does not exist`);
+    }
+
+    const stored = await this.dataMaskingRepository.saveClassification({
+      tableName: column.tableName,
+      columnName: column.columnName,
+      category,
+      updatedBy: principal.id
+    });
+    this.classificationCache = null;
+
+    logger.info(`Column ${column.tableName}.${column.columnName} classified as ${category || 'not PII'} by ${principal.id || 'anonymous'}`);
+    return stored;
+  }
+
+  /**
+   * Drop the stored classification of a column, so detection applies again
+   * @param {string} tableName - Table name
+   * @param {string} columnName - Column name
+   * @returns {Promise<Object|null>} The column's classification now, or null if none was stored
+   */
+  async resetColumn(tableName, columnName) {
+    const column = await this.findColumn(tableName, columnName);
+    if (!column || !(await this.dataMaskingRepository.deleteClassification(column.tableName, column.columnName))) {
+      return null;
+    }
+
+    this.classificationCache = null;
+    return this.findColumn(column.tableName, column.columnName);
+  }
+
+  /**
+   * List the masking policies of the admin's tenant (any tenant for the bootstrap key)
+   * @param {Object} principal - Admin
+   * @param {Object} filters - { tenantId, role, category }
+   * @returns {Promise<Array>} Policies
+   */
+  async listPolicies(principal, filters = {}) {
+    const tenantId = this.resolveTenant(principal, filters.tenantId);
+    return this.dataMaskingRepository.listPolicies(tenantId, { role: filters.role, category: filters.category });
+  }
+
+  /**
+   * Get a masking policy of the admin's tenant
+   * @param {Object} principal - Admin
+   * @param {number} id - Policy id
+   * @returns {Promise<Object|null>} Policy, or null if not found
+   */
+  async getPolicy(principal, id) {
+    return this.dataMaskingRepository.findPolicyById(id, principal.tenantId);
+  }
+
+  /**
+   * Create a masking policy
+   * @param {Object} principal - Admin
+   * @param {Object} data - { tenantId, role, category, strategy, description }
+   * @returns {Promise<Object>} Created policy
+   * @throws {Error} With code DUPLICATE_POLICY
+   */
+  async createPolicy(principal, data) {
+    const tenantId = this.resolveTenant(principal, data.tenantId);
+    const policy = { role: data.role, category: data.category, strategy: data.strategy, description: data.description || null };
+    await this.checkUnique(tenantId, policy);
+
+    const created = await this.dataMaskingRepository.createPolicy({ ...policy, tenantId, createdBy: principal.id });
+    this.policyCache.delete(tenantId);
+
+    logger.info(`Masking policy ${created.id} (${created.role}: ${created.category} => ${created.strategy}) created for tenant ${tenantId}`);
+    return created;
+  }
+
+  /**
+   * Replace a masking policy of the admin's tenant
+   * @param {Object} principal - Admin
+   * @param {number} id - Policy id
+   * @param {Object} data - { role, category, strategy, description }
+   * @returns {Promise<Object|null>} Updated policy, or null if not found
+   * @throws {Error} With code DUPLICATE_POLICY
+   */
+  async updatePolicy(principal, id, data) {
+    const existing = await this.dataMaskingRepository.findPolicyById(id, principal.tenantId);
+    if (!existing) return null;
+
+    const policy = { role: data.role, category: data.category, strategy: data.strategy, description: data.description || null };
+    await this.checkUnique(existing.tenantId, policy, existing.id);
+
+    const updated = await this.dataMaskingRepository.updatePolicy(existing.id, existing.tenantId, policy);
+    this.policyCache.delete(existing.tenantId);
+
+    logger.info(`Masking policy ${existing.id} updated for tenant ${existing.tenantId}`);
+    return updated;
+  }
+
+  /**
+   * Delete a masking policy of the admin's tenant
+   * @param {Object} principal - Admin
+   * @param {number} id - Policy id
+   * @returns {Promise<Object|null>} Deleted policy, or null if not found
+   */
+  async deletePolicy(principal, id) {
+    const existing = await this.dataMaskingRepository.findPolicyById(id, principal.tenantId);
+    if (!existing) return null;
+
+    await this.dataMaskingRepository.deletePolicy(existing.id, existing.tenantId);
+    this.policyCache.delete(existing.tenantId);
+
+    logger.info(`Masking policy ${existing.id} deleted for tenant ${existing.tenantId}`);
+    return existing;
+  }
+
+  /**
+   * Reject a second policy for the same role and category
+   * @param {string} tenantId - Tenant
+   * @param {Object} policy - Policy data
+   * @param {number} ignoreId - Policy being updated
+   * @throws {Error} With code DUPLICATE_POLICY
+   */
+  async checkUnique(tenantId, policy, ignoreId = null) {
+    const existing = await this.dataMaskingRepository.listPolicies(tenantId, { role: policy.role, category: policy.category });
+    if (existing.some(other => other.id !== ignoreId)) {
+      throw createError('DUPLICATE_POLICY', `Role '${policy.role}' already has a masking policy for '${policy.category}'`);
+    }
+  }
+
+  /**
+   * Tenant an admin acts on
+   * @param {Object} principal - Admin
+   * @param {string} requested - Requested tenant, if any
+   * @returns {string} Tenant id
+   * @throws {ForbiddenError} If a tenant admin asks for another tenant
+   */
+  resolveTenant(principal, requested) {
+    if (principal.tenantId === null) {
+      return requested || this.config.defaultTenant;
+    }
+    if (requested && requested !== principal.tenantId) {
+      throw new ForbiddenError('Masking policies of another tenant cannot be managed');
+    }
+    return principal.tenantId;
+  }
+
+  /**
+   * Strategy per PII category for a principal
+   * @param {Object} principal - Principal; internal calls without one see clear values
+   * @returns {Promise<Map|null>} Category => strategy, or null when nothing is masked
+   */
+  async getStrategies(principal) {
+    if (!this.config.enabled || !principal) {
+      return null;
+    }
+
+    const roles = principal.roles || [];
+    if (roles.some(role => this.config.unmaskedRoles.includes(role))) {
+      return null;
+    }
+
+    const policies = (await this.getTenantPolicies(principal.tenantId)).filter(policy => roles.includes(policy.role));
+    const strategies = new Map();
+
+    // The least restrictive strategy any of the roles is granted applies
+    for (const category of PII_CATEGORIES) {
+      const granted = policies.filter(policy => policy.category === category).map(policy => policy.strategy);
+      strategies.set(category, granted.length > 0
+        ? granted.reduce((least, strategy) => (STRATEGIES.indexOf(strategy) < STRATEGIES.indexOf(least) ? strategy : least))
+        : this.config.defaultStrategy);
+    }
+
+    return [...strategies.values()].every(strategy => strategy === 'none') ? null : strategies;
+  }
+
+  /**
+   * Prepare masking of the rows of one query for a principal
+   * The masker can be applied to every batch of a streamed result
+   * @param {string} sql - SQL that produces the rows (as executed)
+   * @param {Object} principal - Principal the rows are for
+   * @param {Object} source - Datasource the SQL ran on (primary database by default)
+   * @returns {Promise<Function|null>} (rows, fields) => { rows, maskedColumns }, or null when nothing is masked
+   */
+  async createMasker(sql, principal, source = null) {
+    const strategies = await this.getStrategies(principal);
+    if (!strategies) {
+      return null;
+    }
+
+    const classification = source && source.key !== DEFAULT_DATASOURCE
+      ? await this.getSourceClassification(source)
+      : await this.getClassification();
+    const outputs = await this.describeOutputs(sql, classification);
+    let plan = null;
+
+    return (rows, fields = []) => {
+      plan = plan || this.planColumns(outputs, fields, strategies, classification);
+      return {
+        rows: plan.length > 0 ? rows.map(row => this.maskRow(row, plan)) : rows,
+        maskedColumns: plan
+      };
+    };
+  }
+
+  /**
+   * Mask records whose PII fields are known in advance
+   * @param {Array} records - Records
+   * @param {Object} categories - Field name => PII category
+   * @param {Object} principal - Principal the records are for
+   * @returns {Promise<Array>} Masked records
+   */
+  async maskRecords(records, categories, principal) {
+    const strategies = await this.getStrategies(principal);
+    if (!strategies) {
+      return records;
+    }
+
+    const plan = Object.entries(categories)
+      .map(([name, category]) => ({ name, category, strategy: strategies.get(category) }))
+      .filter(column => column.strategy !== 'none');
+    return records.map(record => this.maskRow(record, plan));
+  }
+
+  /**
+   * PII categories of each output column of a query
+   * @param {string} sql - SQL
+   * @param {Map} classification - Table name => classified columns
+   * @returns {Promise<Array|null>} { name, categories } per column, or null if the SQL cannot be traced
+   */
+  async describeOutputs(sql, classification) {
+    try {
+      const parsed = await parse(sql);
+      const statements = parsed.stmts || [];
+      const select = statements.length === 1 ? statements[0].stmt.SelectStmt : null;
+      return select ? new LineageAnalyzer(classification).analyzeSelect(select) : null;
+    } catch (error) {
+      logger.warn(`Could not trace result columns, masking by column name: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Decide how each result column is masked
+   * Untraceable results fall back to masking columns named like a PII column;
+   * columns a star over an untraced source may have yielded are PII
+   * @param {Array|null} outputs - Traced output columns (see describeOutputs)
+   * @param {Array} fields - Result fields ({ name }) in output order
+   * @param {Map} strategies - Category => strategy
+   * @param {Map} classification - Table name => classified columns
+   * @returns {Array} { name, category, strategy } of masked columns
+   */
+  planColumns(outputs, fields, strategies, classification) {
+    let columns;
+    const untraced = outputs ? outputs.filter(output => output.untraced) : [];
+    if (untraced.length > 0) {
+      const byName = new Map(outputs.filter(output => !output.untraced).map(output => [output.name.toLowerCase(), output.categories]));
+      const unknown = new Set(untraced.flatMap(output => [...output.categories]));
+      columns = fields.map(field => ({ name: field.name, categories: byName.get(field.name.toLowerCase()) || unknown }));
+    } else if (outputs && (fields.length === 0 || fields.length === outputs.length)) {
+      columns = outputs.map((output, index) => ({ name: fields[index] ? fields[index].name : output.name, categories: output.categories }));
+    } else {
+      const byName = new Map();
+      for (const column of [...classification.values()].flat().filter(entry => entry.category)) {
+        const name = column.columnName.toLowerCase();
+        byName.set(name, new Set([...(byName.get(name) || []), column.category]));
+      }
+      columns = fields.map(field => ({ name: field.name, categories: byName.get(field.name.toLowerCase()) || new Set() }));
+    }
+
+    // Rows are keyed by name, so same-named columns share the strictest mask
+    const plan = new Map();
+    for (const column of columns) {
+      for (const category of PII_CATEGORIES.filter(candidate => column.categories.has(candidate))) {
+        const strategy = strategies.get(category);
+        const current = plan.get(column.name);
+        if (!current || STRATEGIES.indexOf(strategy) > STRATEGIES.indexOf(current.strategy)) {
+          plan.set(column.name, { name: column.name, category, strategy });
+        }
+      }
+    }
+    return [...plan.values()].filter(column => column.strategy !== 'none');
+  }
+
+  /**
+   * Mask the planned columns of a row
+   * @param {Object} row - Row
+   * @param {Array} plan - { name, category, strategy }
+   * @returns {Object} Masked copy of the row
+   */
+  maskRow(row, plan) {
+    const masked = { ...row };
+    for (const column of plan) {
+      if (column.name in masked) {
+        masked[column.name] = this.maskValue(masked[column.name], column.strategy, column.category);
+      }
+    }
+    return masked;
+  }
+
+  /**
+   * Mask one value; nulls stay null
+   * @param {*} value - Cell value
+   * @param {string} strategy - none, partial, hash or redact
+   * @param {string} category - PII category
+   * @returns {*} Masked value
+   */
+  maskValue(value, strategy, category) {
+    if (value === null || value === undefined || strategy === 'none') {
+      return value;
+    }
+
+    const text = toText(value);
+    switch (strategy) {
+      case 'partial':
+        return (PARTIAL_MASKS[category] || keepFirst)(text);
+      case 'hash':
+        return crypto.createHmac('sha256', this.config.hashSecret).update(text).digest('hex').slice(0, 16);
+      default:
+        return REDACTED;
+    }
+  }
+
+  /**
+   * Classified columns per table, cached for cacheTtlMs and refreshed on every change
+   * @returns {Promise<Map>} Table name => [{ tableName, columnName, dataType, category, source, detectedBy }]
+   */
+  async getClassification() {
+    if (this.classificationCache && this.classificationCache.expiresAt > Date.now()) {
+      return this.classificationCache.tables;
+    }
+
+    const [columns, stored] = await Promise.all([
+      this.introspectColumns(),
+      this.dataMaskingRepository.listClassifications()
+    ]);
+    const storedByColumn = new Map(stored.map(entry => [`${entry.tableName}.${entry.columnName}`, entry]));
+    const tables = this.groupByTable(columns.map((column) => {
+      const entry = storedByColumn.get(`${column.tableName}.${column.columnName}`);
+      return entry
+        ? { ...column, category: entry.category, source: entry.source, detectedBy: entry.detectedBy }
+        : this.detectColumn(column);
+    }));
+
+    this.classificationCache = { tables, expiresAt: Date.now() + this.config.cacheTtlMs };
+    return tables;
+  }
+
+  /**
+   * Classified columns per table of a named datasource, from names and types alone
+   * @param {Object} source - Datasource (see AdvancedNLQService.resolveSource)
+   * @returns {Promise<Map>} Table name => classified columns (see getClassification)
+   */
+  async getSourceClassification(source) {
+    const cached = this.sourceClassificationCache.get(source.key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.tables;
+    }
+
+    const tables = this.groupByTable((await this.introspectColumns(source.pool)).map(column => this.detectColumn(column)));
+    this.sourceClassificationCache.set(source.key, { tables, expiresAt: Date.now() + this.config.cacheTtlMs });
+    return tables;
+  }
+
+  /**
+   * Classify a column nobody classified
+   * @param {Object} column - { tableName, columnName, dataType }
+   * @returns {Object} Column with category, source ('auto' or null) and detectedBy
+   */
+  detectColumn(column) {
+    const detected = classifyColumn(column);
+    return {
+      ...column,
+      category: detected ? detected.category : null,
+      source: detected ? 'auto' : null,
+      detectedBy: detected ? detected.detectedBy : null
+    };
+  }
+
+  /**
+   * Group classified columns by lowercase table name
+   * @param {Array} columns - Classified columns
+   * @returns {Map} Table name => columns
+   */
+  groupByTable(columns) {
+    const tables = new Map();
+    for (const column of columns) {
+      const tableName = column.tableName.toLowerCase();
+      if (!tables.has(tableName)) {
+        tables.set(tableName, []);
+      }
+      tables.get(tableName).push(column);
+    }
+    return tables;
+  }
+
+  /**
+   * Find a column and its classification
+   * @param {string} tableName - Table name
+   * @param {string} columnName - Column name
+   * @returns {Promise<Object|null>} Classified column, or null if it does not exist
+   */
+  async findColumn(tableName, columnName) {
+    const columns = (await this.getClassification()).get(tableName.toLowerCase()) || [];
+    return columns.find(column => column.columnName.toLowerCase() === columnName.toLowerCase()) || null;
+  }
+
+  /**
+   * Columns of the public schema, in definition order
+   * @param {Object} pool - Database to read (the primary one by default)
+   * @returns {Promise<Array>} { tableName, columnName, dataType }
+   */
+  async introspectColumns(pool = this.primaryDB) {
+    const result = await pool.query(`
+      SELECT table_name, column_name, data_type
+      FROM information_schema.columns
+      WHERE table_schema = 'public'
+      ORDER BY table_name, ordinal_position
+    `);
+    return result.rows.map(row => ({ tableName: row.table_name, columnName: row.column_name, dataType: row.data_type }));
+  }
+
+  /**
+   * Read a few non-null values of a column for pattern detection
+   * @param {string} tableName - Table name
+   * @param {string} columnName - Column name
+   * @returns {Promise<Array<string>>} Values
+   */
+  async sampleColumnValues(tableName, columnName) {
+    try {
+      const column = quoteIdentifier(columnName);
+      const result = await this.primaryDB.query(
+        `SELECT ${column}::text AS value FROM ${quoteIdentifier(tableName)} WHERE ${column} IS NOT NULL LIMIT $1`,
+        [this.config.scanSampleSize]
+      );
+      return result.rows.map(row => row.value);
+    } catch (error) {
+      logger.warn(`Could not sample values of ${tableName}.${columnName}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Masking policies of a tenant, cached for cacheTtlMs and refreshed on every change
+   * @param {string} tenantId - Tenant
+   * @returns {Promise<Array>} Policies
+   */
+  async getTenantPolicies(tenantId) {
+    const cached = this.policyCache.get(tenantId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.policies;
+    }
+
+    const policies = await this.dataMaskingRepository.listPolicies(tenantId);
+    this.policyCache.set(tenantId, { policies, expiresAt: Date.now() + this.config.cacheTtlMs });
+    return policies;
+  }
+}
+
+module.exports = DataMaskingService;
@@ -0,0 +1,415 @@
+/**
+ * Datasource Service
+ * Registry of named databases a query can target besides the primary one
+ *
+ * Datasources belong to a tenant and may be limited to some roles (admins
+ * always see them). Passwords are stored encrypted with
+ * DATASOURCE_ENCRYPTION_KEY and only decrypted to open a pool. Each
+ * datasource gets its own pool and sandbox, created on first use and
+ * replaced when the datasource changes, and its own schema index, keyed by
+ * the source key. The primary database stays available as 'default'.
+ */
+
+const { Pool } = require('pg');
+const logger = require('../utils/logger');
+const QuerySandbox = require('./QuerySandbox');
+const { ForbiddenError } = require('./AuthService');
+const { encrypt, decrypt } = require('../utils/credentialCipher');
+const { getDatasourceConfig, DEFAULT_DATASOURCE } = require('../config/datasources');
+const { getSandboxConfig } = require('../config/sandbox');
+
+/**
+ * Create an error with a code the controller maps to a status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error} Error
+ */
+const createError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Key of a datasource's schema index and caches
+ * @param {Object} datasource - Datasource
+ * @returns {string} Source key
+ */
+const getSourceKey = (datasource) => `datasource:${datasource.id}`;
+
+class DatasourceService {
+  /**
+   * @param {DatasourceRepository} datasourceRepository - Datasource storage
+   * @param {SchemaIndexRepository} schemaIndexRepository - Drops the index of deleted datasources
+   * @param {Object} config - Datasource configuration (see config/datasources.js)
+   * @param {Function} createPool - (settings) => pg pool
+   */
+  constructor(datasourceRepository, schemaIndexRepository = null, config = getDatasourceConfig(), createPool = (settings) => new Pool(settings)) {
+    this.datasourceRepository = datasourceRepository;
+    this.schemaIndexRepository = schemaIndexRepository;
+    this.config = config;
+    this.createPool = createPool;
+    this.pools = new Map();
+  }
+
+  /**
+   * List the datasources of the admin's tenant (any tenant for the bootstrap key)
+   * @param {Object} principal - Admin
+   * @param {Object} filters - { tenantId }
+   * @returns {Promise<Array>} Datasources, without credentials
+   */
+  async listDatasources(principal, filters = {}) {
+    const tenantId = this.resolveTenant(principal, filters.tenantId);
+    return (await this.datasourceRepository.list(tenantId)).map(datasource => this.present(datasource));
+  }
+
+  /**
+   * Get a datasource of the admin's tenant
+   * @param {Object} principal - Admin
+   * @param {number} id - Datasource id
+   * @returns {Promise<Object|null>} Datasource, or null if not found
+   */
+  async getDatasource(principal, id) {
+    const datasource = await this.datasourceRepository.findById(id, principal.tenantId);
+    return datasource ? this.present(datasource) : null;
+  }
+
+  /**
+   * Register a datasource and check that it can be reached
+   * @param {Object} principal - Admin
+   * @param {Object} data - { tenantId, name, description, host, port, database, username, password,
+   *   ssl, sandboxRole, allowedRoles }
+   * @returns {Promise<Object>} Created datasource with its health
+   * @throws {Error} With code DUPLICATE_DATASOURCE or ENCRYPTION_KEY_MISSING
+   */
+  async createDatasource(principal, data) {
+    const tenantId = this.resolveTenant(principal, data.tenantId);
+    await this.checkUnique(tenantId, data.name);
+
+    const created = await this.datasourceRepository.create({
+      ...this.prepare(data),
+      passwordEncrypted: data.password ? this.encryptPassword(data.password) : null,
+      tenantId,
+      createdBy: principal.id
+    });
+
+    logger.info(`Datasource ${created.id} (${created.name}) registered for tenant ${tenantId}`);
+    return this.present(await this.probe(created));
+  }
+
+  /**
+   * Replace a datasource's settings; the password is kept unless one is given
+   * @param {Object} principal - Admin
+   * @param {number} id - Datasource id
+   * @param {Object} data - Fields as for createDatasource
+   * @returns {Promise<Object|null>} Updated datasource with its health, or null if not found
+   * @throws {Error} With code DUPLICATE_DATASOURCE or ENCRYPTION_KEY_MISSING
+   */
+  async updateDatasource(principal, id, data) {
+    const existing = await this.datasourceRepository.findById(id, principal.tenantId);
+    if (!existing) return null;
+
+    await this.checkUnique(existing.tenantId, data.name, existing.id);
+
+    const updated = await this.datasourceRepository.update(existing.id, existing.tenantId, {
+      ...this.prepare(data),
+      ...(data.password !== undefined ? { passwordEncrypted: data.password ? this.encryptPassword(data.password) : null } : {})
+    });
+    if (!updated) return null;
+    await this.closePool(existing.id);
+
+    logger.info(`Datasource ${existing.id} (${updated.name}) updated for tenant ${existing.tenantId}`);
+    return this.present(await this.probe(updated));
+  }
+
+  /**
+   * Delete a datasource, closing its pool and dropping its schema index
+   * @param {Object} principal - Admin
+   * @param {number} id - Datasource id
+   * @returns {Promise<Object|null>} Deleted datasource, or null if not found
+   */
+  async deleteDatasource(principal, id) {
+    const existing = await this.datasourceRepository.findById(id, principal.tenantId);
+    if (!existing) return null;
+
+    await this.datasourceRepository.delete(existing.id, existing.tenantId);
+    await this.closePool(existing.id);
+
+    if (this.schemaIndexRepository) {
+      try {
+        await this.schemaIndexRepository.removeDatasource(getSourceKey(existing));
+      } catch (error) {
+        logger.warn(`Could not drop the schema index of datasource ${existing.id}: ${error.message}`);
+      }
+    }
+
+    logger.info(`Datasource ${existing.id} (${existing.name}) deleted for tenant ${existing.tenantId}`);
+    return this.present(existing);
+  }
+
+  /**
+   * Check that a datasource of the admin's tenant can be reached and record the outcome
+   * @param {Object} principal - Admin
+   * @param {number} id - Datasource id
+   * @returns {Promise<Object|null>} Datasource with its health, or null if not found
+   */
+  async checkHealth(principal, id) {
+    const existing = await this.datasourceRepository.findById(id, principal.tenantId);
+    return existing ? this.present(await this.probe(existing)) : null;
+  }
+
+  /**
+   * Datasources a principal may query, the primary database first
+   * @param {Object} principal - Principal
+   * @returns {Promise<Array>} { name, description, status, lastCheckedAt }
+   */
+  async listAvailable(principal) {
+    const datasources = await this.datasourceRepository.list(this.getPrincipalTenant(principal));
+    return [
+      { name: DEFAULT_DATASOURCE, description: 'Primary database', status: null, lastCheckedAt: null },
+      ...datasources
+        .filter(datasource => this.isAllowed(datasource, principal))
+        .map(datasource => ({
+          name: datasource.name,
+          description: datasource.description,
+          status: datasource.status,
+          lastCheckedAt: datasource.lastCheckedAt
+        }))
+    ];
+  }
+
+  /**
+   * Resolve a named datasource for a query
+   * Unknown datasources and those the principal's roles may not use are reported alike
+   * @param {string} name - Datasource name (not 'default')
+   * @param {Object} principal - Principal; internal calls without one use the default tenant
+   * @returns {Promise<Object>} { key, name, pool, sandbox }
+   * @throws {Error} With code DATASOURCE_NOT_FOUND, ENCRYPTION_KEY_MISSING or DATASOURCE_UNAVAILABLE
+   */
+  async getSource(name, principal) {
+    const datasource = await this.datasourceRepository.findByName(this.getPrincipalTenant(principal), name);
+    if (!datasource || !this.isAllowed(datasource, principal)) {
+      throw createError('DATASOURCE_NOT_FOUND', `Datasource '${name}' not found`);
+    }
+
+    const { pool, sandbox } = this.getConnection(datasource);
+    return { key: getSourceKey(datasource), name: datasource.name, pool, sandbox };
+  }
+
+  /**
+   * Pool and sandbox of a datasource, reopened when its settings changed
+   * @param {Object} datasource - Datasource
+   * @returns {Object} { pool, sandbox }
+   */
+  getConnection(datasource) {
+    const current = this.pools.get(datasource.id);
+    const version = new Date(datasource.updatedAt).getTime();
+    if (current && current.version === version) {
+      return current;
+    }
+    if (current) {
+      this.endPool(datasource.id, current.pool);
+    }
+
+    const pool = this.createPool({
+      host: datasource.host,
+      port: datasource.port,
+      database: datasource.database,
+      user: datasource.username,
+      password: datasource.passwordEncrypted ? this.decryptPassword(datasource) : undefined,
+      ssl: datasource.ssl || false,
+      max: this.config.poolMax,
+      idleTimeoutMillis: this.config.idleTimeoutMs,
+      connectionTimeoutMillis: this.config.connectionTimeoutMs
+    });
+    pool.on('error', (error) => {
+      logger.error(`Unexpected error on idle client of datasource ${datasource.name}`, error);
+    });
+
+    // SANDBOX_ROLE belongs to the primary database; other databases name their own role
+    const sandbox = new QuerySandbox(pool, { ...getSandboxConfig(), role: datasource.sandboxRole || null });
+    const connection = { pool, sandbox, version };
+    this.pools.set(datasource.id, connection);
+    return connection;
+  }
+
+  /**
+   * Try a datasource's connection and record whether it worked
+   * @param {Object} datasource - Datasource
+   * @returns {Promise<Object>} Datasource with the recorded health
+   */
+  async probe(datasource) {
+    let status = 'healthy';
+    let lastError = null;
+
+    try {
+      await this.getConnection(datasource).pool.query('SELECT 1');
+    } catch (error) {
+      status = 'unreachable';
+      lastError = error.message;
+      logger.warn(`Datasource ${datasource.id} (${datasource.name}) is unreachable: ${error.message}`);
+    }
+
+    return (await this.datasourceRepository.updateHealth(datasource.id, status, lastError)) || { ...datasource, status, lastError };
+  }
+
+  /**
+   * Close every datasource pool (on shutdown)
+   */
+  async closeAll() {
+    await Promise.all([...this.pools.keys()].map(id => this.closePool(id)));
+  }
+
+  /**
+   * Close the pool of a datasource, if it has one
+   * @param {number} id - Datasource id
+   */
+  async closePool(id) {
+    const current = this.pools.get(id);
+    if (current) {
+      await this.endPool(id, current.pool);
+    }
+  }
+
+  /**
+   * Forget a pool and end it; queries still running on it finish first
+   * @param {number} id - Datasource id
+   * @param {Object} pool - Pool
+   */
+  async endPool(id, pool) {
+    if (this.pools.get(id) && this.pools.get(id).pool === pool) {
+      this.pools.delete(id);
+    }
+    try {
+      await pool.end();
+    } catch (error) {
+      logger.warn(`Failed to close the pool of datasource ${id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Whether a principal's roles may use a datasource
+   * @param {Object} datasource - Datasource
+   * @param {Object} principal - Principal; internal calls without one may use any
+   * @returns {boolean} True if allowed
+   */
+  isAllowed(datasource, principal) {
+    if (!principal || datasource.allowedRoles.length === 0) {
+      return true;
+    }
+    const roles = principal.roles || [];
+    return roles.includes('admin') || roles.some(role => datasource.allowedRoles.includes(role));
+  }
+
+  /**
+   * Connection settings of a request, without the password
+   * @param {Object} data - Request data
+   * @returns {Object} Datasource fields
+   */
+  prepare(data) {
+    return {
+      name: data.name,
+      description: data.description || null,
+      host: data.host,
+      port: data.port || 5432,
+      database: data.database,
+      username: data.username,
+      ssl: data.ssl === true,
+      sandboxRole: data.sandboxRole || null,
+      allowedRoles: [...new Set(data.allowedRoles || [])]
+    };
+  }
+
+  /**
+   * Shape a datasource for the API: credentials never leave the service
+   * @param {Object} datasource - Datasource
+   * @returns {Object} Datasource without its encrypted password
+   */
+  present(datasource) {
+    const { passwordEncrypted, ...rest } = datasource;
+    return { ...rest, hasPassword: Boolean(passwordEncrypted) };
+  }
+
+  /**
+   * Encrypt a password for storage
+   * @param {string} password - Password
+   * @returns {string} Encrypted password
+   * @throws {Error} With code ENCRYPTION_KEY_MISSING
+   */
+  encryptPassword(password) {
+    return encrypt(password, this.getEncryptionKey());
+  }
+
+  /**
+   * Decrypt a datasource's stored password
+   * @param {Object} datasource - Datasource
+   * @returns {string} Password
+   * @throws {Error} With code ENCRYPTION_KEY_MISSING or DATASOURCE_UNAVAILABLE
+   */
+  decryptPassword(datasource) {
+    const key = this.getEncryptionKey();
+    try {
+      return decrypt(datasource.passwordEncrypted, key);
+    } catch (error) {
+      logger.error(`Password of datasource ${datasource.id} cannot be decrypted: ${error.message}`);
+      throw createError('DATASOURCE_UNAVAILABLE', `Credentials of datasource '${datasource.name}' cannot be decrypted`);
+    }
+  }
+
+  /**
+   * Configured encryption key
+   * @returns {string} Key
+   * @throws {Error} With code ENCRYPTION_KEY_MISSING
+   */
+  getEncryptionKey() {
+    if (!this.config.encryptionKey) {
+      throw createError('ENCRYPTION_KEY_MISSING', 'DATASOURCE_ENCRYPTION_KEY is not configured');
+    }
+    return this.config.encryptionKey;
+  }
+
+  /**
+   * Reject a second datasource with the same name in a tenant
+   * @param {string} tenantId - Tenant
+   * @param {string} name - Datasource name
+   * @param {number} ignoreId - Datasource being updated
+   * @throws {Error} With code DUPLICATE_DATASOURCE
+   */
+  async checkUnique(tenantId, name, ignoreId = null) {
+    const existing = await this.datasourceRepository.findByName(tenantId, name);
+    if (existing && existing.id !== ignoreId) {
+      throw createError('DUPLICATE_DATASOURCE', `Datasource '${name}' already exists`);
+    }
+  }
+
+  /**
+   * Tenant a principal queries in
+   * @param {Object} principal - Principal (the bootstrap admin and internal calls use the default tenant)
+   * @returns {string} Tenant id
+   */
+  getPrincipalTenant(principal) {
+    return principal && principal.tenantId !== null && principal.tenantId !== undefined
+      ? principal.tenantId
+      : this.config.defaultTenant;
+  }
+
+  /**
+   * Tenant an admin acts on
+   * @param {Object} principal - Admin
+   * @param {string} requested - Requested tenant, if any
+   * @returns {string} Tenant id
+   * @throws {ForbiddenError} If a tenant admin asks for another tenant
+   */
+  resolveTenant(principal, requested) {
+    if (principal.tenantId === null) {
+      return requested || this.config.defaultTenant;
+    }
+    if (requested && requested !== principal.tenantId) {
+      throw new ForbiddenError('Datasources of another tenant cannot be managed');
+    }
+    return principal.tenantId;
+  }
+}
+
+module.exports = DatasourceService;
+module.exports.getSourceKey = getSourceKey;
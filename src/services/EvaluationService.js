@@ -0,0 +1,476 @@
+/**
+ * Evaluation Service
+ * Measures the NLQ pipeline against golden question sets. Every case is
+ * answered by the full pipeline (without the query cache) and its result is
+ * compared with the expected one by value (see utils/resultEquivalence), so
+ * SQL written differently but answering the same way passes. Runs are stored
+ * with accuracy, latency and failure categories so that prompt, model and
+ * retrieval changes can be compared run against run
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const logger = require('../utils/logger');
+const { compareResults } = require('../utils/resultEquivalence');
+const { getEvaluationConfig } = require('../config/evaluation');
+const { schemas } = require('../middleware/validation');
+
+const GOLDEN_SET_NAME_PATTERN = /^[\w-]+$/;
+
+// Failure categories, in the order reports list them
+const FAILURE_CATEGORIES = [
+  'pipeline_error',
+  'unsafe_sql',
+  'access_denied',
+  'invalid_sql',
+  'execution_error',
+  'timeout',
+  'wrong_result',
+  'golden_error'
+];
+
+/**
+ * Build an error the controller answers with a client status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error} Error with code
+ */
+const evaluationError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const round = (value) => Math.round(value * 10000) / 10000;
+const mean = (values) => (values.length > 0 ? Math.round(values.reduce((total, value) => total + value, 0) / values.length) : null);
+
+/**
+ * Nearest-rank percentile
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} percentile - 0-100
+ * @returns {number|null} Percentile, or null without values
+ */
+const percentile = (sorted, percentile) => (sorted.length > 0
+  ? sorted[Math.max(0, Math.ceil((percentile / 100) * sorted.length) - 1)]
+  : null);
+
+class EvaluationService {
+  /**
+   * @param {EvaluationRunRepository} evaluationRunRepository - Run storage
+   * @param {AdvancedNLQService} nlqService - NLQ pipeline under evaluation
+   * @param {Object} config - Evaluation configuration
+   */
+  constructor(evaluationRunRepository, nlqService, config = getEvaluationConfig()) {
+    this.evaluationRunRepository = evaluationRunRepository;
+    this.nlqService = nlqService;
+    this.config = config;
+    // Runs started through the API in this process; one at a time keeps the LLM and database load bounded
+    this.activeRunId = null;
+  }
+
+  /**
+   * List the golden sets in the golden set directory
+   * @returns {Promise<Array>} [{ name, description, datasource, cases }]
+   */
+  async listGoldenSets() {
+    let files;
+    try {
+      files = await fs.readdir(this.config.goldenSetDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const goldenSets = [];
+    for (const file of files.filter(name => name.endsWith('.json')).sort()) {
+      try {
+        const goldenSet = await this.readGoldenSet(path.join(this.config.goldenSetDir, file));
+        goldenSets.push({
+          name: goldenSet.name,
+          description: goldenSet.description,
+          datasource: goldenSet.datasource,
+          cases: goldenSet.cases.length
+        });
+      } catch (error) {
+        logger.warn(`Skipping golden set ${file}: ${error.message}`);
+      }
+    }
+    return goldenSets;
+  }
+
+  /**
+   * Load a golden set from the golden set directory
+   * @param {string} name - Golden set name (file name without .json)
+   * @returns {Promise<Object>} Golden set
+   * @throws {Error} GOLDEN_SET_NOT_FOUND or INVALID_GOLDEN_SET
+   */
+  async loadGoldenSet(name) {
+    if (!GOLDEN_SET_NAME_PATTERN.test(name)) {
+      throw evaluationError('GOLDEN_SET_NOT_FOUND', `Golden set ${name} not found`);
+    }
+    return this.readGoldenSet(path.join(this.config.goldenSetDir, `${name}.json`));
+  }
+
+  /**
+   * Read and validate a golden set file
+   * @param {string} file - Path of the file
+   * @returns {Promise<Object>} Golden set with defaults applied
+   * @throws {Error} GOLDEN_SET_NOT_FOUND or INVALID_GOLDEN_SET
+   */
+  async readGoldenSet(file) {
+    let content;
+    try {
+      content = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw evaluationError('GOLDEN_SET_NOT_FOUND', `Golden set ${path.basename(file, '.json')} not found`);
+      }
+      throw evaluationError('INVALID_GOLDEN_SET', `Golden set ${file} is not valid JSON: ${error.message}`);
+    }
+
+    const { error, value } = schemas.goldenSet.validate(content, { abortEarly: false });
+    if (error) {
+      const invalid = evaluationError('INVALID_GOLDEN_SET', `Golden set ${file} is invalid`);
+      invalid.violations = error.details.map(detail => detail.message);
+      throw invalid;
+    }
+    return value;
+  }
+
+  /**
+   * Start evaluating a golden set in the background (admin API)
+   * @param {Object} principal - Admin starting the run; their access policies apply
+   * @param {Object} data - { goldenSet, label, examples }
+   * @returns {Promise<Object>} Run with status running; poll getRun for the outcome
+   * @throws {Error} EVALUATION_RUNNING if a run is in progress, or golden set errors
+   */
+  async startRun(principal, { goldenSet: name, label, examples = true }) {
+    if (this.activeRunId !== null) {
+      throw evaluationError('EVALUATION_RUNNING', `Evaluation run ${this.activeRunId} is still in progress`);
+    }
+
+    const goldenSet = await this.loadGoldenSet(name);
+    const run = await this.createRun(goldenSet, { label, examples, principal });
+    this.activeRunId = run.id;
+
+    this.executeRun(run, goldenSet, { examples, principal })
+      .catch(error => logger.error(`Evaluation run ${run.id} failed:`, error))
+      .finally(() => {
+        this.activeRunId = null;
+      });
+
+    return run;
+  }
+
+  /**
+   * Record the start of a run with the settings it is evaluated under
+   * @param {Object} goldenSet - Golden set
+   * @param {Object} options - Run options
+   * @param {string} options.label - Free-form label, e.g. the prompt change being tried
+   * @param {boolean} options.examples - Show few-shot examples in the prompt (default true)
+   * @param {Object} options.principal - Principal the questions are asked as
+   * @param {boolean} options.save - Set false to keep the run in memory only
+   * @returns {Promise<Object>} Run
+   */
+  async createRun(goldenSet, options = {}) {
+    if (!this.nlqService.isInitialized) {
+      await this.nlqService.initialize();
+    }
+
+    const { provider } = this.nlqService;
+    const settings = {
+      provider: provider.name,
+      chatModel: provider.config.chatModel,
+      embeddingModel: provider.config.embeddingModel,
+      examples: options.examples !== false,
+      datasource: goldenSet.datasource || null,
+      cases: goldenSet.cases.length
+    };
+    const createdBy = options.principal ? options.principal.id : null;
+
+    if (options.save === false) {
+      return { id: null, goldenSet: goldenSet.name, label: options.label || null, status: 'running', settings, createdBy, startedAt: new Date() };
+    }
+    return this.evaluationRunRepository.create({ goldenSet: goldenSet.name, label: options.label, settings, createdBy });
+  }
+
+  /**
+   * Evaluate every case of a golden set, one after the other, and store the outcome
+   * @param {Object} run - Run from createRun
+   * @param {Object} goldenSet - Golden set
+   * @param {Object} options - { examples, principal, onCase }; onCase(result, index) reports progress
+   * @returns {Promise<Object>} Finished run with summary and results
+   */
+  async executeRun(run, goldenSet, options = {}) {
+    const results = [];
+    let outcome;
+
+    try {
+      for (const [index, testCase] of goldenSet.cases.entries()) {
+        const result = await this.evaluateCase(testCase, goldenSet, options);
+        results.push(result);
+        if (options.onCase) {
+          options.onCase(result, index);
+        }
+      }
+      outcome = { status: 'completed', summary: this.summarize(results), results };
+      logger.info(`Evaluation run ${run.id || '(unsaved)'} of ${goldenSet.name}: ${outcome.summary.passed}/${outcome.summary.scored} passed`);
+    } catch (error) {
+      logger.error(`Evaluation run ${run.id || '(unsaved)'} of ${goldenSet.name} failed:`, error);
+      outcome = { status: 'failed', summary: this.summarize(results), results, error: error.message };
+    }
+
+    if (run.id === null) {
+      return { ...run, ...outcome, finishedAt: new Date() };
+    }
+    return this.evaluationRunRepository.finish(run.id, outcome);
+  }
+
+  /**
+   * Answer one golden question and compare its result with the expected one
+   * @param {Object} testCase - Golden set case
+   * @param {Object} goldenSet - Golden set the case belongs to
+   * @param {Object} options - { examples, principal }
+   * @returns {Promise<Object>} Case result; failures carry a category (see FAILURE_CATEGORIES)
+   */
+  async evaluateCase(testCase, goldenSet, options = {}) {
+    const datasource = testCase.datasource || goldenSet.datasource;
+    const result = {
+      id: testCase.id,
+      question: testCase.question,
+      tags: testCase.tags,
+      expectedSQL: testCase.expectedSQL || null
+    };
+
+    // A golden case that cannot run says nothing about the pipeline, so the question is not asked
+    const expected = await this.getExpectedResult(testCase, { datasource, principal: options.principal });
+    if (expected.error) {
+      return { ...result, passed: false, category: 'golden_error', error: expected.error };
+    }
+
+    const response = await this.nlqService.processQuery(testCase.question, {
+      datasource,
+      principal: options.principal,
+      cache: false,
+      examples: options.examples,
+      maxResults: this.config.maxRows
+    });
+    Object.assign(result, {
+      generatedSQL: response.generatedSQL || null,
+      attempts: (response.attempts || []).length,
+      latencyMs: response.processingTime,
+      timings: response.timings
+    });
+
+    if (!response.success) {
+      return { ...result, passed: false, category: this.categorizeFailure(response), error: response.error };
+    }
+
+    const comparison = compareResults(expected, { columns: response.result.columns, rows: response.result.data }, {
+      ordered: testCase.ordered,
+      precision: testCase.precision || this.config.precision
+    });
+    result.rowCount = response.result.rowCount;
+    result.expectedRowCount = expected.rows.length;
+
+    return comparison.equivalent
+      ? { ...result, passed: true }
+      : { ...result, passed: false, category: 'wrong_result', reason: comparison.reason, detail: comparison.detail };
+  }
+
+  /**
+   * Rows a case expects: its literal result, or the result of its expected SQL
+   * @param {Object} testCase - Golden set case
+   * @param {Object} options - { datasource, principal }
+   * @returns {Promise<Object>} { columns, rows }, or { error }
+   */
+  async getExpectedResult(testCase, options) {
+    if (testCase.expectedResult) {
+      return testCase.expectedResult;
+    }
+
+    const execution = await this.nlqService.executeSQL(testCase.expectedSQL, { ...options, maxResults: this.config.maxRows });
+    if (!execution.success) {
+      return { error: execution.error };
+    }
+    if (execution.result.truncated) {
+      return { error: `Expected result has more than ${execution.result.rowCount} rows (EVAL_MAX_ROWS)` };
+    }
+    return { columns: execution.result.columns, rows: execution.result.data };
+  }
+
+  /**
+   * Failure category of an unsuccessful pipeline response, from its last attempt
+   * @param {Object} response - processQuery response with success false
+   * @returns {string} Category
+   */
+  categorizeFailure(response) {
+    const last = (response.attempts || []).slice(-1)[0];
+    // Retrieval, generation or the datasource failed before any SQL was tried
+    if (!last) return 'pipeline_error';
+    if (last.code === 'UNSAFE_SQL') return 'unsafe_sql';
+    if (last.code === 'ACCESS_DENIED') return 'access_denied';
+    if (last.stage === 'validation') return 'invalid_sql';
+    // query_canceled: statement_timeout
+    if (last.code === '57014') return 'timeout';
+    return 'execution_error';
+  }
+
+  /**
+   * Accuracy, latency and failure counts of case results
+   * Cases whose golden SQL failed are not scored
+   * @param {Array} results - Case results
+   * @returns {Object} Summary
+   */
+  summarize(results) {
+    const scored = results.filter(result => result.category !== 'golden_error');
+    const passed = scored.filter(result => result.passed).length;
+    const latencies = scored.map(result => result.latencyMs).filter(Number.isFinite).sort((a, b) => a - b);
+
+    const stages = [...new Set(scored.flatMap(result => Object.keys(result.timings || {})))];
+    const failures = {};
+    for (const result of results.filter(candidate => !candidate.passed)) {
+      failures[result.category] = (failures[result.category] || 0) + 1;
+    }
+
+    const byTag = {};
+    for (const result of scored) {
+      for (const tag of result.tags || []) {
+        byTag[tag] = byTag[tag] || { total: 0, passed: 0 };
+        byTag[tag].total++;
+        byTag[tag].passed += result.passed ? 1 : 0;
+      }
+    }
+    for (const counts of Object.values(byTag)) {
+      counts.accuracy = round(counts.passed / counts.total);
+    }
+
+    return {
+      total: results.length,
+      scored: scored.length,
+      passed,
+      failed: scored.length - passed,
+      accuracy: scored.length > 0 ? round(passed / scored.length) : null,
+      repaired: scored.filter(result => result.passed && result.attempts > 1).length,
+      latency: {
+        mean: mean(latencies),
+        p50: percentile(latencies, 50),
+        p95: percentile(latencies, 95),
+        max: latencies.length > 0 ? latencies[latencies.length - 1] : null
+      },
+      stageLatency: Object.fromEntries(stages.map(stage => [
+        stage,
+        mean(scored.map(result => (result.timings || {})[stage]).filter(Number.isFinite))
+      ])),
+      failures: Object.fromEntries(FAILURE_CATEGORIES.filter(category => failures[category]).map(category => [category, failures[category]])),
+      byTag
+    };
+  }
+
+  /**
+   * Page through runs, newest first
+   * @param {Object} filters - { goldenSet, status }
+   * @param {Object} pagination - limit/offset
+   * @returns {Promise<Object>} { runs, total, limit, offset }
+   */
+  async listRuns(filters = {}, { limit = 50, offset = 0 } = {}) {
+    const { runs, total } = await this.evaluationRunRepository.list(filters, limit, offset);
+    return { runs, total, limit, offset };
+  }
+
+  /**
+   * Get a run with its per-case results
+   * @param {number} id - Run id
+   * @returns {Promise<Object|null>} Run or null if not found
+   */
+  async getRun(id) {
+    return this.evaluationRunRepository.findById(id);
+  }
+
+  /**
+   * Compare a run with a baseline run
+   * @param {number} id - Run id
+   * @param {number} againstId - Baseline run id (default: previous completed run of the same golden set)
+   * @returns {Promise<Object|null>} Diff (see compareRuns), or null if the run does not exist
+   * @throws {Error} NO_BASELINE if there is no run to compare with, RUN_NOT_COMPLETED if either is unfinished
+   */
+  async diffRuns(id, againstId) {
+    const run = await this.evaluationRunRepository.findById(id);
+    if (!run) {
+      return null;
+    }
+
+    const baseline = againstId
+      ? await this.evaluationRunRepository.findById(againstId)
+      : await this.evaluationRunRepository.findPreviousCompleted(run.goldenSet, run.id);
+    if (!baseline) {
+      throw evaluationError('NO_BASELINE', againstId ? `Evaluation run ${againstId} not found` : `No earlier completed run of ${run.goldenSet}`);
+    }
+    if (run.status !== 'completed' || baseline.status !== 'completed') {
+      throw evaluationError('RUN_NOT_COMPLETED', 'Only completed runs can be compared');
+    }
+    return this.compareRuns(baseline, run);
+  }
+
+  /**
+   * Changes between two runs: accuracy, latency, and cases fixed or regressed
+   * Cases are matched by id; cases only one run has are listed separately
+   * @param {Object} baseline - Earlier run with results
+   * @param {Object} run - Later run with results
+   * @returns {Object} Diff
+   */
+  compareRuns(baseline, run) {
+    const baselineCases = new Map(baseline.results.map(result => [result.id, result]));
+    const runCases = new Map(run.results.map(result => [result.id, result]));
+    const describeRun = ({ id, label, settings, summary, startedAt }) => ({
+      id,
+      label,
+      settings,
+      accuracy: summary.accuracy,
+      latency: summary.latency,
+      startedAt
+    });
+    const delta = (before, after) => (before === null || after === null ? null : round(after - before));
+
+    const diff = {
+      goldenSet: run.goldenSet,
+      baseline: describeRun(baseline),
+      run: describeRun(run),
+      accuracyChange: delta(baseline.summary.accuracy, run.summary.accuracy),
+      latencyChange: {
+        mean: delta(baseline.summary.latency.mean, run.summary.latency.mean),
+        p95: delta(baseline.summary.latency.p95, run.summary.latency.p95)
+      },
+      fixed: [],
+      regressed: [],
+      stillFailing: [],
+      added: [...runCases.keys()].filter(caseId => !baselineCases.has(caseId)),
+      removed: [...baselineCases.keys()].filter(caseId => !runCases.has(caseId)),
+      failureChanges: {}
+    };
+
+    for (const [caseId, result] of runCases) {
+      const before = baselineCases.get(caseId);
+      if (!before || result.category === 'golden_error' || before.category === 'golden_error') continue;
+
+      if (result.passed && !before.passed) {
+        diff.fixed.push({ id: caseId, question: result.question, previousCategory: before.category });
+      } else if (!result.passed && before.passed) {
+        diff.regressed.push({ id: caseId, question: result.question, category: result.category, reason: result.reason, generatedSQL: result.generatedSQL });
+      } else if (!result.passed) {
+        diff.stillFailing.push({ id: caseId, question: result.question, category: result.category, previousCategory: before.category });
+      }
+    }
+
+    for (const category of FAILURE_CATEGORIES) {
+      const change = (run.summary.failures[category] || 0) - (baseline.summary.failures[category] || 0);
+      if (change !== 0) {
+        diff.failureChanges[category] = change;
+      }
+    }
+    return diff;
+  }
+}
+
+module.exports = EvaluationService;
+module.exports.FAILURE_CATEGORIES = FAILURE_CATEGORIES;
@@ -0,0 +1,110 @@
+/**
+ * Example Retrieval Service
+ * Finds stored question→SQL examples close to a question for few-shot
+ * prompting, embedding examples with the active provider first
+ *
+ * Vectors of different embedding models are not comparable, so examples are
+ * embedded again when the provider or model changes.
+ */
+
+const logger = require('../utils/logger');
+const { getExampleConfig } = require('../config/examples');
+
+class ExampleRetrievalService {
+  /**
+   * @param {SqlExampleRepository} sqlExampleRepository - Example storage
+   * @param {Object} config - Example configuration (see config/examples.js)
+   */
+  constructor(sqlExampleRepository, config = getExampleConfig()) {
+    this.sqlExampleRepository = sqlExampleRepository;
+    this.config = config;
+    // Provider and model the stored examples were last embedded with
+    this.embeddedWith = null;
+  }
+
+  /**
+   * Identify the provider and model embeddings come from
+   * @param {BaseLLMProvider} provider - Embedding provider
+   * @returns {string} e.g. openai:text-embedding-3-small
+   */
+  getModelKey(provider) {
+    return `${provider.name}:${provider.config.embeddingModel}`;
+  }
+
+  /**
+   * Embed stored examples the provider has not embedded yet
+   * (new or edited examples, and all of them after a provider switch)
+   * @param {BaseLLMProvider} provider - Embedding provider
+   * @returns {Promise<Object>} { embedded, model }
+   */
+  async syncEmbeddings(provider) {
+    const model = this.getModelKey(provider);
+    const pending = await this.sqlExampleRepository.findUnembedded(model);
+    if (pending.length > 0) {
+      const vectors = await provider.getEmbeddings().embedDocuments(pending.map(example => example.question));
+      for (let i = 0; i < pending.length; i++) {
+        await this.sqlExampleRepository.updateEmbedding(pending[i].id, vectors[i], model);
+      }
+      logger.info(`Embedded ${pending.length} SQL example(s) with ${model}`);
+    }
+
+    this.embeddedWith = model;
+    return { embedded: pending.length, model };
+  }
+
+  /**
+   * Find the stored examples closest to a question
+   * A failing example store never fails the question: it is generated without examples
+   * @param {string} query - Natural language question
+   * @param {BaseLLMProvider} provider - Embedding provider
+   * @param {Object} options - Search options
+   * @param {Function} options.isVisible - Drop examples reading a table failing this check
+   * @param {Array<number>} options.queryEmbedding - Embedding of the question, if already computed
+   * @param {string|null} options.tenantId - Tenant asking; other tenants' examples are not used
+   * @returns {Promise<Array>} Examples with similarity, best first
+   */
+  async findSimilar(query, provider, options = {}) {
+    if (!this.config.enabled) {
+      return [];
+    }
+
+    try {
+      const model = this.getModelKey(provider);
+      if (this.embeddedWith !== model) {
+        await this.syncEmbeddings(provider);
+      }
+
+      const embedding = options.queryEmbedding || await provider.getEmbeddings().embedQuery(query);
+      // Fetch extra candidates, since examples on hidden tables are dropped
+      const nearest = await this.sqlExampleRepository.findNearest(embedding, model, this.config.limit * 3, options.tenantId || null);
+
+      return nearest
+        .filter(example => example.similarity >= this.config.minSimilarity)
+        .filter(example => !options.isVisible || example.tables.every(tableName => options.isVisible(tableName)))
+        .slice(0, this.config.limit);
+    } catch (error) {
+      logger.warn(`Could not retrieve SQL examples, generating without them: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Format examples as few-shot demonstrations for the generation prompt
+   * @param {Array} examples - Examples (question, sql, description), most similar first
+   * @returns {string} Examples section, or empty string when there are none
+   */
+  buildContext(examples = []) {
+    if (!examples || examples.length === 0) {
+      return '';
+    }
+
+    const demonstrations = examples.map((example) => {
+      const note = example.description ? `\nNote: ${example.description}` : '';
+      return `Question: ${example.question}${note}\nSQL: ${example.sql}`;
+    }).join('\n\n');
+
+    return `Examples of similar questions answered on this database:\n${demonstrations}\n`;
+  }
+}
+
+module.exports = ExampleRetrievalService;
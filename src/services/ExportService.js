@@ -0,0 +1,101 @@
+/**
+ * Export Service
+ * Re-runs the SQL behind a stored result or a history entry and streams
+ * every row into a file format, without holding the result in memory
+ */
+
+const logger = require('../utils/logger');
+const { getOwner } = require('../utils/ownership');
+const ExporterFactory = require('../factories/ExporterFactory');
+const { describeColumns } = require('../exporters/columnTypes');
+const { getResultConfig } = require('../config/results');
+
+class ExportService {
+  /**
+   * @param {AdvancedNLQService} nlqService - Validates and streams SQL
+   * @param {QueryResultRepository} queryResultRepository - Stored results
+   * @param {QueryLogRepository} queryLogRepository - Query history
+   * @param {Object} config - Result configuration (see config/results.js)
+   */
+  constructor(nlqService, queryResultRepository, queryLogRepository, config = getResultConfig()) {
+    this.nlqService = nlqService;
+    this.queryResultRepository = queryResultRepository;
+    this.queryLogRepository = queryLogRepository;
+    this.config = config;
+  }
+
+  /**
+   * Resolve what to export
+   * @param {Object} source - { resultId } or { historyId }
+   * @param {string} format - Export format
+   * @param {Object} principal - Requester; stored results and history entries export for their owner only
+   * @returns {Promise<Object|null>} { sql, datasource, format, filename, contentType }, or null if not found
+   * @throws {Error} With code 'NOT_EXPORTABLE' for a history entry without successful SQL
+   */
+  async prepareExport(source, format, principal) {
+    const Exporter = ExporterFactory.getExporterClass(format);
+    let sql;
+    let datasource;
+    let name;
+
+    if (source.resultId) {
+      const stored = await this.queryResultRepository.findById(source.resultId, getOwner(principal));
+      if (!stored) return null;
+      sql = stored.sql;
+      datasource = stored.datasource;
+      name = `result-${stored.id}`;
+    } else {
+      const entry = await this.queryLogRepository.findById(source.historyId, getOwner(principal));
+      if (!entry) return null;
+      if (!entry.success || !entry.generatedSQL) {
+        const error = new Error('Only successful queries can be exported');
+        error.code = 'NOT_EXPORTABLE';
+        throw error;
+      }
+      sql = entry.generatedSQL;
+      datasource = entry.datasource;
+      name = `query-${entry.id}`;
+    }
+
+    return {
+      sql,
+      datasource,
+      format,
+      filename: `${name}.${Exporter.extension}`,
+      contentType: Exporter.contentType
+    };
+  }
+
+  /**
+   * Stream a prepared export into an output stream
+   * Nothing is written until the first batch arrives, so validation and
+   * query errors surface before any output
+   * @param {Object} job - Result of prepareExport
+   * @param {Writable} output - Stream receiving the file; ended when done
+   * @param {Object} principal - Requester; the SQL runs under their access policies
+   * @returns {Promise<number>} Rows exported
+   */
+  async writeExport(job, output, principal) {
+    let exporter = null;
+
+    const rowCount = await this.nlqService.streamSQL(job.sql, async (rows, fields) => {
+      if (!exporter) {
+        exporter = ExporterFactory.createExporter(job.format, output, describeColumns(fields));
+        await exporter.start();
+      }
+      await exporter.writeRows(rows);
+    }, {
+      batchSize: this.config.exportBatchSize,
+      maxRows: this.config.exportMaxRows,
+      statementTimeout: this.config.exportStatementTimeoutMs,
+      datasource: job.datasource,
+      principal
+    });
+
+    await exporter.finish();
+    logger.info(`Exported ${rowCount} rows as ${job.format} (${job.filename})`);
+    return rowCount;
+  }
+}
+
+module.exports = ExportService;
@@ -0,0 +1,301 @@
+/**
+ * Feedback Service
+ * Captures thumbs up/down and corrected SQL for logged natural language
+ * queries. Corrections wait in a review queue; an admin's approval turns the
+ * question and corrected SQL into a few-shot example (see SqlExampleService),
+ * so similar questions are generated from it. Ratings are reported as
+ * accuracy per table and per SQL pattern (see SQLSafetyValidator patterns)
+ */
+
+const logger = require('../utils/logger');
+const { ForbiddenError } = require('./AuthService');
+const { getAuthConfig } = require('../config/auth');
+const { DEFAULT_DATASOURCE } = require('../config/datasources');
+const { getOwner } = require('../utils/ownership');
+
+/**
+ * Build an error the controller answers with a client status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error} Error with code
+ */
+const feedbackError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+class FeedbackService {
+  /**
+   * @param {FeedbackRepository} feedbackRepository - Feedback storage
+   * @param {QueryLogRepository} queryLogRepository - Query history the feedback refers to
+   * @param {AdvancedNLQService} nlqService - NLQ pipeline that validates corrected SQL
+   * @param {SqlExampleService} sqlExampleService - Example store approved corrections go to
+   * @param {Object} config - Auth configuration (default tenant)
+   */
+  constructor(feedbackRepository, queryLogRepository, nlqService, sqlExampleService, config = getAuthConfig()) {
+    this.feedbackRepository = feedbackRepository;
+    this.queryLogRepository = queryLogRepository;
+    this.nlqService = nlqService;
+    this.sqlExampleService = sqlExampleService;
+    this.config = config;
+  }
+
+  /**
+   * Rate the answer to a logged question
+   * @param {Object} principal - Principal rating
+   * @param {number} historyId - Query history entry id
+   * @param {Object} data - { rating: 'up'|'down', comment }
+   * @returns {Promise<Object|null>} Feedback, or null if the history entry does not exist
+   */
+  async rate(principal, historyId, { rating, comment }) {
+    const entry = await this.getRatedEntry(principal, historyId);
+    if (!entry) {
+      return null;
+    }
+
+    return this.feedbackRepository.upsert({
+      ...(await this.describeEntry(principal, entry)),
+      rating,
+      comment
+    });
+  }
+
+  /**
+   * Supply the SQL that should have answered a logged question; it is queued for review
+   * @param {Object} principal - Principal correcting
+   * @param {number} historyId - Query history entry id
+   * @param {Object} data - { sql, comment }
+   * @returns {Promise<Object|null>} Feedback, or null if the history entry does not exist
+   * @throws {Error} SQLSafetyError, or INVALID_CORRECTION when the datasource rejects the SQL
+   */
+  async correct(principal, historyId, { sql, comment }) {
+    const entry = await this.getRatedEntry(principal, historyId);
+    if (!entry) {
+      return null;
+    }
+
+    const source = await this.nlqService.resolveSource({ datasource: entry.datasource, principal });
+    try {
+      await this.nlqService.validateSQL(sql, { source });
+    } catch (error) {
+      // The errors the repair loop would hand back to the LLM are mistakes in the correction
+      if (this.nlqService.isRepairableError(error)) {
+        error.sqlState = error.code;
+        error.code = 'INVALID_CORRECTION';
+      }
+      throw error;
+    }
+
+    const feedback = await this.feedbackRepository.upsert({
+      ...(await this.describeEntry(principal, entry)),
+      rating: 'down',
+      comment,
+      correctedSQL: sql
+    });
+    logger.info(`Correction ${feedback.id} for history entry ${historyId} queued for review`);
+    return feedback;
+  }
+
+  /**
+   * Page through a principal's own feedback
+   * @param {Object} principal - Principal
+   * @param {Object} pagination - limit/offset
+   * @returns {Promise<Object>} { feedback, total, limit, offset }
+   */
+  async listOwn(principal, { limit = 50, offset = 0 } = {}) {
+    const { feedback, total } = await this.feedbackRepository.list({ userId: this.getUserId(principal) }, limit, offset);
+    return { feedback, total, limit, offset };
+  }
+
+  /**
+   * Page through corrections of the admin's tenant for review
+   * @param {Object} principal - Admin
+   * @param {Object} filters - { tenantId, status } (status defaults to pending)
+   * @param {Object} pagination - limit/offset
+   * @returns {Promise<Object>} { feedback, total, limit, offset }
+   */
+  async listCorrections(principal, { tenantId, status = 'pending' } = {}, { limit = 50, offset = 0 } = {}) {
+    const { feedback, total } = await this.feedbackRepository.list({
+      tenantId: this.resolveTenant(principal, tenantId),
+      status
+    }, limit, offset);
+    return { feedback, total, limit, offset };
+  }
+
+  /**
+   * Approve a pending correction; on the primary database it becomes a few-shot example
+   * @param {Object} principal - Admin
+   * @param {number} id - Feedback id
+   * @param {Object} data - { question, sql, description, note }; question and sql override the
+   *   user's wording and correction
+   * @returns {Promise<Object|null>} { feedback, example }, or null if not found
+   * @throws {Error} NOT_PENDING if the correction was already reviewed, or SQL validation errors
+   */
+  async approve(principal, id, data = {}) {
+    const pending = await this.getPendingCorrection(principal, id);
+    if (!pending) {
+      return null;
+    }
+
+    // Examples describe the primary database; they are shown to the tenant the correction came from
+    let example = null;
+    if (pending.datasource === DEFAULT_DATASOURCE) {
+      ({ example } = await this.sqlExampleService.createExample(principal, {
+        question: data.question || pending.question,
+        sql: data.sql || pending.correctedSQL,
+        description: data.description,
+        source: 'feedback'
+      }, pending.tenantId));
+    }
+
+    const feedback = await this.feedbackRepository.review(id, {
+      status: 'approved',
+      note: data.note,
+      reviewedBy: principal.id,
+      exampleId: example ? example.id : null
+    });
+    if (!feedback) {
+      // Reviewed concurrently: keep a single outcome
+      if (example) {
+        await this.sqlExampleService.sqlExampleRepository.delete(example.id, example.tenantId);
+      }
+      throw feedbackError('NOT_PENDING', 'Correction has already been reviewed');
+    }
+
+    logger.info(`Correction ${id} approved by ${principal.id || 'anonymous'}${example ? ` as SQL example ${example.id}` : ''}`);
+    return { feedback, example };
+  }
+
+  /**
+   * Reject a pending correction
+   * @param {Object} principal - Admin
+   * @param {number} id - Feedback id
+   * @param {Object} data - { note }
+   * @returns {Promise<Object|null>} Feedback, or null if not found
+   * @throws {Error} NOT_PENDING if the correction was already reviewed
+   */
+  async reject(principal, id, { note } = {}) {
+    const pending = await this.getPendingCorrection(principal, id);
+    if (!pending) {
+      return null;
+    }
+
+    const feedback = await this.feedbackRepository.review(id, { status: 'rejected', note, reviewedBy: principal.id });
+    if (!feedback) {
+      throw feedbackError('NOT_PENDING', 'Correction has already been reviewed');
+    }
+    return feedback;
+  }
+
+  /**
+   * Accuracy as rated by users, overall, per table and per SQL pattern
+   * @param {Object} principal - Admin
+   * @param {Object} filters - { tenantId, datasource, from, to }
+   * @returns {Promise<Object>} { overall, byTable, byPattern }
+   */
+  async getReport(principal, { tenantId, datasource, from, to } = {}) {
+    return this.feedbackRepository.getAccuracy({
+      tenantId: this.resolveTenant(principal, tenantId),
+      datasource,
+      from,
+      to
+    });
+  }
+
+  /**
+   * Get a history entry of the principal that can be rated
+   * @param {Object} principal - Principal rating their own request
+   * @param {number} historyId - Query history entry id
+   * @returns {Promise<Object|null>} Entry, or null if not found (or someone else's)
+   * @throws {Error} INVALID_FEEDBACK for raw SQL entries, which nothing generated
+   */
+  async getRatedEntry(principal, historyId) {
+    const entry = await this.queryLogRepository.findById(historyId, getOwner(principal));
+    if (entry && entry.type !== 'nlq') {
+      throw feedbackError('INVALID_FEEDBACK', 'Feedback applies to natural language queries only');
+    }
+    return entry;
+  }
+
+  /**
+   * Get a correction an admin may review
+   * @param {Object} principal - Admin
+   * @param {number} id - Feedback id
+   * @returns {Promise<Object|null>} Feedback, or null if not found (or of another tenant)
+   * @throws {Error} NOT_PENDING if it is not a correction awaiting review
+   */
+  async getPendingCorrection(principal, id) {
+    const feedback = await this.feedbackRepository.findById(id);
+    if (!feedback || (principal.tenantId !== null && feedback.tenantId !== principal.tenantId)) {
+      return null;
+    }
+    if (feedback.reviewStatus !== 'pending') {
+      throw feedbackError('NOT_PENDING', 'Only pending corrections can be reviewed');
+    }
+    return feedback;
+  }
+
+  /**
+   * Feedback fields taken from the rated history entry
+   * @param {Object} principal - Principal giving feedback
+   * @param {Object} entry - Query history entry
+   * @returns {Promise<Object>} Fields for FeedbackRepository.upsert
+   */
+  async describeEntry(principal, entry) {
+    // Failed questions may have no (parseable) SQL; they are rated without tables or patterns
+    const shape = entry.generatedSQL
+      ? await this.nlqService.sqlValidator.validate(entry.generatedSQL)
+      : { tables: [], patterns: [] };
+
+    return {
+      queryLogId: entry.id,
+      tenantId: this.getPrincipalTenant(principal),
+      userId: this.getUserId(principal),
+      question: entry.query,
+      generatedSQL: entry.generatedSQL,
+      datasource: entry.datasource,
+      tables: [...new Set(shape.tables.map(tableName => tableName.split('.').pop()))],
+      patterns: shape.patterns
+    };
+  }
+
+  /**
+   * Identify the author of feedback (unauthenticated installs share one identity)
+   * @param {Object} principal - Principal
+   * @returns {string} Principal id
+   */
+  getUserId(principal) {
+    return (principal && principal.id) || 'anonymous';
+  }
+
+  /**
+   * Tenant a principal's feedback belongs to
+   * @param {Object} principal - Principal; the bootstrap admin uses the default tenant
+   * @returns {string} Tenant id
+   */
+  getPrincipalTenant(principal) {
+    return principal && principal.tenantId !== null && principal.tenantId !== undefined
+      ? principal.tenantId
+      : this.config.defaultTenant;
+  }
+
+  /**
+   * Tenant an admin reviews or reports on
+   * @param {Object} principal - Admin
+   * @param {string} requested - Requested tenant, if any
+   * @returns {string|null} Tenant id, or null for every tenant (bootstrap admin)
+   * @throws {ForbiddenError} If a tenant admin asks for another tenant
+   */
+  resolveTenant(principal, requested) {
+    if (principal.tenantId === null) {
+      return requested || null;
+    }
+    if (requested && requested !== principal.tenantId) {
+      throw new ForbiddenError('Feedback of another tenant cannot be reviewed');
+    }
+    return principal.tenantId;
+  }
+}
+
+module.exports = FeedbackService;
@@ -0,0 +1,102 @@
+/**
+ * Glossary Service
+ * Business logic for the business glossary. Entries feed the SQL-generation
+ * prompt of their tenant; entries without a tenant also feed the schema index,
+ * so every change re-syncs the index
+ */
+
+const logger = require('../utils/logger');
+const { getOwner } = require('../utils/ownership');
+
+class GlossaryService {
+  /**
+   * @param {GlossaryRepository} glossaryRepository - Glossary storage
+   * @param {AdvancedNLQService} nlqService - NLQ pipeline owning the schema index
+   */
+  constructor(glossaryRepository, nlqService) {
+    this.glossaryRepository = glossaryRepository;
+    this.nlqService = nlqService;
+  }
+
+  /**
+   * List the entries of the caller's tenant, and those of every tenant
+   * @param {Object} filters - type, table and search filters
+   * @param {Object} principal - Caller
+   * @returns {Promise<Array>} Entries
+   */
+  async listEntries({ type, table, search } = {}, principal) {
+    return this.glossaryRepository.list({
+      tenantId: getOwner(principal).tenantId,
+      type,
+      tableNames: table ? [table] : undefined,
+      search
+    });
+  }
+
+  /**
+   * Get an entry of the caller's tenant, or of every tenant
+   * @param {number} id - Entry id
+   * @param {Object} principal - Caller
+   * @returns {Promise<Object|null>} Entry or null if not found
+   */
+  async getEntry(id, principal) {
+    return this.glossaryRepository.findById(id, getOwner(principal).tenantId);
+  }
+
+  /**
+   * Create an entry in the caller's tenant and re-index the affected table
+   * @param {Object} data - Entry data
+   * @param {Object} principal - Admin
+   * @returns {Promise<Object>} { entry, index }
+   */
+  async createEntry(data, principal) {
+    const entry = await this.glossaryRepository.create(data, getOwner(principal).tenantId);
+    logger.info(`Created glossary ${entry.type} entry ${entry.id} for ${entry.tableName}`);
+    return { entry, index: await this.reindex() };
+  }
+
+  /**
+   * Update an entry of the caller's tenant and re-index the affected tables
+   * @param {number} id - Entry id
+   * @param {Object} data - Entry data
+   * @param {Object} principal - Admin
+   * @returns {Promise<Object|null>} { entry, index }, or null if not found
+   */
+  async updateEntry(id, data, principal) {
+    const entry = await this.glossaryRepository.update(id, data, getOwner(principal).tenantId);
+    if (!entry) {
+      return null;
+    }
+    return { entry, index: await this.reindex() };
+  }
+
+  /**
+   * Delete an entry of the caller's tenant and re-index the affected table
+   * @param {number} id - Entry id
+   * @param {Object} principal - Admin
+   * @returns {Promise<Object|null>} { entry, index }, or null if not found
+   */
+  async deleteEntry(id, principal) {
+    const entry = await this.glossaryRepository.delete(id, getOwner(principal).tenantId);
+    if (!entry) {
+      return null;
+    }
+    return { entry, index: await this.reindex() };
+  }
+
+  /**
+   * Sync the schema index; only tables whose glossary changed are re-embedded
+   * The glossary change itself is already saved, so a failure is reported, not thrown
+   * @returns {Promise<Object>} Sync summary, or { error } if the sync failed
+   */
+  async reindex() {
+    try {
+      return await this.nlqService.refreshSchemaMetadata();
+    } catch (error) {
+      logger.warn(`Glossary saved but schema re-index failed: ${error.message}`);
+      return { error: error.message };
+    }
+  }
+}
+
+module.exports = GlossaryService;
@@ -1,52 +1,33 @@
 /**
- * LLM Service - Handles interactions with Google Gemini
+ * LLM Service - Handles interactions with the configured LLM provider
  * Provides natural language processing and SQL generation capabilities
  */
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const logger = require('../utils/logger');
+const LLMProviderFactory = require('../factories/LLMProviderFactory');
+const SQLSafetyValidator = require('./SQLSafetyValidator');
+const { SQLSafetyError } = SQLSafetyValidator;
 
 class LLMService {
-  constructor() {
-    this.apiKey = process.env.GEMINI_API_KEY;
-    if (!this.apiKey) {
-      throw new Error('GEMINI_API_KEY environment variable is required');
-    }
-
-    this.genAI = new GoogleGenerativeAI(this.apiKey);
-    this.model = this.genAI.getGenerativeModel({ model: 'gemini-pro' });
+  /**
+   * @param {BaseLLMProvider} provider - LLM provider (defaults to the configured one)
+   */
+  constructor(provider = null) {
+    this.provider = provider || LLMProviderFactory.createProvider();
+    this.sqlValidator = new SQLSafetyValidator();
   }
 
   /**
-   * Generate embedding for text using Gemini
+   * Generate embedding for text using the provider's embedding model
    * @param {string} text - Text to embed
    * @returns {Promise<Array>} Embedding vector
    */
   async generateEmbedding(text) {
     try {
-      // Note: Gemini Pro doesn't have direct embedding API
-      // This is a placeholder - in production, you might use a different model
-      // or a separate embedding service like OpenAI's text-embedding-ada-002
-      
-      const prompt = `Generate a numerical embedding vector for the following text. 
-      Return only a JSON array of 1536 numbers between -1 and 1: "${text}"`;
-      
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const textResponse = response.text();
-      
-      // Parse the response as JSON array
-      const embedding = JSON.parse(textResponse);
-      
-      if (!Array.isArray(embedding) || embedding.length !== 1536) {
-        throw new Error('Invalid embedding format received');
-      }
-      
-      return embedding;
+      return await this.provider.getEmbeddings().embedQuery(text);
     } catch (error) {
       logger.error('Failed to generate embedding:', error);
-      // Return a random embedding as fallback (not recommended for production)
-      return Array.from({ length: 1536 }, () => Math.random() * 2 - 1);
+      throw new Error(`Embedding generation failed: ${error.message}`);
     }
   }
 
@@ -64,13 +45,14 @@ class LLMService {
 
       const fullPrompt = `${systemPrompt}\n\n${userPrompt}`;
 
-      const result = await this.model.generateContent(fullPrompt);
-      const response = await result.response;
-      const textResponse = response.text();
+      const textResponse = await this.provider.generateText(fullPrompt);
 
-      return this.parseSQLResponse(textResponse);
+      return await this.parseSQLResponse(textResponse);
     } catch (error) {
       logger.error('Failed to generate SQL:', error);
+      if (error instanceof SQLSafetyError) {
+        throw error;
+      }
       throw new Error(`SQL generation failed: ${error.message}`);
     }
   }
@@ -178,14 +160,15 @@ class LLMService {
   /**
    * Parse SQL response from LLM
    * @param {string} response - Raw LLM response
-   * @returns {Object} Parsed SQL and metadata
+   * @returns {Promise<Object>} Parsed SQL and metadata
+   * @throws {SQLSafetyError} If the extracted SQL is not a safe read-only query
    */
-  parseSQLResponse(response) {
+  async parseSQLResponse(response) {
     try {
       // Extract SQL query from response
       const sqlMatch = response.match(/```sql\s*([\s\S]*?)\s*```/i) || 
                       response.match(/```\s*([\s\S]*?)\s*```/i) ||
-                      response.match(/(SELECT[\s\S]*?;)/i);
+                      response.match(/((?:SELECT|WITH)[\s\S]*?;)/i);
 
       if (!sqlMatch) {
         throw new Error('No SQL query found in response');
@@ -193,20 +176,8 @@ class LLMService {
 
       const sql = sqlMatch[1].trim();
       
-      // Basic validation
-      if (!sql.toUpperCase().startsWith('SELECT')) {
-        throw new Error('Only SELECT queries are allowed');
-      }
-
-      // Check for dangerous operations
-      const dangerousKeywords = ['DROP', 'DELETE', 'UPDATE', 'INSERT', 'ALTER', 'CREATE', 'TRUNCATE'];
-      const upperSQL = sql.toUpperCase();
-      
-      for (const keyword of dangerousKeywords) {
-        if (upperSQL.includes(keyword)) {
-          throw new Error(`Dangerous operation detected: ${keyword}`);
-        }
-      }
+      // AST-based safety validation
+      await this.sqlValidator.assertSafe(sql);
 
       return {
         sql,
@@ -214,11 +185,15 @@ class LLMService {
         explanation: this.extractExplanation(response),
         metadata: {
           generated_at: new Date().toISOString(),
-          model: 'gemini-pro'
+          provider: this.provider.name,
+          model: this.provider.config.chatModel
         }
       };
     } catch (error) {
       logger.error('Failed to parse SQL response:', error);
+      if (error instanceof SQLSafetyError) {
+        throw error;
+      }
       throw new Error(`SQL parsing failed: ${error.message}`);
     }
   }
@@ -284,9 +259,7 @@ ${sql}
 
 Return the improved SQL and any issues found.`;
 
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const textResponse = response.text();
+      const textResponse = await this.provider.generateText(prompt);
 
       return {
         improved_sql: this.extractSQL(textResponse),
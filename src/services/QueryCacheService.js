@@ -0,0 +1,274 @@
+/**
+ * Query Cache Service
+ * Reuses validated SQL for questions that were answered before, so they skip
+ * retrieval and generation (rows are always read again)
+ *
+ * Level 1 matches the normalized question exactly; level 2 embeds the
+ * question and reuses the SQL of the closest cached question above
+ * QUERY_CACHE_SIMILARITY_THRESHOLD. Entries are scoped to a tenant, a
+ * datasource, the caller's roles and attributes (generation only sees
+ * tables they may see, and row filters read the attributes) and the schema
+ * index version, so a changed schema is never answered
+ * from the cache; a schema refresh also drops the datasource's entries.
+ * Access policies and masking are applied again on every reuse.
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { ForbiddenError } = require('./AuthService');
+const { getQueryCacheConfig } = require('../config/queryCache');
+
+// Expired entries are pruned at most this often, on store
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Normalize a question for exact matching: case, Unicode forms, whitespace
+ * and surrounding quotes or final punctuation do not change its meaning
+ * @param {string} question - Natural language question
+ * @returns {string} Normalized question
+ */
+const normalizeQuestion = (question) => String(question)
+  .normalize('NFKC')
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .replace(/^[\s"'`]+|[\s"'`?.!;]+$/g, '');
+
+/**
+ * Roles and attributes that decide what generation could see, as one comparable string
+ * @param {Object} principal - Principal (internal calls pass none)
+ * @returns {string} Sorted, comma-separated roles, followed by a hash of the attributes if there are any
+ */
+const getAccessScope = (principal) => {
+  const roles = principal && principal.roles ? [...new Set(principal.roles)].sort().join(',') : '';
+  const attributes = Object.entries((principal && principal.attributes) || {}).sort(([a], [b]) => (a < b ? -1 : 1));
+  if (attributes.length === 0) {
+    return roles;
+  }
+  return `${roles}#${crypto.createHash('sha256').update(JSON.stringify(attributes)).digest('hex')}`;
+};
+
+class QueryCacheService {
+  /**
+   * @param {QueryCacheRepository} queryCacheRepository - Entry storage
+   * @param {Object} config - Query cache configuration (see config/queryCache.js)
+   */
+  constructor(queryCacheRepository, config = getQueryCacheConfig()) {
+    this.queryCacheRepository = queryCacheRepository;
+    this.config = config;
+    // Counters since this process started
+    this.metrics = { exactHits: 0, semanticHits: 0, misses: 0, rejected: 0, stores: 0, invalidations: 0, errors: 0 };
+    this.lastPrunedAt = 0;
+  }
+
+  /**
+   * Look a question up, exact match first
+   * A failing cache never fails the question: it is reported as a miss
+   * @param {string} question - Natural language question
+   * @param {Object} context - Lookup context
+   * @param {Object} context.principal - Principal asking (internal calls pass none)
+   * @param {Object} context.source - Datasource asked (see AdvancedNLQService.resolveSource)
+   * @param {string} context.schemaVersion - Version of the datasource's schema index
+   * @param {BaseLLMProvider} context.provider - Embedding provider
+   * @returns {Promise<Object>} { entry, level, similarity, key }; entry is null on a miss, and key
+   *   (with the question embedding, once computed) is what store and reject take
+   */
+  async lookup(question, { principal, source, schemaVersion, provider }) {
+    const normalized = normalizeQuestion(question);
+    const key = {
+      scope: {
+        tenantId: this.getPrincipalTenant(principal),
+        datasource: source.key,
+        accessScope: getAccessScope(principal),
+        schemaVersion
+      },
+      datasourceName: source.name,
+      question: question.trim(),
+      questionHash: crypto.createHash('sha256').update(normalized).digest('hex'),
+      embedding: null
+    };
+
+    try {
+      await this.queryCacheRepository.initialize(provider.getEmbeddingDimensions());
+      const since = new Date(Date.now() - this.config.ttlMs);
+
+      const exact = await this.queryCacheRepository.findExact(key.scope, key.questionHash, since);
+      if (exact) {
+        this.metrics.exactHits++;
+        return { entry: exact, level: 'exact', similarity: 1, key };
+      }
+
+      let nearest = null;
+      if (this.config.semanticEnabled) {
+        key.embedding = await provider.getEmbeddings().embedQuery(question);
+        nearest = await this.queryCacheRepository.findNearest(key.scope, key.embedding, since);
+        if (nearest && nearest.similarity >= this.config.similarityThreshold) {
+          this.metrics.semanticHits++;
+          return { entry: nearest, level: 'semantic', similarity: nearest.similarity, key };
+        }
+      }
+
+      this.metrics.misses++;
+      return { entry: null, level: null, similarity: nearest ? nearest.similarity : null, key };
+    } catch (error) {
+      this.metrics.errors++;
+      logger.warn(`Query cache lookup failed, answering without it: ${error.message}`);
+      return { entry: null, level: null, similarity: null, key };
+    }
+  }
+
+  /**
+   * Count a successful reuse of a looked-up entry
+   * @param {Object} lookup - Result of lookup with an entry
+   */
+  async recordHit(lookup) {
+    try {
+      await this.queryCacheRepository.recordHit(lookup.entry.id);
+    } catch (error) {
+      logger.warn(`Could not record query cache hit: ${error.message}`);
+    }
+  }
+
+  /**
+   * Report that a looked-up entry could not answer the question after all
+   * @param {Object} lookup - Result of lookup with an entry
+   * @param {Object} options - Rejection options
+   * @param {boolean} options.discard - The SQL itself is broken (not merely denied to this caller)
+   */
+  async reject(lookup, { discard = false } = {}) {
+    this.metrics.rejected++;
+    if (!discard) return;
+
+    try {
+      await this.queryCacheRepository.delete(lookup.entry.id);
+    } catch (error) {
+      logger.warn(`Could not discard query cache entry ${lookup.entry.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remember the SQL that answered a looked-up question
+   * @param {Object} lookup - Result of lookup (a miss)
+   * @param {Object} answer - { generatedSQL, relevantTables }
+   */
+  async store(lookup, { generatedSQL, relevantTables }) {
+    try {
+      await this.queryCacheRepository.save({
+        ...lookup.key.scope,
+        datasourceName: lookup.key.datasourceName,
+        question: lookup.key.question,
+        questionHash: lookup.key.questionHash,
+        embedding: lookup.key.embedding,
+        generatedSQL,
+        relevantTables
+      });
+      this.metrics.stores++;
+      await this.pruneExpired();
+    } catch (error) {
+      this.metrics.errors++;
+      logger.warn(`Could not store query cache entry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Drop every entry of a datasource (its schema was refreshed)
+   * Entries of an older schema version could no longer match anyway; this frees them
+   * @param {string} datasource - Source key
+   * @returns {Promise<number>} Number of dropped entries
+   */
+  async invalidate(datasource) {
+    try {
+      const removed = await this.queryCacheRepository.deleteWhere({ datasource });
+      this.metrics.invalidations++;
+      logger.info(`Query cache invalidated for ${datasource}: ${removed} entries dropped`);
+      return removed;
+    } catch (error) {
+      this.metrics.errors++;
+      logger.warn(`Could not invalidate query cache for ${datasource}: ${error.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * Delete expired entries, at most once per PRUNE_INTERVAL_MS
+   */
+  async pruneExpired() {
+    if (Date.now() - this.lastPrunedAt < PRUNE_INTERVAL_MS) return;
+    this.lastPrunedAt = Date.now();
+
+    const removed = await this.queryCacheRepository.deleteWhere({ before: new Date(Date.now() - this.config.ttlMs) });
+    if (removed > 0) {
+      logger.info(`Query cache pruned ${removed} expired entries`);
+    }
+  }
+
+  /**
+   * Hit/miss counters of this process and stored entries of the admin's tenant
+   * @param {Object} principal - Admin
+   * @param {Object} filters - Filters
+   * @param {string} filters.tenantId - Tenant (bootstrap admin only; every tenant when omitted)
+   * @returns {Promise<Object>} { enabled, semanticEnabled, similarityThreshold, ttlMs, metrics, datasources }
+   */
+  async getStats(principal, filters = {}) {
+    const tenantId = this.resolveTenant(principal, filters.tenantId);
+    const lookups = this.metrics.exactHits + this.metrics.semanticHits + this.metrics.misses;
+
+    return {
+      enabled: this.config.enabled,
+      semanticEnabled: this.config.semanticEnabled,
+      similarityThreshold: this.config.similarityThreshold,
+      ttlMs: this.config.ttlMs,
+      metrics: {
+        ...this.metrics,
+        lookups,
+        hitRate: lookups > 0 ? (this.metrics.exactHits + this.metrics.semanticHits) / lookups : null
+      },
+      datasources: await this.queryCacheRepository.getStats(tenantId)
+    };
+  }
+
+  /**
+   * Delete cached entries of the admin's tenant
+   * @param {Object} principal - Admin
+   * @param {Object} filters - Filters
+   * @param {string} filters.tenantId - Tenant (bootstrap admin only; every tenant when omitted)
+   * @param {string} filters.datasource - Only entries of this datasource name
+   * @returns {Promise<number>} Number of deleted entries
+   */
+  async clear(principal, filters = {}) {
+    const tenantId = this.resolveTenant(principal, filters.tenantId);
+    const removed = await this.queryCacheRepository.deleteWhere({ tenantId, datasourceName: filters.datasource });
+    logger.info(`Query cache cleared by ${principal.id}: ${removed} entries`);
+    return removed;
+  }
+
+  /**
+   * Tenant whose entries a principal's questions use
+   * @param {Object} principal - Principal; internal calls and the bootstrap admin use the default tenant
+   * @returns {string} Tenant id
+   */
+  getPrincipalTenant(principal) {
+    return principal && principal.tenantId !== null && principal.tenantId !== undefined
+      ? principal.tenantId
+      : this.config.defaultTenant;
+  }
+
+  /**
+   * Tenant an admin inspects or clears
+   * @param {Object} principal - Admin
+   * @param {string} requested - Requested tenant, if any
+   * @returns {string|null} Tenant id, or null for every tenant (bootstrap admin)
+   * @throws {ForbiddenError} If a tenant admin asks for another tenant
+   */
+  resolveTenant(principal, requested) {
+    if (principal.tenantId === null) {
+      return requested || null;
+    }
+    if (requested && requested !== principal.tenantId) {
+      throw new ForbiddenError('The query cache of another tenant cannot be managed');
+    }
+    return principal.tenantId;
+  }
+}
+
+module.exports = QueryCacheService;
+module.exports.normalizeQuestion = normalizeQuestion;
@@ -6,19 +6,34 @@
 const db = require('../config/database');
 const logger = require('../utils/logger');
 const { format } = require('sql-formatter');
+const SQLSafetyValidator = require('./SQLSafetyValidator');
+const QuerySandbox = require('./QuerySandbox');
+const QueryLogRepository = require('../repositories/QueryLogRepository');
 
 class QueryExecutionService {
-  constructor() {
+  /**
+   * @param {Object} options - Service options
+   * @param {DataMaskingService} options.dataMaskingService - PII masking of result values per caller role
+   *   (without one, values are returned as read)
+   */
+  constructor(options = {}) {
     this.primaryDB = db.getPrimaryDB();
+    this.sqlValidator = new SQLSafetyValidator();
     this.maxResultRows = parseInt(process.env.MAX_RESULT_ROWS) || 10000;
     this.queryTimeout = parseInt(process.env.QUERY_TIMEOUT_MS) || 30000;
-    this.sandboxMode = process.env.SANDBOX_MODE === 'true';
+    this.sandbox = new QuerySandbox(this.primaryDB);
+    this.sandboxMode = this.sandbox.config.enabled;
+    this.queryLogRepository = null;
+    this.dataMaskingService = options.dataMaskingService || null;
   }
 
   /**
    * Execute SQL query with safety checks
    * @param {string} sql - SQL query to execute
    * @param {Object} options - Execution options
+   * @param {number} options.maxResults - Rows to fetch (capped by MAX_RESULT_ROWS)
+   * @param {Array} options.params - Values of $1, $2, ... placeholders
+   * @param {Object} options.principal - Principal the rows are for; its masking policies apply
    * @returns {Promise<Object>} Query execution result
    */
   async executeQuery(sql, options = {}) {
@@ -31,8 +46,12 @@ class QueryExecutionService {
       // Format SQL for better readability
       const formattedSQL = this.formatSQL(sql);
       
-      // Execute query with timeout
-      const result = await this.executeWithTimeout(formattedSQL, options);
+      // Execute query with timeout; the row cap is applied with a cursor rather than by rewriting the SQL
+      const result = await this.executeWithTimeout(formattedSQL, {
+        ...options,
+        maxRows: Math.min(options.maxResults || this.maxResultRows, this.maxResultRows)
+      });
+      const { rows, maskedColumns } = await this.maskRows(formattedSQL, result, options.principal);
       
       const executionTime = Date.now() - startTime;
       
@@ -40,18 +59,22 @@ class QueryExecutionService {
       
       return {
         success: true,
-        data: result.rows,
+        data: rows,
         columns: result.fields?.map(field => ({
           name: field.name,
           type: field.dataTypeID,
           nullable: field.nullable
         })) || [],
         rowCount: result.rowCount,
+        totalRows: result.totalRows,
+        truncated: result.totalRows > result.rows.length,
+        maskedColumns,
         executionTime,
         sql: formattedSQL,
         metadata: {
           executed_at: new Date().toISOString(),
-          sandbox_mode: this.sandboxMode
+          sandbox_mode: this.sandboxMode,
+          sandbox: this.sandbox.getInfo()
         }
       };
     } catch (error) {
@@ -61,116 +84,61 @@ class QueryExecutionService {
       return {
         success: false,
         error: error.message,
+        violations: error.violations,
         executionTime,
         sql: this.formatSQL(sql),
         metadata: {
           executed_at: new Date().toISOString(),
-          sandbox_mode: this.sandboxMode
+          sandbox_mode: this.sandboxMode,
+          sandbox: this.sandbox.getInfo()
         }
       };
     }
   }
 
   /**
-   * Validate query safety before execution
-   * @param {string} sql - SQL query to validate
-   * @throws {Error} If query is unsafe
+   * Mask PII values of a result for the principal it is returned to
+   * @param {string} sql - SQL as executed
+   * @param {Object} result - Sandbox result ({ rows, fields })
+   * @param {Object} principal - Principal (internal calls pass none)
+   * @returns {Promise<Object>} { rows, maskedColumns }
    */
-  async validateQuerySafety(sql) {
-    const upperSQL = sql.toUpperCase().trim();
-    
-    // Check for dangerous operations
-    const dangerousKeywords = [
-      'DROP', 'DELETE', 'UPDATE', 'INSERT', 'ALTER', 'CREATE', 
-      'TRUNCATE', 'GRANT', 'REVOKE', 'EXEC', 'EXECUTE'
-    ];
-    
-    for (const keyword of dangerousKeywords) {
-      if (upperSQL.includes(keyword)) {
-        throw new Error(`Dangerous operation detected: ${keyword} statements are not allowed`);
-      }
-    }
-    
-    // Check for system table access
-    const systemTables = [
-      'pg_', 'information_schema', 'sys', 'mysql', 'performance_schema'
-    ];
-    
-    for (const table of systemTables) {
-      if (upperSQL.includes(table)) {
-        throw new Error(`Access to system table detected: ${table} access is not allowed`);
-      }
-    }
-    
-    // Check for file system access
-    if (upperSQL.includes('COPY') || upperSQL.includes('\\COPY')) {
-      throw new Error('File system access operations are not allowed');
-    }
-    
-    // Check for function calls that might be dangerous
-    const dangerousFunctions = [
-      'pg_read_file', 'pg_ls_dir', 'lo_import', 'lo_export'
-    ];
-    
-    for (const func of dangerousFunctions) {
-      if (upperSQL.includes(func)) {
-        throw new Error(`Dangerous function call detected: ${func} is not allowed`);
-      }
-    }
-    
-    // Validate query structure
-    if (!upperSQL.startsWith('SELECT')) {
-      throw new Error('Only SELECT queries are allowed');
-    }
-    
-    // Check for subqueries that might be dangerous
-    if (this.containsDangerousSubquery(sql)) {
-      throw new Error('Query contains potentially dangerous subqueries');
-    }
+  async maskRows(sql, result, principal) {
+    const masker = this.dataMaskingService ? await this.dataMaskingService.createMasker(sql, principal) : null;
+    return masker ? masker(result.rows, result.fields) : { rows: result.rows, maskedColumns: [] };
   }
 
   /**
-   * Check if query contains dangerous subqueries
-   * @param {string} sql - SQL query
-   * @returns {boolean} True if dangerous subquery found
+   * Validate query safety before execution
+   * @param {string} sql - SQL query to validate
+   * @returns {Promise<Object>} Validation result (tables, functions, statement type)
+   * @throws {SQLSafetyError} If query is unsafe
    */
-  containsDangerousSubquery(sql) {
-    // This is a simplified check - in production, you'd want more sophisticated parsing
-    const dangerousPatterns = [
-      /SELECT.*FROM.*pg_/i,
-      /SELECT.*FROM.*information_schema/i,
-      /SELECT.*FROM.*sys\./i
-    ];
-    
-    return dangerousPatterns.some(pattern => pattern.test(sql));
+  async validateQuerySafety(sql) {
+    return this.sqlValidator.assertSafe(sql);
   }
 
   /**
-   * Execute query with timeout
+   * Execute query with timeout inside the read-only sandbox
    * @param {string} sql - SQL query
    * @param {Object} options - Execution options
+   * @param {Array} options.params - Values of $1, $2, ... placeholders
+   * @param {number} options.maxRows - Fetch at most this many rows through a cursor; omitted for
+   *   EXPLAIN, which PostgreSQL does not run in a cursor
    * @returns {Promise<Object>} Query result
    */
   async executeWithTimeout(sql, options = {}) {
     return new Promise(async (resolve, reject) => {
+      // Client-side backstop in case the server-side statement_timeout never fires
       const timeout = setTimeout(() => {
         reject(new Error(`Query timeout after ${this.queryTimeout}ms`));
-      }, this.queryTimeout);
+      }, this.queryTimeout + 1000);
       
       try {
-        const client = await this.primaryDB.connect();
-        
-        // Set query timeout at database level
-        await client.query(`SET statement_timeout = ${this.queryTimeout}`);
-        
-        // Add LIMIT if not present and maxResultRows is set
-        let finalSQL = sql;
-        if (this.maxResultRows && !sql.toUpperCase().includes('LIMIT')) {
-          finalSQL = `${sql} LIMIT ${this.maxResultRows}`;
-        }
-        
-        const result = await client.query(finalSQL);
-        client.release();
+        const result = await this.sandbox.run(sql, options.params || [], {
+          statementTimeout: this.queryTimeout,
+          maxRows: options.maxRows
+        });
         
         clearTimeout(timeout);
         resolve(result);
@@ -275,20 +243,23 @@ class QueryExecutionService {
   }
 
   /**
-   * Get query statistics
-   * @param {string} queryId - Query identifier
+   * Get execution statistics for a SQL statement from the query history
+   * @param {string} sql - SQL text as recorded in query_logs
    * @returns {Promise<Object>} Query statistics
    */
-  async getQueryStats(queryId) {
+  async getQueryStats(sql) {
     try {
-      // This would typically query a query log table
-      // For now, return basic stats
+      if (!this.queryLogRepository) {
+        this.queryLogRepository = new QueryLogRepository(db.getVectorDB());
+      }
+
+      const stats = await this.queryLogRepository.getStats({ sql });
       return {
-        queryId,
-        totalExecutions: 0,
-        averageExecutionTime: 0,
-        lastExecuted: null,
-        successRate: 0
+        sql,
+        totalExecutions: stats.totalExecutions,
+        averageExecutionTime: stats.averageExecutionTime,
+        lastExecuted: stats.lastExecuted,
+        successRate: stats.successRate
       };
     } catch (error) {
       logger.error('Failed to get query stats:', error);
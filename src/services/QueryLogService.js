@@ -0,0 +1,123 @@
+/**
+ * Query Log Service
+ * Records every NLQ and raw SQL request in query_logs and serves the
+ * history and aggregate statistics built from it
+ */
+
+const logger = require('../utils/logger');
+const { getOwner } = require('../utils/ownership');
+
+/**
+ * Extract the audit fields of an Express request
+ * @param {Object} req - Express request
+ * @returns {Object} { requestId, clientIp, userAgent, owner }
+ */
+const getRequestContext = (req) => ({
+  requestId: req.requestId,
+  owner: getOwner(req.principal),
+  clientIp: req.ip,
+  userAgent: req.get ? req.get('user-agent') : undefined
+});
+
+class QueryLogService {
+  /**
+   * @param {QueryLogRepository} queryLogRepository - History storage
+   */
+  constructor(queryLogRepository) {
+    this.queryLogRepository = queryLogRepository;
+  }
+
+  /**
+   * Record a natural language query and its outcome
+   * @param {Object} context - Request context (see getRequestContext) plus sessionId/language
+   * @param {string} query - Natural language question
+   * @param {Object} result - Result of AdvancedNLQService.processQuery
+   * @returns {Promise<Object|null>} Stored entry, or null if logging failed
+   */
+  async recordNLQ(context, query, result) {
+    return this.record({
+      ...context,
+      type: 'nlq',
+      queryText: query,
+      generatedSQL: result.generatedSQL,
+      executionTime: result.processingTime,
+      timings: result.timings,
+      rowCount: result.result ? result.result.rowCount : null,
+      attemptCount: result.attempts ? result.attempts.length : null,
+      datasource: result.datasource,
+      success: result.success,
+      error: result.error
+    });
+  }
+
+  /**
+   * Record a raw SQL execution and its outcome
+   * @param {Object} context - Request context (see getRequestContext)
+   * @param {string} sql - Submitted SQL
+   * @param {Object} result - Result of AdvancedNLQService.executeSQL
+   * @returns {Promise<Object|null>} Stored entry, or null if logging failed
+   */
+  async recordSQL(context, sql, result) {
+    return this.record({
+      ...context,
+      type: 'sql',
+      queryText: sql,
+      generatedSQL: sql,
+      executionTime: result.processingTime,
+      timings: result.timings,
+      rowCount: result.result ? result.result.rowCount : null,
+      datasource: result.datasource,
+      success: result.success,
+      error: result.error
+    });
+  }
+
+  /**
+   * Store an entry; a logging failure never fails the request being logged
+   * @param {Object} entry - Log entry
+   * @returns {Promise<Object|null>} Stored entry, or null if logging failed
+   */
+  async record(entry) {
+    try {
+      return await this.queryLogRepository.create(entry);
+    } catch (error) {
+      logger.error(`Failed to record ${entry.type} request ${entry.requestId} in query history:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Page, filter and search the caller's history
+   * @param {Object} filters - See QueryLogRepository.buildFilters
+   * @param {Object} pagination - limit/offset
+   * @param {Object} principal - Caller; only their own requests are listed
+   * @returns {Promise<Object>} { entries, total, limit, offset }
+   */
+  async getHistory(filters = {}, { limit = 50, offset = 0 } = {}, principal) {
+    const { entries, total } = await this.queryLogRepository.list({ ...filters, owner: getOwner(principal) }, limit, offset);
+    return { entries, total, limit, offset };
+  }
+
+  /**
+   * Get a single history entry of the caller
+   * @param {number} id - Entry id
+   * @param {Object} principal - Caller; entries of others are not found
+   * @returns {Promise<Object|null>} Entry or null if not found
+   */
+  async getEntry(id, principal) {
+    return this.queryLogRepository.findById(id, getOwner(principal));
+  }
+
+  /**
+   * Aggregate statistics over the caller's history
+   * @param {Object} filters - See QueryLogRepository.buildFilters
+   * @param {Object} principal - Caller; only their own requests are counted
+   * @returns {Promise<Object>} Statistics
+   */
+  async getStats(filters = {}, principal) {
+    return this.queryLogRepository.getStats({ ...filters, owner: getOwner(principal) });
+  }
+}
+
+module.exports = QueryLogService;
+module.exports.getRequestContext = getRequestContext;
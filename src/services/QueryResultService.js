@@ -0,0 +1,229 @@
+/**
+ * Query Result Service
+ * Keeps executed result sets behind a result id and serves them in pages.
+ * Responses carry the first page; later pages come from the stored rows, or
+ * from re-running the stored SQL once those rows have expired
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { getOwner } = require('../utils/ownership');
+const { getResultConfig } = require('../config/results');
+
+/**
+ * Encode the position after a row as an opaque cursor
+ * @param {number} rowNumber - Last row number of a page
+ * @returns {string} Cursor
+ */
+const encodeCursor = (rowNumber) => Buffer.from(JSON.stringify({ after: rowNumber })).toString('base64url');
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Cursor
+ * @returns {number|null} Row number to continue after, or null if the cursor is invalid
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { after } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return Number.isInteger(after) && after >= 0 ? after : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+class QueryResultService {
+  /**
+   * @param {QueryResultRepository} queryResultRepository - Result storage
+   * @param {AdvancedNLQService} nlqService - Used to re-run SQL whose rows expired
+   * @param {Object} config - Result configuration (see config/results.js)
+   */
+  constructor(queryResultRepository, nlqService, config = getResultConfig()) {
+    this.queryResultRepository = queryResultRepository;
+    this.nlqService = nlqService;
+    this.config = config;
+  }
+
+  /**
+   * Store a successful result and reduce its data to the first page
+   * If storing fails the response is returned unchanged, with all rows
+   * @param {Object} response - Result of processQuery or executeSQL
+   * @param {Object} context - { type, queryText, pageSize, maxResults, principal }; maxResults is
+   *   the row cap the rows were fetched with, and only the principal the rows were produced for
+   *   can page through them
+   * @returns {Promise<Object>} Response with result.data as the first page and result.pagination
+   */
+  async paginate(response, { type, queryText, pageSize, maxResults, principal } = {}) {
+    if (!response || !response.success || !response.result || !Array.isArray(response.result.data)) {
+      return response;
+    }
+
+    const size = this.getPageSize(pageSize);
+    const { data, ...resultMeta } = response.result;
+
+    try {
+      const stored = await this.queryResultRepository.create({
+        id: uuidv4(),
+        type,
+        queryText,
+        sql: response.generatedSQL || response.sql,
+        datasource: response.datasource,
+        columns: resultMeta.columns,
+        totalRows: resultMeta.totalRows !== undefined ? resultMeta.totalRows : data.length,
+        maxResults,
+        rowsExpireAt: this.getExpiry(),
+        owner: getOwner(principal)
+      }, data);
+
+      this.purgeExpired();
+
+      return {
+        ...response,
+        result: {
+          ...resultMeta,
+          data: data.slice(0, size),
+          pagination: this.describePage(stored, 0, data.slice(0, size).length, size)
+        }
+      };
+    } catch (error) {
+      logger.error('Failed to store result for pagination, returning all rows:', error);
+      return response;
+    }
+  }
+
+  /**
+   * Get a page of a stored result
+   * @param {string} resultId - Result id
+   * @param {Object} options - Either page/pageSize or cursor/pageSize
+   * @param {number} options.page - 1-based page number
+   * @param {number} options.pageSize - Rows per page
+   * @param {string} options.cursor - Cursor from a previous page's nextCursor
+   * @param {Object} principal - Requester; must be the principal the result was stored for
+   * @returns {Promise<Object|null>} { resultId, columns, rows, pagination }, or null if not found
+   *   or stored for someone else
+   * @throws {Error} With code 'INVALID_CURSOR' for a malformed cursor
+   */
+  async getPage(resultId, { page = 1, pageSize, cursor } = {}, principal) {
+    const size = this.getPageSize(pageSize);
+    let after = (page - 1) * size;
+
+    if (cursor) {
+      after = decodeCursor(cursor);
+      if (after === null) {
+        const error = new Error('Invalid cursor');
+        error.code = 'INVALID_CURSOR';
+        throw error;
+      }
+    }
+
+    let stored = await this.queryResultRepository.findById(resultId, getOwner(principal));
+    if (!stored) {
+      return null;
+    }
+
+    if (!this.hasRows(stored)) {
+      stored = await this.reexecute(stored, principal);
+    }
+
+    const rows = await this.queryResultRepository.getRows(resultId, after, size);
+
+    return {
+      resultId,
+      sql: stored.sql,
+      columns: stored.columns,
+      rows,
+      pagination: this.describePage(stored, after, rows.length, size)
+    };
+  }
+
+  /**
+   * Run the stored SQL again and store the fresh rows
+   * The SQL goes through validation again, since safety rules may have changed,
+   * and runs against the datasource it was first executed on with the same row cap
+   * @param {Object} stored - Result metadata
+   * @param {Object} principal - Owner of the result, whose access policies apply
+   * @returns {Promise<Object>} Updated result metadata
+   */
+  async reexecute(stored, principal) {
+    logger.info(`Rows of result ${stored.id} expired, re-executing its SQL`);
+
+    const execution = await this.nlqService.executeSQL(stored.sql, {
+      principal,
+      datasource: stored.datasource,
+      ...(stored.maxResults ? { maxResults: stored.maxResults } : {})
+    });
+    if (!execution.success) {
+      throw new Error(`Failed to re-execute result SQL: ${execution.error}`);
+    }
+
+    return this.queryResultRepository.replaceRows(
+      stored.id,
+      execution.result.data,
+      execution.result.totalRows,
+      this.getExpiry()
+    );
+  }
+
+  /**
+   * Pagination metadata for a slice of stored rows
+   * Pages only cover stored rows; truncated says the query returned more
+   * @param {Object} stored - Result metadata
+   * @param {number} after - Row number the slice starts after
+   * @param {number} count - Rows in the slice
+   * @param {number} pageSize - Rows per page
+   * @returns {Object} Pagination metadata
+   */
+  describePage(stored, after, count, pageSize) {
+    const last = after + count;
+
+    return {
+      resultId: stored.id,
+      page: Math.floor(after / pageSize) + 1,
+      pageSize,
+      rowCount: stored.rowCount,
+      totalRows: stored.totalRows,
+      totalPages: Math.ceil(stored.rowCount / pageSize),
+      truncated: stored.totalRows > stored.rowCount,
+      nextCursor: last < stored.rowCount ? encodeCursor(last) : null,
+      prevCursor: after > 0 ? encodeCursor(Math.max(after - pageSize, 0)) : null
+    };
+  }
+
+  /**
+   * Whether a result's rows are still stored
+   * @param {Object} stored - Result metadata
+   * @returns {boolean} True if the rows have not expired
+   */
+  hasRows(stored) {
+    return Boolean(stored.rowsExpireAt) && new Date(stored.rowsExpireAt) > new Date();
+  }
+
+  /**
+   * Clamp a requested page size
+   * @param {number} pageSize - Requested size
+   * @returns {number} Page size within configured bounds
+   */
+  getPageSize(pageSize) {
+    return Math.min(pageSize || this.config.pageSize, this.config.maxPageSize);
+  }
+
+  /**
+   * Expiry time for newly stored rows
+   * @returns {Date} Expiry
+   */
+  getExpiry() {
+    return new Date(Date.now() + this.config.cacheTtlMinutes * 60 * 1000);
+  }
+
+  /**
+   * Drop expired rows in the background; a failure only delays cleanup
+   */
+  purgeExpired() {
+    this.queryResultRepository.purgeExpiredRows().catch(error => {
+      logger.warn(`Could not purge expired result rows: ${error.message}`);
+    });
+  }
+}
+
+module.exports = QueryResultService;
+module.exports.encodeCursor = encodeCursor;
+module.exports.decodeCursor = decodeCursor;
@@ -0,0 +1,257 @@
+/**
+ * Query Sandbox - Read-only, role-scoped execution of untrusted SQL
+ * Every query runs inside BEGIN READ ONLY under a low-privilege role with
+ * per-query resource limits, and the transaction is always rolled back
+ */
+
+const Cursor = require('pg-cursor');
+const logger = require('../utils/logger');
+const { getSandboxConfig } = require('../config/sandbox');
+
+const WORK_MEM_PATTERN = /^\d+\s*(kB|MB|GB)?$/;
+
+/**
+ * Quote a PostgreSQL identifier
+ * @param {string} identifier - Identifier to quote
+ * @returns {string} Quoted identifier
+ */
+const quoteIdentifier = (identifier) => `"${String(identifier).replace(/"/g, '""')}"`;
+
+/**
+ * Coerce a timeout to a non-negative integer number of milliseconds
+ * @param {*} value - Timeout value
+ * @param {string} name - Setting name (for error messages)
+ * @returns {number} Timeout in milliseconds
+ */
+const toTimeout = (value, name) => {
+  const parsed = parseInt(value);
+  if (isNaN(parsed) || parsed < 0) {
+    throw new Error(`Invalid sandbox ${name}: ${value}`);
+  }
+  return parsed;
+};
+
+class QuerySandbox {
+  /**
+   * @param {Pool} pool - PostgreSQL pool to borrow clients from
+   * @param {Object} config - Sandbox configuration (see config/sandbox.js)
+   */
+  constructor(pool, config = getSandboxConfig()) {
+    this.pool = pool;
+    this.config = config;
+
+    if (!WORK_MEM_PATTERN.test(config.workMem)) {
+      throw new Error(`Invalid sandbox work_mem: ${config.workMem}`);
+    }
+
+    if (!config.enabled) {
+      logger.warn('SANDBOX_MODE is disabled: generated SQL runs without a read-only transaction or role switch');
+    }
+  }
+
+  /**
+   * Run a callback with a sandboxed client
+   * The transaction is rolled back when the callback settles, whatever the outcome
+   * @param {Function} callback - async (client) => result
+   * @param {Object} options - Per-call overrides
+   * @param {number} options.statementTimeout - statement_timeout in ms
+   * @param {number} options.lockTimeout - lock_timeout in ms
+   * @param {string} options.workMem - work_mem (e.g. '32MB')
+   * @param {AbortSignal} options.signal - Cancels the running statement when aborted
+   * @returns {Promise<*>} Callback result
+   */
+  async withClient(callback, options = {}) {
+    if (options.signal && options.signal.aborted) {
+      throw new Error('Query aborted before it started');
+    }
+
+    const client = await this.pool.connect();
+    const cancel = () => this.cancel(client);
+    let releaseError;
+
+    if (options.signal) {
+      options.signal.addEventListener('abort', cancel, { once: true });
+    }
+
+    try {
+      if (this.config.enabled) {
+        await this.enter(client, options);
+      } else {
+        await client.query(`SET statement_timeout = ${toTimeout(options.statementTimeout || this.config.statementTimeoutMs, 'statement_timeout')}`);
+      }
+
+      return await callback(client);
+    } finally {
+      if (options.signal) {
+        options.signal.removeEventListener('abort', cancel);
+      }
+      if (this.config.enabled) {
+        try {
+          await client.query('ROLLBACK');
+        } catch (error) {
+          // A client whose transaction state is unknown must not go back to the pool
+          logger.error('Sandbox rollback failed, discarding client:', error);
+          releaseError = error;
+        }
+      } else {
+        // Without a transaction the timeout is session-wide: the next borrower must not inherit it
+        try {
+          await client.query('RESET statement_timeout');
+        } catch (error) {
+          logger.error('Sandbox could not reset statement_timeout, discarding client:', error);
+          releaseError = error;
+        }
+      }
+      client.release(releaseError);
+    }
+  }
+
+  /**
+   * Cancel the statement a client is running; it then fails with SQLSTATE 57014
+   * and the transaction is rolled back as usual
+   * @param {Object} client - pg client borrowed by withClient
+   */
+  async cancel(client) {
+    try {
+      await this.pool.query('SELECT pg_cancel_backend($1)', [client.processID]);
+      logger.info(`Cancelled sandbox query on backend ${client.processID}`);
+    } catch (error) {
+      logger.warn(`Could not cancel sandbox query: ${error.message}`);
+    }
+  }
+
+  /**
+   * Run a single query in the sandbox
+   * @param {string} sql - SQL to execute
+   * @param {Array} params - Query parameters
+   * @param {Object} options - Per-call overrides (see withClient)
+   * @param {number} options.maxRows - Fetch at most this many rows (see fetchCapped)
+   * @returns {Promise<Object>} pg query result
+   */
+  async run(sql, params = [], options = {}) {
+    if (options.maxRows) {
+      return this.withClient(client => this.fetchCapped(client, sql, params, options.maxRows), options);
+    }
+    return this.withClient(client => client.query(sql, params), options);
+  }
+
+  /**
+   * Fetch the first rows of a query through a cursor and count the rest
+   * without transferring them, so the SQL itself is never rewritten
+   * @param {Object} client - pg client
+   * @param {string} sql - SQL to execute
+   * @param {Array} params - Query parameters
+   * @param {number} maxRows - Rows to fetch
+   * @returns {Promise<Object>} pg result of the fetch, with `totalRows`
+   */
+  async fetchCapped(client, sql, params, maxRows) {
+    const rowLimit = parseInt(maxRows);
+    if (isNaN(rowLimit) || rowLimit < 1) {
+      throw new Error(`Invalid sandbox maxRows: ${maxRows}`);
+    }
+
+    // Cursors only live inside a transaction; the sandbox already opened one when enabled
+    if (!this.config.enabled) {
+      await client.query('BEGIN READ ONLY');
+    }
+
+    try {
+      await client.query(`DECLARE sandbox_result NO SCROLL CURSOR FOR ${sql.trim().replace(/;+$/, '')}`, params);
+      const result = await client.query(`FETCH FORWARD ${rowLimit} FROM sandbox_result`);
+      const remaining = await client.query('MOVE FORWARD ALL IN sandbox_result');
+      result.totalRows = result.rows.length + (remaining.rowCount || 0);
+      return result;
+    } finally {
+      if (!this.config.enabled) {
+        await client.query('ROLLBACK');
+      }
+    }
+  }
+
+  /**
+   * Stream a query in batches through a cursor
+   * Only one batch is held at a time; the next is read once onBatch settles
+   * @param {string} sql - SQL to execute
+   * @param {Array} params - Query parameters
+   * @param {Function} onBatch - async (rows, fields) => void; called at least once so fields are known
+   * @param {Object} options - Per-call overrides (see withClient)
+   * @param {number} options.batchSize - Rows per batch
+   * @param {number} options.maxRows - Stop after this many rows (0 for all)
+   * @returns {Promise<number>} Rows streamed
+   */
+  async stream(sql, params, onBatch, options = {}) {
+    const batchSize = options.batchSize || 1000;
+    const maxRows = options.maxRows || Infinity;
+
+    return this.withClient(async (client) => {
+      const cursor = client.query(new Cursor(sql, params));
+      let fields = null;
+      let total = 0;
+
+      try {
+        for (;;) {
+          const size = Math.min(batchSize, maxRows - total);
+          const batch = await new Promise((resolve, reject) => {
+            cursor.read(size, (error, rows, result) => (error ? reject(error) : resolve({ rows, result })));
+          });
+          fields = fields || (batch.result ? batch.result.fields : []);
+
+          if (batch.rows.length > 0 || total === 0) {
+            await onBatch(batch.rows, fields);
+          }
+          total += batch.rows.length;
+
+          if (batch.rows.length < size || total >= maxRows) {
+            return total;
+          }
+        }
+      } finally {
+        try {
+          await cursor.close();
+        } catch (error) {
+          logger.warn(`Could not close export cursor: ${error.message}`);
+        }
+      }
+    }, options);
+  }
+
+  /**
+   * Open the read-only transaction and apply role and limits
+   * @param {Object} client - pg client
+   * @param {Object} options - Per-call overrides
+   */
+  async enter(client, options) {
+    const statementTimeout = toTimeout(options.statementTimeout || this.config.statementTimeoutMs, 'statement_timeout');
+    const lockTimeout = toTimeout(options.lockTimeout || this.config.lockTimeoutMs, 'lock_timeout');
+    const workMem = options.workMem || this.config.workMem;
+
+    if (!WORK_MEM_PATTERN.test(workMem)) {
+      throw new Error(`Invalid sandbox work_mem: ${workMem}`);
+    }
+
+    // SET LOCAL values cannot be bound as parameters; they are validated above
+    await client.query('BEGIN READ ONLY');
+    if (this.config.role) {
+      await client.query(`SET LOCAL ROLE ${quoteIdentifier(this.config.role)}`);
+    }
+    await client.query(`SET LOCAL statement_timeout = ${statementTimeout}`);
+    await client.query(`SET LOCAL lock_timeout = ${lockTimeout}`);
+    await client.query(`SET LOCAL work_mem = '${workMem.replace(/\s+/g, '')}'`);
+  }
+
+  /**
+   * Describe the sandbox for response metadata
+   * @returns {Object} Sandbox information
+   */
+  getInfo() {
+    return {
+      enabled: this.config.enabled,
+      role: this.config.enabled ? this.config.role : null,
+      statementTimeoutMs: this.config.statementTimeoutMs,
+      lockTimeoutMs: this.config.lockTimeoutMs,
+      workMem: this.config.workMem
+    };
+  }
+}
+
+module.exports = QuerySandbox;
@@ -0,0 +1,92 @@
+/**
+ * Query Scheduler
+ * Polls for due schedules and runs them one after another
+ *
+ * Due schedules are claimed with row locks, so several API instances can
+ * poll the same database without running a schedule twice. A schedule that
+ * was due several times while nothing polled runs once.
+ */
+
+const logger = require('../utils/logger');
+const { getSchedulerConfig } = require('../config/scheduler');
+
+class QueryScheduler {
+  /**
+   * @param {ScheduleService} scheduleService - Claims and runs schedules
+   * @param {Object} config - Scheduler configuration (see config/scheduler.js)
+   */
+  constructor(scheduleService, config = getSchedulerConfig()) {
+    this.scheduleService = scheduleService;
+    this.config = config;
+    this.timer = null;
+    this.currentTick = null;
+  }
+
+  /**
+   * Start polling (no-op when SCHEDULER_ENABLED=false or already started)
+   * @returns {boolean} Whether polling started
+   */
+  start() {
+    if (!this.config.enabled || this.timer) return false;
+
+    this.timer = setInterval(() => this.tick(), this.config.pollIntervalMs);
+    this.timer.unref();
+    logger.info(`Query scheduler started, polling every ${this.config.pollIntervalMs}ms`);
+    return true;
+  }
+
+  /**
+   * Stop polling and wait for runs in progress
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Query scheduler stopped');
+    }
+    if (this.currentTick) {
+      await this.currentTick;
+    }
+  }
+
+  /**
+   * Run due schedules; a tick still in progress is joined rather than overlapped
+   * @returns {Promise<number>} Schedules run
+   */
+  tick() {
+    if (!this.currentTick) {
+      this.currentTick = this.runDue().finally(() => {
+        this.currentTick = null;
+      });
+    }
+    return this.currentTick;
+  }
+
+  /**
+   * Claim and run due schedules; errors are logged so polling continues
+   * @returns {Promise<number>} Schedules run
+   */
+  async runDue() {
+    let schedules;
+    try {
+      schedules = await this.scheduleService.claimDue();
+    } catch (error) {
+      logger.error('Query scheduler failed to claim due schedules:', error);
+      return 0;
+    }
+
+    for (const schedule of schedules) {
+      try {
+        const run = await this.scheduleService.runSchedule(schedule, 'schedule');
+        logger.info(`Schedule ${schedule.id} ran: ${run.status}${run.triggered ? ', condition met' : ''}`);
+      } catch (error) {
+        logger.error(`Query scheduler failed to run schedule ${schedule.id}:`, error);
+      }
+    }
+
+    return schedules.length;
+  }
+}
+
+module.exports = QueryScheduler;
@@ -0,0 +1,324 @@
+/**
+ * SQL Safety Validator - AST-based read-only query validation
+ * Parses statements with the real PostgreSQL parser and reports structured
+ * violations instead of matching keywords inside the SQL text
+ */
+
+const { parse } = require('libpg-query');
+const { getSQLSafetyConfig } = require('../config/sqlSafety');
+
+const DATA_MODIFYING_NODES = ['InsertStmt', 'UpdateStmt', 'DeleteStmt', 'MergeStmt'];
+const AGGREGATE_FUNCTIONS = ['count', 'sum', 'avg', 'min', 'max', 'array_agg', 'string_agg', 'bool_and', 'bool_or', 'stddev', 'variance', 'percentile_cont', 'percentile_disc'];
+const TIME_FUNCTIONS = ['date', 'date_trunc', 'date_part', 'extract', 'age', 'now', 'to_char', 'to_date', 'make_interval'];
+
+/**
+ * Error raised when a query fails safety validation
+ */
+class SQLSafetyError extends Error {
+  /**
+   * @param {Array<Object>} violations - Structured violations
+   */
+  constructor(violations) {
+    super(violations.map(violation => violation.message).join('; '));
+    this.name = 'SQLSafetyError';
+    this.code = 'UNSAFE_SQL';
+    this.violations = violations;
+  }
+}
+
+class SQLSafetyValidator {
+  /**
+   * @param {Object} config - Allow/deny lists (defaults to environment, see config/sqlSafety.js)
+   */
+  constructor(config = getSQLSafetyConfig()) {
+    this.config = config;
+  }
+
+  /**
+   * Validate that SQL is exactly one read-only SELECT/WITH statement touching permitted objects
+   * @param {string} sql - SQL to validate
+   * @returns {Promise<Object>} Validation result with violations, tables, functions and
+   *   patterns (structural features such as join, aggregation or top_n, sorted)
+   */
+  async validate(sql) {
+    const violations = [];
+    const result = {
+      valid: false,
+      statementType: null,
+      tables: [],
+      functions: [],
+      patterns: [],
+      violations
+    };
+
+    if (!sql || !sql.trim()) {
+      violations.push({ code: 'EMPTY_STATEMENT', message: 'No SQL statement provided' });
+      return result;
+    }
+
+    let parsed;
+    try {
+      parsed = await parse(sql);
+    } catch (error) {
+      violations.push({
+        code: 'PARSE_ERROR',
+        message: `SQL could not be parsed: ${error.message}`,
+        position: error.sqlDetails ? error.sqlDetails.cursorPosition : undefined
+      });
+      return result;
+    }
+
+    const statements = parsed.stmts || [];
+
+    if (statements.length === 0) {
+      violations.push({ code: 'EMPTY_STATEMENT', message: 'No SQL statement provided' });
+      return result;
+    }
+
+    if (statements.length > 1) {
+      violations.push({
+        code: 'MULTIPLE_STATEMENTS',
+        message: `Exactly one statement is allowed, found ${statements.length}`
+      });
+    }
+
+    const statement = statements[0].stmt;
+    const statementType = Object.keys(statement)[0];
+    result.statementType = statementType.replace(/Stmt$/, '').toUpperCase();
+
+    if (statementType !== 'SelectStmt') {
+      violations.push({
+        code: 'NOT_READ_ONLY',
+        message: `Only SELECT queries are allowed, found ${result.statementType}`
+      });
+      return result;
+    }
+
+    const references = this.collectReferences(statement);
+    result.tables = references.tables.map(table => table.qualifiedName);
+    result.functions = references.functions.map(fn => fn.qualifiedName);
+    result.patterns = references.patterns;
+
+    violations.push(...references.violations);
+    references.tables.forEach(table => violations.push(...this.checkTable(table)));
+    references.functions.forEach(fn => violations.push(...this.checkFunction(fn)));
+
+    result.valid = violations.length === 0;
+    return result;
+  }
+
+  /**
+   * Validate and throw if the query is unsafe
+   * @param {string} sql - SQL to validate
+   * @returns {Promise<Object>} Validation result
+   * @throws {SQLSafetyError} If any violation is found
+   */
+  async assertSafe(sql) {
+    const result = await this.validate(sql);
+    if (!result.valid) {
+      throw new SQLSafetyError(result.violations);
+    }
+    return result;
+  }
+
+  /**
+   * Walk the parse tree and collect tables, functions, patterns and structural violations
+   * @param {Object} statement - Parsed statement node
+   * @returns {Object} References, patterns and violations
+   */
+  collectReferences(statement) {
+    const tables = [];
+    const functions = [];
+    const violations = [];
+    const patterns = new Set();
+
+    const visit = (type, node, cteNames) => {
+      if (type === 'CommonTableExpr') {
+        patterns.add('cte');
+      } else if (DATA_MODIFYING_NODES.includes(type)) {
+        violations.push({
+          code: 'WRITABLE_CTE',
+          message: `Data-modifying ${type.replace(/Stmt$/, '').toUpperCase()} inside a WITH clause is not allowed`
+        });
+      } else if (type === 'SelectStmt') {
+        if (node.intoClause) {
+          violations.push({
+            code: 'SELECT_INTO',
+            message: 'SELECT ... INTO creates a table and is not allowed',
+            object: node.intoClause.rel ? node.intoClause.rel.relname : undefined
+          });
+        }
+        if (node.lockingClause) {
+          violations.push({
+            code: 'LOCKING_CLAUSE',
+            message: 'Row-locking clauses (FOR UPDATE/SHARE) are not allowed'
+          });
+        }
+        if (node.groupClause) patterns.add('grouping');
+        if (node.sortClause && node.limitCount) patterns.add('top_n');
+        if (node.fromClause && node.fromClause.length > 1) patterns.add('join');
+      } else if (type === 'JoinExpr') {
+        patterns.add('join');
+      } else if (type === 'SubLink' || type === 'RangeSubselect') {
+        patterns.add('subquery');
+      } else if (type === 'SQLValueFunction') {
+        // CURRENT_DATE, CURRENT_TIMESTAMP and friends
+        patterns.add('time');
+      } else if (type === 'RangeVar') {
+        const schema = node.schemaname ? node.schemaname.toLowerCase() : null;
+        const name = node.relname.toLowerCase();
+        // Unqualified references to CTEs in scope are not real tables
+        if (schema || !cteNames.has(name)) {
+          tables.push({ schema, name, qualifiedName: schema ? `${schema}.${name}` : name });
+        }
+      } else if (type === 'FuncCall') {
+        const parts = (node.funcname || []).map(part => (part.String ? part.String.sval : '').toLowerCase());
+        const name = parts[parts.length - 1];
+        const schema = parts.length > 1 ? parts[0] : null;
+        functions.push({ schema, name, qualifiedName: parts.join('.') });
+        if (AGGREGATE_FUNCTIONS.includes(name)) patterns.add('aggregation');
+        if (TIME_FUNCTIONS.includes(name)) patterns.add('time');
+        if (node.over) patterns.add('window');
+      }
+    };
+
+    // A CTE name only shadows tables inside the SELECT whose WITH clause defines it: in the
+    // main query, in later CTEs, and in every CTE of a WITH RECURSIVE
+    const walkSelect = (select, cteNames) => {
+      const { withClause, ...rest } = select;
+      const scope = new Set(cteNames);
+      if (withClause) {
+        const ctes = withClause.ctes || [];
+        if (withClause.recursive) {
+          ctes.forEach(cte => scope.add(cte.CommonTableExpr.ctename.toLowerCase()));
+        }
+        for (const cte of ctes) {
+          walk(cte, new Set(scope));
+          scope.add(cte.CommonTableExpr.ctename.toLowerCase());
+        }
+      }
+      walk(rest, scope);
+    };
+
+    const walk = (value, cteNames) => {
+      if (Array.isArray(value)) {
+        value.forEach(item => walk(item, cteNames));
+      } else if (value && typeof value === 'object') {
+        for (const [key, child] of Object.entries(value)) {
+          // Set operations nest their SELECTs as larg/rarg, each checked like a SELECT
+          const isSetArm = key === 'larg' || key === 'rarg';
+          if (child && typeof child === 'object' && !Array.isArray(child)) {
+            visit(isSetArm ? 'SelectStmt' : key, child, cteNames);
+          }
+          if (key === 'SelectStmt' || isSetArm) {
+            walkSelect(child, cteNames);
+          } else {
+            walk(child, cteNames);
+          }
+        }
+      }
+    };
+
+    walk(statement, new Set());
+
+    return {
+      tables: dedupe(tables),
+      functions: dedupe(functions),
+      patterns: [...patterns].sort(),
+      violations
+    };
+  }
+
+  /**
+   * Check a table reference against schema/table allow- and deny-lists
+   * @param {Object} table - Table reference
+   * @returns {Array<Object>} Violations
+   */
+  checkTable(table) {
+    const { allowedSchemas, deniedSchemas, allowedTables, deniedTables } = this.config;
+    // Unqualified pg_* names resolve to pg_catalog through the search path
+    const schema = table.schema || (table.name.startsWith('pg_') ? 'pg_catalog' : null);
+
+    if (schema && deniedSchemas.includes(schema)) {
+      return [{
+        code: 'DENIED_SCHEMA',
+        message: `Access to system schema '${schema}' is not allowed`,
+        object: table.qualifiedName
+      }];
+    }
+
+    if (schema && allowedSchemas.length > 0 && !allowedSchemas.includes(schema)) {
+      return [{
+        code: 'SCHEMA_NOT_ALLOWED',
+        message: `Schema '${schema}' is not in the allowed schema list`,
+        object: table.qualifiedName
+      }];
+    }
+
+    const candidates = [table.name, table.qualifiedName];
+
+    if (deniedTables.some(denied => candidates.includes(denied))) {
+      return [{
+        code: 'DENIED_TABLE',
+        message: `Access to table '${table.qualifiedName}' is not allowed`,
+        object: table.qualifiedName
+      }];
+    }
+
+    if (allowedTables.length > 0 && !allowedTables.some(allowed => candidates.includes(allowed))) {
+      return [{
+        code: 'TABLE_NOT_ALLOWED',
+        message: `Table '${table.qualifiedName}' is not in the allowed table list`,
+        object: table.qualifiedName
+      }];
+    }
+
+    return [];
+  }
+
+  /**
+   * Check a function call against function allow- and deny-lists
+   * @param {Object} fn - Function reference
+   * @returns {Array<Object>} Violations
+   */
+  checkFunction(fn) {
+    const { allowedFunctions, deniedFunctions } = this.config;
+
+    if (deniedFunctions.includes(fn.name)) {
+      return [{
+        code: 'DENIED_FUNCTION',
+        message: `Function '${fn.name}' is not allowed`,
+        object: fn.qualifiedName
+      }];
+    }
+
+    if (allowedFunctions.length > 0 && !allowedFunctions.includes(fn.name)) {
+      return [{
+        code: 'FUNCTION_NOT_ALLOWED',
+        message: `Function '${fn.name}' is not in the allowed function list`,
+        object: fn.qualifiedName
+      }];
+    }
+
+    return [];
+  }
+}
+
+/**
+ * Remove duplicate references by qualified name
+ * @param {Array<Object>} references - References
+ * @returns {Array<Object>} Unique references
+ */
+const dedupe = (references) => {
+  const seen = new Set();
+  return references.filter(reference => {
+    if (seen.has(reference.qualifiedName)) {
+      return false;
+    }
+    seen.add(reference.qualifiedName);
+    return true;
+  });
+};
+
+module.exports = SQLSafetyValidator;
+module.exports.SQLSafetyError = SQLSafetyError;
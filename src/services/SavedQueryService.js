@@ -0,0 +1,269 @@
+/**
+ * Saved Query Service
+ * Keeps useful NLQ results as named queries with pinned SQL, so they can be
+ * re-run (with parameters) without the LLM and placed on dashboards
+ *
+ * Parameters are written as {{name}} in the SQL and bound as query
+ * parameters ($1, $2, ...), never spliced into the SQL text. A placeholder
+ * stands for a value, so it must not be quoted: `WHERE region = {{region}}`.
+ */
+
+const logger = require('../utils/logger');
+const { getOwner } = require('../utils/ownership');
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Error raised when saved query parameters are missing, undefined or invalid
+ */
+class ParameterError extends Error {
+  /**
+   * @param {Array<string>} details - One message per problem
+   */
+  constructor(details) {
+    super(details.join('; '));
+    this.name = 'ParameterError';
+    this.code = 'INVALID_PARAMETERS';
+    this.details = details;
+  }
+}
+
+/**
+ * Replace {{name}} placeholders with positional parameters
+ * A name used more than once maps to the same parameter
+ * @param {string} sql - SQL with placeholders
+ * @returns {Object} { sql, names } where names[i] is bound to $(i + 1)
+ */
+const replacePlaceholders = (sql) => {
+  const names = [];
+  const replaced = sql.replace(PLACEHOLDER_PATTERN, (match, name) => {
+    if (!names.includes(name)) names.push(name);
+    return `$${names.indexOf(name) + 1}`;
+  });
+  return { sql: replaced, names };
+};
+
+/**
+ * Convert a parameter value to its declared type
+ * @param {Object} definition - { name, type }
+ * @param {*} value - Supplied value (query strings supply everything as text)
+ * @returns {*} Typed value
+ * @throws {Error} If the value does not fit the type
+ */
+const coerceParameter = (definition, value) => {
+  switch (definition.type) {
+    case 'number': {
+      const number = typeof value === 'boolean' || value === '' ? NaN : Number(value);
+      if (!Number.isFinite(number)) throw new Error(`Parameter '${definition.name}' must be a number`);
+      return number;
+    }
+    case 'boolean':
+      if (value === true || value === 'true') return true;
+      if (value === false || value === 'false') return false;
+      throw new Error(`Parameter '${definition.name}' must be true or false`);
+    case 'date':
+      if (!DATE_PATTERN.test(String(value)) || isNaN(Date.parse(value))) {
+        throw new Error(`Parameter '${definition.name}' must be a date (YYYY-MM-DD)`);
+      }
+      return String(value);
+    default:
+      return String(value);
+  }
+};
+
+/**
+ * Bind parameter values to a saved query's SQL
+ * Values for parameters the SQL does not use are ignored, so dashboard-wide
+ * values can be offered to every widget
+ * @param {string} sql - SQL with {{name}} placeholders
+ * @param {Array} definitions - { name, type, required, default }
+ * @param {Object} values - Parameter name => value
+ * @returns {Object} { sql, params, parameters } with parameters the bound values by name
+ * @throws {ParameterError} If a parameter is undefined, missing or invalid
+ */
+const bindParameters = (sql, definitions = [], values = {}) => {
+  const { sql: boundSQL, names } = replacePlaceholders(sql);
+  const definitionsByName = new Map(definitions.map(definition => [definition.name, definition]));
+  const details = [];
+  const parameters = {};
+
+  const params = names.map(name => {
+    const definition = definitionsByName.get(name);
+    if (!definition) {
+      details.push(`Parameter '${name}' is used in the SQL but not defined`);
+      return null;
+    }
+
+    const supplied = values[name] !== undefined && values[name] !== '' ? values[name] : definition.default;
+    if (supplied === undefined || supplied === null) {
+      if (definition.required !== false) {
+        details.push(`Parameter '${name}' is required`);
+      }
+      parameters[name] = null;
+      return null;
+    }
+
+    try {
+      parameters[name] = coerceParameter(definition, supplied);
+    } catch (error) {
+      details.push(error.message);
+      return null;
+    }
+    return parameters[name];
+  });
+
+  if (details.length > 0) {
+    throw new ParameterError(details);
+  }
+
+  return { sql: boundSQL, params, parameters };
+};
+
+class SavedQueryService {
+  /**
+   * @param {SavedQueryRepository} savedQueryRepository - Saved query storage
+   * @param {UserDashboardRepository} userDashboardRepository - Dashboards that show saved queries
+   * @param {AdvancedNLQService} nlqService - Validates and executes SQL
+   * @param {ScheduleRepository} scheduleRepository - Schedules that run saved queries
+   */
+  constructor(savedQueryRepository, userDashboardRepository, nlqService, scheduleRepository = null) {
+    this.savedQueryRepository = savedQueryRepository;
+    this.userDashboardRepository = userDashboardRepository;
+    this.nlqService = nlqService;
+    this.scheduleRepository = scheduleRepository;
+  }
+
+  /**
+   * Page and search the caller's saved queries
+   * @param {Object} filters - { search }
+   * @param {Object} pagination - limit/offset
+   * @param {Object} principal - Caller; only their own saved queries are listed
+   * @returns {Promise<Object>} { savedQueries, total, limit, offset }
+   */
+  async listQueries(filters = {}, { limit = 50, offset = 0 } = {}, principal) {
+    const { savedQueries, total } = await this.savedQueryRepository.list({ ...filters, owner: getOwner(principal) }, limit, offset);
+    return { savedQueries, total, limit, offset };
+  }
+
+  /**
+   * Get a saved query of the caller
+   * @param {number} id - Saved query id
+   * @param {Object} principal - Caller; saved queries of others are not found
+   * @returns {Promise<Object|null>} Saved query or null if not found
+   */
+  async getQuery(id, principal) {
+    return this.savedQueryRepository.findById(id, getOwner(principal));
+  }
+
+  /**
+   * Save a query after checking its SQL and parameters
+   * @param {Object} data - { name, description, question, sql, parameters, chart }
+   * @param {Object} principal - Caller, who owns the saved query
+   * @returns {Promise<Object>} Created saved query
+   */
+  async createQuery(data, principal) {
+    await this.checkQuery(data);
+    const savedQuery = await this.savedQueryRepository.create(data, getOwner(principal));
+    logger.info(`Saved query ${savedQuery.id} created: ${savedQuery.name}`);
+    return savedQuery;
+  }
+
+  /**
+   * Replace a saved query of the caller after checking its SQL and parameters
+   * @param {number} id - Saved query id
+   * @param {Object} data - { name, description, question, sql, parameters, chart }
+   * @param {Object} principal - Caller; saved queries of others are not found
+   * @returns {Promise<Object|null>} Updated saved query, or null if not found
+   */
+  async updateQuery(id, data, principal) {
+    await this.checkQuery(data);
+    return this.savedQueryRepository.update(id, data, getOwner(principal));
+  }
+
+  /**
+   * Delete a saved query of the caller that no dashboard shows and no schedule runs
+   * @param {number} id - Saved query id
+   * @param {Object} principal - Caller; saved queries of others are not found
+   * @returns {Promise<Object|null>} Deleted saved query, or null if not found
+   * @throws {Error} With code 'IN_USE' and the dashboards and schedules using it
+   */
+  async deleteQuery(id, principal) {
+    const owner = getOwner(principal);
+    if (!await this.savedQueryRepository.findById(id, owner)) {
+      return null;
+    }
+
+    const [dashboards, schedules] = await Promise.all([
+      this.userDashboardRepository.findBySavedQuery(id),
+      this.scheduleRepository ? this.scheduleRepository.findBySavedQuery(id) : []
+    ]);
+
+    if (dashboards.length > 0 || schedules.length > 0) {
+      const error = new Error(`Saved query is used by ${dashboards.length} dashboard(s) and ${schedules.length} schedule(s)`);
+      error.code = 'IN_USE';
+      error.dashboards = dashboards;
+      error.schedules = schedules;
+      throw error;
+    }
+    return this.savedQueryRepository.delete(id, owner);
+  }
+
+  /**
+   * Run a saved query of the caller by id
+   * @param {number} id - Saved query id
+   * @param {Object} values - Parameter name => value
+   * @param {Object} options - Execution options (maxResults, principal); options.principal must own the saved query
+   * @returns {Promise<Object|null>} Run result (see run), or null if not found
+   */
+  async runQuery(id, values = {}, options = {}) {
+    const savedQuery = await this.savedQueryRepository.findById(id, getOwner(options.principal));
+    return savedQuery ? this.run(savedQuery, values, options) : null;
+  }
+
+  /**
+   * Run a saved query's pinned SQL with bound parameters
+   * The saved chart wins over the one recommended for the new result
+   * @param {Object} savedQuery - Saved query
+   * @param {Object} values - Parameter name => value
+   * @param {Object} options - Execution options (maxResults, principal)
+   * @returns {Promise<Object>} executeSQL result with savedQuery, parameters and chart
+   * @throws {ParameterError} If parameters are missing or invalid
+   */
+  async run(savedQuery, values = {}, options = {}) {
+    const { sql, params, parameters } = bindParameters(savedQuery.sql, savedQuery.parameters, values);
+    const result = await this.nlqService.executeSQL(sql, { ...options, params });
+    const visualization = result.result && result.result.visualization;
+
+    return {
+      ...result,
+      savedQuery: { id: savedQuery.id, name: savedQuery.name, question: savedQuery.question },
+      parameters,
+      chart: savedQuery.chart || (visualization ? { type: visualization.type, spec: visualization.spec } : null)
+    };
+  }
+
+  /**
+   * Check that every placeholder is defined, every definition is used and the SQL is safe
+   * @param {Object} data - Saved query data
+   * @throws {ParameterError|SQLSafetyError} If the query cannot be saved
+   */
+  async checkQuery(data) {
+    const { sql, names } = replacePlaceholders(data.sql);
+    const defined = (data.parameters || []).map(definition => definition.name);
+    const details = [
+      ...names.filter(name => !defined.includes(name)).map(name => `Parameter '${name}' is used in the SQL but not defined`),
+      ...defined.filter(name => !names.includes(name)).map(name => `Parameter '${name}' is defined but not used in the SQL`)
+    ];
+
+    if (details.length > 0) {
+      throw new ParameterError(details);
+    }
+
+    await this.nlqService.validateSQL(sql);
+  }
+}
+
+module.exports = SavedQueryService;
+module.exports.ParameterError = ParameterError;
+module.exports.bindParameters = bindParameters;
@@ -0,0 +1,499 @@
+/**
+ * Schedule Service
+ * Runs saved queries and NLQ questions on cron schedules, checks a condition
+ * over each result and alerts webhook targets when it is met
+ *
+ * A condition reduces the result to one number (the first row's value of a
+ * column, or an aggregate over the fetched rows) and compares either that
+ * number (threshold) or its change since the last successful run (delta).
+ * With notify 'change' an alert is sent only when the condition becomes met;
+ * with 'always' every run that meets it alerts.
+ *
+ * A question is answered once, when the schedule is saved, and its SQL is
+ * pinned so every run (and every delta) measures the same query.
+ */
+
+const cronParser = require('cron-parser');
+const logger = require('../utils/logger');
+const { getOwner } = require('../utils/ownership');
+const { getSchedulerConfig } = require('../config/scheduler');
+const { bindParameters } = require('./SavedQueryService');
+
+// Upcoming runs inspected when checking how often a cron expression fires
+const CRON_SAMPLE_RUNS = 10;
+
+const COMPARATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '=': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+/**
+ * Read a cell as a number
+ * @param {*} value - Cell value (numeric and bigint columns arrive as strings)
+ * @param {string} column - Column name, for the error
+ * @returns {number|null} Number, or null for an empty cell
+ * @throws {Error} If the value is not numeric
+ */
+const toNumber = (value, column) => {
+  if (value === null || value === undefined) return null;
+  const number = typeof value === 'boolean' || value === '' ? NaN : Number(value);
+  if (!Number.isFinite(number)) {
+    throw new Error(`Column '${column}' is not numeric`);
+  }
+  return number;
+};
+
+/**
+ * Reduce a result to the number a condition compares
+ * @param {Object} condition - { column, aggregate }
+ * @param {Object} result - QueryExecutionService result
+ * @returns {number|null} Metric, or null when there is nothing to measure
+ * @throws {Error} If the column is missing or not numeric
+ */
+const measure = (condition, result) => {
+  const rows = result.data || [];
+
+  if (condition.aggregate === 'count') {
+    return result.totalRows !== undefined ? result.totalRows : rows.length;
+  }
+
+  const names = (result.columns || []).map(column => column.name);
+  if (!names.includes(condition.column)) {
+    throw new Error(`Column '${condition.column}' is not in the result`);
+  }
+
+  if (condition.aggregate === 'first') {
+    return rows.length > 0 ? toNumber(rows[0][condition.column], condition.column) : null;
+  }
+
+  const values = rows
+    .map(row => toNumber(row[condition.column], condition.column))
+    .filter(value => value !== null);
+  if (values.length === 0) return null;
+
+  switch (condition.aggregate) {
+    case 'min':
+      return Math.min(...values);
+    case 'max':
+      return Math.max(...values);
+    case 'avg':
+      return values.reduce((total, value) => total + value, 0) / values.length;
+    default:
+      return values.reduce((total, value) => total + value, 0);
+  }
+};
+
+/**
+ * Evaluate a schedule condition over a result
+ * @param {Object} condition - { type: threshold|delta, column, aggregate, operator, value, change: absolute|percent }
+ * @param {Object} result - QueryExecutionService result
+ * @param {number|null} previousValue - Metric of the last successful run
+ * @returns {Object} { value, change, triggered }; change is null for thresholds and the first delta
+ * @throws {Error} If the result cannot be measured
+ */
+const evaluateCondition = (condition, result, previousValue = null) => {
+  const value = measure(condition, result);
+  const compare = COMPARATORS[condition.operator];
+
+  if (condition.type === 'threshold') {
+    return { value, change: null, triggered: value !== null && compare(value, condition.value) };
+  }
+
+  let change = null;
+  if (value !== null && previousValue !== null && previousValue !== undefined) {
+    if (condition.change === 'percent') {
+      change = previousValue === 0 ? null : ((value - previousValue) / Math.abs(previousValue)) * 100;
+    } else {
+      change = value - previousValue;
+    }
+  }
+
+  return { value, change, triggered: change !== null && compare(change, condition.value) };
+};
+
+class ScheduleService {
+  /**
+   * @param {ScheduleRepository} scheduleRepository - Schedule and run storage
+   * @param {WebhookService} webhookService - Delivers alerts
+   * @param {SavedQueryRepository} savedQueryRepository - Saved queries that schedules run
+   * @param {QueryExecutionService} queryExecutionService - Executes scheduled SQL
+   * @param {AdvancedNLQService} nlqService - Turns scheduled questions into SQL
+   * @param {AuthService} authService - Resolves the owner's principal again for each run
+   * @param {Object} config - Scheduler configuration (see config/scheduler.js)
+   */
+  constructor(scheduleRepository, webhookService, savedQueryRepository, queryExecutionService, nlqService, authService, config = getSchedulerConfig()) {
+    this.scheduleRepository = scheduleRepository;
+    this.webhookService = webhookService;
+    this.savedQueryRepository = savedQueryRepository;
+    this.queryExecutionService = queryExecutionService;
+    this.nlqService = nlqService;
+    this.authService = authService;
+    this.config = config;
+  }
+
+  /**
+   * Page the caller's schedules
+   * @param {Object} filters - { enabled }
+   * @param {Object} pagination - limit/offset
+   * @param {Object} principal - Caller; only their own schedules are listed
+   * @returns {Promise<Object>} { schedules, total, limit, offset }
+   */
+  async listSchedules(filters = {}, { limit = 50, offset = 0 } = {}, principal) {
+    const { schedules, total } = await this.scheduleRepository.list({ ...filters, owner: getOwner(principal) }, limit, offset);
+    return { schedules, total, limit, offset };
+  }
+
+  /**
+   * Get a schedule of the caller
+   * @param {number} id - Schedule id
+   * @param {Object} principal - Caller; schedules of others are not found
+   * @returns {Promise<Object|null>} Schedule or null if not found
+   */
+  async getSchedule(id, principal) {
+    return this.scheduleRepository.findById(id, getOwner(principal));
+  }
+
+  /**
+   * Create a schedule
+   * @param {Object} data - { name, description, savedQueryId, parameters | question, cron, timezone,
+   *   condition, notify, webhookTargetIds, enabled }
+   * @param {Object} principal - Creator, who owns the schedule; it runs under their access policies
+   * @returns {Promise<Object>} Created schedule
+   */
+  async createSchedule(data, principal) {
+    const prepared = await this.prepareSchedule(data, null, principal);
+    const schedule = await this.scheduleRepository.create(prepared, getOwner(principal));
+    logger.info(`Schedule ${schedule.id} created (${schedule.cron} ${schedule.timezone}): ${schedule.name}`);
+    return schedule;
+  }
+
+  /**
+   * Replace a schedule of the caller; an unchanged question keeps its pinned SQL
+   * @param {number} id - Schedule id
+   * @param {Object} data - See createSchedule
+   * @param {Object} principal - Owner; the schedule keeps running under their access policies
+   * @returns {Promise<Object|null>} Updated schedule, or null if not found
+   */
+  async updateSchedule(id, data, principal) {
+    const owner = getOwner(principal);
+    const existing = await this.scheduleRepository.findById(id, owner);
+    if (!existing) return null;
+
+    const prepared = await this.prepareSchedule(data, existing, principal);
+    return this.scheduleRepository.update(id, prepared, owner);
+  }
+
+  /**
+   * Delete a schedule of the caller and its run history
+   * @param {number} id - Schedule id
+   * @param {Object} principal - Caller; schedules of others are not found
+   * @returns {Promise<Object|null>} Deleted schedule, or null if not found
+   */
+  async deleteSchedule(id, principal) {
+    return this.scheduleRepository.delete(id, getOwner(principal));
+  }
+
+  /**
+   * Page the run history of a schedule of the caller
+   * @param {number} id - Schedule id
+   * @param {Object} pagination - limit/offset
+   * @param {Object} principal - Caller; schedules of others are not found
+   * @returns {Promise<Object|null>} { runs, total, limit, offset }, or null if the schedule is not found
+   */
+  async listRuns(id, { limit = 50, offset = 0 } = {}, principal) {
+    const schedule = await this.scheduleRepository.findById(id, getOwner(principal));
+    if (!schedule) return null;
+
+    const { runs, total } = await this.scheduleRepository.listRuns(id, limit, offset);
+    return { runs, total, limit, offset };
+  }
+
+  /**
+   * Run a schedule of the caller now, outside its cron timing
+   * @param {number} id - Schedule id
+   * @param {Object} principal - Caller; schedules of others are not found
+   * @returns {Promise<Object|null>} Stored run, or null if not found
+   */
+  async runNow(id, principal) {
+    const schedule = await this.scheduleRepository.findById(id, getOwner(principal));
+    return schedule ? this.runSchedule(schedule, 'manual') : null;
+  }
+
+  /**
+   * Claim the schedules that are due, moving each to its next run time
+   * @returns {Promise<Array>} Due schedules
+   */
+  async claimDue() {
+    return this.scheduleRepository.claimDue(
+      this.config.batchSize,
+      schedule => this.getNextRunAt(schedule.cron, schedule.timezone)
+    );
+  }
+
+  /**
+   * Execute a schedule's query, evaluate its condition, alert and store the run
+   * A failing query is stored as a failed run rather than thrown
+   * @param {Object} schedule - Schedule
+   * @param {string} trigger - 'schedule' or 'manual'
+   * @returns {Promise<Object>} Stored run
+   */
+  async runSchedule(schedule, trigger = 'schedule') {
+    const startedAt = new Date();
+    const previousValue = schedule.lastValue;
+    let run;
+
+    try {
+      const runAs = await this.resolveRunAs(schedule);
+      const { sql, params } = await this.resolveQuery(schedule, runAs);
+      const result = await this.queryExecutionService.executeQuery(sql, { params, maxResults: this.config.maxRows, principal: runAs });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const evaluation = evaluateCondition(schedule.condition, result, previousValue);
+      const shouldAlert = evaluation.triggered && (schedule.notify === 'always' || !schedule.lastTriggered);
+      const deliveries = shouldAlert
+        ? await this.webhookService.deliverAll(
+          schedule.webhookTargetIds,
+          this.buildAlert(schedule, result, evaluation, previousValue, startedAt),
+          schedule.tenantId
+        )
+        : [];
+
+      run = {
+        status: 'success',
+        value: evaluation.value,
+        triggered: evaluation.triggered,
+        alerted: deliveries.some(delivery => delivery.delivered),
+        rowCount: result.rowCount,
+        deliveries
+      };
+    } catch (error) {
+      logger.warn(`Schedule ${schedule.id} run failed: ${error.message}`);
+      run = { status: 'failed', value: null, triggered: false, alerted: false, rowCount: null, error: error.message, deliveries: [] };
+    }
+
+    return this.scheduleRepository.recordRun(schedule.id, {
+      ...run,
+      trigger,
+      previousValue: previousValue !== undefined ? previousValue : null,
+      startedAt,
+      finishedAt: new Date()
+    });
+  }
+
+  /**
+   * Principal a schedule runs as, resolved again from its owner's credentials on every
+   * run, so revoked keys and reduced roles apply to later runs
+   * A schedule whose owner can no longer authenticate is disabled
+   * @param {Object} schedule - Schedule
+   * @returns {Promise<Object|undefined>} Principal, or undefined for schedules saved by internal callers
+   * @throws {Error} If the owner's credentials are no longer valid
+   */
+  async resolveRunAs(schedule) {
+    if (!schedule.runAs) {
+      return undefined;
+    }
+
+    try {
+      return await this.authService.resolvePrincipal(schedule.runAs);
+    } catch (error) {
+      if (error.name !== 'UnauthorizedError') {
+        throw error;
+      }
+      await this.scheduleRepository.disable(schedule.id);
+      logger.warn(`Schedule ${schedule.id} disabled, its owner can no longer authenticate: ${error.message}`);
+      throw new Error(`Schedule disabled, its owner can no longer authenticate: ${error.message}`);
+    }
+  }
+
+  /**
+   * SQL and parameter values a schedule runs
+   * Saved queries are read at run time, so edits to them apply to later runs
+   * @param {Object} schedule - Schedule
+   * @param {Object|undefined} runAs - Principal the schedule runs as (see resolveRunAs)
+   * @returns {Promise<Object>} { sql, params }
+   * @throws {Error} If the owner's saved query is gone or its parameters do not bind
+   */
+  async resolveQuery(schedule, runAs) {
+    let bound = { sql: schedule.sql, params: [] };
+
+    if (schedule.savedQueryId) {
+      const owner = { principalId: schedule.principalId || null, tenantId: schedule.tenantId || null };
+      const savedQuery = await this.savedQueryRepository.findById(schedule.savedQueryId, owner);
+      if (!savedQuery) {
+        throw new Error(`Saved query ${schedule.savedQueryId} not found`);
+      }
+      bound = bindParameters(savedQuery.sql, savedQuery.parameters, schedule.parameters);
+    }
+
+    // Schedules saved without a principal (internal callers) run unrestricted
+    if (!runAs) {
+      return { sql: bound.sql, params: bound.params };
+    }
+    return this.nlqService.authorizeSQL(bound.sql, { principal: runAs, params: bound.params });
+  }
+
+  /**
+   * Alert payload posted to webhook targets
+   * @param {Object} schedule - Schedule
+   * @param {Object} result - QueryExecutionService result
+   * @param {Object} evaluation - Result of evaluateCondition
+   * @param {number|null} previousValue - Metric of the last successful run
+   * @param {Date} startedAt - Run start
+   * @returns {Object} Payload
+   */
+  buildAlert(schedule, result, evaluation, previousValue, startedAt) {
+    return {
+      event: 'schedule.alert',
+      schedule: {
+        id: schedule.id,
+        name: schedule.name,
+        cron: schedule.cron,
+        timezone: schedule.timezone
+      },
+      condition: schedule.condition,
+      value: evaluation.value,
+      previousValue: previousValue !== undefined ? previousValue : null,
+      change: evaluation.change,
+      rowCount: result.rowCount,
+      truncated: result.truncated,
+      sample: (result.data || []).slice(0, this.config.alertSampleRows),
+      triggeredAt: startedAt.toISOString()
+    };
+  }
+
+  /**
+   * Check a schedule and resolve what it runs
+   * @param {Object} data - Schedule data
+   * @param {Object} existing - Stored schedule being replaced, if any
+   * @param {Object} principal - Principal the schedule will run as
+   * @returns {Promise<Object>} Schedule data with timezone, pinned SQL, runAs and nextRunAt
+   * @throws {Error} With code INVALID_SCHEDULE, UNKNOWN_SAVED_QUERY, UNKNOWN_WEBHOOK_TARGET,
+   *   QUESTION_FAILED, INVALID_PARAMETERS or ACCESS_DENIED
+   */
+  async prepareSchedule(data, existing = null, principal = null) {
+    const timezone = data.timezone || this.config.defaultTimezone;
+    this.checkCron(data.cron, timezone);
+    await this.checkWebhookTargets(data.webhookTargetIds || [], principal);
+
+    let sql = null;
+    if (data.savedQueryId) {
+      const savedQuery = await this.savedQueryRepository.findById(data.savedQueryId, getOwner(principal));
+      if (!savedQuery) {
+        throw this.createError('UNKNOWN_SAVED_QUERY', `Unknown saved query: ${data.savedQueryId}`);
+      }
+      const bound = bindParameters(savedQuery.sql, savedQuery.parameters, data.parameters);
+      if (principal) {
+        await this.nlqService.authorizeSQL(bound.sql, { principal, params: bound.params });
+      }
+    } else if (existing && existing.question === data.question && existing.sql) {
+      sql = existing.sql;
+    } else {
+      sql = await this.pinQuestion(data.question, principal);
+    }
+
+    // Identifies the owner for runs, which happen without a request; each run resolves it again
+    const runAs = principal
+      ? { id: principal.id, userId: principal.userId, tenantId: principal.tenantId, roles: principal.roles, attributes: principal.attributes }
+      : null;
+
+    return {
+      ...data,
+      timezone,
+      sql,
+      runAs,
+      nextRunAt: data.enabled === false ? null : this.getNextRunAt(data.cron, timezone)
+    };
+  }
+
+  /**
+   * Generate the SQL of a scheduled question
+   * @param {string} question - Natural language question
+   * @param {Object} principal - Principal whose access policies limit the answer
+   * @returns {Promise<string>} Generated SQL
+   * @throws {Error} With code 'QUESTION_FAILED' if no working SQL was generated
+   */
+  async pinQuestion(question, principal) {
+    const response = await this.nlqService.processQuery(question, { maxResults: 1, principal });
+    if (!response.success) {
+      throw this.createError('QUESTION_FAILED', `Could not answer the question: ${response.error}`);
+    }
+    return response.generatedSQL;
+  }
+
+  /**
+   * Check that alerted webhook targets exist in the caller's tenant
+   * @param {Array<number>} targetIds - Target ids
+   * @param {Object} principal - Caller
+   * @throws {Error} With code 'UNKNOWN_WEBHOOK_TARGET' listing the missing ids
+   */
+  async checkWebhookTargets(targetIds, principal) {
+    if (targetIds.length === 0) return;
+
+    const targets = await this.webhookService.webhookTargetRepository.findByIds(targetIds, getOwner(principal).tenantId);
+    const found = new Set(targets.map(target => target.id));
+    const missing = targetIds.filter(id => !found.has(id));
+
+    if (missing.length > 0) {
+      throw this.createError('UNKNOWN_WEBHOOK_TARGET', `Unknown webhook targets: ${missing.join(', ')}`);
+    }
+  }
+
+  /**
+   * Check a cron expression and timezone, and that runs are not too frequent
+   * @param {string} cron - Cron expression (5 fields, or 6 with seconds)
+   * @param {string} timezone - IANA timezone
+   * @throws {Error} With code 'INVALID_SCHEDULE'
+   */
+  checkCron(cron, timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (error) {
+      throw this.createError('INVALID_SCHEDULE', `Unknown timezone: ${timezone}`);
+    }
+
+    let runs;
+    try {
+      const interval = cronParser.parseExpression(cron, { tz: timezone });
+      runs = Array.from({ length: CRON_SAMPLE_RUNS }, () => interval.next().getTime());
+    } catch (error) {
+      throw this.createError('INVALID_SCHEDULE', `Invalid cron expression: ${error.message}`);
+    }
+
+    const shortestGap = Math.min(...runs.slice(1).map((time, index) => time - runs[index]));
+    if (shortestGap < this.config.minIntervalSeconds * 1000) {
+      throw this.createError('INVALID_SCHEDULE', `Schedules may run at most every ${this.config.minIntervalSeconds} seconds`);
+    }
+  }
+
+  /**
+   * Next run time of a cron expression
+   * @param {string} cron - Cron expression
+   * @param {string} timezone - IANA timezone
+   * @param {Date} from - Time to count from
+   * @returns {Date} Next run time
+   */
+  getNextRunAt(cron, timezone, from = new Date()) {
+    return cronParser.parseExpression(cron, { currentDate: from, tz: timezone }).next().toDate();
+  }
+
+  /**
+   * Create an error carrying a client error code
+   * @param {string} code - Error code
+   * @param {string} message - Error message
+   * @returns {Error} Error
+   */
+  createError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = ScheduleService;
+module.exports.evaluateCondition = evaluateCondition;
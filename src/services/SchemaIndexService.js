@@ -0,0 +1,465 @@
+/**
+ * Schema Index Service
+ * Builds the searchable schema index: one element per table and per column,
+ * described by name, type, comments, foreign keys, sample values and the
+ * business glossary.
+ * Tables are fingerprinted so only changed ones are re-embedded
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { getRetrievalConfig } = require('../config/retrieval');
+
+// Values of these columns are personal data and never leave the primary DB
+const SENSITIVE_COLUMN_PATTERN = /(name|email|phone|mobile|address|password|ssn|pan|aadhaar|dob|birth)/i;
+
+// Sampled columns with more distinct values than this are not categorical
+const MAX_CATEGORY_VALUES = 25;
+
+/**
+ * Quote a PostgreSQL identifier
+ * @param {string} identifier - Identifier to quote
+ * @returns {string} Quoted identifier
+ */
+const quoteIdentifier = (identifier) => `"${String(identifier).replace(/"/g, '""')}"`;
+
+class SchemaIndexService {
+  /**
+   * @param {SchemaIndexRepository} schemaIndexRepository - Index storage
+   * @param {Pool} primaryDB - Database being described
+   * @param {BaseLLMProvider} provider - Embedding provider
+   * @param {Object} config - Retrieval configuration (see config/retrieval.js)
+   * @param {GlossaryRepository} glossaryRepository - Business glossary, merged into tables (optional)
+   */
+  constructor(schemaIndexRepository, primaryDB, provider, config = getRetrievalConfig(), glossaryRepository = null) {
+    this.schemaIndexRepository = schemaIndexRepository;
+    this.primaryDB = primaryDB;
+    this.provider = provider;
+    this.config = config;
+    this.glossaryRepository = glossaryRepository;
+  }
+
+  /**
+   * Create the index storage and bring the index up to date
+   * @returns {Promise<Object>} Sync summary (see syncIndex)
+   */
+  async ensureIndex() {
+    return this.syncIndex();
+  }
+
+  /**
+   * Re-embed tables that are new, changed or failed last time, and drop removed ones
+   * Each table is committed on its own, so an interrupted run resumes where it stopped
+   * @param {Object} options - Sync options
+   * @param {boolean} options.force - Re-embed every table
+   * @returns {Promise<Object>} { tables, indexed, unchanged, removed, failed }
+   */
+  async syncIndex({ force = false } = {}) {
+    await this.schemaIndexRepository.initialize(this.provider.getEmbeddingDimensions());
+
+    const tables = await this.introspect();
+    const state = new Map((await this.schemaIndexRepository.getIndexState()).map(entry => [entry.tableName, entry]));
+
+    const pending = tables.filter(table => force || this.getFreshness(table, state.get(table.tableName)) !== 'fresh');
+    const liveNames = new Set(tables.map(table => table.tableName));
+    const removed = [...state.keys()].filter(tableName => !liveNames.has(tableName));
+
+    if (removed.length > 0) {
+      await this.schemaIndexRepository.removeTables(removed);
+    }
+
+    const summary = {
+      tables: tables.length,
+      indexed: [],
+      unchanged: tables.length - pending.length,
+      removed,
+      failed: []
+    };
+
+    for (const batch of this.batchTables(pending)) {
+      await this.indexBatch(batch, summary);
+    }
+
+    logger.info(`Schema index sync: ${summary.indexed.length} indexed, ${summary.unchanged} unchanged, ${removed.length} removed, ${summary.failed.length} failed`);
+    return summary;
+  }
+
+  /**
+   * Embed and store one batch of tables
+   * @param {Array} batch - Tables (see introspect)
+   * @param {Object} summary - Sync summary to update
+   */
+  async indexBatch(batch, summary) {
+    let elementsByTable;
+
+    try {
+      for (const table of batch) {
+        await this.addSampleValues(table);
+      }
+      elementsByTable = batch.map(table => this.toElements([table]));
+      await this.embedElements(elementsByTable.flat());
+    } catch (error) {
+      logger.error(`Embedding failed for tables ${batch.map(t => t.tableName).join(', ')}:`, error);
+      for (const table of batch) {
+        await this.recordFailure(table.tableName, error, summary);
+      }
+      return;
+    }
+
+    for (let i = 0; i < batch.length; i++) {
+      try {
+        await this.schemaIndexRepository.replaceTableElements(batch[i].tableName, elementsByTable[i], this.fingerprint(batch[i]));
+        summary.indexed.push(batch[i].tableName);
+      } catch (error) {
+        await this.recordFailure(batch[i].tableName, error, summary);
+      }
+    }
+  }
+
+  /**
+   * Record a failed table without aborting the rest of the sync
+   * @param {string} tableName - Table name
+   * @param {Error} error - Failure
+   * @param {Object} summary - Sync summary to update
+   */
+  async recordFailure(tableName, error, summary) {
+    summary.failed.push({ tableName, error: error.message });
+    try {
+      await this.schemaIndexRepository.markTableFailed(tableName, error.message);
+    } catch (stateError) {
+      logger.error(`Could not record index failure for ${tableName}:`, stateError);
+    }
+  }
+
+  /**
+   * Embed element search texts in batches of config.indexBatchSize
+   * @param {Array} elements - Elements; each gets an `embedding`
+   */
+  async embedElements(elements) {
+    const embeddings = this.provider.getEmbeddings();
+    const batchSize = this.config.indexBatchSize;
+
+    for (let start = 0; start < elements.length; start += batchSize) {
+      const chunk = elements.slice(start, start + batchSize);
+      const vectors = await embeddings.embedDocuments(chunk.map(element => element.searchText));
+      chunk.forEach((element, index) => {
+        element.embedding = vectors[index];
+      });
+    }
+  }
+
+  /**
+   * Group tables so each batch holds about config.indexBatchSize elements
+   * A table is never split across batches
+   * @param {Array} tables - Tables (see introspect)
+   * @returns {Array<Array>} Batches of tables
+   */
+  batchTables(tables) {
+    const batches = [];
+    let current = [];
+    let size = 0;
+
+    for (const table of tables) {
+      const tableSize = table.columns.length + 1;
+      if (current.length > 0 && size + tableSize > this.config.indexBatchSize) {
+        batches.push(current);
+        current = [];
+        size = 0;
+      }
+      current.push(table);
+      size += tableSize;
+    }
+    if (current.length > 0) {
+      batches.push(current);
+    }
+
+    return batches;
+  }
+
+  /**
+   * Fingerprint the parts of a table that go into its embeddings
+   * The embedding model is included so a model switch re-embeds everything
+   * @param {Object} table - Table (see introspect)
+   * @returns {string} SHA-256 hex digest
+   */
+  fingerprint(table) {
+    const source = JSON.stringify({
+      model: `${this.provider.name}:${this.provider.config.embeddingModel}`,
+      description: table.description,
+      terms: table.terms,
+      columns: table.columns.map(column => [
+        column.columnName,
+        column.dataType,
+        column.description,
+        column.foreignTable,
+        column.foreignColumn,
+        column.terms
+      ])
+    });
+    return crypto.createHash('sha256').update(source).digest('hex');
+  }
+
+  /**
+   * Compare a live table with its index state
+   * @param {Object} table - Table (see introspect)
+   * @param {Object} state - Index state of the table, if any
+   * @returns {string} 'fresh', 'stale', 'missing' or 'failed'
+   */
+  getFreshness(table, state) {
+    if (!state || !state.fingerprint) {
+      return state && state.status === 'failed' ? 'failed' : 'missing';
+    }
+    if (state.status === 'failed') {
+      return 'failed';
+    }
+    return state.fingerprint === this.fingerprint(table) ? 'fresh' : 'stale';
+  }
+
+  /**
+   * Report index freshness per table
+   * @returns {Promise<Object>} { summary, tables }
+   */
+  async getIndexStatus() {
+    await this.schemaIndexRepository.initialize(this.provider.getEmbeddingDimensions());
+
+    const tables = await this.introspect();
+    const state = new Map((await this.schemaIndexRepository.getIndexState()).map(entry => [entry.tableName, entry]));
+
+    const report = tables.map(table => {
+      const entry = state.get(table.tableName);
+      state.delete(table.tableName);
+      return {
+        tableName: table.tableName,
+        status: this.getFreshness(table, entry),
+        elementCount: entry ? entry.elementCount : 0,
+        indexedAt: entry ? entry.indexedAt : null,
+        lastError: entry ? entry.lastError : null
+      };
+    });
+
+    // Indexed tables that were dropped from the database since the last sync
+    for (const entry of state.values()) {
+      report.push({
+        tableName: entry.tableName,
+        status: 'removed',
+        elementCount: entry.elementCount,
+        indexedAt: entry.indexedAt,
+        lastError: entry.lastError
+      });
+    }
+
+    const summary = report.reduce((acc, table) => {
+      acc[table.status] = (acc[table.status] || 0) + 1;
+      return acc;
+    }, { fresh: 0, stale: 0, missing: 0, failed: 0, removed: 0 });
+
+    return { summary, tables: report };
+  }
+
+  /**
+   * Version of the indexed schema: changes whenever a table is indexed
+   * differently, added or removed (used to key cached SQL)
+   * @returns {Promise<string>} SHA-256 hex digest of the table fingerprints
+   */
+  async getSchemaVersion() {
+    await this.schemaIndexRepository.initialize(this.provider.getEmbeddingDimensions());
+
+    const state = await this.schemaIndexRepository.getIndexState();
+    const source = JSON.stringify(state.map(entry => [entry.tableName, entry.fingerprint]));
+    return crypto.createHash('sha256').update(source).digest('hex');
+  }
+
+  /**
+   * Read tables, columns, comments and foreign keys of the public schema,
+   * with glossary entries applied
+   * This reads the catalog only; see addSampleValues for column values
+   * @returns {Promise<Array>} Tables with their columns
+   */
+  async introspect() {
+    const result = await this.primaryDB.query(`
+      SELECT
+        c.relname AS table_name,
+        obj_description(c.oid, 'pg_class') AS table_comment,
+        a.attname AS column_name,
+        format_type(a.atttypid, a.atttypmod) AS data_type,
+        t.typcategory AS type_category,
+        col_description(c.oid, a.attnum) AS column_comment,
+        fk.foreign_table,
+        fk.foreign_column
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      JOIN pg_attribute a ON a.attrelid = c.oid AND a.attnum > 0 AND NOT a.attisdropped
+      JOIN pg_type t ON t.oid = a.atttypid
+      LEFT JOIN LATERAL (
+        SELECT ft.relname AS foreign_table, fa.attname AS foreign_column
+        FROM pg_constraint con
+        JOIN pg_class ft ON ft.oid = con.confrelid
+        JOIN pg_attribute fa ON fa.attrelid = con.confrelid
+          AND fa.attnum = con.confkey[array_position(con.conkey, a.attnum)]
+        WHERE con.conrelid = c.oid AND con.contype = 'f' AND a.attnum = ANY(con.conkey)
+        LIMIT 1
+      ) fk ON true
+      WHERE n.nspname = 'public' AND c.relkind IN ('r', 'p')
+      ORDER BY c.relname, a.attnum
+    `);
+
+    const tables = new Map();
+    for (const row of result.rows) {
+      if (!tables.has(row.table_name)) {
+        tables.set(row.table_name, {
+          tableName: row.table_name,
+          description: row.table_comment || `Table containing ${row.table_name} data`,
+          terms: [],
+          columns: []
+        });
+      }
+
+      tables.get(row.table_name).columns.push({
+        columnName: row.column_name,
+        dataType: row.data_type,
+        description: row.column_comment || '',
+        foreignTable: row.foreign_table,
+        foreignColumn: row.foreign_column,
+        // Categorical text values ("gold", "pending") are what questions mention by name
+        sampleable: ['S', 'E'].includes(row.type_category) && !row.foreign_table && !SENSITIVE_COLUMN_PATTERN.test(row.column_name),
+        sampleValues: [],
+        terms: []
+      });
+    }
+
+    // The index is shared by every tenant, so only entries without a tenant are merged
+    if (this.glossaryRepository) {
+      this.applyGlossary(tables, await this.glossaryRepository.list({ tenantId: null }));
+    }
+
+    return [...tables.values()];
+  }
+
+  /**
+   * Merge glossary entries into introspected tables
+   * Descriptions replace database comments; synonyms, metrics and value
+   * aliases become terms added to the search text
+   * @param {Map} tables - Table name => table (see introspect)
+   * @param {Array} entries - Glossary entries
+   */
+  applyGlossary(tables, entries) {
+    for (const entry of entries) {
+      const table = tables.get(entry.tableName);
+      if (!table) continue;
+
+      const column = entry.columnName
+        ? table.columns.find(candidate => candidate.columnName === entry.columnName)
+        : null;
+      if (entry.columnName && !column) continue;
+
+      const target = column || table;
+      switch (entry.type) {
+        case 'description':
+          target.description = entry.definition;
+          break;
+        case 'synonym':
+          target.terms.push(`Also called ${entry.term}`);
+          break;
+        case 'metric':
+          target.terms.push(`Metric ${entry.term}: ${entry.definition}`);
+          break;
+        case 'value_alias':
+          target.terms.push(`${entry.term} means ${entry.value}`);
+          break;
+      }
+    }
+  }
+
+  /**
+   * Sample categorical columns of a table that is about to be embedded
+   * Sampling reads data, so it is done only for tables being (re)indexed
+   * @param {Object} table - Table (see introspect)
+   */
+  async addSampleValues(table) {
+    for (const column of table.columns) {
+      if (column.sampleable) {
+        column.sampleValues = await this.sampleColumnValues(table.tableName, column.columnName);
+      }
+    }
+  }
+
+  /**
+   * Read the most common values of a low-cardinality text column
+   * @param {string} tableName - Table name
+   * @param {string} columnName - Column name
+   * @returns {Promise<Array<string>>} Values, or [] for high-cardinality columns
+   */
+  async sampleColumnValues(tableName, columnName) {
+    if (this.config.sampleValues <= 0) {
+      return [];
+    }
+
+    try {
+      const column = quoteIdentifier(columnName);
+      const result = await this.primaryDB.query(`
+        SELECT value, COUNT(*) AS frequency
+        FROM (SELECT ${column}::text AS value FROM ${quoteIdentifier(tableName)} LIMIT 1000) sample
+        WHERE value IS NOT NULL
+        GROUP BY value
+        ORDER BY frequency DESC
+        LIMIT ${MAX_CATEGORY_VALUES + 1}
+      `);
+
+      if (result.rows.length > MAX_CATEGORY_VALUES) {
+        return [];
+      }
+      return result.rows.slice(0, this.config.sampleValues).map(row => row.value);
+    } catch (error) {
+      logger.warn(`Could not sample values of ${tableName}.${columnName}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Turn introspected tables into index elements with their search text
+   * @param {Array} tables - Result of introspect()
+   * @returns {Array} Elements (without embeddings)
+   */
+  toElements(tables) {
+    const elements = [];
+
+    for (const table of tables) {
+      const readableTable = table.tableName.replace(/_/g, ' ');
+      elements.push({
+        elementType: 'table',
+        tableName: table.tableName,
+        description: table.description,
+        searchText: [
+          `Table ${readableTable}`,
+          table.description,
+          ...(table.terms || []),
+          `Columns: ${table.columns.map(column => column.columnName.replace(/_/g, ' ')).join(', ')}`
+        ].join('. ')
+      });
+
+      for (const column of table.columns) {
+        const parts = [`Column ${column.columnName.replace(/_/g, ' ')} of table ${readableTable} (${column.dataType})`];
+        if (column.description) parts.push(column.description);
+        if (column.foreignTable) parts.push(`References ${column.foreignTable.replace(/_/g, ' ')}`);
+        if (column.sampleValues.length > 0) parts.push(`Values: ${column.sampleValues.join(', ')}`);
+        if (column.terms && column.terms.length > 0) parts.push(...column.terms);
+
+        elements.push({
+          elementType: 'column',
+          tableName: table.tableName,
+          columnName: column.columnName,
+          dataType: column.dataType,
+          description: column.description,
+          sampleValues: column.sampleValues,
+          foreignTable: column.foreignTable,
+          foreignColumn: column.foreignColumn,
+          searchText: parts.join('. ')
+        });
+      }
+    }
+
+    return elements;
+  }
+}
+
+module.exports = SchemaIndexService;
@@ -0,0 +1,209 @@
+/**
+ * Schema Retrieval Service
+ * Picks the tables for a question by fusing vector similarity and keyword
+ * matches over tables and columns, then adds foreign-key neighbours
+ */
+
+const logger = require('../utils/logger');
+const { getRetrievalConfig } = require('../config/retrieval');
+
+// Each table contributes at most this many matched elements to its score,
+// so a wide table does not win on column count alone
+const MAX_ELEMENTS_PER_TABLE = 3;
+
+// Share of the referencing table's score given to a foreign-key neighbour
+const NEIGHBOUR_SCORE_FACTOR = 0.5;
+
+/**
+ * Split a question into lowercase words usable in a tsquery
+ * @param {string} text - Question text
+ * @returns {Array<string>} Unique words
+ */
+const extractTerms = (text) => [...new Set(
+  String(text).toLowerCase().split(/[^a-z0-9]+/).filter(term => term.length > 1)
+)];
+
+class SchemaRetrievalService {
+  /**
+   * @param {SchemaIndexRepository} schemaIndexRepository - Index storage
+   * @param {BaseLLMProvider} provider - Embedding provider
+   * @param {Object} config - Retrieval configuration (see config/retrieval.js)
+   */
+  constructor(schemaIndexRepository, provider, config = getRetrievalConfig()) {
+    this.schemaIndexRepository = schemaIndexRepository;
+    this.provider = provider;
+    this.config = config;
+  }
+
+  /**
+   * Rank tables for a question
+   * @param {string} query - Natural language question
+   * @param {Object} options - Overrides
+   * @param {number} options.limit - Number of tables before foreign-key expansion
+   * @param {Function} options.isVisible - (tableName, columnName) => boolean; hidden tables and
+   *   columns are never matched, and foreign keys through them are not followed
+   * @param {Array<number>} options.queryEmbedding - Embedding of the question, when already computed
+   * @returns {Promise<Array>} Ranked tables with the matched elements explaining each choice
+   */
+  async retrieve(query, options = {}) {
+    const limit = options.limit || this.config.tableLimit;
+    const candidateLimit = this.config.candidateLimit;
+
+    const queryEmbedding = options.queryEmbedding || await this.provider.getEmbeddings().embedQuery(query);
+    const [vectorHits, keywordHits] = await Promise.all([
+      this.schemaIndexRepository.vectorSearch(queryEmbedding, candidateLimit),
+      this.schemaIndexRepository.keywordSearch(query, extractTerms(query), candidateLimit)
+    ]);
+
+    const isVisible = options.isVisible || (() => true);
+    const elements = this.fuse(vectorHits, keywordHits)
+      .filter(element => isVisible(element.tableName, element.columnName));
+    const ranked = this.rankTables(elements).slice(0, limit);
+
+    if (this.config.fkExpansion && ranked.length > 0) {
+      ranked.push(...await this.expandNeighbours(ranked, isVisible));
+    }
+
+    // Tables matched only through columns still need their description for the prompt
+    const undescribed = ranked.filter(table => !table.description).map(table => table.tableName);
+    if (undescribed.length > 0) {
+      const tableElements = await this.schemaIndexRepository.getTables(undescribed);
+      const descriptions = new Map(tableElements.map(element => [element.tableName, element.description]));
+      ranked.forEach(table => {
+        table.description = table.description || descriptions.get(table.tableName) || null;
+      });
+    }
+
+    logger.info(`Retrieved tables: ${ranked.map(t => `${t.tableName}(${t.score.toFixed(4)})`).join(', ')}`);
+    return ranked;
+  }
+
+  /**
+   * Merge both result lists with weighted reciprocal rank fusion
+   * @param {Array} vectorHits - Elements from vector search, best first
+   * @param {Array} keywordHits - Elements from keyword search, best first
+   * @returns {Array} Elements with fused score and per-source ranks, best first
+   */
+  fuse(vectorHits, keywordHits) {
+    const { rrfK, vectorWeight, keywordWeight } = this.config;
+    const fused = new Map();
+
+    const add = (hit, rank, weight, source) => {
+      if (!fused.has(hit.id)) {
+        fused.set(hit.id, { ...hit, score: 0, vectorRank: null, keywordRank: null });
+      }
+      const element = fused.get(hit.id);
+      element.score += weight / (rrfK + rank);
+      element[`${source}Rank`] = rank;
+      if (source === 'vector') element.similarity = hit.similarity;
+      if (source === 'keyword') element.nameSimilarity = hit.nameSimilarity;
+    };
+
+    vectorHits.forEach((hit, index) => add(hit, index + 1, vectorWeight, 'vector'));
+    keywordHits.forEach((hit, index) => add(hit, index + 1, keywordWeight, 'keyword'));
+
+    return [...fused.values()].sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Group fused elements by table
+   * @param {Array} elements - Fused elements, best first
+   * @returns {Array} Tables, best first
+   */
+  rankTables(elements) {
+    const tables = new Map();
+
+    for (const element of elements) {
+      if (!tables.has(element.tableName)) {
+        tables.set(element.tableName, {
+          tableName: element.tableName,
+          description: null,
+          score: 0,
+          similarity: 0,
+          reason: 'match',
+          matches: []
+        });
+      }
+
+      const table = tables.get(element.tableName);
+      if (element.elementType === 'table') {
+        table.description = element.description;
+      }
+      if (element.similarity !== undefined) {
+        table.similarity = Math.max(table.similarity, element.similarity);
+      }
+      if (table.matches.length < MAX_ELEMENTS_PER_TABLE) {
+        table.score += element.score;
+        table.matches.push(this.describeMatch(element));
+      }
+    }
+
+    return [...tables.values()].sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Add tables joined to the selected ones by a foreign key
+   * @param {Array} selected - Ranked tables
+   * @param {Function} isVisible - (tableName, columnName) => boolean
+   * @returns {Promise<Array>} Neighbour tables, best first
+   */
+  async expandNeighbours(selected, isVisible = () => true) {
+    if (this.config.maxNeighbours <= 0) {
+      return [];
+    }
+
+    const selectedByName = new Map(selected.map(table => [table.tableName, table]));
+    const foreignKeys = await this.schemaIndexRepository.getForeignKeys([...selectedByName.keys()]);
+    const neighbours = new Map();
+
+    for (const fk of foreignKeys) {
+      if (!isVisible(fk.tableName, fk.columnName) || !isVisible(fk.foreignTable, fk.foreignColumn)) continue;
+
+      const [from, to] = selectedByName.has(fk.tableName)
+        ? [selectedByName.get(fk.tableName), fk.foreignTable]
+        : [selectedByName.get(fk.foreignTable), fk.tableName];
+
+      if (!from || selectedByName.has(to)) continue;
+
+      const score = from.score * NEIGHBOUR_SCORE_FACTOR;
+      if (!neighbours.has(to) || neighbours.get(to).score < score) {
+        neighbours.set(to, {
+          tableName: to,
+          description: null,
+          score,
+          similarity: 0,
+          reason: 'foreign_key',
+          via: {
+            table: from.tableName,
+            join: `${fk.tableName}.${fk.columnName} = ${fk.foreignTable}.${fk.foreignColumn}`
+          },
+          matches: []
+        });
+      }
+    }
+
+    return [...neighbours.values()]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.config.maxNeighbours);
+  }
+
+  /**
+   * Explain why an element was matched
+   * @param {Object} element - Fused element
+   * @returns {Object} Match description
+   */
+  describeMatch(element) {
+    return {
+      elementType: element.elementType,
+      columnName: element.columnName || undefined,
+      score: element.score,
+      vectorRank: element.vectorRank,
+      keywordRank: element.keywordRank,
+      similarity: element.similarity,
+      sampleValues: element.sampleValues && element.sampleValues.length > 0 ? element.sampleValues : undefined
+    };
+  }
+}
+
+module.exports = SchemaRetrievalService;
+module.exports.extractTerms = extractTerms;
@@ -0,0 +1,127 @@
+/**
+ * SQL Example Service
+ * Business logic for the curated question→SQL examples that the NLQ pipeline
+ * shows the LLM as few-shot demonstrations. Example SQL is validated like
+ * generated SQL, and every change re-embeds the affected questions
+ */
+
+const logger = require('../utils/logger');
+const { getOwner } = require('../utils/ownership');
+
+class SqlExampleService {
+  /**
+   * @param {SqlExampleRepository} sqlExampleRepository - Example storage
+   * @param {AdvancedNLQService} nlqService - NLQ pipeline that validates SQL and embeds examples
+   */
+  constructor(sqlExampleRepository, nlqService) {
+    this.sqlExampleRepository = sqlExampleRepository;
+    this.nlqService = nlqService;
+  }
+
+  /**
+   * List the examples of the caller's tenant, and those of every tenant
+   * @param {Object} principal - Caller
+   * @param {Object} filters - table and search filters
+   * @returns {Promise<Array>} Examples
+   */
+  async listExamples(principal, { table, search } = {}) {
+    return this.sqlExampleRepository.list({ tenantId: getOwner(principal).tenantId, table, search });
+  }
+
+  /**
+   * Get an example of the caller's tenant, or of every tenant
+   * @param {Object} principal - Caller
+   * @param {number} id - Example id
+   * @returns {Promise<Object|null>} Example or null if not found
+   */
+  async getExample(principal, id) {
+    return this.sqlExampleRepository.findById(id, getOwner(principal).tenantId);
+  }
+
+  /**
+   * Create an example and embed its question
+   * @param {Object} principal - Principal creating the example
+   * @param {Object} data - { question, sql, description, source } (source: 'custom' by default,
+   *   'feedback' for approved corrections)
+   * @param {string|null} tenantId - Tenant the example is shown to; the principal's by default
+   * @returns {Promise<Object>} { example, embedding }
+   * @throws {SQLSafetyError} If the SQL is not a single read-only query
+   */
+  async createExample(principal, data, tenantId = getOwner(principal).tenantId) {
+    const tables = await this.checkSQL(data.sql);
+    const example = await this.sqlExampleRepository.create({
+      ...data,
+      tables,
+      createdBy: principal ? principal.id : null,
+      tenantId
+    });
+    logger.info(`Created SQL example ${example.id} on ${tables.join(', ')}`);
+    return { example, embedding: await this.embed() };
+  }
+
+  /**
+   * Replace an example of the caller's tenant and embed its question again
+   * @param {Object} principal - Admin
+   * @param {number} id - Example id
+   * @param {Object} data - { question, sql, description }
+   * @returns {Promise<Object|null>} { example, embedding }, or null if not found
+   * @throws {SQLSafetyError} If the SQL is not a single read-only query
+   */
+  async updateExample(principal, id, data) {
+    const tables = await this.checkSQL(data.sql);
+    const example = await this.sqlExampleRepository.update(id, { ...data, tables }, getOwner(principal).tenantId);
+    if (!example) {
+      return null;
+    }
+    return { example, embedding: await this.embed() };
+  }
+
+  /**
+   * Delete an example of the caller's tenant
+   * @param {Object} principal - Admin
+   * @param {number} id - Example id
+   * @returns {Promise<Object|null>} Deleted example, or null if not found
+   */
+  async deleteExample(principal, id) {
+    return this.sqlExampleRepository.delete(id, getOwner(principal).tenantId);
+  }
+
+  /**
+   * Check that example SQL is safe and plans against the primary database
+   * @param {string} sql - Example SQL
+   * @returns {Promise<Array<string>>} Tables the SQL reads
+   * @throws {Error} SQLSafetyError, or an error with code INVALID_EXAMPLE_SQL when
+   *   PostgreSQL rejects the SQL (unknown columns, syntax errors)
+   */
+  async checkSQL(sql) {
+    const tables = await this.nlqService.getExampleTables(sql);
+    try {
+      await this.nlqService.validateSQL(sql);
+    } catch (error) {
+      // The errors the repair loop would hand back to the LLM are mistakes in the example
+      if (this.nlqService.isRepairableError(error)) {
+        error.sqlState = error.code;
+        error.code = 'INVALID_EXAMPLE_SQL';
+      }
+      throw error;
+    }
+    return tables;
+  }
+
+  /**
+   * Embed changed examples
+   * The change itself is already saved, so a failure is reported, not thrown;
+   * the question is embedded the next time examples are searched
+   * @returns {Promise<Object>} Embedding summary, or { error } if embedding failed
+   */
+  async embed() {
+    try {
+      return await this.nlqService.syncExampleEmbeddings();
+    } catch (error) {
+      logger.warn(`SQL example saved but embedding failed: ${error.message}`);
+      return { error: error.message };
+    }
+  }
+}
+
+module.exports = SqlExampleService;
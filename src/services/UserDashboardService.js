@@ -0,0 +1,187 @@
+/**
+ * User Dashboard Service
+ * Composes saved queries into named dashboards and renders their widgets
+ * next to the built-in metrics of DashboardService
+ */
+
+const logger = require('../utils/logger');
+const { getOwner } = require('../utils/ownership');
+
+// Rows fetched per widget; a dashboard tile never needs a full result
+const WIDGET_MAX_ROWS = 1000;
+
+class UserDashboardService {
+  /**
+   * @param {UserDashboardRepository} userDashboardRepository - Dashboard storage
+   * @param {SavedQueryService} savedQueryService - Runs the saved queries behind widgets
+   */
+  constructor(userDashboardRepository, savedQueryService) {
+    this.userDashboardRepository = userDashboardRepository;
+    this.savedQueryService = savedQueryService;
+  }
+
+  /**
+   * List the caller's dashboards
+   * @param {Object} principal - Caller
+   * @returns {Promise<Array>} Dashboards with widget counts
+   */
+  async listDashboards(principal) {
+    return this.userDashboardRepository.list(getOwner(principal));
+  }
+
+  /**
+   * Get a dashboard of the caller with its widgets
+   * @param {number} id - Dashboard id
+   * @param {Object} principal - Caller; dashboards of others are not found
+   * @returns {Promise<Object|null>} Dashboard or null if not found
+   */
+  async getDashboard(id, principal) {
+    return this.userDashboardRepository.findById(id, getOwner(principal));
+  }
+
+  /**
+   * Create a dashboard of the caller's saved queries
+   * @param {Object} data - { name, description, widgets: [{ savedQueryId, title, parameters, layout }] }
+   * @param {Object} principal - Caller, who owns the dashboard
+   * @returns {Promise<Object>} Created dashboard
+   */
+  async createDashboard(data, principal) {
+    await this.checkWidgets(data.widgets, principal);
+    const dashboard = await this.userDashboardRepository.create(data, data.widgets, getOwner(principal));
+    logger.info(`Dashboard ${dashboard.id} created with ${dashboard.widgets.length} widgets: ${dashboard.name}`);
+    return dashboard;
+  }
+
+  /**
+   * Replace a dashboard and its widgets
+   * @param {number} id - Dashboard id
+   * @param {Object} data - See createDashboard
+   * @param {Object} principal - Caller; dashboards of others are not found
+   * @returns {Promise<Object|null>} Updated dashboard, or null if not found
+   */
+  async updateDashboard(id, data, principal) {
+    await this.checkWidgets(data.widgets, principal);
+    return this.userDashboardRepository.update(id, data, data.widgets, getOwner(principal));
+  }
+
+  /**
+   * Delete a dashboard of the caller; its saved queries are kept
+   * @param {number} id - Dashboard id
+   * @param {Object} principal - Caller; dashboards of others are not found
+   * @returns {Promise<Object|null>} Deleted dashboard, or null if not found
+   */
+  async deleteDashboard(id, principal) {
+    return this.userDashboardRepository.delete(id, getOwner(principal));
+  }
+
+  /**
+   * Render every widget of a dashboard
+   * A failing widget reports its error without failing the others
+   * @param {number} id - Dashboard id
+   * @param {Object} values - Dashboard-wide parameter values, applied to widgets that use them
+   * @param {Object} principal - Viewer, who must own the dashboard; widgets run under their access policies
+   * @returns {Promise<Object|null>} Dashboard with rendered widgets, or null if not found
+   */
+  async getDashboardData(id, values = {}, principal) {
+    const dashboard = await this.userDashboardRepository.findById(id, getOwner(principal));
+    if (!dashboard) return null;
+
+    const savedQueries = await this.loadSavedQueries(dashboard.widgets, principal);
+    const widgets = await Promise.all(dashboard.widgets.map(widget =>
+      this.renderWidget(widget, savedQueries.get(widget.savedQueryId), values, principal)
+    ));
+
+    return { ...dashboard, widgets };
+  }
+
+  /**
+   * Render one widget
+   * @param {number} widgetId - Widget id
+   * @param {Object} values - Parameter values overriding the widget's own
+   * @param {Object} principal - Viewer, who must own the widget's dashboard; the widget runs under their access policies
+   * @returns {Promise<Object|null>} Widget data, or null if not found
+   */
+  async getWidgetData(widgetId, values = {}, principal) {
+    const widget = await this.userDashboardRepository.findWidget(widgetId, getOwner(principal));
+    if (!widget) return null;
+
+    const savedQuery = await this.savedQueryService.getQuery(widget.savedQueryId, principal);
+    return this.renderWidget(widget, savedQuery, values, principal);
+  }
+
+  /**
+   * Run a widget's saved query with the widget's parameters, overridden by values
+   * @param {Object} widget - Widget
+   * @param {Object} savedQuery - Saved query behind the widget (may be missing)
+   * @param {Object} values - Parameter overrides
+   * @param {Object} principal - Viewer whose access policies apply
+   * @returns {Promise<Object>} { id, title, savedQueryId, layout, success, data, columns, rowCount, truncated, chart, error }
+   */
+  async renderWidget(widget, savedQuery, values = {}, principal) {
+    const base = {
+      id: widget.id,
+      title: widget.title || (savedQuery ? savedQuery.name : null),
+      savedQueryId: widget.savedQueryId,
+      layout: widget.layout
+    };
+
+    if (!savedQuery) {
+      return { ...base, success: false, error: 'Saved query not found' };
+    }
+
+    try {
+      const run = await this.savedQueryService.run(savedQuery, { ...widget.parameters, ...values }, { maxResults: WIDGET_MAX_ROWS, principal });
+
+      if (!run.success) {
+        return { ...base, success: false, parameters: run.parameters, error: run.error };
+      }
+
+      return {
+        ...base,
+        success: true,
+        parameters: run.parameters,
+        data: run.result.data,
+        columns: run.result.columns,
+        rowCount: run.result.rowCount,
+        truncated: run.result.truncated,
+        chart: run.chart
+      };
+    } catch (error) {
+      logger.warn(`Dashboard widget ${widget.id} failed: ${error.message}`);
+      return { ...base, success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Load the saved queries of the caller behind widgets
+   * @param {Array} widgets - Widgets
+   * @param {Object} principal - Caller; saved queries of others are left out
+   * @returns {Promise<Map>} Saved query id => saved query
+   */
+  async loadSavedQueries(widgets, principal) {
+    const ids = [...new Set(widgets.map(widget => widget.savedQueryId))];
+    if (ids.length === 0) return new Map();
+
+    const savedQueries = await this.savedQueryService.savedQueryRepository.findByIds(ids, getOwner(principal));
+    return new Map(savedQueries.map(savedQuery => [savedQuery.id, savedQuery]));
+  }
+
+  /**
+   * Check that every widget points to an existing saved query of the caller
+   * @param {Array} widgets - Widgets
+   * @param {Object} principal - Caller
+   * @throws {Error} With code 'UNKNOWN_SAVED_QUERY' listing the missing ids
+   */
+  async checkWidgets(widgets = [], principal) {
+    const savedQueries = await this.loadSavedQueries(widgets, principal);
+    const missing = [...new Set(widgets.map(widget => widget.savedQueryId))].filter(id => !savedQueries.has(id));
+
+    if (missing.length > 0) {
+      const error = new Error(`Unknown saved queries: ${missing.join(', ')}`);
+      error.code = 'UNKNOWN_SAVED_QUERY';
+      throw error;
+    }
+  }
+}
+
+module.exports = UserDashboardService;
@@ -0,0 +1,305 @@
+/**
+ * Webhook Service
+ * Manages webhook targets and posts scheduled query alerts to them
+ *
+ * Each delivery is a JSON POST. When the target has a secret, the request
+ * carries X-NLQ-Timestamp and X-NLQ-Signature: sha256=<hex HMAC of
+ * "<timestamp>.<body>">, so receivers can check origin and reject replays.
+ * Network errors, timeouts, 408, 429 and 5xx responses are retried with
+ * exponential backoff; other responses are final.
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { getOwner } = require('../utils/ownership');
+const { getSchedulerConfig } = require('../config/scheduler');
+
+const RETRYABLE_STATUS = new Set([408, 429]);
+
+class WebhookService {
+  /**
+   * @param {WebhookTargetRepository} webhookTargetRepository - Target storage
+   * @param {ScheduleRepository} scheduleRepository - Schedules that alert targets
+   * @param {Object} config - Scheduler configuration (see config/scheduler.js)
+   */
+  constructor(webhookTargetRepository, scheduleRepository, config = getSchedulerConfig()) {
+    this.webhookTargetRepository = webhookTargetRepository;
+    this.scheduleRepository = scheduleRepository;
+    this.config = config.webhook;
+  }
+
+  /**
+   * List the webhook targets of the caller's tenant
+   * @param {Object} principal - Caller
+   * @returns {Promise<Array>} Targets, without secrets
+   */
+  async listTargets(principal) {
+    return this.webhookTargetRepository.list(getOwner(principal).tenantId);
+  }
+
+  /**
+   * Get a webhook target of the caller's tenant
+   * @param {number} id - Target id
+   * @param {Object} principal - Caller; targets of other tenants are not found
+   * @returns {Promise<Object|null>} Target or null if not found
+   */
+  async getTarget(id, principal) {
+    return this.webhookTargetRepository.findById(id, getOwner(principal).tenantId);
+  }
+
+  /**
+   * Create a webhook target in the caller's tenant
+   * @param {Object} data - { name, url, secret, headers, enabled }
+   * @param {Object} principal - Admin
+   * @returns {Promise<Object>} Created target
+   */
+  async createTarget(data, principal) {
+    this.checkUrl(data.url);
+    const target = await this.webhookTargetRepository.create(data, getOwner(principal).tenantId);
+    logger.info(`Webhook target ${target.id} created: ${target.name}`);
+    return target;
+  }
+
+  /**
+   * Replace a webhook target of the caller's tenant; omit the secret to keep the stored one
+   * @param {number} id - Target id
+   * @param {Object} data - { name, url, secret, headers, enabled }
+   * @param {Object} principal - Admin; targets of other tenants are not found
+   * @returns {Promise<Object|null>} Updated target, or null if not found
+   */
+  async updateTarget(id, data, principal) {
+    this.checkUrl(data.url);
+    return this.webhookTargetRepository.update(id, data, getOwner(principal).tenantId);
+  }
+
+  /**
+   * Delete a webhook target of the caller's tenant that no schedule alerts
+   * @param {number} id - Target id
+   * @param {Object} principal - Admin; targets of other tenants are not found
+   * @returns {Promise<Object|null>} Deleted target, or null if not found
+   * @throws {Error} With code 'IN_USE' and the schedules alerting it
+   */
+  async deleteTarget(id, principal) {
+    const { tenantId } = getOwner(principal);
+    if (!await this.webhookTargetRepository.findById(id, tenantId)) {
+      return null;
+    }
+
+    const schedules = await this.scheduleRepository.findByWebhookTarget(id);
+    if (schedules.length > 0) {
+      const error = new Error(`Webhook target is alerted by ${schedules.length} schedule(s)`);
+      error.code = 'IN_USE';
+      error.schedules = schedules;
+      throw error;
+    }
+    return this.webhookTargetRepository.delete(id, tenantId);
+  }
+
+  /**
+   * Send a test event to a webhook target of the caller's tenant
+   * @param {number} id - Target id
+   * @param {Object} principal - Admin; targets of other tenants are not found
+   * @returns {Promise<Object|null>} Delivery (see deliver), or null if not found
+   */
+  async testTarget(id, principal) {
+    const target = await this.webhookTargetRepository.findById(id, getOwner(principal).tenantId, { withSecret: true });
+    if (!target) return null;
+
+    return this.deliver(target, {
+      event: 'webhook.test',
+      target: { id: target.id, name: target.name },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Deliver a payload to several targets
+   * Disabled and missing targets, and targets of other tenants, are reported as undelivered without a request
+   * @param {Array<number>} targetIds - Target ids
+   * @param {Object} payload - JSON payload
+   * @param {string|null} tenantId - Tenant whose data the payload carries
+   * @returns {Promise<Array>} One delivery per target id
+   */
+  async deliverAll(targetIds, payload, tenantId) {
+    if (targetIds.length === 0) return [];
+
+    const targets = await this.webhookTargetRepository.findByIds(targetIds, tenantId, { withSecret: true });
+    const targetsById = new Map(targets.map(target => [target.id, target]));
+
+    return Promise.all(targetIds.map(targetId => {
+      const target = targetsById.get(targetId);
+      if (!target || !target.enabled) {
+        return { targetId, delivered: false, attempts: 0, statusCode: null, error: target ? 'Target disabled' : 'Target not found' };
+      }
+      return this.deliver(target, payload);
+    }));
+  }
+
+  /**
+   * Post a payload to a target, retrying failed attempts with backoff
+   * @param {Object} target - Target, with its secret
+   * @param {Object} payload - JSON payload
+   * @returns {Promise<Object>} { targetId, delivered, attempts, statusCode, error }
+   */
+  async deliver(target, payload) {
+    const body = JSON.stringify(payload);
+    const deliveryId = crypto.randomUUID();
+    let statusCode = null;
+    let error = null;
+
+    for (let attempt = 1; attempt <= this.config.maxAttempts; attempt++) {
+      let retryAfterMs = 0;
+
+      try {
+        const response = await this.send(target, body, deliveryId);
+        statusCode = response.status;
+
+        if (response.ok) {
+          logger.info(`Webhook delivery ${deliveryId} to target ${target.id} succeeded on attempt ${attempt}`);
+          return { targetId: target.id, delivered: true, attempts: attempt, statusCode, error: null };
+        }
+
+        error = `HTTP ${response.status}`;
+        if (!this.isRetryableStatus(response.status)) {
+          return this.failDelivery(target, deliveryId, attempt, statusCode, error);
+        }
+        retryAfterMs = this.parseRetryAfter(response.headers.get('retry-after'));
+      } catch (sendError) {
+        statusCode = null;
+        error = sendError.name === 'TimeoutError'
+          ? `Timed out after ${this.config.timeoutMs}ms`
+          : sendError.message;
+      }
+
+      if (attempt < this.config.maxAttempts) {
+        const delay = Math.max(this.getRetryDelay(attempt), Math.min(retryAfterMs, this.config.retryMaxMs));
+        logger.warn(`Webhook delivery ${deliveryId} to target ${target.id} failed (${error}); retry ${attempt} in ${delay}ms`);
+        await this.sleep(delay);
+      }
+    }
+
+    return this.failDelivery(target, deliveryId, this.config.maxAttempts, statusCode, error);
+  }
+
+  /**
+   * Make one delivery attempt
+   * Redirects are not followed, so a target cannot bounce alerts to another host
+   * @param {Object} target - Target, with its secret
+   * @param {string} body - JSON body
+   * @param {string} deliveryId - Id shared by every attempt of a delivery
+   * @returns {Promise<Response>} Fetch response
+   */
+  async send(target, body, deliveryId) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = {
+      ...target.headers,
+      'Content-Type': 'application/json',
+      'User-Agent': 'nlq-backend-webhooks',
+      'X-NLQ-Delivery': deliveryId,
+      'X-NLQ-Timestamp': timestamp
+    };
+
+    if (target.secret) {
+      headers['X-NLQ-Signature'] = `sha256=${this.sign(target.secret, timestamp, body)}`;
+    }
+
+    return fetch(target.url, {
+      method: 'POST',
+      headers,
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(this.config.timeoutMs)
+    });
+  }
+
+  /**
+   * Sign a delivery
+   * @param {string} secret - Target secret
+   * @param {string} timestamp - Unix seconds sent as X-NLQ-Timestamp
+   * @param {string} body - JSON body
+   * @returns {string} Hex HMAC-SHA256 of "<timestamp>.<body>"
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Whether a response status is worth retrying
+   * @param {number} status - HTTP status
+   * @returns {boolean} True for 408, 429 and 5xx
+   */
+  isRetryableStatus(status) {
+    return RETRYABLE_STATUS.has(status) || status >= 500;
+  }
+
+  /**
+   * Delay before the retry that follows a failed attempt
+   * @param {number} attempt - Failed attempt (1-based)
+   * @returns {number} Milliseconds
+   */
+  getRetryDelay(attempt) {
+    return Math.min(this.config.retryBaseMs * 2 ** (attempt - 1), this.config.retryMaxMs);
+  }
+
+  /**
+   * Read a Retry-After header given in seconds
+   * @param {string|null} value - Header value
+   * @returns {number} Milliseconds, 0 when absent or not a number
+   */
+  parseRetryAfter(value) {
+    const seconds = parseInt(value);
+    return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+  }
+
+  /**
+   * Log and describe a delivery that gave up
+   * @param {Object} target - Target
+   * @param {string} deliveryId - Delivery id
+   * @param {number} attempts - Attempts made
+   * @param {number|null} statusCode - Last HTTP status, null after a network error
+   * @param {string} error - Last error
+   * @returns {Object} Failed delivery
+   */
+  failDelivery(target, deliveryId, attempts, statusCode, error) {
+    logger.error(`Webhook delivery ${deliveryId} to target ${target.id} failed after ${attempts} attempt(s): ${error}`);
+    return { targetId: target.id, delivered: false, attempts, statusCode, error };
+  }
+
+  /**
+   * Wait between attempts
+   * @param {number} ms - Milliseconds
+   * @returns {Promise<void>}
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Check that a target URL is http(s) and, when WEBHOOK_ALLOWED_HOSTS is set, on an allowed host
+   * @param {string} url - Target URL
+   * @throws {Error} With code 'INVALID_WEBHOOK_URL'
+   */
+  checkUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      parsed = null;
+    }
+
+    let message = null;
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      message = 'Webhook URL must be an http or https URL';
+    } else if (this.config.allowedHosts.length > 0 && !this.config.allowedHosts.includes(parsed.hostname.toLowerCase())) {
+      message = `Webhook host '${parsed.hostname}' is not allowed`;
+    }
+
+    if (message) {
+      const error = new Error(message);
+      error.code = 'INVALID_WEBHOOK_URL';
+      throw error;
+    }
+  }
+}
+
+module.exports = WebhookService;
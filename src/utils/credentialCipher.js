@@ -0,0 +1,49 @@
+/**
+ * Credential cipher
+ * AES-256-GCM encryption of stored secrets such as datasource passwords.
+ * Encrypted values read `v1:<iv>:<auth tag>:<ciphertext>` (base64 parts)
+ */
+
+const crypto = require('crypto');
+
+const VERSION = 'v1';
+
+/**
+ * Derive a 256-bit key from a configured secret of any length
+ * @param {string} secret - Configured secret
+ * @returns {Buffer} Key
+ */
+const deriveKey = (secret) => crypto.createHash('sha256').update(String(secret)).digest();
+
+/**
+ * Encrypt a secret
+ * @param {string} plaintext - Secret
+ * @param {string} secret - Encryption key
+ * @returns {string} Encrypted value
+ */
+const encrypt = (plaintext, secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(secret), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  return [VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+};
+
+/**
+ * Decrypt a value produced by encrypt
+ * @param {string} encrypted - Encrypted value
+ * @param {string} secret - Encryption key
+ * @returns {string} Secret
+ * @throws {Error} If the value is malformed, tampered with or encrypted with another key
+ */
+const decrypt = (encrypted, secret) => {
+  const [version, iv, tag, ciphertext] = String(encrypted).split(':');
+  if (version !== VERSION || !iv || !tag || ciphertext === undefined) {
+    throw new Error('Unsupported encrypted value');
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(secret), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+};
+
+module.exports = { encrypt, decrypt };
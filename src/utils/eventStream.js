@@ -0,0 +1,98 @@
+/**
+ * Event Stream - Server-Sent Events over an Express response
+ * Flushes every event through the compression middleware and stops writing
+ * once the client has disconnected; signal is aborted when that happens
+ */
+
+// Comment lines keep proxies from closing a stream that is waiting on the LLM
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+class EventStream {
+  /**
+   * @param {Object} res - Express response
+   */
+  constructor(res) {
+    this.res = res;
+    this.closed = false;
+    this.heartbeat = null;
+    this.abortController = new AbortController();
+  }
+
+  /**
+   * Aborted when the client disconnects before the stream is closed
+   * @returns {AbortSignal} Signal
+   */
+  get signal() {
+    return this.abortController.signal;
+  }
+
+  /**
+   * Send the SSE headers and start the heartbeat
+   */
+  open() {
+    this.res.status(200);
+    this.res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    this.res.flushHeaders();
+
+    // The response, not the request: req emits close as soon as the body has been read
+    this.res.on('close', () => {
+      this.stop();
+      if (!this.res.writableFinished) {
+        this.abortController.abort();
+      }
+    });
+    this.heartbeat = setInterval(() => this.write(': keep-alive\n\n'), HEARTBEAT_INTERVAL_MS);
+    this.heartbeat.unref();
+  }
+
+  /**
+   * Send one event
+   * @param {string} event - Event name
+   * @param {Object} data - JSON payload
+   * @returns {boolean} False if the client is gone
+   */
+  send(event, data) {
+    return this.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * End the stream
+   */
+  close() {
+    if (!this.closed) {
+      this.stop();
+      this.res.end();
+    }
+  }
+
+  /**
+   * Write raw SSE text and push it past the compression buffer
+   * @param {string} chunk - SSE text
+   * @returns {boolean} False if the client is gone
+   */
+  write(chunk) {
+    if (this.closed) {
+      return false;
+    }
+    this.res.write(chunk);
+    if (typeof this.res.flush === 'function') {
+      this.res.flush();
+    }
+    return true;
+  }
+
+  /**
+   * Stop the heartbeat and ignore further writes
+   */
+  stop() {
+    this.closed = true;
+    clearInterval(this.heartbeat);
+  }
+}
+
+module.exports = EventStream;
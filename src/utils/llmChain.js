@@ -0,0 +1,32 @@
+/**
+ * LLM chain
+ * Runs a prompt through a chat model, streaming tokens when a callback is given
+ */
+
+const { StringOutputParser } = require('@langchain/core/output_parsers');
+
+/**
+ * Run a prompt through the LLM
+ * @param {BaseChatModel} llm - Chat model
+ * @param {PromptTemplate} promptTemplate - Prompt
+ * @param {Object} variables - Prompt variables
+ * @param {Function} onToken - Called with each token (optional)
+ * @param {AbortSignal} signal - Cancels the LLM call when aborted (optional)
+ * @returns {Promise<string>} Complete LLM output
+ */
+const runChain = async (llm, promptTemplate, variables, onToken, signal) => {
+  const chain = promptTemplate.pipe(llm).pipe(new StringOutputParser());
+
+  if (!onToken) {
+    return chain.invoke(variables, { signal });
+  }
+
+  let output = '';
+  for await (const token of await chain.stream(variables, { signal })) {
+    output += token;
+    onToken(token);
+  }
+  return output;
+};
+
+module.exports = { runChain };
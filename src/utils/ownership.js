@@ -0,0 +1,61 @@
+/**
+ * Ownership
+ * Rows created on behalf of a caller record the principal and tenant they
+ * belong to; reads and changes are limited to that owner. Internal callers
+ * without a principal (scripts, scheduler) own rows with null ids
+ *
+ * Rows shared within a tenant (glossary, examples, webhook targets) record
+ * only the tenant. Rows without a tenant were created by the bootstrap admin
+ * or before tenants were recorded
+ */
+
+/**
+ * Owner of rows created or read by a principal
+ * @param {Object} principal - Authenticated principal (see AuthService), or null
+ * @returns {Object} { principalId, tenantId }
+ */
+const getOwner = (principal) => ({
+  principalId: principal && principal.id ? principal.id : null,
+  tenantId: principal && principal.tenantId ? principal.tenantId : null
+});
+
+/**
+ * SQL condition matching rows of an owner
+ * Nulls match nulls, so rows of internal callers stay apart from everyone else's
+ * @param {number} firstParam - Placeholder number of the principal id; the tenant id follows
+ * @param {string} alias - Table alias to qualify the columns with
+ * @returns {string} Condition on principal_id and tenant_id
+ */
+const ownerCondition = (firstParam, alias = '') => {
+  const prefix = alias ? `${alias}.` : '';
+  return `${prefix}principal_id IS NOT DISTINCT FROM $${firstParam} AND ${prefix}tenant_id IS NOT DISTINCT FROM $${firstParam + 1}`;
+};
+
+/**
+ * Placeholder values for ownerCondition
+ * @param {Object} owner - Result of getOwner
+ * @returns {Array} [principalId, tenantId]
+ */
+const ownerParams = (owner) => [owner.principalId, owner.tenantId];
+
+/**
+ * SQL condition matching rows of exactly one tenant
+ * Used for changes to shared rows, and for shared rows that must not cross tenants
+ * @param {number} param - Placeholder number of the tenant id
+ * @param {string} alias - Table alias to qualify the column with
+ * @returns {string} Condition on tenant_id
+ */
+const tenantCondition = (param, alias = '') => `${alias ? `${alias}.` : ''}tenant_id IS NOT DISTINCT FROM $${param}`;
+
+/**
+ * SQL condition matching shared rows a tenant may read: its own and those without a tenant
+ * @param {number} param - Placeholder number of the tenant id
+ * @param {string} alias - Table alias to qualify the column with
+ * @returns {string} Condition on tenant_id
+ */
+const sharedCondition = (param, alias = '') => {
+  const column = `${alias ? `${alias}.` : ''}tenant_id`;
+  return `(${column} IS NULL OR ${column} = $${param})`;
+};
+
+module.exports = { getOwner, ownerCondition, ownerParams, tenantCondition, sharedCondition };
@@ -0,0 +1,135 @@
+/**
+ * PII detection
+ * Classifies a column as personal data from its name and type, and from the
+ * pattern of sampled values when a scan provides them
+ */
+
+// Categories in order of precedence when a result column mixes several
+const PII_CATEGORIES = [
+  'national_id',
+  'payment_card',
+  'email',
+  'phone',
+  'person_name',
+  'address',
+  'date_of_birth',
+  'ip_address'
+];
+
+// A bare `name` column only holds a person's name in tables like these
+const PERSON_TABLE_PATTERN = /(^|_)(customer|user|employee|person|people|member|contact|patient|client|staff|borrower|applicant)s?$/;
+
+const NAME_RULES = [
+  { category: 'email', pattern: /(^|_)e?mail(_?addr(ess)?)?$/, types: ['text'] },
+  { category: 'phone', pattern: /(^|_)(phone|mobile|cell|fax|tel|telephone|msisdn)(_?(no|num|number))?$/, types: ['text', 'numeric'] },
+  { category: 'national_id', pattern: /(^|_)(ssn|social_security(_no|_number)?|national_id|tax_id|pan|aadhaar|passport(_no|_number)?)$/, types: ['text', 'numeric'] },
+  { category: 'payment_card', pattern: /(^|_)((credit_?)?card|cc)_?(no|num|number)$/, types: ['text', 'numeric'] },
+  { category: 'date_of_birth', pattern: /(^|_)(dob|birth_?date|date_of_birth|birthday)$/, types: ['date', 'text'] },
+  { category: 'ip_address', pattern: /(^|_)ip(_?addr(ess)?)?$/, types: ['text'] },
+  { category: 'address', pattern: /^((street|home|billing|shipping|postal|mailing|residential)_?)?(address|addr)(_?line_?\d)?$|^street$/, types: ['text'] },
+  { category: 'person_name', pattern: /(^|_)(first|last|middle|full|given|family|sur|maiden|contact|manager|customer|employee|holder)_?name$/, types: ['text'] }
+];
+
+const IPV4_PATTERN = /^(25[0-5]|2[0-4]\d|1?\d?\d)(\.(25[0-5]|2[0-4]\d|1?\d?\d)){3}$/;
+
+/**
+ * Luhn checksum of a card number
+ * @param {string} digits - Digits only
+ * @returns {boolean} True if the checksum holds
+ */
+const passesLuhn = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+const VALUE_RULES = [
+  { category: 'email', test: (value) => /^[^\s@]+@[^\s@]+\.[a-z]{2,}$/i.test(value) },
+  {
+    category: 'payment_card',
+    test: (value) => {
+      const digits = value.replace(/[\s-]/g, '');
+      return /^\d{13,19}$/.test(digits) && passesLuhn(digits);
+    }
+  },
+  { category: 'national_id', test: (value) => /^\d{3}-\d{2}-\d{4}$/.test(value) },
+  { category: 'ip_address', test: (value) => IPV4_PATTERN.test(value) },
+  {
+    category: 'phone',
+    test: (value) => /^\+?[\d\s().-]{7,20}$/.test(value) && (value.startsWith('+') || value.replace(/\D/g, '').length >= 10)
+  }
+];
+
+// Share of sampled values that must match a pattern
+const PATTERN_MATCH_RATIO = 0.8;
+
+/**
+ * Group a PostgreSQL type name
+ * @param {string} dataType - Type as reported by information_schema
+ * @returns {string} 'text', 'numeric', 'date', 'network' or 'other'
+ */
+const getTypeGroup = (dataType) => {
+  const type = String(dataType || '').toLowerCase();
+  if (/char|text/.test(type)) return 'text';
+  if (/int|numeric|decimal/.test(type)) return 'numeric';
+  if (/date|timestamp/.test(type)) return 'date';
+  if (/inet|cidr/.test(type)) return 'network';
+  return 'other';
+};
+
+/**
+ * Find the category whose pattern most sampled values follow
+ * @param {Array<string>} values - Sampled non-null values
+ * @returns {string|null} Category, or null
+ */
+const detectByValues = (values) => {
+  const samples = values.map(value => String(value).trim()).filter(Boolean);
+  if (samples.length === 0) return null;
+
+  for (const rule of VALUE_RULES) {
+    const matches = samples.filter(value => rule.test(value)).length;
+    if (matches / samples.length >= PATTERN_MATCH_RATIO) {
+      return rule.category;
+    }
+  }
+  return null;
+};
+
+/**
+ * Classify a column
+ * @param {Object} column - { tableName, columnName, dataType, sampleValues }
+ * @returns {Object|null} { category, detectedBy: 'type' | 'name' | 'pattern' }, or null if not PII
+ */
+const classifyColumn = ({ tableName, columnName, dataType, sampleValues = [] }) => {
+  const typeGroup = getTypeGroup(dataType);
+  const name = String(columnName).toLowerCase();
+
+  if (typeGroup === 'network') {
+    return { category: 'ip_address', detectedBy: 'type' };
+  }
+
+  const rule = NAME_RULES.find(candidate => candidate.types.includes(typeGroup) && candidate.pattern.test(name));
+  if (rule) {
+    return { category: rule.category, detectedBy: 'name' };
+  }
+  if (name === 'name' && typeGroup === 'text' && PERSON_TABLE_PATTERN.test(String(tableName).toLowerCase())) {
+    return { category: 'person_name', detectedBy: 'name' };
+  }
+
+  const category = typeGroup === 'text' ? detectByValues(sampleValues) : null;
+  return category ? { category, detectedBy: 'pattern' } : null;
+};
+
+module.exports = {
+  PII_CATEGORIES,
+  classifyColumn,
+  detectByValues,
+  getTypeGroup
+};
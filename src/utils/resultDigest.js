@@ -0,0 +1,165 @@
+/**
+ * Result digest
+ * A bounded description of a query result for the answer prompt: per-column
+ * aggregates over every fetched row plus a short sample of the rows themselves
+ */
+
+const NUMERIC_PATTERN = /^-?\d+(\.\d+)?$/;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+// Numbers as written in an answer: 1,200.50 / -3 / 12.5
+const NUMBER_IN_TEXT_PATTERN = /-?\d[\d,]*(\.\d+)?/g;
+
+/**
+ * Round for display without exponent notation or float noise
+ * @param {number} value - Number
+ * @returns {number} Value rounded to 2 decimals (4 below 1)
+ */
+const round = (value) => {
+  const factor = Math.abs(value) < 1 ? 10000 : 100;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Shorten a cell value for the prompt
+ * @param {*} value - Cell value
+ * @param {number} maxLength - Maximum characters
+ * @returns {*} Value safe to JSON-encode
+ */
+const clip = (value, maxLength) => {
+  if (value instanceof Date) return value.toISOString();
+  if (value !== null && typeof value === 'object') value = JSON.stringify(value);
+  if (typeof value === 'string' && value.length > maxLength) return `${value.slice(0, maxLength)}…`;
+  return value;
+};
+
+/**
+ * Aggregate one column
+ * @param {string} name - Column name
+ * @param {Array} values - Column values of every row
+ * @param {Object} config - Summary configuration (see config/summary.js)
+ * @returns {Object} Column digest
+ */
+const describeColumn = (name, values, config) => {
+  const present = values.filter(value => value !== null && value !== undefined);
+  const column = { name, nulls: values.length - present.length };
+
+  if (present.length > 0 && present.every(value => typeof value === 'number' || (typeof value === 'string' && NUMERIC_PATTERN.test(value)))) {
+    const numbers = present.map(Number);
+    const sum = numbers.reduce((total, number) => total + number, 0);
+    return {
+      ...column,
+      kind: 'number',
+      min: round(Math.min(...numbers)),
+      max: round(Math.max(...numbers)),
+      sum: round(sum),
+      avg: round(sum / numbers.length)
+    };
+  }
+
+  if (present.length > 0 && present.every(value => value instanceof Date || (typeof value === 'string' && ISO_DATE_PATTERN.test(value)))) {
+    const dates = present.map(value => (value instanceof Date ? value.toISOString() : value)).sort();
+    return { ...column, kind: 'date', min: dates[0], max: dates[dates.length - 1] };
+  }
+
+  const counts = new Map();
+  present.forEach(value => {
+    const key = String(clip(value, config.maxValueLength));
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return {
+    ...column,
+    kind: 'text',
+    distinct: counts.size,
+    top: [...counts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, config.topValues)
+      .map(([value, count]) => ({ value, count }))
+  };
+};
+
+/**
+ * Build the digest of a query result
+ * @param {Object} queryResult - Result of AdvancedNLQService.runSQL
+ * @param {Object} config - Summary configuration (see config/summary.js)
+ * @returns {Object} { rowCount, totalRows, truncated, columns, sample }
+ */
+const buildResultDigest = (queryResult, config) => {
+  const rows = queryResult.data || [];
+  const names = queryResult.columns && queryResult.columns.length > 0
+    ? queryResult.columns
+    : Object.keys(rows[0] || {});
+
+  return {
+    rowCount: rows.length,
+    totalRows: queryResult.totalRows !== undefined ? queryResult.totalRows : rows.length,
+    truncated: Boolean(queryResult.truncated),
+    columns: names.map(name => describeColumn(name, rows.map(row => row[name]), config)),
+    sample: rows.slice(0, config.sampleRows).map(row => Object.fromEntries(
+      names.map(name => [name, clip(row[name], config.maxValueLength)])
+    ))
+  };
+};
+
+/**
+ * Render a digest as prompt text
+ * @param {Object} digest - Result of buildResultDigest
+ * @returns {string} Digest text
+ */
+const formatResultDigest = (digest) => {
+  const lines = [
+    digest.truncated
+      ? `Rows: ${digest.rowCount} fetched of ${digest.totalRows} in total (aggregates cover the fetched rows only)`
+      : `Rows: ${digest.rowCount}`,
+    'Columns:'
+  ];
+
+  digest.columns.forEach(column => {
+    const nulls = column.nulls > 0 ? `; ${column.nulls} empty` : '';
+    if (column.kind === 'number') {
+      lines.push(`- ${column.name} (number): min ${column.min}, max ${column.max}, sum ${column.sum}, average ${column.avg}${nulls}`);
+    } else if (column.kind === 'date') {
+      lines.push(`- ${column.name} (date): from ${column.min} to ${column.max}${nulls}`);
+    } else {
+      const top = column.top.map(({ value, count }) => `${value} (${count})`).join(', ');
+      lines.push(`- ${column.name} (text): ${column.distinct} distinct${top ? `; most frequent: ${top}` : ''}${nulls}`);
+    }
+  });
+
+  if (digest.sample.length > 0) {
+    lines.push(digest.sample.length < digest.rowCount
+      ? `First ${digest.sample.length} rows:`
+      : 'All rows:');
+    digest.sample.forEach(row => lines.push(JSON.stringify(row)));
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Numbers written in a text, without thousands separators
+ * @param {string} text - Text
+ * @returns {Array<string>} Numbers
+ */
+const extractNumbers = (text) => (String(text).match(NUMBER_IN_TEXT_PATTERN) || [])
+  .map(number => number.replace(/,/g, ''))
+  .filter(number => number !== '-' && NUMERIC_PATTERN.test(number));
+
+/**
+ * Numbers in an answer that appear nowhere in the digest or question
+ * A number counts as supported when a known value is within rounding of it,
+ * so "about 1200" is backed by 1200.4
+ * @param {string} answer - Generated answer
+ * @param {string} sourceText - Digest text and question the answer was based on
+ * @returns {Array<string>} Unsupported numbers
+ */
+const findUnsupportedNumbers = (answer, sourceText) => {
+  const known = extractNumbers(sourceText).map(Number);
+
+  return [...new Set(extractNumbers(answer))].filter(number => {
+    const decimals = (number.split('.')[1] || '').length;
+    const tolerance = 0.5 / 10 ** decimals + Number.EPSILON;
+    return !known.some(value => Math.abs(value - Number(number)) <= tolerance);
+  });
+};
+
+module.exports = { buildResultDigest, formatResultDigest, findUnsupportedNumbers };
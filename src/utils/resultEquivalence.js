@@ -0,0 +1,156 @@
+/**
+ * Result equivalence
+ * Decides whether two query results answer a question the same way, so SQL
+ * is judged by what it returns rather than how it is written. Column names
+ * and column order are ignored: every expected column must match a distinct
+ * actual column value for value. Rows compare as a multiset unless their
+ * order is part of the answer
+ */
+
+const NUMERIC_PATTERN = /^-?\d+(\.\d+)?(e[-+]?\d+)?$/i;
+
+const pad = (number) => String(number).padStart(2, '0');
+
+/**
+ * Comparable key of a cell value
+ * NUMERIC and BIGINT arrive as strings and DATE as a local midnight Date, while
+ * literal expected rows are written as JSON numbers and 'YYYY-MM-DD' strings
+ * @param {*} value - Cell value
+ * @param {number} precision - Significant digits numbers are compared on
+ * @returns {string} Key
+ */
+const normalizeValue = (value, precision) => {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'number' || typeof value === 'bigint' || (typeof value === 'string' && NUMERIC_PATTERN.test(value.trim()))) {
+    const number = Number(value);
+    return Number.isFinite(number) ? `n:${Number(number.toPrecision(precision))}` : `s:${value}`;
+  }
+  if (typeof value === 'boolean') return `b:${value}`;
+  if (value instanceof Date) {
+    const isDate = value.getHours() === 0 && value.getMinutes() === 0 && value.getSeconds() === 0 && value.getMilliseconds() === 0;
+    return isDate
+      ? `s:${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`
+      : `s:${value.toISOString()}`;
+  }
+  if (typeof value === 'object') return `j:${JSON.stringify(value)}`;
+  return `s:${value}`;
+};
+
+/**
+ * Turn a result into normalized columns
+ * @param {Object} result - { columns, rows } with rows as objects or arrays
+ * @param {number} precision - Significant digits numbers are compared on
+ * @returns {Object} { names, values } where values[column][row] is a key
+ */
+const toColumns = ({ columns = [], rows = [] }, precision) => {
+  // Literal expected rows may be arrays; executed rows are objects keyed by column name
+  const positional = rows.length > 0 && Array.isArray(rows[0]);
+  const names = columns.length > 0 ? [...new Set(columns)] : (rows.length > 0 && !positional ? Object.keys(rows[0]) : []);
+  const width = positional ? rows[0].length : names.length;
+
+  return {
+    names: Array.from({ length: width }, (_, index) => names[index] || `column_${index + 1}`),
+    values: Array.from({ length: width }, (_, index) => rows.map(row => normalizeValue(
+      positional ? row[index] : row[names[index]],
+      precision
+    )))
+  };
+};
+
+// Key of a column's values regardless of row order
+const multisetKey = (values) => JSON.stringify([...values].sort());
+
+/**
+ * Whether the rows match under a column mapping
+ * @param {Array} expected - Expected columns
+ * @param {Array} actual - Actual columns
+ * @param {Array<number>} mapping - Actual column index per expected column
+ * @param {boolean} ordered - Compare row by row instead of as a multiset
+ * @returns {boolean} True if they match
+ */
+const rowsMatch = (expected, actual, mapping, ordered) => {
+  const rowCount = expected.length > 0 ? expected[0].length : 0;
+  const tuple = (columns, indexes, row) => JSON.stringify(indexes.map(index => columns[index][row]));
+  const expectedRows = [];
+  const actualRows = [];
+  for (let row = 0; row < rowCount; row++) {
+    expectedRows.push(tuple(expected, expected.map((_, index) => index), row));
+    actualRows.push(tuple(actual, mapping, row));
+  }
+  if (!ordered) {
+    expectedRows.sort();
+    actualRows.sort();
+  }
+  return expectedRows.every((row, index) => row === actualRows[index]);
+};
+
+/**
+ * Compare an actual result with the expected one
+ * @param {Object} expected - { columns, rows }
+ * @param {Object} actual - { columns, rows }
+ * @param {Object} options - Comparison options
+ * @param {boolean} options.ordered - Row order is part of the answer
+ * @param {boolean} options.allowExtraColumns - Actual may return more columns (default true)
+ * @param {number} options.precision - Significant digits numbers are compared on (default 6)
+ * @returns {Object} { equivalent, reason?, detail?, columnMap? }; reason is row_count, columns or values
+ */
+const compareResults = (expected, actual, options = {}) => {
+  const { ordered = false, allowExtraColumns = true, precision = 6 } = options;
+  const expectedColumns = toColumns(expected, precision);
+  const actualColumns = toColumns(actual, precision);
+  const expectedRowCount = (expected.rows || []).length;
+  const actualRowCount = (actual.rows || []).length;
+
+  if (expectedRowCount !== actualRowCount) {
+    return { equivalent: false, reason: 'row_count', detail: { expected: expectedRowCount, actual: actualRowCount } };
+  }
+
+  const expectedWidth = expectedColumns.values.length;
+  const actualWidth = actualColumns.values.length;
+  if (actualWidth < expectedWidth || (!allowExtraColumns && actualWidth !== expectedWidth)) {
+    return { equivalent: false, reason: 'columns', detail: { expected: expectedWidth, actual: actualWidth } };
+  }
+  // Nothing to tell apart without rows
+  if (expectedRowCount === 0) {
+    return { equivalent: true };
+  }
+
+  // Candidate actual columns per expected column: same values, ignoring row order
+  const actualKeys = actualColumns.values.map(multisetKey);
+  const candidates = expectedColumns.values.map(values => {
+    const key = multisetKey(values);
+    return actualKeys.flatMap((actualKey, index) => (actualKey === key ? [index] : []));
+  });
+  const missing = candidates.findIndex(indexes => indexes.length === 0);
+  if (missing !== -1) {
+    return { equivalent: false, reason: 'values', detail: { column: expectedColumns.names[missing] } };
+  }
+
+  // Columns with equal values (e.g. two counts) can pair up several ways; only whole rows decide
+  const mapping = [];
+  const used = new Set();
+  const assign = (index) => {
+    if (index === expectedWidth) {
+      return rowsMatch(expectedColumns.values, actualColumns.values, mapping, ordered);
+    }
+    for (const candidate of candidates[index]) {
+      if (used.has(candidate)) continue;
+      used.add(candidate);
+      mapping[index] = candidate;
+      if (assign(index + 1)) return true;
+      used.delete(candidate);
+    }
+    return false;
+  };
+
+  if (!assign(0)) {
+    return { equivalent: false, reason: 'values', detail: { ordered } };
+  }
+
+  return {
+    equivalent: true,
+    columnMap: Object.fromEntries(expectedColumns.names.map((name, index) => [name, actualColumns.names[mapping[index]]]))
+  };
+};
+
+module.exports = { compareResults, normalizeValue };
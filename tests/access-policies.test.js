@@ -0,0 +1,164 @@
+/**
+ * Access Policy Tests
+ * Tests for role-based table, column and row policies in retrieval and execution
+ */
+
+const AccessPolicyService = require('../src/services/AccessPolicyService');
+const SchemaRetrievalService = require('../src/services/SchemaRetrievalService');
+const StubProvider = require('../src/providers/StubProvider');
+const { getAccessControlConfig } = require('../src/config/accessControl');
+const { getRetrievalConfig } = require('../src/config/retrieval');
+
+const POLICIES = [
+  { id: 1, tenantId: 'acme', role: 'analyst', tableName: 'customers', deniedColumns: ['email', 'phone'], rowFilter: 'region = {{region}}' },
+  { id: 2, tenantId: 'acme', role: 'analyst', tableName: 'orders', deniedColumns: [], rowFilter: null },
+  { id: 3, tenantId: 'acme', role: 'support', tableName: 'customers', deniedColumns: ['phone'], rowFilter: "status = 'open'" }
+];
+
+const COLUMNS = {
+  customers: ['id', 'name', 'email', 'phone', 'region', 'status'],
+  orders: ['id', 'customer_id', 'total'],
+  products: ['id', 'name', 'cost']
+};
+
+const ANALYST = { id: 'user:ana', userId: 'ana', tenantId: 'acme', roles: ['analyst'], attributes: { region: 'north' } };
+
+const createService = (env = {}) => {
+  const repository = {
+    list: jest.fn(async (tenantId, filters = {}) => POLICIES.filter(policy => policy.tenantId === tenantId
+      && (!filters.role || policy.role === filters.role)
+      && (!filters.tableName || policy.tableName === filters.tableName))),
+    create: jest.fn(async (policy) => ({ id: 9, ...policy }))
+  };
+  const primaryDB = {
+    query: jest.fn(async (sql, [, table]) => ({ rows: (COLUMNS[table] || []).map(column => ({ column_name: column })) }))
+  };
+  return new AccessPolicyService(repository, primaryDB, getAccessControlConfig(env));
+};
+
+describe('AccessPolicyService', () => {
+  it('should read restricted tables through subqueries that hide columns and filter rows', async () => {
+    const service = createService();
+
+    const authorized = await service.authorize(
+      'SELECT c.name, SUM(o.total) FROM customers c JOIN orders o ON o.customer_id = c.id WHERE o.total > $1 GROUP BY c.name',
+      ANALYST,
+      [100]
+    );
+
+    expect(authorized).toEqual({
+      sql: 'SELECT c.name, SUM(o.total) FROM (SELECT "id", "name", "region", "status" FROM customers WHERE (region = $2)) c '
+        + 'JOIN orders o ON o.customer_id = c.id WHERE o.total > $1 GROUP BY c.name',
+      params: [100, 'north']
+    });
+
+    expect((await service.authorize('SELECT * FROM customers', ANALYST)).sql)
+      .toBe('SELECT * FROM (SELECT "id", "name", "region", "status" FROM customers WHERE (region = $1)) AS "customers"');
+  });
+
+  it('should reject forbidden tables, hidden columns and filters without their attribute', async () => {
+    const service = createService();
+
+    await expect(service.authorize('SELECT name FROM products', ANALYST)).rejects.toMatchObject({
+      name: 'AccessDeniedError',
+      code: 'ACCESS_DENIED',
+      violations: [{ code: 'TABLE_NOT_ALLOWED', object: 'products', message: "Access to table 'products' is not allowed" }]
+    });
+    await expect(service.authorize('SELECT c.email FROM customers c', ANALYST)).rejects.toMatchObject({
+      violations: [{ code: 'COLUMN_NOT_ALLOWED', object: 'customers.email' }]
+    });
+    await expect(service.authorize('SELECT name FROM customers', { ...ANALYST, attributes: {} })).rejects.toMatchObject({
+      violations: [{ code: 'MISSING_ATTRIBUTE', message: "Row filter of table 'customers' needs the 'region' attribute" }]
+    });
+  });
+
+  it('should grant the union of all roles and leave bypass roles and internal calls alone', async () => {
+    const service = createService();
+    const both = { ...ANALYST, roles: ['analyst', 'support'] };
+
+    expect((await service.authorize('SELECT email FROM customers', both)).sql)
+      .toBe('SELECT email FROM (SELECT "id", "name", "email", "region", "status" FROM customers '
+        + 'WHERE (region = $1) OR (status = \'open\')) AS "customers"');
+
+    const sql = 'SELECT * FROM products';
+    expect(await service.authorize(sql, { ...ANALYST, roles: ['admin'] })).toEqual({ sql, params: [] });
+    expect(await service.authorize(sql, undefined)).toEqual({ sql, params: [] });
+    expect(await createService({ ACCESS_CONTROL_DEFAULT: 'allow' }).authorize(sql, ANALYST)).toEqual({ sql, params: [] });
+  });
+
+  it('should not let a CTE named like a forbidden table hide it', async () => {
+    const service = createService();
+
+    await expect(service.authorize('WITH products AS (SELECT * FROM products) SELECT * FROM products', ANALYST))
+      .rejects.toMatchObject({ violations: [{ code: 'TABLE_NOT_ALLOWED', object: 'products' }] });
+    await expect(service.authorize('WITH totals AS (SELECT SUM(total) AS total FROM orders) SELECT total FROM totals', ANALYST))
+      .resolves.toMatchObject({ params: [] });
+  });
+
+  it('should refuse functions that read tables by name', async () => {
+    const service = createService();
+    const readColumns = service.primaryDB.query.getMockImplementation();
+    service.primaryDB.query.mockImplementation(async (sql, params) => (sql.includes('pg_proc')
+      ? { rows: [{ name: 'pg_relation_size' }, { name: 'table_to_xml_and_xmlschema' }] }
+      : readColumns(sql, params)));
+
+    for (const sql of [
+      "SELECT schema_to_xml('public', true, false, '')",
+      "SELECT database_to_xml(true, false, '')",
+      "SELECT table_to_xml_and_xmlschema('customers', true, false, '')",
+      "SELECT pg_catalog.query_to_xml('SELECT email FROM customers', true, false, '')",
+      "SELECT name FROM orders o JOIN customers c ON c.id = o.customer_id WHERE pg_relation_size('products') > 0"
+    ]) {
+      await expect(service.authorize(sql, ANALYST)).rejects.toMatchObject({ violations: [expect.objectContaining({ code: 'FUNCTION_NOT_ALLOWED' })] });
+    }
+
+    await expect(service.authorize('SELECT COUNT(*) FROM orders', ANALYST)).resolves.toMatchObject({ params: [] });
+    expect(service.primaryDB.query.mock.calls.filter(([sql]) => sql.includes('pg_proc'))).toHaveLength(1);
+    await expect(service.authorize("SELECT schema_to_xml('public', true, false, '')", { ...ANALYST, roles: ['admin'] }))
+      .resolves.toMatchObject({ params: [] });
+  });
+
+  it('should only accept row filters that are a single expression', async () => {
+    const service = createService();
+
+    await expect(service.createPolicy(ANALYST, { role: 'sales', tableName: 'Public.Orders', rowFilter: 'region = ANY({{regions}})' }))
+      .resolves.toMatchObject({ tenantId: 'acme', tableName: 'orders', createdBy: 'user:ana' });
+    await expect(service.createPolicy(ANALYST, { role: 'sales', tableName: 'orders', rowFilter: 'true) UNION SELECT * FROM customers WHERE (true' }))
+      .rejects.toMatchObject({ code: 'INVALID_POLICY' });
+    await expect(service.createPolicy(ANALYST, { role: 'analyst', tableName: 'orders' }))
+      .rejects.toMatchObject({ code: 'DUPLICATE_POLICY' });
+    await expect(service.createPolicy(ANALYST, { role: 'sales', tableName: 'orders', tenantId: 'globex' }))
+      .rejects.toMatchObject({ name: 'ForbiddenError' });
+  });
+});
+
+describe('SchemaRetrievalService with access policies', () => {
+  it('should not surface hidden tables, hidden columns or joins through them', async () => {
+    const policies = createService();
+    const scope = await policies.getScope(ANALYST);
+    const element = (id, tableName, columnName) => ({
+      id, elementType: columnName ? 'column' : 'table', tableName, columnName, description: `${tableName} table`, sampleValues: []
+    });
+    const repository = {
+      vectorSearch: jest.fn().mockResolvedValue([
+        element(1, 'customers', 'email'),
+        element(2, 'products', null),
+        element(3, 'orders', 'total')
+      ]),
+      keywordSearch: jest.fn().mockResolvedValue([]),
+      getForeignKeys: jest.fn().mockResolvedValue([
+        { tableName: 'orders', columnName: 'product_id', foreignTable: 'products', foreignColumn: 'id' },
+        { tableName: 'orders', columnName: 'customer_id', foreignTable: 'customers', foreignColumn: 'id' }
+      ]),
+      getTables: jest.fn().mockResolvedValue([])
+    };
+    const service = new SchemaRetrievalService(repository, new StubProvider(), getRetrievalConfig({}));
+
+    const tables = await service.retrieve('customer emails and order totals', {
+      limit: 5,
+      isVisible: (tableName, columnName) => policies.isVisible(scope, tableName, columnName)
+    });
+
+    expect(tables.map(table => [table.tableName, table.reason])).toEqual([['orders', 'match'], ['customers', 'foreign_key']]);
+  });
+});
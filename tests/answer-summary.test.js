@@ -0,0 +1,96 @@
+/**
+ * Answer Summary Tests
+ * Tests for the result digest and the optional plain-language answer step
+ */
+
+const StubProvider = require('../src/providers/StubProvider');
+const { AdvancedNLQService } = require('../src/services/AdvancedNLQService');
+const AnswerSummaryService = require('../src/services/AnswerSummaryService');
+const { buildResultDigest, formatResultDigest, findUnsupportedNumbers } = require('../src/utils/resultDigest');
+
+jest.mock('../src/config/database', () => ({
+  getPrimaryDB: jest.fn(() => ({ query: jest.fn(), connect: jest.fn() })),
+  getVectorDB: jest.fn(() => ({ query: jest.fn(), connect: jest.fn() }))
+}));
+
+const config = { sampleRows: 2, topValues: 2, maxValueLength: 10 };
+
+const ROWS = [
+  { category: 'Electronics', total_sales: '1200.50' },
+  { category: 'Books', total_sales: '300.00' },
+  { category: 'Books', total_sales: '99.50' }
+];
+
+const createService = (responses) => {
+  const service = new AdvancedNLQService({
+    provider: new StubProvider({}, { responses }),
+    sandbox: { run: jest.fn().mockResolvedValue({ rows: ROWS, fields: [{ name: 'category' }, { name: 'total_sales' }] }) },
+    answerSummaryService: new AnswerSummaryService()
+  });
+  service.isInitialized = true;
+  service.llm = service.provider.getChatModel();
+  service.findRelevantTables = jest.fn().mockResolvedValue([{ tableName: 'sales', reason: 'match' }]);
+  service.getCompleteTableSchemas = jest.fn().mockResolvedValue({ sales: [] });
+  service.glossaryRepository = { list: jest.fn().mockResolvedValue([]) };
+  return service;
+};
+
+describe('Result digest', () => {
+  it('should aggregate every row but quote only a bounded sample', () => {
+    const digest = buildResultDigest({ data: ROWS, columns: ['category', 'total_sales'], totalRows: 50, truncated: true }, config);
+
+    expect(digest.sample).toEqual([
+      { category: 'Electronic…', total_sales: '1200.50' },
+      { category: 'Books', total_sales: '300.00' }
+    ]);
+    expect(digest.columns[1]).toMatchObject({ kind: 'number', min: 99.5, max: 1200.5, sum: 1600, avg: 533.33 });
+    expect(digest.columns[0].top[0]).toEqual({ value: 'Books', count: 2 });
+
+    const text = formatResultDigest(digest);
+    expect(text).toContain('Rows: 3 fetched of 50 in total');
+    expect(text).toContain('First 2 rows:');
+  });
+
+  it('should flag numbers the result does not back', () => {
+    expect(findUnsupportedNumbers('Electronics led with 1,200.50, about 1200, ahead of 4,000', 'sum 1200.5 of 3 rows'))
+      .toEqual(['4000']);
+  });
+});
+
+describe('AdvancedNLQService answer summary', () => {
+  it('should answer in the requested language only when asked', async () => {
+    const prompts = [];
+    const service = createService((prompt) => {
+      prompts.push(prompt);
+      return prompt.includes('data analyst')
+        ? 'Electronics sold the most: 1200.50.'
+        : 'SELECT category, SUM(amount) AS total_sales FROM sales GROUP BY category';
+    });
+
+    const plain = await service.processQuery('which category sold the most');
+    expect(plain.answer).toBeUndefined();
+
+    const events = [];
+    const result = await service.processQuery('which category sold the most', {
+      summarize: true,
+      language: 'hi',
+      onEvent: (event, data) => events.push(event)
+    });
+
+    expect(result.answer).toEqual({ text: 'Electronics sold the most: 1200.50.', language: 'hi', rowsSampled: 3, unsupportedNumbers: [] });
+    expect(prompts[prompts.length - 1]).toContain('written in Hindi');
+    expect(events.slice(-2)).toEqual(['answer_token', 'answer']);
+    expect(result.timings.summary).toBeDefined();
+  });
+
+  it('should keep the rows when the summary fails', async () => {
+    const service = createService(['SELECT category FROM sales']);
+    service.answerSummaryService.summarize = jest.fn().mockRejectedValue(new Error('LLM unavailable'));
+
+    const result = await service.processQuery('which category sold the most', { summarize: true });
+
+    expect(result.success).toBe(true);
+    expect(result.result.rowCount).toBe(3);
+    expect(result.answer).toEqual({ text: null, language: 'en', error: 'LLM unavailable' });
+  });
+});
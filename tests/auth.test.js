@@ -0,0 +1,171 @@
+/**
+ * Auth Tests
+ * Tests for API key and JWT authentication, role checks and key management
+ */
+
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const AuthService = require('../src/services/AuthService');
+const AuthFactory = require('../src/factories/AuthFactory');
+const { authenticate, requireRole } = require('../src/middleware/auth');
+const { errorHandler } = require('../src/middleware/errorHandler');
+const { getAuthConfig } = require('../src/config/auth');
+
+const SECRET = 'test-secret-with-enough-entropy-0123456789';
+
+const createRepository = () => {
+  const keys = [];
+  return {
+    keys,
+    create: jest.fn(async (apiKey) => {
+      const stored = { id: keys.length + 1, revokedAt: null, expiresAt: null, ...apiKey };
+      keys.push(stored);
+      const { keyHash, ...visible } = stored;
+      return visible;
+    }),
+    findByHash: jest.fn(async (keyHash) => keys.find(key => key.keyHash === keyHash) || null),
+    findById: jest.fn(async (id) => keys.find(key => key.id === id) || null),
+    revoke: jest.fn(async (id, tenantId) => {
+      const key = keys.find(candidate => candidate.id === id && (tenantId === null || candidate.tenantId === tenantId));
+      if (!key) return null;
+      key.revokedAt = new Date();
+      return key;
+    }),
+    touch: jest.fn()
+  };
+};
+
+const createService = (env = {}) => new AuthService(createRepository(), getAuthConfig({
+  JWT_SECRET: SECRET,
+  ADMIN_API_KEY: 'bootstrap-admin-key',
+  ...env
+}));
+
+const requestWith = (headers, url = '/api/nlq/query') => ({
+  originalUrl: url,
+  get: (name) => headers[name]
+});
+
+describe('AuthService', () => {
+  it('should issue an API key that authenticates until it is revoked', async () => {
+    const service = createService();
+    const admin = { id: 'user:ana', tenantId: 'acme', roles: ['admin'] };
+
+    const { apiKey, key } = await service.issueKey(admin, { name: 'BI export', userId: 'bi-bot', roles: ['analyst'], attributes: { region: 'north' } });
+
+    expect(key).toMatch(/^nlq_[0-9a-f]{8}_[A-Za-z0-9_-]{43}$/);
+    expect(apiKey).toMatchObject({ tenantId: 'acme', keyPrefix: key.slice(0, 12), createdBy: 'user:ana' });
+    expect(service.apiKeyRepository.keys[0].keyHash).not.toContain(key);
+
+    await expect(service.authenticateRequest(requestWith({ 'X-API-Key': key }))).resolves.toEqual({
+      type: 'api_key',
+      id: 'key:1',
+      userId: 'bi-bot',
+      tenantId: 'acme',
+      roles: ['analyst'],
+      attributes: { region: 'north' }
+    });
+
+    await service.revokeKey(admin, apiKey.id);
+    await expect(service.authenticateRequest(requestWith({ Authorization: `Bearer ${key}` })))
+      .rejects.toMatchObject({ name: 'UnauthorizedError', message: 'API key has been revoked' });
+  });
+
+  it('should resolve stored principals again from their current credentials', async () => {
+    const service = createService();
+    const admin = { id: 'user:ana', tenantId: 'acme', roles: ['admin'] };
+    const { apiKey } = await service.issueKey(admin, { name: 'Reports', roles: ['analyst'] });
+    const stored = { id: `key:${apiKey.id}`, tenantId: 'acme', roles: ['analyst', 'admin'], attributes: {} };
+
+    await expect(service.resolvePrincipal(stored)).resolves.toMatchObject({ id: stored.id, roles: ['analyst'] });
+    await expect(service.resolvePrincipal(admin)).resolves.toBe(admin);
+    await expect(service.resolvePrincipal({ id: 'bootstrap' })).resolves.toMatchObject({ type: 'bootstrap' });
+
+    await service.revokeKey(admin, apiKey.id);
+    await expect(service.resolvePrincipal(stored)).rejects.toThrow('API key has been revoked');
+    await expect(service.resolvePrincipal({ id: 'key:99' })).rejects.toThrow('Invalid API key');
+    await expect(createService({ JWT_SECRET: '' }).resolvePrincipal(admin)).rejects.toThrow('JWT authentication is not configured');
+    await expect(service.resolvePrincipal({ id: null })).rejects.toMatchObject({ name: 'UnauthorizedError' });
+  });
+
+  it('should read user, tenant, roles and attributes from a JWT', async () => {
+    const service = createService();
+    const token = jwt.sign({ sub: 'ana', tenant: 'acme', roles: 'analyst admin', attributes: { region: 'south' } }, SECRET, { expiresIn: '5m' });
+
+    await expect(service.authenticateRequest(requestWith({ Authorization: `Bearer ${token}` }))).resolves.toEqual({
+      type: 'jwt',
+      id: 'user:ana',
+      userId: 'ana',
+      tenantId: 'acme',
+      roles: ['analyst', 'admin'],
+      attributes: { region: 'south' }
+    });
+  });
+
+  it('should reject expired, forged, subject-less and tenant-less tokens and missing credentials', async () => {
+    const service = createService();
+    const authenticateWith = (token) => service.authenticateRequest(requestWith({ Authorization: `Bearer ${token}` }));
+
+    await expect(authenticateWith(jwt.sign({ sub: 'ana', tenant: 'acme', exp: Math.floor(Date.now() / 1000) - 60 }, SECRET)))
+      .rejects.toThrow('Token has expired');
+    await expect(authenticateWith(jwt.sign({ sub: 'ana', tenant: 'acme' }, 'another-secret'))).rejects.toThrow('Invalid token');
+    await expect(authenticateWith(jwt.sign({ sub: 'ana' }, SECRET))).rejects.toThrow("Token has no 'tenant' claim");
+    await expect(authenticateWith(jwt.sign({ tenant: 'acme', roles: 'analyst' }, SECRET))).rejects.toThrow("Token has no 'sub' claim");
+    await expect(service.authenticateRequest(requestWith({}))).rejects.toMatchObject({ code: 'AUTH_ERROR' });
+  });
+
+  it('should treat the bootstrap key as admin of every tenant and keep tenant admins in their tenant', async () => {
+    const service = createService();
+
+    const bootstrap = await service.authenticateRequest(requestWith({ 'X-API-Key': 'bootstrap-admin-key' }));
+    expect(bootstrap).toMatchObject({ type: 'bootstrap', tenantId: null, roles: ['admin'] });
+    expect((await service.issueKey(bootstrap, { name: 'First', tenantId: 'globex' })).apiKey.tenantId).toBe('globex');
+
+    await expect(service.issueKey({ id: 'user:ana', tenantId: 'acme', roles: ['admin'] }, { name: 'Other', tenantId: 'globex' }))
+      .rejects.toMatchObject({ name: 'ForbiddenError' });
+  });
+
+  it('should skip public paths and run as an anonymous admin when disabled', async () => {
+    expect(await createService().authenticateRequest(requestWith({}, '/api/nlq/health?verbose=1'))).toBeNull();
+    expect(await createService({ AUTH_ENABLED: 'false' }).authenticateRequest(requestWith({})))
+      .toMatchObject({ type: 'anonymous', tenantId: 'default', roles: ['admin'] });
+  });
+});
+
+describe('auth middleware', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.spyOn(AuthFactory, 'getAuthService').mockReturnValue(createService());
+    app = express();
+    app.use('/api', authenticate);
+    app.get('/api/nlq/me', (req, res) => res.json(req.principal));
+    app.get('/api/admin/ping', requireRole('admin'), (req, res) => res.json({ ok: true }));
+    app.use(errorHandler);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should answer 401 with a Bearer challenge without credentials', async () => {
+    const response = await request(app).get('/api/nlq/me');
+
+    expect(response.status).toBe(401);
+    expect(response.headers['www-authenticate']).toBe('Bearer');
+    expect(response.body).toMatchObject({ success: false, code: 'AUTH_ERROR' });
+  });
+
+  it('should attach the principal and answer 403 without the required role', async () => {
+    const token = jwt.sign({ sub: 'ana', tenant: 'acme', roles: ['analyst'] }, SECRET);
+
+    const me = await request(app).get('/api/nlq/me').set('Authorization', `Bearer ${token}`);
+    expect(me.status).toBe(200);
+    expect(me.body).toMatchObject({ userId: 'ana', tenantId: 'acme', roles: ['analyst'] });
+
+    const admin = await request(app).get('/api/admin/ping').set('Authorization', `Bearer ${token}`);
+    expect(admin.status).toBe(403);
+    expect(admin.body).toMatchObject({ code: 'AUTHORIZATION_ERROR' });
+  });
+});
@@ -0,0 +1,62 @@
+const ChartRecommendationService = require('../src/services/ChartRecommendationService');
+
+const field = (name, dataTypeID) => ({ name, dataTypeID, dataTypeModifier: -1 });
+
+describe('ChartRecommendationService', () => {
+  const service = new ChartRecommendationService();
+
+  it('should recommend a line chart for a measure over a date column', () => {
+    const rows = [
+      { month: new Date(2024, 0, 1), total: '10.50' },
+      { month: new Date(2024, 1, 1), total: '12.00' },
+      { month: new Date(2024, 2, 1), total: '9.25' }
+    ];
+
+    const chart = service.recommend(rows, [field('month', 1082), field('total', 1700)]);
+
+    expect(chart.type).toBe('line');
+    expect(chart.spec.data).toEqual({ name: 'result' });
+    expect(chart.spec.encoding.x).toMatchObject({ field: 'month', type: 'temporal' });
+    expect(chart.spec.encoding.y).toMatchObject({ field: 'total', type: 'quantitative' });
+    // numeric comes back from pg as a string
+    expect(chart.spec.transform).toEqual([{ calculate: 'toNumber(datum["total"])', as: 'total' }]);
+    expect(chart.alternates.map(alternate => alternate.type)).toEqual(['bar', 'table']);
+  });
+
+  it('should recommend a pie for a few non-negative shares and a bar beyond that', () => {
+    const fields = [field('status', 25), field('loans', 20)];
+    const few = ['active', 'closed', 'default'].map((status, i) => ({ status, loans: String(i + 1) }));
+    const many = Array.from({ length: 12 }, (_, i) => ({ status: `s${i}`, loans: String(i) }));
+
+    expect(service.recommend(few, fields).type).toBe('pie');
+
+    const bar = service.recommend(many, fields);
+    expect(bar.type).toBe('bar');
+    expect(bar.spec.encoding.x).toMatchObject({ field: 'status', type: 'nominal', sort: '-y' });
+  });
+
+  it('should recommend a KPI for a single row', () => {
+    const chart = service.recommend([{ total_amount: 42 }], [field('total_amount', 701)]);
+
+    expect(chart.type).toBe('kpi');
+    expect(chart.spec.mark.type).toBe('text');
+    expect(chart.spec.title).toBe('Total Amount');
+  });
+
+  it('should recommend a scatter plot for two measures and a table for identifiers only', () => {
+    const rows = [1, 2, 3, 4].map(i => ({ income: i * 1000, loan_amount: i * 250 }));
+    expect(service.recommend(rows, [field('income', 701), field('loan_amount', 701)]).type).toBe('scatter');
+
+    const ids = [{ customer_id: 1, name: 'A' }, { customer_id: 2, name: 'B' }];
+    expect(service.recommend(ids, [field('customer_id', 23), field('name', 25)]).type).toBe('table');
+  });
+
+  it('should treat integer period columns as time and infer types without field metadata', () => {
+    const rows = [{ year: 2022, revenue: 5 }, { year: 2023, revenue: 8 }];
+
+    const chart = service.recommend(rows, []);
+
+    expect(chart.type).toBe('line');
+    expect(chart.spec.encoding.x).toMatchObject({ field: 'year', type: 'ordinal' });
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Clarification Tests
+ * Tests for clarifying questions on ambiguous queries and resuming requests with the answer
+ */
+
+const StubProvider = require('../src/providers/StubProvider');
+const ConversationService = require('../src/services/ConversationService');
+const { AdvancedNLQService } = require('../src/services/AdvancedNLQService');
+const ClarificationService = require('../src/services/ClarificationService');
+
+jest.mock('../src/config/database', () => ({
+  getPrimaryDB: jest.fn(() => ({ query: jest.fn(), connect: jest.fn() })),
+  getVectorDB: jest.fn(() => ({ query: jest.fn(), connect: jest.fn() }))
+}));
+
+const CLARIFICATION = 'CLARIFY: ' + JSON.stringify({
+  question: 'Best by what?',
+  options: [
+    { label: 'Revenue', interpretation: 'rank products by total order amount' },
+    { label: 'Quantity', interpretation: 'rank products by units sold' }
+  ]
+});
+const SQL = 'SELECT name FROM products ORDER BY revenue DESC LIMIT 10';
+
+// In-memory stand-in for ClarificationRepository
+const createRepository = () => {
+  const rows = new Map();
+  return {
+    rows,
+    create: jest.fn(async (pending) => {
+      rows.set(pending.id, JSON.parse(JSON.stringify(pending)));
+      return rows.get(pending.id);
+    }),
+    findById: jest.fn(async (id, owner) => {
+      const pending = rows.get(id);
+      return pending && pending.owner.principalId === owner.principalId && pending.owner.tenantId === owner.tenantId ? pending : null;
+    }),
+    delete: jest.fn(async (id) => rows.delete(id)),
+    purgeExpired: jest.fn().mockResolvedValue(0)
+  };
+};
+
+const createService = (responses) => {
+  const sandbox = {
+    run: jest.fn(async (sql) => (sql.startsWith('EXPLAIN')
+      ? { rows: [] }
+      : { rows: [{ name: 'Lamp' }], fields: [{ name: 'name' }] }))
+  };
+  const service = new AdvancedNLQService({
+    provider: new StubProvider({}, { responses }),
+    sandbox,
+    clarificationService: new ClarificationService(createRepository())
+  });
+  service.isInitialized = true;
+  service.llm = service.provider.getChatModel();
+  service.embeddings = service.provider.getEmbeddings();
+  service.findRelevantTables = jest.fn().mockResolvedValue([{ tableName: 'products', description: 'Products' }]);
+  service.getCompleteTableSchemas = jest.fn().mockResolvedValue({ products: [{ column_name: 'name', data_type: 'text' }] });
+  service.glossaryRepository = { list: jest.fn().mockResolvedValue([]) };
+  service.findSimilarExamples = jest.fn().mockResolvedValue([]);
+  return service;
+};
+
+describe('ClarificationService.parse', () => {
+  const service = new ClarificationService(createRepository());
+
+  it('should read the question and number the options', () => {
+    expect(service.parse(CLARIFICATION)).toEqual({
+      question: 'Best by what?',
+      options: [
+        { id: 1, label: 'Revenue', interpretation: 'rank products by total order amount' },
+        { id: 2, label: 'Quantity', interpretation: 'rank products by units sold' }
+      ]
+    });
+  });
+
+  it('should accept fenced JSON, cap the options and reject malformed clarifications', () => {
+    const options = ['a', 'b', 'c', 'd', 'e'].map(label => ({ label }));
+    const fenced = service.parse(`CLARIFY:\n\`\`\`json\n${JSON.stringify({ question: 'Which?', options })}\n\`\`\``);
+
+    expect(fenced.options).toHaveLength(4);
+    expect(fenced.options[0]).toEqual({ id: 1, label: 'a', interpretation: 'a' });
+    expect(service.parse('CLARIFY: not json')).toBeNull();
+    expect(service.parse(`CLARIFY: ${JSON.stringify({ question: 'Which?', options: [{ label: 'a' }] })}`)).toBeNull();
+    expect(service.parse(SQL)).toBeNull();
+  });
+});
+
+describe('AdvancedNLQService clarifications', () => {
+  const principal = { id: 'user-1', tenantId: 'acme', roles: ['analyst'] };
+
+  it('should ask a clarifying question instead of running SQL and keep the request', async () => {
+    const service = createService([CLARIFICATION]);
+    const events = [];
+
+    const response = await service.processQuery('show me the best products', {
+      clarify: true,
+      principal,
+      maxResults: 50,
+      onEvent: (event, data) => events.push({ event, data })
+    });
+
+    expect(response).toMatchObject({
+      success: true,
+      status: 'needs_clarification',
+      query: 'show me the best products',
+      clarification: { question: 'Best by what?', options: [{ id: 1, label: 'Revenue' }, { id: 2, label: 'Quantity' }] }
+    });
+    expect(response.generatedSQL).toBeUndefined();
+    expect(service.sandbox.run).not.toHaveBeenCalled();
+    expect(events.map(e => e.event)).not.toContain('sql_token');
+    expect(events.find(e => e.event === 'clarification').data.id).toBe(response.clarification.id);
+
+    const stored = service.clarificationService.clarificationRepository.rows.get(response.clarification.id);
+    expect(stored).toMatchObject({
+      owner: { principalId: 'user-1', tenantId: 'acme' },
+      question: 'show me the best products',
+      request: { maxResults: 50 },
+      relevantTables: [expect.objectContaining({ tableName: 'products' })]
+    });
+  });
+
+  it('should not ask unless the request opts in', async () => {
+    const service = createService((prompt) => (prompt.includes('CLARIFY:') ? CLARIFICATION : SQL));
+
+    const response = await service.processQuery('show me the best products', { principal });
+
+    expect(response).toMatchObject({ success: true, generatedSQL: expect.stringContaining(SQL) });
+    expect(service.clarificationService.clarificationRepository.create).not.toHaveBeenCalled();
+  });
+
+  it('should resume the stored request with the chosen option, once', async () => {
+    const prompts = [];
+    const service = createService((prompt) => {
+      prompts.push(prompt);
+      return prompts.length === 1 ? CLARIFICATION : SQL;
+    });
+    const asked = await service.processQuery('show me the best products', { clarify: true, principal });
+    service.findRelevantTables.mockClear();
+
+    const response = await service.processQuery(undefined, {
+      clarify: true,
+      principal,
+      clarification: { id: asked.clarification.id, option: 1 }
+    });
+
+    expect(response).toMatchObject({
+      success: true,
+      query: 'show me the best products',
+      clarification: { question: 'Best by what?', answer: 'Revenue (rank products by total order amount)', option: 1 }
+    });
+    expect(service.findRelevantTables).not.toHaveBeenCalled();
+    expect(prompts[1]).toContain('The user answered: Revenue (rank products by total order amount)');
+    expect(prompts[1]).not.toContain('CLARIFY:');
+    expect(service.clarificationService.clarificationRepository.rows.size).toBe(0);
+
+    const again = await service.processQuery(undefined, { principal, clarification: { id: asked.clarification.id, answer: 'revenue' } });
+    expect(again).toMatchObject({ success: false, error: 'Clarification not found or expired' });
+  });
+
+  it('should reject answers from someone else and options that were not offered', async () => {
+    const service = createService([CLARIFICATION]);
+    const asked = await service.processQuery('sales last period', { clarify: true, principal });
+    const { id } = asked.clarification;
+
+    await expect(service.resumeClarification({ id, option: 1 }, { id: 'user-2', tenantId: 'acme' }))
+      .rejects.toMatchObject({ code: 'CLARIFICATION_NOT_FOUND' });
+    await expect(service.resumeClarification({ id, option: 1 }, { id: 'user-1', tenantId: 'globex' }))
+      .rejects.toMatchObject({ code: 'CLARIFICATION_NOT_FOUND' });
+    await expect(service.resumeClarification({ id, option: 1 }, null))
+      .rejects.toMatchObject({ code: 'CLARIFICATION_NOT_FOUND' });
+    await expect(service.resumeClarification({ id, option: 3 }, principal))
+      .rejects.toMatchObject({ code: 'INVALID_CLARIFICATION' });
+    expect(service.clarificationService.clarificationRepository.rows.has(id)).toBe(true);
+  });
+
+  it('should fall back to SQL when the clarification is malformed', async () => {
+    const service = createService(['CLARIFY: which one?', SQL]);
+
+    const response = await service.processQuery('show me the best products', { clarify: true, principal });
+
+    expect(response).toMatchObject({ success: true, generatedSQL: expect.stringContaining(SQL) });
+    expect(response.status).toBeUndefined();
+    expect(service.clarificationService.clarificationRepository.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('ConversationService clarifications', () => {
+  it('should add the turn only once the clarification is answered', async () => {
+    const repository = {
+      getSession: jest.fn().mockResolvedValue({ id: 'session-1' }),
+      getRecentTurns: jest.fn().mockResolvedValue([]),
+      addTurn: jest.fn().mockResolvedValue({ turnIndex: 1 })
+    };
+    const nlqService = {
+      processQuery: jest.fn()
+        .mockResolvedValueOnce({ success: true, status: 'needs_clarification', query: 'best products', clarification: { id: 'c-1' } })
+        .mockResolvedValueOnce({ success: true, query: 'best products', generatedSQL: SQL, result: { columns: ['name'], rowCount: 1 } })
+    };
+    const service = new ConversationService(repository, nlqService);
+
+    const asked = await service.postTurn('session-1', 'best products', { clarify: true });
+    expect(asked).toMatchObject({ status: 'needs_clarification', sessionId: 'session-1' });
+    expect(repository.addTurn).not.toHaveBeenCalled();
+
+    const answered = await service.postTurn('session-1', undefined, { clarification: { id: 'c-1', option: 1 } });
+    expect(answered.turnIndex).toBe(1);
+    expect(repository.addTurn).toHaveBeenCalledWith('session-1', expect.objectContaining({ question: 'best products', generatedSQL: SQL }));
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Conversation Tests
+ * Tests for multi-turn sessions and follow-up context
+ */
+
+const ConversationService = require('../src/services/ConversationService');
+const StubProvider = require('../src/providers/StubProvider');
+const { AdvancedNLQService } = require('../src/services/AdvancedNLQService');
+
+jest.mock('../src/config/database', () => ({
+  getPrimaryDB: jest.fn(() => ({ query: jest.fn(), connect: jest.fn() })),
+  getVectorDB: jest.fn(() => ({ query: jest.fn(), connect: jest.fn() }))
+}));
+
+const firstTurn = {
+  turnIndex: 1,
+  question: 'total loan amount by branch',
+  generatedSQL: 'SELECT branch_id, SUM(loan_amount) FROM loans GROUP BY branch_id LIMIT 100',
+  resultShape: { columns: ['branch_id', 'sum'], rowCount: 12 },
+  success: true
+};
+
+describe('ConversationService', () => {
+  let repository;
+  let nlqService;
+  let service;
+
+  beforeEach(() => {
+    repository = {
+      getSession: jest.fn().mockResolvedValue({ id: 'session-1', turnCount: 2 }),
+      getRecentTurns: jest.fn().mockResolvedValue([
+        firstTurn,
+        { turnIndex: 2, question: 'gibberish', generatedSQL: null, success: false }
+      ]),
+      addTurn: jest.fn().mockResolvedValue({ turnIndex: 3 })
+    };
+    nlqService = {
+      processQuery: jest.fn().mockResolvedValue({
+        success: true,
+        generatedSQL: 'SELECT 1',
+        result: { columns: ['a'], rowCount: 1, rows: [{ a: 1 }] },
+        processingTime: 5
+      })
+    };
+    service = new ConversationService(repository, nlqService);
+  });
+
+  it('should pass successful prior turns as context and store the new turn', async () => {
+    const result = await service.postTurn('session-1', 'only for last month', { language: 'en' });
+
+    expect(nlqService.processQuery).toHaveBeenCalledWith('only for last month', {
+      language: 'en',
+      conversationContext: [firstTurn]
+    });
+    expect(repository.addTurn).toHaveBeenCalledWith('session-1', expect.objectContaining({
+      question: 'only for last month',
+      generatedSQL: 'SELECT 1',
+      resultShape: { columns: ['a'], rowCount: 1 },
+      success: true
+    }));
+    expect(result.turnIndex).toBe(3);
+    expect(result.sessionId).toBe('session-1');
+  });
+
+  it('should return null for an unknown session', async () => {
+    repository.getSession.mockResolvedValue(null);
+
+    expect(await service.postTurn('missing', 'anything')).toBeNull();
+    expect(nlqService.processQuery).not.toHaveBeenCalled();
+  });
+
+  it('should look sessions up for the calling principal and tenant only', async () => {
+    const principal = { id: 'user:ana', tenantId: 'acme', roles: ['analyst'] };
+    repository.createSession = jest.fn(async (data, owner) => ({ id: 'session-2', ...owner }));
+    repository.getSession.mockResolvedValue(null);
+
+    expect(await service.createSession({ title: 'Loans' }, principal)).toMatchObject({ principalId: 'user:ana', tenantId: 'acme' });
+    expect(await service.listTurns('session-1', {}, { ...principal, id: 'user:bob' })).toBeNull();
+    expect(await service.postTurn('session-1', 'and by region?', { principal })).toBeNull();
+
+    expect(repository.getSession.mock.calls.map(call => call[1])).toEqual([
+      { principalId: 'user:bob', tenantId: 'acme' },
+      { principalId: 'user:ana', tenantId: 'acme' }
+    ]);
+    expect(nlqService.processQuery).not.toHaveBeenCalled();
+  });
+});
+
+describe('AdvancedNLQService conversation context', () => {
+  it('should include prior questions, SQL and result shape in the prompt', async () => {
+    const prompts = [];
+    const service = new AdvancedNLQService({
+      provider: new StubProvider({}, {
+        responses: (prompt) => {
+          prompts.push(prompt);
+          return 'SELECT branch_id, SUM(loan_amount) FROM loans GROUP BY branch_id';
+        }
+      })
+    });
+    service.llm = service.provider.getChatModel();
+
+    await service.generateSQLWithLangChain(
+      'only for last month',
+      [{ tableName: 'loans', description: 'Loan records' }],
+      { loans: [{ column_name: 'loan_amount', data_type: 'numeric' }] },
+      { conversationContext: [firstTurn] }
+    );
+
+    expect(prompts[0]).toContain('Previous conversation');
+    expect(prompts[0]).toContain(firstTurn.generatedSQL);
+    expect(prompts[0]).toContain('12 rows with columns branch_id, sum');
+  });
+
+  it('should leave the prompt without history for a first question', () => {
+    const service = new AdvancedNLQService({ provider: new StubProvider() });
+    expect(service.buildConversationContext([])).toBe('');
+  });
+});
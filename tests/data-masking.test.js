@@ -0,0 +1,176 @@
+/**
+ * Data Masking Tests
+ * Tests for PII detection, column classification and per-role masking of results
+ */
+
+const DataMaskingService = require('../src/services/DataMaskingService');
+const DashboardService = require('../src/services/DashboardService');
+const { AdvancedNLQService } = require('../src/services/AdvancedNLQService');
+const { classifyColumn } = require('../src/utils/piiDetection');
+const { getMaskingConfig } = require('../src/config/masking');
+
+jest.mock('../src/config/database', () => ({
+  getPrimaryDB: jest.fn(() => ({ query: jest.fn(), connect: jest.fn() })),
+  getVectorDB: jest.fn(() => ({ query: jest.fn(), connect: jest.fn() }))
+}));
+
+const COLUMNS = {
+  customers: [['id', 'integer'], ['name', 'character varying'], ['email', 'character varying'], ['phone', 'character varying'], ['city', 'character varying']],
+  orders: [['id', 'integer'], ['customer_id', 'integer'], ['total_amount', 'numeric']],
+  products: [['id', 'integer'], ['name', 'character varying']]
+};
+
+const ANALYST = { id: 'user:ana', userId: 'ana', tenantId: 'acme', roles: ['analyst'], attributes: {} };
+
+const createService = ({ classifications = [], policies = [], samples = {} } = {}) => {
+  const repository = {
+    listClassifications: jest.fn().mockResolvedValue(classifications),
+    listPolicies: jest.fn(async (tenantId) => policies.filter(policy => policy.tenantId === tenantId)),
+    replaceScanResults: jest.fn().mockResolvedValue(),
+    saveClassification: jest.fn(async (classification) => ({ ...classification, source: 'admin' }))
+  };
+  const primaryDB = {
+    query: jest.fn(async (sql) => {
+      const sampled = sql.match(/FROM "(\w+)"/);
+      if (sampled) {
+        return { rows: (samples[sampled[1]] || []).map(value => ({ value })) };
+      }
+      return {
+        rows: Object.entries(COLUMNS).flatMap(([table, columns]) => columns.map(([column, type]) => ({
+          table_name: table, column_name: column, data_type: type
+        })))
+      };
+    })
+  };
+  return new DataMaskingService(repository, primaryDB, getMaskingConfig({ MASKING_HASH_SECRET: 'test-secret' }));
+};
+
+describe('PII detection', () => {
+  it('should classify columns by name, type and sampled values', () => {
+    expect(classifyColumn({ tableName: 'customers', columnName: 'email', dataType: 'character varying' }))
+      .toEqual({ category: 'email', detectedBy: 'name' });
+    expect(classifyColumn({ tableName: 'customers', columnName: 'name', dataType: 'text' }))
+      .toEqual({ category: 'person_name', detectedBy: 'name' });
+    expect(classifyColumn({ tableName: 'products', columnName: 'name', dataType: 'text' })).toBeNull();
+    expect(classifyColumn({ tableName: 'sessions', columnName: 'client', dataType: 'inet' }))
+      .toEqual({ category: 'ip_address', detectedBy: 'type' });
+    expect(classifyColumn({ tableName: 'leads', columnName: 'contact', dataType: 'text', sampleValues: ['a@b.com', 'c.d@e.org'] }))
+      .toEqual({ category: 'email', detectedBy: 'pattern' });
+    expect(classifyColumn({ tableName: 'payments', columnName: 'ref', dataType: 'text', sampleValues: ['4111 1111 1111 1111'] }))
+      .toEqual({ category: 'payment_card', detectedBy: 'pattern' });
+    expect(classifyColumn({ tableName: 'orders', columnName: 'status', dataType: 'text', sampleValues: ['pending', 'shipped'] })).toBeNull();
+  });
+
+  it('should keep admin classifications over detection and scans', async () => {
+    const service = createService({
+      classifications: [{ tableName: 'customers', columnName: 'city', category: 'address', source: 'admin' }],
+      samples: { orders: [], customers: ['+1234567890', '+1234567891'] }
+    });
+
+    const columns = await service.listColumns({ tableName: 'customers', piiOnly: true });
+    expect(columns.map(column => [column.columnName, column.category, column.source])).toEqual([
+      ['name', 'person_name', 'auto'],
+      ['email', 'email', 'auto'],
+      ['phone', 'phone', 'auto'],
+      ['city', 'address', 'admin']
+    ]);
+
+    const scan = await service.scanColumns(ANALYST);
+    expect(scan).toMatchObject({ columns: 10, scanned: 9 });
+    expect(service.dataMaskingRepository.replaceScanResults.mock.calls[0][0].map(detection => detection.columnName))
+      .toEqual(['name', 'email', 'phone']);
+
+    await expect(service.classifyColumn(ANALYST, 'customers', 'nickname', 'person_name')).rejects.toMatchObject({ code: 'UNKNOWN_COLUMN' });
+  });
+});
+
+describe('DataMaskingService', () => {
+  it('should mask result columns traced back to PII columns through aliases and expressions', async () => {
+    const service = createService();
+    const masker = await service.createMasker(
+      "SELECT CONCAT(c.name, ' (', c.city, ')') AS customer, c.email, COUNT(o.id) AS orders, p.name AS product "
+        + 'FROM customers c JOIN orders o ON o.customer_id = c.id JOIN products p ON p.id = o.id GROUP BY 1, 2, 4',
+      ANALYST
+    );
+
+    const { rows, maskedColumns } = masker(
+      [{ customer: 'John Doe (New York)', email: 'john.doe@email.com', orders: 3, product: 'Gold Loan' }],
+      [{ name: 'customer' }, { name: 'email' }, { name: 'orders' }, { name: 'product' }]
+    );
+
+    expect(rows).toEqual([{ customer: 'J*** D*** (*** Y***', email: 'j***@email.com', orders: 3, product: 'Gold Loan' }]);
+    expect(maskedColumns).toEqual([
+      { name: 'customer', category: 'person_name', strategy: 'partial' },
+      { name: 'email', category: 'email', strategy: 'partial' }
+    ]);
+  });
+
+  it('should trace columns through FROM functions and VALUES, and mask untraceable ones', async () => {
+    const service = createService({ policies: [{ tenantId: 'acme', role: 'analyst', category: 'address', strategy: 'redact' }] });
+    const mask = async (sql, row) => (await service.createMasker(sql, ANALYST))([row], Object.keys(row).map(name => ({ name }))).rows[0];
+
+    expect(await mask('SELECT e FROM customers c CROSS JOIN LATERAL unnest(ARRAY[c.email]) AS e', { e: 'john.doe@email.com' }))
+      .toEqual({ e: 'j***@email.com' });
+    expect(await mask('SELECT x.e, c.id FROM customers c CROSS JOIN LATERAL (VALUES (c.email)) AS x(e)', { e: 'john.doe@email.com', id: 1 }))
+      .toEqual({ e: 'j***@email.com', id: 1 });
+    expect(await mask("SELECT v FROM (VALUES ('plain'), ((SELECT email FROM customers LIMIT 1))) AS t(v)", { v: 'john.doe@email.com' }))
+      .toEqual({ v: 'j***@email.com' });
+
+    // XMLTABLE columns cannot be traced: every one gets the strictest mask of any category
+    const strictest = await mask(
+      "SELECT c.id, x.* FROM customers c, LATERAL XMLTABLE('/r' PASSING CAST(c.city AS xml) COLUMNS v text, w text) x",
+      { id: 1, v: 'Berlin', w: 'Paris' }
+    );
+    expect(strictest).toEqual({ id: 1, v: '[REDACTED]', w: '[REDACTED]' });
+  });
+
+  it('should apply the least restrictive strategy of the caller roles', async () => {
+    const service = createService({
+      policies: [
+        { tenantId: 'acme', role: 'analyst', category: 'email', strategy: 'redact' },
+        { tenantId: 'acme', role: 'analyst', category: 'phone', strategy: 'hash' },
+        { tenantId: 'acme', role: 'support', category: 'email', strategy: 'none' }
+      ]
+    });
+    const row = { email: 'john.doe@email.com', phone: '+1234567890' };
+    const fields = [{ name: 'email' }, { name: 'phone' }];
+
+    const analyst = (await service.createMasker('SELECT email, phone FROM customers', ANALYST))([row], fields).rows[0];
+    expect(analyst.email).toBe('[REDACTED]');
+    expect(analyst.phone).toMatch(/^[0-9a-f]{16}$/);
+
+    const both = (await service.createMasker('SELECT email, phone FROM customers', { ...ANALYST, roles: ['analyst', 'support'] }))([row], fields).rows[0];
+    expect(both).toEqual({ email: 'john.doe@email.com', phone: analyst.phone });
+
+    expect(await service.createMasker('SELECT email FROM customers', { ...ANALYST, roles: ['admin'] })).toBeNull();
+    expect(await service.createMasker('SELECT email FROM customers', undefined)).toBeNull();
+  });
+
+  it('should mask NLQ results before the chart and the response see them', async () => {
+    const nlqService = new AdvancedNLQService({
+      sandbox: {
+        run: jest.fn().mockResolvedValue({
+          rows: [{ name: 'Jane Smith', phone: '+1234567891' }],
+          fields: [{ name: 'name' }, { name: 'phone' }]
+        })
+      },
+      dataMaskingService: createService()
+    });
+
+    const result = await nlqService.runSQL('SELECT name, phone FROM customers', { principal: ANALYST });
+
+    expect(result.data).toEqual([{ name: 'J*** S***', phone: '+******7891' }]);
+    expect(result.maskedColumns.map(column => column.name)).toEqual(['name', 'phone']);
+  });
+
+  it('should mask customer names of recent dashboard orders', async () => {
+    const repository = {
+      getRecentOrders: jest.fn().mockResolvedValue([{ id: 1, customer: 'Bob Johnson', amount: '89.99', status: 'Shipped' }])
+    };
+    const dashboardService = new DashboardService(repository, createService());
+
+    expect(await dashboardService.getRecentOrders(5, ANALYST)).toEqual([{ id: 1, customer: 'B*** J***', amount: '89.99', status: 'Shipped' }]);
+    expect(await dashboardService.getRecentOrders(5, { ...ANALYST, roles: ['admin'] }))
+      .toEqual([{ id: 1, customer: 'Bob Johnson', amount: '89.99', status: 'Shipped' }]);
+  });
+});
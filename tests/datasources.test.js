@@ -0,0 +1,194 @@
+/**
+ * Datasource Tests
+ * Tests for the datasource registry, encrypted credentials and queries against named datasources
+ */
+
+const DatasourceService = require('../src/services/DatasourceService');
+const { AdvancedNLQService } = require('../src/services/AdvancedNLQService');
+const { encrypt, decrypt } = require('../src/utils/credentialCipher');
+const { getDatasourceConfig } = require('../src/config/datasources');
+
+jest.mock('../src/config/database', () => ({
+  getPrimaryDB: jest.fn(() => ({ query: jest.fn(), connect: jest.fn() })),
+  getVectorDB: jest.fn(() => ({ query: jest.fn(), connect: jest.fn() }))
+}));
+
+const ADMIN = { id: 'user:root', userId: 'root', tenantId: 'acme', roles: ['admin'], attributes: {} };
+const ANALYST = { id: 'user:ana', userId: 'ana', tenantId: 'acme', roles: ['analyst'], attributes: {} };
+
+const createService = ({ encryptionKey = 'test-key', reachable = true } = {}) => {
+  const rows = [];
+  let nextId = 1;
+  const repository = {
+    create: jest.fn(async (data) => {
+      const datasource = { ...data, id: nextId++, status: 'unknown', updatedAt: new Date(1000) };
+      rows.push(datasource);
+      return datasource;
+    }),
+    update: jest.fn(async (id, tenantId, data) => {
+      const datasource = rows.find(row => row.id === id && row.tenantId === tenantId);
+      Object.assign(datasource, data, { status: 'unknown', updatedAt: new Date(datasource.updatedAt.getTime() + 1000) });
+      return { ...datasource };
+    }),
+    updateHealth: jest.fn(async (id, status, lastError) => {
+      const datasource = rows.find(row => row.id === id);
+      Object.assign(datasource, { status, lastError });
+      return { ...datasource };
+    }),
+    delete: jest.fn().mockResolvedValue(true),
+    findById: jest.fn(async (id, tenantId) => rows.find(row => row.id === id && (!tenantId || row.tenantId === tenantId)) || null),
+    findByName: jest.fn(async (tenantId, name) => {
+      const datasource = rows.find(row => row.tenantId === tenantId && row.name === name);
+      return datasource ? { ...datasource } : null;
+    }),
+    list: jest.fn(async (tenantId) => rows.filter(row => row.tenantId === tenantId))
+  };
+  const pools = [];
+  const createPool = jest.fn((settings) => {
+    const pool = {
+      settings,
+      on: jest.fn(),
+      end: jest.fn().mockResolvedValue(),
+      query: reachable ? jest.fn().mockResolvedValue({ rows: [{ '?column?': 1 }] }) : jest.fn().mockRejectedValue(new Error('connect ECONNREFUSED'))
+    };
+    pools.push(pool);
+    return pool;
+  });
+  const schemaIndexRepository = { removeDatasource: jest.fn().mockResolvedValue() };
+  const service = new DatasourceService(repository, schemaIndexRepository, getDatasourceConfig({ DATASOURCE_ENCRYPTION_KEY: encryptionKey || '' }), createPool);
+  return { service, repository, pools, schemaIndexRepository };
+};
+
+const WAREHOUSE = {
+  name: 'warehouse',
+  description: 'Sales warehouse',
+  host: 'warehouse.internal',
+  port: 5433,
+  database: 'sales',
+  username: 'reader',
+  password: 's3cr3t',
+  allowedRoles: ['analyst']
+};
+
+describe('Credential cipher', () => {
+  it('should round-trip secrets and reject tampered values or other keys', () => {
+    const encrypted = encrypt('s3cr3t', 'key-one');
+
+    expect(encrypted).toMatch(/^v1:/);
+    expect(encrypted).not.toContain('s3cr3t');
+    expect(encrypt('s3cr3t', 'key-one')).not.toBe(encrypted);
+    expect(decrypt(encrypted, 'key-one')).toBe('s3cr3t');
+    expect(() => decrypt(encrypted, 'key-two')).toThrow();
+
+    const parts = encrypted.split(':');
+    parts[3] = Buffer.from('forged').toString('base64');
+    expect(() => decrypt(parts.join(':'), 'key-one')).toThrow();
+  });
+});
+
+describe('DatasourceService', () => {
+  it('should store the password encrypted, never return it and record health', async () => {
+    const { service, repository, pools } = createService();
+
+    const created = await service.createDatasource(ADMIN, WAREHOUSE);
+
+    const stored = repository.create.mock.calls[0][0];
+    expect(stored).toMatchObject({ tenantId: 'acme', name: 'warehouse', createdBy: 'user:root' });
+    expect(stored.passwordEncrypted).not.toContain('s3cr3t');
+    expect(decrypt(stored.passwordEncrypted, 'test-key')).toBe('s3cr3t');
+
+    expect(created).not.toHaveProperty('passwordEncrypted');
+    expect(created).not.toHaveProperty('password');
+    expect(created).toMatchObject({ name: 'warehouse', hasPassword: true, status: 'healthy' });
+    expect(pools[0].settings).toMatchObject({ host: 'warehouse.internal', port: 5433, database: 'sales', user: 'reader', password: 's3cr3t' });
+
+    await expect(service.createDatasource(ADMIN, WAREHOUSE)).rejects.toMatchObject({ code: 'DUPLICATE_DATASOURCE' });
+    await expect(service.createDatasource({ ...ADMIN, tenantId: 'acme' }, { ...WAREHOUSE, tenantId: 'other' }))
+      .rejects.toMatchObject({ name: 'ForbiddenError' });
+  });
+
+  it('should record unreachable datasources and refuse to store passwords without a key', async () => {
+    const { service } = createService({ reachable: false });
+    const created = await service.createDatasource(ADMIN, WAREHOUSE);
+    expect(created).toMatchObject({ status: 'unreachable', lastError: 'connect ECONNREFUSED' });
+
+    const { service: keyless, repository } = createService({ encryptionKey: null });
+    await expect(keyless.createDatasource(ADMIN, WAREHOUSE)).rejects.toMatchObject({ code: 'ENCRYPTION_KEY_MISSING' });
+    expect(repository.create).not.toHaveBeenCalled();
+  });
+
+  it('should resolve datasources per tenant and role, reopening the pool after an update', async () => {
+    const { service, pools, schemaIndexRepository } = createService();
+    const { id } = await service.createDatasource(ADMIN, WAREHOUSE);
+
+    const source = await service.getSource('warehouse', ANALYST);
+    expect(source).toMatchObject({ key: `datasource:${id}`, name: 'warehouse', pool: pools[0] });
+    expect((await service.getSource('warehouse', ANALYST)).pool).toBe(pools[0]);
+
+    await expect(service.getSource('warehouse', { ...ANALYST, roles: ['support'] })).rejects.toMatchObject({ code: 'DATASOURCE_NOT_FOUND' });
+    await expect(service.getSource('warehouse', { ...ANALYST, tenantId: 'globex' })).rejects.toMatchObject({ code: 'DATASOURCE_NOT_FOUND' });
+    expect((await service.listAvailable({ ...ANALYST, roles: ['support'] })).map(datasource => datasource.name)).toEqual(['default']);
+    expect((await service.listAvailable(ANALYST)).map(datasource => datasource.name)).toEqual(['default', 'warehouse']);
+
+    await service.updateDatasource(ADMIN, id, { ...WAREHOUSE, password: undefined, host: 'replica.internal' });
+    expect(pools[0].end).toHaveBeenCalled();
+    const reopened = await service.getSource('warehouse', ANALYST);
+    expect(reopened.pool.settings).toMatchObject({ host: 'replica.internal', password: 's3cr3t' });
+
+    await service.deleteDatasource(ADMIN, id);
+    expect(reopened.pool.end).toHaveBeenCalled();
+    expect(schemaIndexRepository.removeDatasource).toHaveBeenCalledWith(`datasource:${id}`);
+  });
+});
+
+describe('AdvancedNLQService with named datasources', () => {
+  const createSource = () => ({
+    key: 'datasource:7',
+    name: 'warehouse',
+    pool: { query: jest.fn().mockResolvedValue({ rows: [{ column_name: 'region', data_type: 'text' }] }) },
+    sandbox: { run: jest.fn().mockResolvedValue({ rows: [{ region: 'north' }], fields: [{ name: 'region' }] }) }
+  });
+
+  it('should execute SQL against the selected datasource only', async () => {
+    const source = createSource();
+    const primarySandbox = { run: jest.fn() };
+    const datasourceService = { getSource: jest.fn().mockResolvedValue(source) };
+    const service = new AdvancedNLQService({ sandbox: primarySandbox, datasourceService });
+
+    const result = await service.executeSQL('SELECT region FROM sales', { datasource: 'warehouse', principal: ANALYST });
+
+    expect(result).toMatchObject({ success: true, datasource: 'warehouse', result: { data: [{ region: 'north' }] } });
+    expect(datasourceService.getSource).toHaveBeenCalledWith('warehouse', ANALYST);
+    expect(source.sandbox.run).toHaveBeenCalledWith('EXPLAIN SELECT region FROM sales');
+    expect(primarySandbox.run).not.toHaveBeenCalled();
+
+    const missing = await new AdvancedNLQService({ sandbox: primarySandbox }).executeSQL('SELECT 1', { datasource: 'warehouse' });
+    expect(missing).toMatchObject({ success: false, error: "Datasource 'warehouse' not found" });
+  });
+
+  it('should retrieve tables from the datasource index and read their schema from its pool', async () => {
+    const source = createSource();
+    const service = new AdvancedNLQService({ datasourceService: { getSource: jest.fn().mockResolvedValue(source) } });
+    service.isInitialized = true;
+    service.generateSQLWithLangChain = jest.fn().mockResolvedValue('SELECT region FROM sales');
+    service.glossaryRepository = { list: jest.fn() };
+
+    const retrieve = jest.fn().mockResolvedValue([{ tableName: 'sales', reason: 'match' }]);
+    const ensureIndex = jest.fn().mockResolvedValue({});
+    service.sourceEngines.set(source.key, {
+      pool: source.pool,
+      schemaIndexService: { ensureIndex },
+      schemaRetrievalService: { retrieve },
+      ready: null
+    });
+
+    const result = await service.processQuery('sales by region', { datasource: 'warehouse' });
+
+    expect(result).toMatchObject({ success: true, datasource: 'warehouse', generatedSQL: 'SELECT region FROM sales' });
+    expect(ensureIndex).toHaveBeenCalledTimes(1);
+    expect(retrieve).toHaveBeenCalledWith('sales by region', expect.objectContaining({ limit: 5 }));
+    expect(source.pool.query).toHaveBeenCalledWith(expect.stringContaining('information_schema.columns'), ['sales']);
+    expect(service.primaryDB.query).not.toHaveBeenCalled();
+    expect(service.glossaryRepository.list).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Evaluation Tests
+ * Tests for result equivalence, golden set runs, their summaries and run comparison
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StubProvider = require('../src/providers/StubProvider');
+const { AdvancedNLQService } = require('../src/services/AdvancedNLQService');
+const EvaluationService = require('../src/services/EvaluationService');
+const { compareResults } = require('../src/utils/resultEquivalence');
+const { getEvaluationConfig } = require('../src/config/evaluation');
+
+jest.mock('../src/config/database', () => ({
+  getPrimaryDB: jest.fn(() => ({ query: jest.fn(), connect: jest.fn() })),
+  getVectorDB: jest.fn(() => ({ query: jest.fn(), connect: jest.fn() }))
+}));
+
+const GOLDEN_SET = { name: 'shop', cases: [] };
+
+// Rows as the sandbox returns them for the golden and the generated SQL
+const ROWS = {
+  'SELECT status, COUNT(*) FROM orders GROUP BY status': {
+    rows: [{ status: 'shipped', count: '12' }, { status: 'pending', count: '3' }],
+    fields: [{ name: 'status' }, { name: 'count' }]
+  },
+  'SELECT COUNT(o.id) AS orders, o.status AS order_status FROM orders o GROUP BY o.status ORDER BY orders': {
+    rows: [{ orders: 3, order_status: 'pending' }, { orders: 12, order_status: 'shipped' }],
+    fields: [{ name: 'orders' }, { name: 'order_status' }]
+  },
+  'SELECT status FROM orders GROUP BY status': {
+    rows: [{ status: 'shipped' }, { status: 'pending' }],
+    fields: [{ name: 'status' }]
+  }
+};
+
+const createNLQService = (responses) => {
+  const sandbox = {
+    run: jest.fn(async (sql) => {
+      if (sql.startsWith('EXPLAIN')) return { rows: [] };
+      if (!ROWS[sql]) throw Object.assign(new Error(`relation "${sql}" does not exist`), { code: '42P01' });
+      return ROWS[sql];
+    })
+  };
+  const service = new AdvancedNLQService({ provider: new StubProvider({}, { responses }), sandbox });
+  service.isInitialized = true;
+  service.llm = service.provider.getChatModel();
+  service.embeddings = service.provider.getEmbeddings();
+  service.findRelevantTables = jest.fn().mockResolvedValue([{ tableName: 'orders', description: 'Orders' }]);
+  service.getCompleteTableSchemas = jest.fn().mockResolvedValue({ orders: [{ column_name: 'status', data_type: 'text' }] });
+  service.glossaryRepository = { list: jest.fn().mockResolvedValue([]) };
+  service.findSimilarExamples = jest.fn().mockResolvedValue([]);
+  return service;
+};
+
+const result = (id, passed, overrides = {}) => ({
+  id,
+  question: `Question ${id}`,
+  tags: [],
+  passed,
+  ...(passed ? {} : { category: 'wrong_result' }),
+  latencyMs: 100,
+  timings: { generation: 80, execution: 20 },
+  attempts: 1,
+  ...overrides
+});
+
+describe('compareResults', () => {
+  it('should match columns by value regardless of names, order and numeric representation', () => {
+    const expected = { columns: ['status', 'count'], rows: [{ status: 'shipped', count: '12' }, { status: 'pending', count: '3' }] };
+
+    expect(compareResults(expected, { columns: ['n', 'label', 'extra'], rows: [{ n: 3, label: 'pending', extra: 1 }, { n: 12.0, label: 'shipped', extra: 1 }] }))
+      .toEqual({ equivalent: true, columnMap: { status: 'label', count: 'n' } });
+    expect(compareResults({ rows: [[1, 'a'], [2, 'b']] }, { rows: [[1, 'b'], [2, 'a']] }))
+      .toMatchObject({ equivalent: false, reason: 'values' });
+    expect(compareResults({ rows: [['2024-03-01', 0.1 + 0.2]] }, { columns: ['day', 'x'], rows: [{ day: new Date(2024, 2, 1), x: '0.3' }] }))
+      .toMatchObject({ equivalent: true });
+  });
+
+  it('should compare row order only when it is part of the answer', () => {
+    const expected = { rows: [['a', 1], ['b', 2]] };
+    const reversed = { rows: [['b', 2], ['a', 1]] };
+
+    expect(compareResults(expected, reversed).equivalent).toBe(true);
+    expect(compareResults(expected, reversed, { ordered: true })).toMatchObject({ equivalent: false, reason: 'values' });
+    expect(compareResults(expected, { rows: [['a', 1]] })).toEqual({ equivalent: false, reason: 'row_count', detail: { expected: 2, actual: 1 } });
+    expect(compareResults(expected, { rows: [['a'], ['b']] })).toMatchObject({ equivalent: false, reason: 'columns' });
+    expect(compareResults({ rows: [[12.345]] }, { rows: [[12.3449]] }, { precision: 3 }).equivalent).toBe(true);
+  });
+});
+
+describe('EvaluationService', () => {
+  it('should pass generated SQL that is written differently but returns the same rows', async () => {
+    const nlqService = createNLQService(['SELECT COUNT(o.id) AS orders, o.status AS order_status FROM orders o GROUP BY o.status ORDER BY orders']);
+    const service = new EvaluationService({}, nlqService, getEvaluationConfig({}));
+
+    const outcome = await service.evaluateCase({
+      id: 'by-status',
+      question: 'Orders per status',
+      expectedSQL: 'SELECT status, COUNT(*) FROM orders GROUP BY status',
+      tags: ['grouping']
+    }, GOLDEN_SET, { examples: false });
+
+    expect(outcome).toMatchObject({ id: 'by-status', passed: true, attempts: 1, rowCount: 2, expectedRowCount: 2 });
+    // Evaluation measures generation: no cached answers, and examples only when asked for
+    expect(nlqService.findSimilarExamples).not.toHaveBeenCalled();
+    expect(nlqService.sandbox.run).toHaveBeenCalledWith('SELECT status, COUNT(*) FROM orders GROUP BY status', [], expect.anything());
+  });
+
+  it('should categorize wrong results, pipeline failures and broken golden cases', async () => {
+    const nlqService = createNLQService(['SELECT status FROM orders GROUP BY status', 'DELETE FROM orders']);
+    const service = new EvaluationService({}, nlqService, getEvaluationConfig({}));
+    const testCase = { id: 'by-status', question: 'Orders per status', expectedSQL: 'SELECT status, COUNT(*) FROM orders GROUP BY status' };
+
+    expect(await service.evaluateCase(testCase, GOLDEN_SET)).toMatchObject({ passed: false, category: 'wrong_result', reason: 'columns' });
+    expect(await service.evaluateCase(testCase, GOLDEN_SET)).toMatchObject({ passed: false, category: 'unsafe_sql', generatedSQL: 'DELETE FROM orders' });
+
+    nlqService.processQuery = jest.fn();
+    expect(await service.evaluateCase({ ...testCase, expectedSQL: 'SELECT missing FROM nowhere' }, GOLDEN_SET))
+      .toMatchObject({ passed: false, category: 'golden_error' });
+    expect(nlqService.processQuery).not.toHaveBeenCalled();
+
+    expect(service.categorizeFailure({ attempts: [{ stage: 'validation', code: '42703' }] })).toBe('invalid_sql');
+    expect(service.categorizeFailure({ attempts: [{ stage: 'execution', code: '57014' }] })).toBe('timeout');
+    expect(service.categorizeFailure({ attempts: [{ stage: 'validation', code: 'ACCESS_DENIED' }] })).toBe('access_denied');
+    expect(service.categorizeFailure({ error: 'LLM unavailable' })).toBe('pipeline_error');
+  });
+
+  it('should summarize accuracy, latency and failures without scoring broken golden cases', () => {
+    const service = new EvaluationService({}, {}, getEvaluationConfig({}));
+
+    const summary = service.summarize([
+      result('a', true, { tags: ['join'], latencyMs: 100 }),
+      result('b', true, { tags: ['join'], latencyMs: 300, attempts: 2 }),
+      result('c', false, { tags: ['join', 'time'], latencyMs: 200, category: 'invalid_sql' }),
+      result('d', false, { category: 'golden_error', latencyMs: undefined, timings: undefined })
+    ]);
+
+    expect(summary).toMatchObject({
+      total: 4,
+      scored: 3,
+      passed: 2,
+      failed: 1,
+      accuracy: 0.6667,
+      repaired: 1,
+      latency: { mean: 200, p50: 200, p95: 300, max: 300 },
+      stageLatency: { generation: 80, execution: 20 },
+      failures: { invalid_sql: 1, golden_error: 1 },
+      byTag: { join: { total: 3, passed: 2, accuracy: 0.6667 }, time: { total: 1, passed: 0, accuracy: 0 } }
+    });
+  });
+
+  it('should report fixed, regressed and still failing cases between runs', async () => {
+    const service = new EvaluationService({}, {}, getEvaluationConfig({}));
+    const baselineResults = [result('a', true), result('b', false), result('c', false, { category: 'execution_error' }), result('gone', true)];
+    const runResults = [result('a', false, { category: 'invalid_sql' }), result('b', true), result('c', false), result('new', true)];
+    const baseline = { id: 1, goldenSet: 'shop', status: 'completed', results: baselineResults, summary: service.summarize(baselineResults) };
+    const run = { id: 2, goldenSet: 'shop', status: 'completed', results: runResults, summary: service.summarize(runResults) };
+
+    const diff = service.compareRuns(baseline, run);
+
+    expect(diff).toMatchObject({
+      accuracyChange: 0,
+      fixed: [{ id: 'b', previousCategory: 'wrong_result' }],
+      regressed: [{ id: 'a', category: 'invalid_sql' }],
+      stillFailing: [{ id: 'c', category: 'wrong_result', previousCategory: 'execution_error' }],
+      added: ['new'],
+      removed: ['gone'],
+      failureChanges: { invalid_sql: 1, execution_error: -1 }
+    });
+
+    // The default baseline is the previous completed run of the same golden set
+    const repository = {
+      findById: jest.fn(async (id) => (id === 2 ? run : null)),
+      findPreviousCompleted: jest.fn().mockResolvedValue(baseline)
+    };
+    const stored = new EvaluationService(repository, {}, getEvaluationConfig({}));
+    expect(await stored.diffRuns(2)).toMatchObject({ baseline: { id: 1 }, run: { id: 2 } });
+    expect(repository.findPreviousCompleted).toHaveBeenCalledWith('shop', 2);
+    await expect(stored.diffRuns(2, 9)).rejects.toMatchObject({ code: 'NO_BASELINE' });
+    expect(await stored.diffRuns(3)).toBeNull();
+  });
+
+  it('should load golden sets by name and reject invalid ones', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'golden-'));
+    fs.writeFileSync(path.join(dir, 'broken.json'), JSON.stringify({
+      name: 'broken',
+      cases: [{ id: 'a', question: 'Orders per status', expectedSQL: 'SELECT 1', expectedResult: { rows: [] } }]
+    }));
+    const service = new EvaluationService({}, {}, getEvaluationConfig({ EVAL_GOLDEN_SET_DIR: dir }));
+
+    await expect(service.loadGoldenSet('broken')).rejects.toMatchObject({ code: 'INVALID_GOLDEN_SET', violations: [expect.any(String)] });
+    await expect(service.loadGoldenSet('../broken')).rejects.toMatchObject({ code: 'GOLDEN_SET_NOT_FOUND' });
+    expect(await service.listGoldenSets()).toEqual([]);
+
+    // The bundled golden set is valid
+    const bundled = new EvaluationService({}, {}, getEvaluationConfig({}));
+    const goldenSet = await bundled.loadGoldenSet('ecommerce');
+    expect(goldenSet.cases.length).toBeGreaterThan(0);
+    expect(goldenSet.cases.every(testCase => Boolean(testCase.expectedSQL) !== Boolean(testCase.expectedResult))).toBe(true);
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it('should run one evaluation at a time through the API', async () => {
+    const repository = {
+      create: jest.fn(async (run) => ({ id: 5, status: 'running', ...run })),
+      finish: jest.fn(async (id, outcome) => ({ id, ...outcome }))
+    };
+    const nlqService = createNLQService(['SELECT COUNT(o.id) AS orders, o.status AS order_status FROM orders o GROUP BY o.status ORDER BY orders']);
+    const service = new EvaluationService(repository, nlqService, getEvaluationConfig({}));
+    service.loadGoldenSet = jest.fn().mockResolvedValue({
+      name: 'shop',
+      cases: [{ id: 'by-status', question: 'Orders per status', expectedSQL: 'SELECT status, COUNT(*) FROM orders GROUP BY status', tags: [] }]
+    });
+
+    const run = await service.startRun({ id: 'user:root' }, { goldenSet: 'shop', label: 'baseline' });
+    expect(run).toMatchObject({ id: 5, goldenSet: 'shop', label: 'baseline', createdBy: 'user:root', settings: { provider: 'stub', examples: true, cases: 1 } });
+    await expect(service.startRun({ id: 'user:root' }, { goldenSet: 'shop' })).rejects.toMatchObject({ code: 'EVALUATION_RUNNING' });
+
+    await new Promise(resolve => setImmediate(resolve));
+    await new Promise(resolve => setImmediate(resolve));
+    expect(repository.finish).toHaveBeenCalledWith(5, expect.objectContaining({ status: 'completed', summary: expect.objectContaining({ passed: 1 }) }));
+    expect(service.activeRunId).toBeNull();
+  });
+});
@@ -0,0 +1,116 @@
+const { PassThrough } = require('stream');
+const { ParquetReader } = require('@dsnp/parquetjs');
+const ExporterFactory = require('../src/factories/ExporterFactory');
+const ExportService = require('../src/services/ExportService');
+const QuerySandbox = require('../src/services/QuerySandbox');
+const { describeColumns } = require('../src/exporters/columnTypes');
+
+const FIELDS = [
+  { name: 'id', dataTypeID: 20, dataTypeModifier: -1 },
+  { name: 'name', dataTypeID: 25, dataTypeModifier: -1 },
+  { name: 'amount', dataTypeID: 1700, dataTypeModifier: ((12 << 16) | 2) + 4 },
+  { name: 'opened_on', dataTypeID: 1082, dataTypeModifier: -1 }
+];
+
+const ROWS = [
+  { id: '9007199254740993', name: 'Asha, "A"', amount: '1200.50', opened_on: new Date(2024, 0, 31) },
+  { id: '2', name: '=HYPERLINK("x")', amount: null, opened_on: null }
+];
+
+/**
+ * Run an exporter over rows and collect its output
+ */
+const exportRows = async (format, rows) => {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  const done = new Promise(resolve => output.on('end', resolve));
+
+  const exporter = ExporterFactory.createExporter(format, output, describeColumns(FIELDS));
+  await exporter.start();
+  await exporter.writeRows(rows);
+  await exporter.finish();
+  await done;
+
+  return Buffer.concat(chunks);
+};
+
+describe('Exporters', () => {
+  it('should escape CSV cells and guard against formulas', async () => {
+    const csv = (await exportRows('csv', ROWS)).toString();
+
+    expect(csv).toBe([
+      'id,name,amount,opened_on',
+      '9007199254740993,"Asha, ""A""",1200.50,2024-01-31',
+      '2,"\'=HYPERLINK(""x"")",,',
+      ''
+    ].join('\r\n'));
+  });
+
+  it('should keep large bigints exact and dates as ISO dates in NDJSON', async () => {
+    const lines = (await exportRows('ndjson', ROWS)).toString().trim().split('\n');
+
+    expect(lines[0]).toBe('{"id":"9007199254740993","name":"Asha, \\"A\\"","amount":"1200.50","opened_on":"2024-01-31"}');
+    expect(JSON.parse(lines[1])).toEqual({ id: 2, name: '=HYPERLINK("x")', amount: null, opened_on: null });
+  });
+
+  it('should write typed Parquet columns', async () => {
+    const reader = await ParquetReader.openBuffer(await exportRows('parquet', ROWS));
+    const fields = reader.getSchema().fields;
+    const cursor = reader.getCursor();
+    const first = await cursor.next();
+    await reader.close();
+
+    expect(fields.id.primitiveType).toBe('INT64');
+    expect(fields.amount.originalType).toBe('DECIMAL');
+    expect(fields.opened_on.originalType).toBe('DATE');
+    expect(first.id).toBe(9007199254740993n);
+    expect(first.name).toBe('Asha, "A"');
+  });
+});
+
+describe('QuerySandbox.stream', () => {
+  it('should read the cursor in batches and close it', async () => {
+    const batches = [[{ id: 1 }, { id: 2 }], [{ id: 3 }]];
+    const cursor = {
+      read: jest.fn((size, callback) => callback(null, batches.shift() || [], { fields: [{ name: 'id' }] })),
+      close: jest.fn().mockResolvedValue()
+    };
+    const client = {
+      // pg returns submittables such as a Cursor as-is
+      query: jest.fn((sql) => (typeof sql === 'string' ? Promise.resolve({}) : cursor)),
+      release: jest.fn()
+    };
+    const sandbox = new QuerySandbox({ connect: jest.fn().mockResolvedValue(client) }, {
+      enabled: true, role: null, statementTimeoutMs: 1000, lockTimeoutMs: 1000, workMem: '4MB'
+    });
+    const onBatch = jest.fn().mockResolvedValue();
+
+    const total = await sandbox.stream('SELECT id FROM loans', [], onBatch, { batchSize: 2 });
+
+    expect(total).toBe(3);
+    expect(onBatch.mock.calls.map(call => call[0].length)).toEqual([2, 1]);
+    expect(cursor.close).toHaveBeenCalled();
+    expect(client.release).toHaveBeenCalled();
+  });
+});
+
+describe('ExportService', () => {
+  it('should refuse history entries without successful SQL', async () => {
+    const queryLogRepository = { findById: jest.fn().mockResolvedValue({ id: 4, success: false, generatedSQL: null }) };
+    const service = new ExportService({}, {}, queryLogRepository, {});
+
+    await expect(service.prepareExport({ historyId: 4 }, 'csv')).rejects.toMatchObject({ code: 'NOT_EXPORTABLE' });
+  });
+
+  it('should name the file after the stored result', async () => {
+    const queryResultRepository = { findById: jest.fn().mockResolvedValue({ id: 'abc', sql: 'SELECT 1' }) };
+    const service = new ExportService({}, queryResultRepository, {}, {});
+
+    expect(await service.prepareExport({ resultId: 'abc' }, 'xlsx')).toMatchObject({
+      sql: 'SELECT 1',
+      filename: 'result-abc.xlsx',
+      contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    });
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Feedback Tests
+ * Tests for answer ratings, SQL corrections, their review and the accuracy report
+ */
+
+const StubProvider = require('../src/providers/StubProvider');
+const { AdvancedNLQService } = require('../src/services/AdvancedNLQService');
+const FeedbackService = require('../src/services/FeedbackService');
+const FeedbackController = require('../src/controllers/FeedbackController');
+const SQLSafetyValidator = require('../src/services/SQLSafetyValidator');
+const { getAuthConfig } = require('../src/config/auth');
+
+jest.mock('../src/config/database', () => ({
+  getPrimaryDB: jest.fn(() => ({ query: jest.fn(), connect: jest.fn() })),
+  getVectorDB: jest.fn(() => ({ query: jest.fn(), connect: jest.fn() }))
+}));
+
+const ANALYST = { id: 'user:ana', userId: 'ana', tenantId: 'acme', roles: ['analyst'], attributes: {} };
+const ADMIN = { id: 'user:root', userId: 'root', tenantId: 'acme', roles: ['admin'], attributes: {} };
+
+const HISTORY = [
+  {
+    id: 1,
+    type: 'nlq',
+    query: 'Top 5 customers by spend',
+    generatedSQL: 'SELECT c.id, SUM(o.total_amount) AS spent FROM customers c JOIN orders o ON o.customer_id = c.id GROUP BY c.id ORDER BY spent DESC LIMIT 5',
+    datasource: 'default'
+  },
+  { id: 2, type: 'sql', query: 'SELECT 1', generatedSQL: 'SELECT 1', datasource: 'default' },
+  { id: 3, type: 'nlq', query: 'Loans by branch', generatedSQL: 'SELECT branch_id, COUNT(*) FROM loans GROUP BY branch_id', datasource: 'warehouse' }
+];
+
+const createService = ({ run, feedback = [] } = {}) => {
+  const nlqService = new AdvancedNLQService({
+    provider: new StubProvider(),
+    sandbox: { run: run || jest.fn().mockResolvedValue({ rows: [] }) }
+  });
+  const rows = [...feedback];
+  const feedbackRepository = {
+    rows,
+    upsert: jest.fn(async (entry) => ({ id: rows.length + 1, ...entry, reviewStatus: entry.correctedSQL ? 'pending' : null })),
+    findById: jest.fn(async (id) => rows.find(row => row.id === id) || null),
+    review: jest.fn(async (id, review) => {
+      const row = rows.find(candidate => candidate.id === id && candidate.reviewStatus === 'pending');
+      return row ? Object.assign(row, { reviewStatus: review.status, exampleId: review.exampleId }) : null;
+    }),
+    getAccuracy: jest.fn().mockResolvedValue({ overall: {}, byTable: [], byPattern: [] })
+  };
+  const queryLogRepository = { findById: jest.fn(async (id) => HISTORY.find(entry => entry.id === id) || null) };
+  const sqlExampleService = {
+    createExample: jest.fn(async (principal, data, tenantId) => ({ example: { id: 42, ...data, tenantId } })),
+    sqlExampleRepository: { delete: jest.fn() }
+  };
+  const service = new FeedbackService(
+    feedbackRepository,
+    queryLogRepository,
+    nlqService,
+    sqlExampleService,
+    getAuthConfig({ AUTH_DEFAULT_TENANT: 'default' })
+  );
+  return { service, feedbackRepository, sqlExampleService };
+};
+
+const pending = (overrides = {}) => ({
+  id: 1,
+  tenantId: 'acme',
+  question: 'Top 5 customers by spend',
+  correctedSQL: 'SELECT c.id FROM customers c LIMIT 5',
+  datasource: 'default',
+  reviewStatus: 'pending',
+  ...overrides
+});
+
+describe('SQLSafetyValidator patterns', () => {
+  it('should report the structural patterns of a query', async () => {
+    const validator = new SQLSafetyValidator();
+
+    expect((await validator.validate(HISTORY[0].generatedSQL)).patterns).toEqual(['aggregation', 'grouping', 'join', 'top_n']);
+    expect((await validator.validate("SELECT * FROM orders WHERE created_at >= CURRENT_DATE - INTERVAL '7 days'")).patterns).toEqual(['time']);
+    expect((await validator.validate('WITH r AS (SELECT id, RANK() OVER (ORDER BY id) FROM orders) SELECT * FROM r')).patterns).toEqual(['cte', 'window']);
+    expect((await validator.validate('SELECT * FROM orders')).patterns).toEqual([]);
+  });
+});
+
+describe('FeedbackService', () => {
+  it('should rate natural language history entries with their tables and patterns', async () => {
+    const { service, feedbackRepository } = createService();
+
+    const feedback = await service.rate(ANALYST, 1, { rating: 'up', comment: 'Spot on' });
+
+    expect(feedback).toMatchObject({
+      queryLogId: 1,
+      tenantId: 'acme',
+      userId: 'user:ana',
+      rating: 'up',
+      question: 'Top 5 customers by spend',
+      tables: ['customers', 'orders'],
+      patterns: ['aggregation', 'grouping', 'join', 'top_n']
+    });
+    expect(await service.rate(ANALYST, 99, { rating: 'down' })).toBeNull();
+    await expect(service.rate(ANALYST, 2, { rating: 'down' })).rejects.toMatchObject({ code: 'INVALID_FEEDBACK' });
+    expect(feedbackRepository.upsert).toHaveBeenCalledTimes(1);
+  });
+
+  it('should queue valid corrections for review and reject SQL the database cannot plan', async () => {
+    const run = jest.fn().mockResolvedValue({ rows: [] });
+    const { service, feedbackRepository } = createService({ run });
+
+    const feedback = await service.correct(ANALYST, 1, { sql: 'SELECT c.id FROM customers c LIMIT 5' });
+    expect(feedback).toMatchObject({ rating: 'down', correctedSQL: 'SELECT c.id FROM customers c LIMIT 5', reviewStatus: 'pending' });
+    expect(run).toHaveBeenCalledWith('EXPLAIN SELECT c.id FROM customers c LIMIT 5');
+
+    run.mockRejectedValue(Object.assign(new Error('column "nme" does not exist'), { code: '42703' }));
+    await expect(service.correct(ANALYST, 1, { sql: 'SELECT nme FROM customers' }))
+      .rejects.toMatchObject({ code: 'INVALID_CORRECTION', sqlState: '42703' });
+    await expect(service.correct(ANALYST, 1, { sql: 'DROP TABLE customers' })).rejects.toMatchObject({ code: 'UNSAFE_SQL' });
+    expect(feedbackRepository.upsert).toHaveBeenCalledTimes(1);
+  });
+
+  it('should turn approved corrections on the primary database into SQL examples', async () => {
+    const { service, feedbackRepository, sqlExampleService } = createService({
+      feedback: [pending(), pending({ id: 2, datasource: 'warehouse' }), pending({ id: 3, tenantId: 'globex' })]
+    });
+
+    const approved = await service.approve(ADMIN, 1, { sql: 'SELECT c.id, c.email FROM customers c LIMIT 5', note: 'Edited' });
+    expect(sqlExampleService.createExample).toHaveBeenCalledWith(ADMIN, {
+      question: 'Top 5 customers by spend',
+      sql: 'SELECT c.id, c.email FROM customers c LIMIT 5',
+      description: undefined,
+      source: 'feedback'
+    }, 'acme');
+    expect(approved.feedback).toMatchObject({ reviewStatus: 'approved', exampleId: 42 });
+
+    // Examples describe the primary database only
+    const warehouse = await service.approve(ADMIN, 2);
+    expect(warehouse).toMatchObject({ feedback: { reviewStatus: 'approved' }, example: null });
+    expect(sqlExampleService.createExample).toHaveBeenCalledTimes(1);
+
+    // Other tenants' corrections do not exist for this admin; reviewed ones cannot be reviewed again
+    expect(await service.approve(ADMIN, 3)).toBeNull();
+    await expect(service.reject(ADMIN, 1, { note: 'Changed my mind' })).rejects.toMatchObject({ code: 'NOT_PENDING' });
+    expect(feedbackRepository.review).toHaveBeenCalledTimes(2);
+  });
+
+  it('should drop the new example when the correction was reviewed concurrently', async () => {
+    const { service, feedbackRepository, sqlExampleService } = createService({ feedback: [pending()] });
+    feedbackRepository.review.mockResolvedValue(null);
+
+    await expect(service.approve({ ...ADMIN, tenantId: null }, 1)).rejects.toMatchObject({ code: 'NOT_PENDING' });
+    expect(sqlExampleService.createExample).toHaveBeenCalledWith(expect.anything(), expect.anything(), 'acme');
+    expect(sqlExampleService.sqlExampleRepository.delete).toHaveBeenCalledWith(42, 'acme');
+  });
+
+  it('should report on the admin tenant only', async () => {
+    const { service, feedbackRepository } = createService();
+
+    await service.getReport(ADMIN, { datasource: 'default' });
+    expect(feedbackRepository.getAccuracy).toHaveBeenCalledWith({ tenantId: 'acme', datasource: 'default', from: undefined, to: undefined });
+
+    await service.getReport({ ...ADMIN, tenantId: null }, {});
+    expect(feedbackRepository.getAccuracy).toHaveBeenLastCalledWith(expect.objectContaining({ tenantId: null }));
+
+    const controller = new FeedbackController(service);
+    const next = jest.fn();
+    await controller.getReport({ principal: ADMIN, query: { tenantId: 'globex' } }, {}, next);
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ name: 'ForbiddenError' }));
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Glossary Tests
+ * Tests for glossary management and its use in the schema index and prompts
+ */
+
+const StubProvider = require('../src/providers/StubProvider');
+const GlossaryService = require('../src/services/GlossaryService');
+const SchemaIndexService = require('../src/services/SchemaIndexService');
+const { AdvancedNLQService } = require('../src/services/AdvancedNLQService');
+const { getRetrievalConfig } = require('../src/config/retrieval');
+const { schemas } = require('../src/middleware/validation');
+
+jest.mock('../src/config/database', () => ({
+  getPrimaryDB: jest.fn(() => ({ query: jest.fn(), connect: jest.fn() })),
+  getVectorDB: jest.fn(() => ({ query: jest.fn(), connect: jest.fn() }))
+}));
+
+const entries = [
+  { type: 'description', tableName: 'orders', columnName: null, definition: 'Customer purchases' },
+  { type: 'synonym', tableName: 'orders', columnName: 'total_amount', term: 'revenue' },
+  { type: 'metric', tableName: 'orders', columnName: null, term: 'average order value', definition: 'AVG(total_amount)' },
+  { type: 'value_alias', tableName: 'orders', columnName: 'status', term: 'open orders', value: "pending'" }
+];
+
+describe('GlossaryService', () => {
+  it('should re-index after a change and report a failed re-index without throwing', async () => {
+    const repository = { create: jest.fn(async (entry) => ({ id: 1, ...entry })), delete: jest.fn().mockResolvedValue(null) };
+    const nlqService = { refreshSchemaMetadata: jest.fn().mockRejectedValue(new Error('embedding API down')) };
+    const service = new GlossaryService(repository, nlqService);
+
+    const result = await service.createEntry(entries[1]);
+
+    expect(result.entry.id).toBe(1);
+    expect(result.index).toEqual({ error: 'embedding API down' });
+    expect(await service.deleteEntry(99)).toBeNull();
+    expect(nlqService.refreshSchemaMetadata).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep entries to the tenant of the caller', async () => {
+    const repository = { list: jest.fn().mockResolvedValue([]), update: jest.fn().mockResolvedValue(null) };
+    const service = new GlossaryService(repository, { refreshSchemaMetadata: jest.fn() });
+    const principal = { id: 'user:ana', tenantId: 'acme', roles: ['admin'] };
+
+    await service.listEntries({ table: 'orders' }, principal);
+    expect(await service.updateEntry(3, entries[0], principal)).toBeNull();
+
+    expect(repository.list).toHaveBeenCalledWith(expect.objectContaining({ tableNames: ['orders'], tenantId: 'acme' }));
+    expect(repository.update).toHaveBeenCalledWith(3, entries[0], 'acme');
+    expect(service.nlqService.refreshSchemaMetadata).not.toHaveBeenCalled();
+  });
+
+  it('should require the fields of each entry type', () => {
+    expect(schemas.glossaryEntry.validate({ type: 'synonym', tableName: 'orders', term: 'revenue' }).error).toBeUndefined();
+    expect(schemas.glossaryEntry.validate({ type: 'metric', tableName: 'orders', term: 'aov' }).error).toBeDefined();
+    expect(schemas.glossaryEntry.validate({ type: 'value_alias', tableName: 'orders', term: 'open', value: 'pending' }).error).toBeDefined();
+    expect(schemas.glossaryEntry.validate({ type: 'description', tableName: 'orders; drop', definition: 'x' }).error).toBeDefined();
+  });
+});
+
+describe('SchemaIndexService glossary', () => {
+  it('should merge entries into search text and the fingerprint', async () => {
+    const primaryDB = {
+      query: jest.fn().mockResolvedValue({
+        rows: ['total_amount', 'status'].map(columnName => ({
+          table_name: 'orders',
+          table_comment: null,
+          column_name: columnName,
+          data_type: 'text',
+          type_category: 'N'
+        }))
+      })
+    };
+    const glossaryRepository = { list: jest.fn().mockResolvedValue([]) };
+    const service = new SchemaIndexService({}, primaryDB, new StubProvider(), getRetrievalConfig({}), glossaryRepository);
+
+    const [plain] = await service.introspect();
+    glossaryRepository.list.mockResolvedValue(entries);
+    const [table] = await service.introspect();
+    const elements = service.toElements([table]);
+
+    expect(plain.description).toBe('Table containing orders data');
+    expect(elements[0].searchText).toContain('Customer purchases');
+    expect(elements[0].searchText).toContain('Metric average order value: AVG(total_amount)');
+    expect(elements.find(e => e.columnName === 'total_amount').searchText).toContain('Also called revenue');
+    expect(service.fingerprint(table)).not.toBe(service.fingerprint(plain));
+    // The index is shared by every tenant
+    expect(glossaryRepository.list).toHaveBeenCalledWith({ tenantId: null });
+  });
+});
+
+describe('AdvancedNLQService glossary context', () => {
+  it('should list business terms with the table they belong to', () => {
+    const service = new AdvancedNLQService({ provider: new StubProvider() });
+
+    const context = service.buildSchemaContext(
+      [{ tableName: 'orders', description: 'Customer purchases' }, { tableName: 'customers', description: 'People' }],
+      { orders: [{ column_name: 'total_amount', data_type: 'numeric' }] },
+      entries
+    );
+
+    expect(context).toContain('"revenue" refers to orders.total_amount');
+    expect(context).toContain('"average order value" is computed as AVG(total_amount)');
+    expect(context).toContain("\"open orders\" means orders.status = 'pending'''");
+    expect(context.split('Table: customers')[1]).not.toContain('Business terms');
+  });
+});
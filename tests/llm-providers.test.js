@@ -0,0 +1,85 @@
+/**
+ * LLM Provider Tests
+ * Tests for provider selection and the offline stub provider
+ */
+
+const LLMProviderFactory = require('../src/factories/LLMProviderFactory');
+const { getLLMConfig } = require('../src/config/llm');
+const StubProvider = require('../src/providers/StubProvider');
+const { AdvancedNLQService } = require('../src/services/AdvancedNLQService');
+
+jest.mock('../src/config/database', () => ({
+  getPrimaryDB: jest.fn(() => ({ query: jest.fn(), connect: jest.fn() })),
+  getVectorDB: jest.fn(() => ({ query: jest.fn(), connect: jest.fn() }))
+}));
+
+describe('LLMProviderFactory', () => {
+  it('should create each supported provider from config', () => {
+    const expected = {
+      gemini: { geminiApiKey: 'key' },
+      openai: { openaiApiKey: 'key' },
+      local: {},
+      stub: {}
+    };
+
+    for (const [name, extra] of Object.entries(expected)) {
+      const provider = LLMProviderFactory.createProvider(getLLMConfig({ LLM_PROVIDER: name, ...extra }));
+      expect(provider.name).toBe(name);
+      expect(provider.getInfo().chatModel).toBeTruthy();
+    }
+  });
+
+  it('should honour model overrides', () => {
+    const provider = LLMProviderFactory.createProvider(getLLMConfig({
+      LLM_PROVIDER: 'local',
+      LLM_CHAT_MODEL: 'qwen2.5-coder',
+      LLM_BASE_URL: 'http://llm.internal:8000/v1'
+    }));
+
+    expect(provider.getInfo()).toMatchObject({
+      provider: 'local',
+      chatModel: 'qwen2.5-coder',
+      baseUrl: 'http://llm.internal:8000/v1'
+    });
+  });
+
+  it('should reject unknown providers', () => {
+    expect(() => LLMProviderFactory.createProvider({ provider: 'nope' })).toThrow(/Unknown LLM provider/);
+  });
+});
+
+describe('StubProvider', () => {
+  it('should produce deterministic, normalized embeddings', async () => {
+    const provider = new StubProvider({ embeddingDimensions: 64 });
+    const embeddings = provider.getEmbeddings();
+
+    const first = await embeddings.embedQuery('total revenue by category');
+    const second = await embeddings.embedQuery('total revenue by category');
+    const norm = Math.sqrt(first.reduce((sum, value) => sum + value * value, 0));
+
+    expect(first).toHaveLength(64);
+    expect(first).toEqual(second);
+    expect(norm).toBeCloseTo(1, 6);
+  });
+
+  it('should answer with scripted responses in order', async () => {
+    const provider = new StubProvider({}, { responses: ['SELECT 1', 'SELECT 2'] });
+
+    expect(await provider.generateText('a')).toBe('SELECT 1');
+    expect(await provider.generateText('b')).toBe('SELECT 2');
+    expect(await provider.generateText('c')).toBe('SELECT 1');
+  });
+
+  it('should drive SQL generation in AdvancedNLQService without network', async () => {
+    const service = new AdvancedNLQService({ provider: new StubProvider() });
+    service.llm = service.provider.getChatModel();
+
+    const sql = await service.generateSQLWithLangChain(
+      'show me customers',
+      [{ tableName: 'customers', description: 'Customer records' }],
+      { customers: [{ column_name: 'id', data_type: 'integer' }] }
+    );
+
+    expect(sql).toBe('SELECT * FROM customers LIMIT 10');
+  });
+});
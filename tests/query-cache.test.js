@@ -0,0 +1,187 @@
+/**
+ * Query Cache Tests
+ * Tests for exact and semantic reuse of validated SQL, invalidation and metrics
+ */
+
+const StubProvider = require('../src/providers/StubProvider');
+const { AdvancedNLQService } = require('../src/services/AdvancedNLQService');
+const QueryCacheService = require('../src/services/QueryCacheService');
+const { normalizeQuestion } = require('../src/services/QueryCacheService');
+const { getQueryCacheConfig } = require('../src/config/queryCache');
+
+jest.mock('../src/config/database', () => ({
+  getPrimaryDB: jest.fn(() => ({ query: jest.fn(), connect: jest.fn() })),
+  getVectorDB: jest.fn(() => ({ query: jest.fn(), connect: jest.fn() }))
+}));
+
+const ANALYST = { id: 'user:ana', userId: 'ana', tenantId: 'acme', roles: ['analyst'], attributes: {} };
+
+const cosine = (a, b) => {
+  const dot = a.reduce((sum, value, i) => sum + value * b[i], 0);
+  const norm = (v) => Math.sqrt(v.reduce((sum, value) => sum + value * value, 0));
+  return dot / (norm(a) * norm(b));
+};
+
+const sameScope = (entry, scope) => ['tenantId', 'datasource', 'accessScope', 'schemaVersion']
+  .every(field => entry[field] === scope[field]);
+
+// In-memory stand-in for the pgvector table
+const createRepository = () => {
+  const entries = [];
+  let nextId = 1;
+  return {
+    entries,
+    initialize: jest.fn().mockResolvedValue(),
+    findExact: jest.fn(async (scope, questionHash) => entries.find(entry => sameScope(entry, scope) && entry.questionHash === questionHash) || null),
+    findNearest: jest.fn(async (scope, embedding) => entries
+      .filter(entry => sameScope(entry, scope) && entry.embedding)
+      .map(entry => ({ ...entry, similarity: cosine(entry.embedding, embedding) }))
+      .sort((a, b) => b.similarity - a.similarity)[0] || null),
+    save: jest.fn(async (entry) => {
+      const saved = { ...entry, id: nextId++, hitCount: 0, createdAt: new Date() };
+      entries.push(saved);
+      return saved;
+    }),
+    recordHit: jest.fn(async (id) => {
+      entries.find(entry => entry.id === id).hitCount++;
+    }),
+    delete: jest.fn(async (id) => {
+      entries.splice(entries.findIndex(entry => entry.id === id), 1);
+    }),
+    deleteWhere: jest.fn(async ({ datasource, before }) => {
+      const removed = entries.filter(entry => (!datasource || entry.datasource === datasource)
+        && (!before || entry.createdAt < before));
+      removed.forEach(entry => entries.splice(entries.indexOf(entry), 1));
+      return removed.length;
+    }),
+    getStats: jest.fn().mockResolvedValue([])
+  };
+};
+
+const createService = ({ responses = ['SELECT COUNT(*) AS total FROM loans'], run } = {}) => {
+  const repository = createRepository();
+  const queryCacheService = new QueryCacheService(repository, getQueryCacheConfig({ QUERY_CACHE_SIMILARITY_THRESHOLD: '0.7' }));
+  const service = new AdvancedNLQService({
+    provider: new StubProvider({}, { responses }),
+    sandbox: { run: run || jest.fn().mockResolvedValue({ rows: [{ total: 3 }], fields: [{ name: 'total' }] }) },
+    queryCacheService
+  });
+  service.isInitialized = true;
+  service.llm = service.provider.getChatModel();
+  service.schemaIndexService = {
+    getSchemaVersion: jest.fn().mockResolvedValue('v1'),
+    syncIndex: jest.fn().mockResolvedValue({ indexed: ['loans'] })
+  };
+  service.findRelevantTables = jest.fn().mockResolvedValue([{ tableName: 'loans', description: 'Loan records', reason: 'match' }]);
+  service.getCompleteTableSchemas = jest.fn().mockResolvedValue({ loans: [{ column_name: 'id', data_type: 'integer' }] });
+  service.glossaryRepository = { list: jest.fn().mockResolvedValue([]) };
+  service.generateSQLWithLangChain = jest.fn(service.generateSQLWithLangChain.bind(service));
+  return { service, repository, queryCacheService };
+};
+
+describe('Question normalization', () => {
+  it('should ignore case, spacing, quotes and final punctuation', () => {
+    expect(normalizeQuestion('  How many   LOANS?  ')).toBe('how many loans');
+    expect(normalizeQuestion('"how many loans"')).toBe('how many loans');
+    expect(normalizeQuestion('how many loans by status?')).not.toBe(normalizeQuestion('how many loans'));
+  });
+});
+
+describe('AdvancedNLQService with the query cache', () => {
+  it('should reuse SQL for a repeated question without retrieval or generation', async () => {
+    const { service, repository, queryCacheService } = createService();
+
+    const first = await service.processQuery('How many loans?', { principal: ANALYST });
+    expect(first).toMatchObject({ success: true, cache: { hit: false } });
+    expect(repository.entries).toHaveLength(1);
+    expect(repository.entries[0]).toMatchObject({
+      tenantId: 'acme', datasource: 'default', accessScope: 'analyst', schemaVersion: 'v1', generatedSQL: 'SELECT COUNT(*) AS total FROM loans'
+    });
+
+    const second = await service.processQuery('how many  LOANS', { principal: ANALYST });
+    expect(second).toMatchObject({
+      success: true,
+      generatedSQL: 'SELECT COUNT(*) AS total FROM loans',
+      result: { data: [{ total: 3 }] },
+      cache: { hit: true, level: 'exact', similarity: 1 },
+      relevantTables: [{ tableName: 'loans', description: 'Loan records' }]
+    });
+    expect(service.findRelevantTables).toHaveBeenCalledTimes(1);
+    expect(service.generateSQLWithLangChain).toHaveBeenCalledTimes(1);
+    expect(repository.entries[0].hitCount).toBe(1);
+
+    // Other roles may see other tables, so they do not share entries
+    const admin = await service.processQuery('How many loans?', { principal: { ...ANALYST, roles: ['admin'] } });
+    expect(admin.cache).toEqual({ hit: false });
+
+    // Row filters read attributes, so callers with other attributes do not share entries either
+    const north = await service.processQuery('How many loans?', { principal: { ...ANALYST, attributes: { region: 'north' } } });
+    expect(north.cache).toEqual({ hit: false });
+    expect(repository.entries[2].accessScope).toMatch(/^analyst#[0-9a-f]{64}$/);
+
+    const { metrics } = await queryCacheService.getStats(ANALYST);
+    expect(metrics).toMatchObject({ exactHits: 1, semanticHits: 0, misses: 3, stores: 3, lookups: 4 });
+    expect(metrics.hitRate).toBeCloseTo(1 / 4);
+  });
+
+  it('should reuse SQL for paraphrases above the similarity threshold only', async () => {
+    const { service } = createService({ responses: ['SELECT COUNT(*) AS total FROM loans', 'SELECT region FROM branches'] });
+    await service.processQuery('How many loans?', { principal: ANALYST });
+
+    const paraphrase = await service.processQuery('how many loans are there', { principal: ANALYST });
+    expect(paraphrase.cache).toMatchObject({ hit: true, level: 'semantic' });
+    expect(paraphrase.cache.similarity).toBeGreaterThanOrEqual(0.7);
+    expect(paraphrase.generatedSQL).toBe('SELECT COUNT(*) AS total FROM loans');
+
+    const unrelated = await service.processQuery('branch regions', { principal: ANALYST });
+    expect(unrelated).toMatchObject({ cache: { hit: false }, generatedSQL: 'SELECT region FROM branches' });
+    // The lookup's embedding is reused for retrieval
+    expect(service.findRelevantTables.mock.calls[1][2].queryEmbedding).toHaveLength(768);
+
+    const bypassed = await service.processQuery('How many loans?', { principal: ANALYST, cache: false });
+    expect(bypassed).not.toHaveProperty('cache');
+    expect(service.generateSQLWithLangChain).toHaveBeenCalledTimes(3);
+  });
+
+  it('should miss after a schema change and drop entries on refresh', async () => {
+    const { service, repository } = createService();
+    await service.processQuery('How many loans?', { principal: ANALYST });
+
+    service.schemaIndexService.getSchemaVersion.mockResolvedValue('v2');
+    expect((await service.processQuery('How many loans?', { principal: ANALYST })).cache).toEqual({ hit: false });
+    expect(repository.entries.map(entry => entry.schemaVersion)).toEqual(['v1', 'v2']);
+
+    await service.refreshSchemaMetadata();
+    expect(repository.deleteWhere).toHaveBeenCalledWith({ datasource: 'default' });
+    expect(repository.entries).toHaveLength(0);
+  });
+
+  it('should discard cached SQL that no longer runs and generate afresh', async () => {
+    const brokenColumn = Object.assign(new Error('column "total" does not exist'), { code: '42703' });
+    const run = jest.fn()
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ total: 3 }], fields: [{ name: 'total' }] })
+      .mockRejectedValueOnce(brokenColumn)
+      .mockResolvedValue({ rows: [{ total: 3 }], fields: [{ name: 'total' }] });
+    const { service, repository, queryCacheService } = createService({ run });
+    await service.processQuery('How many loans?', { principal: ANALYST });
+
+    const result = await service.processQuery('How many loans?', { principal: ANALYST });
+
+    expect(result).toMatchObject({ success: true, cache: { hit: false } });
+    expect(repository.delete).toHaveBeenCalledWith(1);
+    expect(service.generateSQLWithLangChain).toHaveBeenCalledTimes(2);
+    expect(repository.entries).toHaveLength(1);
+    expect(queryCacheService.metrics).toMatchObject({ exactHits: 1, rejected: 1, stores: 2 });
+  });
+
+  it('should answer without the cache when it fails', async () => {
+    const { service, repository, queryCacheService } = createService();
+    repository.findExact.mockRejectedValue(new Error('Failed to look up query cache'));
+
+    const result = await service.processQuery('How many loans?', { principal: ANALYST });
+
+    expect(result).toMatchObject({ success: true, cache: { hit: false } });
+    expect(queryCacheService.metrics.errors).toBe(1);
+  });
+});
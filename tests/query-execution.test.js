@@ -4,6 +4,7 @@
  */
 
 const QueryExecutionService = require('../src/services/QueryExecutionService');
+const QuerySandbox = require('../src/services/QuerySandbox');
 
 // Mock the database
 jest.mock('../src/config/database', () => ({
@@ -33,7 +34,9 @@ describe('QueryExecutionService', () => {
         'SELECT * FROM customers',
         'SELECT id, name FROM customers WHERE id = 1',
         'SELECT COUNT(*) FROM orders',
-        'SELECT c.name, o.amount FROM customers c JOIN orders o ON c.id = o.customer_id'
+        'SELECT c.name, o.amount FROM customers c JOIN orders o ON c.id = o.customer_id',
+        'SELECT id, created_at, updated_at FROM customers',
+        'WITH RECURSIVE t AS (SELECT 1) SELECT * FROM t'
       ];
 
       for (const sql of validQueries) {
@@ -97,7 +100,10 @@ describe('QueryExecutionService', () => {
       const nonSelectQueries = [
         'CREATE TABLE test (id INT)',
         'EXPLAIN SELECT * FROM customers',
-        'WITH RECURSIVE t AS (SELECT 1) SELECT * FROM t'
+        'SELECT * FROM customers; DROP TABLE customers',
+        'WITH d AS (DELETE FROM orders RETURNING *) SELECT * FROM d',
+        'SELECT * INTO backup FROM customers',
+        'SELECT 1 AS a INTO newtab UNION SELECT 2'
       ];
 
       for (const sql of nonSelectQueries) {
@@ -263,6 +269,23 @@ describe('QueryExecutionService', () => {
     });
   });
 
+  describe('row cap', () => {
+    it('should fetch through the cursor only for executed queries, never for EXPLAIN', async () => {
+      const client = { query: jest.fn().mockResolvedValue({ rows: [{ 'QUERY PLAN': [{ 'Total Cost': 25.0, 'Plan Rows': 100 }] }] }), release: jest.fn() };
+      queryService.sandbox = new QuerySandbox({ connect: jest.fn().mockResolvedValue(client) }, { ...queryService.sandbox.config, enabled: false });
+
+      await queryService.estimateQueryCost('SELECT * FROM customers');
+      await queryService.validateSyntax('SELECT * FROM customers');
+      const explains = client.query.mock.calls.map(call => call[0]).filter(sql => sql.includes('EXPLAIN'));
+      expect(explains).toEqual(['EXPLAIN (FORMAT JSON) SELECT * FROM customers', 'EXPLAIN SELECT * FROM customers']);
+
+      client.query.mockClear();
+      queryService.sandbox.run = jest.fn().mockResolvedValue({ rows: [], fields: [], rowCount: 0 });
+      await queryService.executeQuery('SELECT id FROM customers', { maxResults: 5 });
+      expect(queryService.sandbox.run).toHaveBeenCalledWith(expect.any(String), [], expect.objectContaining({ maxRows: 5 }));
+    });
+  });
+
   describe('getConnectionStatus', () => {
     it('should return connection status when connected', async () => {
       const mockResult = {
@@ -312,3 +335,108 @@ describe('QueryExecutionService', () => {
     });
   });
 });
+
+describe('QuerySandbox', () => {
+  let client;
+  let pool;
+
+  const sandboxConfig = {
+    enabled: true,
+    role: 'nlq_readonly',
+    statementTimeoutMs: 30000,
+    lockTimeoutMs: 5000,
+    workMem: '64MB'
+  };
+
+  beforeEach(() => {
+    client = {
+      query: jest.fn().mockResolvedValue({ rows: [{ id: 1 }], fields: [] }),
+      release: jest.fn()
+    };
+    pool = { connect: jest.fn().mockResolvedValue(client) };
+  });
+
+  it('should run queries in a read-only transaction under the sandbox role', async () => {
+    const sandbox = new QuerySandbox(pool, sandboxConfig);
+
+    const result = await sandbox.run('SELECT id FROM customers', [], { statementTimeout: 1000 });
+
+    expect(result.rows).toEqual([{ id: 1 }]);
+    expect(client.query.mock.calls.map(call => call[0])).toEqual([
+      'BEGIN READ ONLY',
+      'SET LOCAL ROLE "nlq_readonly"',
+      'SET LOCAL statement_timeout = 1000',
+      'SET LOCAL lock_timeout = 5000',
+      "SET LOCAL work_mem = '64MB'",
+      'SELECT id FROM customers',
+      'ROLLBACK'
+    ]);
+    expect(client.release).toHaveBeenCalledWith(undefined);
+  });
+
+  it('should roll back and release the client when the query fails', async () => {
+    client.query.mockImplementation(async (sql) => {
+      if (sql.startsWith('SELECT')) {
+        throw new Error('permission denied for table customers');
+      }
+      return {};
+    });
+    const sandbox = new QuerySandbox(pool, sandboxConfig);
+
+    await expect(sandbox.run('SELECT * FROM customers')).rejects.toThrow('permission denied');
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+    expect(client.release).toHaveBeenCalledWith(undefined);
+  });
+
+  it('should discard the client when rollback fails', async () => {
+    const rollbackError = new Error('connection terminated');
+    client.query.mockImplementation(async (sql) => {
+      if (sql === 'ROLLBACK') {
+        throw rollbackError;
+      }
+      return { rows: [] };
+    });
+    const sandbox = new QuerySandbox(pool, sandboxConfig);
+
+    await sandbox.run('SELECT 1');
+    expect(client.release).toHaveBeenCalledWith(rollbackError);
+  });
+
+  it('should reset the session timeout before returning the client when disabled', async () => {
+    const sandbox = new QuerySandbox(pool, { ...sandboxConfig, enabled: false });
+
+    await sandbox.run('SELECT id FROM customers', [], { statementTimeout: 1000 });
+
+    expect(client.query.mock.calls.map(call => call[0])).toEqual([
+      'SET statement_timeout = 1000',
+      'SELECT id FROM customers',
+      'RESET statement_timeout'
+    ]);
+    expect(client.release).toHaveBeenCalledWith(undefined);
+  });
+
+  it('should cancel the running statement when the signal is aborted', async () => {
+    const aborter = new AbortController();
+    client.processID = 4242;
+    client.query.mockImplementation(async (sql) => {
+      if (sql.startsWith('SELECT')) {
+        aborter.abort();
+        throw Object.assign(new Error('canceling statement due to user request'), { code: '57014' });
+      }
+      return {};
+    });
+    pool.query = jest.fn().mockResolvedValue({ rows: [{ pg_cancel_backend: true }] });
+    const sandbox = new QuerySandbox(pool, sandboxConfig);
+
+    await expect(sandbox.run('SELECT pg_sleep_for(1)', [], { signal: aborter.signal })).rejects.toMatchObject({ code: '57014' });
+    expect(pool.query).toHaveBeenCalledWith('SELECT pg_cancel_backend($1)', [4242]);
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+
+    await expect(sandbox.run('SELECT 1', [], { signal: aborter.signal })).rejects.toThrow('aborted');
+    expect(pool.connect).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reject invalid limits before touching the database', () => {
+    expect(() => new QuerySandbox(pool, { ...sandboxConfig, workMem: "1MB'; RESET ROLE; --" })).toThrow(/work_mem/);
+  });
+});
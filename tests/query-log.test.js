@@ -0,0 +1,113 @@
+/**
+ * Query Log Tests
+ * Tests for query history recording, filtering and statistics
+ */
+
+const QueryLogRepository = require('../src/repositories/QueryLogRepository');
+const QueryLogService = require('../src/services/QueryLogService');
+
+const { getRequestContext } = QueryLogService;
+
+describe('QueryLogRepository', () => {
+  it('should build parameterized filters and escape LIKE wildcards', () => {
+    const repository = new QueryLogRepository({ query: jest.fn() });
+
+    const { where, params } = repository.buildFilters({
+      type: 'nlq',
+      success: false,
+      search: '100%_done',
+      from: '2025-01-01'
+    });
+
+    expect(where).toBe('WHERE request_type = $1 AND success = $2 AND created_at >= $3 AND (query_text ILIKE $4 OR generated_sql ILIKE $4)');
+    expect(params).toEqual(['nlq', false, '2025-01-01', '%100\\%\\_done%']);
+    expect(repository.buildFilters({}).where).toBe('');
+  });
+
+  it('should filter by owner, matching missing ids as nulls', () => {
+    const repository = new QueryLogRepository({ query: jest.fn() });
+
+    const { where, params } = repository.buildFilters({ type: 'sql', owner: { principalId: null, tenantId: 'acme' } });
+
+    expect(where).toBe('WHERE request_type = $1 AND principal_id IS NOT DISTINCT FROM $2 AND tenant_id IS NOT DISTINCT FROM $3');
+    expect(params).toEqual(['sql', null, 'acme']);
+  });
+
+  it('should compute stats from aggregate rows', async () => {
+    const dbPool = { query: jest.fn() };
+    const repository = new QueryLogRepository(dbPool);
+    repository.isInitialized = true;
+    dbPool.query
+      .mockResolvedValueOnce({ rows: [{ total: '4', successful: '3', avg_time: '120.4', p95_time: '300', avg_rows: '10', last_executed: null }] })
+      .mockResolvedValueOnce({ rows: [{ request_type: 'nlq', total: '3', successful: '2' }, { request_type: 'sql', total: '1', successful: '1' }] })
+      .mockResolvedValueOnce({ rows: [{ error_message: 'SQL syntax error', occurrences: '1' }] });
+
+    const stats = await repository.getStats({ type: 'nlq' });
+
+    expect(stats).toMatchObject({
+      totalExecutions: 4,
+      failed: 1,
+      successRate: 0.75,
+      averageExecutionTime: 120,
+      p95ExecutionTime: 300,
+      byType: { nlq: { total: 3, successful: 2 }, sql: { total: 1, successful: 1 } },
+      topErrors: [{ error: 'SQL syntax error', occurrences: 1 }]
+    });
+    expect(dbPool.query.mock.calls[0][1]).toEqual(['nlq']);
+  });
+});
+
+describe('QueryLogService', () => {
+  it('should record an NLQ result with timings and row count', async () => {
+    const repository = { create: jest.fn().mockResolvedValue({ id: 1 }) };
+    const service = new QueryLogService(repository);
+
+    await service.recordNLQ({ requestId: 'req-1', clientIp: '127.0.0.1', language: 'en' }, 'top customers', {
+      success: true,
+      generatedSQL: 'SELECT 1',
+      processingTime: 42,
+      timings: { retrieval: 5, generation: 30, validation: 3, execution: 4 },
+      result: { rowCount: 7 },
+      attempts: [{ attempt: 1 }]
+    });
+
+    expect(repository.create).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'nlq',
+      requestId: 'req-1',
+      queryText: 'top customers',
+      executionTime: 42,
+      rowCount: 7,
+      attemptCount: 1,
+      success: true
+    }));
+  });
+
+  it('should not fail the request when logging fails', async () => {
+    const repository = { create: jest.fn().mockRejectedValue(new Error('db down')) };
+    const service = new QueryLogService(repository);
+
+    await expect(service.recordSQL({ requestId: 'req-2' }, 'SELECT 1', { success: false, error: 'boom' }))
+      .resolves.toBeNull();
+  });
+
+  it('should record the caller as owner and only serve them their own history', async () => {
+    const repository = {
+      list: jest.fn().mockResolvedValue({ entries: [], total: 0 }),
+      findById: jest.fn().mockResolvedValue(null),
+      getStats: jest.fn().mockResolvedValue({})
+    };
+    const service = new QueryLogService(repository);
+    const principal = { id: 'user:ana', tenantId: 'acme', roles: ['analyst'] };
+    const owner = { principalId: 'user:ana', tenantId: 'acme' };
+
+    expect(getRequestContext({ requestId: 'req-3', ip: '127.0.0.1', principal })).toMatchObject({ requestId: 'req-3', owner });
+
+    await service.getHistory({ type: 'nlq', owner: { principalId: 'user:bob', tenantId: 'acme' } }, {}, principal);
+    expect(await service.getEntry(5, principal)).toBeNull();
+    await service.getStats({}, principal);
+
+    expect(repository.list).toHaveBeenCalledWith({ type: 'nlq', owner }, 50, 0);
+    expect(repository.findById).toHaveBeenCalledWith(5, owner);
+    expect(repository.getStats).toHaveBeenCalledWith({ owner });
+  });
+});
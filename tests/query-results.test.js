@@ -0,0 +1,153 @@
+/**
+ * Query Result Tests
+ * Tests for capped fetching, result storage and page/cursor navigation
+ */
+
+const QuerySandbox = require('../src/services/QuerySandbox');
+const QueryResultService = require('../src/services/QueryResultService');
+const { decodeCursor } = require('../src/services/QueryResultService');
+
+const config = { maxRows: 10000, pageSize: 2, maxPageSize: 1000, cacheTtlMinutes: 60 };
+
+const createRepository = () => {
+  const results = new Map();
+  const rowsById = new Map();
+  return {
+    create: jest.fn(async (result, rows) => {
+      const stored = { ...result, rowCount: rows.length };
+      results.set(result.id, stored);
+      rowsById.set(result.id, rows);
+      return stored;
+    }),
+    findById: jest.fn(async (id, owner) => {
+      const stored = results.get(id);
+      return stored && stored.owner.principalId === owner.principalId && stored.owner.tenantId === owner.tenantId ? stored : null;
+    }),
+    getRows: jest.fn(async (id, after, limit) => rowsById.get(id).slice(after, after + limit)),
+    replaceRows: jest.fn(async (id, rows, totalRows, rowsExpireAt) => {
+      const stored = { ...results.get(id), rowCount: rows.length, totalRows, rowsExpireAt };
+      results.set(id, stored);
+      rowsById.set(id, rows);
+      return stored;
+    }),
+    purgeExpiredRows: jest.fn().mockResolvedValue(0),
+    results
+  };
+};
+
+const response = (rows, totalRows = rows.length) => ({
+  success: true,
+  generatedSQL: 'SELECT id FROM loans ORDER BY id',
+  result: { data: rows, columns: ['id'], rowCount: rows.length, totalRows, truncated: totalRows > rows.length }
+});
+
+describe('QuerySandbox capped fetch', () => {
+  it('should fetch through a cursor and count the remaining rows', async () => {
+    const client = {
+      query: jest.fn(async (sql) => {
+        if (sql.startsWith('FETCH')) return { rows: [{ id: 1 }, { id: 2 }], rowCount: 2, fields: [{ name: 'id' }] };
+        if (sql.startsWith('MOVE')) return { rowCount: 40 };
+        return {};
+      }),
+      release: jest.fn()
+    };
+    const sandbox = new QuerySandbox({ connect: jest.fn().mockResolvedValue(client) }, {
+      enabled: true, role: null, statementTimeoutMs: 1000, lockTimeoutMs: 1000, workMem: '4MB'
+    });
+
+    const result = await sandbox.run('SELECT id FROM loans;', [], { maxRows: 2 });
+
+    expect(result.totalRows).toBe(42);
+    expect(client.query.mock.calls.map(call => call[0]).slice(-4)).toEqual([
+      'DECLARE sandbox_result NO SCROLL CURSOR FOR SELECT id FROM loans',
+      'FETCH FORWARD 2 FROM sandbox_result',
+      'MOVE FORWARD ALL IN sandbox_result',
+      'ROLLBACK'
+    ]);
+  });
+});
+
+describe('QueryResultService', () => {
+  it('should return the first page with a result id and walk the rest by cursor', async () => {
+    const repository = createRepository();
+    const service = new QueryResultService(repository, {}, config);
+    const rows = [{ id: 1 }, { id: 2 }, { id: 3 }, { id: 4 }, { id: 5 }];
+
+    const first = await service.paginate(response(rows, 7), { type: 'nlq', queryText: 'loans' });
+
+    expect(first.result.data).toEqual([{ id: 1 }, { id: 2 }]);
+    expect(first.result.pagination).toMatchObject({ page: 1, pageSize: 2, totalPages: 3, totalRows: 7, truncated: true });
+
+    const { resultId, nextCursor } = first.result.pagination;
+    const second = await service.getPage(resultId, { cursor: nextCursor });
+    expect(second.rows).toEqual([{ id: 3 }, { id: 4 }]);
+    expect(decodeCursor(second.pagination.prevCursor)).toBe(0);
+
+    const last = await service.getPage(resultId, { page: 3 });
+    expect(last.rows).toEqual([{ id: 5 }]);
+    expect(last.pagination.nextCursor).toBeNull();
+
+    await expect(service.getPage(resultId, { cursor: 'not-a-cursor' })).rejects.toMatchObject({ code: 'INVALID_CURSOR' });
+  });
+
+  it('should re-execute the stored SQL when the rows expired', async () => {
+    const repository = createRepository();
+    const nlqService = { executeSQL: jest.fn().mockResolvedValue(response([{ id: 9 }])) };
+    const service = new QueryResultService(repository, nlqService, config);
+
+    const principal = { id: 'user:ana', tenantId: 'acme', roles: ['analyst'] };
+    const first = await service.paginate(response([{ id: 1 }]), { type: 'sql', principal });
+    const { resultId } = first.result.pagination;
+    repository.results.get(resultId).rowsExpireAt = null;
+
+    const page = await service.getPage(resultId, {}, principal);
+
+    expect(nlqService.executeSQL).toHaveBeenCalledWith('SELECT id FROM loans ORDER BY id', { principal });
+    expect(page.rows).toEqual([{ id: 9 }]);
+  });
+
+  it('should re-execute with the row cap the result was first fetched with', async () => {
+    const repository = createRepository();
+    const nlqService = { executeSQL: jest.fn().mockResolvedValue(response([{ id: 1 }, { id: 2 }], 50)) };
+    const service = new QueryResultService(repository, nlqService, config);
+
+    const principal = { id: 'user:ana', tenantId: 'acme', roles: ['analyst'] };
+    const first = await service.paginate(response([{ id: 1 }, { id: 2 }], 50), { type: 'sql', maxResults: 2, principal });
+    const { resultId } = first.result.pagination;
+    repository.results.get(resultId).rowsExpireAt = null;
+
+    const page = await service.getPage(resultId, {}, principal);
+
+    expect(nlqService.executeSQL).toHaveBeenCalledWith('SELECT id FROM loans ORDER BY id', { principal, maxResults: 2 });
+    expect(page.pagination).toMatchObject({ rowCount: 2, totalRows: 50, truncated: true });
+  });
+
+  it('should only serve a result to the principal it was stored for', async () => {
+    const repository = createRepository();
+    const nlqService = { executeSQL: jest.fn() };
+    const service = new QueryResultService(repository, nlqService, config);
+    const owner = { id: 'user:ana', tenantId: 'acme', roles: ['analyst'] };
+
+    const first = await service.paginate(response([{ id: 1 }, { id: 2 }, { id: 3 }]), { type: 'nlq', principal: owner });
+    const { resultId } = first.result.pagination;
+    expect(repository.results.get(resultId).owner).toEqual({ principalId: 'user:ana', tenantId: 'acme' });
+
+    expect(await service.getPage(resultId, { page: 2 }, owner)).toMatchObject({ rows: [{ id: 3 }] });
+    expect(await service.getPage(resultId, { page: 2 }, { id: 'user:bob', tenantId: 'acme', roles: ['analyst'] })).toBeNull();
+    expect(await service.getPage(resultId, { page: 2 }, { id: 'user:ana', tenantId: 'globex', roles: ['analyst'] })).toBeNull();
+
+    // Expired rows are never re-fetched, or overwritten, for someone else
+    repository.results.get(resultId).rowsExpireAt = null;
+    expect(await service.getPage(resultId, {}, { id: 'user:bob', tenantId: 'acme', roles: ['admin'] })).toBeNull();
+    expect(nlqService.executeSQL).not.toHaveBeenCalled();
+    expect(repository.replaceRows).not.toHaveBeenCalled();
+  });
+
+  it('should keep all rows when the result cannot be stored', async () => {
+    const repository = { create: jest.fn().mockRejectedValue(new Error('db down')) };
+    const service = new QueryResultService(repository, {}, config);
+    const original = response([{ id: 1 }, { id: 2 }, { id: 3 }]);
+
+    expect(await service.paginate(original, { type: 'nlq' })).toBe(original);
+  });
+});
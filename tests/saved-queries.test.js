@@ -0,0 +1,158 @@
+/**
+ * Saved Query Tests
+ * Tests for parameter binding, saved query checks and dashboard widgets
+ */
+
+const SavedQueryService = require('../src/services/SavedQueryService');
+const UserDashboardService = require('../src/services/UserDashboardService');
+
+const { bindParameters } = SavedQueryService;
+
+const REGION_SALES = {
+  id: 7,
+  name: 'Sales by category',
+  question: 'sales by category in a region',
+  sql: 'SELECT category, SUM(amount) AS total FROM sales WHERE region = {{region}} AND amount > {{min_amount}} OR region = {{region}} GROUP BY category',
+  parameters: [
+    { name: 'region', type: 'string', required: true },
+    { name: 'min_amount', type: 'number', required: true, default: 0 }
+  ],
+  chart: null
+};
+
+const executed = (rows) => ({
+  success: true,
+  result: { data: rows, columns: ['category', 'total'], rowCount: rows.length, truncated: false, visualization: { type: 'bar', spec: { mark: 'bar' } } }
+});
+
+describe('bindParameters', () => {
+  it('should bind placeholders as positional parameters, reusing repeated names', () => {
+    const bound = bindParameters(REGION_SALES.sql, REGION_SALES.parameters, { region: 'north', min_amount: '10.5', unused: 'x' });
+
+    expect(bound.sql).toBe('SELECT category, SUM(amount) AS total FROM sales WHERE region = $1 AND amount > $2 OR region = $1 GROUP BY category');
+    expect(bound.params).toEqual(['north', 10.5]);
+    expect(bound.parameters).toEqual({ region: 'north', min_amount: 10.5 });
+  });
+
+  it('should use defaults and report every missing or invalid value', () => {
+    expect(bindParameters(REGION_SALES.sql, REGION_SALES.parameters, { region: 'south' }).params).toEqual(['south', 0]);
+
+    expect(() => bindParameters('SELECT {{day}}, {{region}}, {{n}}', [
+      { name: 'day', type: 'date' },
+      { name: 'n', type: 'number' }
+    ], { day: '31/01/2024', n: 'ten' })).toThrow(expect.objectContaining({
+      code: 'INVALID_PARAMETERS',
+      details: [
+        "Parameter 'day' must be a date (YYYY-MM-DD)",
+        "Parameter 'region' is used in the SQL but not defined",
+        "Parameter 'n' must be a number"
+      ]
+    }));
+  });
+});
+
+describe('SavedQueryService', () => {
+  const createService = () => {
+    const nlqService = {
+      validateSQL: jest.fn().mockResolvedValue({ valid: true }),
+      executeSQL: jest.fn().mockResolvedValue(executed([{ category: 'Books', total: '10' }]))
+    };
+    const savedQueryRepository = { create: jest.fn(async (data) => ({ id: 1, ...data })), findById: jest.fn() };
+    const userDashboardRepository = { findBySavedQuery: jest.fn().mockResolvedValue([]) };
+    return new SavedQueryService(savedQueryRepository, userDashboardRepository, nlqService);
+  };
+
+  it('should validate the SQL with placeholders bound and reject unused definitions', async () => {
+    const service = createService();
+
+    await service.createQuery(REGION_SALES);
+    expect(service.nlqService.validateSQL).toHaveBeenCalledWith(expect.stringContaining('WHERE region = $1 AND amount > $2'));
+
+    await expect(service.createQuery({ ...REGION_SALES, sql: 'SELECT 1' })).rejects.toMatchObject({ code: 'INVALID_PARAMETERS' });
+  });
+
+  it('should run the pinned SQL with bound values and fall back to the recommended chart', async () => {
+    const service = createService();
+
+    const run = await service.run(REGION_SALES, { region: 'east' }, { maxResults: 50 });
+
+    expect(service.nlqService.executeSQL).toHaveBeenCalledWith(expect.stringContaining('$1'), { maxResults: 50, params: ['east', 0] });
+    expect(run.chart).toEqual({ type: 'bar', spec: { mark: 'bar' } });
+    expect(run.savedQuery).toEqual({ id: 7, name: 'Sales by category', question: 'sales by category in a region' });
+  });
+
+  it('should refuse to delete a saved query shown on a dashboard', async () => {
+    const service = createService();
+    service.userDashboardRepository.findBySavedQuery.mockResolvedValue([{ id: 3, name: 'Weekly' }]);
+
+    service.savedQueryRepository.findById.mockResolvedValue(REGION_SALES);
+
+    await expect(service.deleteQuery(7)).rejects.toMatchObject({ code: 'IN_USE', dashboards: [{ id: 3, name: 'Weekly' }] });
+  });
+
+  it('should only change and run saved queries of the calling principal', async () => {
+    const service = createService();
+    const principal = { id: 'user:ana', tenantId: 'acme', roles: ['analyst'] };
+    const owner = { principalId: 'user:ana', tenantId: 'acme' };
+
+    await service.createQuery({ ...REGION_SALES, id: undefined }, principal);
+    expect(service.savedQueryRepository.create).toHaveBeenCalledWith(expect.objectContaining({ name: 'Sales by category' }), owner);
+
+    expect(await service.deleteQuery(7, principal)).toBeNull();
+    expect(await service.runQuery(7, {}, { principal })).toBeNull();
+    expect(service.savedQueryRepository.findById.mock.calls).toEqual([[7, owner], [7, owner]]);
+    expect(service.userDashboardRepository.findBySavedQuery).not.toHaveBeenCalled();
+    expect(service.nlqService.executeSQL).not.toHaveBeenCalled();
+  });
+});
+
+describe('UserDashboardService', () => {
+  it('should render every widget, reporting a failing one without failing the others', async () => {
+    const savedQueryService = {
+      savedQueryRepository: { findByIds: jest.fn().mockResolvedValue([REGION_SALES]) },
+      run: jest.fn(async (savedQuery, values) => {
+        if (values.region === 'nowhere') throw new Error('boom');
+        return { ...executed([{ category: 'Books', total: '10' }]), parameters: values, chart: { type: 'bar', spec: null } };
+      })
+    };
+    const repository = {
+      findById: jest.fn().mockResolvedValue({
+        id: 1,
+        name: 'Regions',
+        widgets: [
+          { id: 11, savedQueryId: 7, title: null, parameters: { region: 'north' } },
+          { id: 12, savedQueryId: 7, title: 'Nowhere', parameters: { region: 'nowhere' } },
+          { id: 13, savedQueryId: 99, title: 'Gone', parameters: {} }
+        ]
+      })
+    };
+    const service = new UserDashboardService(repository, savedQueryService);
+
+    const dashboard = await service.getDashboardData(1, { min_amount: '5' });
+
+    expect(dashboard.widgets.map(widget => [widget.id, widget.title, widget.success])).toEqual([
+      [11, 'Sales by category', true],
+      [12, 'Nowhere', false],
+      [13, 'Gone', false]
+    ]);
+    expect(savedQueryService.run.mock.calls[0][1]).toEqual({ region: 'north', min_amount: '5' });
+    expect(dashboard.widgets[0].data).toEqual([{ category: 'Books', total: '10' }]);
+  });
+
+  it('should only show dashboards, widgets and saved queries of the viewer', async () => {
+    const savedQueryService = { savedQueryRepository: { findByIds: jest.fn().mockResolvedValue([]) }, run: jest.fn() };
+    const repository = { findWidget: jest.fn().mockResolvedValue(null), create: jest.fn() };
+    const service = new UserDashboardService(repository, savedQueryService);
+    const principal = { id: 'user:ana', tenantId: 'acme', roles: ['analyst'] };
+    const owner = { principalId: 'user:ana', tenantId: 'acme' };
+
+    expect(await service.getWidgetData(11, {}, principal)).toBeNull();
+    expect(repository.findWidget).toHaveBeenCalledWith(11, owner);
+
+    // Someone else's saved query is as unknown as a deleted one
+    await expect(service.createDashboard({ name: 'Mine', widgets: [{ savedQueryId: 7 }] }, principal))
+      .rejects.toMatchObject({ code: 'UNKNOWN_SAVED_QUERY' });
+    expect(savedQueryService.savedQueryRepository.findByIds).toHaveBeenCalledWith([7], owner);
+    expect(repository.create).not.toHaveBeenCalled();
+  });
+});
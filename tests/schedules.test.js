@@ -0,0 +1,275 @@
+/**
+ * Schedule Tests
+ * Tests for schedule conditions, scheduled runs and webhook delivery
+ */
+
+const crypto = require('crypto');
+const ScheduleService = require('../src/services/ScheduleService');
+const WebhookService = require('../src/services/WebhookService');
+const QueryScheduler = require('../src/services/QueryScheduler');
+const AuthService = require('../src/services/AuthService');
+const { getSchedulerConfig } = require('../src/config/scheduler');
+const { getAuthConfig } = require('../src/config/auth');
+
+const { evaluateCondition } = ScheduleService;
+
+const RETURNS = {
+  success: true,
+  data: [{ day: '2024-05-01', returned: '12' }, { day: '2024-04-30', returned: '3' }],
+  columns: [{ name: 'day' }, { name: 'returned' }],
+  rowCount: 2,
+  totalRows: 2,
+  truncated: false
+};
+
+const config = getSchedulerConfig({ WEBHOOK_MAX_ATTEMPTS: '3', WEBHOOK_RETRY_BASE_MS: '100' });
+
+describe('evaluateCondition', () => {
+  it('should compare the first row or an aggregate against a threshold', () => {
+    expect(evaluateCondition({ type: 'threshold', aggregate: 'first', column: 'returned', operator: '>', value: 10 }, RETURNS))
+      .toEqual({ value: 12, change: null, triggered: true });
+    expect(evaluateCondition({ type: 'threshold', aggregate: 'sum', column: 'returned', operator: '>=', value: 20 }, RETURNS))
+      .toMatchObject({ value: 15, triggered: false });
+    expect(evaluateCondition({ type: 'threshold', aggregate: 'count', operator: '=', value: 2 }, RETURNS))
+      .toMatchObject({ value: 2, triggered: true });
+  });
+
+  it('should compare the change since the previous value and need a baseline', () => {
+    const condition = { type: 'delta', aggregate: 'first', column: 'returned', operator: '>=', value: 50, change: 'percent' };
+
+    expect(evaluateCondition(condition, RETURNS, 8)).toEqual({ value: 12, change: 50, triggered: true });
+    expect(evaluateCondition(condition, RETURNS, null)).toEqual({ value: 12, change: null, triggered: false });
+    expect(evaluateCondition({ ...condition, change: 'absolute', operator: '<', value: 0 }, RETURNS, 15))
+      .toMatchObject({ change: -3, triggered: true });
+  });
+
+  it('should reject missing and non-numeric columns', () => {
+    expect(() => evaluateCondition({ type: 'threshold', aggregate: 'first', column: 'total', operator: '>', value: 1 }, RETURNS))
+      .toThrow("Column 'total' is not in the result");
+    expect(() => evaluateCondition({ type: 'threshold', aggregate: 'max', column: 'day', operator: '>', value: 1 }, RETURNS))
+      .toThrow("Column 'day' is not numeric");
+  });
+});
+
+describe('ScheduleService', () => {
+  const SCHEDULE = {
+    id: 4,
+    name: 'Returns today',
+    savedQueryId: 7,
+    parameters: { min: 5 },
+    cron: '0 * * * *',
+    timezone: 'UTC',
+    condition: { type: 'threshold', aggregate: 'first', column: 'returned', operator: '>', value: 10 },
+    notify: 'change',
+    webhookTargetIds: [1],
+    principalId: 'user:ana',
+    tenantId: 'acme',
+    lastValue: 9,
+    lastTriggered: false
+  };
+
+  const createService = (executed = RETURNS) => {
+    const scheduleRepository = {
+      recordRun: jest.fn(async (scheduleId, run) => ({ id: 1, scheduleId, ...run })),
+      disable: jest.fn(async (id) => ({ id, enabled: false }))
+    };
+    const webhookService = {
+      deliverAll: jest.fn().mockResolvedValue([{ targetId: 1, delivered: true, attempts: 1, statusCode: 200, error: null }])
+    };
+    const savedQueryRepository = {
+      findById: jest.fn().mockResolvedValue({
+        id: 7,
+        sql: 'SELECT day, returned FROM daily_returns WHERE returned > {{min}}',
+        parameters: [{ name: 'min', type: 'number' }]
+      })
+    };
+    const queryExecutionService = { executeQuery: jest.fn().mockResolvedValue(executed) };
+    const apiKeys = [{ id: 3, userId: 'bi-bot', tenantId: 'acme', roles: ['analyst'], attributes: {}, revokedAt: null, expiresAt: null }];
+    const authService = new AuthService({ findById: jest.fn(async (id) => apiKeys.find(key => key.id === id) || null) }, getAuthConfig({}));
+    const nlqService = { authorizeSQL: jest.fn(async (sql, { params }) => ({ sql, params })) };
+    return new ScheduleService(scheduleRepository, webhookService, savedQueryRepository, queryExecutionService, nlqService, authService, config);
+  };
+
+  it('should execute the bound saved query and alert when the condition becomes met', async () => {
+    const service = createService();
+
+    const run = await service.runSchedule(SCHEDULE, 'manual');
+
+    expect(service.queryExecutionService.executeQuery).toHaveBeenCalledWith(
+      'SELECT day, returned FROM daily_returns WHERE returned > $1',
+      { params: [5], maxResults: config.maxRows }
+    );
+    expect(service.savedQueryRepository.findById).toHaveBeenCalledWith(7, { principalId: 'user:ana', tenantId: 'acme' });
+    expect(service.webhookService.deliverAll).toHaveBeenCalledWith([1], expect.objectContaining({
+      event: 'schedule.alert',
+      value: 12,
+      previousValue: 9,
+      sample: RETURNS.data
+    }), 'acme');
+    expect(run).toMatchObject({ trigger: 'manual', status: 'success', value: 12, previousValue: 9, triggered: true, alerted: true });
+  });
+
+  it('should not repeat an alert while the condition stays met unless notify is always', async () => {
+    const service = createService();
+
+    const run = await service.runSchedule({ ...SCHEDULE, lastTriggered: true });
+    expect(service.webhookService.deliverAll).not.toHaveBeenCalled();
+    expect(run).toMatchObject({ triggered: true, alerted: false, deliveries: [] });
+
+    await service.runSchedule({ ...SCHEDULE, lastTriggered: true, notify: 'always' });
+    expect(service.webhookService.deliverAll).toHaveBeenCalledTimes(1);
+  });
+
+  it('should record a failed run without alerting', async () => {
+    const service = createService({ success: false, error: 'relation "daily_returns" does not exist' });
+
+    const run = await service.runSchedule(SCHEDULE);
+
+    expect(service.webhookService.deliverAll).not.toHaveBeenCalled();
+    expect(run).toMatchObject({ status: 'failed', value: null, triggered: false, error: 'relation "daily_returns" does not exist' });
+  });
+
+  it('should run as the owner\'s current key and disable the schedule once the key is revoked', async () => {
+    const service = createService();
+    const apiKey = await service.authService.apiKeyRepository.findById(3);
+    // Saved while the key was still an admin key
+    const schedule = {
+      ...SCHEDULE,
+      principalId: 'key:3',
+      runAs: { id: 'key:3', userId: 'bi-bot', tenantId: 'acme', roles: ['analyst', 'admin'], attributes: {} }
+    };
+
+    await service.runSchedule(schedule);
+    const current = expect.objectContaining({ id: 'key:3', roles: ['analyst'] });
+    expect(service.nlqService.authorizeSQL).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({ principal: current }));
+    expect(service.queryExecutionService.executeQuery).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({ principal: current }));
+
+    apiKey.revokedAt = new Date();
+    service.queryExecutionService.executeQuery.mockClear();
+    const run = await service.runSchedule(schedule);
+
+    expect(run).toMatchObject({ status: 'failed', error: expect.stringContaining('API key has been revoked') });
+    expect(service.scheduleRepository.disable).toHaveBeenCalledWith(4);
+    expect(service.queryExecutionService.executeQuery).not.toHaveBeenCalled();
+    expect(service.webhookService.deliverAll).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reject cron expressions that fire too often and unknown timezones', () => {
+    const service = createService();
+
+    expect(() => service.checkCron('0 9 * * 1-5', 'Europe/Berlin')).not.toThrow();
+    expect(() => service.checkCron('*/30 * * * * *', 'UTC')).toThrow(expect.objectContaining({ code: 'INVALID_SCHEDULE' }));
+    expect(() => service.checkCron('0 9 * * *', 'Mars/Base')).toThrow('Unknown timezone: Mars/Base');
+    expect(service.getNextRunAt('0 9 * * *', 'Europe/Berlin', new Date('2024-05-01T12:00:00Z')).toISOString())
+      .toBe('2024-05-02T07:00:00.000Z');
+  });
+
+  it('should not run, page or delete schedules of other callers, nor alert targets of other tenants', async () => {
+    const service = createService();
+    const principal = { id: 'user:bob', tenantId: 'globex', roles: ['analyst'] };
+    const owner = { principalId: 'user:bob', tenantId: 'globex' };
+    Object.assign(service.scheduleRepository, { findById: jest.fn().mockResolvedValue(null), listRuns: jest.fn(), delete: jest.fn().mockResolvedValue(null) });
+    service.webhookService.webhookTargetRepository = { findByIds: jest.fn().mockResolvedValue([]) };
+
+    expect(await service.runNow(4, principal)).toBeNull();
+    expect(await service.listRuns(4, {}, principal)).toBeNull();
+    expect(await service.deleteSchedule(4, principal)).toBeNull();
+    await expect(service.checkWebhookTargets([1], principal)).rejects.toMatchObject({ code: 'UNKNOWN_WEBHOOK_TARGET' });
+
+    expect(service.scheduleRepository.findById.mock.calls).toEqual([[4, owner], [4, owner]]);
+    expect(service.scheduleRepository.delete).toHaveBeenCalledWith(4, owner);
+    expect(service.webhookService.webhookTargetRepository.findByIds).toHaveBeenCalledWith([1], 'globex');
+    expect(service.scheduleRepository.listRuns).not.toHaveBeenCalled();
+    expect(service.queryExecutionService.executeQuery).not.toHaveBeenCalled();
+  });
+});
+
+describe('WebhookService', () => {
+  const TARGET = { id: 1, name: 'Ops', url: 'https://hooks.example.com/alerts', secret: 'a-long-shared-secret', headers: { 'X-Team': 'ops' }, enabled: true };
+  const originalFetch = global.fetch;
+
+  const respond = (status, headers = {}) => ({ ok: status >= 200 && status < 300, status, headers: new Headers(headers) });
+
+  const createService = (overrides = {}) => {
+    const service = new WebhookService({}, {}, getSchedulerConfig({ WEBHOOK_MAX_ATTEMPTS: '3', WEBHOOK_RETRY_BASE_MS: '100', ...overrides }));
+    service.sleep = jest.fn().mockResolvedValue();
+    return service;
+  };
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('should sign the body and retry server errors with exponential backoff', async () => {
+    global.fetch = jest.fn()
+      .mockRejectedValueOnce(new Error('connect ECONNREFUSED'))
+      .mockResolvedValueOnce(respond(503))
+      .mockResolvedValueOnce(respond(200));
+    const service = createService();
+
+    const delivery = await service.deliver(TARGET, { event: 'schedule.alert', value: 12 });
+
+    expect(delivery).toEqual({ targetId: 1, delivered: true, attempts: 3, statusCode: 200, error: null });
+    expect(service.sleep.mock.calls).toEqual([[100], [200]]);
+
+    const [url, request] = global.fetch.mock.calls[2];
+    const timestamp = request.headers['X-NLQ-Timestamp'];
+    const expected = crypto.createHmac('sha256', TARGET.secret).update(`${timestamp}.${request.body}`).digest('hex');
+    expect(url).toBe(TARGET.url);
+    expect(request.headers).toMatchObject({ 'X-Team': 'ops', 'X-NLQ-Signature': `sha256=${expected}` });
+    expect(JSON.parse(request.body)).toEqual({ event: 'schedule.alert', value: 12 });
+  });
+
+  it('should stop at client errors and honour Retry-After', async () => {
+    global.fetch = jest.fn().mockResolvedValue(respond(404));
+    const service = createService();
+
+    expect(await service.deliver(TARGET, {})).toMatchObject({ delivered: false, attempts: 1, statusCode: 404, error: 'HTTP 404' });
+    expect(service.sleep).not.toHaveBeenCalled();
+
+    global.fetch = jest.fn().mockResolvedValue(respond(429, { 'Retry-After': '2' }));
+    expect(await service.deliver(TARGET, {})).toMatchObject({ delivered: false, attempts: 3, statusCode: 429 });
+    expect(service.sleep.mock.calls).toEqual([[2000], [2000]]);
+  });
+
+  it('should only accept http(s) URLs on allowed hosts', () => {
+    const service = createService({ WEBHOOK_ALLOWED_HOSTS: 'hooks.example.com' });
+
+    expect(() => service.checkUrl(TARGET.url)).not.toThrow();
+    expect(() => service.checkUrl('http://169.254.169.254/latest')).toThrow(expect.objectContaining({ code: 'INVALID_WEBHOOK_URL' }));
+    expect(() => service.checkUrl('ftp://hooks.example.com/x')).toThrow('Webhook URL must be an http or https URL');
+  });
+
+  it('should only deliver to and delete targets of the given tenant', async () => {
+    const webhookTargetRepository = { findById: jest.fn().mockResolvedValue(null), findByIds: jest.fn().mockResolvedValue([]) };
+    const scheduleRepository = { findByWebhookTarget: jest.fn() };
+    const service = new WebhookService(webhookTargetRepository, scheduleRepository, getSchedulerConfig({}));
+
+    expect(await service.deleteTarget(1, { id: 'user:bob', tenantId: 'globex', roles: ['admin'] })).toBeNull();
+    expect(await service.deliverAll([1], { event: 'schedule.alert' }, 'globex'))
+      .toEqual([{ targetId: 1, delivered: false, attempts: 0, statusCode: null, error: 'Target not found' }]);
+
+    expect(webhookTargetRepository.findById).toHaveBeenCalledWith(1, 'globex');
+    expect(webhookTargetRepository.findByIds).toHaveBeenCalledWith([1], 'globex', { withSecret: true });
+    expect(scheduleRepository.findByWebhookTarget).not.toHaveBeenCalled();
+  });
+});
+
+describe('QueryScheduler', () => {
+  it('should run claimed schedules one tick at a time and keep going after a failure', async () => {
+    const scheduleService = {
+      claimDue: jest.fn().mockResolvedValue([{ id: 1 }, { id: 2 }]),
+      runSchedule: jest.fn()
+        .mockRejectedValueOnce(new Error('Failed to record schedule run'))
+        .mockResolvedValueOnce({ status: 'success', triggered: false })
+    };
+    const scheduler = new QueryScheduler(scheduleService, config);
+
+    const [first, second] = await Promise.all([scheduler.tick(), scheduler.tick()]);
+
+    expect(first).toBe(2);
+    expect(second).toBe(2);
+    expect(scheduleService.claimDue).toHaveBeenCalledTimes(1);
+    expect(scheduleService.runSchedule).toHaveBeenCalledTimes(2);
+  });
+});
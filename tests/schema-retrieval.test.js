@@ -0,0 +1,156 @@
+/**
+ * Schema Retrieval Tests
+ * Tests for hybrid table/column ranking and schema index elements
+ */
+
+const SchemaRetrievalService = require('../src/services/SchemaRetrievalService');
+const SchemaIndexService = require('../src/services/SchemaIndexService');
+const StubProvider = require('../src/providers/StubProvider');
+const { getRetrievalConfig } = require('../src/config/retrieval');
+
+const element = (id, tableName, columnName, extra = {}) => ({
+  id,
+  elementType: columnName ? 'column' : 'table',
+  tableName,
+  columnName,
+  description: columnName ? '' : `${tableName} table`,
+  sampleValues: [],
+  ...extra
+});
+
+describe('SchemaRetrievalService', () => {
+  let repository;
+  let service;
+
+  beforeEach(() => {
+    repository = {
+      vectorSearch: jest.fn(),
+      keywordSearch: jest.fn(),
+      getForeignKeys: jest.fn().mockResolvedValue([]),
+      getTables: jest.fn().mockResolvedValue([])
+    };
+    service = new SchemaRetrievalService(repository, new StubProvider(), getRetrievalConfig({}));
+  });
+
+  it('should rank a table found by both keyword and vector search above vector-only matches', async () => {
+    repository.vectorSearch.mockResolvedValue([
+      element(1, 'branches', null, { similarity: 0.61 }),
+      element(2, 'loans', 'loan_status', { similarity: 0.58, sampleValues: ['active', 'closed'] })
+    ]);
+    repository.keywordSearch.mockResolvedValue([
+      element(2, 'loans', 'loan_status', { sampleValues: ['active', 'closed'] })
+    ]);
+
+    const tables = await service.retrieve('how many active loans', { limit: 2 });
+
+    expect(tables.map(t => t.tableName)).toEqual(['loans', 'branches']);
+    expect(tables[0].matches[0]).toMatchObject({
+      columnName: 'loan_status',
+      vectorRank: 2,
+      keywordRank: 1,
+      sampleValues: ['active', 'closed']
+    });
+    expect(repository.keywordSearch).toHaveBeenCalledWith('how many active loans', ['how', 'many', 'active', 'loans'], 30);
+  });
+
+  it('should add foreign-key neighbours with the join that links them', async () => {
+    repository.vectorSearch.mockResolvedValue([element(3, 'repayments', 'amount', { similarity: 0.7 })]);
+    repository.keywordSearch.mockResolvedValue([]);
+    repository.getForeignKeys.mockResolvedValue([
+      { tableName: 'repayments', columnName: 'loan_id', foreignTable: 'loans', foreignColumn: 'id' }
+    ]);
+    repository.getTables.mockResolvedValue([element(4, 'loans', null), element(5, 'repayments', null)]);
+
+    const tables = await service.retrieve('total repayments', { limit: 1 });
+
+    expect(tables).toHaveLength(2);
+    expect(tables[1]).toMatchObject({
+      tableName: 'loans',
+      reason: 'foreign_key',
+      description: 'loans table',
+      via: { table: 'repayments', join: 'repayments.loan_id = loans.id' }
+    });
+    expect(tables[1].score).toBeLessThan(tables[0].score);
+  });
+});
+
+describe('SchemaIndexService', () => {
+  it('should describe tables and columns with comments, references and values', () => {
+    const service = new SchemaIndexService({}, {}, new StubProvider(), getRetrievalConfig({}));
+
+    const elements = service.toElements([{
+      tableName: 'loans',
+      description: 'Loan accounts',
+      columns: [
+        { columnName: 'customer_id', dataType: 'integer', description: '', foreignTable: 'customers', foreignColumn: 'id', sampleValues: [] },
+        { columnName: 'loan_type', dataType: 'character varying(50)', description: 'Product type', sampleValues: ['home', 'auto'] }
+      ]
+    }]);
+
+    expect(elements).toHaveLength(3);
+    expect(elements[0].searchText).toBe('Table loans. Loan accounts. Columns: customer id, loan type');
+    expect(elements[1].searchText).toContain('References customers');
+    expect(elements[2].searchText).toBe('Column loan type of table loans (character varying(50)). Product type. Values: home, auto');
+  });
+});
+
+describe('SchemaIndexService sync', () => {
+  const table = (tableName, columns) => ({
+    tableName,
+    description: `${tableName} table`,
+    columns: columns.map(columnName => ({ columnName, dataType: 'integer', description: '', sampleable: false, sampleValues: [] }))
+  });
+
+  let repository;
+  let provider;
+  let service;
+
+  beforeEach(() => {
+    repository = {
+      initialize: jest.fn(),
+      getIndexState: jest.fn(),
+      replaceTableElements: jest.fn(),
+      markTableFailed: jest.fn(),
+      removeTables: jest.fn()
+    };
+    provider = new StubProvider();
+    service = new SchemaIndexService(repository, {}, provider, { ...getRetrievalConfig({}), indexBatchSize: 4 });
+  });
+
+  it('should re-embed only new, changed and failed tables and drop removed ones', async () => {
+    const loans = table('loans', ['id', 'amount']);
+    const branches = table('branches', ['id']);
+    const customers = table('customers', ['id']);
+    service.introspect = jest.fn().mockResolvedValue([loans, branches, customers, table('products', ['id'])]);
+    repository.getIndexState.mockResolvedValue([
+      { tableName: 'loans', fingerprint: service.fingerprint(loans), status: 'indexed' },
+      { tableName: 'branches', fingerprint: 'old', status: 'indexed' },
+      { tableName: 'customers', fingerprint: service.fingerprint(customers), status: 'failed' },
+      { tableName: 'old_table', fingerprint: 'x', status: 'indexed' }
+    ]);
+    const embedDocuments = jest.spyOn(provider.getEmbeddings(), 'embedDocuments');
+
+    const summary = await service.syncIndex();
+
+    expect(summary.indexed).toEqual(['branches', 'customers', 'products']);
+    expect(summary.unchanged).toBe(1);
+    expect(summary.removed).toEqual(['old_table']);
+    expect(repository.removeTables).toHaveBeenCalledWith(['old_table']);
+    // 6 elements, tables grouped into requests of at most 4 texts
+    expect(embedDocuments.mock.calls.map(call => call[0].length)).toEqual([4, 2]);
+  });
+
+  it('should record failed batches and keep going', async () => {
+    service.config.indexBatchSize = 2;
+    service.introspect = jest.fn().mockResolvedValue([table('loans', ['id']), table('branches', ['id'])]);
+    repository.getIndexState.mockResolvedValue([]);
+    jest.spyOn(provider.getEmbeddings(), 'embedDocuments')
+      .mockRejectedValueOnce(new Error('rate limited'));
+
+    const summary = await service.syncIndex({ force: true });
+
+    expect(summary.failed).toEqual([{ tableName: 'loans', error: 'rate limited' }]);
+    expect(summary.indexed).toEqual(['branches']);
+    expect(repository.markTableFailed).toHaveBeenCalledWith('loans', 'rate limited');
+  });
+});
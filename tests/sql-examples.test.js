@@ -0,0 +1,165 @@
+/**
+ * SQL Example Tests
+ * Tests for the few-shot example store, its retrieval and its use in the generation prompt
+ */
+
+const StubProvider = require('../src/providers/StubProvider');
+const { AdvancedNLQService } = require('../src/services/AdvancedNLQService');
+const SqlExampleRepository = require('../src/repositories/SqlExampleRepository');
+const SqlExampleService = require('../src/services/SqlExampleService');
+const ExampleRetrievalService = require('../src/services/ExampleRetrievalService');
+const { SEED_EXAMPLES } = require('../src/config/examples');
+const { schemas } = require('../src/middleware/validation');
+
+jest.mock('../src/config/database', () => ({
+  getPrimaryDB: jest.fn(() => ({ query: jest.fn(), connect: jest.fn() })),
+  getVectorDB: jest.fn(() => ({ query: jest.fn(), connect: jest.fn() }))
+}));
+
+const cosine = (a, b) => {
+  const dot = a.reduce((sum, value, i) => sum + value * b[i], 0);
+  const norm = (v) => Math.sqrt(v.reduce((sum, value) => sum + value * value, 0));
+  return dot / (norm(a) * norm(b));
+};
+
+// In-memory stand-in for the pgvector table
+const createRepository = (examples) => {
+  const rows = examples.map((example, index) => ({ id: index + 1, embedding: null, embeddingModel: null, ...example }));
+  return {
+    rows,
+    findUnembedded: jest.fn(async (model) => rows.filter(row => row.embeddingModel !== model)),
+    updateEmbedding: jest.fn(async (id, embedding, model) => {
+      Object.assign(rows.find(row => row.id === id), { embedding, embeddingModel: model });
+    }),
+    findNearest: jest.fn(async (embedding, model, limit) => rows
+      .filter(row => row.embeddingModel === model)
+      .map(({ embedding: stored, ...row }) => ({ ...row, similarity: cosine(stored, embedding) }))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit))
+  };
+};
+
+const EXAMPLES = [
+  { question: 'Who are the top customers by total spend?', sql: 'SELECT c.id, SUM(o.total_amount) AS spent FROM customers c JOIN orders o ON o.customer_id = c.id GROUP BY c.id ORDER BY spent DESC LIMIT 5', tables: ['customers', 'orders'] },
+  { question: 'Daily order count this month', sql: 'SELECT DATE(created_at) AS day, COUNT(*) FROM orders GROUP BY 1', tables: ['orders'] },
+  { question: 'Average salary per department', sql: 'SELECT department, AVG(salary) FROM salaries GROUP BY department', tables: ['salaries'] }
+];
+
+const createService = (options = {}) => {
+  const service = new AdvancedNLQService({
+    provider: new StubProvider({}, { responses: options.responses || ['SELECT 1'] }),
+    sandbox: { run: options.run || jest.fn().mockResolvedValue({ rows: [{ total: 1 }], fields: [{ name: 'total' }] }) },
+    exampleRetrievalService: new ExampleRetrievalService(
+      createRepository(options.examples || EXAMPLES),
+      { enabled: true, limit: 2, minSimilarity: 0.3, seed: false }
+    )
+  });
+  service.isInitialized = true;
+  service.llm = service.provider.getChatModel();
+  service.embeddings = service.provider.getEmbeddings();
+  return service;
+};
+
+describe('SqlExampleRepository', () => {
+  it('should store the seed examples only when it creates the table', async () => {
+    const created = { query: jest.fn(async (sql) => (sql.includes('to_regclass') ? { rows: [{ present: false }] } : { rows: [] })) };
+    await new SqlExampleRepository(created, SEED_EXAMPLES).initialize();
+
+    const inserts = created.query.mock.calls.filter(([sql]) => sql.startsWith('INSERT INTO sql_examples'));
+    expect(inserts).toHaveLength(SEED_EXAMPLES.length);
+    expect(inserts[0][1]).toEqual([SEED_EXAMPLES[0].question, SEED_EXAMPLES[0].sql, SEED_EXAMPLES[0].description, ['orders', 'customers']]);
+
+    const existing = { query: jest.fn(async (sql) => (sql.includes('to_regclass') ? { rows: [{ present: true }] } : { rows: [] })) };
+    await new SqlExampleRepository(existing, SEED_EXAMPLES).initialize();
+    expect(existing.query.mock.calls.some(([sql]) => sql.startsWith('INSERT'))).toBe(false);
+  });
+});
+
+describe('SqlExampleService', () => {
+  it('should store the tables of valid SQL and report a failed embedding without throwing', async () => {
+    const nlqService = createService();
+    nlqService.syncExampleEmbeddings = jest.fn().mockRejectedValue(new Error('embedding API down'));
+    const repository = { create: jest.fn(async (example) => ({ id: 7, ...example })) };
+    const service = new SqlExampleService(repository, nlqService);
+
+    const result = await service.createExample({ id: 'user:ana' }, {
+      question: 'Revenue by category',
+      sql: 'SELECT c.name, SUM(oi.total_price) FROM public.order_items oi JOIN categories c ON c.id = oi.product_id GROUP BY c.name'
+    });
+
+    expect(result.example).toMatchObject({ id: 7, tables: ['order_items', 'categories'], createdBy: 'user:ana' });
+    expect(result.embedding).toEqual({ error: 'embedding API down' });
+  });
+
+  it('should reject unsafe SQL and SQL the database cannot plan', async () => {
+    const syntaxError = Object.assign(new Error('column "totl" does not exist'), { code: '42703' });
+    const nlqService = createService({ run: jest.fn().mockRejectedValue(syntaxError) });
+    const repository = { create: jest.fn(), update: jest.fn() };
+    const service = new SqlExampleService(repository, nlqService);
+
+    await expect(service.createExample(null, { question: 'Remove orders', sql: 'DELETE FROM orders' }))
+      .rejects.toMatchObject({ code: 'UNSAFE_SQL' });
+    await expect(service.updateExample(null, 1, { question: 'Totals', sql: 'SELECT totl FROM orders' }))
+      .rejects.toMatchObject({ code: 'INVALID_EXAMPLE_SQL', sqlState: '42703' });
+    expect(repository.create).not.toHaveBeenCalled();
+    expect(repository.update).not.toHaveBeenCalled();
+
+    expect(schemas.sqlExample.validate({ question: 'Totals', sql: 'SELECT 1' }).error).toBeUndefined();
+    expect(schemas.sqlExample.validate({ question: 'Totals' }).error).toBeDefined();
+  });
+});
+
+describe('AdvancedNLQService few-shot examples', () => {
+  it('should embed examples once per model and return the closest visible ones', async () => {
+    const service = createService();
+
+    const examples = await service.findSimilarExamples('top customers by total spend');
+    expect(examples[0]).toMatchObject({ id: 1, question: EXAMPLES[0].question });
+    expect(examples.every(example => example.similarity >= 0.3)).toBe(true);
+    expect(service.exampleRetrievalService.sqlExampleRepository.updateEmbedding).toHaveBeenCalledTimes(EXAMPLES.length);
+
+    // Hidden tables drop the example; nothing is embedded again for the same model
+    const visible = await service.findSimilarExamples('top customers by total spend', {
+      isVisible: (tableName) => tableName !== 'customers'
+    });
+    expect(visible.map(example => example.id)).not.toContain(1);
+    expect(service.exampleRetrievalService.sqlExampleRepository.updateEmbedding).toHaveBeenCalledTimes(EXAMPLES.length);
+
+    // Vectors of another embedding model are not comparable
+    service.provider.config.embeddingModel = 'stub-hashing-v2';
+    await service.findSimilarExamples('daily orders');
+    expect(service.exampleRetrievalService.sqlExampleRepository.updateEmbedding).toHaveBeenCalledTimes(EXAMPLES.length * 2);
+  });
+
+  it('should show similar examples in the generation prompt', async () => {
+    let prompt = '';
+    const service = createService({
+      responses: (text) => {
+        prompt = text;
+        return 'SELECT c.id FROM customers c';
+      }
+    });
+    service.findRelevantTables = jest.fn().mockResolvedValue([{ tableName: 'customers', description: 'Customers', reason: 'match' }]);
+    service.getCompleteTableSchemas = jest.fn().mockResolvedValue({ customers: [{ column_name: 'id', data_type: 'integer' }] });
+    service.glossaryRepository = { list: jest.fn().mockResolvedValue([]) };
+    const events = [];
+
+    const result = await service.processQuery('Which customers spent the most in total?', {
+      onEvent: (event, data) => events.push([event, data])
+    });
+
+    expect(result.success).toBe(true);
+    expect(prompt).toContain('Examples of similar questions answered on this database');
+    expect(prompt).toContain(`Question: ${EXAMPLES[0].question}\nSQL: ${EXAMPLES[0].sql}`);
+    expect(result.examples[0]).toMatchObject({ id: 1, question: EXAMPLES[0].question });
+    expect(events.find(([event]) => event === 'schema')[1].examples).toBe(result.examples.length);
+  });
+
+  it('should generate without examples when the store fails', async () => {
+    const service = createService();
+    service.exampleRetrievalService.sqlExampleRepository.findUnembedded.mockRejectedValue(new Error('vector DB down'));
+
+    expect(await service.findSimilarExamples('top customers')).toEqual([]);
+    expect(service.exampleRetrievalService.buildContext([])).toBe('');
+  });
+});
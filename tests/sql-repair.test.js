@@ -0,0 +1,97 @@
+/**
+ * SQL Repair Tests
+ * Tests for the self-correcting generation loop in AdvancedNLQService
+ */
+
+const StubProvider = require('../src/providers/StubProvider');
+const { AdvancedNLQService } = require('../src/services/AdvancedNLQService');
+
+jest.mock('../src/config/database', () => ({
+  getPrimaryDB: jest.fn(() => ({ query: jest.fn(), connect: jest.fn() })),
+  getVectorDB: jest.fn(() => ({ query: jest.fn(), connect: jest.fn() }))
+}));
+
+const pgError = (message, code) => Object.assign(new Error(message), { code });
+
+const tables = [{ tableName: 'loans', description: 'Loan records' }];
+const schemas = { loans: [{ column_name: 'loan_amount', data_type: 'numeric' }] };
+
+const createService = (responses, sandbox, maxAttempts = 3) => {
+  const prompts = [];
+  const service = new AdvancedNLQService({
+    provider: new StubProvider({}, {
+      responses: (prompt) => {
+        prompts.push(prompt);
+        return responses[prompts.length - 1];
+      }
+    }),
+    sandbox,
+    maxAttempts
+  });
+  service.llm = service.provider.getChatModel();
+  return { service, prompts };
+};
+
+describe('AdvancedNLQService repair loop', () => {
+  it('should feed the PostgreSQL error back and return the attempt history', async () => {
+    const sandbox = {
+      run: jest.fn(async (sql) => {
+        if (sql.includes('SUM(amount)')) {
+          throw pgError('column "amount" does not exist', '42703');
+        }
+        return { rows: [{ total: 10 }], fields: [{ name: 'total' }] };
+      })
+    };
+    const { service, prompts } = createService([
+      'SELECT SUM(amount) AS total FROM loans',
+      'SELECT SUM(loan_amount) AS total FROM loans'
+    ], sandbox);
+
+    const result = await service.generateAndExecuteSQL('total loans', tables, schemas);
+
+    expect(result.generatedSQL).toBe('SELECT SUM(loan_amount) AS total FROM loans');
+    expect(result.queryResult.rowCount).toBe(1);
+    expect(result.attempts).toHaveLength(2);
+    expect(result.attempts[0]).toMatchObject({ stage: 'validation', success: false, code: '42703' });
+    expect(result.attempts[1]).toMatchObject({ success: true });
+    expect(prompts[1]).toContain('column "amount" does not exist');
+    expect(prompts[1]).toContain('SELECT SUM(amount) AS total FROM loans');
+  });
+
+  it('should repair SQL the parser rejects', async () => {
+    const sandbox = { run: jest.fn().mockResolvedValue({ rows: [{ total: 10 }], fields: [{ name: 'total' }] }) };
+    const { service, prompts } = createService([
+      'SELECT SUM(loan_amount) AS total FROM loans WHERE',
+      'SELECT SUM(loan_amount) AS total FROM loans'
+    ], sandbox);
+
+    const result = await service.generateAndExecuteSQL('total loans', tables, schemas);
+
+    expect(result.generatedSQL).toBe('SELECT SUM(loan_amount) AS total FROM loans');
+    expect(result.attempts[0]).toMatchObject({ stage: 'validation', success: false, code: '42601' });
+    expect(prompts[1]).toContain('SQL syntax error');
+    expect(sandbox.run).not.toHaveBeenCalledWith(expect.stringContaining('WHERE'));
+  });
+
+  it('should stop after the configured number of attempts', async () => {
+    const sandbox = { run: jest.fn().mockRejectedValue(pgError('column "x" does not exist', '42703')) };
+    const { service } = createService(['SELECT x FROM loans', 'SELECT x FROM loans'], sandbox, 2);
+
+    await expect(service.generateAndExecuteSQL('x', tables, schemas)).rejects.toMatchObject({
+      attempts: [expect.objectContaining({ attempt: 1 }), expect.objectContaining({ attempt: 2 })]
+    });
+  });
+
+  it('should not repair safety violations or timeouts', async () => {
+    const sandbox = { run: jest.fn().mockRejectedValue(pgError('canceling statement due to statement timeout', '57014')) };
+    const { service, prompts } = createService(['DELETE FROM loans', 'SELECT 1 FROM loans'], sandbox);
+
+    await expect(service.generateAndExecuteSQL('remove loans', tables, schemas)).rejects.toMatchObject({
+      name: 'SQLSafetyError'
+    });
+    await expect(service.generateAndExecuteSQL('slow', tables, schemas)).rejects.toMatchObject({
+      attempts: [expect.objectContaining({ code: '57014' })]
+    });
+    expect(prompts).toHaveLength(2);
+  });
+});
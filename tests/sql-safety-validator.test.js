@@ -0,0 +1,98 @@
+/**
+ * SQL Safety Validator Tests
+ * Tests for AST-based read-only query validation
+ */
+
+const SQLSafetyValidator = require('../src/services/SQLSafetyValidator');
+const { SQLSafetyError } = SQLSafetyValidator;
+const { getSQLSafetyConfig } = require('../src/config/sqlSafety');
+
+const codesFor = async (validator, sql) => {
+  const result = await validator.validate(sql);
+  return result.violations.map(violation => violation.code);
+};
+
+describe('SQLSafetyValidator', () => {
+  let validator;
+
+  beforeEach(() => {
+    validator = new SQLSafetyValidator(getSQLSafetyConfig({}));
+  });
+
+  it('should accept read-only SELECT and WITH queries', async () => {
+    const result = await validator.validate(`
+      WITH monthly AS (
+        SELECT DATE_TRUNC('month', o.created_at) AS month, SUM(o.total_amount) AS revenue
+        FROM orders o
+        WHERE o.updated_at >= CURRENT_DATE - INTERVAL '30 days'
+        GROUP BY 1
+      )
+      SELECT month, revenue::DECIMAL FROM monthly ORDER BY month
+    `);
+
+    expect(result.valid).toBe(true);
+    expect(result.statementType).toBe('SELECT');
+    expect(result.tables).toEqual(['orders']);
+    expect(result.functions).toEqual(expect.arrayContaining(['date_trunc', 'sum']));
+  });
+
+  it('should report structural violations', async () => {
+    expect(await codesFor(validator, 'SELECT 1; DROP TABLE customers')).toContain('MULTIPLE_STATEMENTS');
+    expect(await codesFor(validator, 'DELETE FROM customers')).toEqual(['NOT_READ_ONLY']);
+    expect(await codesFor(validator, 'WITH d AS (UPDATE orders SET status = 1 RETURNING id) SELECT * FROM d')).toEqual(['WRITABLE_CTE']);
+    expect(await codesFor(validator, 'SELECT * INTO copy FROM customers')).toContain('SELECT_INTO');
+    expect(await codesFor(validator, 'SELECT 1 AS a INTO newtab UNION SELECT 2')).toContain('SELECT_INTO');
+    expect(await codesFor(validator, 'SELECT id FROM orders UNION ALL (SELECT id FROM customers FOR UPDATE)')).toContain('LOCKING_CLAUSE');
+    expect(await codesFor(validator, 'SELECT * FROM orders FOR UPDATE')).toEqual(['LOCKING_CLAUSE']);
+    expect(await codesFor(validator, 'SELEC * FROM orders')).toEqual(['PARSE_ERROR']);
+    expect(await codesFor(validator, '  ')).toEqual(['EMPTY_STATEMENT']);
+  });
+
+  it('should deny system schemas and catalog tables', async () => {
+    expect(await codesFor(validator, 'SELECT * FROM information_schema.tables')).toEqual(['DENIED_SCHEMA']);
+    expect(await codesFor(validator, 'SELECT * FROM pg_user')).toEqual(['DENIED_SCHEMA']);
+    expect(await codesFor(validator, 'SELECT * FROM audit.events')).toEqual(['SCHEMA_NOT_ALLOWED']);
+  });
+
+  it('should enforce table allow- and deny-lists', async () => {
+    const restricted = new SQLSafetyValidator(getSQLSafetyConfig({
+      SQL_ALLOWED_TABLES: 'orders,customers,public.products',
+      SQL_DENIED_TABLES: 'customers'
+    }));
+
+    expect(await codesFor(restricted, 'SELECT * FROM orders o JOIN public.products p ON p.id = o.id')).toEqual([]);
+    expect(await codesFor(restricted, 'SELECT * FROM customers')).toEqual(['DENIED_TABLE']);
+    expect(await codesFor(restricted, 'SELECT * FROM (SELECT * FROM payments) p')).toEqual(['TABLE_NOT_ALLOWED']);
+  });
+
+  it('should only treat names as CTEs inside the WITH clause that defines them', async () => {
+    const restricted = new SQLSafetyValidator(getSQLSafetyConfig({ SQL_DENIED_TABLES: 'secrets' }));
+
+    const shadowed = await restricted.validate('SELECT * FROM secrets, (WITH secrets AS (SELECT 1) SELECT * FROM secrets) s');
+    expect(shadowed.tables).toEqual(['secrets']);
+    expect(shadowed.violations.map(violation => violation.code)).toEqual(['DENIED_TABLE']);
+    // A non-recursive CTE cannot refer to itself, so its body reads the real table
+    expect(await codesFor(restricted, 'WITH secrets AS (SELECT * FROM secrets) SELECT * FROM secrets')).toEqual(['DENIED_TABLE']);
+    expect(await codesFor(restricted, 'WITH RECURSIVE secrets AS (SELECT 1 AS n UNION ALL SELECT n + 1 FROM secrets WHERE n < 3) SELECT * FROM secrets')).toEqual([]);
+    expect(await codesFor(restricted, 'WITH a AS (SELECT 1), secrets AS (SELECT * FROM a) SELECT * FROM secrets')).toEqual([]);
+  });
+
+  it('should enforce function allow- and deny-lists', async () => {
+    expect(await codesFor(validator, "SELECT pg_read_file('/etc/passwd')")).toEqual(['DENIED_FUNCTION']);
+    expect(await codesFor(validator, 'SELECT id FROM orders WHERE pg_sleep(10) IS NULL')).toEqual(['DENIED_FUNCTION']);
+    expect(await codesFor(validator, "SELECT schema_to_xml('public', true, false, '')")).toEqual(['DENIED_FUNCTION']);
+    expect(await codesFor(validator, "SELECT database_to_xml(true, false, '')")).toEqual(['DENIED_FUNCTION']);
+    expect(await codesFor(validator, "SELECT table_to_xml_and_xmlschema('customers', true, false, '')")).toEqual(['DENIED_FUNCTION']);
+    expect(await codesFor(validator, 'SELECT lo_get(16385)')).toEqual(['DENIED_FUNCTION']);
+
+    const restricted = new SQLSafetyValidator(getSQLSafetyConfig({ SQL_ALLOWED_FUNCTIONS: 'count' }));
+    expect(await codesFor(restricted, 'SELECT COUNT(*), MAX(id) FROM orders')).toEqual(['FUNCTION_NOT_ALLOWED']);
+  });
+
+  it('should throw SQLSafetyError with violations from assertSafe', async () => {
+    await expect(validator.assertSafe('TRUNCATE customers')).rejects.toBeInstanceOf(SQLSafetyError);
+    await expect(validator.assertSafe('TRUNCATE customers')).rejects.toMatchObject({
+      violations: [expect.objectContaining({ code: 'NOT_READ_ONLY' })]
+    });
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Streaming Tests
+ * Tests for progress events of AdvancedNLQService and the SSE endpoint
+ */
+
+const http = require('http');
+const request = require('supertest');
+const express = require('express');
+const StubProvider = require('../src/providers/StubProvider');
+const { AdvancedNLQService } = require('../src/services/AdvancedNLQService');
+const NLQController = require('../src/controllers/NLQController');
+const ChartRecommendationService = require('../src/services/ChartRecommendationService');
+
+jest.mock('../src/config/database', () => ({
+  getPrimaryDB: jest.fn(() => ({ query: jest.fn(), connect: jest.fn() })),
+  getVectorDB: jest.fn(() => ({ query: jest.fn(), connect: jest.fn() }))
+}));
+
+const createService = () => {
+  const rows = Array.from({ length: 5 }, (_, id) => ({ id }));
+  const service = new AdvancedNLQService({
+    provider: new StubProvider({}, { responses: ['SELECT id FROM loans'] }),
+    sandbox: { run: jest.fn().mockResolvedValue({ rows, fields: [{ name: 'id' }] }) },
+    chartRecommendationService: new ChartRecommendationService()
+  });
+  service.isInitialized = true;
+  service.llm = service.provider.getChatModel();
+  service.findRelevantTables = jest.fn().mockResolvedValue([{ tableName: 'loans', description: 'Loan records', reason: 'match' }]);
+  service.getCompleteTableSchemas = jest.fn().mockResolvedValue({ loans: [{ column_name: 'id', data_type: 'integer' }] });
+  service.glossaryRepository = { list: jest.fn().mockResolvedValue([]) };
+  return service;
+};
+
+describe('AdvancedNLQService progress events', () => {
+  it('should report each stage, the SQL tokens and the rows in chunks', async () => {
+    const service = createService();
+    const events = [];
+
+    const result = await service.processQuery('list loans', {
+      chunkSize: 2,
+      onEvent: (event, data) => events.push({ event, data })
+    });
+
+    expect(result.success).toBe(true);
+    expect([...new Set(events.map(e => e.event))]).toEqual(['tables', 'schema', 'sql_token', 'sql', 'validation', 'rows']);
+    expect(events.filter(e => e.event === 'sql_token').map(e => e.data.token).join('')).toBe('SELECT id FROM loans');
+    expect(events.find(e => e.event === 'validation').data).toEqual({ attempt: 1, valid: true });
+
+    const chunks = events.filter(e => e.event === 'rows').map(e => e.data);
+    expect(chunks.map(chunk => [chunk.offset, chunk.rows.length, chunk.done])).toEqual([[0, 2, false], [2, 2, false], [4, 1, true]]);
+  });
+
+  it('should stop once the signal is aborted', async () => {
+    const service = createService();
+    const aborter = new AbortController();
+    const events = [];
+
+    const result = await service.processQuery('list loans', {
+      signal: aborter.signal,
+      onEvent: (event) => {
+        events.push(event);
+        if (event === 'tables') aborter.abort();
+      }
+    });
+
+    expect(result).toMatchObject({ success: false, error: 'Request aborted: the client disconnected' });
+    expect(events).toEqual(['tables']);
+    expect(service.getCompleteTableSchemas).not.toHaveBeenCalled();
+    expect(service.sandbox.run).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/nlq/query/stream', () => {
+  it('should stream events and finish with complete', async () => {
+    const controller = new NLQController();
+    controller.nlqService = createService();
+    controller.queryLogService = { recordNLQ: jest.fn().mockResolvedValue(null) };
+    controller.queryResultService = {
+      paginate: jest.fn(async (result) => ({ ...result, result: { ...result.result, pagination: { resultId: 'r1' } } }))
+    };
+
+    const app = express();
+    app.use(express.json());
+    app.post('/api/nlq/query/stream', (req, res) => controller.streamQuery(req, res));
+
+    const response = await request(app).post('/api/nlq/query/stream').send({ query: 'list loans' });
+
+    expect(response.headers['content-type']).toMatch(/text\/event-stream/);
+    const events = response.text.split('\n\n').filter(Boolean).map(block => block.split('\n')[0].replace('event: ', ''));
+    expect(events[0]).toBe('tables');
+    expect(events[events.length - 1]).toBe('complete');
+
+    const complete = JSON.parse(response.text.trim().split('\n').pop().replace('data: ', ''));
+    const { visualization, ...result } = complete.result;
+    expect(result).toEqual({ columns: ['id'], rowCount: 5, totalRows: 5, truncated: false, pagination: { resultId: 'r1' } });
+    expect(visualization.type).toBe('table');
+    expect(controller.queryLogService.recordNLQ).toHaveBeenCalled();
+  });
+
+  it('should abort the pipeline when the client disconnects', async () => {
+    const controller = new NLQController();
+    controller.queryLogService = { recordNLQ: jest.fn().mockResolvedValue(null) };
+    let signal;
+    controller.nlqService = {
+      processQuery: jest.fn((query, options) => {
+        signal = options.signal;
+        options.onEvent('tables', { relevantTables: [] });
+        return new Promise(resolve => signal.addEventListener('abort', () => resolve({ success: false, error: 'aborted' })));
+      })
+    };
+
+    const app = express();
+    app.use(express.json());
+    app.post('/api/nlq/query/stream', (req, res) => controller.streamQuery(req, res));
+    const server = app.listen(0);
+
+    try {
+      await new Promise((resolve, reject) => {
+        const req = http.request({ port: server.address().port, path: '/api/nlq/query/stream', method: 'POST', headers: { 'Content-Type': 'application/json' } }, (res) => {
+          res.once('data', () => req.destroy());
+        });
+        req.on('error', () => {});
+        req.on('close', resolve);
+        req.end(JSON.stringify({ query: 'list loans' }));
+        setTimeout(() => reject(new Error('request did not close')), 2000);
+      });
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(signal.aborted).toBe(true);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});